@@ -27,10 +27,13 @@ var path = require('path'),
 
 	CodeProcessor = require('../'),
 	Runtime = require('../lib/Runtime'),
+	CodeProcessorUtils = require('../lib/CodeProcessorUtils'),
+	watchProject = require('../lib/Watcher').watchProject,
 
 	sourceInformation,
 	options,
-	plugins;
+	platformPlugins,
+	platforms;
 
 exports.cliVersion = '>=3.X';
 exports.title = __('Analyze');
@@ -90,10 +93,35 @@ exports.config = function (logger, config, cli) {
 							' this will decrease accuracy and can generate a lot of false positives (ignored if --config-file is specified)'),
 						default: Runtime.options.processUnvisitedCode
 					},
+					'no-function-summaries': {
+						desc: __('disables reusing the results of previous calls to a function that is called again with the' +
+							' same arguments (ignored if --config-file is specified)'),
+						default: !Runtime.options.functionSummaries
+					},
+					'profile': {
+						desc: __('includes profiling information, such as the function summary hit ratio, in the results' +
+							' (ignored if --config-file is specified)'),
+						default: Runtime.options.profile
+					},
+					'no-cache': {
+						desc: __('disables the analysis cache, forcing the entire project to be parsed and analyzed (ignored if' +
+							' --config-file is specified)'),
+						default: false
+					},
+					'update-baseline': {
+						desc: __('rewrites the baseline file with the current errors and warnings (requires --baseline)'),
+						default: false
+					},
 					'wait': {
 						abbr: 'W',
 						desc: __('Process waits on standard input after processing the results'),
 						default: false
+					},
+					'watch': {
+						desc: __('keeps running after processing the results and re-analyzes the project whenever a file in the' +
+							' source directory changes, printing the errors and warnings that were added or fixed since the' +
+							' previous run'),
+						default: false
 					}
 				},
 				options: appc.util.mix({
@@ -102,7 +130,7 @@ exports.config = function (logger, config, cli) {
 						desc: __('output format'),
 						hint: __('format'),
 						default: 'report',
-						values: ['report', 'json', 'stream']
+						values: ['report', 'json', 'stream', 'sarif', 'junit', 'checkstyle']
 					},
 					'config-file': {
 						abbr: 'F',
@@ -119,10 +147,15 @@ exports.config = function (logger, config, cli) {
 						abbr: 'p',
 						callback: function (platform) {
 							cli.argv.$originalPlatform = platform;
-							return ti.resolvePlatform(platform);
+							platforms = platform.split(',').map(function (platform) {
+								return ti.resolvePlatform(platform.trim());
+							});
+							return platforms[0];
 						},
-						desc: __('the name of the OS being built-for, reflected in code via Ti.Platform.osname (ignored if --config-file is specified)'),
-						hint: __('platform'),
+						desc: __('the name of the OS being built-for, reflected in code via Ti.Platform.osname. Multiple' +
+							' comma separated platforms may be specified, in which case the project is analyzed once for each' +
+							' platform and the results are merged (ignored if --config-file is specified)'),
+						hint: __('platforms'),
 						prompt: {
 							label: __('Target platform [%s]', ti.targetPlatforms.join(',')),
 							error: __('Invalid platform'),
@@ -174,6 +207,11 @@ exports.config = function (logger, config, cli) {
 						hint: __('iterations'),
 						default: Runtime.options.maxLoopIterations
 					},
+					'loop-widening-threshold': {
+						desc: __('the number of iterations of a loop to evaluate before widening it to unknown values, 0 to disable widening (ignored if --config-file is specified)'),
+						hint: __('iterations'),
+						default: Runtime.options.loopWideningThreshold
+					},
 					'max-recursion-limit': {
 						desc: __('the maximum recursion depth to evaluate before throwing a RangeError exception (ignored if --config-file is specified)'),
 						hint: __('recursion limit'),
@@ -193,6 +231,43 @@ exports.config = function (logger, config, cli) {
 						desc: __('The maximum number of cycles to allow before throwing an exception'),
 						hint: __('size'),
 						default: Runtime.options.maxCycles
+					},
+					determinism: {
+						desc: __('how clock reads and random numbers are evaluated. "seeded" uses a seeded random number' +
+							' generator and a virtual clock, "virtual" uses a virtual clock and unknown random numbers, and' +
+							' "unknown" makes both unknown. By default they are only evaluated in exact mode (ignored if' +
+							' --config-file is specified)'),
+						hint: __('mode'),
+						values: ['seeded', 'virtual', 'unknown']
+					},
+					seed: {
+						desc: __('the seed for the random number generator, implies "--determinism seeded" (ignored if' +
+							' --config-file is specified)'),
+						hint: __('seed')
+					},
+					'ambiguity-strategy': {
+						desc: __('how conditionals with an unknown condition are evaluated. "merge" evaluates each branch' +
+							' separately and merges the values they leave behind, and "legacy" evaluates every branch in a' +
+							' single ambiguous block (ignored if --config-file is specified)'),
+						hint: __('strategy'),
+						default: Runtime.options.ambiguityStrategy,
+						values: ['merge', 'legacy']
+					},
+					baseline: {
+						desc: __('the path to a baseline file. Only errors and warnings that are not in the baseline are' +
+							' reported, and the process exits with a non-zero exit code if there are any. The file is created' +
+							' if it does not exist'),
+						hint: __('file')
+					},
+					'cache-dir': {
+						desc: __('the directory to store the analysis cache in, otherwise build/codeprocessor/cache in the project' +
+							' directory (ignored if --config-file is specified)'),
+						hint: __('dir')
+					},
+					'explain-unknown': {
+						desc: __('explains why the value at the given location, relative to the project directory, is unknown by' +
+							' listing the operations it flowed through back to where it became unknown'),
+						hint: __('file:line')
 					}
 				}, ti.commonOptions(logger, config)),
 				platforms: {}
@@ -207,6 +282,22 @@ exports.validate = function (logger, config, cli) {
 		if (cli.argv.output === 'report') {
 			logger.banner();
 		}
+		if (cli.argv.watch && platforms && platforms.length > 1) {
+			logger.error(__('The --watch flag can only be used with a single platform'));
+			process.exit(1);
+		}
+		if (cli.argv['update-baseline'] && !cli.argv.baseline) {
+			logger.error(__('The --update-baseline flag requires the --baseline option'));
+			process.exit(1);
+		}
+		if (cli.argv['explain-unknown'] && !/^.+:[0-9]+$/.test(cli.argv['explain-unknown'])) {
+			logger.error(__('The --explain-unknown option must be in the form "file:line"'));
+			process.exit(1);
+		}
+		if (cli.argv['explain-unknown'] && platforms && platforms.length > 1) {
+			logger.error(__('The --explain-unknown option can only be used with a single platform'));
+			process.exit(1);
+		}
 		if (cli.argv['config-file']) {
 			validateConfigFile(logger, config, cli, callback);
 		} else {
@@ -233,9 +324,19 @@ exports.run = function (logger, config, cli) {
 		}
 
 		options.outputFormat = cli.argv.output;
+		if (cli.argv.baseline) {
+			options.baseline = path.resolve(cli.argv.baseline);
+			options.updateBaseline = !!cli.argv['update-baseline'];
+		}
+		if (cli.argv['explain-unknown']) {
+			options.explainUnknown = cli.argv['explain-unknown'];
+		}
 		setTimeout(function () {
-			CodeProcessor.run(sourceInformation, options, plugins, logger, function () {
-				if (cli.argv.wait)
+			function finish(baselineResults) {
+				var exitCode = baselineResults && baselineResults.numNew ? 1 : 0;
+				if (cli.argv.watch) {
+					watchProject(sourceInformation, options, platformPlugins[platforms[0]], logger);
+				} else if (cli.argv.wait)
 				{
 					var stdin = process.stdin;
 					stdin.setRawMode && stdin.setRawMode(true);
@@ -244,10 +345,29 @@ exports.run = function (logger, config, cli) {
 
 					// Exit on any data passed to stdin
 					stdin.on('data', function(){
-						process.exit();
+						process.exit(exitCode);
 					});
+				} else if (exitCode) {
+					CodeProcessorUtils.exit(exitCode);
 				}
-			});
+			}
+			if (platforms.length > 1) {
+				CodeProcessor.runPlatforms(sourceInformation, options, platformPlugins, logger, function (err, results) {
+					if (err) {
+						console.error(err.message);
+						process.exit(1);
+					}
+					finish(results.baseline);
+				});
+			} else {
+				CodeProcessor.run(sourceInformation, options, platformPlugins[platforms[0]], logger, function (err, results) {
+					if (err) {
+						console.error(err.message);
+						process.exit(1);
+					}
+					finish(results.baseline);
+				});
+			}
 		}, 0);
 	});
 };
@@ -389,7 +509,9 @@ function validateConfigFile(logger, config, cli, callback) {
 
 		sourceInformation = configFile.sourceInformation;
 		options = configFile.options;
-		plugins = configFile.plugins;
+		platforms = [argv.platform];
+		platformPlugins = {};
+		platformPlugins[argv.platform] = configFile.plugins;
 		callback(true);
 	});
 }
@@ -442,6 +564,18 @@ function validateCLIParameters(logger, config, cli, callback) {
 		return;
 	}
 
+	// Validate the other platforms, if several were specified
+	platforms = (platforms || [argv.platform]).filter(function (platform, i, platforms) {
+		return platforms.indexOf(platform) === i;
+	});
+	for (i = 0, len = platforms.length; i < len; i++) {
+		if (ti.targetPlatforms.indexOf(platforms[i]) === -1) {
+			logger.error(__('Invalid platform: %s', platforms[i]));
+			callback(false);
+			return;
+		}
+	}
+
 	// Load the project specific plugins
 	ti.loadPlugins(logger, cli, config, cli.argv['project-dir']);
 
@@ -450,6 +584,7 @@ function validateCLIParameters(logger, config, cli, callback) {
 	options.invokeMethods = argv['method-invokation'] !== false;
 	options.evaluateLoops = argv['loop-evaluation'] !== false;
 	options.maxLoopIterations = parseInt(argv['max-loop-iterations'], 10);
+	options.loopWideningThreshold = parseInt(argv['loop-widening-threshold'], 10);
 	options.maxRecursionLimit = parseInt(argv['max-recursion-limit'], 10);
 	options.cycleDetectionStackSize = parseInt(argv['cycle-detection-stack-size'], 10);
 	options.maxCycles = parseInt(argv['max-cycles'], 10);
@@ -458,7 +593,13 @@ function validateCLIParameters(logger, config, cli, callback) {
 	options.exactMode = argv['exact-mode'];
 	options.nativeExceptionRecovery = argv['native-exception-recovery'] !== false;
 	options.processUnvisitedCode = argv['process-unvisited-code'];
+	options.determinism = argv.determinism || (argv.seed !== undefined ? 'seeded' : undefined);
+	options.seed = parseInt(argv.seed, 10) || 0;
+	options.ambiguityStrategy = argv['ambiguity-strategy'];
+	options.functionSummaries = argv['function-summaries'] !== false;
+	options.profile = !!argv.profile;
 	options.resultsPath = argv['results-dir'];
+	options.cache = argv.cache === false ? false : argv['cache-dir'] ? path.resolve(argv['cache-dir']) : true;
 
 	// Calculate the project root
 	projectRoot = argv['project-dir'] || '.';
@@ -478,12 +619,17 @@ function validateCLIParameters(logger, config, cli, callback) {
 				logger, function(err, results) {
 			var modules = {},
 				pluginList = argv.plugins,
+				plugins = [],
 				plugin,
 				sdkPath;
 
-			plugins = [];
 			if (argv['all-plugins']) {
 				for(plugin in results) {
+
+					// The Node.js provider replaces require and can't be used alongside the Titanium API provider
+					if (plugin === 'node-provider') {
+						continue;
+					}
 					plugins.push({
 						path: results[plugin].path,
 						options: {}
@@ -512,40 +658,42 @@ function validateCLIParameters(logger, config, cli, callback) {
 				logger.info(__('No Titanium Modules required, continuing'));
 			} else {
 				logger.info(__n('Searching for %s Titanium Module', 'Searching for %s Titanium Modules', cli.tiapp.modules.length));
-				appc.timodule.find(cli.tiapp.modules, argv.platform, 'development', sdk, [ path.join(sdkPath, '..', '..', '..'), projectRoot], logger, function (moduleResults) {
-					if (moduleResults.missing.length) {
-						logger.error(__('Could not find all required Titanium Modules:'));
-						moduleResults.missing.forEach(function (m) {
-							logger.error('   id: ' + m.id + '\t version: ' + (m.version || 'latest') + '\t platform: ' + m.platform + '\t deploy-type: ' + m.deployType);
-						});
-						logger.log();
-						process.exit(1);
-					}
-
-					if (moduleResults.incompatible.length) {
-						logger.error(__('Found incompatible Titanium Modules:'));
-						moduleResults.incompatible.forEach(function (m) {
-							logger.error('   id: ' + m.id + '\t version: ' + (m.version || 'latest') + '\t platform: ' + m.platform + '\t min sdk: ' + m.minsdk);
-						});
-						logger.log();
-						process.exit(1);
-					}
+				platforms.forEach(function (platform) {
+					appc.timodule.find(cli.tiapp.modules, platform, 'development', sdk, [ path.join(sdkPath, '..', '..', '..'), projectRoot], logger, function (moduleResults) {
+						if (moduleResults.missing.length) {
+							logger.error(__('Could not find all required Titanium Modules:'));
+							moduleResults.missing.forEach(function (m) {
+								logger.error('   id: ' + m.id + '\t version: ' + (m.version || 'latest') + '\t platform: ' + m.platform + '\t deploy-type: ' + m.deployType);
+							});
+							logger.log();
+							process.exit(1);
+						}
 
-					if (moduleResults.conflict.length) {
-						logger.error(__('Found conflicting Titanium modules:'));
-						moduleResults.conflict.forEach(function (m) {
-							logger.error('   ' + __('Titanium module "%s" requested for both ' + argv.platform + ' and CommonJS platforms, but only one may be used at a time.', m.id));
-						});
-						logger.log();
-						process.exit(1);
-					}
+						if (moduleResults.incompatible.length) {
+							logger.error(__('Found incompatible Titanium Modules:'));
+							moduleResults.incompatible.forEach(function (m) {
+								logger.error('   id: ' + m.id + '\t version: ' + (m.version || 'latest') + '\t platform: ' + m.platform + '\t min sdk: ' + m.minsdk);
+							});
+							logger.log();
+							process.exit(1);
+						}
 
-					moduleResults.found.forEach(function (module) {
-						var platform = module.platform[0];
-						if (!modules[platform]) {
-							modules[platform] = {};
+						if (moduleResults.conflict.length) {
+							logger.error(__('Found conflicting Titanium modules:'));
+							moduleResults.conflict.forEach(function (m) {
+								logger.error('   ' + __('Titanium module "%s" requested for both ' + platform + ' and CommonJS platforms, but only one may be used at a time.', m.id));
+							});
+							logger.log();
+							process.exit(1);
 						}
-						modules[platform][module.id] = module.modulePath;
+
+						moduleResults.found.forEach(function (module) {
+							var platform = module.platform[0];
+							if (!modules[platform]) {
+								modules[platform] = {};
+							}
+							modules[platform][module.id] = module.modulePath;
+						});
 					});
 				});
 			}
@@ -553,20 +701,12 @@ function validateCLIParameters(logger, config, cli, callback) {
 			// Set the plugin information
 			for(i = 0, len = plugins.length; i < len; i++) {
 				if (path.basename(plugins[i].path) === 'ti-api-provider') {
-					plugins[i].options.platform = argv.platform;
 					plugins[i].options.sdkPath = sdkPath;
 					plugins[i].options.modules = modules;
 					plugins[i].options.tiappProperties = cli.tiapp.properties;
-				} else if (path.basename(plugins[i].path) === 'analysis-coverage') {
-					plugins[i].options.visualization = {
-						outputDirectory: options.resultsPath ? path.join(options.resultsPath, 'analysis-coverage') : undefined
-					};
-				} else if (path.basename(plugins[i].path) === 'unknown-ambiguous-visualizer') {
-					plugins[i].options.visualization = {
-						outputDirectory: options.resultsPath ? path.join(options.resultsPath, 'unknown-ambiguous-visualizer') : undefined
-					};
 				}
 			}
+			platformPlugins = CodeProcessor.createPlatformPlugins(plugins, platforms, options.resultsPath);
 
 			// Check if this is an alloy app
 			if (existsSync(path.join(projectRoot, 'app'))) {
@@ -10,12 +10,37 @@
 
 var fs = require('fs'),
 	uglify = require('uglify-js'),
-	Runtime = require('./Runtime');
+	Runtime = require('./Runtime'),
+	ESTree = require('./ESTree'),
+
+	astCache,
+
+	suppressionRegex = /^[\s\*]*ti-cp-(disable-next-line|disable-line|disable-file|disable|enable)\b([^]*?)(?:--[^]*)?[\s\*]*$/,
+	typeSeparatorRegex = /[\s,]+/,
+	newlineRegex = /\n/g,
+
+	// These properties are calculated by figure_out_scope and are recalculated when an AST is deserialized
+	scopeProperties = ['globals', 'variables', 'functions', 'uses_with', 'uses_eval', 'parent_scope', 'enclosed',
+		'cname', 'scope', 'thedef', 'references'];
 
 // ******** Uglify extensions and modifications ********
 
 uglify.AST_Node.warn_function = function () {}; // Prevent warnings from being printed
 
+// Node types for ECMAScript 2015 syntax that can't be desugared, created by the ESTree front-end
+uglify.AST_Let = uglify.DEFNODE('Let', null, {
+	$documentation: 'A `let` statement',
+	_codegen: function (self, output) {
+		self._do_print(output, 'let');
+	}
+}, uglify.AST_Definitions);
+uglify.AST_Arrow = uglify.DEFNODE('Arrow', null, {
+	$documentation: 'An arrow function, which takes this from its enclosing scope'
+}, uglify.AST_Function);
+uglify.AST_SymbolRest = uglify.DEFNODE('SymbolRest', null, {
+	$documentation: 'A rest parameter, which collects the remaining arguments into an array'
+}, uglify.AST_SymbolFunarg);
+
 // ******** AST API methods ********
 
 /**
@@ -48,12 +73,17 @@ exports.parseString = parseString;
 function parseString(src, filename) {
 	var ast;
 	try {
-		ast = uglify.parse(src, {
-			filename: filename
-		});
+		ast = filename && astCache && astCache.getAST(filename, src);
+		if (!ast) {
+			ast = parseSource(src, filename);
+			if (filename && astCache) {
+				astCache.setAST(filename, src, ast);
+			}
+		}
 		ast.figure_out_scope();
 		if (filename) {
 			Runtime.setAST(ast, filename);
+			Runtime.setSuppressions(filename, getSuppressions(ast, src));
 		}
 		return ast;
 	} catch (e) {
@@ -63,6 +93,288 @@ function parseString(src, filename) {
 	}
 }
 
+/**
+ * Parses source code with UglifyJS, falling back to the ESTree front-end for code UglifyJS can't parse, such as code
+ * that uses ECMAScript 2015 syntax. If neither parser can parse the code, the UglifyJS error is reported, unless the code
+ * is valid but uses syntax the ESTree front-end does not support, or the ESTree front-end got further into the code, in
+ * which case UglifyJS stopped at ECMAScript 2015 syntax and the ESTree error is the real one.
+ *
+ * @private
+ */
+function parseSource(src, filename) {
+	try {
+		return uglify.parse(src, {
+			filename: filename
+		});
+	} catch (e) {
+		if (!(e instanceof uglify.JS_Parse_Error)) {
+			throw e;
+		}
+		try {
+			return ESTree.parse(src, filename);
+		} catch (estreeError) {
+			throw estreeError.unsupportedSyntax || estreeError.pos > e.pos ? estreeError : e;
+		}
+	}
+}
+
+/**
+ * Finds the suppression comments in an AST and calculates the regions of code they apply to. The following comments
+ * are supported, each of which takes an optional space or comma separated list of error/warning types to suppress
+ * (all types are suppressed if none are listed):
+ * <ul>
+ *	<li>ti-cp-disable-line: suppresses the line the comment is on</li>
+ *	<li>ti-cp-disable-next-line: suppresses the line after the comment</li>
+ *	<li>ti-cp-disable ... ti-cp-enable: suppresses all lines between the two comments, or until the end of the file
+ *		if there is no ti-cp-enable comment</li>
+ *	<li>ti-cp-disable-file: suppresses the entire file</li>
+ * </ul>
+ *
+ * @method
+ * @param {module:AST.node} ast The AST to search for suppression comments
+ * @param {String} [src] The source code the AST was parsed from. Comments after the last statement are not attached to
+ *		the AST, and so are only found if the source code is supplied
+ * @returns {Array[Object]} The suppressed regions, as supplied to {@link module:Runtime.setSuppressions}
+ */
+exports.getSuppressions = getSuppressions;
+function getSuppressions(ast, src) {
+	var comments = {},
+		trailingToken,
+		suppressions = [],
+		openRegions = [];
+
+	function addComments(token) {
+		if (token && token.comments_before) {
+			token.comments_before.forEach(function (comment) {
+				comments[comment.pos] = comment;
+			});
+		}
+	}
+
+	function closeRegion(region, line) {
+		suppressions.push({
+			startLine: region.startLine,
+			endLine: line,
+			types: region.types
+		});
+	}
+
+	ast.walk(new uglify.TreeWalker(function (node) {
+		addComments(node.start);
+		addComments(node.end);
+	}));
+	if (src && ast.end) {
+		trailingToken = uglify.tokenizer(src.slice(ast.end.endpos))();
+		trailingToken.comments_before.forEach(function (comment) {
+			comment.line += ast.end.line - 1;
+			comment.pos += ast.end.endpos;
+		});
+		addComments(trailingToken);
+	}
+
+	Object.keys(comments).sort(function (a, b) {
+		return a - b;
+	}).forEach(function (pos) {
+		var comment = comments[pos],
+			match = suppressionRegex.exec(comment.value),
+			types,
+			line = comment.line,
+			endLine = line + (comment.value.match(newlineRegex) || []).length;
+		if (!match) {
+			return;
+		}
+		types = match[2].split(typeSeparatorRegex).filter(function (type) {
+			return !!type;
+		});
+		types = types.length ? types : undefined;
+		switch(match[1]) {
+			case 'disable-line':
+				suppressions.push({
+					startLine: line,
+					endLine: line,
+					types: types
+				});
+				break;
+			case 'disable-next-line':
+				suppressions.push({
+					startLine: endLine + 1,
+					endLine: endLine + 1,
+					types: types
+				});
+				break;
+			case 'disable-file':
+				suppressions.push({
+					startLine: 0,
+					endLine: Infinity,
+					types: types
+				});
+				break;
+			case 'disable':
+				openRegions.push({
+					startLine: line,
+					types: types
+				});
+				break;
+			case 'enable':
+				openRegions = openRegions.filter(function (region) {
+					var remainingTypes;
+					if (!types) {
+						closeRegion(region, line);
+						return false;
+					}
+					if (region.types) {
+						remainingTypes = region.types.filter(function (type) {
+							return types.indexOf(type) === -1;
+						});
+						if (remainingTypes.length !== region.types.length) {
+							closeRegion(region, line);
+							region.startLine = line;
+							region.types = remainingTypes;
+							return !!remainingTypes.length;
+						}
+					}
+					return true;
+				});
+				break;
+		}
+	});
+	openRegions.forEach(function (region) {
+		closeRegion(region, Infinity);
+	});
+
+	return suppressions;
+}
+
+/**
+ * Sets the cache that parsed ASTs are looked up in and stored to. Only ASTs parsed from a named file are cached.
+ *
+ * @method
+ * @param {module:AnalysisCache.AnalysisCache|undefined} cache The cache to use, or undefined to disable caching
+ */
+exports.setCache = setCache;
+function setCache(cache) {
+	astCache = cache;
+}
+
+/**
+ * Converts an AST into a JSON friendly representation that can be restored with {@link module:AST.deserialize}. Scope
+ * information is not serialized since it contains circular references, and is recalculated on deserialization.
+ *
+ * @method
+ * @param {module:AST.node} ast The AST to serialize
+ * @returns {Object} The serialized AST
+ */
+exports.serialize = serialize;
+function serialize(ast) {
+
+	function serializeToken(token) {
+		var serializedToken = {},
+			i, len;
+		if (!token) {
+			return token;
+		}
+		for (i = 0, len = uglify.AST_Token.PROPS.length; i < len; i++) {
+			serializedToken[uglify.AST_Token.PROPS[i]] = serializeValue(token[uglify.AST_Token.PROPS[i]]);
+		}
+		if (token.comments_before) {
+			serializedToken.comments_before = token.comments_before.map(serializeToken);
+		}
+		return serializedToken;
+	}
+
+	function serializeValue(value) {
+		if (value instanceof uglify.AST_Node) {
+			return serializeNode(value);
+		} else if (Array.isArray(value)) {
+			return value.map(serializeValue);
+		} else if (Object.prototype.toString.call(value) === '[object RegExp]') { // Uglify lives in a separate context
+			return {
+				regexSource: value.source,
+				regexFlags: (value.global ? 'g' : '') + (value.ignoreCase ? 'i' : '') + (value.multiline ? 'm' : '')
+			};
+		}
+		return value;
+	}
+
+	function serializeNode(node) {
+		var serializedNode = {
+				type: node.TYPE
+			},
+			props = node.CTOR.PROPS,
+			prop,
+			i, len;
+		for (i = 0, len = props.length; i < len; i++) {
+			prop = props[i];
+			if (scopeProperties.indexOf(prop) === -1 && node[prop] !== undefined) {
+				serializedNode[prop] = prop === 'start' || prop === 'end' ? serializeToken(node[prop]) : serializeValue(node[prop]);
+			}
+		}
+		return serializedNode;
+	}
+
+	return serializeNode(ast);
+}
+
+/**
+ * Restores an AST that was serialized with {@link module:AST.serialize}
+ *
+ * @method
+ * @param {Object} serializedAST The serialized AST
+ * @returns {module:AST.node} The restored AST
+ */
+exports.deserialize = deserialize;
+function deserialize(serializedAST) {
+
+	// Tokens are shared between nodes, so they are memoized by position to preserve identity (used by comment output)
+	var tokens = {};
+
+	function deserializeToken(serializedToken) {
+		var props = {},
+			prop,
+			key;
+		if (!serializedToken) {
+			return serializedToken;
+		}
+		key = serializedToken.type + ':' + serializedToken.pos + ':' + serializedToken.endpos;
+		if (tokens[key]) {
+			return tokens[key];
+		}
+		for (prop in serializedToken) {
+			props[prop] = prop === 'comments_before' ?
+				serializedToken[prop].map(deserializeToken) :
+				deserializeValue(serializedToken[prop]);
+		}
+		return (tokens[key] = new uglify.AST_Token(props));
+	}
+
+	function deserializeValue(value) {
+		if (Array.isArray(value)) {
+			return value.map(deserializeValue);
+		} else if (value && typeof value === 'object') {
+			if (value.hasOwnProperty('regexSource')) {
+				return new RegExp(value.regexSource, value.regexFlags);
+			}
+			return deserializeNode(value);
+		}
+		return value;
+	}
+
+	function deserializeNode(serializedNode) {
+		var props = {},
+			prop;
+		for (prop in serializedNode) {
+			if (prop !== 'type') {
+				props[prop] = prop === 'start' || prop === 'end' ?
+					deserializeToken(serializedNode[prop]) :
+					deserializeValue(serializedNode[prop]);
+			}
+		}
+		return new uglify['AST_' + serializedNode.type](props);
+	}
+
+	return deserializeNode(serializedAST);
+}
+
 /**
  * Processes a node in the AST by linking up the node to a rule processor
  *
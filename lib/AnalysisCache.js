@@ -0,0 +1,387 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Persistent on-disk cache of analysis results. Files are tracked by a hash of their contents, along with the files
+ * they depend on via require and Ti.include. Parsed ASTs, errors, warnings, and the origins of unknown values are
+ * cached per file, so that only the files that changed, or that depend on a file that changed, need to be evaluated
+ * again. Plugin results are cached for the project as a whole, and are only reused if no file has changed.
+ *
+ * @module AnalysisCache
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+
+var path = require('path'),
+	fs = require('fs'),
+	crypto = require('crypto'),
+	existsSync = fs.existsSync || path.existsSync,
+
+	wrench = require('wrench'),
+
+	AST = require('./AST'),
+	Runtime = require('./Runtime'),
+
+	CACHE_VERSION = 4,
+
+	// The kinds of results that are cached per file
+	RESULT_TYPES = ['errors', 'warnings', 'suppressedErrors', 'suppressedWarnings', 'unknownOrigins'],
+	MANIFEST_FILE = 'manifest.json',
+	AST_DIRECTORY = 'ast';
+
+// ******** Helper Methods ********
+
+/**
+ * @private
+ */
+function hash(data) {
+	return crypto.createHash('sha1').update(data).digest('hex');
+}
+
+/**
+ * @private
+ */
+function hashFile(filename) {
+	return existsSync(filename) ? hash(fs.readFileSync(filename)) : undefined;
+}
+
+// ******** Cache Methods ********
+
+/**
+ * Creates a new analysis cache. The cache is not read from disk until {@link module:AnalysisCache.AnalysisCache#load}
+ * is called.
+ *
+ * @constructor
+ * @name module:AnalysisCache.AnalysisCache
+ * @param {String} directory The directory to store the cache in. It is created if it does not exist
+ * @param {Object} signature Information about the run, such as the options and plugins. If the signature does not
+ *		match the signature of the cached run, the cached results are discarded
+ */
+exports.AnalysisCache = AnalysisCache;
+function AnalysisCache(directory, signature) {
+	this.directory = directory;
+	this.signature = hash(JSON.stringify(signature));
+	this.dependencies = {};
+	this.astHashes = {};
+	this.manifest = undefined;
+}
+
+/**
+ * Loads the cache manifest from disk. A missing, unreadable, or out of date manifest is treated as an empty cache.
+ *
+ * @method
+ * @name module:AnalysisCache.AnalysisCache#load
+ */
+AnalysisCache.prototype.load = function load() {
+	var manifestPath = path.join(this.directory, MANIFEST_FILE),
+		manifest;
+	this.manifest = undefined;
+	if (existsSync(manifestPath)) {
+		try {
+			manifest = JSON.parse(fs.readFileSync(manifestPath).toString());
+			if (manifest.version === CACHE_VERSION && manifest.signature === this.signature) {
+				this.manifest = manifest;
+			} else {
+				Runtime.log('debug', 'Analysis cache is out of date and will be rebuilt');
+			}
+		} catch(e) {
+			Runtime.log('debug', 'Could not read analysis cache manifest "' + manifestPath + '": ' + e.message);
+		}
+	}
+};
+
+/**
+ * Listens for require and Ti.include events and records them as dependencies of the file that is currently being
+ * processed. Missing dependencies are recorded too, so that creating the file invalidates the cache.
+ *
+ * @method
+ * @name module:AnalysisCache.AnalysisCache#trackDependencies
+ */
+AnalysisCache.prototype.trackDependencies = function trackDependencies() {
+	var dependencies = this.dependencies;
+	function addDependency(e) {
+		var location = Runtime.getCurrentLocation(),
+			filename = location && location.filename;
+		if (filename && e.data && e.data.path) {
+			if (!dependencies[filename]) {
+				dependencies[filename] = [];
+			}
+			if (dependencies[filename].indexOf(e.data.path) === -1) {
+				dependencies[filename].push(e.data.path);
+			}
+		}
+	}
+	Runtime.on('requireResolved', addDependency);
+	Runtime.on('requireMissing', addDependency);
+	Runtime.on('tiIncludeResolved', addDependency);
+};
+
+/**
+ * Calculates the set of files that need to be re-analyzed: files that were analyzed previously and have changed or been
+ * deleted, plus every file that depends on them, directly or indirectly.
+ *
+ * @method
+ * @name module:AnalysisCache.AnalysisCache#getDirtyFiles
+ * @param {Array[String]} fileList The list of JavaScript files currently in the project
+ * @param {Boolean} includeUnvisitedFiles Whether or not files that were not visited are analyzed too, in which case
+ *		adding, changing, or removing any file in the project dirties the cache
+ * @returns {Array[String]|undefined} The list of dirty files, or undefined if there are no cached results at all
+ */
+AnalysisCache.prototype.getDirtyFiles = function getDirtyFiles(fileList, includeUnvisitedFiles) {
+	var files,
+		dirtyFiles = [],
+		dependents = {},
+		queue,
+		filename,
+		i, len;
+
+	if (!this.manifest) {
+		return;
+	}
+	files = this.manifest.files;
+
+	// Find the files that changed
+	for (filename in files) {
+		if (hashFile(filename) !== files[filename].hash) {
+			dirtyFiles.push(filename);
+		}
+		files[filename].dependencies.forEach(function (dependency) {
+			if (!dependents[dependency]) {
+				dependents[dependency] = [];
+			}
+			dependents[dependency].push(filename);
+			if (!files[dependency] && dirtyFiles.indexOf(dependency) === -1 &&
+					hashFile(dependency) !== this.manifest.dependencyHashes[dependency]) {
+				dirtyFiles.push(dependency);
+			}
+		}.bind(this));
+	}
+	if (includeUnvisitedFiles) {
+		for (i = 0, len = fileList.length; i < len; i++) {
+			if (!files[fileList[i]] && dirtyFiles.indexOf(fileList[i]) === -1) {
+				dirtyFiles.push(fileList[i]);
+			}
+		}
+	}
+
+	// Propagate the changes to the files that depend on them
+	queue = [].concat(dirtyFiles);
+	while (queue.length) {
+		(dependents[queue.shift()] || []).forEach(function (dependent) {
+			if (dirtyFiles.indexOf(dependent) === -1) {
+				dirtyFiles.push(dependent);
+				queue.push(dependent);
+			}
+		});
+	}
+
+	return dirtyFiles;
+};
+
+/**
+ * Gets the files analyzed by the previous run whose cached results are still valid, i.e. that are not dirty
+ *
+ * @method
+ * @name module:AnalysisCache.AnalysisCache#getCachedFiles
+ * @param {Array[String]} dirtyFiles The dirty files, as returned by {@link module:AnalysisCache.AnalysisCache#getDirtyFiles}
+ * @returns {Array[String]} The list of files whose results can be reused
+ */
+AnalysisCache.prototype.getCachedFiles = function getCachedFiles(dirtyFiles) {
+	return Object.keys(this.manifest.files).filter(function (filename) {
+		return dirtyFiles.indexOf(filename) === -1;
+	});
+};
+
+/**
+ * Gets the cached AST for the given file, if the contents of the file have not changed since the AST was cached.
+ *
+ * @method
+ * @name module:AnalysisCache.AnalysisCache#getAST
+ * @param {String} filename The name of the file
+ * @param {String} src The contents of the file
+ * @returns {module:AST.node|undefined} The cached AST, or undefined if there is no AST cached for these contents
+ */
+AnalysisCache.prototype.getAST = function getAST(filename, src) {
+	var astHash = hash(filename + '\n' + src),
+		astPath = path.join(this.directory, AST_DIRECTORY, astHash + '.json');
+	if (existsSync(astPath)) {
+		try {
+			this.astHashes[filename] = astHash;
+			return AST.deserialize(JSON.parse(fs.readFileSync(astPath).toString()));
+		} catch(e) {
+			Runtime.log('debug', 'Could not read cached AST for "' + filename + '": ' + e.message);
+		}
+	}
+};
+
+/**
+ * Caches the AST for the given file
+ *
+ * @method
+ * @name module:AnalysisCache.AnalysisCache#setAST
+ * @param {String} filename The name of the file
+ * @param {String} src The contents of the file
+ * @param {module:AST.node} ast The freshly parsed AST of the file
+ */
+AnalysisCache.prototype.setAST = function setAST(filename, src, ast) {
+	var astHash = hash(filename + '\n' + src),
+		astDirectory = path.join(this.directory, AST_DIRECTORY);
+	try {
+		if (!existsSync(astDirectory)) {
+			wrench.mkdirSyncRecursive(astDirectory);
+		}
+		fs.writeFileSync(path.join(astDirectory, astHash + '.json'), JSON.stringify(AST.serialize(ast)));
+		this.astHashes[filename] = astHash;
+	} catch(e) {
+		Runtime.log('debug', 'Could not cache AST for "' + filename + '": ' + e.message);
+	}
+};
+
+/**
+ * Gets the results that were cached by the previous run
+ *
+ * @method
+ * @name module:AnalysisCache.AnalysisCache#getResults
+ * @param {Array[String]} [filenames] The files to get the results of. If not supplied, the results of the whole project
+ *		are returned, including the results that do not belong to any file and the plugin results
+ * @returns {Object} An object containing five entries: 'errors', 'warnings', 'suppressed', 'plugins', and
+ *		'unknownOrigins'. The errors and warnings are in the same format as {@link module:Runtime.getReportedErrors}, and
+ *		the suppressed errors and warnings, the plugins, and the unknown origins are in the format passed to
+ *		{@link module:AnalysisCache.AnalysisCache#save}
+ */
+AnalysisCache.prototype.getResults = function getResults(filenames) {
+	var manifest = this.manifest,
+		results = {};
+	function restore(entries) {
+		entries.sort(function (a, b) {
+			return a.index - b.index;
+		});
+		return entries.map(function (entry) {
+			var restoredEntry = {},
+				p;
+			for (p in entry) {
+				if (p !== 'index') {
+					restoredEntry[p] = entry[p];
+				}
+			}
+			return restoredEntry;
+		});
+	}
+	RESULT_TYPES.forEach(function (type) {
+		var entries = filenames ? [] : [].concat(manifest[type]);
+		(filenames || Object.keys(manifest.files)).forEach(function (filename) {
+			if (manifest.files[filename]) {
+				entries = entries.concat(manifest.files[filename][type]);
+			}
+		});
+		results[type] = restore(entries);
+	});
+	return {
+		errors: results.errors,
+		warnings: results.warnings,
+		suppressed: {
+			errors: results.suppressedErrors,
+			warnings: results.suppressedWarnings
+		},
+		plugins: filenames ? [] : manifest.plugins,
+		unknownOrigins: results.unknownOrigins
+	};
+};
+
+/**
+ * Saves the results of the current run to disk. ASTs that are no longer referenced are removed from the cache.
+ *
+ * @method
+ * @name module:AnalysisCache.AnalysisCache#save
+ * @param {Array[String]} processedFiles The list of files that were analyzed
+ * @param {Array[Object]} errors The sanitized errors reported by {@link module:Runtime.getReportedErrors}
+ * @param {Array[Object]} warnings The sanitized warnings reported by {@link module:Runtime.getReportedWarnings}
+ * @param {Object} suppressed The sanitized errors and warnings that were suppressed, in the 'errors' and 'warnings'
+ *		entries respectively
+ * @param {Array[Object]} plugins The sanitized information for each plugin needed to recreate its output. Each entry
+ *		contains the name, displayName, suppressOutput, elevatePluginSummary, results, logOutput, and pageData of the
+ *		plugin
+ * @param {Array[Object]} unknownOrigins The sanitized origins of unknown values reported by
+ *		{@link module:Runtime.getUnknownOrigins}
+ * @param {Array[String]} [cachedFiles] The files whose results were reused from the cache instead of being analyzed.
+ *		Their results must be included in the other results, and their dependencies and ASTs are kept from the cache
+ */
+AnalysisCache.prototype.save = function save(processedFiles, errors, warnings, suppressed, plugins, unknownOrigins,
+		cachedFiles) {
+	var previousFiles = this.manifest ? this.manifest.files : {},
+		manifest = {
+			version: CACHE_VERSION,
+			signature: this.signature,
+			files: {},
+			dependencyHashes: {},
+			plugins: plugins
+		},
+		dependencies = this.dependencies,
+		astHashes = this.astHashes,
+		astFiles = [],
+		astDirectory = path.join(this.directory, AST_DIRECTORY);
+
+	function addFile(filename, fileDependencies, astHash) {
+		var file = manifest.files[filename] = {
+			hash: hashFile(filename),
+			dependencies: fileDependencies,
+			ast: astHash
+		};
+		RESULT_TYPES.forEach(function (type) {
+			file[type] = [];
+		});
+		if (astHash) {
+			astFiles.push(astHash + '.json');
+		}
+	}
+	processedFiles.forEach(function (filename) {
+		addFile(filename, dependencies[filename] || [], astHashes[filename]);
+	});
+	(cachedFiles || []).forEach(function (filename) {
+		if (!manifest.files[filename] && previousFiles[filename]) {
+			addFile(filename, previousFiles[filename].dependencies, previousFiles[filename].ast);
+		}
+	});
+	Object.keys(manifest.files).forEach(function (filename) {
+		manifest.files[filename].dependencies.forEach(function (dependency) {
+			if (!manifest.files[dependency]) {
+				manifest.dependencyHashes[dependency] = hashFile(dependency);
+			}
+		});
+	});
+
+	function sortResults(entries, type) {
+		manifest[type] = [];
+		entries.forEach(function (entry, index) {
+			var cachedEntry = {
+					index: index
+				},
+				p;
+			for (p in entry) {
+				cachedEntry[p] = entry[p];
+			}
+			(manifest.files[entry.filename] ? manifest.files[entry.filename][type] : manifest[type]).push(cachedEntry);
+		});
+	}
+	sortResults(errors, 'errors');
+	sortResults(warnings, 'warnings');
+	sortResults(suppressed.errors, 'suppressedErrors');
+	sortResults(suppressed.warnings, 'suppressedWarnings');
+	sortResults(unknownOrigins, 'unknownOrigins');
+
+	try {
+		if (!existsSync(this.directory)) {
+			wrench.mkdirSyncRecursive(this.directory);
+		}
+		fs.writeFileSync(path.join(this.directory, MANIFEST_FILE), JSON.stringify(manifest));
+		if (existsSync(astDirectory)) {
+			fs.readdirSync(astDirectory).forEach(function (file) {
+				if (astFiles.indexOf(file) === -1) {
+					fs.unlinkSync(path.join(astDirectory, file));
+				}
+			});
+		}
+	} catch(e) {
+		Runtime.log('warn', 'Could not save the analysis cache to "' + this.directory + '": ' + e.message);
+	}
+	this.manifest = manifest;
+};
@@ -0,0 +1,733 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * A standalone version of the "titanium analyze" command, run via "codeprocessor analyze", that does not need the
+ * Titanium CLI or an installed SDK. The project's tiapp.xml file is read directly, and the Titanium API information is
+ * read from the directory given by --sdk-path, which must contain the SDK's api.jsca and manifest.json files.
+ *
+ * @module AnalyzeCommand
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+
+var path = require('path'),
+	fs = require('fs'),
+	existsSync = fs.existsSync || path.existsSync,
+
+	winston = require('winston'),
+	appc = require('node-appc'),
+
+	CodeProcessor = require('./CodeProcessor'),
+	Runtime = require('./Runtime'),
+	Tiapp = require('./Tiapp'),
+	watchProject = require('./Watcher').watchProject,
+
+	platformList = ['android', 'mobileweb', 'iphone', 'ipad', 'blackberry', 'tizen'],
+	platformAliases = {
+		ios: 'iphone'
+	},
+	logLevels = ['trace', 'debug', 'info', 'notice', 'warn', 'error'],
+
+	flags = {
+		'all-plugins': {
+			abbr: 'A',
+			desc: 'loads all plugins in the default search path'
+		},
+		'no-method-invokation': {
+			desc: 'prevents methods from being invoked (ignored if --config-file is specified)'
+		},
+		'no-loop-evaluation': {
+			desc: 'Whether or not to evaluate loops (ignored if --config-file is specified)'
+		},
+		'no-console-passthrough': {
+			desc: 'Prevents console.* calls in a project from being logged to the console (ignored if --config-file is' +
+				' specified)'
+		},
+		'exact-mode': {
+			desc: 'enables exact mode evaluation. Exact mode does not use ambiguous modes and throws an exception if an' +
+				' Unknown type is encountered (ignored if --config-file is specified)'
+		},
+		'no-native-exception-recovery': {
+			desc: 'disables recovering from native exceptions when not in try/catch statements (ignored if --config-file' +
+				' is specified)'
+		},
+		'process-unvisited-code': {
+			desc: 'when set to true, all nodes and files that are not visited/skipped will be processed in ambiguous' +
+				' mode after all other code has been processed (ignored if --config-file is specified)'
+		},
+		'no-function-summaries': {
+			desc: 'disables reusing the results of previous calls to a function that is called again with the same' +
+				' arguments (ignored if --config-file is specified)'
+		},
+		profile: {
+			desc: 'includes profiling information, such as the function summary hit ratio, in the results (ignored if' +
+				' --config-file is specified)'
+		},
+		'no-cache': {
+			desc: 'disables the analysis cache, forcing the entire project to be parsed and analyzed (ignored if' +
+				' --config-file is specified)'
+		},
+		'update-baseline': {
+			desc: 'rewrites the baseline file with the current errors and warnings (requires --baseline)'
+		},
+		wait: {
+			abbr: 'W',
+			desc: 'Process waits on standard input after processing the results'
+		},
+		watch: {
+			desc: 'keeps running after processing the results and re-analyzes the project whenever a file in the source' +
+				' directory changes, printing the errors and warnings that were added or fixed since the previous run'
+		},
+		help: {
+			abbr: 'h',
+			desc: 'displays this help message'
+		}
+	},
+
+	options = {
+		output: {
+			abbr: 'o',
+			desc: 'output format [report, json, stream, sarif, junit, checkstyle]',
+			hint: 'format',
+			default: 'report',
+			values: ['report', 'json', 'stream', 'sarif', 'junit', 'checkstyle']
+		},
+		'config-file': {
+			abbr: 'F',
+			desc: 'the path to the config file, note: most options and flags are ignored with this option',
+			hint: 'file'
+		},
+		'sdk-path': {
+			abbr: 's',
+			desc: 'the path to a directory containing the api.jsca and manifest.json files of the SDK the project uses.' +
+				' Required when the ti-api-provider plugin is loaded (ignored if --config-file is specified)',
+			hint: 'path'
+		},
+		plugins: {
+			desc: 'a comma separated list of plugin names to load (ignored if --config-file is specified)',
+			hint: 'plugins'
+		},
+		platform: {
+			abbr: 'p',
+			desc: 'the name of the OS being built-for, reflected in code via Ti.Platform.osname. Multiple comma separated' +
+				' platforms may be specified, in which case the project is analyzed once for each platform and the results' +
+				' are merged (ignored if --config-file is specified)',
+			hint: 'platforms'
+		},
+		'project-dir': {
+			abbr: 'd',
+			desc: 'the directory containing the project, otherwise the current working directory. May also be given as' +
+				' the first argument (ignored if --config-file is specified)',
+			hint: 'dir'
+		},
+		'results-dir': {
+			abbr: 'R',
+			desc: 'the path to the directory that will contain the generated results pages (ignored if --config-file is' +
+				' specified)',
+			hint: 'dir'
+		},
+		'max-loop-iterations': {
+			desc: 'the maximum number of iterations a loop can iterate before falling back to an unknown evaluation' +
+				' (ignored if --config-file is specified)',
+			hint: 'iterations',
+			default: Runtime.options.maxLoopIterations
+		},
+		'loop-widening-threshold': {
+			desc: 'the number of iterations of a loop to evaluate before widening it to unknown values, 0 to disable' +
+				' widening (ignored if --config-file is specified)',
+			hint: 'iterations',
+			default: Runtime.options.loopWideningThreshold
+		},
+		'max-recursion-limit': {
+			desc: 'the maximum recursion depth to evaluate before throwing a RangeError exception (ignored if' +
+				' --config-file is specified)',
+			hint: 'recursion limit',
+			default: Runtime.options.maxRecursionLimit
+		},
+		'execution-time-limit': {
+			desc: 'the maximum time the app is allowed to run before erroring. 0 means no time limit (ignored if' +
+				' --config-file is specified)',
+			hint: 'time limit',
+			default: Runtime.options.executionTimeLimit
+		},
+		'cycle-detection-stack-size': {
+			desc: 'the size of the cycle detection stack. Cycles that are larger than this size will not be caught',
+			hint: 'size',
+			default: Runtime.options.cycleDetectionStackSize
+		},
+		'max-cycles': {
+			desc: 'The maximum number of cycles to allow before throwing an exception',
+			hint: 'size',
+			default: Runtime.options.maxCycles
+		},
+		determinism: {
+			desc: 'how clock reads and random numbers are evaluated. "seeded" uses a seeded random number generator and' +
+				' a virtual clock, "virtual" uses a virtual clock and unknown random numbers, and "unknown" makes both' +
+				' unknown. By default they are only evaluated in exact mode (ignored if --config-file is specified)',
+			hint: 'mode',
+			values: ['seeded', 'virtual', 'unknown']
+		},
+		seed: {
+			desc: 'the seed for the random number generator, implies "--determinism seeded" (ignored if --config-file is' +
+				' specified)',
+			hint: 'seed'
+		},
+		'ambiguity-strategy': {
+			desc: 'how conditionals with an unknown condition are evaluated. "merge" evaluates each branch separately and' +
+				' merges the values they leave behind, and "legacy" evaluates every branch in a single ambiguous block' +
+				' (ignored if --config-file is specified)',
+			hint: 'strategy',
+			default: Runtime.options.ambiguityStrategy,
+			values: ['merge', 'legacy']
+		},
+		baseline: {
+			desc: 'the path to a baseline file. Only errors and warnings that are not in the baseline are reported, and' +
+				' the process exits with a non-zero exit code if there are any. The file is created if it does not exist',
+			hint: 'file'
+		},
+		'cache-dir': {
+			desc: 'the directory to store the analysis cache in, otherwise build/codeprocessor/cache in the project' +
+				' directory (ignored if --config-file is specified)',
+			hint: 'dir'
+		},
+		'explain-unknown': {
+			desc: 'explains why the value at the given location, relative to the project directory, is unknown by' +
+				' listing the operations it flowed through back to where it became unknown',
+			hint: 'file:line'
+		},
+		'log-level': {
+			abbr: 'l',
+			desc: 'the minimum level of log messages to display [' + logLevels.join(', ') + ']',
+			hint: 'level',
+			default: 'info',
+			values: logLevels
+		}
+	};
+
+// ******** Argument Methods ********
+
+/**
+ * Parses the command line arguments of the analyze command
+ *
+ * @method
+ * @param {Array[String]} args The arguments, not including "analyze"
+ * @returns {Object} The parsed arguments, keyed by the long name of each flag and option. Flags that were not set are
+ *		false, and options that were not set have their default value. The first argument that is not a flag or option
+ *		is stored in 'project-dir'. Invalid arguments, such as unknown options or options that are missing their value,
+ *		don't throw: a message describing each of them is stored in 'errors', which is empty if all arguments were valid
+ */
+exports.parseArguments = parseArguments;
+function parseArguments(args) {
+	var argv = {
+			errors: []
+		},
+		abbreviations = {},
+		arg,
+		name,
+		value,
+		separator,
+		i, len;
+
+	Object.keys(flags).forEach(function (name) {
+		argv[name] = false;
+		if (flags[name].abbr) {
+			abbreviations[flags[name].abbr] = name;
+		}
+	});
+	Object.keys(options).forEach(function (name) {
+		argv[name] = options[name].default;
+		if (options[name].abbr) {
+			abbreviations[options[name].abbr] = name;
+		}
+	});
+
+	for (i = 0, len = args.length; i < len; i++) {
+		arg = args[i];
+		if (arg.indexOf('--') === 0) {
+			name = arg.substring(2);
+			separator = name.indexOf('=');
+			value = undefined;
+			if (separator !== -1) {
+				value = name.substring(separator + 1);
+				name = name.substring(0, separator);
+			}
+		} else if (arg[0] === '-' && arg.length > 1) {
+			name = abbreviations[arg.substring(1)] || arg;
+			value = undefined;
+		} else if (!argv.hasOwnProperty('$projectDir')) {
+			argv.$projectDir = arg;
+			continue;
+		} else {
+			argv.errors.push('Unexpected argument "' + arg + '"');
+			continue;
+		}
+
+		if (flags.hasOwnProperty(name)) {
+			argv[name] = true;
+		} else if (options.hasOwnProperty(name)) {
+			if (value === undefined) {
+				value = args[++i];
+			}
+			if (value === undefined) {
+				argv.errors.push('Missing value for option "--' + name + '"');
+			} else if (options[name].values && options[name].values.indexOf(value) === -1) {
+				argv.errors.push('Invalid value "' + value + '" for option "--' + name + '"');
+			} else {
+				argv[name] = value;
+			}
+		} else {
+			argv.errors.push('Unknown option "' + arg + '"');
+		}
+	}
+
+	if (argv.$projectDir) {
+		if (argv['project-dir']) {
+			argv.errors.push('The project directory can only be specified once');
+		}
+		argv['project-dir'] = argv.$projectDir;
+	}
+	delete argv.$projectDir;
+
+	if (argv['update-baseline'] && !argv.baseline) {
+		argv.errors.push('The --update-baseline flag requires the --baseline option');
+	}
+	if (argv['explain-unknown'] && !/^.+:[0-9]+$/.test(argv['explain-unknown'])) {
+		argv.errors.push('The --explain-unknown option must be in the form "file:line"');
+	}
+
+	return argv;
+}
+
+/**
+ * Generates the usage information for the analyze command
+ *
+ * @method
+ * @returns {String} The usage information
+ */
+exports.getUsage = getUsage;
+function getUsage() {
+	var usage = 'Usage: codeprocessor analyze [<project-dir>] [options]\n\n' +
+			'Analyzes a Titanium project using the Titanium Code Processor, without the Titanium CLI\n\n',
+		lines = [],
+		width;
+
+	function addLine(name, definition, hint) {
+		lines.push([(definition.abbr ? '-' + definition.abbr + ', ' : '    ') + '--' + name + (hint ? ' <' + hint + '>' : ''),
+			definition.desc + (definition.default !== undefined ? ' [default: ' + definition.default + ']' : '')]);
+	}
+
+	Object.keys(flags).forEach(function (name) {
+		addLine(name, flags[name]);
+	});
+	Object.keys(options).forEach(function (name) {
+		addLine(name, options[name], options[name].hint);
+	});
+	width = Math.max.apply(Math, lines.map(function (line) {
+		return line[0].length;
+	}));
+	return usage + lines.map(function (line) {
+		return '  ' + line[0] + new Array(width - line[0].length + 3).join(' ') + line[1];
+	}).join('\n') + '\n';
+}
+
+// ******** Helper Methods ********
+
+/**
+ * @private
+ */
+function createLogger(argv) {
+	var logger = new winston.Logger({
+		levels: {
+			trace: 0,
+			debug: 1,
+			info: 2,
+			notice: 3,
+			warn: 4,
+			error: 5
+		}
+	});
+
+	// Only the report output format is meant for humans, everything else must be parseable
+	if (argv.output === 'report') {
+		logger.add(winston.transports.Console, {
+			level: argv['log-level'],
+			colorize: true
+		});
+	}
+	return logger;
+}
+
+/**
+ * @private
+ */
+function parsePlatforms(platforms) {
+	var errors = [],
+		result = [];
+	(platforms || '').split(',').forEach(function (platform) {
+		platform = platform.trim();
+		platform = platformAliases[platform] || platform;
+		if (!platform) {
+			return;
+		} else if (platformList.indexOf(platform) === -1) {
+			errors.push('Invalid platform: ' + platform);
+		} else if (result.indexOf(platform) === -1) {
+			result.push(platform);
+		}
+	});
+	return {
+		platforms: result,
+		errors: errors
+	};
+}
+
+/**
+ * @private
+ */
+function createOptions(argv) {
+	return {
+		invokeMethods: !argv['no-method-invokation'],
+		evaluateLoops: !argv['no-loop-evaluation'],
+		maxLoopIterations: parseInt(argv['max-loop-iterations'], 10),
+		loopWideningThreshold: parseInt(argv['loop-widening-threshold'], 10),
+		maxRecursionLimit: parseInt(argv['max-recursion-limit'], 10),
+		cycleDetectionStackSize: parseInt(argv['cycle-detection-stack-size'], 10),
+		maxCycles: parseInt(argv['max-cycles'], 10),
+		logConsoleCalls: !argv['no-console-passthrough'],
+		executionTimeLimit: parseInt(argv['execution-time-limit'], 10),
+		exactMode: argv['exact-mode'],
+		nativeExceptionRecovery: !argv['no-native-exception-recovery'],
+		processUnvisitedCode: argv['process-unvisited-code'],
+		determinism: argv.determinism || (argv.seed !== undefined ? 'seeded' : undefined),
+		seed: parseInt(argv.seed, 10) || 0,
+		ambiguityStrategy: argv['ambiguity-strategy'],
+		functionSummaries: !argv['no-function-summaries'],
+		profile: !!argv.profile,
+		resultsPath: argv['results-dir'],
+		cache: argv['no-cache'] ? false : argv['cache-dir'] ? path.resolve(argv['cache-dir']) : true
+	};
+}
+
+/**
+ * Reads the project information from a config file, see "Config File" in the README
+ *
+ * @private
+ */
+function loadConfigFile(argv, logger, callback) {
+	var configFile = argv['config-file'],
+		plugins = {},
+		platform,
+		i, len;
+
+	if (!existsSync(configFile)) {
+		return callback('Could not find config file "' + configFile + '"');
+	}
+	try {
+		configFile = JSON.parse(fs.readFileSync(configFile));
+	} catch(e) {
+		return callback('Could not parse config file: ' + e);
+	}
+	if (typeof configFile.sourceInformation !== 'object' || Array.isArray(configFile.sourceInformation)) {
+		return callback('Source information missing in config file');
+	}
+	if (!configFile.sourceInformation.projectDir) {
+		return callback('Missing project directory in config file');
+	}
+	if (!configFile.sourceInformation.sourceDir) {
+		return callback('Missing source directory in config file');
+	}
+	if (!configFile.sourceInformation.entryPoint) {
+		return callback('Missing entry point in config file');
+	}
+	if (configFile.plugins && !Array.isArray(configFile.plugins)) {
+		return callback('Config "plugins" entry must be an array');
+	}
+	configFile.plugins = configFile.plugins || [];
+
+	if (configFile.logging && configFile.logging.file) {
+		if (logLevels.indexOf(configFile.logging.file.level) === -1) {
+			return callback('Unknown log level "' + configFile.logging.file.level + '"');
+		}
+		logger.add(winston.transports.File, {
+			filename: path.resolve(configFile.logging.file.path),
+			level: configFile.logging.file.level
+		});
+	}
+
+	for (i = 0, len = configFile.plugins.length; i < len; i++) {
+		if (path.basename(configFile.plugins[i].path) === 'ti-api-provider') {
+			platform = configFile.plugins[i].options && configFile.plugins[i].options.platform;
+		}
+	}
+	platform = platform || 'iphone';
+	plugins[platform] = configFile.plugins;
+
+	callback(undefined, {
+		sourceInformation: configFile.sourceInformation,
+		options: configFile.options || {},
+		plugins: plugins,
+		platforms: [platform]
+	});
+}
+
+/**
+ * Reads the project information from the project's tiapp.xml file and the command line arguments
+ *
+ * @private
+ */
+function loadProject(argv, logger, callback) {
+	var projectDir = path.resolve(argv['project-dir'] || '.'),
+		tiappFile = path.join(projectDir, 'tiapp.xml'),
+		sourceInformation = {
+			projectDir: projectDir,
+			sourceDir: path.join(projectDir, 'Resources'),
+			entryPoint: path.join(projectDir, 'Resources', 'app.js')
+		},
+		platforms = parsePlatforms(argv.platform),
+		tiapp;
+
+	if (!existsSync(tiappFile)) {
+		return callback('Could not find "' + tiappFile + '", is "' + projectDir + '" a Titanium project?');
+	}
+	try {
+		tiapp = Tiapp.load(tiappFile);
+	} catch(e) {
+		return callback('Could not parse "' + tiappFile + '": ' + e.message);
+	}
+	if (platforms.errors.length) {
+		return callback(platforms.errors.join('\n'));
+	}
+	platforms = platforms.platforms;
+	if (!platforms.length) {
+		return callback('The --platform option is required. Valid platforms are ' + platformList.join(', '));
+	}
+
+	logger.info('Analyzing project at "' + projectDir + '"');
+
+	CodeProcessor.queryPlugins([], logger, function (err, results) {
+		var pluginList = argv.plugins ? argv.plugins.split(',') : [],
+			plugins = [],
+			sdkPath = argv['sdk-path'] && path.resolve(argv['sdk-path']),
+			manifest,
+			modules = {},
+			options,
+			usesTiAPIProvider,
+			plugin,
+			i, len;
+
+		if (argv['all-plugins']) {
+			for (plugin in results) {
+
+				// The Node.js provider replaces require and can't be used alongside the Titanium API provider
+				if (plugin !== 'node-provider') {
+					pluginList.push(plugin);
+				}
+			}
+		}
+		for (i = 0, len = pluginList.length; i < len; i++) {
+			plugin = pluginList[i];
+			if (plugin in results) {
+				plugins.push({
+					path: results[plugin].path,
+					options: {}
+				});
+				usesTiAPIProvider = usesTiAPIProvider || plugin === 'ti-api-provider';
+			} else {
+				logger.warn('Plugin "' + plugin + '" is unknown');
+			}
+		}
+
+		// Validate the SDK, which is only needed for the Titanium API provider
+		if (usesTiAPIProvider) {
+			if (!sdkPath) {
+				return callback('The --sdk-path option is required when the ti-api-provider plugin is loaded');
+			}
+			if (!existsSync(path.join(sdkPath, 'api.jsca'))) {
+				return callback('Could not find "' + path.join(sdkPath, 'api.jsca') + '"');
+			}
+			try {
+				manifest = JSON.parse(fs.readFileSync(path.join(sdkPath, 'manifest.json')));
+			} catch(e) {
+				return callback('Could not read "' + path.join(sdkPath, 'manifest.json') + '": ' + e.message);
+			}
+			if (tiapp.sdkVersion && manifest.version && tiapp.sdkVersion.indexOf(manifest.version) !== 0) {
+				logger.warn('The project uses SDK ' + tiapp.sdkVersion + ', but the SDK at "' + sdkPath + '" is ' +
+					manifest.version + '. Results may not be accurate');
+			}
+		}
+
+		// Find the modules listed in the tiapp.xml. SDKs are installed in <root>/mobilesdk/<os>/<version> and modules
+		// in <root>/modules, so the SDK's root is searched along with the project
+		if (!tiapp.modules.length) {
+			logger.info('No Titanium Modules required, continuing');
+		} else {
+			logger.info('Searching for ' + tiapp.modules.length + ' Titanium Module' + (tiapp.modules.length === 1 ? '' : 's'));
+		}
+		(function findModules(platformIndex) {
+			var platform = platforms[platformIndex];
+			if (platformIndex === platforms.length || !tiapp.modules.length) {
+				for (i = 0, len = plugins.length; i < len; i++) {
+					if (path.basename(plugins[i].path) === 'ti-api-provider') {
+						plugins[i].options.sdkPath = sdkPath;
+						plugins[i].options.modules = modules;
+						plugins[i].options.tiappProperties = tiapp.properties;
+					}
+				}
+
+				// Alloy projects must be compiled before they are analyzed, since the Alloy hook is not run
+				if (existsSync(path.join(projectDir, 'app'))) {
+					sourceInformation.sourceMapDir = path.join(projectDir, 'build', 'map', 'Resources');
+					sourceInformation.originalSourceDir = path.join(projectDir, 'app');
+				}
+
+				options = createOptions(argv);
+				callback(undefined, {
+					sourceInformation: sourceInformation,
+					options: options,
+					plugins: CodeProcessor.createPlatformPlugins(plugins, platforms, options.resultsPath),
+					platforms: platforms
+				});
+				return;
+			}
+			appc.timodule.find(JSON.parse(JSON.stringify(tiapp.modules)), platform, 'development',
+					manifest && manifest.version, sdkPath ? [path.join(sdkPath, '..', '..', '..'), projectDir] : [projectDir],
+					logger, function (moduleResults) {
+				var problems = [];
+				moduleResults.missing.forEach(function (m) {
+					problems.push('Could not find Titanium Module id: ' + m.id + '\t version: ' + (m.version || 'latest') +
+						'\t platform: ' + m.platform + '\t deploy-type: ' + m.deployType);
+				});
+				moduleResults.incompatible.forEach(function (m) {
+					problems.push('Found incompatible Titanium Module id: ' + m.id + '\t version: ' + (m.version || 'latest') +
+						'\t platform: ' + m.platform + '\t min sdk: ' + m.minsdk);
+				});
+				moduleResults.conflict.forEach(function (m) {
+					problems.push('Titanium module "' + m.id + '" requested for both ' + platform +
+						' and CommonJS platforms, but only one may be used at a time.');
+				});
+				if (problems.length) {
+					return callback(problems.join('\n'));
+				}
+				moduleResults.found.forEach(function (module) {
+					var modulePlatform = module.platform[0];
+					if (!modules[modulePlatform]) {
+						modules[modulePlatform] = {};
+					}
+					modules[modulePlatform][module.id] = module.modulePath;
+				});
+				findModules(platformIndex + 1);
+			});
+		})(0);
+	});
+}
+
+// ******** Command Methods ********
+
+/**
+ * Runs the analyze command
+ *
+ * @method
+ * @param {Array[String]} args The command line arguments, not including "analyze"
+ * @param {Function} callback Called once the project has been analyzed (or, with --watch and --wait, once the process
+ *		should exit), with the exit code for the process. The exit code is non-zero if the arguments were invalid, or if
+ *		a baseline was given and there are errors or warnings that are not in it
+ */
+exports.run = run;
+function run(args, callback) {
+	var argv = parseArguments(args),
+		logger;
+
+	if (argv.help) {
+		console.log(getUsage());
+		return callback(0);
+	}
+	if (argv.errors.length) {
+		console.error(argv.errors.join('\n') + '\n\n' + getUsage());
+		return callback(1);
+	}
+
+	logger = createLogger(argv);
+	if (argv.output === 'report') {
+		console.log('Titanium Code Processor version ' + require('../package.json').version + '\n' +
+			'Copyright (c) 2012-2013, Appcelerator, Inc.  All Rights Reserved.\n');
+	}
+
+	(argv['config-file'] ? loadConfigFile : loadProject)(argv, logger, function (err, project) {
+		var sourceInformation,
+			analysisOptions;
+
+		function finish(baselineResults) {
+			var stdin = process.stdin;
+			if (argv.watch) {
+				watchProject(sourceInformation, analysisOptions, project.plugins[project.platforms[0]], logger);
+			} else if (argv.wait) {
+				stdin.setRawMode && stdin.setRawMode(true);
+				stdin.resume();
+				stdin.setEncoding('utf8');
+
+				// Exit on any data passed to stdin
+				stdin.once('data', function () {
+					stdin.pause();
+					callback(baselineResults && baselineResults.numNew ? 1 : 0);
+				});
+			} else {
+				callback(baselineResults && baselineResults.numNew ? 1 : 0);
+			}
+		}
+
+		if (err) {
+			console.error(err);
+			return callback(1);
+		}
+		sourceInformation = project.sourceInformation;
+		analysisOptions = project.options;
+
+		if (!existsSync(sourceInformation.projectDir)) {
+			console.error('Could not find project directory "' + sourceInformation.projectDir + '"');
+			return callback(1);
+		}
+		if (!existsSync(sourceInformation.sourceDir)) {
+			console.error('Could not find source directory "' + sourceInformation.sourceDir + '"');
+			return callback(1);
+		}
+		if (!existsSync(sourceInformation.entryPoint)) {
+			console.error('Could not find entry point "' + sourceInformation.entryPoint + '"');
+			return callback(1);
+		}
+		if (argv.watch && project.platforms.length > 1) {
+			console.error('The --watch flag can only be used with a single platform');
+			return callback(1);
+		}
+		if (argv['explain-unknown'] && project.platforms.length > 1) {
+			console.error('The --explain-unknown option can only be used with a single platform');
+			return callback(1);
+		}
+
+		analysisOptions.outputFormat = argv.output;
+		if (argv.baseline) {
+			analysisOptions.baseline = path.resolve(argv.baseline);
+			analysisOptions.updateBaseline = argv['update-baseline'];
+		}
+		if (argv['explain-unknown']) {
+			analysisOptions.explainUnknown = argv['explain-unknown'];
+		}
+
+		if (project.platforms.length > 1) {
+			CodeProcessor.runPlatforms(sourceInformation, analysisOptions, project.plugins, logger, function (err, results) {
+				if (err) {
+					console.error(err.message);
+					return callback(1);
+				}
+				finish(results.baseline);
+			});
+		} else {
+			CodeProcessor.run(sourceInformation, analysisOptions, project.plugins[project.platforms[0]], logger,
+					function (err, results) {
+				if (err) {
+					console.error(err.message);
+					return callback(1);
+				}
+				finish(results.baseline);
+			});
+		}
+	});
+}
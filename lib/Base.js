@@ -17,6 +17,8 @@
  */
 /*global
 throwNativeException,
+recordStateChange,
+recordStateRead,
 cloneUndefined,
 cloneNull,
 cloneString,
@@ -40,6 +42,26 @@ var util = require('util'),
 
 	throwTypeError,
 
+	randomState,
+	virtualTime,
+	promiseJobQueue,
+	VIRTUAL_CLOCK_EPOCH = Date.UTC(2013, 0, 1),
+
+	// The longest chain of operations kept in the provenance of an unknown value, and the most origins it keeps
+	MAX_PROVENANCE_DEPTH = 32,
+	MAX_PROVENANCE_ORIGINS = 10,
+
+	// The state journals of the branches being evaluated, and the serial number of the last object or environment created
+	journalStack = [],
+	stateSerial = 0,
+
+	// The branches of conditionals with unknown conditions that the code being evaluated is in, outermost first
+	unknownBranchStack = [],
+
+	// The recorders of the function summaries being created, and how many calls did and did not reuse a summary
+	summaryStack = [],
+	functionSummaryStats,
+
 	positiveIntegerRegEx = /^\d*$/,
 
 	prototypes = {};
@@ -107,6 +129,23 @@ function sameValue(x, y) {
 	return x === y;
 }
 
+/**
+ * Checks if two values are the same, treating NaN as equal to itself and +0 as equal to -0
+ *
+ * @method
+ * @private
+ * @param {module:Base.BaseType} x The first type
+ * @param {module:Base.BaseType} y The second type
+ * @returns {Boolean} Whether or not the values are the same
+ * @see ECMA-262 6th Edition Chapter 7.2.10
+ */
+function sameValueZero(x, y) {
+	if (x && y && x.type === 'Number' && y.type === 'Number' && isNaN(x.value) && isNaN(y.value)) {
+		return true;
+	}
+	return sameValue(x, y);
+}
+
 /**
  * Checks if any of the supplied values are unknown
  *
@@ -274,6 +313,9 @@ BaseType.prototype._updateClosure = function (targetClosure) {
 BaseType.prototype._lookupProperty = function (p) {
 	var i, len;
 	p = p.toString();
+	if (summaryStack.length) {
+		recordStateRead(this, 'property', p);
+	}
 	for (i = 0, len = this._properties.length; i < len; i++) {
 		if (this._properties[i]._name === p) {
 			return this._properties[i];
@@ -288,6 +330,7 @@ BaseType.prototype._lookupProperty = function (p) {
  */
 BaseType.prototype._addProperty = function (p, desc) {
 	p = p.toString();
+	recordStateChange(this, 'property', p);
 	desc._name = p;
 	this._removeProperty(p);
 	this._properties.push(desc);
@@ -301,6 +344,7 @@ BaseType.prototype._addProperty = function (p, desc) {
 BaseType.prototype._removeProperty = function (p) {
 	var i, len;
 	p = p.toString();
+	recordStateChange(this, 'property', p);
 	for (i = 0, len = this._properties.length; i < len; i++) {
 		if (this._properties[i]._name === p) {
 			this._properties.splice(i, 1);
@@ -317,6 +361,9 @@ BaseType.prototype._removeProperty = function (p) {
 BaseType.prototype._getPropertyNames = function () {
 	var i, len,
 		properties = [];
+	if (summaryStack.length) {
+		recordStateRead(this, 'names', '');
+	}
 	for (i = 0, len = this._properties.length; i < len; i++) {
 		properties[i] = this._properties[i]._name;
 	}
@@ -326,7 +373,12 @@ BaseType.prototype._getPropertyNames = function () {
 /*global
 util,
 Runtime,
-BaseType
+BaseType,
+prototypes,
+type,
+getAmbiguousBlockCause,
+MAX_PROVENANCE_DEPTH,
+MAX_PROVENANCE_ORIGINS
 */
 
 /*****************************************
@@ -353,9 +405,586 @@ function UnknownType(className) {
 	}
 	BaseType.call(this, className || 'Unknown');
 	this.type = 'Unknown';
+	this.provenance = {
+		location: currentLocation
+	};
 }
 util.inherits(UnknownType, BaseType);
 
+/*****************************************
+ *
+ * Unknown Type Information
+ *
+ *****************************************/
+
+/**
+ * Describes what is known about the type of a value whose content is unknown, such as "some String" or "some Number in
+ * [0, Infinity)". Type information forms a lattice: an undefined type information is the top of the lattice and means
+ * that the value could be anything, and {@link module:Base.joinTypeInfo} finds the most specific type information
+ * that describes two values.
+ *
+ * @typedef {Object} module:Base.TypeInfo
+ * @property {String} type The type of the value, one of 'Undefined', 'Null', 'Boolean', 'Number', 'String', or 'Object'
+ * @property {String} [className] The class of an object, such as 'Array', 'Function', or 'Titanium.UI.View'
+ * @property {Number} [min] The smallest value a number can have, if it is known
+ * @property {Number} [max] The largest value a number can have, if it is known
+ * @property {Boolean} [integer] Whether or not a number is known to be an integer
+ * @property {module:Base.TypeInfo} [elementType] The type of the elements of an array
+ * @property {module:Base.TypeInfo} [returnType] The type of the value returned by a function
+ */
+
+/**
+ * Creates an unknown value whose content is unknown, but whose type may be known
+ *
+ * @method
+ * @name module:Base.createTypedUnknown
+ * @param {module:Base.TypeInfo} [typeInfo] What is known about the type of the value. If omitted, the value could be
+ *		anything, same as <code>new UnknownType()</code>
+ * @param {module:Base.UnknownType} [source] The unknown value that the new value was converted or copied from, if any.
+ *		The new value shares the provenance of the source
+ * @returns {module:Base.UnknownType} The new unknown value
+ */
+exports.createTypedUnknown = createTypedUnknown;
+function createTypedUnknown(typeInfo, source) {
+	var value = new UnknownType();
+	if (typeInfo) {
+		value.typeInfo = typeInfo;
+	}
+	if (source && source.provenance) {
+		value.provenance = source.provenance;
+	}
+	return value;
+}
+
+/**
+ * Gets the type information for a value. Known values have exact type information, e.g. a number's range is just the
+ * number itself.
+ *
+ * @method
+ * @name module:Base.getTypeInfo
+ * @param {module:Base.BaseType} [value] The value to get the type information for
+ * @returns {module:Base.TypeInfo|undefined} The type information, or undefined if nothing is known about the value
+ */
+exports.getTypeInfo = getTypeInfo;
+function getTypeInfo(value) {
+	if (!value) {
+		return;
+	}
+	switch(value.type) {
+		case 'Unknown':
+			return value.typeInfo;
+		case 'Undefined':
+		case 'Null':
+		case 'Boolean':
+		case 'String':
+			return { type: value.type };
+		case 'Number':
+			if (isNaN(value.value)) {
+				return { type: 'Number' };
+			}
+			return {
+				type: 'Number',
+				min: value.value,
+				max: value.value,
+				integer: value.value % 1 === 0
+			};
+		case 'Object':
+			return {
+				type: 'Object',
+				className: value.className
+			};
+	}
+}
+
+/**
+ * Joins two type informations, creating the most specific type information that describes values of either type
+ *
+ * @method
+ * @name module:Base.joinTypeInfo
+ * @param {module:Base.TypeInfo} [x] The first type information
+ * @param {module:Base.TypeInfo} [y] The second type information
+ * @returns {module:Base.TypeInfo|undefined} The joined type information, or undefined if the types have nothing in
+ *		common
+ */
+exports.joinTypeInfo = joinTypeInfo;
+function joinTypeInfo(x, y) {
+	var joined;
+	if (!x || !y || x.type !== y.type) {
+		return;
+	}
+	joined = { type: x.type };
+	if (x.type === 'Number') {
+		if (typeof x.min === 'number' && typeof y.min === 'number') {
+			joined.min = Math.min(x.min, y.min);
+			joined.max = Math.max(x.max, y.max);
+		}
+		if (x.integer && y.integer) {
+			joined.integer = true;
+		}
+	} else if (x.type === 'Object' && x.className === y.className) {
+		joined.className = x.className;
+		if (x.elementType && y.elementType) {
+			joined.elementType = joinTypeInfo(x.elementType, y.elementType);
+		}
+		if (x.returnType && y.returnType) {
+			joined.returnType = joinTypeInfo(x.returnType, y.returnType);
+		}
+	}
+	return joined;
+}
+
+/**
+ * Creates a human readable description of a type information, e.g. "some Array of String"
+ *
+ * @method
+ * @name module:Base.describeTypeInfo
+ * @param {module:Base.TypeInfo} [typeInfo] The type information to describe
+ * @returns {String} The description
+ */
+exports.describeTypeInfo = describeTypeInfo;
+function describeTypeInfo(typeInfo) {
+	var description;
+
+	function describeName(typeInfo) {
+		return typeInfo.type === 'Object' ? typeInfo.className || 'Object' : typeInfo.type;
+	}
+
+	if (!typeInfo) {
+		return 'unknown';
+	}
+	description = 'some ' + (typeInfo.integer ? 'integer ' : '') + describeName(typeInfo);
+	if (typeof typeInfo.min === 'number') {
+		description += ' in ' + (isFinite(typeInfo.min) ? '[' : '(') + typeInfo.min + ', ' + typeInfo.max +
+			(isFinite(typeInfo.max) ? ']' : ')');
+	}
+	if (typeInfo.elementType) {
+		description += ' of ' + describeName(typeInfo.elementType);
+	}
+	if (typeInfo.returnType) {
+		description += ' returning ' + describeName(typeInfo.returnType);
+	}
+	return description;
+}
+
+/**
+ * Gets the result of the typeof operator for an unknown value, if its type is known well enough
+ *
+ * @method
+ * @name module:Base.getUnknownTypeof
+ * @param {module:Base.UnknownType} value The unknown value
+ * @returns {String|undefined} The result of the typeof operator, or undefined if it can't be determined
+ */
+exports.getUnknownTypeof = getUnknownTypeof;
+function getUnknownTypeof(value) {
+	var typeInfo = value.typeInfo;
+	if (!typeInfo) {
+		return;
+	}
+	switch(typeInfo.type) {
+		case 'Null':
+			return 'object';
+		case 'Object':
+			if (typeInfo.className === 'Function') {
+				return 'function';
+			}
+			return typeInfo.className ? 'object' : undefined;
+		default:
+			return typeInfo.type.toLowerCase();
+	}
+}
+
+/**
+ * Gets the value of a property of an unknown value. If the type of the value is known, the built-in properties and
+ * methods for that type are used to determine the type of the property, e.g. the "length" of an unknown string is
+ * some integer Number in [0, Infinity), and the "split" method of an unknown string is a function returning some Array
+ * of String.
+ *
+ * @method
+ * @name module:Base.getUnknownProperty
+ * @param {module:Base.UnknownType} value The unknown value
+ * @param {String} p The name of the property
+ * @returns {module:Base.UnknownType} The value of the property
+ */
+exports.getUnknownProperty = getUnknownProperty;
+function getUnknownProperty(value, p) {
+	var typeInfo = value.typeInfo,
+		className,
+		descriptor;
+	if (!typeInfo) {
+		return new UnknownType();
+	}
+	className = typeInfo.type === 'Object' ? typeInfo.className : typeInfo.type;
+
+	// Strings and arrays have their own length and index properties
+	if (className === 'String' || className === 'Array') {
+		if (p === 'length') {
+			return createTypedUnknown({ type: 'Number', min: 0, max: Infinity, integer: true });
+		}
+		if (/^(0|[1-9][0-9]*)$/.test(p)) {
+			return createTypedUnknown(className === 'String' ? { type: 'String' } : typeInfo.elementType);
+		}
+	}
+
+	// Look up the property on the built-in prototype for the type
+	if (!className || !prototypes.hasOwnProperty(className)) {
+		return new UnknownType();
+	}
+	descriptor = prototypes[className].getProperty(p);
+	if (descriptor && descriptor.get) {
+		return createTypedUnknown(getResultTypeInfo(descriptor.get, typeInfo));
+	}
+	if (!descriptor || !descriptor.value || !descriptor.value.callFunction) {
+		return new UnknownType();
+	}
+	return createTypedUnknown({
+		type: 'Object',
+		className: 'Function',
+		returnType: getResultTypeInfo(descriptor.value, typeInfo)
+	});
+}
+
+/**
+ * Gets the type of the result of calling a built-in function, as declared by the function's "_resultType" property. The
+ * result type is either a type information, or a function that takes the type information of the this value and
+ * returns the type information of the result, for methods whose result depends on the this value.
+ *
+ * @method
+ * @name module:Base.getResultTypeInfo
+ * @param {module:Base.FunctionTypeBase} func The function being called
+ * @param {module:Base.TypeInfo} [thisTypeInfo] The type information of the this value
+ * @returns {module:Base.TypeInfo|undefined} The type information of the result, if it is known
+ */
+exports.getResultTypeInfo = getResultTypeInfo;
+function getResultTypeInfo(func, thisTypeInfo) {
+	var resultType = func._resultType;
+	return typeof resultType === 'function' ? resultType(thisTypeInfo) : resultType;
+}
+
+/**
+ * Creates the unknown value that is stored in place of an existing value when the new value is unknown, or when the
+ * write may or may not happen (i.e. in an ambiguous block or context). A write that may not happen keeps only the type
+ * that the old and new values have in common, and becomes an origin of unknown values, since this is where the value
+ * stopped being known. Its provenance links to the unknown conditions that made the block ambiguous.
+ *
+ * @method
+ * @name module:Base.createUnknownWrite
+ * @param {module:Base.BaseType} [oldValue] The value being replaced, if there is one
+ * @param {module:Base.BaseType} newValue The value being written
+ * @param {Boolean} isConditional Whether or not the write may not happen
+ * @returns {module:Base.UnknownType} The unknown value to store
+ */
+exports.createUnknownWrite = createUnknownWrite;
+function createUnknownWrite(oldValue, newValue, isConditional) {
+	var value,
+		cause;
+	if (isConditional) {
+		cause = getAmbiguousBlockCause();
+		value = createUnknownOrigin(cause.reason, joinTypeInfo(getTypeInfo(oldValue), getTypeInfo(newValue)),
+			[oldValue, newValue].concat(cause.conditions));
+	} else {
+		value = createTypedUnknown(getTypeInfo(newValue), newValue);
+	}
+	recordProvenanceOrigins(value.provenance);
+	return value;
+}
+
+/**
+ * Gets the type information for the result of a binary operator when at least one of the operands is unknown. This is
+ * also used for compound assignments, e.g. "+=".
+ *
+ * @method
+ * @name module:Base.getBinaryOperatorTypeInfo
+ * @param {String} operator The operator, e.g. '+' or '==='
+ * @param {module:Base.BaseType} leftValue The value of the left operand
+ * @param {module:Base.BaseType} [rightValue] The value of the right operand, if it was evaluated
+ * @returns {module:Base.TypeInfo|undefined} The type information of the result, if it is known
+ */
+exports.getBinaryOperatorTypeInfo = getBinaryOperatorTypeInfo;
+function getBinaryOperatorTypeInfo(operator, leftValue, rightValue) {
+	var leftTypeInfo = getTypeInfo(leftValue),
+		rightTypeInfo = getTypeInfo(rightValue);
+
+	function isNumeric(typeInfo) {
+		return typeInfo && ['Undefined', 'Null', 'Boolean', 'Number'].indexOf(typeInfo.type) !== -1;
+	}
+
+	// The range of a sum or difference can be computed from the ranges of its operands, if they are known
+	function getSumTypeInfo() {
+		var typeInfo = { type: 'Number' };
+		if (leftTypeInfo && rightTypeInfo && typeof leftTypeInfo.min === 'number' &&
+				typeof rightTypeInfo.min === 'number') {
+			if (operator === '+') {
+				typeInfo.min = leftTypeInfo.min + rightTypeInfo.min;
+				typeInfo.max = leftTypeInfo.max + rightTypeInfo.max;
+			} else {
+				typeInfo.min = leftTypeInfo.min - rightTypeInfo.max;
+				typeInfo.max = leftTypeInfo.max - rightTypeInfo.min;
+			}
+			if (isNaN(typeInfo.min) || isNaN(typeInfo.max)) {
+				return { type: 'Number' };
+			}
+			if (leftTypeInfo.integer && rightTypeInfo.integer) {
+				typeInfo.integer = true;
+			}
+		}
+		return typeInfo;
+	}
+
+	switch(operator) {
+		case '-':
+			return getSumTypeInfo();
+		case '*':
+		case '/':
+		case '%':
+			return { type: 'Number' };
+		case '<<':
+		case '>>':
+		case '&':
+		case '|':
+		case '^':
+			return { type: 'Number', min: -2147483648, max: 2147483647, integer: true };
+		case '>>>':
+			return { type: 'Number', min: 0, max: 4294967295, integer: true };
+		case '+':
+			if ((leftTypeInfo && leftTypeInfo.type === 'String') || (rightTypeInfo && rightTypeInfo.type === 'String')) {
+				return { type: 'String' };
+			}
+			if (isNumeric(leftTypeInfo) && isNumeric(rightTypeInfo)) {
+				return getSumTypeInfo();
+			}
+			return;
+		case '&&':
+		case '||':
+			return joinTypeInfo(leftTypeInfo, rightTypeInfo);
+		default:
+			return { type: 'Boolean' };
+	}
+}
+
+/*****************************************
+ *
+ * Unknown Provenance
+ *
+ *****************************************/
+
+/**
+ * Describes why a value is unknown. Every unknown value has a provenance. The provenance of a value that became
+ * unknown on its own, e.g. the result of Math.random() or a value written in an ambiguous block, is an origin and
+ * has a reason. The provenance of a value that was computed from other unknown values, e.g. the sum of an unknown
+ * number and 1, has the operation that computed it and the provenances of the unknown values it was computed from.
+ *
+ * @typedef {Object} module:Base.Provenance
+ * @property {String} [reason] Why the value became unknown, e.g. 'Math.random' or 'loop iteration limit'. Values
+ *		created with <code>new UnknownType()</code> don't have a reason
+ * @property {String} [operation] The operation that computed the value from other unknown values, e.g. 'operator "+"'
+ * @property {Object} location The location where the value became unknown or was computed, containing 'filename',
+ *		'line', and 'column' entries
+ * @property {Array[module:Base.Provenance]} [sources] The provenances of the unknown values this value was computed
+ *		from, if any
+ * @property {Array[module:Base.Provenance]} [origins] The origins that this value was computed from, if it was computed
+ *		from other unknown values
+ * @property {Boolean} [truncated] Whether or not the operations between this value and its origins were too long to
+ *		keep, in which case the sources are the origins themselves
+ */
+
+/**
+ * Creates an unknown value that became unknown on its own, for a reason other than the values it was computed from
+ *
+ * @method
+ * @name module:Base.createUnknownOrigin
+ * @param {String} reason Why the value is unknown, e.g. 'Math.random' or 'unknown callback argument'
+ * @param {module:Base.TypeInfo} [typeInfo] What is known about the type of the value
+ * @param {Array[module:Base.BaseType]} [sources] The values that led to the value being unknown, such as the condition
+ *		of an ambiguous branch. Known values are ignored
+ * @returns {module:Base.UnknownType} The new unknown value
+ */
+exports.createUnknownOrigin = createUnknownOrigin;
+function createUnknownOrigin(reason, typeInfo, sources) {
+	var value = createTypedUnknown(typeInfo);
+	value.provenance.reason = reason;
+	if (sources) {
+		linkProvenance(value.provenance, sources);
+	}
+	return value;
+}
+
+/**
+ * Records that an unknown value was computed from other values by an operation. If none of the source values are
+ * unknown, the value keeps its current provenance.
+ *
+ * @method
+ * @name module:Base.deriveUnknown
+ * @param {module:Base.BaseType} value The computed value. Nothing is recorded if it is not unknown
+ * @param {String} operation The operation that computed the value, e.g. 'operator "+"' or 'property "length"'
+ * @param {Array[module:Base.BaseType]} sources The values the value was computed from. Known values are ignored
+ * @returns {module:Base.BaseType} The value
+ */
+exports.deriveUnknown = deriveUnknown;
+function deriveUnknown(value, operation, sources) {
+	var provenance = {
+			operation: operation,
+			location: Runtime.getCurrentLocation()
+		};
+	if (type(value) !== 'Unknown' || !linkProvenance(provenance, sources)) {
+		return value;
+	}
+
+	// Repeating the same operation in the same place, e.g. in a loop, doesn't add anything to the chain
+	if (provenance.sources.length === 1 && provenance.sources[0].operation === operation &&
+			isSameLocation(provenance.sources[0].location, provenance.location)) {
+		provenance = provenance.sources[0];
+	}
+
+	value.provenance = provenance;
+	return value;
+}
+
+/**
+ * Gets the origins of an unknown value, i.e. the places where the value, or the values it was computed from, became
+ * unknown
+ *
+ * @method
+ * @name module:Base.getProvenanceOrigins
+ * @param {module:Base.Provenance} provenance The provenance of the value
+ * @returns {Array[module:Base.Provenance]} The provenances of the origins
+ */
+exports.getProvenanceOrigins = getProvenanceOrigins;
+function getProvenanceOrigins(provenance) {
+	return provenance.reason || !provenance.origins ? [provenance] : provenance.origins;
+}
+
+/**
+ * Flattens the provenance of an unknown value into a list of steps, starting with the value itself and working back to
+ * its origins. Each step is indented one level deeper than the step it explains.
+ *
+ * @method
+ * @name module:Base.explainProvenance
+ * @param {module:Base.Provenance} provenance The provenance to explain
+ * @returns {Array[Object]} The steps, each containing a 'description', 'filename', 'line', 'column', and 'depth'
+ */
+exports.explainProvenance = explainProvenance;
+function explainProvenance(provenance) {
+	var steps = [],
+		visited = [];
+
+	function explain(provenance, depth) {
+		var description,
+			i, len;
+		if (provenance.reason) {
+			description = provenance.reason;
+		} else if (provenance.operation) {
+			description = provenance.operation;
+		} else {
+			description = 'unknown value';
+		}
+		if (visited.indexOf(provenance) !== -1) {
+			description += ' (see above)';
+		}
+		steps.push({
+			description: description,
+			filename: provenance.location.filename,
+			line: provenance.location.line,
+			column: provenance.location.column,
+			depth: depth
+		});
+		if (visited.indexOf(provenance) === -1) {
+			visited.push(provenance);
+			if (provenance.truncated) {
+				steps.push({
+					description: 'more operations than can be shown',
+					filename: provenance.location.filename,
+					line: provenance.location.line,
+					column: provenance.location.column,
+					depth: depth + 1
+				});
+				depth++;
+			}
+			for (i = 0, len = (provenance.sources || []).length; i < len; i++) {
+				explain(provenance.sources[i], depth + 1);
+			}
+		}
+	}
+
+	explain(provenance, 0);
+	return steps;
+}
+
+/**
+ * Links a provenance to the provenances of the unknown values it was computed from, and records the origins of those
+ * values as used. Chains that get too long are cut short, linking directly to the origins instead.
+ *
+ * @private
+ * @param {module:Base.Provenance} provenance The provenance to link
+ * @param {Array[module:Base.BaseType]} sources The values the value was computed from. Known values are ignored
+ * @returns {Boolean} Whether or not any of the sources were unknown
+ */
+function linkProvenance(provenance, sources) {
+	var sourceProvenances = [],
+		origins = [],
+		depth = 0,
+		sourceProvenance,
+		sourceOrigins,
+		i, ilen, j, jlen;
+	for (i = 0, ilen = sources.length; i < ilen; i++) {
+		sourceProvenance = sources[i] && type(sources[i]) === 'Unknown' && sources[i].provenance;
+		if (sourceProvenance && sourceProvenances.indexOf(sourceProvenance) === -1) {
+			sourceProvenances.push(sourceProvenance);
+			recordProvenanceOrigins(sourceProvenance);
+			depth = Math.max(depth, (sourceProvenance.depth || 0) + 1);
+			sourceOrigins = getProvenanceOrigins(sourceProvenance);
+			for (j = 0, jlen = sourceOrigins.length; j < jlen && origins.length < MAX_PROVENANCE_ORIGINS; j++) {
+				if (origins.indexOf(sourceOrigins[j]) === -1) {
+					origins.push(sourceOrigins[j]);
+				}
+			}
+		}
+	}
+	if (!sourceProvenances.length) {
+		return false;
+	}
+	if (depth > MAX_PROVENANCE_DEPTH) {
+		sourceProvenances = origins;
+		depth = 1;
+		provenance.truncated = true;
+	}
+	provenance.sources = sourceProvenances;
+	provenance.origins = origins;
+	provenance.depth = depth;
+	return true;
+}
+
+/**
+ * Records the origins of an unknown value with the runtime the first time the value is used, so that the origins
+ * of unknown values can be reported. Values that are created but never used, such as the properties of a Titanium
+ * object that are never read, are not reported.
+ *
+ * @private
+ * @param {module:Base.Provenance} provenance The provenance of the value being used
+ */
+function recordProvenanceOrigins(provenance) {
+	var origins = getProvenanceOrigins(provenance),
+		i, len;
+	for (i = 0, len = origins.length; i < len; i++) {
+		// Values created before any code ran, such as the Titanium API values created by plugins, are attributed to
+		// the code that first uses them, so they aren't recorded until then
+		if (!origins[i].recorded && !origins[i].location.filename) {
+			origins[i].location = Runtime.getCurrentLocation();
+		}
+		if (!origins[i].recorded && origins[i].location.filename) {
+			origins[i].recorded = true;
+			Runtime.recordUnknownOrigin(origins[i].reason || 'unknown value', origins[i].location);
+		}
+	}
+}
+
+/**
+ * @private
+ */
+function isSameLocation(x, y) {
+	return x.filename === y.filename && x.line === y.line && x.column === y.column;
+}
+
+
 /*global
 util,
 BaseType
@@ -573,7 +1202,7 @@ StringType.prototype._lookupProperty = function _lookupProperty(p) {
 	index = +p;
 
 	// Step 4
-	if (Math.abs(index) + '' !== p) {
+	if (Math.abs(index) + '' !== p + '') {
 		return;
 	}
 
@@ -615,6 +1244,8 @@ BaseType,
 prototypes,
 util,
 UnknownType,
+createUnknownWrite,
+createUnknownOrigin,
 handleRecoverableNativeException,
 isPrimitive,
 sameValue,
@@ -628,7 +1259,9 @@ ArrayPrototypeType,
 FunctionPrototypeType,
 RegExpPrototypeType,
 DatePrototypeType,
-ErrorPrototypeType
+ErrorPrototypeType,
+getStateSerial,
+recordStateChange
 */
 
 /*****************************************
@@ -814,6 +1447,11 @@ function ObjectType(className, value, dontCreatePrototype) {
 	this.type = 'Object';
 
 	this._properties = [];
+	this._serial = getStateSerial();
+
+	// Set once properties may have been added whose names aren't known, e.g. by a push onto an array whose length is
+	// unknown. It is never cleared, even if the branch that set it is undone, which only makes the object less precise.
+	this._hasUnknownProperties = false;
 }
 util.inherits(ObjectType, BaseType);
 
@@ -833,7 +1471,8 @@ util.inherits(ObjectType, BaseType);
  * @name module:Base.ObjectType#get
  * @param {String} p The name of the property to fetch
  * @returns {{@link module:Base.BaseType}} The value of the property, or a new instance of
- *		{@link module:Base.UndefinedType} if the property does not exist
+ *		{@link module:Base.UndefinedType} if the property does not exist, or an unknown value if it does not exist but
+ *		the object has properties whose names are unknown
  * @see ECMA-262 Spec Chapter 8.12.3
  */
 ObjectType.prototype.get = function get(p) {
@@ -846,6 +1485,8 @@ ObjectType.prototype.get = function get(p) {
 		} else {
 			result = desc.get && desc.get.className !== 'Undefined' ? desc.get.callFunction(this) : new UndefinedType();
 		}
+	} else if (this._hasUnknownProperties) {
+		result = createUnknownOrigin('unknown property "' + p + '"');
 	}
 
 	this.fireEvent('propertyReferenced', 'Property "' + p + '" was referenced', {
@@ -1159,11 +1800,21 @@ ObjectType.prototype.defineOwnProperty = function defineOwnProperty(p, desc, thr
 		descKeys = Object.keys(desc),
 		i;
 
+	// The current descriptor may be changed in place below, so it has to be recorded first
+	recordStateChange(this, 'property', p);
+
 	if (isDataDescriptor(desc)) {
 		desc.value = desc.value || new UndefinedType();
 		desc.value._updateClosure(this._closure);
 		if (type(desc.value) === 'Unknown' || !desc.value._isLocal() || isAmbiguousBlock()) {
 			newProp = new DataPropertyDescriptor();
+
+			// Keep the attributes of the property being replaced, so that it can still be written to afterwards
+			if (isDataDescriptor(current)) {
+				newProp.configurable = current.configurable;
+				newProp.enumerable = current.enumerable;
+				newProp.writable = current.writable;
+			}
 			if (isDefined(desc.configurable)) {
 				newProp.configurable = desc.configurable;
 			}
@@ -1173,7 +1824,8 @@ ObjectType.prototype.defineOwnProperty = function defineOwnProperty(p, desc, thr
 			if (isDefined(desc.writable)) {
 				newProp.writable = desc.writable;
 			}
-			newProp.value = new UnknownType();
+			newProp.value = createUnknownWrite(current && current.value, desc.value,
+				!desc.value._isLocal() || isAmbiguousBlock());
 			this._addProperty(p, newProp);
 			return true;
 		}
@@ -1485,6 +2137,7 @@ NumberType,
 handleRecoverableNativeException,
 type,
 UnknownType,
+createUnknownOrigin,
 throwNativeException,
 throwTypeError,
 createFunctionContext,
@@ -1495,7 +2148,12 @@ isAmbiguousBlock,
 exitContext,
 getModuleContext,
 cloneValue,
-cloneDescriptor
+cloneDescriptor,
+findFunctionSummary,
+applyFunctionSummary,
+startFunctionSummary,
+stopFunctionSummary,
+saveFunctionSummary
 */
 
 /*****************************************
@@ -1624,6 +2282,8 @@ FunctionTypeBase.prototype.hasInstance = function hasInstance(v) {
 exports.FunctionType = FunctionType;
 function FunctionType(formalParameterList, ast, lexicalEnvironment, strict, className) {
 
+	var lastArgument;
+
 	// Steps 3 (implicit), 4, 13, 14, and 15 covered in the parent constructor
 	FunctionTypeBase.call(this, formalParameterList ? formalParameterList.length : 0, className);
 
@@ -1637,6 +2297,12 @@ function FunctionType(formalParameterList, ast, lexicalEnvironment, strict, clas
 	this.code = ast && ast.body;
 	this._ast = ast;
 
+	// Store the name of the rest parameter, if there is one, which is not included in the formal parameters
+	lastArgument = ast && ast.argnames && ast.argnames[ast.argnames.length - 1];
+	if (lastArgument && lastArgument.TYPE === 'SymbolRest') {
+		this.restParameter = lastArgument.name;
+	}
+
 	// Store whether or not this is strict mode for easy access later
 	this.strict = strict;
 
@@ -1669,7 +2335,8 @@ util.inherits(FunctionType, FunctionTypeBase);
 // ******** Function Type Class ********
 
 /**
- * Calls the function
+ * Calls the function. If the function was called before with the same arguments, and nothing it read has changed since,
+ * the summary of the previous call is reused instead of evaluating the body again.
  *
  * @method
  * @name module:Base.FunctionType#callFunction
@@ -1684,9 +2351,11 @@ FunctionType.prototype.callFunction = function callFunction(thisVal, args, optio
 
 	var funcCtx,
 		result,
+		summary,
+		recorder,
 		i, j,
 		len,
-		inAmbiguousBlock = isAmbiguousBlock();
+		isAmbiguousContext = !!(options && options.isAmbiguousContext) || isAmbiguousBlock();
 
 	function skippedNodeCallback (node) {
 		node._skipped = !node._visited;
@@ -1694,9 +2363,12 @@ FunctionType.prototype.callFunction = function callFunction(thisVal, args, optio
 
 	if (!Runtime.options.invokeMethods && !(options && options.alwaysInvoke)) {
 		result = new UnknownType();
+	} else if (summary = findFunctionSummary(this, thisVal, args || [], isAmbiguousContext)) {
+		result = applyFunctionSummary(summary);
 	} else {
+		recorder = startFunctionSummary(this, thisVal, args || [], isAmbiguousContext);
 		funcCtx = createFunctionContext(this, thisVal, args || []);
-		funcCtx.lexicalEnvironment._ambiguousContext = !!(options && options.isAmbiguousContext) || inAmbiguousBlock;
+		funcCtx.lexicalEnvironment._ambiguousContext = isAmbiguousContext;
 
 		// Execute the function body
 		try {
@@ -1721,6 +2393,7 @@ FunctionType.prototype.callFunction = function callFunction(thisVal, args, optio
 		} finally {
 			// Exit the context
 			exitContext();
+			stopFunctionSummary(recorder);
 		}
 
 		// Process the results
@@ -1730,7 +2403,8 @@ FunctionType.prototype.callFunction = function callFunction(thisVal, args, optio
 			} else {
 				result = new UndefinedType();
 			}
-			result = funcCtx._returnIsUnknown ? new UnknownType() : result;
+			result = funcCtx._returnIsUnknown ? createUnknownOrigin('ambiguous-branch merge') : result;
+			saveFunctionSummary(recorder, result);
 		}
 	}
 
@@ -1747,9 +2421,18 @@ FunctionType.prototype.callFunction = function callFunction(thisVal, args, optio
  * @see ECMA-262 Spec Chapter 13.2.2
  */
 FunctionType.prototype.construct = function construct(args) {
-	var obj = new ObjectType(),
-		proto = this.get('prototype'),
+	var obj,
+		proto,
 		result;
+
+	// Arrow functions can't be used as constructors
+	if (this.lexicalThis) {
+		handleRecoverableNativeException('TypeError', 'Arrow functions are not constructors');
+		return new UnknownType();
+	}
+
+	obj = new ObjectType();
+	proto = this.get('prototype');
 	obj.extensible = true;
 
 	// Hook up the prototype
@@ -1776,6 +2459,7 @@ type,
 handleRecoverableNativeException,
 toObject,
 UnknownType,
+createUnknownOrigin,
 isUndefined,
 UndefinedType,
 isDataDescriptor,
@@ -1922,7 +2606,7 @@ function getValue(v) {
 	}
 	if (isUnresolvableReference(v)) {
 		handleRecoverableNativeException('ReferenceError', '"' + v.referencedName + '" is not defined');
-		return new UnknownType();
+		return createUnknownOrigin('undefined variable "' + v.referencedName + '"');
 	}
 
 	base = getBase(v);
@@ -2053,6 +2737,7 @@ function NumberProtoToStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(NumberProtoToStringFunc, FunctionTypeBase);
+NumberProtoToStringFunc.prototype._resultType = { type: 'String' };
 NumberProtoToStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -2098,6 +2783,7 @@ function NumberProtoToLocaleStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(NumberProtoToLocaleStringFunc, FunctionTypeBase);
+NumberProtoToLocaleStringFunc.prototype._resultType = { type: 'String' };
 NumberProtoToLocaleStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 
 	// Use the built-in method to perform the toLocaleString
@@ -2114,6 +2800,7 @@ function NumberProtoValueOfFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(NumberProtoValueOfFunc, FunctionTypeBase);
+NumberProtoValueOfFunc.prototype._resultType = { type: 'Number' };
 NumberProtoValueOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Validate the parameters
@@ -2141,6 +2828,7 @@ function NumberProtoToFixedFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(NumberProtoToFixedFunc, FunctionTypeBase);
+NumberProtoToFixedFunc.prototype._resultType = { type: 'String' };
 NumberProtoToFixedFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -2176,6 +2864,7 @@ function NumberProtoToExponentialFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(NumberProtoToExponentialFunc, FunctionTypeBase);
+NumberProtoToExponentialFunc.prototype._resultType = { type: 'String' };
 NumberProtoToExponentialFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -2211,6 +2900,7 @@ function NumberProtoToPrecisionFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(NumberProtoToPrecisionFunc, FunctionTypeBase);
+NumberProtoToPrecisionFunc.prototype._resultType = { type: 'String' };
 NumberProtoToPrecisionFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -2286,6 +2976,7 @@ function BooleanProtoToStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(BooleanProtoToStringFunc, FunctionTypeBase);
+BooleanProtoToStringFunc.prototype._resultType = { type: 'String' };
 BooleanProtoToStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Validate the parameters
@@ -2316,6 +3007,7 @@ function BooleanProtoValueOfFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(BooleanProtoValueOfFunc, FunctionTypeBase);
+BooleanProtoValueOfFunc.prototype._resultType = { type: 'Boolean' };
 BooleanProtoValueOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -2373,6 +3065,7 @@ ArrayType,
 isCallable,
 UndefinedType,
 toUint32,
+BooleanType,
 ObjectType,
 addNonEnumerableProperty,
 wrapNativeCall
@@ -2394,6 +3087,7 @@ function StringProtoToStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(StringProtoToStringFunc, FunctionTypeBase);
+StringProtoToStringFunc.prototype._resultType = { type: 'String' };
 StringProtoToStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Validate the parameters
@@ -2424,6 +3118,7 @@ function StringProtoValueOfFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(StringProtoValueOfFunc, FunctionTypeBase);
+StringProtoValueOfFunc.prototype._resultType = { type: 'String' };
 StringProtoValueOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Validate the parameters
@@ -2452,6 +3147,7 @@ function StringProtoCharAtFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(StringProtoCharAtFunc, FunctionTypeBase);
+StringProtoCharAtFunc.prototype._resultType = { type: 'String' };
 StringProtoCharAtFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	var pos = args[0],
@@ -2481,6 +3177,7 @@ function StringProtoCharCodeAtFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(StringProtoCharCodeAtFunc, FunctionTypeBase);
+StringProtoCharCodeAtFunc.prototype._resultType = { type: 'Number' };
 StringProtoCharCodeAtFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -2516,6 +3213,7 @@ function StringProtoConcatFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(StringProtoConcatFunc, FunctionTypeBase);
+StringProtoConcatFunc.prototype._resultType = { type: 'String' };
 StringProtoConcatFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	var s,
@@ -2547,6 +3245,7 @@ function StringProtoIndexOfFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(StringProtoIndexOfFunc, FunctionTypeBase);
+StringProtoIndexOfFunc.prototype._resultType = { type: 'Number', min: -1, max: Infinity, integer: true };
 StringProtoIndexOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -2587,6 +3286,7 @@ function StringProtoLastIndexOfFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(StringProtoLastIndexOfFunc, FunctionTypeBase);
+StringProtoLastIndexOfFunc.prototype._resultType = { type: 'Number', min: -1, max: Infinity, integer: true };
 StringProtoLastIndexOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -2628,6 +3328,7 @@ function StringProtoLocaleCompareFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(StringProtoLocaleCompareFunc, FunctionTypeBase);
+StringProtoLocaleCompareFunc.prototype._resultType = { type: 'Number' };
 StringProtoLocaleCompareFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -2729,6 +3430,7 @@ function StringProtoReplaceFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(StringProtoReplaceFunc, FunctionTypeBase);
+StringProtoReplaceFunc.prototype._resultType = { type: 'String' };
 StringProtoReplaceFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -2799,6 +3501,7 @@ function StringProtoSearchFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(StringProtoSearchFunc, FunctionTypeBase);
+StringProtoSearchFunc.prototype._resultType = { type: 'Number', min: -1, max: Infinity, integer: true };
 StringProtoSearchFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -2851,6 +3554,7 @@ function StringProtoSliceFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(StringProtoSliceFunc, FunctionTypeBase);
+StringProtoSliceFunc.prototype._resultType = { type: 'String' };
 StringProtoSliceFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -2889,6 +3593,7 @@ function StringProtoSplitFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(StringProtoSplitFunc, FunctionTypeBase);
+StringProtoSplitFunc.prototype._resultType = { type: 'Object', className: 'Array', elementType: { type: 'String' } };
 StringProtoSplitFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -2949,6 +3654,7 @@ function StringProtoSubstringFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(StringProtoSubstringFunc, FunctionTypeBase);
+StringProtoSubstringFunc.prototype._resultType = { type: 'String' };
 StringProtoSubstringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -2987,6 +3693,7 @@ function StringProtoToLowerCaseFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(StringProtoToLowerCaseFunc, FunctionTypeBase);
+StringProtoToLowerCaseFunc.prototype._resultType = { type: 'String' };
 StringProtoToLowerCaseFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -3018,6 +3725,7 @@ function StringProtoToLocaleLowerCaseFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(StringProtoToLocaleLowerCaseFunc, FunctionTypeBase);
+StringProtoToLocaleLowerCaseFunc.prototype._resultType = { type: 'String' };
 StringProtoToLocaleLowerCaseFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -3048,6 +3756,7 @@ function StringProtoToUpperCaseFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(StringProtoToUpperCaseFunc, FunctionTypeBase);
+StringProtoToUpperCaseFunc.prototype._resultType = { type: 'String' };
 StringProtoToUpperCaseFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -3078,6 +3787,7 @@ function StringProtoToLocaleUpperCaseFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(StringProtoToLocaleUpperCaseFunc, FunctionTypeBase);
+StringProtoToLocaleUpperCaseFunc.prototype._resultType = { type: 'String' };
 StringProtoToLocaleUpperCaseFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -3108,6 +3818,7 @@ function StringProtoTrimFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(StringProtoTrimFunc, FunctionTypeBase);
+StringProtoTrimFunc.prototype._resultType = { type: 'String' };
 StringProtoTrimFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -3129,24 +3840,152 @@ StringProtoTrimFunc.prototype.callFunction = wrapNativeCall(function callFunctio
 });
 
 /**
- * @classdesc The prototype for Strings
+ * startsWith() prototype method
  *
- * @constructor
- * @see ECMA-262 Spec Chapter 15.5.4
+ * @private
+ * @see ECMA-262 6th Edition Chapter 21.1.3.18
  */
-exports.StringPrototypeType = StringPrototypeType;
-function StringPrototypeType(className) {
-	ObjectType.call(this, className || 'String');
-	this.primitiveValue = '';
-	addNonEnumerableProperty(this, 'length', new NumberType(0), false, true);
+function StringProtoStartsWithFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(StringProtoStartsWithFunc, FunctionTypeBase);
+StringProtoStartsWithFunc.prototype._resultType = { type: 'Boolean' };
+StringProtoStartsWithFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-	addNonEnumerableProperty(this, 'toString', new StringProtoToStringFunc(), false, true);
-	addNonEnumerableProperty(this, 'valueOf', new StringProtoValueOfFunc(), false, true);
-	addNonEnumerableProperty(this, 'charAt', new StringProtoCharAtFunc(), false, true);
-	addNonEnumerableProperty(this, 'charCodeAt', new StringProtoCharCodeAtFunc(), false, true);
-	addNonEnumerableProperty(this, 'concat', new StringProtoConcatFunc(), false, true);
-	addNonEnumerableProperty(this, 'indexOf', new StringProtoIndexOfFunc(), false, true);
-	addNonEnumerableProperty(this, 'lastIndexOf', new StringProtoLastIndexOfFunc(), false, true);
+	// Variable declarations
+	var searchString = args[0],
+		position = args[1],
+		s,
+		searchStr,
+		start;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Steps 1-3
+	checkObjectCoercible(thisVal);
+	s = toString(thisVal).value;
+
+	// Steps 4-6
+	if (type(searchString) === 'Object' && searchString.className === 'RegExp') {
+		handleRecoverableNativeException('TypeError', 'First argument must not be a regular expression');
+		return new UnknownType();
+	}
+	searchStr = toString(searchString).value;
+
+	// Steps 7-10
+	start = Math.min(Math.max(isDefined(position) ? toInteger(position).value : 0, 0), s.length);
+
+	// Steps 11-14
+	return new BooleanType(s.substring(start, start + searchStr.length) === searchStr);
+});
+
+/**
+ * endsWith() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 21.1.3.6
+ */
+function StringProtoEndsWithFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(StringProtoEndsWithFunc, FunctionTypeBase);
+StringProtoEndsWithFunc.prototype._resultType = { type: 'Boolean' };
+StringProtoEndsWithFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var searchString = args[0],
+		endPosition = args[1],
+		s,
+		searchStr,
+		end,
+		start;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Steps 1-3
+	checkObjectCoercible(thisVal);
+	s = toString(thisVal).value;
+
+	// Steps 4-6
+	if (type(searchString) === 'Object' && searchString.className === 'RegExp') {
+		handleRecoverableNativeException('TypeError', 'First argument must not be a regular expression');
+		return new UnknownType();
+	}
+	searchStr = toString(searchString).value;
+
+	// Steps 7-10
+	end = isDefined(endPosition) && type(endPosition) !== 'Undefined' ? toInteger(endPosition).value : s.length;
+	end = Math.min(Math.max(end, 0), s.length);
+
+	// Steps 11-15
+	start = end - searchStr.length;
+	return new BooleanType(start >= 0 && s.substring(start, end) === searchStr);
+});
+
+/**
+ * includes() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 21.1.3.7
+ */
+function StringProtoIncludesFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(StringProtoIncludesFunc, FunctionTypeBase);
+StringProtoIncludesFunc.prototype._resultType = { type: 'Boolean' };
+StringProtoIncludesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var searchString = args[0],
+		position = args[1],
+		s,
+		searchStr;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Steps 1-3
+	checkObjectCoercible(thisVal);
+	s = toString(thisVal).value;
+
+	// Steps 4-6
+	if (type(searchString) === 'Object' && searchString.className === 'RegExp') {
+		handleRecoverableNativeException('TypeError', 'First argument must not be a regular expression');
+		return new UnknownType();
+	}
+	searchStr = toString(searchString).value;
+
+	// Steps 7-12
+	return new BooleanType(s.indexOf(searchStr, isDefined(position) ? toInteger(position).value : 0) !== -1);
+});
+
+/**
+ * @classdesc The prototype for Strings
+ *
+ * @constructor
+ * @see ECMA-262 Spec Chapter 15.5.4
+ */
+exports.StringPrototypeType = StringPrototypeType;
+function StringPrototypeType(className) {
+	ObjectType.call(this, className || 'String');
+	this.primitiveValue = '';
+	addNonEnumerableProperty(this, 'length', new NumberType(0), false, true);
+
+	addNonEnumerableProperty(this, 'toString', new StringProtoToStringFunc(), false, true);
+	addNonEnumerableProperty(this, 'valueOf', new StringProtoValueOfFunc(), false, true);
+	addNonEnumerableProperty(this, 'charAt', new StringProtoCharAtFunc(), false, true);
+	addNonEnumerableProperty(this, 'charCodeAt', new StringProtoCharCodeAtFunc(), false, true);
+	addNonEnumerableProperty(this, 'concat', new StringProtoConcatFunc(), false, true);
+	addNonEnumerableProperty(this, 'indexOf', new StringProtoIndexOfFunc(), false, true);
+	addNonEnumerableProperty(this, 'lastIndexOf', new StringProtoLastIndexOfFunc(), false, true);
 	addNonEnumerableProperty(this, 'localeCompare', new StringProtoLocaleCompareFunc(), false, true);
 	addNonEnumerableProperty(this, 'match', new StringProtoMatchFunc(), false, true);
 	addNonEnumerableProperty(this, 'replace', new StringProtoReplaceFunc(), false, true);
@@ -3159,6 +3998,9 @@ function StringPrototypeType(className) {
 	addNonEnumerableProperty(this, 'toUpperCase', new StringProtoToUpperCaseFunc(), false, true);
 	addNonEnumerableProperty(this, 'toLocaleUpperCase', new StringProtoToLocaleUpperCaseFunc(), false, true);
 	addNonEnumerableProperty(this, 'trim', new StringProtoTrimFunc(), false, true);
+	addNonEnumerableProperty(this, 'startsWith', new StringProtoStartsWithFunc(), false, true);
+	addNonEnumerableProperty(this, 'endsWith', new StringProtoEndsWithFunc(), false, true);
+	addNonEnumerableProperty(this, 'includes', new StringProtoIncludesFunc(), false, true);
 }
 util.inherits(StringPrototypeType, ObjectType);
 
@@ -3198,6 +4040,7 @@ function ObjectProtoToStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ObjectProtoToStringFunc, FunctionTypeBase);
+ObjectProtoToStringFunc.prototype._resultType = { type: 'String' };
 ObjectProtoToStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -3229,6 +4072,7 @@ function ObjectProtoToLocaleStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ObjectProtoToLocaleStringFunc, FunctionTypeBase);
+ObjectProtoToLocaleStringFunc.prototype._resultType = { type: 'String' };
 ObjectProtoToLocaleStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -3282,6 +4126,7 @@ function ObjectProtoHasOwnPropertyFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ObjectProtoHasOwnPropertyFunc, FunctionTypeBase);
+ObjectProtoHasOwnPropertyFunc.prototype._resultType = { type: 'Boolean' };
 ObjectProtoHasOwnPropertyFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -3311,6 +4156,7 @@ function ObjectProtoIsPrototypeOfFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ObjectProtoIsPrototypeOfFunc, FunctionTypeBase);
+ObjectProtoIsPrototypeOfFunc.prototype._resultType = { type: 'Boolean' };
 ObjectProtoIsPrototypeOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -3356,6 +4202,7 @@ function ObjectProtoPropertyIsEnumerableFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ObjectProtoPropertyIsEnumerableFunc, FunctionTypeBase);
+ObjectProtoPropertyIsEnumerableFunc.prototype._resultType = { type: 'Boolean' };
 ObjectProtoPropertyIsEnumerableFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -3413,6 +4260,7 @@ toString,
 UndefinedType,
 toInteger,
 strictEquals,
+sameValueZero,
 BooleanType,
 toBoolean,
 ObjectType,
@@ -3422,7 +4270,10 @@ ObjectProtoIsPrototypeOfFunc,
 ObjectProtoPropertyIsEnumerableFunc,
 addNonEnumerableProperty,
 wrapNativeCall,
-convertToUnknown
+convertToUnknown,
+createTypedUnknown,
+deriveUnknown,
+getTypeInfo
 */
 
 /*****************************************
@@ -3431,6 +4282,53 @@ convertToUnknown
  *
  *****************************************/
 
+/**
+ * Gets the type of the elements of an array, used as the result type of methods that return one of the elements
+ *
+ * @private
+ * @param {module:Base.TypeInfo} [thisTypeInfo] The type information of the array
+ * @returns {module:Base.TypeInfo|undefined} The type information of the elements, if it is known
+ */
+function getArrayElementTypeInfo(thisTypeInfo) {
+	return thisTypeInfo && thisTypeInfo.elementType;
+}
+
+/**
+ * Gets the type of an array with the same elements as another array, used as the result type of methods that return a
+ * subset or reordering of the elements
+ *
+ * @private
+ * @param {module:Base.TypeInfo} [thisTypeInfo] The type information of the array
+ * @returns {module:Base.TypeInfo} The type information of the new array
+ */
+function getSameArrayTypeInfo(thisTypeInfo) {
+	return thisTypeInfo && thisTypeInfo.className === 'Array' ? thisTypeInfo : {
+		type: 'Object',
+		className: 'Array'
+	};
+}
+
+/**
+ * Calls the callback of an iteration method, such as forEach(), for an array whose length is unknown. Since it isn't
+ * known which elements the callback would be called for, it is called once in an ambiguous context with unknown
+ * elements.
+ *
+ * @private
+ * @param {module:Base.FunctionType} callbackFn The callback
+ * @param {module:Base.BaseType} [thisArg] The this value to call the callback with
+ * @param {Number} argCount The number of arguments to pass to the callback, including the array
+ * @param {module:Base.ObjectType} o The array
+ * @returns {module:Base.UnknownType} The unknown result of the iteration method
+ */
+function callWithUnknownElements(callbackFn, thisArg, argCount, o) {
+	var args = [];
+	while (args.length < argCount - 1) {
+		args.push(new UnknownType());
+	}
+	callbackFn.callFunction(thisArg || new UndefinedType(), args.concat(o), { isAmbiguousContext: true });
+	return new UnknownType();
+}
+
 /**
  * toString() prototype method
  *
@@ -3441,6 +4339,7 @@ function ArrayProtoToStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ArrayProtoToStringFunc, FunctionTypeBase);
+ArrayProtoToStringFunc.prototype._resultType = { type: 'String' };
 ArrayProtoToStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations,
@@ -3477,6 +4376,7 @@ function ArrayProtoToLocaleStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ArrayProtoToLocaleStringFunc, FunctionTypeBase);
+ArrayProtoToLocaleStringFunc.prototype._resultType = { type: 'String' };
 ArrayProtoToLocaleStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -3498,7 +4398,11 @@ ArrayProtoToLocaleStringFunc.prototype.callFunction = wrapNativeCall(function ca
 
 	// Steps 1-4
 	array = toObject(thisVal);
-	len = toUint32(array.get('length')).value;
+	len = array.get('length');
+	if (type(len) === 'Unknown') {
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 	separator = ',';
 	k = 1;
 
@@ -3562,6 +4466,7 @@ function ArrayProtoConcatFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoConcatFunc, FunctionTypeBase);
+ArrayProtoConcatFunc.prototype._resultType = { type: 'Object', className: 'Array' };
 ArrayProtoConcatFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -3592,7 +4497,11 @@ ArrayProtoConcatFunc.prototype.callFunction = wrapNativeCall(function callFuncti
 
 		if (e.className === 'Array') { // Step 5.b
 			k = 0;
-			len = e.get('length').value;
+			len = e.get('length');
+			if (type(len) === 'Unknown') {
+				return new UnknownType();
+			}
+			len = len.value;
 			while (k < len) {
 				if (e.hasProperty(k)) {
 					a.defineOwnProperty(n, {
@@ -3638,6 +4547,7 @@ function ArrayProtoJoinFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoJoinFunc, FunctionTypeBase);
+ArrayProtoJoinFunc.prototype._resultType = { type: 'String' };
 ArrayProtoJoinFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -3660,7 +4570,11 @@ ArrayProtoJoinFunc.prototype.callFunction = wrapNativeCall(function callFunction
 	// Steps 1-3
 	separator = args[0];
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 	k = 1;
 
 	// Steps 4 and 5
@@ -3712,6 +4626,7 @@ function ArrayProtoPopFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ArrayProtoPopFunc, FunctionTypeBase);
+ArrayProtoPopFunc.prototype._resultType = getArrayElementTypeInfo;
 ArrayProtoPopFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args, options) {
 
 	// Variable declarations
@@ -3732,7 +4647,12 @@ ArrayProtoPopFunc.prototype.callFunction = wrapNativeCall(function callFunction(
 
 	// Steps 1-3
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		convertToUnknown(o);
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 
 	// Steps 4 and 5
 	if (len === 0) {
@@ -3767,13 +4687,15 @@ function ArrayProtoPushFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoPushFunc, FunctionTypeBase);
+ArrayProtoPushFunc.prototype._resultType = { type: 'Number', min: 0, max: Infinity, integer: true };
 ArrayProtoPushFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args, options) {
 
 	// Steps 1-4
 	var o,
 		n,
 		items,
-		lengthNumber;
+		lengthNumber,
+		lengthTypeInfo;
 
 	if (options && options.isAmbiguousContext) {
 		convertToUnknown(thisVal);
@@ -3787,7 +4709,27 @@ ArrayProtoPushFunc.prototype.callFunction = wrapNativeCall(function callFunction
 
 	// Steps 1-4
 	o = toObject(thisVal);
-	n = toUint32(o.get('length')).value;
+	n = o.get('length');
+	if (type(n) === 'Unknown') {
+
+		// The items are added at indexes that aren't known, but the existing elements stay where they are
+		o._hasUnknownProperties = true;
+		lengthTypeInfo = getTypeInfo(n);
+		lengthNumber = deriveUnknown(createTypedUnknown(lengthTypeInfo && typeof lengthTypeInfo.min === 'number' ? {
+			type: 'Number',
+			min: lengthTypeInfo.min + args.length,
+			max: lengthTypeInfo.max + args.length,
+			integer: true
+		} : ArrayProtoPushFunc.prototype._resultType), 'call to push', [n]);
+		o._addProperty('length', {
+			value: lengthNumber,
+			writable: true,
+			enumerable: false,
+			configurable: false
+		});
+		return lengthNumber;
+	}
+	n = toUint32(n).value;
 	items = args;
 	lengthNumber = new NumberType();
 
@@ -3819,6 +4761,7 @@ function ArrayProtoReverseFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ArrayProtoReverseFunc, FunctionTypeBase);
+ArrayProtoReverseFunc.prototype._resultType = getSameArrayTypeInfo;
 ArrayProtoReverseFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args, options) {
 
 	// Variable declarations
@@ -3844,7 +4787,12 @@ ArrayProtoReverseFunc.prototype.callFunction = wrapNativeCall(function callFunct
 
 	// Steps 1-5
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		convertToUnknown(o);
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 	middle = Math.floor(len / 2);
 	lower = 0;
 
@@ -3886,6 +4834,7 @@ function ArrayProtoShiftFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ArrayProtoShiftFunc, FunctionTypeBase);
+ArrayProtoShiftFunc.prototype._resultType = getArrayElementTypeInfo;
 ArrayProtoShiftFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args, options) {
 
 	// Variable declarations
@@ -3908,7 +4857,12 @@ ArrayProtoShiftFunc.prototype.callFunction = wrapNativeCall(function callFunctio
 
 	// Steps 1-3
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		convertToUnknown(o);
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 	k = 1;
 
 	// Step 4
@@ -3963,6 +4917,7 @@ function ArrayProtoSliceFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(ArrayProtoSliceFunc, FunctionTypeBase);
+ArrayProtoSliceFunc.prototype._resultType = getSameArrayTypeInfo;
 ArrayProtoSliceFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -3987,7 +4942,11 @@ ArrayProtoSliceFunc.prototype.callFunction = wrapNativeCall(function callFunctio
 	end = args[1];
 	o = toObject(thisVal);
 	a = new ArrayType();
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 	relativeStart = toInteger(start).value;
 	k = relativeStart < 0 ? Math.max(len + relativeStart, 0) : Math.min(relativeStart, len);
 	relativeEnd = !end || type(end) === 'Undefined' ? len : toInteger(end).value;
@@ -4022,6 +4981,7 @@ function ArrayProtoSortFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ArrayProtoSortFunc, FunctionTypeBase);
+ArrayProtoSortFunc.prototype._resultType = getSameArrayTypeInfo;
 ArrayProtoSortFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args, options) {
 
 	// Variable declarations
@@ -4042,7 +5002,12 @@ ArrayProtoSortFunc.prototype.callFunction = wrapNativeCall(function callFunction
 
 	compareFn = args[0];
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		convertToUnknown(o);
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 	changes = true;
 
 	function swapValues(j, k) {
@@ -4214,6 +5179,7 @@ function ArrayProtoSpliceFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(ArrayProtoSpliceFunc, FunctionTypeBase);
+ArrayProtoSpliceFunc.prototype._resultType = getSameArrayTypeInfo;
 ArrayProtoSpliceFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args, options) {
 
 	// Variable declarations
@@ -4246,7 +5212,12 @@ ArrayProtoSpliceFunc.prototype.callFunction = wrapNativeCall(function callFuncti
 	deleteCount = args[1];
 	o = toObject(thisVal);
 	a = new ArrayType();
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		convertToUnknown(o);
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 	relativeStart = toUint32(start).value;
 	actualStart = relativeStart < 0 ? Math.max(len + relativeStart, 0) : Math.min(relativeStart, len);
 	actualDeleteCount = Math.min(Math.max(toInteger(deleteCount).value, 0), len - actualStart);
@@ -4336,6 +5307,7 @@ function ArrayProtoUnshiftFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoUnshiftFunc, FunctionTypeBase);
+ArrayProtoUnshiftFunc.prototype._resultType = { type: 'Number', min: 0, max: Infinity, integer: true };
 ArrayProtoUnshiftFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args, options) {
 
 	// Variable declarations
@@ -4360,7 +5332,12 @@ ArrayProtoUnshiftFunc.prototype.callFunction = wrapNativeCall(function callFunct
 
 	// Steps 1-5
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		convertToUnknown(o);
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 	argCount = args.length;
 	k = len;
 
@@ -4409,6 +5386,7 @@ function ArrayProtoIndexOfFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoIndexOfFunc, FunctionTypeBase);
+ArrayProtoIndexOfFunc.prototype._resultType = { type: 'Number', min: -1, max: Infinity, integer: true };
 ArrayProtoIndexOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	var searchElement,
@@ -4428,7 +5406,11 @@ ArrayProtoIndexOfFunc.prototype.callFunction = wrapNativeCall(function callFunct
 	searchElement = args[0] || new UndefinedType();
 	fromIndex = args[1] || new NumberType(0);
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 
 	// Step 4
 	if (len === 0) {
@@ -4476,6 +5458,7 @@ function ArrayProtoLastIndexOfFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ArrayProtoLastIndexOfFunc, FunctionTypeBase);
+ArrayProtoLastIndexOfFunc.prototype._resultType = { type: 'Number', min: -1, max: Infinity, integer: true };
 ArrayProtoLastIndexOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -4494,7 +5477,11 @@ ArrayProtoLastIndexOfFunc.prototype.callFunction = wrapNativeCall(function callF
 
 	// Steps 1-3
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 	searchElement = args[0] || new UndefinedType();
 	fromIndex = args[1] || new NumberType(len - 1);
 	n = len - 1;
@@ -4540,6 +5527,7 @@ function ArrayProtoEveryFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoEveryFunc, FunctionTypeBase);
+ArrayProtoEveryFunc.prototype._resultType = { type: 'Boolean' };
 ArrayProtoEveryFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -4559,7 +5547,7 @@ ArrayProtoEveryFunc.prototype.callFunction = wrapNativeCall(function callFunctio
 	callbackFn = args[0];
 	thisArg = args[1];
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
 	k = 0;
 
 	// Step 4
@@ -4568,6 +5556,12 @@ ArrayProtoEveryFunc.prototype.callFunction = wrapNativeCall(function callFunctio
 		return new UnknownType();
 	}
 
+	// It isn't known which elements the callback would be called for
+	if (type(len) === 'Unknown') {
+		return callWithUnknownElements(callbackFn, args[1], 3, o);
+	}
+	len = toUint32(len).value;
+
 	// Step 5
 	t = callbackFn && type(callbackFn) === 'Undefined' ? callbackFn : new UndefinedType();
 
@@ -4593,6 +5587,7 @@ function ArrayProtoSomeFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoSomeFunc, FunctionTypeBase);
+ArrayProtoSomeFunc.prototype._resultType = { type: 'Boolean' };
 ArrayProtoSomeFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -4612,7 +5607,7 @@ ArrayProtoSomeFunc.prototype.callFunction = wrapNativeCall(function callFunction
 	callbackFn = args[0];
 	thisArg = args[1];
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
 	k = 0;
 
 	if (callbackFn && type(callbackFn) === 'Unknown' || thisArg && type(thisArg) === 'Unknown') {
@@ -4625,6 +5620,12 @@ ArrayProtoSomeFunc.prototype.callFunction = wrapNativeCall(function callFunction
 		return new UnknownType();
 	}
 
+	// It isn't known which elements the callback would be called for
+	if (type(len) === 'Unknown') {
+		return callWithUnknownElements(callbackFn, args[1], 3, o);
+	}
+	len = toUint32(len).value;
+
 	// Step 5
 	t = callbackFn && type(callbackFn) === 'Undefined' ? callbackFn : new UndefinedType();
 
@@ -4650,6 +5651,7 @@ function ArrayProtoForEachFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoForEachFunc, FunctionTypeBase);
+ArrayProtoForEachFunc.prototype._resultType = { type: 'Undefined' };
 ArrayProtoForEachFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -4669,7 +5671,7 @@ ArrayProtoForEachFunc.prototype.callFunction = wrapNativeCall(function callFunct
 	callbackFn = args[0];
 	thisArg = args[1];
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
 	k = 0;
 
 	// Step 4
@@ -4678,6 +5680,12 @@ ArrayProtoForEachFunc.prototype.callFunction = wrapNativeCall(function callFunct
 		return new UnknownType();
 	}
 
+	// It isn't known which elements the callback would be called for
+	if (type(len) === 'Unknown') {
+		return callWithUnknownElements(callbackFn, args[1], 3, o);
+	}
+	len = toUint32(len).value;
+
 	// Step 5
 	t = callbackFn && type(callbackFn) === 'Undefined' ? callbackFn : new UndefinedType();
 
@@ -4703,6 +5711,7 @@ function ArrayProtoMapFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoMapFunc, FunctionTypeBase);
+ArrayProtoMapFunc.prototype._resultType = { type: 'Object', className: 'Array' };
 ArrayProtoMapFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -4723,7 +5732,7 @@ ArrayProtoMapFunc.prototype.callFunction = wrapNativeCall(function callFunction(
 	callbackFn = args[0];
 	thisArg = args[1];
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
 	k = 0;
 
 	// Step 4
@@ -4732,6 +5741,12 @@ ArrayProtoMapFunc.prototype.callFunction = wrapNativeCall(function callFunction(
 		return new UnknownType();
 	}
 
+	// It isn't known which elements the callback would be called for
+	if (type(len) === 'Unknown') {
+		return callWithUnknownElements(callbackFn, args[1], 3, o);
+	}
+	len = toUint32(len).value;
+
 	// Step 5
 	t = callbackFn && type(callbackFn) === 'Undefined' ? callbackFn : new UndefinedType();
 
@@ -4771,6 +5786,7 @@ function ArrayProtoFilterFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoFilterFunc, FunctionTypeBase);
+ArrayProtoFilterFunc.prototype._resultType = getSameArrayTypeInfo;
 ArrayProtoFilterFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -4793,7 +5809,7 @@ ArrayProtoFilterFunc.prototype.callFunction = wrapNativeCall(function callFuncti
 	callbackFn = args[0];
 	thisArg = args[1];
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
 	k = 0;
 	to = 0;
 
@@ -4803,6 +5819,12 @@ ArrayProtoFilterFunc.prototype.callFunction = wrapNativeCall(function callFuncti
 		return new UnknownType();
 	}
 
+	// It isn't known which elements the callback would be called for
+	if (type(len) === 'Unknown') {
+		return callWithUnknownElements(callbackFn, args[1], 3, o);
+	}
+	len = toUint32(len).value;
+
 	// Step 5
 	t = callbackFn && type(callbackFn) === 'Undefined' ? callbackFn : new UndefinedType();
 
@@ -4868,7 +5890,7 @@ ArrayProtoReduceFunc.prototype.callFunction = wrapNativeCall(function callFuncti
 	callbackFn = args[0];
 	initialValue = args[1];
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
 	k = 0;
 	to = 0;
 	undef = new UndefinedType();
@@ -4879,6 +5901,12 @@ ArrayProtoReduceFunc.prototype.callFunction = wrapNativeCall(function callFuncti
 		return new UnknownType();
 	}
 
+	// It isn't known which elements the callback would be called for
+	if (type(len) === 'Unknown') {
+		return callWithUnknownElements(callbackFn, undefined, 4, o);
+	}
+	len = toUint32(len).value;
+
 	// Step 5
 	if (len === 0 && !initialValue) {
 		handleRecoverableNativeException('TypeError', 'Missing initial value');
@@ -4947,8 +5975,7 @@ ArrayReduceRightFunc.prototype.callFunction = wrapNativeCall(function callFuncti
 	callbackFn = args[0];
 	initialValue = args[1];
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
-	k = len - 1;
+	len = o.get('length');
 	to = 0;
 	undef = new UndefinedType();
 
@@ -4958,6 +5985,13 @@ ArrayReduceRightFunc.prototype.callFunction = wrapNativeCall(function callFuncti
 		return new UnknownType();
 	}
 
+	// It isn't known which elements the callback would be called for
+	if (type(len) === 'Unknown') {
+		return callWithUnknownElements(callbackFn, undefined, 4, o);
+	}
+	len = toUint32(len).value;
+	k = len - 1;
+
 	// Step 5
 	if (len === 0 && !initialValue) {
 		handleRecoverableNativeException('TypeError', 'Missing initial value');
@@ -4995,101 +6029,290 @@ ArrayReduceRightFunc.prototype.callFunction = wrapNativeCall(function callFuncti
 });
 
 /**
- * @classdesc The prototype for Arrays
- *
- * @constructor
- * @see ECMA-262 Spec Chapter 15.4.4
- */
-exports.ArrayPrototypeType = ArrayPrototypeType;
-function ArrayPrototypeType(className) {
-	ObjectType.call(this, className);
-
-	// Object prototype methods
-	addNonEnumerableProperty(this, 'valueOf', new ObjectProtoValueOfFunc(), false, true);
-	addNonEnumerableProperty(this, 'hasOwnProperty', new ObjectProtoHasOwnPropertyFunc(), false, true);
-	addNonEnumerableProperty(this, 'isPrototypeOf', new ObjectProtoIsPrototypeOfFunc(), false, true);
-	addNonEnumerableProperty(this, 'propertyIsEnumerable', new ObjectProtoPropertyIsEnumerableFunc(), false, true);
-
-	// Array prototype methods
-	addNonEnumerableProperty(this, 'toString', new ArrayProtoToStringFunc(), false, true);
-	addNonEnumerableProperty(this, 'toLocaleString', new ArrayProtoToLocaleStringFunc(), false, true);
-	addNonEnumerableProperty(this, 'concat', new ArrayProtoConcatFunc(), false, true);
-	addNonEnumerableProperty(this, 'join', new ArrayProtoJoinFunc(), false, true);
-	addNonEnumerableProperty(this, 'pop', new ArrayProtoPopFunc(), false, true);
-	addNonEnumerableProperty(this, 'push', new ArrayProtoPushFunc(), false, true);
-	addNonEnumerableProperty(this, 'reverse', new ArrayProtoReverseFunc(), false, true);
-	addNonEnumerableProperty(this, 'shift', new ArrayProtoShiftFunc(), false, true);
-	addNonEnumerableProperty(this, 'slice', new ArrayProtoSliceFunc(), false, true);
-	addNonEnumerableProperty(this, 'sort', new ArrayProtoSortFunc(), false, true);
-	addNonEnumerableProperty(this, 'splice', new ArrayProtoSpliceFunc(), false, true);
-	addNonEnumerableProperty(this, 'unshift', new ArrayProtoUnshiftFunc(), false, true);
-	addNonEnumerableProperty(this, 'indexOf', new ArrayProtoIndexOfFunc(), false, true);
-	addNonEnumerableProperty(this, 'lastIndexOf', new ArrayProtoLastIndexOfFunc(), false, true);
-	addNonEnumerableProperty(this, 'every', new ArrayProtoEveryFunc(), false, true);
-	addNonEnumerableProperty(this, 'some', new ArrayProtoSomeFunc(), false, true);
-	addNonEnumerableProperty(this, 'forEach', new ArrayProtoForEachFunc(), false, true);
-	addNonEnumerableProperty(this, 'map', new ArrayProtoMapFunc(), false, true);
-	addNonEnumerableProperty(this, 'filter', new ArrayProtoFilterFunc(), false, true);
-	addNonEnumerableProperty(this, 'reduce', new ArrayProtoReduceFunc(), false, true);
-	addNonEnumerableProperty(this, 'reduceRight', new ArrayReduceRightFunc(), false, true);
-}
-util.inherits(ArrayPrototypeType, ObjectType);
-
-/*global
-util,
-FunctionTypeBase,
-areAnyUnknown,
-UnknownType,
-toString,
-ArrayType,
-NullType,
-NumberType,
-StringType,
-BooleanType,
-toBoolean,
-ObjectType,
-addNonEnumerableProperty,
-addReadOnlyProperty,
-handleRecoverableNativeException,
-type,
-wrapNativeCall
-*/
-
-/*****************************************
- *
- * RegExp Prototype Class
- *
- *****************************************/
-
-/**
- * exec() prototype method. Note: here we wrap node's native exec method
+ * find() prototype method
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.10.6.2 and https://developer.mozilla.org/en-US/docs/JavaScript/Reference/Global_Objects/RegExp/exec
+ * @see ECMA-262 6th Edition Chapter 22.1.3.8
  */
-function RegExpProtoExecFunc(className) {
-	FunctionTypeBase.call(this, 0, className || 'Function');
+function ArrayProtoFindFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
 }
-util.inherits(RegExpProtoExecFunc, FunctionTypeBase);
-RegExpProtoExecFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+util.inherits(ArrayProtoFindFunc, FunctionTypeBase);
+ArrayProtoFindFunc.prototype._resultType = getArrayElementTypeInfo;
+ArrayProtoFindFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
-	var r,
-		rValue,
-		s,
-		result,
-		a,
-		i,
-		len;
+	var predicate,
+		t,
+		o,
+		len,
+		k,
+		kValue,
+		testResult;
 
 	// Validate the parameters
 	if (areAnyUnknown((args || []).concat(thisVal))) {
 		return new UnknownType();
 	}
 
-	// Make sure this is a regexp object
-	if (type(thisVal) !== 'Object' || thisVal.className !== 'RegExp') {
-		handleRecoverableNativeException('TypeError', 'exec must be called on a RegExp object');
+	// Steps 1-5
+	predicate = args[0];
+	o = toObject(thisVal);
+	len = o.get('length');
+
+	// Step 6
+	if (!isCallable(predicate)) {
+		handleRecoverableNativeException('TypeError', 'Callback function is not callable');
+		return new UnknownType();
+	}
+
+	// It isn't known which elements the callback would be called for
+	if (type(len) === 'Unknown') {
+		return callWithUnknownElements(predicate, args[1], 3, o);
+	}
+	len = toUint32(len).value;
+
+	// Step 7
+	t = args[1] || new UndefinedType();
+
+	// Steps 8 and 9
+	for (k = 0; k < len; k++) {
+		kValue = o.get(k);
+		testResult = predicate.callFunction(t, [kValue, new NumberType(k), o]);
+		if (type(testResult) === 'Unknown') {
+			return new UnknownType();
+		}
+		if (toBoolean(testResult).value) {
+			return kValue;
+		}
+	}
+
+	// Step 10
+	return new UndefinedType();
+});
+
+/**
+ * findIndex() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 22.1.3.9
+ */
+function ArrayProtoFindIndexFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(ArrayProtoFindIndexFunc, FunctionTypeBase);
+ArrayProtoFindIndexFunc.prototype._resultType = { type: 'Number', min: -1, max: Infinity, integer: true };
+ArrayProtoFindIndexFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var predicate,
+		t,
+		o,
+		len,
+		k,
+		testResult;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Steps 1-5
+	predicate = args[0];
+	o = toObject(thisVal);
+	len = o.get('length');
+
+	// Step 6
+	if (!isCallable(predicate)) {
+		handleRecoverableNativeException('TypeError', 'Callback function is not callable');
+		return new UnknownType();
+	}
+
+	// It isn't known which elements the callback would be called for
+	if (type(len) === 'Unknown') {
+		return callWithUnknownElements(predicate, args[1], 3, o);
+	}
+	len = toUint32(len).value;
+
+	// Step 7
+	t = args[1] || new UndefinedType();
+
+	// Steps 8 and 9
+	for (k = 0; k < len; k++) {
+		testResult = predicate.callFunction(t, [o.get(k), new NumberType(k), o]);
+		if (type(testResult) === 'Unknown') {
+			return new UnknownType();
+		}
+		if (toBoolean(testResult).value) {
+			return new NumberType(k);
+		}
+	}
+
+	// Step 10
+	return new NumberType(-1);
+});
+
+/**
+ * includes() prototype method
+ *
+ * @private
+ * @see ECMA-262 7th Edition Chapter 22.1.3.11
+ */
+function ArrayProtoIncludesFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(ArrayProtoIncludesFunc, FunctionTypeBase);
+ArrayProtoIncludesFunc.prototype._resultType = { type: 'Boolean' };
+ArrayProtoIncludesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var searchElement,
+		o,
+		len,
+		n = 0,
+		k,
+		elementK;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Steps 1-3
+	searchElement = args[0] || new UndefinedType();
+	o = toObject(thisVal);
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
+
+	// Step 4
+	if (len === 0) {
+		return new BooleanType(false);
+	}
+
+	// Steps 5-7
+	if (args[1] && type(args[1]) !== 'Undefined') {
+		n = toInteger(args[1]).value;
+	}
+	k = n >= 0 ? n : Math.max(len + n, 0);
+
+	// Step 8
+	while (k < len) {
+		elementK = o.get(k);
+		if (type(elementK) === 'Unknown') {
+			return new UnknownType();
+		}
+		if (sameValueZero(searchElement, elementK)) {
+			return new BooleanType(true);
+		}
+		k++;
+	}
+
+	// Step 9
+	return new BooleanType(false);
+});
+
+/**
+ * @classdesc The prototype for Arrays
+ *
+ * @constructor
+ * @see ECMA-262 Spec Chapter 15.4.4
+ */
+exports.ArrayPrototypeType = ArrayPrototypeType;
+function ArrayPrototypeType(className) {
+	ObjectType.call(this, className);
+
+	// Object prototype methods
+	addNonEnumerableProperty(this, 'valueOf', new ObjectProtoValueOfFunc(), false, true);
+	addNonEnumerableProperty(this, 'hasOwnProperty', new ObjectProtoHasOwnPropertyFunc(), false, true);
+	addNonEnumerableProperty(this, 'isPrototypeOf', new ObjectProtoIsPrototypeOfFunc(), false, true);
+	addNonEnumerableProperty(this, 'propertyIsEnumerable', new ObjectProtoPropertyIsEnumerableFunc(), false, true);
+
+	// Array prototype methods
+	addNonEnumerableProperty(this, 'toString', new ArrayProtoToStringFunc(), false, true);
+	addNonEnumerableProperty(this, 'toLocaleString', new ArrayProtoToLocaleStringFunc(), false, true);
+	addNonEnumerableProperty(this, 'concat', new ArrayProtoConcatFunc(), false, true);
+	addNonEnumerableProperty(this, 'join', new ArrayProtoJoinFunc(), false, true);
+	addNonEnumerableProperty(this, 'pop', new ArrayProtoPopFunc(), false, true);
+	addNonEnumerableProperty(this, 'push', new ArrayProtoPushFunc(), false, true);
+	addNonEnumerableProperty(this, 'reverse', new ArrayProtoReverseFunc(), false, true);
+	addNonEnumerableProperty(this, 'shift', new ArrayProtoShiftFunc(), false, true);
+	addNonEnumerableProperty(this, 'slice', new ArrayProtoSliceFunc(), false, true);
+	addNonEnumerableProperty(this, 'sort', new ArrayProtoSortFunc(), false, true);
+	addNonEnumerableProperty(this, 'splice', new ArrayProtoSpliceFunc(), false, true);
+	addNonEnumerableProperty(this, 'unshift', new ArrayProtoUnshiftFunc(), false, true);
+	addNonEnumerableProperty(this, 'indexOf', new ArrayProtoIndexOfFunc(), false, true);
+	addNonEnumerableProperty(this, 'lastIndexOf', new ArrayProtoLastIndexOfFunc(), false, true);
+	addNonEnumerableProperty(this, 'every', new ArrayProtoEveryFunc(), false, true);
+	addNonEnumerableProperty(this, 'some', new ArrayProtoSomeFunc(), false, true);
+	addNonEnumerableProperty(this, 'forEach', new ArrayProtoForEachFunc(), false, true);
+	addNonEnumerableProperty(this, 'map', new ArrayProtoMapFunc(), false, true);
+	addNonEnumerableProperty(this, 'filter', new ArrayProtoFilterFunc(), false, true);
+	addNonEnumerableProperty(this, 'reduce', new ArrayProtoReduceFunc(), false, true);
+	addNonEnumerableProperty(this, 'reduceRight', new ArrayReduceRightFunc(), false, true);
+	addNonEnumerableProperty(this, 'find', new ArrayProtoFindFunc(), false, true);
+	addNonEnumerableProperty(this, 'findIndex', new ArrayProtoFindIndexFunc(), false, true);
+	addNonEnumerableProperty(this, 'includes', new ArrayProtoIncludesFunc(), false, true);
+}
+util.inherits(ArrayPrototypeType, ObjectType);
+
+/*global
+util,
+FunctionTypeBase,
+areAnyUnknown,
+UnknownType,
+toString,
+ArrayType,
+NullType,
+NumberType,
+StringType,
+BooleanType,
+toBoolean,
+ObjectType,
+addNonEnumerableProperty,
+addReadOnlyProperty,
+handleRecoverableNativeException,
+type,
+wrapNativeCall
+*/
+
+/*****************************************
+ *
+ * RegExp Prototype Class
+ *
+ *****************************************/
+
+/**
+ * exec() prototype method. Note: here we wrap node's native exec method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.10.6.2 and https://developer.mozilla.org/en-US/docs/JavaScript/Reference/Global_Objects/RegExp/exec
+ */
+function RegExpProtoExecFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(RegExpProtoExecFunc, FunctionTypeBase);
+RegExpProtoExecFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var r,
+		rValue,
+		s,
+		result,
+		a,
+		i,
+		len;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Make sure this is a regexp object
+	if (type(thisVal) !== 'Object' || thisVal.className !== 'RegExp') {
+		handleRecoverableNativeException('TypeError', 'exec must be called on a RegExp object');
 		return new UnknownType();
 	}
 
@@ -5136,6 +6359,7 @@ function RegExpProtoTestFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(RegExpProtoTestFunc, FunctionTypeBase);
+RegExpProtoTestFunc.prototype._resultType = { type: 'Boolean' };
 RegExpProtoTestFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Validate the parameters
@@ -5156,6 +6380,7 @@ function RegExpProtoToStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(RegExpProtoToStringFunc, FunctionTypeBase);
+RegExpProtoToStringFunc.prototype._resultType = { type: 'String' };
 RegExpProtoToStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Validate the parameters
@@ -5229,6 +6454,7 @@ function FunctionProtoToStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(FunctionProtoToStringFunc, FunctionTypeBase);
+FunctionProtoToStringFunc.prototype._resultType = { type: 'String' };
 FunctionProtoToStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Validate the parameters
@@ -5279,7 +6505,7 @@ FunctionProtoApplyFunc.prototype.callFunction = wrapNativeCall(function callFunc
 		return new UnknownType();
 	}
 
-	if (type(argArray) === 'Unknown') {
+	if (type(argArray) === 'Unknown' || type(argArray.get('length')) === 'Unknown') {
 		for (i = 0, len = toUint32(this.get('length')).value; i < len; i++) {
 			argList.push(new UnknownType());
 		}
@@ -5469,6 +6695,7 @@ function ErrorProtoToStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ErrorProtoToStringFunc, FunctionTypeBase);
+ErrorProtoToStringFunc.prototype._resultType = { type: 'String' };
 ErrorProtoToStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -5538,7 +6765,11 @@ NumberType,
 toNumber,
 ObjectType,
 addNonEnumerableProperty,
-wrapNativeCall
+wrapNativeCall,
+UnknownType,
+type,
+areAnyUnknown,
+isAmbiguousBlock
 */
 
 /*****************************************
@@ -5557,6 +6788,7 @@ function DateProtoToStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoToStringFunc, FunctionTypeBase);
+DateProtoToStringFunc.prototype._resultType = { type: 'String' };
 DateProtoToStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new StringType(thisVal._date.toString());
 });
@@ -5571,6 +6803,7 @@ function DateProtoToDateStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoToDateStringFunc, FunctionTypeBase);
+DateProtoToDateStringFunc.prototype._resultType = { type: 'String' };
 DateProtoToDateStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new StringType(thisVal._date.toDateString());
 });
@@ -5585,6 +6818,7 @@ function DateProtoToTimeStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoToTimeStringFunc, FunctionTypeBase);
+DateProtoToTimeStringFunc.prototype._resultType = { type: 'String' };
 DateProtoToTimeStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new StringType(thisVal._date.toTimeString());
 });
@@ -5599,6 +6833,7 @@ function DateProtoToLocaleStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoToLocaleStringFunc, FunctionTypeBase);
+DateProtoToLocaleStringFunc.prototype._resultType = { type: 'String' };
 DateProtoToLocaleStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new StringType(thisVal._date.toLocaleString());
 });
@@ -5613,6 +6848,7 @@ function DateProtoToLocaleDateStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoToLocaleDateStringFunc, FunctionTypeBase);
+DateProtoToLocaleDateStringFunc.prototype._resultType = { type: 'String' };
 DateProtoToLocaleDateStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new StringType(thisVal._date.toLocaleDateString());
 });
@@ -5627,6 +6863,7 @@ function DateProtoToLocaleTimeStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoToLocaleTimeStringFunc, FunctionTypeBase);
+DateProtoToLocaleTimeStringFunc.prototype._resultType = { type: 'String' };
 DateProtoToLocaleTimeStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new StringType(thisVal._date.toLocaleTimeString());
 });
@@ -5641,6 +6878,7 @@ function DateProtoValueOfFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoValueOfFunc, FunctionTypeBase);
+DateProtoValueOfFunc.prototype._resultType = { type: 'Number' };
 DateProtoValueOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.valueOf());
 });
@@ -5655,6 +6893,7 @@ function DateProtoGetTimeFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetTimeFunc, FunctionTypeBase);
+DateProtoGetTimeFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetTimeFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getTime());
 });
@@ -5669,6 +6908,7 @@ function DateProtoGetFullYearFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetFullYearFunc, FunctionTypeBase);
+DateProtoGetFullYearFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetFullYearFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getFullYear());
 });
@@ -5683,6 +6923,7 @@ function DateProtoGetUTCFullYearFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetUTCFullYearFunc, FunctionTypeBase);
+DateProtoGetUTCFullYearFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetUTCFullYearFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getUTCFullYear());
 });
@@ -5697,6 +6938,7 @@ function DateProtoGetMonthFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetMonthFunc, FunctionTypeBase);
+DateProtoGetMonthFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetMonthFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getMonth());
 });
@@ -5711,6 +6953,7 @@ function DateProtoGetUTCMonthFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetUTCMonthFunc, FunctionTypeBase);
+DateProtoGetUTCMonthFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetUTCMonthFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getUTCMonth());
 });
@@ -5725,6 +6968,7 @@ function DateProtoGetDateFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetDateFunc, FunctionTypeBase);
+DateProtoGetDateFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetDateFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getDate());
 });
@@ -5739,6 +6983,7 @@ function DateProtoGetUTCDateFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetUTCDateFunc, FunctionTypeBase);
+DateProtoGetUTCDateFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetUTCDateFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getUTCDate());
 });
@@ -5753,6 +6998,7 @@ function DateProtoGetDayFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetDayFunc, FunctionTypeBase);
+DateProtoGetDayFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetDayFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getDay());
 });
@@ -5767,6 +7013,7 @@ function DateProtoGetUTCDayFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetUTCDayFunc, FunctionTypeBase);
+DateProtoGetUTCDayFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetUTCDayFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getUTCDay());
 });
@@ -5781,6 +7028,7 @@ function DateProtoGetHoursFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetHoursFunc, FunctionTypeBase);
+DateProtoGetHoursFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetHoursFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getHours());
 });
@@ -5795,6 +7043,7 @@ function DateProtoGetUTCHoursFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetUTCHoursFunc, FunctionTypeBase);
+DateProtoGetUTCHoursFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetUTCHoursFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getUTCHours());
 });
@@ -5809,6 +7058,7 @@ function DateProtoGetMinutesFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetMinutesFunc, FunctionTypeBase);
+DateProtoGetMinutesFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetMinutesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getMinutes());
 });
@@ -5823,6 +7073,7 @@ function DateProtoGetUTCMinutesFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetUTCMinutesFunc, FunctionTypeBase);
+DateProtoGetUTCMinutesFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetUTCMinutesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getUTCMinutes());
 });
@@ -5837,6 +7088,7 @@ function DateProtoGetSecondsFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetSecondsFunc, FunctionTypeBase);
+DateProtoGetSecondsFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetSecondsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getSeconds());
 });
@@ -5851,6 +7103,7 @@ function DateProtoGetUTCSecondsFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetUTCSecondsFunc, FunctionTypeBase);
+DateProtoGetUTCSecondsFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetUTCSecondsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getUTCSeconds());
 });
@@ -5865,6 +7118,7 @@ function DateProtoGetMillisecondsFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetMillisecondsFunc, FunctionTypeBase);
+DateProtoGetMillisecondsFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetMillisecondsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getMilliseconds());
 });
@@ -5879,6 +7133,7 @@ function DateProtoGetUTCMillisecondsFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetUTCMillisecondsFunc, FunctionTypeBase);
+DateProtoGetUTCMillisecondsFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetUTCMillisecondsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getUTCMilliseconds());
 });
@@ -5893,6 +7148,7 @@ function DateProtoGetTimezoneOffsetFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetTimezoneOffsetFunc, FunctionTypeBase);
+DateProtoGetTimezoneOffsetFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetTimezoneOffsetFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getTimezoneOffset());
 });
@@ -5907,6 +7163,7 @@ function DateProtoSetTimeFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(DateProtoSetTimeFunc, FunctionTypeBase);
+DateProtoSetTimeFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetTimeFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var time = args[0];
 	if (time) {
@@ -5925,6 +7182,7 @@ function DateProtoSetMillisecondsFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(DateProtoSetMillisecondsFunc, FunctionTypeBase);
+DateProtoSetMillisecondsFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetMillisecondsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var ms = args[0];
 	if (ms) {
@@ -5943,6 +7201,7 @@ function DateProtoSetUTCMillisecondsFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(DateProtoSetUTCMillisecondsFunc, FunctionTypeBase);
+DateProtoSetUTCMillisecondsFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetUTCMillisecondsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var ms = args[0];
 	if (ms) {
@@ -5961,6 +7220,7 @@ function DateProtoSetSecondsFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(DateProtoSetSecondsFunc, FunctionTypeBase);
+DateProtoSetSecondsFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetSecondsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var sec = args[0],
 		ms = args[1];
@@ -5983,6 +7243,7 @@ function DateProtoSetUTCSecondsFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(DateProtoSetUTCSecondsFunc, FunctionTypeBase);
+DateProtoSetUTCSecondsFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetUTCSecondsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var sec = args[0],
 		ms = args[1];
@@ -6005,6 +7266,7 @@ function DateProtoSetMinutesFunc(className) {
 	FunctionTypeBase.call(this, 3, className || 'Function');
 }
 util.inherits(DateProtoSetMinutesFunc, FunctionTypeBase);
+DateProtoSetMinutesFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetMinutesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var min = args[0],
 		sec = args[1],
@@ -6031,6 +7293,7 @@ function DateProtoSetUTCMinutesFunc(className) {
 	FunctionTypeBase.call(this, 3, className || 'Function');
 }
 util.inherits(DateProtoSetUTCMinutesFunc, FunctionTypeBase);
+DateProtoSetUTCMinutesFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetUTCMinutesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var min = args[0],
 		sec = args[1],
@@ -6057,6 +7320,7 @@ function DateProtoSetHoursFunc(className) {
 	FunctionTypeBase.call(this, 4, className || 'Function');
 }
 util.inherits(DateProtoSetHoursFunc, FunctionTypeBase);
+DateProtoSetHoursFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetHoursFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var hour = args[0],
 		min = args[1],
@@ -6087,6 +7351,7 @@ function DateProtoSetUTCHoursFunc(className) {
 	FunctionTypeBase.call(this, 4, className || 'Function');
 }
 util.inherits(DateProtoSetUTCHoursFunc, FunctionTypeBase);
+DateProtoSetUTCHoursFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetUTCHoursFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var hour = args[0],
 		min = args[1],
@@ -6117,6 +7382,7 @@ function DateProtoSetDateFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(DateProtoSetDateFunc, FunctionTypeBase);
+DateProtoSetDateFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetDateFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var date = args[0];
 	if (date) {
@@ -6135,6 +7401,7 @@ function DateProtoSetUTCDateFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(DateProtoSetUTCDateFunc, FunctionTypeBase);
+DateProtoSetUTCDateFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetUTCDateFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var date = args[0];
 	if (date) {
@@ -6153,6 +7420,7 @@ function DateProtoSetMonthFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(DateProtoSetMonthFunc, FunctionTypeBase);
+DateProtoSetMonthFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetMonthFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var month = args[0],
 		date = args[1];
@@ -6175,6 +7443,7 @@ function DateProtoSetUTCMonthFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(DateProtoSetUTCMonthFunc, FunctionTypeBase);
+DateProtoSetUTCMonthFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetUTCMonthFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var month = args[0],
 		date = args[1];
@@ -6197,6 +7466,7 @@ function DateProtoSetFullYearFunc(className) {
 	FunctionTypeBase.call(this, 3, className || 'Function');
 }
 util.inherits(DateProtoSetFullYearFunc, FunctionTypeBase);
+DateProtoSetFullYearFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetFullYearFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var year = args[0],
 		month = args[1],
@@ -6223,6 +7493,7 @@ function DateProtoSetUTCFullYearFunc(className) {
 	FunctionTypeBase.call(this, 3, className || 'Function');
 }
 util.inherits(DateProtoSetUTCFullYearFunc, FunctionTypeBase);
+DateProtoSetUTCFullYearFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetUTCFullYearFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var year = args[0],
 		month = args[1],
@@ -6249,6 +7520,7 @@ function DateProtoToUTCStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoToUTCStringFunc, FunctionTypeBase);
+DateProtoToUTCStringFunc.prototype._resultType = { type: 'String' };
 DateProtoToUTCStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new StringType(thisVal._date.toUTCString());
 });
@@ -6263,6 +7535,7 @@ function DateProtoToISOStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoToISOStringFunc, FunctionTypeBase);
+DateProtoToISOStringFunc.prototype._resultType = { type: 'String' };
 DateProtoToISOStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new StringType(thisVal._date.toISOString());
 });
@@ -6281,6 +7554,27 @@ DateProtoToJSONFunc.prototype.callFunction = wrapNativeCall(function callFunctio
 	return new StringType(thisVal._date.toJSON());
 });
 
+/**
+ * Wraps a date method so that it returns unknown if the date is unknown. Setting part of a date to an unknown value, or
+ * setting it inside of an ambiguous block, makes the entire date unknown.
+ *
+ * @private
+ */
+function wrapDateMethod(name, method) {
+	var callFunction = method.callFunction,
+		isSetter = name.indexOf('set') === 0;
+	method.callFunction = function (thisVal, args) {
+		if (type(thisVal) === 'Unknown' || thisVal._unknownDate) {
+			return new UnknownType();
+		}
+		if (isSetter && (areAnyUnknown(args) || isAmbiguousBlock())) {
+			thisVal._unknownDate = true;
+			return new UnknownType();
+		}
+		return callFunction.apply(this, arguments);
+	};
+}
+
 /**
  * @classdesc The prototype for Errors
  *
@@ -6334,6 +7628,10 @@ function DatePrototypeType(className) {
 	addNonEnumerableProperty(this, 'toUTCString', new DateProtoToUTCStringFunc(), false, true);
 	addNonEnumerableProperty(this, 'toISOString', new DateProtoToISOStringFunc(), false, true);
 	addNonEnumerableProperty(this, 'toJSON', new DateProtoToJSONFunc(), false, true);
+
+	this._getPropertyNames().forEach(function (name) {
+		wrapDateMethod(name, this._lookupProperty(name).value);
+	}, this);
 }
 util.inherits(DatePrototypeType, ObjectType);
 
@@ -6342,871 +7640,981 @@ util,
 FunctionTypeBase,
 areAnyUnknown,
 UnknownType,
-prototypes,
-addReadOnlyProperty,
+UndefinedType,
+BooleanType,
 NumberType,
-toNumber,
 ObjectType,
-wrapNativeCall
+type,
+isCallable,
+sameValueZero,
+isCallerInAmbiguousBlock,
+createArrayFromList,
+handleRecoverableNativeException,
+addNonEnumerableProperty,
+wrapNativeCall,
+recordStateChange
 */
 
 /*****************************************
  *
- * Number Constructor
+ * Map Prototype Class
  *
  *****************************************/
 
 /**
- * Number constructor function
+ * Gets the internal map data for a Map or WeakMap. The map data contains parallel 'keys' and 'values' lists, plus an
+ * 'isUnknown' flag that is set once the contents of the map can no longer be determined (e.g. a key was unknown, or the
+ * map was modified inside of an ambiguous block).
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.7
- */
-function NumberConstructor(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-
-	this.defineOwnProperty('prototype', {
-		value: prototypes.Number
-	}, false, true);
-
-	addReadOnlyProperty(this, 'length', new NumberType(0), false, true);
-	addReadOnlyProperty(this, 'MAX_VALUE', new NumberType(Number.MAX_VALUE), false, true);
-	addReadOnlyProperty(this, 'MIN_VALUE', new NumberType(Number.MIN_VALUE), false, true);
-	addReadOnlyProperty(this, 'NaN', new NumberType(NaN), false, true);
-	addReadOnlyProperty(this, 'NEGATIVE_INFINITY', new NumberType(Number.NEGATIVE_INFINITY), false, true);
-	addReadOnlyProperty(this, 'POSITIVE_INFINITY', new NumberType(Number.POSITIVE_INFINITY), false, true);
+ * @param {module:Base.BaseType} thisVal The value to get the map data from
+ * @param {String} methodName The name of the method being called, used for error reporting
+ * @returns {Object|undefined} The map data, or undefined if the value is not a map
+ */
+function getMapData(thisVal, methodName) {
+	if (type(thisVal) !== 'Object' || !thisVal._mapData) {
+		handleRecoverableNativeException('TypeError', 'Method Map.prototype.' + methodName +
+			' called on incompatible receiver');
+		return;
+	}
+	recordStateChange(thisVal, 'internal', '_mapData');
+	return thisVal._mapData;
 }
-util.inherits(NumberConstructor, FunctionTypeBase);
-NumberConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-	// Variable declarations
-	var value = args[0];
+/**
+ * Finds the index of a key in the map data
+ *
+ * @private
+ * @param {Object} mapData The map data to search
+ * @param {module:Base.BaseType} key The key to look for
+ * @returns {Number} The index of the key, or -1 if it was not found
+ */
+function findMapKey(mapData, key) {
+	var i, len;
+	for (i = 0, len = mapData.keys.length; i < len; i++) {
+		if (sameValueZero(mapData.keys[i], key)) {
+			return i;
+		}
+	}
+	return -1;
+}
 
-	// Validate the parameters
+/**
+ * Checks if a key is valid for the given map, reporting an error if it isn't. WeakMaps can only hold object keys.
+ *
+ * @private
+ * @param {module:Base.ObjectType} map The map the key is being used with
+ * @param {module:Base.BaseType} key The key to check
+ * @returns {Boolean} Whether or not the key is valid
+ */
+function isValidMapKey(map, key) {
+	if (map.className === 'WeakMap' && type(key) !== 'Object' && type(key) !== 'Unknown') {
+		handleRecoverableNativeException('TypeError', 'Invalid value used as weak map key');
+		return false;
+	}
+	return true;
+}
+
+/**
+ * get() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.1.3.6
+ */
+function MapProtoGetFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(MapProtoGetFunc, FunctionTypeBase);
+MapProtoGetFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var key = args[0] || new UndefinedType(),
+		mapData,
+		index;
+
+	// Validate the parameters
 	if (areAnyUnknown((args || []).concat(thisVal))) {
 		return new UnknownType();
 	}
 
-	return value ? toNumber(value) : new NumberType(0);
+	// Steps 1-4
+	mapData = getMapData(thisVal, 'get');
+	if (!mapData || mapData.isUnknown) {
+		return new UnknownType();
+	}
+
+	// Steps 5-7
+	index = findMapKey(mapData, key);
+	return index === -1 ? new UndefinedType() : mapData.values[index];
 });
-NumberConstructor.prototype.construct = wrapNativeCall(function construct(args) {
+
+/**
+ * set() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.1.3.9
+ */
+function MapProtoSetFunc(className) {
+	FunctionTypeBase.call(this, 2, className || 'Function');
+}
+util.inherits(MapProtoSetFunc, FunctionTypeBase);
+MapProtoSetFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
-	var value = args[0],
-		obj;
+	var key = args[0] || new UndefinedType(),
+		value = args[1] || new UndefinedType(),
+		mapData,
+		index;
 
 	// Validate the parameters
-	if (areAnyUnknown(args)) {
+	if (type(thisVal) === 'Unknown') {
 		return new UnknownType();
 	}
 
-	obj = new ObjectType();
-	obj.className = 'Number';
-	obj.primitiveValue = value ? toNumber(value).value : 0;
-
-	Object.defineProperty(obj, 'objectPrototype', {
-		get: function () {
-			return prototypes.Number;
-		},
-		configurable: true
-	});
-
-	return obj;
-}, true);
+	// Steps 1-4
+	mapData = getMapData(thisVal, 'set');
+	if (!mapData || !isValidMapKey(thisVal, key)) {
+		return new UnknownType();
+	}
 
-/*global
-util,
-FunctionTypeBase,
-areAnyUnknown,
-UnknownType,
-BooleanType,
-prototypes,
-toBoolean,
-ObjectType,
-wrapNativeCall
-*/
+	// If the key is unknown, or we don't know if this code is run, then we can't know what's in the map anymore
+	if (type(key) === 'Unknown' || isCallerInAmbiguousBlock()) {
+		mapData.isUnknown = true;
+	}
 
-/*****************************************
- *
- * Boolean Constructor
- *
- *****************************************/
+	// Steps 5-11
+	if (type(key) !== 'Unknown') {
+		index = findMapKey(mapData, key);
+		if (index === -1) {
+			mapData.keys.push(key);
+			mapData.values.push(value);
+		} else {
+			mapData.values[index] = value;
+		}
+	}
+	return thisVal;
+});
 
 /**
- * Boolean constructor function
+ * has() prototype method
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.6
+ * @see ECMA-262 6th Edition Chapter 23.1.3.7
  */
-function BooleanConstructor(className) {
+function MapProtoHasFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
-
-	this.defineOwnProperty('prototype', {
-		value: prototypes.Boolean
-	}, false, true);
 }
-util.inherits(BooleanConstructor, FunctionTypeBase);
-BooleanConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+util.inherits(MapProtoHasFunc, FunctionTypeBase);
+MapProtoHasFunc.prototype._resultType = { type: 'Boolean' };
+MapProtoHasFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
-	var value = args[0];
+	var mapData;
 
 	// Validate the parameters
 	if (areAnyUnknown((args || []).concat(thisVal))) {
 		return new UnknownType();
 	}
 
-	return value ? toBoolean(value) : new BooleanType(false);
+	// Steps 1-4
+	mapData = getMapData(thisVal, 'has');
+	if (!mapData || mapData.isUnknown) {
+		return new UnknownType();
+	}
+
+	// Steps 5-7
+	return new BooleanType(findMapKey(mapData, args[0] || new UndefinedType()) !== -1);
 });
-BooleanConstructor.prototype.construct = wrapNativeCall(function construct(args) {
+
+/**
+ * delete() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.1.3.3
+ */
+function MapProtoDeleteFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(MapProtoDeleteFunc, FunctionTypeBase);
+MapProtoDeleteFunc.prototype._resultType = { type: 'Boolean' };
+MapProtoDeleteFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
-	var value = args[0],
-		obj;
+	var key = args[0] || new UndefinedType(),
+		mapData,
+		index;
 
 	// Validate the parameters
-	if (areAnyUnknown(args)) {
+	if (type(thisVal) === 'Unknown') {
 		return new UnknownType();
 	}
 
-	obj = new ObjectType();
-	obj.className = 'Boolean';
-	obj.primitiveValue = value ? toBoolean(value).value : false;
+	// Steps 1-4
+	mapData = getMapData(thisVal, 'delete');
+	if (!mapData) {
+		return new UnknownType();
+	}
+	if (type(key) === 'Unknown' || isCallerInAmbiguousBlock()) {
+		mapData.isUnknown = true;
+		return new UnknownType();
+	}
 
-	Object.defineProperty(obj, 'objectPrototype', {
-		get: function () {
-			return prototypes.Boolean;
-		},
-		configurable: true
-	});
+	// Steps 5-7
+	index = findMapKey(mapData, key);
+	if (index === -1) {
+		return mapData.isUnknown ? new UnknownType() : new BooleanType(false);
+	}
+	mapData.keys.splice(index, 1);
+	mapData.values.splice(index, 1);
+	return new BooleanType(true);
+});
 
-	return obj;
-}, true);
+/**
+ * clear() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.1.3.1
+ */
+function MapProtoClearFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(MapProtoClearFunc, FunctionTypeBase);
+MapProtoClearFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 
-/*global
-util,
-FunctionTypeBase,
-areAnyUnknown,
-UnknownType,
-BaseType,
-prototypes,
-toUint16,
-StringType,
-toString,
-ObjectType,
-NumberType,
-wrapNativeCall,
-addNonEnumerableProperty
-*/
+	// Variable declarations
+	var mapData;
 
-/*****************************************
- *
- * String Constructor
- *
- *****************************************/
+	// Validate the parameters
+	if (type(thisVal) === 'Unknown') {
+		return new UnknownType();
+	}
+
+	// Steps 1-4
+	mapData = getMapData(thisVal, 'clear');
+	if (!mapData) {
+		return new UnknownType();
+	}
+
+	// Steps 5-7. A clear that may not happen leaves the contents unknown, otherwise the contents are known to be empty
+	if (isCallerInAmbiguousBlock()) {
+		mapData.isUnknown = true;
+	} else {
+		mapData.keys = [];
+		mapData.values = [];
+		mapData.isUnknown = false;
+	}
+	return new UndefinedType();
+});
 
 /**
- * isArray() prototype method
+ * forEach() prototype method
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.5.3.2
+ * @see ECMA-262 6th Edition Chapter 23.1.3.5
  */
-function StringFromCharCodeFunc(className) {
+function MapProtoForEachFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
-util.inherits(StringFromCharCodeFunc, FunctionTypeBase);
-StringFromCharCodeFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+util.inherits(MapProtoForEachFunc, FunctionTypeBase);
+MapProtoForEachFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
-	var i, len;
+	var callbackFn = args[0],
+		t = args[1] || new UndefinedType(),
+		mapData,
+		keys,
+		values,
+		i, len;
 
 	// Validate the parameters
 	if (areAnyUnknown((args || []).concat(thisVal))) {
 		return new UnknownType();
 	}
 
-	// Convert the array to something we can apply()
-	for (i = 0, len = args.length; i < len; i++) {
-		args[i] = toUint16(args[i]).value;
+	// Steps 1-4
+	mapData = getMapData(thisVal, 'forEach');
+	if (!mapData) {
+		return new UnknownType();
 	}
 
-	// Use the built-in match method to perform the match
-	return new StringType(String.fromCharCode.apply(this, args));
+	// Step 5
+	if (!isCallable(callbackFn)) {
+		handleRecoverableNativeException('TypeError', 'Callback function is not callable');
+		return new UnknownType();
+	}
+
+	// Steps 6-8. If the contents are unknown, the callback is still evaluated once so that its body gets analyzed
+	if (mapData.isUnknown) {
+		callbackFn.callFunction(t, [new UnknownType(), new UnknownType(), thisVal], {
+			isAmbiguousContext: true
+		});
+	} else {
+		keys = mapData.keys.slice();
+		values = mapData.values.slice();
+		for (i = 0, len = keys.length; i < len; i++) {
+			callbackFn.callFunction(t, [values[i], keys[i], thisVal]);
+		}
+	}
+
+	// Step 9
+	return new UndefinedType();
 });
 
 /**
- * String constructor function
+ * keys() prototype method. Iterators are not modeled, so this returns an array of the keys instead.
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.5, 15.5.5.2
+ * @see ECMA-262 6th Edition Chapter 23.1.3.8
  */
-function StringConstructor(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-
-	this.defineOwnProperty('prototype', {
-		value: prototypes.String
-	}, false, true);
-
-	addNonEnumerableProperty(this, 'fromCharCode', new StringFromCharCodeFunc());
+function MapProtoKeysFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
 }
-util.inherits(StringConstructor, FunctionTypeBase);
-StringConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+util.inherits(MapProtoKeysFunc, FunctionTypeBase);
+MapProtoKeysFunc.prototype._resultType = { type: 'Object', className: 'Array' };
+MapProtoKeysFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 
 	// Variable declarations
-	var value = args[0];
+	var mapData;
 
 	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
+	if (type(thisVal) === 'Unknown') {
 		return new UnknownType();
 	}
 
-	return value ? toString(value) : new StringType('');
+	mapData = getMapData(thisVal, 'keys');
+	return !mapData || mapData.isUnknown ? new UnknownType() : createArrayFromList(mapData.keys);
 });
-StringConstructor.prototype.construct = wrapNativeCall(function construct(args) {
+
+/**
+ * values() prototype method. Iterators are not modeled, so this returns an array of the values instead.
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.1.3.11
+ */
+function MapProtoValuesFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(MapProtoValuesFunc, FunctionTypeBase);
+MapProtoValuesFunc.prototype._resultType = { type: 'Object', className: 'Array' };
+MapProtoValuesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 
 	// Variable declarations
-	var value = args[0],
-		obj;
+	var mapData;
 
 	// Validate the parameters
-	if (areAnyUnknown(args)) {
+	if (type(thisVal) === 'Unknown') {
 		return new UnknownType();
 	}
 
-	obj = new ObjectType();
-	obj.className = 'String';
-	obj.primitiveValue = value ? toString(value).value : '';
+	mapData = getMapData(thisVal, 'values');
+	return !mapData || mapData.isUnknown ? new UnknownType() : createArrayFromList(mapData.values);
+});
 
-	obj.defineOwnProperty('length', { value: new NumberType(obj.primitiveValue.length) }, false, true);
+/**
+ * entries() prototype method. Iterators are not modeled, so this returns an array of [key, value] arrays instead.
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.1.3.4
+ */
+function MapProtoEntriesFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(MapProtoEntriesFunc, FunctionTypeBase);
+MapProtoEntriesFunc.prototype._resultType = { type: 'Object', className: 'Array' };
+MapProtoEntriesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 
-	obj._getOwnProperty = obj.getOwnProperty;
+	// Variable declarations
+	var mapData;
 
-	Object.defineProperty(obj, 'objectPrototype', {
-		get: function () {
-			return prototypes.String;
-		},
-		configurable: true
-	});
+	// Validate the parameters
+	if (type(thisVal) === 'Unknown') {
+		return new UnknownType();
+	}
 
-	obj._getPropertyNames = StringType.prototype._getPropertyNames;
+	mapData = getMapData(thisVal, 'entries');
+	if (!mapData || mapData.isUnknown) {
+		return new UnknownType();
+	}
+	return createArrayFromList(mapData.keys.map(function (key, i) {
+		return createArrayFromList([key, mapData.values[i]]);
+	}));
+});
 
+/**
+ * size getter
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.1.3.10
+ */
+function MapProtoSizeGetterFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(MapProtoSizeGetterFunc, FunctionTypeBase);
+MapProtoSizeGetterFunc.prototype._resultType = { type: 'Number', min: 0, max: Infinity, integer: true };
+MapProtoSizeGetterFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 
-	// From the spec 15.5.5.2
-	obj._lookupProperty = function _lookupProperty(p) {
-		var current = BaseType.prototype._lookupProperty.call(this, p),
-			index;
-		if (current) {
-			return current;
-		}
+	// Variable declarations
+	var mapData;
 
-		// Step 5
-		index = +p;
+	// Validate the parameters
+	if (type(thisVal) === 'Unknown') {
+		return new UnknownType();
+	}
 
-		// Step 4
-		if (Math.abs(index) + '' !== p) {
-			return;
-		}
+	mapData = getMapData(thisVal, 'size');
+	return !mapData || mapData.isUnknown ? new UnknownType() : new NumberType(mapData.keys.length);
+});
 
-		// Step 7
-		if (index >= this.primitiveValue.length) {
-			return;
-		}
+/**
+ * @classdesc The prototype for Maps and WeakMaps
+ *
+ * @constructor
+ * @param {String} mapType The type of map, either 'Map' or 'WeakMap'
+ * @param {String} [className] The name of the class
+ * @see ECMA-262 6th Edition Chapters 23.1.3 and 23.3.3
+ */
+exports.MapPrototypeType = MapPrototypeType;
+function MapPrototypeType(mapType, className) {
+	ObjectType.call(this, className);
 
-		// Steps 8-9
-		return {
-			value: new StringType(this.primitiveValue[index]),
-			enumerable: true,
-			writable: true,
+	addNonEnumerableProperty(this, 'get', new MapProtoGetFunc(), false, true);
+	addNonEnumerableProperty(this, 'set', new MapProtoSetFunc(), false, true);
+	addNonEnumerableProperty(this, 'has', new MapProtoHasFunc(), false, true);
+	addNonEnumerableProperty(this, 'delete', new MapProtoDeleteFunc(), false, true);
+
+	// WeakMaps are not enumerable, so they don't get the rest of the methods
+	if (mapType === 'Map') {
+		addNonEnumerableProperty(this, 'clear', new MapProtoClearFunc(), false, true);
+		addNonEnumerableProperty(this, 'forEach', new MapProtoForEachFunc(), false, true);
+		addNonEnumerableProperty(this, 'keys', new MapProtoKeysFunc(), false, true);
+		addNonEnumerableProperty(this, 'values', new MapProtoValuesFunc(), false, true);
+		addNonEnumerableProperty(this, 'entries', new MapProtoEntriesFunc(), false, true);
+		this.defineOwnProperty('size', {
+			get: new MapProtoSizeGetterFunc(),
+			enumerable: false,
 			configurable: true
-		};
-	};
-
-	obj._getPropertyNames = function _getPropertyNames() {
-		var props = [],
-			val = this.primitiveValue,
-			i, len;
-		for (i = 0, len = val.length; i < len; i++) {
-			props.push(i.toString());
-		}
-		return props.concat(BaseType.prototype._getPropertyNames.call(this));
-	};
+		}, false, true);
+	}
+}
+util.inherits(MapPrototypeType, ObjectType);
 
-	return obj;
-}, true);
 
 /*global
 util,
 FunctionTypeBase,
 areAnyUnknown,
 UnknownType,
+UndefinedType,
 BooleanType,
-prototypes,
+NumberType,
+ObjectType,
 type,
+isCallable,
+sameValueZero,
+isCallerInAmbiguousBlock,
+createArrayFromList,
 handleRecoverableNativeException,
-toString,
-fromPropertyDescriptor,
-ArrayType,
-ObjectType,
-toPropertyDescriptor,
-toObject,
-isDataDescriptor,
-StringType,
-isType,
-wrapNativeCall,
 addNonEnumerableProperty,
-NullType
+wrapNativeCall,
+recordStateChange
 */
 
 /*****************************************
  *
- * Object Constructor
+ * Set Prototype Class
  *
  *****************************************/
 
 /**
- * getPrototypeOf() prototype method
+ * Gets the internal set data for a Set or WeakSet. The set data contains a 'values' list, plus an 'isUnknown' flag that
+ * is set once the contents of the set can no longer be determined.
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.2.3.2
- */
-function ObjectGetPrototypeOfFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(ObjectGetPrototypeOfFunc, FunctionTypeBase);
-ObjectGetPrototypeOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-
-	// Variable declarations
-	var o = args[0];
-
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+ * @param {module:Base.BaseType} thisVal The value to get the set data from
+ * @param {String} methodName The name of the method being called, used for error reporting
+ * @returns {Object|undefined} The set data, or undefined if the value is not a set
+ */
+function getSetData(thisVal, methodName) {
+	if (type(thisVal) !== 'Object' || !thisVal._setData) {
+		handleRecoverableNativeException('TypeError', 'Method Set.prototype.' + methodName +
+			' called on incompatible receiver');
+		return;
 	}
+	recordStateChange(thisVal, 'internal', '_setData');
+	return thisVal._setData;
+}
 
-	if (!o || type(o) !== 'Object') {
-		handleRecoverableNativeException('TypeError', 'Value is not an object');
-		return new UnknownType();
+/**
+ * Finds the index of a value in the set data
+ *
+ * @private
+ * @param {Object} setData The set data to search
+ * @param {module:Base.BaseType} value The value to look for
+ * @returns {Number} The index of the value, or -1 if it was not found
+ */
+function findSetValue(setData, value) {
+	var i, len;
+	for (i = 0, len = setData.values.length; i < len; i++) {
+		if (sameValueZero(setData.values[i], value)) {
+			return i;
+		}
 	}
-	return o.objectPrototype ? o.objectPrototype : new NullType();
-});
+	return -1;
+}
 
 /**
- * getOwnPropertyDescriptor() prototype method
+ * add() prototype method
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.2.3.3
+ * @see ECMA-262 6th Edition Chapter 23.2.3.1
  */
-function ObjectGetOwnPropertyDescriptorFunc(className) {
-	FunctionTypeBase.call(this, 2, className || 'Function');
+function SetProtoAddFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
 }
-util.inherits(ObjectGetOwnPropertyDescriptorFunc, FunctionTypeBase);
-ObjectGetOwnPropertyDescriptorFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+util.inherits(SetProtoAddFunc, FunctionTypeBase);
+SetProtoAddFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
-	var o = args[0],
-		p = args[1],
-		name;
+	var value = args[0] || new UndefinedType(),
+		setData;
 
 	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
+	if (type(thisVal) === 'Unknown') {
 		return new UnknownType();
 	}
 
-	// Step 1
-	if (type(o) !== 'Object') {
-		handleRecoverableNativeException('TypeError', 'Value is not an object');
+	// Steps 1-4
+	setData = getSetData(thisVal, 'add');
+	if (!setData) {
+		return new UnknownType();
+	}
+	if (thisVal.className === 'WeakSet' && type(value) !== 'Object' && type(value) !== 'Unknown') {
+		handleRecoverableNativeException('TypeError', 'Invalid value used in weak set');
 		return new UnknownType();
 	}
 
-	// Step 2
-	name = toString(p).value;
+	// If the value is unknown, or we don't know if this code is run, then we can't know what's in the set anymore
+	if (type(value) === 'Unknown' || isCallerInAmbiguousBlock()) {
+		setData.isUnknown = true;
+	}
 
-	// Steps 3 and 4
-	return fromPropertyDescriptor(o.getOwnProperty(name));
+	// Steps 5-8
+	if (type(value) !== 'Unknown' && findSetValue(setData, value) === -1) {
+		setData.values.push(value);
+	}
+	return thisVal;
 });
 
 /**
- * getOwnPropertyNames() prototype method
+ * has() prototype method
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.2.3.4
+ * @see ECMA-262 6th Edition Chapter 23.2.3.7
  */
-function ObjectGetOwnPropertyNamesFunc(className) {
+function SetProtoHasFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
-util.inherits(ObjectGetOwnPropertyNamesFunc, FunctionTypeBase);
-ObjectGetOwnPropertyNamesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+util.inherits(SetProtoHasFunc, FunctionTypeBase);
+SetProtoHasFunc.prototype._resultType = { type: 'Boolean' };
+SetProtoHasFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
-	var o = args[0],
-		array,
-		n = 0;
+	var setData;
 
 	// Validate the parameters
 	if (areAnyUnknown((args || []).concat(thisVal))) {
 		return new UnknownType();
 	}
 
-	// Step 1
-	if (!o || type(o) !== 'Object') {
-		handleRecoverableNativeException('TypeError', 'Value is not an object');
+	// Steps 1-4
+	setData = getSetData(thisVal, 'has');
+	if (!setData || setData.isUnknown) {
 		return new UnknownType();
 	}
 
-	// Step 2
-	array = new ArrayType();
-
-	// Step 4
-	o._getPropertyNames().forEach(function (name) {
-		array.defineOwnProperty(n, {
-			value: new StringType(name),
-			writable: true,
-			enumerable: true,
-			configurable: true
-		}, false, true);
-		n++;
-	});
-
-	// Step 5
-	return array;
+	// Steps 5-7
+	return new BooleanType(findSetValue(setData, args[0] || new UndefinedType()) !== -1);
 });
 
 /**
- * create() prototype method
+ * delete() prototype method
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.2.3.5
+ * @see ECMA-262 6th Edition Chapter 23.2.3.4
  */
-function ObjectCreateFunc(className) {
-	FunctionTypeBase.call(this, 2, className || 'Function');
+function SetProtoDeleteFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
 }
-util.inherits(ObjectCreateFunc, FunctionTypeBase);
-ObjectCreateFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+util.inherits(SetProtoDeleteFunc, FunctionTypeBase);
+SetProtoDeleteFunc.prototype._resultType = { type: 'Boolean' };
+SetProtoDeleteFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
-	var o = args[0],
-		properties = args[1],
-		obj;
+	var value = args[0] || new UndefinedType(),
+		setData,
+		index;
 
 	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
+	if (type(thisVal) === 'Unknown') {
 		return new UnknownType();
 	}
 
-	// Step 1
-	if (!o || (type(o) != 'Object' && type(o) != 'Null')) {
-		handleRecoverableNativeException('TypeError', 'Value is not an object');
+	// Steps 1-4
+	setData = getSetData(thisVal, 'delete');
+	if (!setData) {
 		return new UnknownType();
 	}
-
-	// Step 2
-	obj = new ObjectType();
-
-	// Step 3
-	obj.objectPrototype = o;
-
-	// Step 4
-	if (properties && type(properties) !== 'Undefined') {
-		ObjectDefinePropertiesFunc.prototype.callFunction(thisVal, [obj, properties]);
+	if (type(value) === 'Unknown' || isCallerInAmbiguousBlock()) {
+		setData.isUnknown = true;
+		return new UnknownType();
 	}
 
-	// Step 5
-	return obj;
+	// Steps 5-7
+	index = findSetValue(setData, value);
+	if (index === -1) {
+		return setData.isUnknown ? new UnknownType() : new BooleanType(false);
+	}
+	setData.values.splice(index, 1);
+	return new BooleanType(true);
 });
 
 /**
- * defineProperties() prototype method
+ * clear() prototype method
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.2.3.6
+ * @see ECMA-262 6th Edition Chapter 23.2.3.2
  */
-function ObjectDefinePropertyFunc(className) {
-	FunctionTypeBase.call(this, 3, className || 'Function');
+function SetProtoClearFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
 }
-util.inherits(ObjectDefinePropertyFunc, FunctionTypeBase);
-ObjectDefinePropertyFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+util.inherits(SetProtoClearFunc, FunctionTypeBase);
+SetProtoClearFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 
 	// Variable declarations
-	var o = args[0],
-		p = args[1],
-		attributes = args[2],
-		name,
-		desc;
+	var setData;
 
 	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
+	if (type(thisVal) === 'Unknown') {
 		return new UnknownType();
 	}
 
-	// Step 1
-	if (!o || type(o) !== 'Object') {
-		handleRecoverableNativeException('TypeError', 'Value is not an object');
+	// Steps 1-4
+	setData = getSetData(thisVal, 'clear');
+	if (!setData) {
 		return new UnknownType();
 	}
 
-	// Step 2
-	name = toString(p).value;
-
-	// Step 3
-	desc = toPropertyDescriptor(attributes);
-
-	// Step 4
-	o.defineOwnProperty(name, desc, true);
-
-	// Step 5
-	return o;
+	// Steps 5-7. A clear that may not happen leaves the contents unknown, otherwise the contents are known to be empty
+	if (isCallerInAmbiguousBlock()) {
+		setData.isUnknown = true;
+	} else {
+		setData.values = [];
+		setData.isUnknown = false;
+	}
+	return new UndefinedType();
 });
 
 /**
- * defineProperties() prototype method
+ * forEach() prototype method
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.2.3.7
+ * @see ECMA-262 6th Edition Chapter 23.2.3.6
  */
-function ObjectDefinePropertiesFunc(className) {
-	FunctionTypeBase.call(this, 2, className || 'Function');
+function SetProtoForEachFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
 }
-util.inherits(ObjectDefinePropertiesFunc, FunctionTypeBase);
-ObjectDefinePropertiesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+util.inherits(SetProtoForEachFunc, FunctionTypeBase);
+SetProtoForEachFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
-	var o,
-		properties,
-		props,
-		names,
-		i,
-		len,
-		p;
+	var callbackFn = args[0],
+		t = args[1] || new UndefinedType(),
+		setData,
+		values,
+		i, len;
 
 	// Validate the parameters
 	if (areAnyUnknown((args || []).concat(thisVal))) {
 		return new UnknownType();
 	}
 
-	o = args[0];
-	properties = args[1];
-	props = toObject(properties);
-	names = props._getPropertyNames();
+	// Steps 1-4
+	setData = getSetData(thisVal, 'forEach');
+	if (!setData) {
+		return new UnknownType();
+	}
 
-	// Step 1
-	if (!o || type(o) !== 'Object') {
-		handleRecoverableNativeException('TypeError', 'Value is not an object');
+	// Step 5
+	if (!isCallable(callbackFn)) {
+		handleRecoverableNativeException('TypeError', 'Callback function is not callable');
 		return new UnknownType();
 	}
 
-	// Steps 5 and 6
-	for (i = 0, len = names.length; i < len; i++) {
-		p = names[i];
-		if (props.getProperty(p).enumerable) {
-			o.defineOwnProperty(p, toPropertyDescriptor(props.get(p)), true);
+	// Steps 6-8. If the contents are unknown, the callback is still evaluated once so that its body gets analyzed
+	if (setData.isUnknown) {
+		callbackFn.callFunction(t, [new UnknownType(), new UnknownType(), thisVal], {
+			isAmbiguousContext: true
+		});
+	} else {
+		values = setData.values.slice();
+		for (i = 0, len = values.length; i < len; i++) {
+			callbackFn.callFunction(t, [values[i], values[i], thisVal]);
 		}
 	}
 
-	// Step 7
-	return o;
+	// Step 9
+	return new UndefinedType();
 });
 
 /**
- * seal() prototype method
+ * values() prototype method, which is also used for keys(). Iterators are not modeled, so this returns an array of the
+ * values instead.
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.2.3.8
+ * @see ECMA-262 6th Edition Chapter 23.2.3.10
  */
-function ObjectSealFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
+function SetProtoValuesFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
 }
-util.inherits(ObjectSealFunc, FunctionTypeBase);
-ObjectSealFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+util.inherits(SetProtoValuesFunc, FunctionTypeBase);
+SetProtoValuesFunc.prototype._resultType = { type: 'Object', className: 'Array' };
+SetProtoValuesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 
 	// Variable declarations
-	var o = args[0],
-		desc;
+	var setData;
 
 	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
+	if (type(thisVal) === 'Unknown') {
 		return new UnknownType();
 	}
 
-	// Step 1
-	if (!o || type(o) !== 'Object') {
-		handleRecoverableNativeException('TypeError', 'Value is not an object');
-		return new UnknownType();
-	}
-
-	// Step 2
-	o._getPropertyNames().forEach(function (p) {
-		desc = o.getOwnProperty(p);
-		desc.configurable = false;
-		o.defineOwnProperty(p, desc, true);
-	});
-
-	// Step 3
-	o.extensible = false;
-
-	// Step 4
-	return o;
+	setData = getSetData(thisVal, 'values');
+	return !setData || setData.isUnknown ? new UnknownType() : createArrayFromList(setData.values);
 });
 
 /**
- * freeze() prototype method
+ * entries() prototype method. Iterators are not modeled, so this returns an array of [value, value] arrays instead.
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.2.3.9
+ * @see ECMA-262 6th Edition Chapter 23.2.3.5
  */
-function ObjectFreezeFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
+function SetProtoEntriesFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
 }
-util.inherits(ObjectFreezeFunc, FunctionTypeBase);
-ObjectFreezeFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+util.inherits(SetProtoEntriesFunc, FunctionTypeBase);
+SetProtoEntriesFunc.prototype._resultType = { type: 'Object', className: 'Array' };
+SetProtoEntriesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 
 	// Variable declarations
-	var o = args[0],
-		desc;
+	var setData;
 
 	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
+	if (type(thisVal) === 'Unknown') {
 		return new UnknownType();
 	}
 
-	// Step 1
-	if (!o || type(o) !== 'Object') {
-		handleRecoverableNativeException('TypeError', 'Value is not an object');
+	setData = getSetData(thisVal, 'entries');
+	if (!setData || setData.isUnknown) {
 		return new UnknownType();
 	}
-
-	// Step 2
-	o._getPropertyNames().forEach(function (p) {
-		desc = o.getOwnProperty(p);
-		if (isDataDescriptor(desc)) {
-			desc.writable = false;
-		}
-		desc.configurable = false;
-		o.defineOwnProperty(p, desc, true);
-	});
-
-	// Step 3
-	o.extensible = false;
-
-	// Step 4
-	return o;
+	return createArrayFromList(setData.values.map(function (value) {
+		return createArrayFromList([value, value]);
+	}));
 });
 
 /**
- * preventExtensions() prototype method
+ * size getter
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.2.3.10
+ * @see ECMA-262 6th Edition Chapter 23.2.3.9
  */
-function ObjectPreventExtensionsFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
+function SetProtoSizeGetterFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
 }
-util.inherits(ObjectPreventExtensionsFunc, FunctionTypeBase);
-ObjectPreventExtensionsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+util.inherits(SetProtoSizeGetterFunc, FunctionTypeBase);
+SetProtoSizeGetterFunc.prototype._resultType = { type: 'Number', min: 0, max: Infinity, integer: true };
+SetProtoSizeGetterFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 
 	// Variable declarations
-	var o = args[0];
+	var setData;
 
 	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
-	}
-
-	// Step 1
-	if (!o || type(o) !== 'Object') {
-		handleRecoverableNativeException('TypeError', 'Value is not an object');
+	if (type(thisVal) === 'Unknown') {
 		return new UnknownType();
 	}
 
-	// Step 2
-	o.extensible = false;
-
-	// Step 3
-	return o;
+	setData = getSetData(thisVal, 'size');
+	return !setData || setData.isUnknown ? new UnknownType() : new NumberType(setData.values.length);
 });
 
 /**
- * isSealed() prototype method
+ * @classdesc The prototype for Sets and WeakSets
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.2.3.11
+ * @constructor
+ * @param {String} setType The type of set, either 'Set' or 'WeakSet'
+ * @param {String} [className] The name of the class
+ * @see ECMA-262 6th Edition Chapters 23.2.3 and 23.4.3
  */
-function ObjectIsSealedFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(ObjectIsSealedFunc, FunctionTypeBase);
-ObjectIsSealedFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+exports.SetPrototypeType = SetPrototypeType;
+function SetPrototypeType(setType, className) {
 
 	// Variable declarations
-	var o = args[0];
+	var values;
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
-	}
+	ObjectType.call(this, className);
 
-	// Step 1
-	if (!o || type(o) !== 'Object') {
-		handleRecoverableNativeException('TypeError', 'Value is not an object');
-		return new UnknownType();
+	addNonEnumerableProperty(this, 'add', new SetProtoAddFunc(), false, true);
+	addNonEnumerableProperty(this, 'has', new SetProtoHasFunc(), false, true);
+	addNonEnumerableProperty(this, 'delete', new SetProtoDeleteFunc(), false, true);
+
+	// WeakSets are not enumerable, so they don't get the rest of the methods
+	if (setType === 'Set') {
+		values = new SetProtoValuesFunc();
+		addNonEnumerableProperty(this, 'clear', new SetProtoClearFunc(), false, true);
+		addNonEnumerableProperty(this, 'forEach', new SetProtoForEachFunc(), false, true);
+		addNonEnumerableProperty(this, 'values', values, false, true);
+		addNonEnumerableProperty(this, 'keys', values, false, true);
+		addNonEnumerableProperty(this, 'entries', new SetProtoEntriesFunc(), false, true);
+		this.defineOwnProperty('size', {
+			get: new SetProtoSizeGetterFunc(),
+			enumerable: false,
+			configurable: true
+		}, false, true);
 	}
+}
+util.inherits(SetPrototypeType, ObjectType);
 
-	// Step 2
-	o._getPropertyNames().forEach(function (p) {
-		if (o.getOwnProperty(p).configurable) {
-			return new BooleanType(false);
-		}
-	});
 
-	// Step 3
-	return new BooleanType(!o.extensible);
-});
+/*global
+util,
+FunctionTypeBase,
+UnknownType,
+UndefinedType,
+ObjectType,
+type,
+isPromise,
+performPromiseThen,
+handleRecoverableNativeException,
+addNonEnumerableProperty,
+wrapNativeCall
+*/
+
+/*****************************************
+ *
+ * Promise Prototype Class
+ *
+ *****************************************/
 
 /**
- * isFrozen() prototype method
+ * then() prototype method
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.2.3.12
+ * @see ECMA-262 6th Edition Chapter 25.4.5.3
  */
-function ObjectIsFrozenFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
+function PromiseProtoThenFunc(className) {
+	FunctionTypeBase.call(this, 2, className || 'Function');
 }
-util.inherits(ObjectIsFrozenFunc, FunctionTypeBase);
-ObjectIsFrozenFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-
-	// Variable declarations
-	var o = args[0],
-		desc;
+util.inherits(PromiseProtoThenFunc, FunctionTypeBase);
+PromiseProtoThenFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
+	if (type(thisVal) === 'Unknown') {
 		return new UnknownType();
 	}
 
-	// Step 1
-	if (!o || type(o) !== 'Object') {
-		handleRecoverableNativeException('TypeError', 'Value is not an object');
+	// Steps 1 and 2
+	if (!isPromise(thisVal)) {
+		handleRecoverableNativeException('TypeError', 'Method Promise.prototype.then called on incompatible receiver');
 		return new UnknownType();
 	}
 
-	// Step 2
-	o._getPropertyNames().forEach(function (p) {
-		desc = o.getOwnProperty(p);
-		if ((isDataDescriptor(desc) && desc.writable) || desc.configurable) {
-			return new BooleanType(false);
-		}
-	});
-
-	// Step 3
-	return new BooleanType(!o.extensible);
+	// Steps 3-6
+	return performPromiseThen(thisVal, args[0] || new UndefinedType(), args[1] || new UndefinedType());
 });
 
 /**
- * isExtensible() prototype method
+ * catch() prototype method
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.2.3.13
+ * @see ECMA-262 6th Edition Chapter 25.4.5.1
  */
-function ObjectIsExtensibleFunc(className) {
+function PromiseProtoCatchFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
-util.inherits(ObjectIsExtensibleFunc, FunctionTypeBase);
-ObjectIsExtensibleFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-
-	// Variable declarations
-	var o = args[0];
+util.inherits(PromiseProtoCatchFunc, FunctionTypeBase);
+PromiseProtoCatchFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
+	if (type(thisVal) === 'Unknown') {
 		return new UnknownType();
 	}
 
-	// Step 1
-	if (!o || type(o) !== 'Object') {
-		handleRecoverableNativeException('TypeError', 'Value is not an object');
+	// Steps 1 and 2
+	if (!isPromise(thisVal)) {
+		handleRecoverableNativeException('TypeError', 'Method Promise.prototype.catch called on incompatible receiver');
 		return new UnknownType();
 	}
-
-	// Step 2
-	return new BooleanType(o.extensible);
+	return performPromiseThen(thisVal, new UndefinedType(), args[0] || new UndefinedType());
 });
 
 /**
- * keys() prototype method
+ * @classdesc The prototype for Promises
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.2.3.14
+ * @constructor
+ * @see ECMA-262 6th Edition Chapter 25.4.5
  */
-function ObjectKeysFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(ObjectKeysFunc, FunctionTypeBase);
-ObjectKeysFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-
-	// Variable declarations
-	var o = args[0],
-		array,
-		index = 0;
-
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
-	}
+exports.PromisePrototypeType = PromisePrototypeType;
+function PromisePrototypeType(className) {
+	ObjectType.call(this, className);
 
-	// Step 1
-	if (!o || type(o) !== 'Object') {
-		handleRecoverableNativeException('TypeError', 'Value is not an object');
-		return new UnknownType();
-	}
+	addNonEnumerableProperty(this, 'then', new PromiseProtoThenFunc(), false, true);
+	addNonEnumerableProperty(this, 'catch', new PromiseProtoCatchFunc(), false, true);
+}
+util.inherits(PromisePrototypeType, ObjectType);
 
-	// Step 3
-	array = new ArrayType();
 
-	// Step 5
-	o._getPropertyNames().forEach(function (p) {
-		if (o._lookupProperty(p).enumerable) {
-			array.defineOwnProperty(index, {
-				value: new StringType(p),
-				writable: true,
-				enumerable: true,
-				configurable: true
-			}, false);
-			index++;
-		}
-	});
+/*global
+util,
+FunctionTypeBase,
+areAnyUnknown,
+UnknownType,
+prototypes,
+addReadOnlyProperty,
+NumberType,
+toNumber,
+ObjectType,
+wrapNativeCall
+*/
 
-	// Step 6
-	return array;
-});
+/*****************************************
+ *
+ * Number Constructor
+ *
+ *****************************************/
 
 /**
- * Object constructor function
+ * Number constructor function
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.2
+ * @see ECMA-262 Spec Chapter 15.7
  */
-function ObjectConstructor(className) {
+function NumberConstructor(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 
 	this.defineOwnProperty('prototype', {
-		value: prototypes.Object
+		value: prototypes.Number
 	}, false, true);
 
-	addNonEnumerableProperty(this, 'getPrototypeOf', new ObjectGetPrototypeOfFunc());
-	addNonEnumerableProperty(this, 'getOwnPropertyDescriptor', new ObjectGetOwnPropertyDescriptorFunc());
-	addNonEnumerableProperty(this, 'getOwnPropertyNames', new ObjectGetOwnPropertyNamesFunc());
-	addNonEnumerableProperty(this, 'create', new ObjectCreateFunc());
-	addNonEnumerableProperty(this, 'defineProperty', new ObjectDefinePropertyFunc());
-	addNonEnumerableProperty(this, 'defineProperties', new ObjectDefinePropertiesFunc());
-	addNonEnumerableProperty(this, 'seal', new ObjectSealFunc());
-	addNonEnumerableProperty(this, 'freeze', new ObjectFreezeFunc());
-	addNonEnumerableProperty(this, 'preventExtensions', new ObjectPreventExtensionsFunc());
-	addNonEnumerableProperty(this, 'isSealed', new ObjectIsSealedFunc());
-	addNonEnumerableProperty(this, 'isFrozen', new ObjectIsFrozenFunc());
-	addNonEnumerableProperty(this, 'isExtensible', new ObjectIsExtensibleFunc());
-	addNonEnumerableProperty(this, 'keys', new ObjectKeysFunc());
+	addReadOnlyProperty(this, 'length', new NumberType(0), false, true);
+	addReadOnlyProperty(this, 'MAX_VALUE', new NumberType(Number.MAX_VALUE), false, true);
+	addReadOnlyProperty(this, 'MIN_VALUE', new NumberType(Number.MIN_VALUE), false, true);
+	addReadOnlyProperty(this, 'NaN', new NumberType(NaN), false, true);
+	addReadOnlyProperty(this, 'NEGATIVE_INFINITY', new NumberType(Number.NEGATIVE_INFINITY), false, true);
+	addReadOnlyProperty(this, 'POSITIVE_INFINITY', new NumberType(Number.POSITIVE_INFINITY), false, true);
 }
-util.inherits(ObjectConstructor, FunctionTypeBase);
-ObjectConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+util.inherits(NumberConstructor, FunctionTypeBase);
+NumberConstructor.prototype._resultType = { type: 'Number' };
+NumberConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
 	var value = args[0];
@@ -7216,35 +8624,31 @@ ObjectConstructor.prototype.callFunction = wrapNativeCall(function callFunction(
 		return new UnknownType();
 	}
 
-	// Step 1
-	if (!value || isType(value, ['Null', 'Undefined'])) {
-		return new ObjectType();
-	}
-
-	// Step 2
-	return toObject(value);
+	return value ? toNumber(value) : new NumberType(0);
 });
-ObjectConstructor.prototype.construct = wrapNativeCall(function construct(args) {
+NumberConstructor.prototype.construct = wrapNativeCall(function construct(args) {
 
 	// Variable declarations
-	var value = args[0];
-
+	var value = args[0],
+		obj;
+
 	// Validate the parameters
 	if (areAnyUnknown(args)) {
 		return new UnknownType();
 	}
 
-	// Step 1
-	if (value && (!isType(value, ['Undefined', 'Null']))) {
-		if (type(value) === 'Object') {
-			return value;
-		} else {
-			return toObject(value);
-		}
-	}
+	obj = new ObjectType();
+	obj.className = 'Number';
+	obj.primitiveValue = value ? toNumber(value).value : 0;
 
-	// Steps 3-8
-	return new ObjectType();
+	Object.defineProperty(obj, 'objectPrototype', {
+		get: function () {
+			return prototypes.Number;
+		},
+		configurable: true
+	});
+
+	return obj;
 }, true);
 
 /*global
@@ -7253,114 +8657,68 @@ FunctionTypeBase,
 areAnyUnknown,
 UnknownType,
 BooleanType,
-type,
 prototypes,
-ArrayType,
-toUint32,
-handleRecoverableNativeException,
-addNonEnumerableProperty,
-NumberType,
+toBoolean,
+ObjectType,
 wrapNativeCall
 */
 
 /*****************************************
  *
- * Array Constructor
+ * Boolean Constructor
  *
  *****************************************/
 
 /**
- * isArray() prototype method
+ * Boolean constructor function
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.4.3.2
+ * @see ECMA-262 Spec Chapter 15.6
  */
-function ArrayIsArrayFunc(className) {
+function BooleanConstructor(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
+
+	this.defineOwnProperty('prototype', {
+		value: prototypes.Boolean
+	}, false, true);
 }
-util.inherits(ArrayIsArrayFunc, FunctionTypeBase);
-ArrayIsArrayFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+util.inherits(BooleanConstructor, FunctionTypeBase);
+BooleanConstructor.prototype._resultType = { type: 'Boolean' };
+BooleanConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
-	var arg = args[0];
+	var value = args[0];
 
 	// Validate the parameters
 	if (areAnyUnknown((args || []).concat(thisVal))) {
 		return new UnknownType();
 	}
 
-	// Steps 1 and 2
-	return new BooleanType(type(arg) === 'Object' && arg.className === 'Array');
-});
-
-/**
- * Array constructor function
- *
- * @private
- * @see ECMA-262 Spec Chapter 15.4
- */
-function ArrayConstructor(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-
-	this.defineOwnProperty('prototype', {
-		value: prototypes.Array
-	}, false, true);
-
-	addNonEnumerableProperty(this, 'isArray', new ArrayIsArrayFunc());
-}
-util.inherits(ArrayConstructor, FunctionTypeBase);
-ArrayConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-	return ArrayConstructor.prototype.construct.call(this, args);
+	return value ? toBoolean(value) : new BooleanType(false);
 });
-ArrayConstructor.prototype.construct = wrapNativeCall(function construct(args) {
+BooleanConstructor.prototype.construct = wrapNativeCall(function construct(args) {
 
 	// Variable declarations
-	var array,
-		i, len;
+	var value = args[0],
+		obj;
 
 	// Validate the parameters
 	if (areAnyUnknown(args)) {
 		return new UnknownType();
 	}
 
-	array = new ArrayType();
-	if (args.length === 1) {
-		len = args[0];
-		if (type(len) === 'Number') {
-			if (len.value === toUint32(len).value) {
-				array._addProperty('length', {
-					value: toUint32(len),
-					writable: true,
-					enumerable: false,
-					configurable: false
-				});
-			} else {
-				handleRecoverableNativeException('RangeError', 'Invalid length ' + len.value);
-				return new UnknownType();
-			}
-		} else {
-			array._addProperty('length', {
-				value: new NumberType(1),
-				writable: true,
-				enumerable: false,
-				configurable: false
-			});
-			array.put('0', len, true);
-		}
-	} else if (args.length > 1){
-		len = args.length;
-		array._addProperty('length', {
-			value: new NumberType(len),
-			writable: true,
-			enumerable: false,
-			configurable: false
-		});
-		for (i = 0; i < len; i++) {
-			array.put(i, args[i], true);
-		}
-	}
+	obj = new ObjectType();
+	obj.className = 'Boolean';
+	obj.primitiveValue = value ? toBoolean(value).value : false;
 
-	return array;
+	Object.defineProperty(obj, 'objectPrototype', {
+		get: function () {
+			return prototypes.Boolean;
+		},
+		configurable: true
+	});
+
+	return obj;
 }, true);
 
 /*global
@@ -7368,176 +8726,152 @@ util,
 FunctionTypeBase,
 areAnyUnknown,
 UnknownType,
+BaseType,
 prototypes,
-type,
-handleRecoverableNativeException,
-toString,
-RegExpType,
+toUint16,
 StringType,
-wrapNativeCall
+toString,
+ObjectType,
+NumberType,
+wrapNativeCall,
+addNonEnumerableProperty
 */
 
 /*****************************************
  *
- * RegExp Constructor
+ * String Constructor
  *
  *****************************************/
 
 /**
- * RegExp constructor function
+ * isArray() prototype method
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.10
+ * @see ECMA-262 Spec Chapter 15.5.3.2
  */
-function RegExpConstructor(className) {
-	FunctionTypeBase.call(this, 2, className || 'Function');
-
-	this.defineOwnProperty('prototype', {
-		value: prototypes.RegExp
-	}, false, true);
+function StringFromCharCodeFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
 }
-util.inherits(RegExpConstructor, FunctionTypeBase);
-RegExpConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+util.inherits(StringFromCharCodeFunc, FunctionTypeBase);
+StringFromCharCodeFunc.prototype._resultType = { type: 'String' };
+StringFromCharCodeFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
-	var pattern = args[0];
+	var i, len;
 
 	// Validate the parameters
 	if (areAnyUnknown((args || []).concat(thisVal))) {
 		return new UnknownType();
 	}
 
-	if (pattern && type(pattern) === 'Object' && pattern.className === 'RegExp') {
-		return pattern;
+	// Convert the array to something we can apply()
+	for (i = 0, len = args.length; i < len; i++) {
+		args[i] = toUint16(args[i]).value;
 	}
 
-	return RegExpConstructor.prototype.construct(args);
+	// Use the built-in match method to perform the match
+	return new StringType(String.fromCharCode.apply(this, args));
 });
-RegExpConstructor.prototype.construct = wrapNativeCall(function construct(args) {
-
-	// Variable declarations
-	var pattern = args[0] || new StringType(''),
-		flags = args[1],
-		p,
-		f;
-
-	// Validate the parameters
-	if (areAnyUnknown(args)) {
-		return new UnknownType();
-	}
-
-	// Parse the parameters
-	if (type(pattern) === 'Object' && pattern.className === 'RegExp') {
-		if (flags && type(flags) !== 'Undefined') {
-			handleRecoverableNativeException('TypeError', 'Invalid flag type');
-			return new UnknownType();
-		}
-		p = pattern._pattern;
-		f = pattern._flags;
-	} else {
-		p = pattern && type(pattern) !== 'Undefined' ? toString(pattern).value : '';
-		f = flags && type(flags) !== 'Undefined' ? toString(flags).value : '';
-	}
-
-	// Create the regex object
-	return new RegExpType(p, f);
-}, true);
-
-/*global
-util,
-AST,
-FunctionTypeBase,
-areAnyUnknown,
-UnknownType,
-prototypes,
-StringType,
-toString,
-handleRecoverableNativeException,
-FunctionType,
-RuleProcessor,
-wrapNativeCall,
-getModuleContext
-*/
-
-/*****************************************
- *
- * Function Constructor
- *
- *****************************************/
 
 /**
- * Function constructor function
+ * String constructor function
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.3
+ * @see ECMA-262 Spec Chapter 15.5, 15.5.5.2
  */
-function FunctionConstructor(className) {
+function StringConstructor(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 
 	this.defineOwnProperty('prototype', {
-		value: prototypes.Function
+		value: prototypes.String
 	}, false, true);
+
+	addNonEnumerableProperty(this, 'fromCharCode', new StringFromCharCodeFunc());
 }
-util.inherits(FunctionConstructor, FunctionTypeBase);
-FunctionConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-	return FunctionConstructor.prototype.construct.call(this, args);
-});
-FunctionConstructor.prototype.construct = wrapNativeCall(function construct(args) {
+util.inherits(StringConstructor, FunctionTypeBase);
+StringConstructor.prototype._resultType = { type: 'String' };
+StringConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
-	var argCount = args.length,
-		p = '',
-		body,
-		k = 1,
-		i;
+	var value = args[0];
 
 	// Validate the parameters
-	if (areAnyUnknown(args)) {
+	if (areAnyUnknown((args || []).concat(thisVal))) {
 		return new UnknownType();
 	}
 
-	// Step 3
-	if (argCount === 0) {
-		body = new StringType();
+	return value ? toString(value) : new StringType('');
+});
+StringConstructor.prototype.construct = wrapNativeCall(function construct(args) {
 
-	// Step 4
-	} else if (argCount === 1) {
-		body = args[0];
+	// Variable declarations
+	var value = args[0],
+		obj;
 
-	// Step 5
-	} else if (argCount > 1) {
-		p = toString(args[0]).value;
-		while (k < argCount - 1) {
-			p += ',' + toString(args[k]).value;
-			k++;
-		}
-		body = args[k];
+	// Validate the parameters
+	if (areAnyUnknown(args)) {
+		return new UnknownType();
 	}
 
-	// Step 6
-	body = toString(body).value;
+	obj = new ObjectType();
+	obj.className = 'String';
+	obj.primitiveValue = value ? toString(value).value : '';
 
-	// Step 7
-	p = AST.parseString('function temp(' + p + '){}');
-	if (p.syntaxError) {
-		handleRecoverableNativeException('SyntaxError', p.message);
-		return new UnknownType();
-	}
-	p = p.body[0].argnames;
-	for (i = 0; i < p.length; i++) {
-		p[i] = p[i].name;
-	}
+	obj.defineOwnProperty('length', { value: new NumberType(obj.primitiveValue.length) }, false, true);
 
-	// Step 8
-	body = AST.parseString('function temp(){' + body + '}');
-	if (body.syntaxError) {
-		handleRecoverableNativeException('SyntaxError', p.message);
-		return new UnknownType();
-	}
-	body = body.body[0];
+	obj._getOwnProperty = obj.getOwnProperty;
 
-	// Step 10
-	return new FunctionType(p, body, getModuleContext().lexicalEnvironment, RuleProcessor.isBlockStrict(body));
+	Object.defineProperty(obj, 'objectPrototype', {
+		get: function () {
+			return prototypes.String;
+		},
+		configurable: true
+	});
+
+	obj._getPropertyNames = StringType.prototype._getPropertyNames;
+
+
+	// From the spec 15.5.5.2
+	obj._lookupProperty = function _lookupProperty(p) {
+		var current = BaseType.prototype._lookupProperty.call(this, p),
+			index;
+		if (current) {
+			return current;
+		}
+
+		// Step 5
+		index = +p;
+
+		// Step 4
+		if (Math.abs(index) + '' !== p + '') {
+			return;
+		}
+
+		// Step 7
+		if (index >= this.primitiveValue.length) {
+			return;
+		}
+
+		// Steps 8-9
+		return {
+			value: new StringType(this.primitiveValue[index]),
+			enumerable: true,
+			writable: true,
+			configurable: true
+		};
+	};
+
+	obj._getPropertyNames = function _getPropertyNames() {
+		var props = [],
+			val = this.primitiveValue,
+			i, len;
+		for (i = 0, len = val.length; i < len; i++) {
+			props.push(i.toString());
+		}
+		return props.concat(BaseType.prototype._getPropertyNames.call(this));
+	};
+
+	return obj;
 }, true);
 
 /*global
@@ -7545,4083 +8879,7904 @@ util,
 FunctionTypeBase,
 areAnyUnknown,
 UnknownType,
+BooleanType,
 prototypes,
+type,
+handleRecoverableNativeException,
+toString,
+fromPropertyDescriptor,
+ArrayType,
 ObjectType,
+toPropertyDescriptor,
+toObject,
+isDataDescriptor,
 StringType,
-toString,
-type,
-wrapNativeCall
+isType,
+wrapNativeCall,
+addNonEnumerableProperty,
+NullType
 */
 
 /*****************************************
  *
- * Error Constructor
+ * Object Constructor
  *
  *****************************************/
 
 /**
- * Error constructor function
+ * getPrototypeOf() prototype method
  *
- * @constructor
- * @see ECMA-262 Spec Chapter 15.11
+ * @private
+ * @see ECMA-262 Spec Chapter 15.2.3.2
  */
-exports.ErrorConstructor = ErrorConstructor;
-function ErrorConstructor(errorType, className) {
+function ObjectGetPrototypeOfFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
-
-	this.defineOwnProperty('prototype', {
-		value: prototypes[errorType]
-	}, false, true);
-
-	this._errorType = errorType;
 }
-util.inherits(ErrorConstructor, FunctionTypeBase);
-ErrorConstructor.instantiateClone = function instantiateClone(source) {
-	return new ErrorConstructor(source._errorType, source.className);
-};
-ErrorConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+util.inherits(ObjectGetPrototypeOfFunc, FunctionTypeBase);
+ObjectGetPrototypeOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var o = args[0];
 
 	// Validate the parameters
 	if (areAnyUnknown((args || []).concat(thisVal))) {
 		return new UnknownType();
 	}
 
-	return ErrorConstructor.prototype.construct.call(this, args);
+	if (!o || type(o) !== 'Object') {
+		handleRecoverableNativeException('TypeError', 'Value is not an object');
+		return new UnknownType();
+	}
+	return o.objectPrototype ? o.objectPrototype : new NullType();
 });
-ErrorConstructor.prototype.construct = wrapNativeCall(function construct(args) {
+
+/**
+ * getOwnPropertyDescriptor() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.2.3.3
+ */
+function ObjectGetOwnPropertyDescriptorFunc(className) {
+	FunctionTypeBase.call(this, 2, className || 'Function');
+}
+util.inherits(ObjectGetOwnPropertyDescriptorFunc, FunctionTypeBase);
+ObjectGetOwnPropertyDescriptorFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
-	var errorType = this._errorType,
-		err,
-		message = args[0];
+	var o = args[0],
+		p = args[1],
+		name;
 
 	// Validate the parameters
-	if (areAnyUnknown(args)) {
+	if (areAnyUnknown((args || []).concat(thisVal))) {
 		return new UnknownType();
 	}
 
-	err = new ObjectType(errorType, undefined, true);
-	err.extensible = true;
-
-	Object.defineProperty(err, 'objectPrototype', {
-		get: function () {
-			return prototypes[errorType];
-		},
-		configurable: true
-	});
-
-	err.put('name', new StringType(errorType), true);
-	err.put('message', message && type(message) !== 'Undefined' ? toString(message) : new StringType(''), true);
-
-	return err;
-}, true);
+	// Step 1
+	if (type(o) !== 'Object') {
+		handleRecoverableNativeException('TypeError', 'Value is not an object');
+		return new UnknownType();
+	}
 
-/*global
-util,
-Runtime,
-FunctionTypeBase,
-addNonEnumerableProperty,
-UnknownType,
-prototypes,
-NumberType,
-StringType,
-type,
-toNumber,
-ObjectType,
-wrapNativeCall
-*/
+	// Step 2
+	name = toString(p).value;
 
-/*****************************************
- *
- * Date Constructor
- *
- *****************************************/
+	// Steps 3 and 4
+	return fromPropertyDescriptor(o.getOwnProperty(name));
+});
 
 /**
- * parse() prototype method
+ * getOwnPropertyNames() prototype method
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.9.4.2
+ * @see ECMA-262 Spec Chapter 15.2.3.4
  */
-function DateParseFunc(className) {
-	FunctionTypeBase.call(this, 0, className || 'Function');
+function ObjectGetOwnPropertyNamesFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
 }
-util.inherits(DateParseFunc, FunctionTypeBase);
-DateParseFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
-	return new UnknownType();
+util.inherits(ObjectGetOwnPropertyNamesFunc, FunctionTypeBase);
+ObjectGetOwnPropertyNamesFunc.prototype._resultType = {
+	type: 'Object',
+	className: 'Array',
+	elementType: { type: 'String' }
+};
+ObjectGetOwnPropertyNamesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var o = args[0],
+		array,
+		n = 0;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Step 1
+	if (!o || type(o) !== 'Object') {
+		handleRecoverableNativeException('TypeError', 'Value is not an object');
+		return new UnknownType();
+	}
+	if (o._hasUnknownProperties) {
+		return new UnknownType();
+	}
+
+	// Step 2
+	array = new ArrayType();
+
+	// Step 4
+	o._getPropertyNames().forEach(function (name) {
+		array.defineOwnProperty(n, {
+			value: new StringType(name),
+			writable: true,
+			enumerable: true,
+			configurable: true
+		}, false, true);
+		n++;
+	});
+
+	// Step 5
+	return array;
 });
 
 /**
- * UTC() prototype method
+ * create() prototype method
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.9.4.3
+ * @see ECMA-262 Spec Chapter 15.2.3.5
  */
-function DateUTCFunc(className) {
-	FunctionTypeBase.call(this, 0, className || 'Function');
-}
-util.inherits(DateUTCFunc, FunctionTypeBase);
-DateUTCFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
-	return new UnknownType();
+function ObjectCreateFunc(className) {
+	FunctionTypeBase.call(this, 2, className || 'Function');
+}
+util.inherits(ObjectCreateFunc, FunctionTypeBase);
+ObjectCreateFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var o = args[0],
+		properties = args[1],
+		obj;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Step 1
+	if (!o || (type(o) != 'Object' && type(o) != 'Null')) {
+		handleRecoverableNativeException('TypeError', 'Value is not an object');
+		return new UnknownType();
+	}
+
+	// Step 2
+	obj = new ObjectType();
+
+	// Step 3
+	obj.objectPrototype = o;
+
+	// Step 4
+	if (properties && type(properties) !== 'Undefined') {
+		ObjectDefinePropertiesFunc.prototype.callFunction(thisVal, [obj, properties]);
+	}
+
+	// Step 5
+	return obj;
 });
 
 /**
- * now() prototype method
+ * defineProperties() prototype method
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.9.4.4
+ * @see ECMA-262 Spec Chapter 15.2.3.6
  */
-function DateNowFunc(className) {
-	FunctionTypeBase.call(this, 0, className || 'Function');
+function ObjectDefinePropertyFunc(className) {
+	FunctionTypeBase.call(this, 3, className || 'Function');
 }
-util.inherits(DateNowFunc, FunctionTypeBase);
-DateNowFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
-	if (Runtime.options.exactMode) {
-		return new NumberType(Date.now());
-	} else {
+util.inherits(ObjectDefinePropertyFunc, FunctionTypeBase);
+ObjectDefinePropertyFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var o = args[0],
+		p = args[1],
+		attributes = args[2],
+		name,
+		desc;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Step 1
+	if (!o || type(o) !== 'Object') {
+		handleRecoverableNativeException('TypeError', 'Value is not an object');
 		return new UnknownType();
 	}
+
+	// Step 2
+	name = toString(p).value;
+
+	// Step 3
+	desc = toPropertyDescriptor(attributes);
+
+	// Step 4
+	o.defineOwnProperty(name, desc, true);
+
+	// Step 5
+	return o;
 });
 
 /**
- * Date constructor function
+ * defineProperties() prototype method
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.9
+ * @see ECMA-262 Spec Chapter 15.2.3.7
  */
-function DateConstructor(className) {
-	FunctionTypeBase.call(this, 7, className || 'Function');
+function ObjectDefinePropertiesFunc(className) {
+	FunctionTypeBase.call(this, 2, className || 'Function');
+}
+util.inherits(ObjectDefinePropertiesFunc, FunctionTypeBase);
+ObjectDefinePropertiesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-	this.defineOwnProperty('prototype', {
-		value: prototypes.Date
-	}, false, true);
+	// Variable declarations
+	var o,
+		properties,
+		props,
+		names,
+		i,
+		len,
+		p;
 
-	addNonEnumerableProperty(this, 'parse', new DateParseFunc());
-	addNonEnumerableProperty(this, 'UTC', new DateUTCFunc());
-	addNonEnumerableProperty(this, 'now', new DateNowFunc());
-}
-util.inherits(DateConstructor, FunctionTypeBase);
-DateConstructor.prototype.callFunction = wrapNativeCall(function callFunction() {
-	if (Runtime.options.exactMode) {
-		return new StringType(Date());
-	} else {
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
 		return new UnknownType();
 	}
-});
-DateConstructor.prototype.construct = wrapNativeCall(function construct(args) {
-	var dateObj,
-		internalDateObj,
-		convertedArgs,
-		i, len;
-	if (Runtime.options.exactMode) {
-		if (args.length === 0) {
-			internalDateObj = new Date();
-		} else if (args.length === 1){
-			if (type(args[0]) === 'String') {
-				internalDateObj = new Date(args[0].value);
-			} else {
-				internalDateObj = new Date(toNumber(args[0]).value);
-			}
-		} else {
-			convertedArgs = [];
-			for (i = 0, len = args.length; i < len; i++) {
-				convertedArgs[i] = toNumber(args[i]).value;
-			}
-			switch(args.length) {
-				case 2:
-					internalDateObj = new Date(
-						convertedArgs[0],
-						convertedArgs[1]);
-					break;
-				case 3:
-					internalDateObj = new Date(
-						convertedArgs[0],
-						convertedArgs[1],
-						convertedArgs[2]);
-					break;
-				case 4:
-					internalDateObj = new Date(
-						convertedArgs[0],
-						convertedArgs[1],
-						convertedArgs[2],
-						convertedArgs[3]);
-					break;
-				case 5:
-					internalDateObj = new Date(
-						convertedArgs[0],
-						convertedArgs[1],
-						convertedArgs[2],
-						convertedArgs[3],
-						convertedArgs[4]);
-					break;
-				case 6:
-					internalDateObj = new Date(
-						convertedArgs[0],
-						convertedArgs[1],
-						convertedArgs[2],
-						convertedArgs[3],
-						convertedArgs[4],
-						convertedArgs[5]);
-					break;
-				case 7:
-					internalDateObj = new Date(
-						convertedArgs[0],
-						convertedArgs[1],
-						convertedArgs[2],
-						convertedArgs[3],
-						convertedArgs[4],
-						convertedArgs[5],
-						convertedArgs[6]);
-					break;
-			}
-		}
-		dateObj = new ObjectType();
-		dateObj._date = internalDateObj;
-		Object.defineProperty(dateObj, 'objectPrototype', {
-			get: function () {
-				return prototypes.Date;
-			},
-			configurable: true
-		});
-		return dateObj;
-	} else {
+
+	o = args[0];
+	properties = args[1];
+	props = toObject(properties);
+	names = props._getPropertyNames();
+
+	// Step 1
+	if (!o || type(o) !== 'Object') {
+		handleRecoverableNativeException('TypeError', 'Value is not an object');
 		return new UnknownType();
 	}
-}, true);
 
-/*global
-type,
-UnknownType,
-BooleanType,
-NumberType,
-StringType,
-ObjectType,
-UndefinedType,
-prototypes,
-handleRecoverableNativeException,
-throwNativeException,
-isType,
-isDefined,
-isDataDescriptor
-*/
+	// Steps 5 and 6
+	for (i = 0, len = names.length; i < len; i++) {
+		p = names[i];
+		if (props.getProperty(p).enumerable) {
+			o.defineOwnProperty(p, toPropertyDescriptor(props.get(p)), true);
+		}
+	}
 
-/*****************************************
- *
- * Type Conversion
- *
- *****************************************/
+	// Step 7
+	return o;
+});
 
 /**
- * ECMA-262 Spec: <em>The abstract operation ToPrimitive takes an input argument and an optional argument PreferredType.
- * The abstract operation ToPrimitive converts its input argument to a non-Object type. If an object is capable of
- * converting to more than one primitive type, it may use the optional hint PreferredType to favour that type.</em>
+ * seal() prototype method
  *
- * @method
- * @name module:Base.toPrimitive
- * @param {module:Base.BaseType} input The value to convert
- * @param {String} preferredType The preferred type to convert to
- * @returns {{@link module:Base.BaseType}} The converted value
- * @see ECMA-262 Spec Chapter 9.1
+ * @private
+ * @see ECMA-262 Spec Chapter 15.2.3.8
  */
-exports.toPrimitive = toPrimitive;
-function toPrimitive(input, preferredType) {
-	input = input || new UndefinedType();
-	switch(type(input)) {
-		case 'Object':
-			return input.defaultValue(preferredType);
-		case 'Unknown':
-			return new UnknownType();
-		default:
-			return input;
-	}
+function ObjectSealFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
 }
+util.inherits(ObjectSealFunc, FunctionTypeBase);
+ObjectSealFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-/**
- * ECMA-262 Spec: <em>The abstract operation ToBoolean converts its argument to a value of type Boolean</em>
- *
- * @method
- * @name module:Base.toBoolean
- * @param {module:Base.BaseType} input The value to convert
- * @returns {{@link module:Base.BooleanType}} The converted value
- * @see ECMA-262 Spec Chapter 9.2
- */
-exports.toBoolean = toBoolean;
-function toBoolean(input) {
-	var newBoolean = new BooleanType();
-	input = input || new UndefinedType();
-	switch (type(input)) {
-		case 'Undefined':
-			newBoolean.value = false;
-			break;
-		case 'Null':
-			newBoolean.value = false;
-			break;
-		case 'Boolean':
-			newBoolean.value = input.value;
-			break;
-		case 'Number':
-			newBoolean.value = !!input.value;
-			break;
-		case 'String':
-			newBoolean.value = !!input.value;
-			break;
-		case 'Object':
-			newBoolean.value = true;
-			break;
-		case 'Unknown':
-			return new UnknownType();
+	// Variable declarations
+	var o = args[0],
+		desc;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
 	}
-	return newBoolean;
-}
 
-/**
- * ECMA-262 Spec: <em>The abstract operation ToNumber converts its argument to a value of type Number</em>
- *
- * @method
- * @name module:Base.toNumber
- * @param {module:Base.BaseType} input The value to convert
- * @returns {{@link module:Base.NumberType}} The converted value
- * @see ECMA-262 Spec Chapter 9.3
- */
-exports.toNumber = toNumber;
-function toNumber(input) {
-	var newNumber = new NumberType();
-	input = input || new UndefinedType();
-	switch (type(input)) {
-		case 'Undefined':
-			newNumber.value = NaN;
-			break;
-		case 'Null':
-			newNumber.value = 0;
-			break;
-		case 'Boolean':
-			newNumber.value = input.value ? 1 : 0;
-			break;
-		case 'Number':
-			newNumber.value = input.value;
-			break;
-		case 'String':
-			newNumber.value = +input.value;
-			break;
-		case 'Object':
-			newNumber = toNumber(toPrimitive(input, 'Number'));
-			break;
-		case 'Unknown':
-			return new UnknownType();
+	// Step 1
+	if (!o || type(o) !== 'Object') {
+		handleRecoverableNativeException('TypeError', 'Value is not an object');
+		return new UnknownType();
 	}
-	return newNumber;
-}
+
+	// Step 2
+	o._getPropertyNames().forEach(function (p) {
+		desc = o.getOwnProperty(p);
+		desc.configurable = false;
+		o.defineOwnProperty(p, desc, true);
+	});
+
+	// Step 3
+	o.extensible = false;
+
+	// Step 4
+	return o;
+});
 
 /**
- * ECMA-262 Spec: <em>The abstract operation ToInteger converts its argument to an integral numeric value.</em>
+ * freeze() prototype method
  *
- * @method
- * @name module:Base.toInteger
- * @param {module:Base.BaseType} input The value to convert
- * @returns {{@link module:Base.NumberType}} The converted value
- * @see ECMA-262 Spec Chapter 9.4
+ * @private
+ * @see ECMA-262 Spec Chapter 15.2.3.9
  */
-exports.toInteger = toInteger;
-function toInteger(input) {
-	var newNumber = toNumber(input),
-		sign;
-	if (type(newNumber) === 'Unknown') {
+function ObjectFreezeFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(ObjectFreezeFunc, FunctionTypeBase);
+ObjectFreezeFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var o = args[0],
+		desc;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
 		return new UnknownType();
-	} else if (isNaN(newNumber.value)) {
-		newNumber.value = 0;
-	} else {
-		sign = newNumber.value < 0 ? -1 : 1;
-		newNumber.value = sign * Math.floor(Math.abs(newNumber.value));
 	}
-	return newNumber;
-}
 
-/**
- * ECMA-262 Spec: <em>The abstract operation ToInt32 converts its argument to one of 2^32 integer values in the range
- * -2^31 through 2^31 - 1, inclusive.</em>
- *
- * @method
- * @name module:Base.toInt32
- * @param {module:Base.BaseType} input The value to convert
- * @returns {{@link module:Base.NumberType}} The converted value
- * @see ECMA-262 Spec Chapter 9.5
- */
-exports.toInt32 = toInt32;
-function toInt32(input) {
-	var newNumber = toNumber(input),
-		sign;
-	if (type(newNumber) === 'Unknown') {
+	// Step 1
+	if (!o || type(o) !== 'Object') {
+		handleRecoverableNativeException('TypeError', 'Value is not an object');
 		return new UnknownType();
-	} else if (isNaN(newNumber.value) || newNumber.value === Infinity || newNumber.value === -Infinity) {
-		newNumber.value = 0;
-	} else {
-		sign = newNumber.value < 0 ? -1 : 1;
-		newNumber.value = sign * Math.floor(Math.abs(newNumber.value)) % Math.pow(2, 32);
-		if (newNumber.value >= Math.pow(2, 31)) {
-			newNumber.value -= Math.pow(2, 32);
-		}
 	}
-	return newNumber;
-}
+
+	// Step 2
+	o._getPropertyNames().forEach(function (p) {
+		desc = o.getOwnProperty(p);
+		if (isDataDescriptor(desc)) {
+			desc.writable = false;
+		}
+		desc.configurable = false;
+		o.defineOwnProperty(p, desc, true);
+	});
+
+	// Step 3
+	o.extensible = false;
+
+	// Step 4
+	return o;
+});
 
 /**
- * ECMA-262 Spec: <em>The abstract operation ToUint32 converts its argument to one of 2^32 integer values in the range 0
- * through 2^32 - 1, inclusive.</em>
+ * preventExtensions() prototype method
  *
- * @method
- * @name module:Base.toUint32
- * @param {module:Base.BaseType} input The value to convert
- * @returns {{@link module:Base.NumberType}} The converted value
- * @see ECMA-262 Spec Chapter 9.6
+ * @private
+ * @see ECMA-262 Spec Chapter 15.2.3.10
  */
-exports.toUint32 = toUint32;
-function toUint32(input) {
-	var newNumber = toNumber(input),
-		sign;
-	if (type(newNumber) === 'Unknown') {
+function ObjectPreventExtensionsFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(ObjectPreventExtensionsFunc, FunctionTypeBase);
+ObjectPreventExtensionsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var o = args[0];
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
 		return new UnknownType();
-	} else if (isNaN(newNumber.value) || newNumber.value === Infinity || newNumber.value === -Infinity) {
-		newNumber.value = 0;
-	} else {
-		sign = newNumber.value < 0 ? -1 : 1;
-		newNumber.value = sign * Math.floor(Math.abs(newNumber.value)) % Math.pow(2, 32);
 	}
-	return newNumber;
-}
 
-/**
- * ECMA-262 Spec: <em>The abstract operation ToUint16 converts its argument to one of 2^16 integer values in the range 0
- * through 2^16 - 1, inclusive.</em>
- *
- * @method
- * @name module:Base.toUint16
- * @param {module:Base.BaseType} input The value to convert
- * @returns {{@link module:Base.NumberType}} The converted value
- * @see ECMA-262 Spec Chapter 9.7
- */
-exports.toUint16 = toUint16;
-function toUint16(input) {
-	var newNumber = toNumber(input),
-		sign;
-	if (type(newNumber) === 'Unknown') {
+	// Step 1
+	if (!o || type(o) !== 'Object') {
+		handleRecoverableNativeException('TypeError', 'Value is not an object');
 		return new UnknownType();
-	} else if (isNaN(newNumber.value) || newNumber.value === Infinity || newNumber.value === -Infinity) {
-		newNumber.value = 0;
-	} else {
-		sign = newNumber.value < 0 ? -1 : 1;
-		newNumber.value = sign * Math.floor(Math.abs(newNumber.value)) % Math.pow(2, 16);
 	}
-	return newNumber;
-}
+
+	// Step 2
+	o.extensible = false;
+
+	// Step 3
+	return o;
+});
 
 /**
- * ECMA-262 Spec: <em>The abstract operation ToString converts its argument to a value of type String</em>
+ * isSealed() prototype method
  *
- * @method
- * @name module:Base.toString
- * @param {module:Base.BaseType} input The value to convert
- * @returns {{@link module:Base.StringType}} The converted value
- * @see ECMA-262 Spec Chapter 9.8
+ * @private
+ * @see ECMA-262 Spec Chapter 15.2.3.11
  */
-exports.toString = toString;
-function toString(input) {
-	var newString;
-	input = input || new UndefinedType();
-	if (type(input) === 'Unknown') {
-		newString = new UnknownType();
-	} else if (type(input) === 'Object') {
-		newString = toString(toPrimitive(input, 'String'));
-	} else {
-		newString = new StringType();
-		newString.value = input.value + '';
-	}
-	return newString;
+function ObjectIsSealedFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
 }
+util.inherits(ObjectIsSealedFunc, FunctionTypeBase);
+ObjectIsSealedFunc.prototype._resultType = { type: 'Boolean' };
+ObjectIsSealedFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-/**
- * ECMA-262 Spec: <em>The abstract operation ToObject converts its argument to a value of type Object</em>
- *
- * @method
- * @name module:Base.toObject
- * @param {module:Base.BaseType} input The value to convert
- * @returns {{@link module:Base.ObjectType}} The converted value
- * @see ECMA-262 Spec Chapter 9.9
- */
-exports.toObject = toObject;
-function toObject(input) {
-	var newObject;
-	input = input || new UndefinedType();
-	switch (type(input)) {
-		case 'Boolean':
-			newObject = new ObjectType();
-			newObject.className = 'Boolean';
-			newObject.primitiveValue = input.value;
+	// Variable declarations
+	var o = args[0];
 
-			Object.defineProperty(newObject, 'objectPrototype', {
-				get: function () {
-					return prototypes.Boolean;
-				},
-				configurable: true
-			});
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
 
-			return newObject;
-		case 'Number':
-			newObject = new ObjectType();
-			newObject.className = 'Number';
-			newObject.primitiveValue = input.value;
+	// Step 1
+	if (!o || type(o) !== 'Object') {
+		handleRecoverableNativeException('TypeError', 'Value is not an object');
+		return new UnknownType();
+	}
 
-			Object.defineProperty(newObject, 'objectPrototype', {
-				get: function () {
-					return prototypes.Number;
-				},
-				configurable: true
-			});
+	// Step 2
+	o._getPropertyNames().forEach(function (p) {
+		if (o.getOwnProperty(p).configurable) {
+			return new BooleanType(false);
+		}
+	});
 
-			return newObject;
-		case 'String':
-			newObject = new ObjectType();
-			newObject.className = 'String';
-			newObject.primitiveValue = input.value;
+	// Step 3
+	return new BooleanType(!o.extensible);
+});
 
-			Object.defineProperty(newObject, 'objectPrototype', {
-				get: function () {
-					return prototypes.String;
-				},
-				configurable: true
-			});
+/**
+ * isFrozen() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.2.3.12
+ */
+function ObjectIsFrozenFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(ObjectIsFrozenFunc, FunctionTypeBase);
+ObjectIsFrozenFunc.prototype._resultType = { type: 'Boolean' };
+ObjectIsFrozenFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-			newObject._properties = input._properties;
-			return newObject;
-		case 'Object':
-			return input;
-		case 'Unknown':
-			return new UnknownType();
-		default:
-			handleRecoverableNativeException('TypeError', 'Values of type ' + type(input) + ' cannot be converted to objects');
-			return new UnknownType();
+	// Variable declarations
+	var o = args[0],
+		desc;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Step 1
+	if (!o || type(o) !== 'Object') {
+		handleRecoverableNativeException('TypeError', 'Value is not an object');
+		return new UnknownType();
 	}
-}
 
+	// Step 2
+	o._getPropertyNames().forEach(function (p) {
+		desc = o.getOwnProperty(p);
+		if ((isDataDescriptor(desc) && desc.writable) || desc.configurable) {
+			return new BooleanType(false);
+		}
+	});
 
+	// Step 3
+	return new BooleanType(!o.extensible);
+});
 
 /**
- * Converts a property descriptor to a generic object.
+ * isExtensible() prototype method
  *
- * @method
- * @name module:Base.fromPropertyDescriptor
- * @param {module:Base.DataPropertyDescriptor|module:Base.AccessorPropertyDescriptor|Object} The property descriptor to convert
- * @returns {{@link module:Base.UndefinedType}|{@link module:Base.ObjectType}} The converted property descriptor
- * @see ECMA-262 Spec Chapter 8.10.4
+ * @private
+ * @see ECMA-262 Spec Chapter 15.2.3.13
  */
-exports.fromPropertyDescriptor = fromPropertyDescriptor;
-function fromPropertyDescriptor(desc) {
+function ObjectIsExtensibleFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(ObjectIsExtensibleFunc, FunctionTypeBase);
+ObjectIsExtensibleFunc.prototype._resultType = { type: 'Boolean' };
+ObjectIsExtensibleFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-	var obj = new ObjectType();
+	// Variable declarations
+	var o = args[0];
 
-	if (!desc) {
-		return new UndefinedType();
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
 	}
 
-	if (isDataDescriptor(desc)) {
+	// Step 1
+	if (!o || type(o) !== 'Object') {
+		handleRecoverableNativeException('TypeError', 'Value is not an object');
+		return new UnknownType();
+	}
 
-		obj.defineOwnProperty('value', {
-			value: desc.value || new UndefinedType(),
-			writable: true,
-			enumerable: true,
-			configurable: true
-		}, false, true);
+	// Step 2
+	return new BooleanType(o.extensible);
+});
 
-		obj.defineOwnProperty('writable', {
-			value: new BooleanType(desc.writable),
-			writable: true,
-			enumerable: true,
-			configurable: true
-		}, false, true);
+/**
+ * keys() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.2.3.14
+ */
+function ObjectKeysFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(ObjectKeysFunc, FunctionTypeBase);
+ObjectKeysFunc.prototype._resultType = { type: 'Object', className: 'Array', elementType: { type: 'String' } };
+ObjectKeysFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-	} else {
+	// Variable declarations
+	var o = args[0],
+		array,
+		index = 0;
 
-		obj.defineOwnProperty('get', {
-			value: desc.get || new UndefinedType(),
-			writable: true,
-			enumerable: true,
-			configurable: true
-		}, false, true);
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
 
-		obj.defineOwnProperty('set', {
-			value: desc.set || new UndefinedType(),
-			writable: true,
-			enumerable: true,
-			configurable: true
-		}, false, true);
+	// Step 1
+	if (!o || type(o) !== 'Object') {
+		handleRecoverableNativeException('TypeError', 'Value is not an object');
+		return new UnknownType();
+	}
+	if (o._hasUnknownProperties) {
+		return new UnknownType();
 	}
 
-	obj.defineOwnProperty('configurable', {
-		value: new BooleanType(desc.configurable),
-		writable: true,
-		enumerable: true,
-		configurable: true
-	}, false, true);
+	// Step 3
+	array = new ArrayType();
 
-	obj.defineOwnProperty('enumerable', {
-		value: new BooleanType(desc.enumerable),
-		writable: true,
-		enumerable: true,
-		configurable: true
-	}, false, true);
+	// Step 5
+	o._getPropertyNames().forEach(function (p) {
+		if (o._lookupProperty(p).enumerable) {
+			array.defineOwnProperty(index, {
+				value: new StringType(p),
+				writable: true,
+				enumerable: true,
+				configurable: true
+			}, false);
+			index++;
+		}
+	});
 
-	return obj;
-}
+	// Step 6
+	return array;
+});
 
 /**
- * Converts a generic object to a property descriptor (think Object.defineProperty).
+ * assign() prototype method
  *
- * @method
- * @name module:Base.toPropertyDescriptor
- * @param {Object} o The object to convert
- * @returns {{@link module:Base.DataPropertyDescriptor}|{@link module:Base.AccessorPropertyDescriptor}} The converted property descriptor
- * @see ECMA-262 Spec Chapter 8.10.5
+ * @private
+ * @see ECMA-262 6th Edition Chapter 19.1.2.1
  */
-exports.toPropertyDescriptor = toPropertyDescriptor;
-function toPropertyDescriptor(obj) {
-	var desc = {},
-		getter,
-		setter;
+function ObjectAssignFunc(className) {
+	FunctionTypeBase.call(this, 2, className || 'Function');
+}
+util.inherits(ObjectAssignFunc, FunctionTypeBase);
+ObjectAssignFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-	if (type(obj) === 'Unknown') {
+	// Variable declarations
+	var to,
+		from,
+		i, len;
 
-		// Create a sensible default data property descriptor
-		desc.value = obj;
-		desc.writable = false;
-		desc.enumerable = true;
-		desc.configurable = false;
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
 
-	} else if (type(obj) === 'Object') {
+	// Steps 1-3
+	to = toObject(args[0]);
+	if (type(to) === 'Unknown') {
+		return to;
+	}
 
-		// Parse through all of the options
-		if (obj.hasProperty('enumerable')) {
-			desc.enumerable = toBoolean(obj.get('enumerable')).value;
-		}
-		if (obj.hasProperty('configurable')) {
-			desc.configurable = toBoolean(obj.get('configurable')).value;
-		}
-		if (obj.hasProperty('value')) {
-			desc.value = obj.get('value');
-		}
-		if (obj.hasProperty('writable')) {
-			desc.writable = toBoolean(obj.get('writable')).value;
-		}
-		if (obj.hasProperty('get')) {
-			getter = obj.get('get');
-			if (type(getter) !== 'Undefined' && type(getter) !== 'Unknown' && !isCallable(getter)) {
-				throwNativeException('TypeError', 'get is not callable');
-			}
-			desc.get = getter;
-		}
-		if (obj.hasProperty('set')) {
-			setter = obj.get('set');
-			if (type(setter) !== 'Undefined' && type(setter) !== 'Unknown' && !isCallable(setter)) {
-				throwNativeException('TypeError', 'set is not callable');
+	// Steps 4 and 5
+	for (i = 1, len = args.length; i < len; i++) {
+		if (!isType(args[i], ['Undefined', 'Null'])) {
+			from = toObject(args[i]);
+			if (from._hasUnknownProperties) {
+				to._hasUnknownProperties = true;
 			}
-			desc.set = setter;
-		}
-		if ((desc.get || desc.set) && (isDefined(desc.value) || isDefined(desc.writable))) {
-			throwNativeException('TypeError', 'Property descriptors cannot contain both get/set and value/writable properties');
+			from._getPropertyNames().forEach(function (p) {
+				var desc = from.getOwnProperty(p);
+				if (desc && desc.enumerable) {
+					to.put(p, from.get(p), true);
+				}
+			});
 		}
-	} else {
-		throwNativeException('TypeError', 'Property descriptors must be objects');
 	}
 
-	return desc;
-}
+	// Step 6
+	return to;
+});
 
 /**
- * ECMA-262 Spec: <em>The abstract operation CheckObjectCoercible throws an error if its argument is a value that cannot
- * be converted to an Object using ToObject.</em>
+ * Object constructor function
  *
- * @method
- * @name module:Base.checkObjectCoercible
- * @param {module:Base.BaseType} input The value to check if it's coercible
- * @see ECMA-262 Spec Chapter 9.10
+ * @private
+ * @see ECMA-262 Spec Chapter 15.2
  */
-exports.checkObjectCoercible = checkObjectCoercible;
-function checkObjectCoercible(input) {
-	if (isType(input, ['Undefined', 'Null'])) {
-		throwNativeException('TypeError', type(input).toLowerCase() + ' cannot be coerced to an object');
-	}
-	return;
-}
+function ObjectConstructor(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
 
-/**
- * ECMA-262 Spec: <em>The abstract operation IsCallable determines if its argument, which must be an ECMAScript
- * language value, is a callable function Object</em>
- *
- * @method
- * @name module:Base.isCallable
- * @param {module:Base.BaseType} input The value to check if it's callable
- * @returns {Boolean} Whether or not the object is callable
- * @see ECMA-262 Spec Chapter 9.11
- */
-exports.isCallable = isCallable;
-function isCallable(input) {
-	if (input && type(input) === 'Object') {
-		return !!input.callFunction;
-	} else {
-		return false;
-	}
-}
+	this.defineOwnProperty('prototype', {
+		value: prototypes.Object
+	}, false, true);
 
-/**
- * Converts a value to unknown "in-place"
- *
- * @method
- * @param {module:Base.BaseType} value The value to convert
- */
-exports.convertToUnknown = convertToUnknown;
-function convertToUnknown (value) {
-	UnknownType.call(value);
+	addNonEnumerableProperty(this, 'getPrototypeOf', new ObjectGetPrototypeOfFunc());
+	addNonEnumerableProperty(this, 'getOwnPropertyDescriptor', new ObjectGetOwnPropertyDescriptorFunc());
+	addNonEnumerableProperty(this, 'getOwnPropertyNames', new ObjectGetOwnPropertyNamesFunc());
+	addNonEnumerableProperty(this, 'create', new ObjectCreateFunc());
+	addNonEnumerableProperty(this, 'defineProperty', new ObjectDefinePropertyFunc());
+	addNonEnumerableProperty(this, 'defineProperties', new ObjectDefinePropertiesFunc());
+	addNonEnumerableProperty(this, 'seal', new ObjectSealFunc());
+	addNonEnumerableProperty(this, 'freeze', new ObjectFreezeFunc());
+	addNonEnumerableProperty(this, 'preventExtensions', new ObjectPreventExtensionsFunc());
+	addNonEnumerableProperty(this, 'isSealed', new ObjectIsSealedFunc());
+	addNonEnumerableProperty(this, 'isFrozen', new ObjectIsFrozenFunc());
+	addNonEnumerableProperty(this, 'isExtensible', new ObjectIsExtensibleFunc());
+	addNonEnumerableProperty(this, 'keys', new ObjectKeysFunc());
+	addNonEnumerableProperty(this, 'assign', new ObjectAssignFunc());
 }
+util.inherits(ObjectConstructor, FunctionTypeBase);
+ObjectConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-/**
- * The Strict Equality Comparison Algorithm
- *
- * @method
- * @name module:Base.strictEquals
- * @param {moduel:Base.BaseType} x The first value to compare
- * @param {moduel:Base.BaseType} y The second value to compare
- * @returns {Boolean} Whether or not the two equals are strictly equal
- * @see ECMA-262 Spec Chapter 11.9.6
- */
-exports.strictEquals = strictEquals;
-function strictEquals(x, y) {
-	var typeX = type(x),
-		typeY = type(y);
-
-	if (typeX !== typeY) {
-		return false;
-	}
+	// Variable declarations
+	var value = args[0];
 
-	switch(typeX) {
-		case 'Undefined':
-		case 'Null': return true;
-		case 'Boolean':
-		case 'Number':
-		case 'String': return x.value === y.value;
-		case 'Object': return x === y;
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
 	}
-}
-
-/**
- * The Abstract Equality Comparison Algorithm
- *
- * @method
- * @name module:Base.strictEquals
- * @param {moduel:Base.BaseType} x The first value to compare
- * @param {moduel:Base.BaseType} y The second value to compare
- * @returns {Boolean} Whether or not the two equals are strictly equal
- * @see ECMA-262 Spec Chapter 11.9.3
- */
-exports.abstractEquality = abstractEquality;
-function abstractEquality(x, y) {
-	var typeX = type(x),
-		typeY = type(y),
-		xValue = x.value,
-		yValue = y.value;
 
 	// Step 1
-	if (typeY === typeX) {
-		if (typeX === 'Undefined' || typeX === 'Null') {
-			return true;
-		}
-		if (typeX === 'Number') {
-			if (isNaN(xValue) || isNaN(yValue)) {
-				return false;
-			}
-			return xValue === yValue;
-		}
-		if (typeX === 'String') {
-			return xValue === yValue;
-		}
-		if (typeX === 'Boolean') {
-			return xValue === yValue;
-		}
-		return x === y;
+	if (!value || isType(value, ['Null', 'Undefined'])) {
+		return new ObjectType();
 	}
 
 	// Step 2
-	if (typeX === 'Undefined' && typeY === 'Null') {
-		return true;
-	}
-
-	// Step 3
-	if (typeX === 'Null' && typeY === 'Undefined') {
-		return true;
-	}
-
-	// Step 4
-	if (typeX === 'Number' && typeY === 'String') {
-		return abstractEquality(x, toNumber(y));
-	}
-
-	// Step 5
-	if (typeX === 'String' && typeY === 'Number') {
-		return abstractEquality(toNumber(x), y);
-	}
-
-	// Step 6
-	if (typeX === 'Boolean') {
-		return abstractEquality(toNumber(x), y);
-	}
+	return toObject(value);
+});
+ObjectConstructor.prototype.construct = wrapNativeCall(function construct(args) {
 
-	// Step 7
-	if (typeY === 'Boolean') {
-		return abstractEquality(x, toNumber(y));
-	}
+	// Variable declarations
+	var value = args[0];
 
-	// Step 8
-	if (typeY === 'Object' && (typeX === 'String' || typeX === 'Number')) {
-		return abstractEquality(x, toPrimitive(y));
+	// Validate the parameters
+	if (areAnyUnknown(args)) {
+		return new UnknownType();
 	}
 
-	// Step 8
-	if (typeX === 'Object' && (typeY === 'String' || typeY === 'Number')) {
-		return abstractEquality(toPrimitive(x), y);
+	// Step 1
+	if (value && (!isType(value, ['Undefined', 'Null']))) {
+		if (type(value) === 'Object') {
+			return value;
+		} else {
+			return toObject(value);
+		}
 	}
 
-	// Step 9
-	return false;
-}
+	// Steps 3-8
+	return new ObjectType();
+}, true);
 
 /*global
-Runtime,
-RuleProcessor,
-AST,
+util,
+FunctionTypeBase,
+areAnyUnknown,
 UnknownType,
-UndefinedType,
-handleRecoverableNativeException,
+BooleanType,
 type,
-ReferenceType,
-isDefined,
-ObjectType,
-FunctionType,
-DataPropertyDescriptor,
-isAccessorDescriptor,
-throwNativeException,
+prototypes,
+ArrayType,
+toUint32,
+handleRecoverableNativeException,
+addNonEnumerableProperty,
 NumberType,
-throwTypeError,
-toObject
+UndefinedType,
+isCallable,
+iterableToList,
+createArrayFromList,
+wrapNativeCall
 */
 
 /*****************************************
  *
- * Lexical Environments and Contexts
+ * Array Constructor
  *
  *****************************************/
 
-var globalObject,
-	contextStack = [],
-	functionContextCount = 0,
-	tryCatch = 0,
-	skippedModeCounter = 0,
-	skippedContextStack;
-
-// ******** DeclarativeEnvironmentRecord Class ********
-
-function bindingExists (bindings, name) {
-	return Object.prototype.hasOwnProperty.call(bindings, name);
-}
-
 /**
- * @classdesc ECMA-262 Spec: <em>Declarative environment records are used to define the effect of ECMAScript language
- * syntactic elements such as FunctionDeclarations, VariableDeclarations, and Catch clauses that directly associate
- * identifier bindings with ECMAScript language values. Each declarative environment record is associated with an
- * ECMAScript program scope containing variable and/or function declarations. A declarative environment record binds the
- * set of identifiers defined by the declarations contained within its scope.</em>
+ * isArray() prototype method
  *
- * @constructor
- * @name module:Base.DeclarativeEnvironmentRecord
- * @see ECMA-262 Spec Chapter 10.2.1
- * @name module:Base.DeclarativeEnvironmentRecord
+ * @private
+ * @see ECMA-262 Spec Chapter 15.4.3.2
  */
-exports.DeclarativeEnvironmentRecord = DeclarativeEnvironmentRecord;
-function DeclarativeEnvironmentRecord() {
-	this._bindings = {};
-	this._ambiguousContext = false;
+function ArrayIsArrayFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
 }
+util.inherits(ArrayIsArrayFunc, FunctionTypeBase);
+ArrayIsArrayFunc.prototype._resultType = { type: 'Boolean' };
+ArrayIsArrayFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-/**
- * ECMA-262 Spec: <em>The concrete environment record method HasBinding for declarative environment records simply
- * determines if the argument identifier is one of the identifiers bound by the record</em>
- *
- * @method
- * @name module:Base.DeclarativeEnvironmentRecord#hasBinding
- * @param {String} n The name of the binding
- * @returns {Boolean} Whether or not this environment record has the binding
- * @see ECMA-262 Spec Chapter 10.2.1.1.1
- */
-DeclarativeEnvironmentRecord.prototype.hasBinding = function hasBinding(n) {
-	return bindingExists(this._bindings, n);
-};
+	// Variable declarations
+	var arg = args[0];
 
-/**
- * ECMA-262 Spec: <em>The concrete Environment Record method CreateMutableBinding for declarative environment records
- * creates a new mutable binding for the name n that is initialised to the value undefined. A binding must not already
- * exist in this Environment Record for n. If Boolean argument d is provided and has the value true the new binding is
- * marked as being subject to deletion.</em>
- *
- * @method
- * @name module:Base.DeclarativeEnvironmentRecord#createMutableBinding
- * @param {String} n The name of the binding
- * @param {Boolean} [d] Whether or not the binding can be deleted
- * @throws Thrown if the binding already exists
- * @see ECMA-262 Spec Chapter 10.2.1.1.2
- */
-DeclarativeEnvironmentRecord.prototype.createMutableBinding = function createMutableBinding(n, d) {
-	var bindings = this._bindings;
-	if (bindingExists(bindings, n)) {
-		throw new Error('Could not create mutable binding: binding "' + n + '" already exists');
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
 	}
 
-	bindings[n] = {
-		value: new UndefinedType(),
-		isDeletable: !!d,
-		isMutable: true
-	};
-};
+	// Steps 1 and 2
+	return new BooleanType(type(arg) === 'Object' && arg.className === 'Array');
+});
 
 /**
- * ECMA-262 Spec: <em>The concrete Environment Record method SetMutableBinding for declarative environment records
- * attempts to change the bound value of the current binding of the identifier whose name is the value of the argument
- * N to the value of argument v. A binding for n must already exist. If the binding is an immutable binding, a TypeError
- * is thrown if s is true.</em>
+ * from() prototype method. Iterators are not modeled, so only Maps, Sets, and array-like objects (including strings)
+ * can be converted.
  *
- * @method
- * @name module:Base.DeclarativeEnvironmentRecord#setMutableBinding
- * @param {String} n The name of the binding
- * @param {module:Base.BaseType} v The value to set on the binding
- * @param {Boolean} s Indicates strict mode, i.e. whether or not an error should be thrown if the binding is not mutable
- * @throws Thrown if the binding does not exist
- * @see ECMA-262 Spec Chapter 10.2.1.1.3
+ * @private
+ * @see ECMA-262 6th Edition Chapter 22.1.2.1
  */
-DeclarativeEnvironmentRecord.prototype.setMutableBinding = function setMutableBinding(n, v, s) {
-	var bindings = this._bindings;
-	if (!bindingExists(bindings, n)) {
-		throw new Error('Could not set mutable binding: binding "' + n + '" does not exist');
-	}
-
-	if (!bindings[n].isMutable) {
-		if (s) {
-			handleRecoverableNativeException('TypeError', 'Could not set binding: binding "' + n + '" is not mutable');
-			bindings[n].value = new UnknownType();
-		} else {
-			return;
-		}
-	}
-
-	if (type(v) === 'Unknown' || !this.getBindingValue(n)._isLocal() || isAmbiguousBlock()) {
-		bindings[n].value = new UnknownType();
-	} else {
-		bindings[n].value = v;
-	}
-};
+function ArrayFromFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(ArrayFromFunc, FunctionTypeBase);
+ArrayFromFunc.prototype._resultType = { type: 'Object', className: 'Array' };
+ArrayFromFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-/**
- * ECMA-262 Spec: <em>The concrete Environment Record method GetBindingValue for declarative environment records simply
- * returns the value of its bound identifier whose name is the value of the argument n. The binding must already exist.
- * If s is true and the binding is an uninitialised immutable binding throw a ReferenceError exception.</em>
- *
- * @method
- * @name module:Base.DeclarativeEnvironmentRecord#getBindingValue
- * @param {String} n The name of the binding
- * @param {Boolean} s Indicates strict mode, i.e. whether or not an error should be thrown if the binding has not been
- *		initialized
- * @returns {{@link module:Base.BaseType}} The value of the binding
- * @throws Thrown if the binding does not exist
- * @see ECMA-262 Spec Chapter 10.2.1.1.4
- */
-DeclarativeEnvironmentRecord.prototype.getBindingValue = function getBindingValue(n, s) {
+	// Variable declarations
+	var items = args[0],
+		mapFn = args[1],
+		t = args[2] || new UndefinedType(),
+		mapping = !!mapFn && type(mapFn) !== 'Undefined',
+		values,
+		i, len;
 
-	var binding = this._bindings[n];
-	if (!bindingExists(this._bindings, n)) {
-		throw new Error('Could not get value: binding "' + n + '" does not exist');
+	// Validate the parameters
+	if (areAnyUnknown(args)) {
+		return new UnknownType();
 	}
 
-	if (s && !binding.isMutable && !binding.isInitialized) {
-		handleRecoverableNativeException('ReferenceError', 'Could not get value: binding "' + n + '" has not been initialized');
+	// Steps 2-5
+	if (mapping && !isCallable(mapFn)) {
+		handleRecoverableNativeException('TypeError', 'Map function is not callable');
 		return new UnknownType();
 	}
 
-	return binding.value;
-};
-
-/**
- * ECMA-262 Spec: <em>The concrete Environment Record method DeleteBinding for declarative environment records can only
- * delete bindings that have been explicitly designated as being subject to deletion.</em>
- *
- * @method
- * @name module:Base.DeclarativeEnvironmentRecord#deleteBinding
- * @param {String} n The name of the binding
- * @returns {Boolean} Whether or not the binding has been deleted
- * @see ECMA-262 Spec Chapter 10.2.1.1.5
- */
-DeclarativeEnvironmentRecord.prototype.deleteBinding = function deleteBinding(n) {
-
-	var binding = this._bindings[n];
-	if (!binding) {
-		return true;
+	// Steps 6-17
+	values = iterableToList(items);
+	if (!values) {
+		return new UnknownType();
 	}
-
-	if (!binding.isDeletable) {
-		return false;
+	if (mapping) {
+		for (i = 0, len = values.length; i < len; i++) {
+			values[i] = mapFn.callFunction(t, [values[i], new NumberType(i)]);
+		}
 	}
-
-	delete this._bindings[n];
-	return true;
-};
+	return createArrayFromList(values);
+});
 
 /**
- * ECMA-262 Spec: <em>Declarative Environment Records always return undefined as their ImplicitThisValue.</em>
+ * of() prototype method
  *
- * @method
- * @name module:Base.DeclarativeEnvironmentRecord#implicitThisValue
- * @returns {{@link module:Base.UndefinedType}} Always undefined
- * @see ECMA-262 Spec Chapter 10.2.1.1.6
+ * @private
+ * @see ECMA-262 6th Edition Chapter 22.1.2.3
  */
-DeclarativeEnvironmentRecord.prototype.implicitThisValue = function implicitThisValue() {
-	return new UndefinedType(); // Always return undefined for declarative environments
-};
+function ArrayOfFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(ArrayOfFunc, FunctionTypeBase);
+ArrayOfFunc.prototype._resultType = { type: 'Object', className: 'Array' };
+ArrayOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+	return createArrayFromList(args || []);
+});
 
 /**
- * ECMA-262 Spec: <em>The concrete Environment Record method CreateImmutableBinding for declarative environment records
- * creates a new immutable binding for the name n that is initialised to the value undefined. A binding must not already
- * exist in this environment record for n.</em>
+ * Array constructor function
  *
- * @method
- * @name module:Base.DeclarativeEnvironmentRecord#createImmutableBinding
- * @param {String} n The name of the binding
- * @throws Thrown if the binding already exists
- * @see ECMA-262 Spec Chapter 10.2.1.1.7
+ * @private
+ * @see ECMA-262 Spec Chapter 15.4
  */
-DeclarativeEnvironmentRecord.prototype.createImmutableBinding = function createImmutableBinding(n) {
-
-	var bindings = this._bindings;
-	if (bindingExists(bindings, n)) {
-		throw new Error('Could not create immutable binding: binding "' + n + '" already exists');
-	}
+function ArrayConstructor(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
 
-	bindings[n] = {
-		value: new UndefinedType(),
-		isDeletable: false,
-		isMutable: false,
-		isInitialized: false
-	};
-};
+	this.defineOwnProperty('prototype', {
+		value: prototypes.Array
+	}, false, true);
 
-/**
- * ECMA-262 Spec: <em>The concrete Environment Record method InitializeImmutableBinding for declarative environment
- * records is used to set the bound value of the current binding of the identifier whose name is the value of the
- * argument n to the value of argument v. An uninitialised immutable binding for n must already exist.</em>
- *
- * @method
- * @name module:Base.DeclarativeEnvironmentRecord#initializeImmutableBinding
- * @param {String} n The name of the binding
- * @param {module:Base.BaseType} v The value to initialize the binding to
- * @throws Thrown if the binding does not exist
- * @throws Thrown if the binding is not immutable or has already been initialized
- * @see ECMA-262 Spec Chapter 10.2.1.1.8
- */
-DeclarativeEnvironmentRecord.prototype.initializeImmutableBinding = function initializeImmutableBinding(n, v) {
+	addNonEnumerableProperty(this, 'isArray', new ArrayIsArrayFunc());
+	addNonEnumerableProperty(this, 'from', new ArrayFromFunc());
+	addNonEnumerableProperty(this, 'of', new ArrayOfFunc());
+}
+util.inherits(ArrayConstructor, FunctionTypeBase);
+ArrayConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+	return ArrayConstructor.prototype.construct.call(this, args);
+});
+ArrayConstructor.prototype.construct = wrapNativeCall(function construct(args) {
 
-	var binding = this._bindings[n];
-	if (!binding) {
-		throw new Error('Could not initialize immutable value: binding "' + n + '" does not exist');
-	}
+	// Variable declarations
+	var array,
+		i, len;
 
-	if (binding.isInitialized !== false) {
-		throw new Error('Could not initialize immutable value: binding "' + n + '" has either been initialized already or is not an immutable value');
+	// Validate the parameters
+	if (areAnyUnknown(args)) {
+		return new UnknownType();
 	}
 
-	binding.value = v;
-	binding.isInitialized = true;
-};
-
-// ******** ObjectEnvironmentRecord Class ********
-
-/**
- * @classdesc ECMA-262 Spec: <em>Object environment records are used to define the effect of ECMAScript elements such as
- * Program and WithStatement that associate identifier bindings with the properties of some object. Each object
- * environment record is associated with an object called its binding object. An object environment record binds
- * the set of identifier names that directly correspond to the property names of its binding object. Property names
- * that are not an IdentifierName are not included in the set of bound identifiers. Both own and inherited properties
- * are included in the set regardless of the setting of their [[enumerable]] attribute. Because properties can be
- * dynamically added and deleted from objects, the set of identifiers bound by an object environment record may
- * potentially change as a side-effect of any operation that adds or deletes properties. Any bindings that are created
- * as a result of such a side-effect are considered to be a mutable binding even if the writable attribute of the
- * corresponding property has the value false. Immutable bindings do not exist for object environment records.</em>
- *
- * @constructor
- * @name module:Base.ObjectEnvironmentRecord
- * @see ECMA-262 Spec Chapter 10.2.1
- * @name module:Base.ObjectEnvironmentRecord
- */
-exports.ObjectEnvironmentRecord = ObjectEnvironmentRecord;
-function ObjectEnvironmentRecord(bindingObject) {
-	if (!bindingObject) {
-		throw '';
+	array = new ArrayType();
+	if (args.length === 1) {
+		len = args[0];
+		if (type(len) === 'Number') {
+			if (len.value === toUint32(len).value) {
+				array._addProperty('length', {
+					value: toUint32(len),
+					writable: true,
+					enumerable: false,
+					configurable: false
+				});
+			} else {
+				handleRecoverableNativeException('RangeError', 'Invalid length ' + len.value);
+				return new UnknownType();
+			}
+		} else {
+			array._addProperty('length', {
+				value: new NumberType(1),
+				writable: true,
+				enumerable: false,
+				configurable: false
+			});
+			array.put('0', len, true);
+		}
+	} else if (args.length > 1){
+		len = args.length;
+		array._addProperty('length', {
+			value: new NumberType(len),
+			writable: true,
+			enumerable: false,
+			configurable: false
+		});
+		for (i = 0; i < len; i++) {
+			array.put(i, args[i], true);
+		}
 	}
-	this._bindingObject = bindingObject;
-	this._ambiguousContext = false;
-}
 
-/**
- * ECMA-262 Spec: <em>The concrete Environment Record method HasBinding for object environment records determines if its
- * associated binding object has a property whose name is the value of the argument n</em>
+	return array;
+}, true);
+
+/*global
+util,
+FunctionTypeBase,
+areAnyUnknown,
+UnknownType,
+prototypes,
+type,
+handleRecoverableNativeException,
+toString,
+RegExpType,
+StringType,
+wrapNativeCall
+*/
+
+/*****************************************
  *
- * @method
- * @name module:Base.ObjectEnvironmentRecord#hasBinding
- * @param {String} n The name of the binding
- * @returns {Boolean} Whether or not this environment record has the binding
- * @see ECMA-262 Spec Chapter 10.2.1.2.1
- */
-ObjectEnvironmentRecord.prototype.hasBinding = function hasBinding(n) {
-	return this._bindingObject.hasProperty(n);
-};
+ * RegExp Constructor
+ *
+ *****************************************/
 
 /**
- * ECMA-262 Spec: <em>The concrete Environment Record method CreateMutableBinding for object environment records creates
- * in an environment record‘s associated binding object a property whose name is the String value and initialises it to
- * the value undefined. A property named n must not already exist in the binding object. If Boolean argument d is
- * provided and has the value true the new property‘s [[configurable]] attribute is set to true, otherwise it is set to
- * false.</em>
+ * RegExp constructor function
  *
- * @method
- * @name module:Base.ObjectEnvironmentRecord#createMutableBinding
- * @param {String} n The name of the binding
- * @param {Boolean} [d] Whether or not the binding can be deleted
- * @param {Boolean} suppressEvent Suppresses the 'propertySet' event (used when setting prototypes)
- * @throws Thrown if the binding already exists
- * @see ECMA-262 Spec Chapter 10.2.1.2.2
+ * @private
+ * @see ECMA-262 Spec Chapter 15.10
  */
-ObjectEnvironmentRecord.prototype.createMutableBinding = function createMutableBinding(n, d, suppressEvent) {
-	var bindingObject = this._bindingObject;
-	if (bindingObject.hasProperty(n)) {
-		throw new Error('Internal Error: could not create mutable binding: binding "' + n + '" already exists');
+function RegExpConstructor(className) {
+	FunctionTypeBase.call(this, 2, className || 'Function');
+
+	this.defineOwnProperty('prototype', {
+		value: prototypes.RegExp
+	}, false, true);
+}
+util.inherits(RegExpConstructor, FunctionTypeBase);
+RegExpConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var pattern = args[0];
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
 	}
 
-	bindingObject.defineOwnProperty(n, {
-		value: new UndefinedType(),
-		writable: true,
-		enumerable: true,
-		configurable: !!d
-	}, true, suppressEvent);
-};
+	if (pattern && type(pattern) === 'Object' && pattern.className === 'RegExp') {
+		return pattern;
+	}
 
-/**
- * ECMA-262 Spec: <em>The concrete Environment Record method SetMutableBinding for object environment records attempts
- * to set the value of the environment record‘s associated binding object‘s property whose name is the value of the
- * argument n to the value of argument V. A property named N should already exist but if it does not or is not currently
- * writable, error handling is determined by the value of the Boolean argument s.</em>
- *
- * @method
- * @param {String} n The name of the binding
- * @name module:Base.ObjectEnvironmentRecord#setMutableBinding
- * @param {module:Base.BaseType} v The value to set on the binding
- * @param {Boolean} s Indicates strict mode, i.e. whether or not an error should be thrown if the binding is not mutable
- * @param {Boolean} suppressEvent Suppresses the 'propertySet' event (used when setting prototypes)
- * @see ECMA-262 Spec Chapter 10.2.1.2.3
- */
-ObjectEnvironmentRecord.prototype.setMutableBinding = function setMutableBinding(n, v, s, suppressEvent) {
-	this._bindingObject.put(n, v, s, suppressEvent);
-};
+	return RegExpConstructor.prototype.construct(args);
+});
+RegExpConstructor.prototype.construct = wrapNativeCall(function construct(args) {
 
-/**
- * ECMA-262 Spec: <em>The concrete Environment Record method SetMutableBinding for object environment records attempts
- * to set the value of the environment record‘s associated binding object‘s property whose name is the value of the
- * argument n to the value of argument v. A property named N should already exist but if it does not or is not currently
- * writable, error handling is determined by the value of the Boolean argument s.</em>
- *
- * @method
- * @name module:Base.ObjectEnvironmentRecord#getBindingValue
- * @param {String} n The name of the binding
- * @param {Boolean} s Indicates strict mode, i.e. whether or not an error should be thrown if the binding has not been
- *		initialized
- * @returns {{@link module:Base.BaseType}} The value of the binding
- * @see ECMA-262 Spec Chapter 10.2.1.2.4
- */
-ObjectEnvironmentRecord.prototype.getBindingValue = function getBindingValue(n, s) {
-	var bindingObject = this._bindingObject;
-	if (!bindingObject.hasProperty(n)) {
-		if (s) {
-			handleRecoverableNativeException('ReferenceError', 'Property ' + n + ' does not exist');
+	// Variable declarations
+	var pattern = args[0] || new StringType(''),
+		flags = args[1],
+		p,
+		f;
+
+	// Validate the parameters
+	if (areAnyUnknown(args)) {
+		return new UnknownType();
+	}
+
+	// Parse the parameters
+	if (type(pattern) === 'Object' && pattern.className === 'RegExp') {
+		if (flags && type(flags) !== 'Undefined') {
+			handleRecoverableNativeException('TypeError', 'Invalid flag type');
 			return new UnknownType();
 		}
-		return new UndefinedType();
+		p = pattern._pattern;
+		f = pattern._flags;
+	} else {
+		p = pattern && type(pattern) !== 'Undefined' ? toString(pattern).value : '';
+		f = flags && type(flags) !== 'Undefined' ? toString(flags).value : '';
 	}
 
-	return bindingObject.get(n);
-};
+	// Create the regex object
+	return new RegExpType(p, f);
+}, true);
 
-/**
- * ECMA-262 Spec: <em>The concrete Environment Record method DeleteBinding for object environment records can only
- * delete bindings that correspond to properties of the environment object whose [[configurable]] attribute have the
- * value true.</em>
+/*global
+util,
+AST,
+FunctionTypeBase,
+areAnyUnknown,
+UnknownType,
+prototypes,
+StringType,
+toString,
+handleRecoverableNativeException,
+FunctionType,
+RuleProcessor,
+wrapNativeCall,
+getModuleContext
+*/
+
+/*****************************************
  *
- * @method
- * @name module:Base.ObjectEnvironmentRecord#deleteBinding
- * @param {String} n The name of the binding
- * @returns {Boolean} Whether or not the binding has been deleted
- * @see ECMA-262 Spec Chapter 10.2.1.2.5
- */
-ObjectEnvironmentRecord.prototype.deleteBinding = function deleteBinding(n) {
-	return this._bindingObject['delete'](n, false);
-};
+ * Function Constructor
+ *
+ *****************************************/
 
 /**
- * ECMA-262 Spec: <em>Object Environment Records return undefined as their ImplicitThisValue unless their provideThis
- * flag is true.</em>
+ * Function constructor function
  *
- * @method
- * @name module:Base.ObjectEnvironmentRecord#implicitThisValue
- * @returns {{@link module:Base.BaseType}} The value of this, if it exists
- * @see ECMA-262 Spec Chapter 10.2.1.2.6
+ * @private
+ * @see ECMA-262 Spec Chapter 15.3
  */
-ObjectEnvironmentRecord.prototype.implicitThisValue = function implicitThisValue() {
-	if (this.provideThis) {
-		return this._bindingObject;
-	} else {
-		return new UndefinedType();
-	}
-};
+function FunctionConstructor(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
 
-// ******** Lexical Environment ********
+	this.defineOwnProperty('prototype', {
+		value: prototypes.Function
+	}, false, true);
+}
+util.inherits(FunctionConstructor, FunctionTypeBase);
+FunctionConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+	return FunctionConstructor.prototype.construct.call(this, args);
+});
+FunctionConstructor.prototype.construct = wrapNativeCall(function construct(args) {
 
-/**
- * @classdesc ECMA-262 Spec: <em>A Lexical Environment is a specification type used to define the association of
- * Identifiers to specific variables and functions based upon the lexical nesting structure of ECMAScript code. A
- * Lexical Environment consists of an Environment Record and a possibly null reference to an outer Lexical Environment.
- * Usually a Lexical Environment is associated with some specific syntactic structure of ECMAScript code such as a
- * FunctionDeclaration, a WithStatement, or a Catch clause of a TryStatement and a new Lexical Environment is created
- * each time such code is evaluated.</em>
+	// Variable declarations
+	var argCount = args.length,
+		p = '',
+		body,
+		k = 1,
+		i;
+
+	// Validate the parameters
+	if (areAnyUnknown(args)) {
+		return new UnknownType();
+	}
+
+	// Step 3
+	if (argCount === 0) {
+		body = new StringType();
+
+	// Step 4
+	} else if (argCount === 1) {
+		body = args[0];
+
+	// Step 5
+	} else if (argCount > 1) {
+		p = toString(args[0]).value;
+		while (k < argCount - 1) {
+			p += ',' + toString(args[k]).value;
+			k++;
+		}
+		body = args[k];
+	}
+
+	// Step 6
+	body = toString(body).value;
+
+	// Step 7
+	p = AST.parseString('function temp(' + p + '){}');
+	if (p.syntaxError) {
+		handleRecoverableNativeException('SyntaxError', p.message);
+		return new UnknownType();
+	}
+	p = p.body[0].argnames;
+	for (i = 0; i < p.length; i++) {
+		p[i] = p[i].name;
+	}
+
+	// Step 8
+	body = AST.parseString('function temp(){' + body + '}');
+	if (body.syntaxError) {
+		handleRecoverableNativeException('SyntaxError', p.message);
+		return new UnknownType();
+	}
+	body = body.body[0];
+
+	// Step 10
+	return new FunctionType(p, body, getModuleContext().lexicalEnvironment, RuleProcessor.isBlockStrict(body));
+}, true);
+
+/*global
+util,
+FunctionTypeBase,
+areAnyUnknown,
+UnknownType,
+prototypes,
+ObjectType,
+StringType,
+toString,
+type,
+wrapNativeCall
+*/
+
+/*****************************************
+ *
+ * Error Constructor
+ *
+ *****************************************/
+
+/**
+ * Error constructor function
  *
  * @constructor
- * @name module:Base~LexicalEnvironment
- * @param {module:Base.DeclarativeEnvironmentRecord|module:Base.ObjectEnvironmentRecord} [envRec] The environment record
- *		to associate with the new lexical environment
- * @param {module:Base.LexicalEnvironment} [outer] The outer lexical environment
- * @property {module:Base.DeclarativeEnvironmentRecord|module:Base.ObjectEnvironmentRecord} envRec The environment
- *		record associated with this lexical environment
- * @property {module:Base.LexicalEnvironment|undefined} outer The outer lexical environment of this lexical environment,
- *		if it exists
- * @see ECMA-262 Spec Chapter 10.2
- * @name module:Base.LexicalEnvironment
+ * @see ECMA-262 Spec Chapter 15.11
  */
-function LexicalEnvironment(envRec, outer) {
-	this.envRec = envRec;
-	this.outer = outer;
+exports.ErrorConstructor = ErrorConstructor;
+function ErrorConstructor(errorType, className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+
+	this.defineOwnProperty('prototype', {
+		value: prototypes[errorType]
+	}, false, true);
+
+	this._errorType = errorType;
 }
+util.inherits(ErrorConstructor, FunctionTypeBase);
+ErrorConstructor.instantiateClone = function instantiateClone(source) {
+	return new ErrorConstructor(source._errorType, source.className);
+};
+ErrorConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-// ******** Lexical Environment Operations ********
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	return ErrorConstructor.prototype.construct.call(this, args);
+});
+ErrorConstructor.prototype.construct = wrapNativeCall(function construct(args) {
+
+	// Variable declarations
+	var errorType = this._errorType,
+		err,
+		message = args[0];
+
+	// Validate the parameters
+	if (areAnyUnknown(args)) {
+		return new UnknownType();
+	}
+
+	err = new ObjectType(errorType, undefined, true);
+	err.extensible = true;
+
+	Object.defineProperty(err, 'objectPrototype', {
+		get: function () {
+			return prototypes[errorType];
+		},
+		configurable: true
+	});
+
+	err.put('name', new StringType(errorType), true);
+	err.put('message', message && type(message) !== 'Undefined' ? toString(message) : new StringType(''), true);
+
+	return err;
+}, true);
+
+/*global
+util,
+Runtime,
+FunctionTypeBase,
+addNonEnumerableProperty,
+UnknownType,
+createUnknownOrigin,
+prototypes,
+NumberType,
+StringType,
+type,
+toNumber,
+ObjectType,
+wrapNativeCall,
+areAnyUnknown,
+virtualTime,
+recordImpureOperation
+*/
+
+/*****************************************
+ *
+ * Date Constructor
+ *
+ *****************************************/
 
 /**
- * ECMA-262 Spec: <em>The abstract operation GetIdentifierReference is called with a Lexical Environment lex, an
- * identifier String name, and a Boolean flag strict. The value of lex may be null.</em>
+ * Reads the current time according to the determinism option. The virtual clock starts at a fixed epoch and advances
+ * by one millisecond every time it is read, so that code measuring elapsed time still sees time pass.
  *
- * @method
- * @name module:Base.getIdentifierReference
- * @param {module:Base.LexicalEnvironment|undefined} lex The lexical environment to search
- * @see ECMA-262 Spec Chapter 10.2.2.1
- */
-exports.getIdentifierReference = getIdentifierReference;
-function getIdentifierReference(lex, name, strict) {
-	var newRef;
-	if (!lex) {
-		newRef = new ReferenceType();
-		newRef.baseValue = new UndefinedType();
-		newRef.referencedName = name;
-		newRef.strictReference = strict;
-		return newRef;
-	}
-	if (lex.envRec.hasBinding(name)) {
-		newRef = new ReferenceType();
-		newRef.baseValue = lex.envRec;
-		newRef.referencedName = name;
-		newRef.strictReference = strict;
-		return newRef;
-	} else {
-		return getIdentifierReference(lex.outer, name, strict);
+ * @private
+ * @returns {Number|undefined} The current time in milliseconds, or undefined if the time is unknown
+ */
+function readClock() {
+	recordImpureOperation();
+	switch(Runtime.options.determinism) {
+		case 'seeded':
+		case 'virtual':
+			return virtualTime++;
+		case 'unknown':
+			return;
+		default:
+			if (Runtime.options.exactMode) {
+				return Date.now();
+			}
 	}
 }
 
 /**
- * Creates a new lexical environment with a declarative environment record
+ * parse() prototype method
  *
- * @method
- * @name module:Base.newDeclarativeEnvironment
- * @param {module:Base.LexicalEnvironment|undefined} e The outer lexical environment of the new lexical environment
- * @returns {{@link module:Base.LexicalEnvironment} The newly created lexical environment
- * @see ECMA-262 Spec Chapter 10.2.2.2
+ * @private
+ * @see ECMA-262 Spec Chapter 15.9.4.2
  */
-exports.newDeclarativeEnvironment = newDeclarativeEnvironment;
-function newDeclarativeEnvironment(e) {
-	return new LexicalEnvironment(new DeclarativeEnvironmentRecord(), e);
+function DateParseFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
 }
+util.inherits(DateParseFunc, FunctionTypeBase);
+DateParseFunc.prototype._resultType = { type: 'Number' };
+DateParseFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
+	return new UnknownType();
+});
 
 /**
- * Creates a new lexical environment with an object environment record
+ * UTC() prototype method
  *
- * @method
- * @name module:Base.newObjectEnvironment
- * @param {module:Base.ObjectType} o The binding object
- * @param {module:Base.LexicalEnvironment|undefined} e The outer lexical environment of the new lexical environment
- * @returns {{@link module:Base.LexicalEnvironment} The newly created lexical environment
- * @see ECMA-262 Spec Chapter 10.2.2.3
+ * @private
+ * @see ECMA-262 Spec Chapter 15.9.4.3
  */
-exports.newObjectEnvironment = newObjectEnvironment;
-function newObjectEnvironment(o, e) {
-	return new LexicalEnvironment(new ObjectEnvironmentRecord(o), e);
+function DateUTCFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
 }
-
-// ******** Execution Context ********
+util.inherits(DateUTCFunc, FunctionTypeBase);
+DateUTCFunc.prototype._resultType = { type: 'Number' };
+DateUTCFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
+	return new UnknownType();
+});
 
 /**
- * @classdesc ECMA-262 Spec: <em>When control is transferred to ECMAScript executable code, control is entering an
- * execution context. Active execution contexts logically form a stack. The top execution context on this logical stack
- * is the running execution context. A new execution context is created whenever control is transferred from the
- * executable code associated with the currently running execution context to executable code that is not associated
- * with that execution context. The newly created execution context is pushed onto the stack and becomes the running
- * execution context. An execution context contains whatever state is necessary to track the execution progress of its
- * associated code.</em>
+ * now() prototype method
  *
- * @constructor
- * @name module:Base.ExecutionContext
- * @property {module:Base.LexicalEnvironment} lexicalEnvironment ECMA-262 Spec: <em>Identifies the Lexical Environment
- *		used to resolve identifier references made by code within this execution context.</em>
- * @property {module:Base.LexicalEnvironment} variableEnvironment ECMA-262 Spec: <em>Identifies the Lexical Environment
- *		whose environment record holds bindings created by VariableStatements and FunctionDeclarations within this
- *		execution context.</em>
- * @property {module:Base.ObjectType} thisBinding ECMA-262 Spec: <em>The value associated with the this keyword within
- *		ECMAScript code associated with this execution context.</em>
- * @property {Boolean} strict Indicates whether or not this execution context is strict mode
- * @name module:Base.ExecutionContext
+ * @private
+ * @see ECMA-262 Spec Chapter 15.9.4.4
  */
-function ExecutionContext(lexicalEnvironment, variableEnvironment, thisBinding, strict) {
-	this.lexicalEnvironment = lexicalEnvironment;
-	this.variableEnvironment = variableEnvironment;
-	this.thisBinding = thisBinding;
-	this.strict = isDefined(strict) ? strict : false;
-	this._ambiguousBlock = 0;
+function DateNowFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
 }
-
-// ******** Context Creation Methods ********
+util.inherits(DateNowFunc, FunctionTypeBase);
+DateNowFunc.prototype._resultType = { type: 'Number' };
+DateNowFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
+	var now = readClock();
+	return typeof now === 'number' ? new NumberType(now) : createUnknownOrigin('clock read');
+});
 
 /**
+ * Date constructor function
+ *
  * @private
+ * @see ECMA-262 Spec Chapter 15.9
  */
-function findDeclarations(ast, context) {
-	var functions = [],
-		variables = [];
+function DateConstructor(className) {
+	FunctionTypeBase.call(this, 7, className || 'Function');
 
-	AST.walk(ast, [
-		{
-			nodeType: 'AST_Defun',
-			callback: function(node) {
-				var formalParameterList = [],
-					i, len;
-				for (i = 0, len = node.argnames.length; i < len; i++) {
-					formalParameterList.push(node.argnames[i].name);
-				}
-				node._lastKnownContext = context;
-				functions.push(node);
-				Runtime.addFunction(node);
-				return true;
+	this.defineOwnProperty('prototype', {
+		value: prototypes.Date
+	}, false, true);
+
+	addNonEnumerableProperty(this, 'parse', new DateParseFunc());
+	addNonEnumerableProperty(this, 'UTC', new DateUTCFunc());
+	addNonEnumerableProperty(this, 'now', new DateNowFunc());
+}
+util.inherits(DateConstructor, FunctionTypeBase);
+DateConstructor.prototype._resultType = { type: 'String' };
+DateConstructor.prototype.callFunction = wrapNativeCall(function callFunction() {
+	var now = readClock();
+	return typeof now === 'number' ? new StringType(new Date(now).toString()) : createUnknownOrigin('clock read');
+});
+DateConstructor.prototype.construct = wrapNativeCall(function construct(args) {
+	var dateObj,
+		internalDateObj,
+		convertedArgs,
+		now,
+		determinism = Runtime.options.determinism,
+		i, len;
+	if ((Runtime.options.exactMode || determinism === 'seeded' || determinism === 'virtual') && !areAnyUnknown(args)) {
+		if (args.length === 0) {
+			now = readClock();
+			if (typeof now !== 'number') {
+				return createUnknownOrigin('clock read');
 			}
-		},
-		{
-			nodeType: 'AST_Var',
-			callback: function(node) {
-				var i, len;
-				for (i = 0, len = node.definitions.length; i < len; i++) {
-					variables.push({
-						variableName: node.definitions[i].name.name
-					});
-					if (node.definitions[i].value && node.definitions[i].value.className === 'AST_Function') {
-						node.definitions[i].value._lastKnownContext = context;
-						Runtime.addFunction(node.definitions[i].value);
-					}
-				}
-				return true;
+			internalDateObj = new Date(now);
+		} else if (args.length === 1){
+			if (type(args[0]) === 'String') {
+				internalDateObj = new Date(args[0].value);
+			} else {
+				internalDateObj = new Date(toNumber(args[0]).value);
 			}
-		},
-		{
-			nodeType: 'AST_Const',
-			callback: function(node) {
-				var i, len;
-				for (i = 0, len = node.definitions.length; i < len; i++) {
-					variables.push({
-						variableName: node.definitions[i].name.name
-					});
-				}
-				return true;
+		} else {
+			convertedArgs = [];
+			for (i = 0, len = args.length; i < len; i++) {
+				convertedArgs[i] = toNumber(args[i]).value;
 			}
-		},
-		{
-			nodeType: 'AST_Function',
-			callback: function(node) {
-				node._lastKnownContext = context;
-				Runtime.addFunction(node);
-				return true;
+			switch(args.length) {
+				case 2:
+					internalDateObj = new Date(
+						convertedArgs[0],
+						convertedArgs[1]);
+					break;
+				case 3:
+					internalDateObj = new Date(
+						convertedArgs[0],
+						convertedArgs[1],
+						convertedArgs[2]);
+					break;
+				case 4:
+					internalDateObj = new Date(
+						convertedArgs[0],
+						convertedArgs[1],
+						convertedArgs[2],
+						convertedArgs[3]);
+					break;
+				case 5:
+					internalDateObj = new Date(
+						convertedArgs[0],
+						convertedArgs[1],
+						convertedArgs[2],
+						convertedArgs[3],
+						convertedArgs[4]);
+					break;
+				case 6:
+					internalDateObj = new Date(
+						convertedArgs[0],
+						convertedArgs[1],
+						convertedArgs[2],
+						convertedArgs[3],
+						convertedArgs[4],
+						convertedArgs[5]);
+					break;
+				case 7:
+					internalDateObj = new Date(
+						convertedArgs[0],
+						convertedArgs[1],
+						convertedArgs[2],
+						convertedArgs[3],
+						convertedArgs[4],
+						convertedArgs[5],
+						convertedArgs[6]);
+					break;
 			}
 		}
-	]);
+		dateObj = new ObjectType();
+		dateObj._date = internalDateObj;
+		Object.defineProperty(dateObj, 'objectPrototype', {
+			get: function () {
+				return prototypes.Date;
+			},
+			configurable: true
+		});
+		return dateObj;
+	} else {
+		return args.length ? new UnknownType() : createUnknownOrigin('clock read');
+	}
+}, true);
 
-	return {
-		functions: functions,
-		variables: variables
-	};
-}
+/*global
+util,
+FunctionTypeBase,
+UnknownType,
+ObjectType,
+prototypes,
+type,
+isCallable,
+iterableToList,
+handleRecoverableNativeException,
+wrapNativeCall
+*/
+
+/*****************************************
+ *
+ * Map Constructor
+ *
+ *****************************************/
 
 /**
+ * Map and WeakMap constructor function
+ *
  * @private
+ * @param {String} mapType The type of map, either 'Map' or 'WeakMap'
+ * @param {String} [className] The name of the class
+ * @see ECMA-262 6th Edition Chapters 23.1.1 and 23.3.1
  */
-function processFunctionDefinition(node) {
+function MapConstructor(mapType, className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
 
-	var identifier = node.name.name,
-		formalParameterList = [],
-		context = getCurrentContext(),
-		strict = context.strict || RuleProcessor.isBlockStrict(node),
-		functionObject,
-		i,
-		len;
+	this.defineOwnProperty('prototype', {
+		value: prototypes[mapType]
+	}, false, true);
 
-	RuleProcessor.fireRuleEvent(node, {}, false);
-	RuleProcessor.logRule('AST_Defun', identifier);
+	this._mapType = mapType;
+}
+util.inherits(MapConstructor, FunctionTypeBase);
+MapConstructor.instantiateClone = function instantiateClone(source) {
+	return new MapConstructor(source._mapType, source.className);
+};
+MapConstructor.prototype.callFunction = wrapNativeCall(function callFunction() {
+	handleRecoverableNativeException('TypeError', 'Constructor ' + this._mapType + ' requires \'new\'');
+	return new UnknownType();
+});
+MapConstructor.prototype.construct = wrapNativeCall(function construct(args) {
 
-	node.name._visited = true;
-	node.name._skipped = false;
+	// Variable declarations
+	var mapType = this._mapType,
+		iterable = args[0],
+		map,
+		adder,
+		entries,
+		entry,
+		i, len;
 
-	for (i = 0, len = node.argnames.length; i < len; i++) {
-		node.argnames[i]._visited = true;
-		node.argnames[i]._skipped = false;
-		formalParameterList.push(node.argnames[i].name);
+	// Steps 1-4. Note: an unknown iterable still creates the collection, but with unknown contents
+	map = new ObjectType(mapType, undefined, true);
+	map.extensible = true;
+	Object.defineProperty(map, 'objectPrototype', {
+		get: function () {
+			return prototypes[mapType];
+		},
+		configurable: true
+	});
+
+	// Step 5
+	map._mapData = {
+		keys: [],
+		values: [],
+		isUnknown: false
+	};
+
+	// Steps 6-8
+	if (!iterable || type(iterable) === 'Undefined' || type(iterable) === 'Null') {
+		return map;
 	}
 
-	try {
-		if (strict) {
-			if (identifier === 'eval' || identifier === 'arguments') {
-				handleRecoverableNativeException('SyntaxError', identifier + ' is not a valid identifier name');
-				throw 'Unknown';
-			}
-			for (i = 0, len = formalParameterList.length; i < len; i++) {
-				if (formalParameterList[i] === 'eval' || formalParameterList[i] === 'arguments') {
-					handleRecoverableNativeException('SyntaxError', formalParameterList[i] + ' is not a valid identifier name');
-					throw 'Unknown';
-				}
-				if (formalParameterList.indexOf(formalParameterList[i], i + 1) !== -1) {
-					handleRecoverableNativeException('SyntaxError', 'Duplicate parameter names are not allowed in strict mode');
-					throw 'Unknown';
-				}
-			}
-		}
+	// Steps 9-10
+	adder = map.get('set');
+	if (!isCallable(adder)) {
+		handleRecoverableNativeException('TypeError', 'Map.prototype.set is not a function');
+		return new UnknownType();
+	}
 
-		functionObject = new FunctionType(formalParameterList, node, context.lexicalEnvironment, strict);
-		functionObject._location = {
-			filename: node.start.file,
-			line: node.start.line,
-			column: node.start.column
-		};
-		functionObject._ast = node;
-	} catch(e) {
-		if (e === 'Unknown') {
-			functionObject = new UnknownType();
+	// Steps 11-12
+	entries = iterableToList(iterable);
+	if (!entries) {
+		map._mapData.isUnknown = true;
+		return map;
+	}
+	for (i = 0, len = entries.length; i < len; i++) {
+		entry = entries[i];
+		if (type(entry) === 'Unknown') {
+			map._mapData.isUnknown = true;
+		} else if (type(entry) !== 'Object') {
+			handleRecoverableNativeException('TypeError', 'Iterator value is not an entry object');
+			return new UnknownType();
 		} else {
-			throw e;
+			adder.callFunction(map, [entry.get('0'), entry.get('1')]);
 		}
 	}
+	return map;
+}, true);
 
-	RuleProcessor.fireRuleEvent(node, {
-		identifier: identifier,
-		formalParameterList: formalParameterList,
-		strict: strict,
-		functionObject: functionObject
-	}, true);
 
-	return functionObject;
-}
+/*global
+util,
+FunctionTypeBase,
+UnknownType,
+ObjectType,
+prototypes,
+type,
+isCallable,
+iterableToList,
+handleRecoverableNativeException,
+wrapNativeCall
+*/
 
-/**
- * Creates the global context
+/*****************************************
  *
- * @method
- * @name module:Base.createGlobalContext
- * @returns {module:Base.ExecutionContext} The new global execution context
- * @see ECMA-262 Spec Chapter 10.4.1 and Chapter 10.5
+ * Set Constructor
+ *
+ *****************************************/
+
+/**
+ * Set and WeakSet constructor function
+ *
+ * @private
+ * @param {String} setType The type of set, either 'Set' or 'WeakSet'
+ * @param {String} [className] The name of the class
+ * @see ECMA-262 6th Edition Chapters 23.2.1 and 23.4.1
  */
-exports.createGlobalContext = createGlobalContext;
-function createGlobalContext(strict) {
+function SetConstructor(setType, className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
 
-	// Create the context
-	globalObject = new ObjectType();
-	var env = newObjectEnvironment(globalObject),
-		executionContext = new ExecutionContext(
-			env,
-			env,
-			globalObject,
-			strict);
-	globalObject._closure = globalObject;
-	enterContext(executionContext);
+	this.defineOwnProperty('prototype', {
+		value: prototypes[setType]
+	}, false, true);
 
-	// Return the context
-	return executionContext;
+	this._setType = setType;
 }
+util.inherits(SetConstructor, FunctionTypeBase);
+SetConstructor.instantiateClone = function instantiateClone(source) {
+	return new SetConstructor(source._setType, source.className);
+};
+SetConstructor.prototype.callFunction = wrapNativeCall(function callFunction() {
+	handleRecoverableNativeException('TypeError', 'Constructor ' + this._setType + ' requires \'new\'');
+	return new UnknownType();
+});
+SetConstructor.prototype.construct = wrapNativeCall(function construct(args) {
 
-/**
- * Initializes the global context with its AST. This must happen AFTER Base.init() is called
- *
- * @method
- * @name module:Base.initGlobalAST
- * @param {module:AST.node} ast The AST associated with this global context
- */
-exports.initGlobalAST = initGlobalAST;
-function initGlobalAST(ast) {
-	var globalContext = getGlobalContext(),
-		result = findDeclarations(ast, globalContext),
-		functions = result.functions,
-		variables = result.variables,
-		env = globalContext.variableEnvironment.envRec,
-		strict = RuleProcessor.isBlockStrict(ast),
-		i, len,
-		fn,
-		fo,
-		funcAlreadyDeclared,
-		configurableBindings = false,
-		existingProp,
-		descriptor,
-		dn,
-		varAlreadyDeclared;
+	// Variable declarations
+	var setType = this._setType,
+		iterable = args[0],
+		set,
+		adder,
+		values,
+		i, len;
 
-	// Find all of the function declarations and bind them
-	for (i = 0, len = functions.length; i < len; i++) {
-		fn = functions[i].name.name;
-		fo = functions[i]._funcObject = processFunctionDefinition(functions[i]);
-		funcAlreadyDeclared = env.hasBinding(fn);
+	// Steps 1-4. Note: an unknown iterable still creates the collection, but with unknown contents
+	set = new ObjectType(setType, undefined, true);
+	set.extensible = true;
+	Object.defineProperty(set, 'objectPrototype', {
+		get: function () {
+			return prototypes[setType];
+		},
+		configurable: true
+	});
 
-		if (!funcAlreadyDeclared) {
-			env.createMutableBinding(fn, configurableBindings);
-		} else if (env === getGlobalContext().variableEnvironment.envRec) {
-			existingProp = globalObject.getProperty(fn);
-			if (existingProp.configurable) {
-				descriptor = new DataPropertyDescriptor();
-				descriptor.writable = true;
-				descriptor.enumerable = true;
-				descriptor.configurable = configurableBindings;
-				globalObject.defineOwnProperty(fn, descriptor, true);
-			} else if (isAccessorDescriptor(existingProp) || (existingProp.writable !== true &&
-					existingProp.enumerable !== true)) {
-				throwNativeException('TypeError', fn +
-					' is not a valid identifier name because a non-writable identifier with that name already exists');
-			}
-		}
+	// Step 5
+	set._setData = {
+		values: [],
+		isUnknown: false
+	};
 
-		env.setMutableBinding(fn, fo, strict);
+	// Steps 6-8
+	if (!iterable || type(iterable) === 'Undefined' || type(iterable) === 'Null') {
+		return set;
 	}
 
-	// Find all of the variable declarations and bind them
-	for (i = 0, len = variables.length; i < len; i++) {
-		dn = variables[i].variableName,
-		varAlreadyDeclared = env.hasBinding(dn);
+	// Steps 9-10
+	adder = set.get('add');
+	if (!isCallable(adder)) {
+		handleRecoverableNativeException('TypeError', 'Set.prototype.add is not a function');
+		return new UnknownType();
+	}
 
-		if (!varAlreadyDeclared) {
-			env.createMutableBinding(dn, configurableBindings);
-			env.setMutableBinding(dn, new UndefinedType(), strict);
-		}
+	// Steps 11-12
+	values = iterableToList(iterable);
+	if (!values) {
+		set._setData.isUnknown = true;
+		return set;
+	}
+	for (i = 0, len = values.length; i < len; i++) {
+		adder.callFunction(set, [values[i]]);
 	}
+	return set;
+}, true);
+
+
+/*global
+util,
+Map,
+Runtime,
+FunctionTypeBase,
+UnknownType,
+UndefinedType,
+ObjectType,
+prototypes,
+type,
+isCallable,
+toString,
+iterableToList,
+createArrayFromList,
+isCallerInAmbiguousBlock,
+createNativeException,
+handleRecoverableNativeException,
+addNonEnumerableProperty,
+wrapNativeCall,
+promiseJobQueue,
+recordStateChange,
+recordImpureOperation
+*/
+
+/*****************************************
+ *
+ * Promise Abstract Operations
+ *
+ *****************************************/
+
+/**
+ * Creates the queue of pending promise jobs. Promise jobs are run by a single native function that is queued using
+ * Runtime.queueFunction, the same as timers, so that they are evaluated after the current code finishes. The queue also
+ * tracks which handlers have already been run from which locations, since Runtime.queueFunction's loop protection does
+ * not apply to the individual jobs.
+ *
+ * @private
+ * @returns {Object} The new job queue
+ */
+function createPromiseJobQueue() {
+	return {
+		jobs: [],
+		isScheduled: false,
+		processedHandlers: new Map()
+	};
 }
 
 /**
- * Creates a module context
+ * Runs all of the queued promise jobs, including any jobs that are queued while running them
  *
- * @method
- * @name module:Base.createGlobalContext
- * @param {module:AST.node} ast The AST associated with this global context
- * @returns {module:Base.ExecutionContext} The new global execution context
- * @see ECMA-262 Spec Chapter 10.4.1 and Chapter 10.5
+ * @private
  */
-exports.createModuleContext = createModuleContext;
-function createModuleContext(ast, strict, createExports, ambiguous) {
+function PromiseJobsFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(PromiseJobsFunc, FunctionTypeBase);
+PromiseJobsFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
+	var queue = promiseJobQueue;
+	while (queue.jobs.length) {
+		queue.jobs.shift()();
+	}
+	queue.isScheduled = false;
+	return new UndefinedType();
+});
 
-	// Create the context
-	var globalObject = new ObjectType(),
-		env = newObjectEnvironment(globalObject, getGlobalContext().variableEnvironment),
-		configurableBindings = false,
-		executionContext = new ExecutionContext(
-			env,
-			env,
-			globalObject,
-			strict),
-		len, i,
-		functions, variables, result,
-		fn, fo,
-		funcAlreadyDeclared,
-		existingProp,
-		descriptor,
-		dn,
-		varAlreadyDeclared,
-		exportsObject;
-	env.envRec._ambiguousContext = !!ambiguous;
-	enterContext(executionContext);
-	env = executionContext.variableEnvironment.envRec;
+/**
+ * Adds a job to the promise job queue, scheduling the queue to be run if necessary. If the queue could not be scheduled
+ * from the current location, it is scheduled the next time a job is added.
+ *
+ * @private
+ * @param {Function} job The job to run
+ * @see ECMA-262 6th Edition Chapter 8.4.1
+ */
+function enqueuePromiseJob(job) {
+	recordImpureOperation();
+	promiseJobQueue.jobs.push(job);
+	if (!promiseJobQueue.isScheduled) {
+		promiseJobQueue.isScheduled = Runtime.queueFunction(new PromiseJobsFunc(), new UndefinedType(), [], true);
+	}
+}
 
-	result = findDeclarations(ast, executionContext);
-	functions = result.functions;
-	variables = result.variables;
+/**
+ * Gets a copy of the current location
+ *
+ * @private
+ * @returns {Object} The location, with 'filename', 'line', and 'column' properties
+ */
+function copyCurrentLocation() {
+	var location = Runtime.getCurrentLocation();
+	return {
+		filename: location.filename,
+		line: location.line,
+		column: location.column
+	};
+}
 
-	if (createExports) {
-		exportsObject = new ObjectType(),
-		globalObject.put('exports', exportsObject, false);
-		env.createMutableBinding('module', true);
-		env.setMutableBinding('module', globalObject);
-	}
+/**
+ * Checks if a value is a promise
+ *
+ * @private
+ * @param {module:Base.BaseType} value The value to check
+ * @returns {Boolean} Whether or not the value is a promise
+ */
+function isPromise(value) {
+	return type(value) === 'Object' && !!value._promiseState;
+}
 
-	// Find all of the function declarations and bind them
-	for (i = 0, len = functions.length; i < len; i++) {
-		fn = functions[i].name.name;
-		fo = functions[i]._funcObject = processFunctionDefinition(functions[i]);
-		funcAlreadyDeclared = env.hasBinding(fn);
+/**
+ * Creates a new, pending promise
+ *
+ * @private
+ * @returns {module:Base.ObjectType} The new promise
+ * @see ECMA-262 6th Edition Chapter 25.4.3.1
+ */
+function createPromise() {
+	var promise = new ObjectType('Promise', undefined, true);
+	promise.extensible = true;
+	Object.defineProperty(promise, 'objectPrototype', {
+		get: function () {
+			return prototypes.Promise;
+		},
+		configurable: true
+	});
 
-		if (!funcAlreadyDeclared) {
-			env.createMutableBinding(fn, configurableBindings);
-		} else if (env === getGlobalContext().variableEnvironment.envRec) {
-			existingProp = globalObject.getProperty(fn);
-			if (existingProp.configurable) {
-				descriptor = new DataPropertyDescriptor();
-				descriptor.writable = true;
-				descriptor.enumerable = true;
-				descriptor.configurable = configurableBindings;
-				globalObject.defineOwnProperty(fn, descriptor, true);
-			} else if (isAccessorDescriptor(existingProp) || (existingProp.writable !== true &&
-					existingProp.enumerable !== true)) {
-				throwNativeException('TypeError', fn +
-					' is not a valid identifier name because a non-writable identifier with that name already exists');
-			}
-		}
+	// The state is 'pending', 'fulfilled', 'rejected', or 'unknown' if we can't tell if it was fulfilled or rejected
+	promise._promiseState = 'pending';
+	promise._promiseValue = undefined;
+	promise._promiseReactions = [];
+	promise._promiseIsHandled = false;
+	return promise;
+}
 
-		env.setMutableBinding(fn, fo, strict);
-	}
+/**
+ * Settles a promise, triggering its reactions. Settling a promise that has already been settled does nothing. Promises
+ * that are settled into the 'unknown' state are given an unknown value, and trigger both their fulfill and reject
+ * handlers.
+ *
+ * @private
+ * @param {module:Base.ObjectType} promise The promise to settle
+ * @param {String} state The new state of the promise, one of 'fulfilled', 'rejected', or 'unknown'
+ * @param {module:Base.BaseType} [value] The fulfillment value or rejection reason
+ * @see ECMA-262 6th Edition Chapters 25.4.1.4 and 25.4.1.7
+ */
+function settlePromise(promise, state, value) {
+	var reactions = promise._promiseReactions,
+		i, len;
 
-	// Find all of the variable declarations and bind them
-	for (i = 0, len = variables.length; i < len; i++) {
-		dn = variables[i].variableName,
-		varAlreadyDeclared = env.hasBinding(dn);
+	if (promise._promiseState !== 'pending') {
+		return;
+	}
 
-		if (!varAlreadyDeclared) {
-			env.createMutableBinding(dn, configurableBindings);
-			env.setMutableBinding(dn, new UndefinedType(), strict);
-		}
+	recordStateChange(promise, 'promise', '_promise');
+	promise._promiseState = state;
+	promise._promiseValue = state === 'unknown' ? new UnknownType() : value || new UndefinedType();
+	promise._promiseReactions = [];
+	for (i = 0, len = reactions.length; i < len; i++) {
+		triggerPromiseReaction(promise, reactions[i]);
 	}
 
-	// Return the context
-	return executionContext;
+	// If nothing has handled the rejection by the time the queued jobs are run, then it is reported
+	if (state === 'rejected' && !promise._promiseIsHandled) {
+		promise._promiseRejectionLocation = copyCurrentLocation();
+		enqueuePromiseJob(function () {
+			reportUnhandledRejection(promise);
+		});
+	}
 }
 
 /**
- * Creates an eval context
+ * Resolves a promise with a value. If the value is a promise or thenable, the promise adopts its state.
  *
- * @method
- * @name module:Base.createEvalContext
- * @param {module:Base.ExecutionContext|undefined} callingContext The context that is evaling code
- * @param {module:AST.node} code The code associated with this eval context
- * @returns {module:Base.ExecutionContext} The new eval execution context
- * @see ECMA-262 Spec Chapter 10.4.2 and Chapter 10.5
+ * @private
+ * @param {module:Base.ObjectType} promise The promise to resolve
+ * @param {module:Base.BaseType} resolution The value to resolve the promise with
+ * @see ECMA-262 6th Edition Chapter 25.4.1.3.2
  */
-exports.createEvalContext = createEvalContext;
-function createEvalContext(callingContext, code, strict, isDirectEval) {
+function resolvePromise(promise, resolution) {
 
-	var executionContext,
-		env,
-		configurableBindings = true,
-		len, i,
-		result,
-		functions,
-		variables,
-		fn,
-		fo,
-		funcAlreadyDeclared,
-		existingProp,
-		descriptor,
-		dn,
-		varAlreadyDeclared;
+	// Variable declarations
+	var then;
 
-	// Create or set the execution context
-	if (!callingContext || !isDirectEval) {
-		callingContext = getModuleContext();
+	// Step 6
+	if (resolution === promise) {
+		settlePromise(promise, 'rejected', createNativeException('TypeError', 'Chaining cycle detected for promise'));
+		return;
 	}
-	executionContext = new ExecutionContext(
-		callingContext.lexicalEnvironment,
-		callingContext.variableEnvironment,
-		callingContext.thisBinding,
-		callingContext.strict || strict
-	);
-	enterContext(executionContext);
 
-	// Create the inner lexical environment if this is strict mode code
-	if (executionContext.strict) {
-		executionContext.variableEnvironment = executionContext.lexicalEnvironment =
-			newDeclarativeEnvironment(executionContext.lexicalEnvironment);
+	// An unknown value may or may not be a thenable, so we can't know what state the promise ends up in
+	if (type(resolution) === 'Unknown') {
+		settlePromise(promise, 'unknown');
+		return;
 	}
 
-	// Bind the function and variable declarations to the global context
-	env = executionContext.variableEnvironment.envRec;
-	result = findDeclarations(code, executionContext);
-	functions = result.functions;
-	variables = result.variables;
-
-	// Find all of the function declarations and bind them
-	for (i = 0, len = functions.length; i < len; i++) {
-		fn = functions[i].name.name;
-		fo = functions[i]._funcObject = processFunctionDefinition(functions[i]);
-		funcAlreadyDeclared = env.hasBinding(fn);
-
-		if (!funcAlreadyDeclared) {
-			env.createMutableBinding(fn, configurableBindings);
-		} else if (env === getGlobalContext().variableEnvironment.envRec) {
-			existingProp = globalObject.getProperty(fn);
-			if (existingProp.configurable) {
-				descriptor = new DataPropertyDescriptor();
-				descriptor.writable = true;
-				descriptor.enumerable = true;
-				descriptor.configurable = configurableBindings;
-				globalObject.defineOwnProperty(fn, descriptor, true);
-			} else if (isAccessorDescriptor(existingProp) || (existingProp.writable !== true &&
-					existingProp.enumerable !== true)) {
-				throwNativeException('TypeError', fn +
-					' is not a valid identifier name because a non-writable identifier with that name already exists');
+	// Our own promises are adopted directly
+	if (isPromise(resolution)) {
+		addPromiseReaction(resolution, {
+			callback: function (state, value) {
+				settlePromise(promise, state, value);
 			}
-		}
-
-		env.setMutableBinding(fn, fo, executionContext.strict);
+		});
+		return;
 	}
 
-	// Find all of the variable declarations and bind them
-	for (i = 0, len = variables.length; i < len; i++) {
-		dn = variables[i].variableName;
-		varAlreadyDeclared = env.hasBinding(dn);
-
-		if (!varAlreadyDeclared) {
-			env.createMutableBinding(dn, configurableBindings);
-			env.setMutableBinding(dn, new UndefinedType(), executionContext.strict);
+	// Steps 7-12
+	if (type(resolution) === 'Object' && resolution.hasProperty('then')) {
+		then = resolution.get('then');
+		if (type(then) === 'Unknown') {
+			settlePromise(promise, 'unknown');
+			return;
+		}
+		if (isCallable(then)) {
+			enqueuePromiseJob(function () {
+				var resolvingFunctions = createResolvingFunctions(promise);
+				try {
+					then.callFunction(resolution, [resolvingFunctions.resolve, resolvingFunctions.reject], {
+						isAmbiguousContext: true
+					});
+				} catch (e) {
+					if (!e.isCodeProcessorException) {
+						throw e;
+					}
+					resolvingFunctions.reject.callFunction(new UndefinedType(), [Runtime._exception]);
+					Runtime._exception = undefined;
+				}
+			});
+			return;
 		}
 	}
 
-	return executionContext;
+	// Step 13
+	settlePromise(promise, 'fulfilled', resolution);
 }
 
 /**
- * Gets the global object
+ * Converts a value to a promise, leaving promises as is
  *
- * @method
- * @name module:Runtime.getGlobalObject
- * @returns {module:Base.ObjectType} The global object
+ * @private
+ * @param {module:Base.BaseType} value The value to convert
+ * @returns {module:Base.ObjectType} The promise
+ * @see ECMA-262 6th Edition Chapter 25.4.4.5
  */
-exports.getGlobalObject = getGlobalObject;
-function getGlobalObject() {
-	return globalObject;
+function promiseResolve(value) {
+	var promise;
+	if (isPromise(value)) {
+		return value;
+	}
+	promise = createPromise();
+	resolvePromise(promise, value);
+	return promise;
 }
 
 /**
- * Enters an ambiguous block in the current context
+ * Adds a reaction to a promise, triggering it immediately if the promise has already been settled. Reactions with a
+ * 'callback' are internal reactions that are invoked synchronously with the state and value of the promise. All other
+ * reactions contain the derived 'promise', the 'onFulfilled' and 'onRejected' handlers, and the 'location' the reaction
+ * was registered from, and are run as promise jobs.
  *
- * @method
- * @name module:Base.enterAmbiguousBlock
- */
-exports.enterAmbiguousBlock = enterAmbiguousBlock;
-function enterAmbiguousBlock() {
-	getCurrentContext()._ambiguousBlock++;
+ * @private
+ * @param {module:Base.ObjectType} promise The promise to add the reaction to
+ * @param {Object} reaction The reaction to add
+ */
+function addPromiseReaction(promise, reaction) {
+	recordStateChange(promise, 'promise', '_promise');
+	promise._promiseIsHandled = true;
+	if (promise._promiseState === 'pending') {
+		promise._promiseReactions.push(reaction);
+	} else {
+		triggerPromiseReaction(promise, reaction);
+	}
 }
 
 /**
- * Exits an ambiguous block in the current context
+ * Triggers a reaction on a settled promise
  *
- * @method
- * @name module:Base.exitAmbiguousBlock
- */
-exports.exitAmbiguousBlock = exitAmbiguousBlock;
-function exitAmbiguousBlock() {
-	getCurrentContext()._ambiguousBlock--;
+ * @private
+ * @param {module:Base.ObjectType} promise The settled promise
+ * @param {Object} reaction The reaction to trigger
+ * @see ECMA-262 6th Edition Chapter 25.4.1.8
+ */
+function triggerPromiseReaction(promise, reaction) {
+	var state = promise._promiseState,
+		value = promise._promiseValue;
+	if (reaction.callback) {
+		reaction.callback(state, value);
+	} else {
+		enqueuePromiseJob(function () {
+			runPromiseReaction(reaction, state, value);
+		});
+	}
 }
 
 /**
- * Checks if the current block in the current context is ambiguous
+ * Checks if a handler should be run. Each handler is only run once per location that it was registered from, which
+ * mirrors the loop protection in Runtime.queueFunction and keeps recursive promise chains from running forever.
  *
- * @method
- * @name module:Base.isAmbiguousBlock
- */
-exports.isAmbiguousBlock = isAmbiguousBlock;
-function isAmbiguousBlock() {
-	return !!getCurrentContext()._ambiguousBlock;
+ * @private
+ * @param {module:Base.FunctionTypeBase} handler The handler to check
+ * @param {Object} location The location the handler was registered from
+ * @returns {Boolean} Whether or not the handler should be run
+ */
+function shouldRunPromiseHandler(handler, location) {
+	var key = handler._ast || handler,
+		locations = promiseJobQueue.processedHandlers.get(key),
+		locationKey = location.filename + ':' + location.line + ':' + location.column;
+	if (!locations) {
+		promiseJobQueue.processedHandlers.set(key, locations = {});
+	}
+	if (locations[locationKey]) {
+		return false;
+	}
+	locations[locationKey] = true;
+	return true;
 }
 
 /**
- * Enters a skipped mode
+ * Runs a promise reaction, settling the derived promise with the result. If the state of the settled promise is
+ * unknown, both handlers are run and the derived promise is settled into the unknown state.
  *
- * @method
- */
-exports.enterSkippedMode = enterSkippedMode;
-function enterSkippedMode() {
-	/*var i, len;
-	if (!skippedModeCounter) {
-		skippedContextStack = [];
-		for (i = 0, len = contextStack.length; i < len; i++) {
-			skippedContextStack[i] = cloneContext(contextStack[i]);
+ * @private
+ * @param {Object} reaction The reaction to run
+ * @param {String} state The state of the settled promise
+ * @param {module:Base.BaseType} value The value of the settled promise
+ * @see ECMA-262 6th Edition Chapter 25.4.2.1
+ */
+function runPromiseReaction(reaction, state, value) {
+	var location = reaction.location,
+		handlers,
+		handler,
+		result,
+		i, len;
+
+	switch (state) {
+		case 'fulfilled':
+			handlers = [reaction.onFulfilled];
+			break;
+		case 'rejected':
+			handlers = [reaction.onRejected];
+			break;
+		default:
+			handlers = [reaction.onFulfilled, reaction.onRejected];
+	}
+
+	Runtime.setCurrentLocation(location.filename, location.line, location.column);
+	try {
+		for (i = 0, len = handlers.length; i < len; i++) {
+			handler = handlers[i];
+			if (!handler) {
+				continue;
+			}
+			if (!shouldRunPromiseHandler(handler, location)) {
+				state = 'unknown';
+				continue;
+			}
+			try {
+				result = ['normal', handler.callFunction(new UndefinedType(), [value], {
+					isAmbiguousContext: true
+				})];
+			} catch (e) {
+				if (!e.isCodeProcessorException) {
+					throw e;
+				}
+				result = ['throw', Runtime._exception];
+				Runtime._exception = undefined;
+			}
 		}
+
+		// Settle the derived promise, passing through the state and value if there was no handler
+		if (state === 'unknown') {
+			settlePromise(reaction.promise, 'unknown');
+		} else if (!result) {
+			settlePromise(reaction.promise, state, value);
+		} else if (result[0] === 'throw') {
+			settlePromise(reaction.promise, 'rejected', result[1]);
+		} else {
+			resolvePromise(reaction.promise, result[1]);
+		}
+	} finally {
+		Runtime.exitCurrentLocation();
 	}
-	skippedModeCounter++;*/
 }
 
 /**
- * Exits a skipped block
+ * Reports a rejected promise that was never handled
  *
- * @method
+ * @private
+ * @param {module:Base.ObjectType} promise The rejected promise
  */
-exports.exitSkippedMode = exitSkippedMode;
-function exitSkippedMode() {
-	skippedModeCounter--;
+function reportUnhandledRejection(promise) {
+	var location = promise._promiseRejectionLocation,
+		reason = promise._promiseValue,
+		message = reason;
+
+	if (promise._promiseIsHandled) {
+		return;
+	}
+
+	if (type(reason) === 'Object') {
+		message = reason._lookupProperty('message');
+		message = message && message.value;
+	}
+	if (type(message) === 'String') {
+		message = message.value;
+	} else if (!message || type(message) === 'Unknown' || type(message) === 'Object') {
+		message = '<unknown>';
+	} else {
+		message = toString(message).value;
+	}
+
+	Runtime.setCurrentLocation(location.filename, location.line, location.column);
+	Runtime.reportError('unhandledRejection', message);
+	Runtime.exitCurrentLocation();
 }
 
 /**
- * Checks if we are skipped block
+ * Promise resolve function, as passed to promise executors
  *
- * @method
+ * @private
+ * @see ECMA-262 6th Edition Chapter 25.4.1.3.2
  */
-exports.isSkippedMode = isSkippedMode;
-function isSkippedMode() {
-	return !!skippedModeCounter;
+function PromiseResolveFunctionFunc(promise, alreadyResolved, className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+	this._promise = promise;
+	this._alreadyResolved = alreadyResolved;
 }
+util.inherits(PromiseResolveFunctionFunc, FunctionTypeBase);
+PromiseResolveFunctionFunc.instantiateClone = function instantiateClone(source) {
+	return new PromiseResolveFunctionFunc(source._promise, source._alreadyResolved, source.className);
+};
+PromiseResolveFunctionFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Steps 1-5
+	if (this._alreadyResolved.value) {
+		return new UndefinedType();
+	}
+	this._alreadyResolved.value = true;
+
+	// If we don't know whether or not this code runs, then we don't know what state the promise ends up in
+	if (isCallerInAmbiguousBlock()) {
+		settlePromise(this._promise, 'unknown');
+	} else {
+		resolvePromise(this._promise, args[0] || new UndefinedType());
+	}
+	return new UndefinedType();
+});
 
 /**
- * Enters the current try catch block
+ * Promise reject function, as passed to promise executors
  *
- * @method
- * @name module:Base.enterTryCatch
+ * @private
+ * @see ECMA-262 6th Edition Chapter 25.4.1.3.1
  */
-exports.enterTryCatch = enterTryCatch;
-function enterTryCatch() {
-	tryCatch++;
+function PromiseRejectFunctionFunc(promise, alreadyResolved, className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+	this._promise = promise;
+	this._alreadyResolved = alreadyResolved;
 }
+util.inherits(PromiseRejectFunctionFunc, FunctionTypeBase);
+PromiseRejectFunctionFunc.instantiateClone = function instantiateClone(source) {
+	return new PromiseRejectFunctionFunc(source._promise, source._alreadyResolved, source.className);
+};
+PromiseRejectFunctionFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Steps 1-5
+	if (this._alreadyResolved.value) {
+		return new UndefinedType();
+	}
+	this._alreadyResolved.value = true;
+
+	// If we don't know whether or not this code runs, then we don't know what state the promise ends up in
+	if (isCallerInAmbiguousBlock()) {
+		settlePromise(this._promise, 'unknown');
+	} else {
+		settlePromise(this._promise, 'rejected', args[0]);
+	}
+	return new UndefinedType();
+});
 
 /**
- * Exits the current try catch block
+ * Creates the resolve and reject functions for a promise
  *
- * @method
- * @name module:Base.exitTryCatch
+ * @private
+ * @param {module:Base.ObjectType} promise The promise to create the resolving functions for
+ * @returns {Object} The 'resolve' and 'reject' functions
+ * @see ECMA-262 6th Edition Chapter 25.4.1.3
  */
-exports.exitTryCatch = exitTryCatch;
-function exitTryCatch() {
-	tryCatch--;
+function createResolvingFunctions(promise) {
+	var alreadyResolved = {
+		value: false
+	};
+	return {
+		resolve: new PromiseResolveFunctionFunc(promise, alreadyResolved),
+		reject: new PromiseRejectFunctionFunc(promise, alreadyResolved)
+	};
 }
 
 /**
- * Checks if we are currently in a try-catch block
+ * Registers fulfill and reject handlers on a promise
  *
- * @method
- * @name module:Base.inTryCatch
- */
-exports.inTryCatch = inTryCatch;
-function inTryCatch() {
-	return !!tryCatch;
+ * @private
+ * @param {module:Base.ObjectType} promise The promise to register the handlers on
+ * @param {module:Base.BaseType} onFulfilled The fulfill handler
+ * @param {module:Base.BaseType} onRejected The reject handler
+ * @returns {module:Base.ObjectType} The derived promise
+ * @see ECMA-262 6th Edition Chapter 25.4.5.3.1
+ */
+function performPromiseThen(promise, onFulfilled, onRejected) {
+	var derivedPromise = createPromise();
+
+	// If we don't know what the handlers are, then we don't know what they will do
+	if (type(onFulfilled) === 'Unknown' || type(onRejected) === 'Unknown') {
+		recordStateChange(promise, 'promise', '_promise');
+		promise._promiseIsHandled = true;
+		settlePromise(derivedPromise, 'unknown');
+		return derivedPromise;
+	}
+
+	addPromiseReaction(promise, {
+		promise: derivedPromise,
+		onFulfilled: isCallable(onFulfilled) ? onFulfilled : undefined,
+		onRejected: isCallable(onRejected) ? onRejected : undefined,
+		location: copyCurrentLocation()
+	});
+	return derivedPromise;
 }
 
+/*****************************************
+ *
+ * Promise Constructor
+ *
+ *****************************************/
+
 /**
- * Gets the current execution context
+ * resolve() prototype method
  *
- * @method
- * @name module:Base.getCurrentContext
- * @returns {module:Base.ExecutionContext} The current execution context
+ * @private
+ * @see ECMA-262 6th Edition Chapter 25.4.4.5
  */
-exports.getCurrentContext = getCurrentContext;
-function getCurrentContext() {
-	return contextStack[contextStack.length - 1];
+function PromiseResolveFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
 }
+util.inherits(PromiseResolveFunc, FunctionTypeBase);
+PromiseResolveFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+	return promiseResolve(args[0] || new UndefinedType());
+});
 
 /**
- * Enters the given file, from a runtime perspective, i.e. if file a requires file b and calls foo in b from a, then the
- * current file becomes b, even though a is the current file being processed
+ * reject() prototype method
  *
- * @method
- * @name module:Base.enterContext
- * @param {String} file The name of the file to enter
+ * @private
+ * @see ECMA-262 6th Edition Chapter 25.4.4.4
  */
-exports.enterContext = enterContext;
-function enterContext(context) {
-	Runtime.log('trace', 'Entering new context');
-	contextStack.push(context);
-	if (context.isFunctionContext) {
-		functionContextCount++;
-	}
+function PromiseRejectFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
 }
+util.inherits(PromiseRejectFunc, FunctionTypeBase);
+PromiseRejectFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+	var promise = createPromise();
+	settlePromise(promise, 'rejected', args[0]);
+	return promise;
+});
 
 /**
- * Exits the current file, from a runtime perspective
+ * all() prototype method
  *
- * @method
- * @name module:Base.exitContext
+ * @private
+ * @see ECMA-262 6th Edition Chapter 25.4.4.1
  */
-exports.exitContext = exitContext;
-function exitContext() {
-	Runtime.log('trace', 'Exiting context');
-	var context = contextStack.pop();
-	if (context.isFunctionContext) {
-		functionContextCount--;
-	}
-	return context;
+function PromiseAllFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
 }
+util.inherits(PromiseAllFunc, FunctionTypeBase);
+PromiseAllFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-/**
- * Returns whether or not we are in a function context (i.e. not in global scope)
- *
- * @method
- * @name module:Base.inFunctionContext
- * @returns {Boolean} Whether or not we are in a function context
- */
-exports.inFunctionContext = inFunctionContext;
-function inFunctionContext() {
-	return !!functionContextCount;
-}
+	// Variable declarations
+	var promise = createPromise(),
+		values = iterableToList(args[0] || new UndefinedType()),
+		results = [],
+		remainingElements;
+
+	// If we don't know what we're iterating over, we don't know what the result is
+	if (!values) {
+		settlePromise(promise, 'unknown');
+		return promise;
+	}
+
+	// Steps 1-6 of 25.4.4.1.1
+	remainingElements = values.length;
+	if (!remainingElements) {
+		settlePromise(promise, 'fulfilled', createArrayFromList(results));
+		return promise;
+	}
+	values.forEach(function (value, index) {
+		addPromiseReaction(promiseResolve(value), {
+			callback: function (state, value) {
+				if (state === 'fulfilled') {
+					results[index] = value;
+					if (--remainingElements === 0) {
+						settlePromise(promise, 'fulfilled', createArrayFromList(results));
+					}
+				} else {
+					settlePromise(promise, state, value);
+				}
+			}
+		});
+	});
 
-/**
- * Gets the global execution context
- *
- * @method
- * @name module:Base.getGlobalContext
- * @returns {module:Base.ExecutionContext} The global execution context
- */
-exports.getGlobalContext = getGlobalContext;
-function getGlobalContext() {
-	return contextStack[0];
-}
+	// Step 7
+	return promise;
+});
 
 /**
- * Gets the module object of the current module context (i.e. the 'global' object associated with this module)
+ * race() prototype method
  *
- * @method
- * @name module:Base.getModuleContext
- * @returns {module:Base.ObjectType} The module object
+ * @private
+ * @see ECMA-262 6th Edition Chapter 25.4.4.3
  */
-exports.getModuleContext = getModuleContext;
-function getModuleContext() {
-	return contextStack[1] || contextStack[0];
+function PromiseRaceFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
 }
+util.inherits(PromiseRaceFunc, FunctionTypeBase);
+PromiseRaceFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-Object.defineProperty(exports, 'globalObject', {
-	get: function () {},
-	enumerable: true,
-	configurable: true
+	// Variable declarations
+	var promise = createPromise(),
+		values = iterableToList(args[0] || new UndefinedType());
+
+	// If we don't know what we're iterating over, we don't know what the result is
+	if (!values) {
+		settlePromise(promise, 'unknown');
+		return promise;
+	}
+
+	// Steps 1-5 of 25.4.4.3.1. The first promise to settle wins, since settling a settled promise does nothing
+	values.forEach(function (value) {
+		addPromiseReaction(promiseResolve(value), {
+			callback: function (state, value) {
+				settlePromise(promise, state, value);
+			}
+		});
+	});
+
+	// Step 6
+	return promise;
 });
 
 /**
- * ECMA-262 Spec: <em>When control enters an execution context for function code, an arguments object is created unless
- * (as specified in 10.5) the identifier arguments occurs as an Identifier in the function‘s FormalParameterList or
- * occurs as the Identifier of a VariableDeclaration or FunctionDeclaration contained in the function code.</em>
+ * Promise constructor function
  *
- * @method
- * @name module:Base.createArgumentsObject
- * @param {module:Base.FunctionType} func ECMA-262 Spec: <em>the function object whose code is to be evaluated</em>
- * @param {Array[String]} names ECMA-262 Spec: <em>a List containing the function‘s formal parameter names</em>
- * @param {Array[{@link module:Base.BaseType}]} args ECMA-262 Spec: <em>the actual arguments passed to the [[call]] internal method</em>
- * @param {module:Base.LexicalEnvironment} env ECMA-262 Spec: <em>the variable environment for the function code</em>
- * @param {Boolean} strict ECMA-262 Spec: <em>a Boolean that indicates whether or not the function code is strict code</em>
- * @returns {module:Base.ObjectType} The arguments object
- * @see ECMA-262 Spec Chapter 10.4.2 and Chapter 10.6
- * @name module:Base.createArgumentsObject
+ * @private
+ * @see ECMA-262 6th Edition Chapter 25.4.3
  */
-function createArgumentsObject(func, names, args, env, strict) {
-	var len = args.length,
-		obj = new ObjectType(),
-		map = new ObjectType(),
-		mappedNames = [],
-		indx = len - 1,
-		val,
-		name;
+function PromiseConstructor(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
 
-	obj.className = 'Arguments';
-	obj.defineOwnProperty('length', {
-		value: new NumberType(len),
-		writable: true,
-		enumerable: false,
-		configurable: true
+	this.defineOwnProperty('prototype', {
+		value: prototypes.Promise
 	}, false, true);
-	obj._func = func;
-	obj._names = names;
-	obj._args = args;
-	obj._env = env;
-	obj._strict = strict;
 
-	while (indx >= 0) {
-		val = args[indx];
-		obj.defineOwnProperty(indx, {
-			value: val,
-			writable: true,
-			enumerable: true,
-			configurable: true
-		}, false, true);
-		if (indx < names.length) {
-			name = names[indx];
-			if (!strict && !bindingExists(mappedNames, name)) {
-				mappedNames.push(name);
-				map.defineOwnProperty(indx, {
-					// Note: we have to do this crazy parse since returns aren't allowedin global scope
-					get: new FunctionType([], AST.parseString('function temp () { return ' + name + '; }').body[0], env, true),
-					set: new FunctionType([name + '_arg'], AST.parseString(name + ' = ' + name + '_arg;'), env, true),
-					configurable: true
-				}, false, true);
-			}
-		}
-		indx--;
-	}
+	addNonEnumerableProperty(this, 'resolve', new PromiseResolveFunc());
+	addNonEnumerableProperty(this, 'reject', new PromiseRejectFunc());
+	addNonEnumerableProperty(this, 'all', new PromiseAllFunc());
+	addNonEnumerableProperty(this, 'race', new PromiseRaceFunc());
+}
+util.inherits(PromiseConstructor, FunctionTypeBase);
+PromiseConstructor.prototype.callFunction = wrapNativeCall(function callFunction() {
+	handleRecoverableNativeException('TypeError', 'Constructor Promise requires \'new\'');
+	return new UnknownType();
+});
+PromiseConstructor.prototype.construct = wrapNativeCall(function construct(args) {
 
-	if (mappedNames.length) {
-		obj.parameterMap = map;
+	// Variable declarations
+	var executor = args[0],
+		promise,
+		resolvingFunctions;
 
-		obj.get = function get(p) {
-			var isMapped = map.getOwnProperty(p),
-				v;
-			if (isMapped) {
-				return map.get(p);
-			} else {
-				v = ObjectType.prototype.get.call(obj, p);
-				if (p === 'callee' && v.className === 'Function' && v.strict) {
-					throwNativeException('TypeError', 'Invalid identifier ' + p);
-				}
-				return v;
-			}
-		};
+	// Validate the parameters
+	if (type(executor) === 'Unknown') {
+		return new UnknownType();
+	}
 
-		obj.getOwnProperty = function getOwnProperty(p, suppressEvent) {
-			var desc = ObjectType.prototype.getOwnProperty.call(obj, p, suppressEvent),
-				isMapped;
+	// Step 3
+	if (!isCallable(executor)) {
+		handleRecoverableNativeException('TypeError', 'Promise resolver is not a function');
+		return new UnknownType();
+	}
 
-			if (!desc) {
-				return;
-			}
+	// Steps 4-8
+	promise = createPromise();
+	resolvingFunctions = createResolvingFunctions(promise);
 
-			isMapped = map.getOwnProperty(p);
-			if (isMapped) {
-				desc.value = map.get(p);
-			}
-			return desc;
-		};
+	// Steps 9 and 10. The executor is run immediately, and an exception thrown from it rejects the promise
+	try {
+		executor.callFunction(new UndefinedType(), [resolvingFunctions.resolve, resolvingFunctions.reject]);
+	} catch (e) {
+		if (!e.isCodeProcessorException) {
+			throw e;
+		}
+		resolvingFunctions.reject.callFunction(new UndefinedType(), [Runtime._exception]);
+		Runtime._exception = undefined;
+	}
 
-		obj.defineOwnProperty = function defineOwnProperty(p, desc, throwFlag, suppressEvent) {
-			var isMapped = map.getOwnProperty(p, suppressEvent),
-				allowed = ObjectType.prototype.defineOwnProperty.call(obj, p, desc, throwFlag, suppressEvent);
+	// Step 11
+	return promise;
+}, true);
 
-			if (!allowed) {
-				if (throwFlag) {
-					throwNativeException('TypeError', 'Cannot define property ' + p);
-				}
-				return false;
-			}
 
-			if (isMapped) {
-				if (isAccessorDescriptor(desc)) {
-					map['delete'](p, false);
-				} else {
-					if (desc.value) {
-						map.put(p, desc.value, throwFlag, true);
-					}
-					if (desc.writable === false) {
-						map['delete'](p, false);
-					}
-				}
-			}
-		};
+/*global
+type,
+recordStateRead,
+UnknownType,
+createTypedUnknown,
+BooleanType,
+NumberType,
+StringType,
+ObjectType,
+ArrayType,
+UndefinedType,
+prototypes,
+handleRecoverableNativeException,
+throwNativeException,
+isType,
+isDefined,
+isDataDescriptor
+*/
 
-		obj['delete'] = function (p, throwFlag) {
-			var isMapped = map.getOwnProperty(p),
-				result = ObjectType.prototype['delete'].call(obj, p, throwFlag);
-			if (result && isMapped) {
-				map['delete'](p, false);
-			}
-			return result;
-		};
-	}
+/*****************************************
+ *
+ * Type Conversion
+ *
+ *****************************************/
 
-	if (strict) {
-		obj.defineOwnProperty('caller', {
-			get: throwTypeError,
-			set: throwTypeError,
-			enumerable: false,
-			configurable: false
-		}, false, true);
-		obj.defineOwnProperty('callee', {
-			get: throwTypeError,
-			set: throwTypeError,
-			enumerable: false,
-			configurable: false
-		}, false, true);
-	} else {
-		obj.defineOwnProperty('callee', {
-			value: func,
-			writable: true,
-			enumerable: false,
-			configurable: true
-		}, false, true);
+/**
+ * ECMA-262 Spec: <em>The abstract operation ToPrimitive takes an input argument and an optional argument PreferredType.
+ * The abstract operation ToPrimitive converts its input argument to a non-Object type. If an object is capable of
+ * converting to more than one primitive type, it may use the optional hint PreferredType to favour that type.</em>
+ *
+ * @method
+ * @name module:Base.toPrimitive
+ * @param {module:Base.BaseType} input The value to convert
+ * @param {String} preferredType The preferred type to convert to
+ * @returns {{@link module:Base.BaseType}} The converted value
+ * @see ECMA-262 Spec Chapter 9.1
+ */
+exports.toPrimitive = toPrimitive;
+function toPrimitive(input, preferredType) {
+	input = input || new UndefinedType();
+	switch(type(input)) {
+		case 'Object':
+			return input.defaultValue(preferredType);
+		case 'Unknown':
+			return createTypedUnknown(input.typeInfo && input.typeInfo.type !== 'Object' ? input.typeInfo : undefined, input);
+		default:
+			return input;
 	}
-
-	return obj;
 }
 
 /**
- * Creates a function context
+ * ECMA-262 Spec: <em>The abstract operation ToBoolean converts its argument to a value of type Boolean</em>
  *
  * @method
- * @name module:Base.createFunctionContext
- * @param {module:Base.ObjectType} functionObject The function object of the context to be created.
- * @param {module:Base.ObjectType} thisArg The object to bind the this pointer to
- * @param {Array} argumentsList The list of function arguments
- * @returns {module:Base.ExecutionContext} The new global execution context
- * @see ECMA-262 Spec Chapter 10.4.3 and Chapter 10.5
- */
-exports.createFunctionContext = createFunctionContext;
-function createFunctionContext(functionObject, thisArg, argumentsList, scope) {
-
-	// Create the context
-	var env = newDeclarativeEnvironment(scope || functionObject.scope),
-		configurableBindings = false,
-		strict = functionObject.strict,
-		executionContext,
-		len, i,
-		arg, argName,
-		functions, variables, result,
-		thisArgType = type(thisArg),
-		thisBinding,
-		fn,
-		fo,
-		funcAlreadyDeclared,
-		existingProp,
-		descriptor,
-		argsObj,
-		dn,
-		varAlreadyDeclared;
-
-	// Create the this binding
-	if (functionObject.strict) {
-		thisBinding = thisArg;
-	} else if (thisArgType === 'Null' || thisArgType === 'Undefined') {
-		thisBinding = getGlobalContext().thisBinding;
-	} else if (thisArgType !== 'Object') {
-		thisBinding = toObject(thisArg);
-	} else {
-		thisBinding = thisArg;
-	}
-
-	// Create the execution context and find declarations inside of it
-	executionContext = new ExecutionContext(env, env, thisBinding, strict);
-	executionContext.isFunctionContext = true;
-	enterContext(executionContext);
-	env = executionContext.variableEnvironment.envRec;
-	result = findDeclarations(AST.createBodyContainer(functionObject.code), executionContext);
-	functions = result.functions;
-	variables = result.variables;
-
-	// Initialize the arguments
-	for (i = 0, len = functionObject.formalParameters.length; i < len; i++) {
-		arg = argumentsList[i];
-		argName = functionObject.formalParameters[i];
-		if (!arg) {
-			arg = new UndefinedType();
-		}
-		if (!env.hasBinding(argName)) {
-			env.createMutableBinding(argName);
-		}
-		env.setMutableBinding(argName, arg, strict);
+ * @name module:Base.toBoolean
+ * @param {module:Base.BaseType} input The value to convert
+ * @returns {{@link module:Base.BooleanType}} The converted value
+ * @see ECMA-262 Spec Chapter 9.2
+ */
+exports.toBoolean = toBoolean;
+function toBoolean(input) {
+	var newBoolean = new BooleanType();
+	input = input || new UndefinedType();
+	switch (type(input)) {
+		case 'Undefined':
+			newBoolean.value = false;
+			break;
+		case 'Null':
+			newBoolean.value = false;
+			break;
+		case 'Boolean':
+			newBoolean.value = input.value;
+			break;
+		case 'Number':
+			newBoolean.value = !!input.value;
+			break;
+		case 'String':
+			newBoolean.value = !!input.value;
+			break;
+		case 'Object':
+			newBoolean.value = true;
+			break;
+		case 'Unknown':
+			return createTypedUnknown({ type: 'Boolean' }, input);
 	}
+	return newBoolean;
+}
 
-	// Find all of the function declarations and bind them
-	for (i = 0, len = functions.length; i < len; i++) {
-		fn = functions[i].name.name;
-		fo = functions[i]._funcObject = processFunctionDefinition(functions[i]);
-		funcAlreadyDeclared = env.hasBinding(fn);
-
-		if (!funcAlreadyDeclared) {
-			env.createMutableBinding(fn, configurableBindings);
-		} else if (env === getGlobalContext().variableEnvironment.envRec) {
-			existingProp = globalObject.getProperty(fn);
-			if (existingProp.configurable) {
-				descriptor = new DataPropertyDescriptor();
-				descriptor.writable = true;
-				descriptor.enumerable = true;
-				descriptor.configurable = configurableBindings;
-				globalObject.defineOwnProperty(fn, descriptor, true);
-			} else if (isAccessorDescriptor(existingProp) || (existingProp.writable !== true &&
-					existingProp.enumerable !== true)) {
-				throwNativeException('TypeError', fn +
-					' is not a valid identifier name because a non-writable identifier with that name already exists');
+/**
+ * ECMA-262 Spec: <em>The abstract operation ToNumber converts its argument to a value of type Number</em>
+ *
+ * @method
+ * @name module:Base.toNumber
+ * @param {module:Base.BaseType} input The value to convert
+ * @returns {{@link module:Base.NumberType}} The converted value
+ * @see ECMA-262 Spec Chapter 9.3
+ */
+exports.toNumber = toNumber;
+function toNumber(input) {
+	var newNumber = new NumberType();
+	input = input || new UndefinedType();
+	switch (type(input)) {
+		case 'Undefined':
+			newNumber.value = NaN;
+			break;
+		case 'Null':
+			newNumber.value = 0;
+			break;
+		case 'Boolean':
+			newNumber.value = input.value ? 1 : 0;
+			break;
+		case 'Number':
+			newNumber.value = input.value;
+			break;
+		case 'String':
+			newNumber.value = +input.value;
+			break;
+		case 'Object':
+			newNumber = toNumber(toPrimitive(input, 'Number'));
+			break;
+		case 'Unknown':
+			if (input.typeInfo && input.typeInfo.type === 'Number') {
+				return createTypedUnknown(input.typeInfo, input);
+			} else if (input.typeInfo && input.typeInfo.type === 'Boolean') {
+				return createTypedUnknown({ type: 'Number', min: 0, max: 1, integer: true }, input);
 			}
-		}
-
-		env.setMutableBinding(fn, fo, strict);
-	}
-
-	// Initialize the arguments variable
-	if (!env.hasBinding('arguments')) {
-		argsObj = createArgumentsObject(functionObject, functionObject.formalParameters, argumentsList, executionContext.variableEnvironment, strict);
-		if (strict) {
-			env.createImmutableBinding('arguments');
-			env.initializeImmutableBinding('arguments', argsObj);
-		} else {
-			env.createMutableBinding('arguments');
-			env.setMutableBinding('arguments', argsObj, false);
-		}
-	}
-
-	// Find all of the variable declarations and bind them
-	for (i = 0, len = variables.length; i < len; i++) {
-		dn = variables[i].variableName;
-		varAlreadyDeclared = env.hasBinding(dn);
-
-		if (!varAlreadyDeclared) {
-			env.createMutableBinding(dn, configurableBindings);
-			env.setMutableBinding(dn, new UndefinedType(), strict);
-		}
+			return createTypedUnknown({ type: 'Number' }, input);
 	}
-
-	// Return the context
-	return executionContext;
+	return newNumber;
 }
 
 /**
- * Wras a native call method and provides necessary context setup and cleanup
+ * ECMA-262 Spec: <em>The abstract operation ToInteger converts its argument to an integral numeric value.</em>
  *
  * @method
- * @returns {Function} The new function to wrap
+ * @name module:Base.toInteger
+ * @param {module:Base.BaseType} input The value to convert
+ * @returns {{@link module:Base.NumberType}} The converted value
+ * @see ECMA-262 Spec Chapter 9.4
  */
-exports.wrapNativeCall = wrapNativeCall;
-function wrapNativeCall (func, isConstructor) {
-
-	return function (thisVal) {
-
-		// Create the context
-		var env = newDeclarativeEnvironment(getCurrentContext().lexicalEnvironment),
-			executionContext = new ExecutionContext(env, env, isConstructor ? getModuleContext().thisBinding : thisVal, false),
-			result;
-
-		executionContext.isFunctionContext = true;
-		enterContext(executionContext);
-
-		try {
-			result = func.apply(this, arguments);
-		} finally {
-			exitContext();
+exports.toInteger = toInteger;
+function toInteger(input) {
+	var newNumber = toNumber(input),
+		typeInfo,
+		sign;
+	if (type(newNumber) === 'Unknown') {
+		typeInfo = newNumber.typeInfo;
+		if (typeof typeInfo.min !== 'number') {
+			return createTypedUnknown({ type: 'Number', integer: true }, newNumber);
 		}
-
-		return result;
-	};
+		return createTypedUnknown({
+			type: 'Number',
+			min: toInteger(new NumberType(typeInfo.min)).value,
+			max: toInteger(new NumberType(typeInfo.max)).value,
+			integer: true
+		}, newNumber);
+	} else if (isNaN(newNumber.value)) {
+		newNumber.value = 0;
+	} else {
+		sign = newNumber.value < 0 ? -1 : 1;
+		newNumber.value = sign * Math.floor(Math.abs(newNumber.value));
+	}
+	return newNumber;
 }
 
-/*global
-AST,
-Runtime,
-RuleProcessor,
-FunctionTypeBase,
-util,
-areAnyUnknown,
-UnknownType,
-type,
-handleRecoverableNativeException,
-createEvalContext,
-UndefinedType,
-throwNativeException,
-toString,
-toInt32,
-NumberType,
-BooleanType,
-toNumber,
-StringType,
-ObjectType,
-addReadOnlyProperty,
-addNonEnumerableProperty,
-NullType,
-ArrayType,
-isCallable,
-toInteger,
-isUndefined,
-wrapNativeCall,
-inTryCatch,
-getCurrentContext
-*/
-
-/*****************************************
- *
- * Global methods and objects
- *
- *****************************************/
-
 /**
- * eval method
+ * Creates the result of converting an unknown number to an integer in a fixed range. If the number is already known to
+ * be an integer in that range, the conversion doesn't change it and its range is kept.
  *
  * @private
- * @see ECMA-262 Spec Chapter 15.1.2.1
+ * @param {module:Base.UnknownType} value The unknown number being converted
+ * @param {Number} min The smallest integer in the range
+ * @param {Number} max The largest integer in the range
+ * @returns {module:Base.UnknownType} The converted unknown number
  */
-function EvalFunction(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(EvalFunction, FunctionTypeBase);
-EvalFunction.prototype.callFunction = function callFunction(thisVal, args, options) {
-
-	// Variable declarations
-	var x = args[0],
-		ast,
-		result,
-		filename = (options && options.filename) || Runtime.getCurrentLocation().filename;
-
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+function createIntegerRangeUnknown(value, min, max) {
+	var typeInfo = value.typeInfo;
+	if (typeInfo.integer && typeInfo.min >= min && typeInfo.max <= max) {
+		return createTypedUnknown(typeInfo, value);
 	}
+	return createTypedUnknown({ type: 'Number', min: min, max: max, integer: true }, value);
+}
 
-	// Step 1
-	if (!x) {
-		return new UndefinedType();
-	}
-	if (type(x) !== 'String') {
-		return x;
-	}
-
-	// Step 2
-	ast = AST.parseString(x.value, filename);
-	if (ast.syntaxError) {
-		if (!inTryCatch() && Runtime.options.nativeExceptionRecovery && !Runtime.options.exactMode) {
-			Runtime.reportUglifyError(ast);
-			return new UnknownType();
-		} else {
-			throwNativeException('SyntaxError', ast.message);
+/**
+ * ECMA-262 Spec: <em>The abstract operation ToInt32 converts its argument to one of 2^32 integer values in the range
+ * -2^31 through 2^31 - 1, inclusive.</em>
+ *
+ * @method
+ * @name module:Base.toInt32
+ * @param {module:Base.BaseType} input The value to convert
+ * @returns {{@link module:Base.NumberType}} The converted value
+ * @see ECMA-262 Spec Chapter 9.5
+ */
+exports.toInt32 = toInt32;
+function toInt32(input) {
+	var newNumber = toNumber(input),
+		sign;
+	if (type(newNumber) === 'Unknown') {
+		return createIntegerRangeUnknown(newNumber, -2147483648, 2147483647);
+	} else if (isNaN(newNumber.value) || newNumber.value === Infinity || newNumber.value === -Infinity) {
+		newNumber.value = 0;
+	} else {
+		sign = newNumber.value < 0 ? -1 : 1;
+		newNumber.value = sign * Math.floor(Math.abs(newNumber.value)) % Math.pow(2, 32);
+		if (newNumber.value >= Math.pow(2, 31)) {
+			newNumber.value -= Math.pow(2, 32);
 		}
 	}
+	return newNumber;
+}
 
-	// Step 3
-	createEvalContext(getCurrentContext(), ast, RuleProcessor.isBlockStrict(ast), options && options.isDirectEval);
-
-	// Step 4
-	try {
-		result = ast.processRule();
-	} finally {
-		// Step 5
-		exitContext();
+/**
+ * ECMA-262 Spec: <em>The abstract operation ToUint32 converts its argument to one of 2^32 integer values in the range 0
+ * through 2^32 - 1, inclusive.</em>
+ *
+ * @method
+ * @name module:Base.toUint32
+ * @param {module:Base.BaseType} input The value to convert
+ * @returns {{@link module:Base.NumberType}} The converted value
+ * @see ECMA-262 Spec Chapter 9.6
+ */
+exports.toUint32 = toUint32;
+function toUint32(input) {
+	var newNumber = toNumber(input),
+		sign;
+	if (type(newNumber) === 'Unknown') {
+		return createIntegerRangeUnknown(newNumber, 0, 4294967295);
+	} else if (isNaN(newNumber.value) || newNumber.value === Infinity || newNumber.value === -Infinity) {
+		newNumber.value = 0;
+	} else {
+		sign = newNumber.value < 0 ? -1 : 1;
+		newNumber.value = sign * Math.floor(Math.abs(newNumber.value)) % Math.pow(2, 32);
 	}
+	return newNumber;
+}
 
-	// Step 6
-	if (result[0] === 'normal') {
-		return result[1] ? result[1] : new UndefinedType();
+/**
+ * ECMA-262 Spec: <em>The abstract operation ToUint16 converts its argument to one of 2^16 integer values in the range 0
+ * through 2^16 - 1, inclusive.</em>
+ *
+ * @method
+ * @name module:Base.toUint16
+ * @param {module:Base.BaseType} input The value to convert
+ * @returns {{@link module:Base.NumberType}} The converted value
+ * @see ECMA-262 Spec Chapter 9.7
+ */
+exports.toUint16 = toUint16;
+function toUint16(input) {
+	var newNumber = toNumber(input),
+		sign;
+	if (type(newNumber) === 'Unknown') {
+		return createIntegerRangeUnknown(newNumber, 0, 65535);
+	} else if (isNaN(newNumber.value) || newNumber.value === Infinity || newNumber.value === -Infinity) {
+		newNumber.value = 0;
 	} else {
-		if (result[1]) {
-			if (result[1].className.match('Error$')) {
-				throwNativeException(result[1].get('name'), result[1].get('message'));
-			} else {
-				throwNativeException('Error', toString(result[1]).value);
-			}
-		} else {
-			throwNativeException('Error', 'Missing throw value');
-		}
+		sign = newNumber.value < 0 ? -1 : 1;
+		newNumber.value = sign * Math.floor(Math.abs(newNumber.value)) % Math.pow(2, 16);
 	}
-};
+	return newNumber;
+}
 
 /**
- * parseInt method
+ * ECMA-262 Spec: <em>The abstract operation ToString converts its argument to a value of type String</em>
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.1.2.2
+ * @method
+ * @name module:Base.toString
+ * @param {module:Base.BaseType} input The value to convert
+ * @returns {{@link module:Base.StringType}} The converted value
+ * @see ECMA-262 Spec Chapter 9.8
  */
-function ParseIntFunction(className) {
-	FunctionTypeBase.call(this, 2, className || 'Function');
+exports.toString = toString;
+function toString(input) {
+	var newString;
+	input = input || new UndefinedType();
+	if (type(input) === 'Unknown') {
+		newString = createTypedUnknown({ type: 'String' }, input);
+	} else if (type(input) === 'Object') {
+		newString = toString(toPrimitive(input, 'String'));
+	} else {
+		newString = new StringType();
+		newString.value = input.value + '';
+	}
+	return newString;
 }
-util.inherits(ParseIntFunction, FunctionTypeBase);
-ParseIntFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-	// Variable declarations
-	var string,
-		radix,
-		s,
-		r;
+/**
+ * ECMA-262 Spec: <em>The abstract operation ToObject converts its argument to a value of type Object</em>
+ *
+ * @method
+ * @name module:Base.toObject
+ * @param {module:Base.BaseType} input The value to convert
+ * @returns {{@link module:Base.ObjectType}} The converted value
+ * @see ECMA-262 Spec Chapter 9.9
+ */
+exports.toObject = toObject;
+function toObject(input) {
+	var newObject;
+	input = input || new UndefinedType();
+	switch (type(input)) {
+		case 'Boolean':
+			newObject = new ObjectType();
+			newObject.className = 'Boolean';
+			newObject.primitiveValue = input.value;
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
-	}
+			Object.defineProperty(newObject, 'objectPrototype', {
+				get: function () {
+					return prototypes.Boolean;
+				},
+				configurable: true
+			});
 
-	// Steps 1, 2, and 6
-	string = args[0];
-	radix = args[1];
-	s = toString(string).value.trim();
-	r = radix && type(radix) !== 'Undefined' ? toInt32(radix).value : undefined;
+			return newObject;
+		case 'Number':
+			newObject = new ObjectType();
+			newObject.className = 'Number';
+			newObject.primitiveValue = input.value;
 
-	// Use the built-in method to perform the parseInt
-	return new NumberType(parseInt(s, r));
-});
+			Object.defineProperty(newObject, 'objectPrototype', {
+				get: function () {
+					return prototypes.Number;
+				},
+				configurable: true
+			});
 
-/**
- * parseFloat method
- *
- * @private
- * @see ECMA-262 Spec Chapter 15.1.2.3
- */
-function ParseFloatFunction(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(ParseFloatFunction, FunctionTypeBase);
-ParseFloatFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+			return newObject;
+		case 'String':
+			newObject = new ObjectType();
+			newObject.className = 'String';
+			newObject.primitiveValue = input.value;
 
-	// Variable declarations
-	var string,
-		s;
+			Object.defineProperty(newObject, 'objectPrototype', {
+				get: function () {
+					return prototypes.String;
+				},
+				configurable: true
+			});
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+			// The string object shares its properties with the primitive, including the character indices
+			newObject._properties = input._properties;
+			newObject._lookupProperty = function _lookupProperty(p) {
+				return input._lookupProperty(p);
+			};
+			newObject._getPropertyNames = function _getPropertyNames() {
+				return input._getPropertyNames();
+			};
+			return newObject;
+		case 'Object':
+			return input;
+		case 'Unknown':
+			if (input.typeInfo && isType(input.typeInfo, ['Boolean', 'Number', 'String'])) {
+				return createTypedUnknown({
+					type: 'Object',
+					className: input.typeInfo.type
+				}, input);
+			}
+			return createTypedUnknown(input.typeInfo && input.typeInfo.type === 'Object' ? input.typeInfo : undefined, input);
+		default:
+			handleRecoverableNativeException('TypeError', 'Values of type ' + type(input) + ' cannot be converted to objects');
+			return new UnknownType();
 	}
+}
 
-	// Steps 1 and 2
-	string = args[0];
-	s = toString(string).value.trim();
 
-	// Use the built-in method to perform the parseFloat
-	return new NumberType(parseFloat(s));
-});
 
 /**
- * isNaN method
+ * Converts a property descriptor to a generic object.
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.1.2.4
+ * @method
+ * @name module:Base.fromPropertyDescriptor
+ * @param {module:Base.DataPropertyDescriptor|module:Base.AccessorPropertyDescriptor|Object} The property descriptor to convert
+ * @returns {{@link module:Base.UndefinedType}|{@link module:Base.ObjectType}} The converted property descriptor
+ * @see ECMA-262 Spec Chapter 8.10.4
  */
-function IsNaNFunction(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(IsNaNFunction, FunctionTypeBase);
-IsNaNFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+exports.fromPropertyDescriptor = fromPropertyDescriptor;
+function fromPropertyDescriptor(desc) {
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+	var obj = new ObjectType();
+
+	if (!desc) {
+		return new UndefinedType();
 	}
 
-	// Use the built-in method to perform the isNaN
-	return new BooleanType(isNaN(toNumber(args[0]).value));
-});
+	if (isDataDescriptor(desc)) {
 
-/**
- * isFinite method
- *
- * @private
- * @see ECMA-262 Spec Chapter 15.1.2.5
- */
-function IsFiniteFunction(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(IsFiniteFunction, FunctionTypeBase);
-IsFiniteFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+		obj.defineOwnProperty('value', {
+			value: desc.value || new UndefinedType(),
+			writable: true,
+			enumerable: true,
+			configurable: true
+		}, false, true);
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+		obj.defineOwnProperty('writable', {
+			value: new BooleanType(desc.writable),
+			writable: true,
+			enumerable: true,
+			configurable: true
+		}, false, true);
+
+	} else {
+
+		obj.defineOwnProperty('get', {
+			value: desc.get || new UndefinedType(),
+			writable: true,
+			enumerable: true,
+			configurable: true
+		}, false, true);
+
+		obj.defineOwnProperty('set', {
+			value: desc.set || new UndefinedType(),
+			writable: true,
+			enumerable: true,
+			configurable: true
+		}, false, true);
 	}
 
-	// Use the built-in method to perform the isFinite
-	return new BooleanType(isFinite(toNumber(args[0]).value));
-});
+	obj.defineOwnProperty('configurable', {
+		value: new BooleanType(desc.configurable),
+		writable: true,
+		enumerable: true,
+		configurable: true
+	}, false, true);
+
+	obj.defineOwnProperty('enumerable', {
+		value: new BooleanType(desc.enumerable),
+		writable: true,
+		enumerable: true,
+		configurable: true
+	}, false, true);
+
+	return obj;
+}
 
 /**
- * decodeURI method
+ * Converts a generic object to a property descriptor (think Object.defineProperty).
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.1.3.1
+ * @method
+ * @name module:Base.toPropertyDescriptor
+ * @param {Object} o The object to convert
+ * @returns {{@link module:Base.DataPropertyDescriptor}|{@link module:Base.AccessorPropertyDescriptor}} The converted property descriptor
+ * @see ECMA-262 Spec Chapter 8.10.5
  */
-function DecodeURIFunction(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(DecodeURIFunction, FunctionTypeBase);
-DecodeURIFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+exports.toPropertyDescriptor = toPropertyDescriptor;
+function toPropertyDescriptor(obj) {
+	var desc = {},
+		getter,
+		setter;
 
-	var decodedURI;
+	if (type(obj) === 'Unknown') {
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
-	}
+		// Create a sensible default data property descriptor
+		desc.value = obj;
+		desc.writable = false;
+		desc.enumerable = true;
+		desc.configurable = false;
 
-	try {
-		decodedURI = new StringType(decodeURI(toString(args[0]).value));
-	} catch (e) {
-		if (!e.isCodeProcessorException) {
-			handleRecoverableNativeException('URIError', e.toString());
-			decodedURI = new UnknownType();
-		} else {
-			throw e;
+	} else if (type(obj) === 'Object') {
+
+		// Parse through all of the options
+		if (obj.hasProperty('enumerable')) {
+			desc.enumerable = toBoolean(obj.get('enumerable')).value;
+		}
+		if (obj.hasProperty('configurable')) {
+			desc.configurable = toBoolean(obj.get('configurable')).value;
+		}
+		if (obj.hasProperty('value')) {
+			desc.value = obj.get('value');
+		}
+		if (obj.hasProperty('writable')) {
+			desc.writable = toBoolean(obj.get('writable')).value;
+		}
+		if (obj.hasProperty('get')) {
+			getter = obj.get('get');
+			if (type(getter) !== 'Undefined' && type(getter) !== 'Unknown' && !isCallable(getter)) {
+				throwNativeException('TypeError', 'get is not callable');
+			}
+			desc.get = getter;
+		}
+		if (obj.hasProperty('set')) {
+			setter = obj.get('set');
+			if (type(setter) !== 'Undefined' && type(setter) !== 'Unknown' && !isCallable(setter)) {
+				throwNativeException('TypeError', 'set is not callable');
+			}
+			desc.set = setter;
+		}
+		if ((desc.get || desc.set) && (isDefined(desc.value) || isDefined(desc.writable))) {
+			throwNativeException('TypeError', 'Property descriptors cannot contain both get/set and value/writable properties');
 		}
+	} else {
+		throwNativeException('TypeError', 'Property descriptors must be objects');
 	}
 
-	// Use the built-in method to perform the decodeURI
-	return decodedURI;
-});
+	return desc;
+}
 
 /**
- * decodeURIComponent method
+ * ECMA-262 Spec: <em>The abstract operation CheckObjectCoercible throws an error if its argument is a value that cannot
+ * be converted to an Object using ToObject.</em>
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.1.3.2
+ * @method
+ * @name module:Base.checkObjectCoercible
+ * @param {module:Base.BaseType} input The value to check if it's coercible
+ * @see ECMA-262 Spec Chapter 9.10
  */
-function DecodeURIComponentFunction(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(DecodeURIComponentFunction, FunctionTypeBase);
-DecodeURIComponentFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-
-	var decodedURIComponent;
-
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+exports.checkObjectCoercible = checkObjectCoercible;
+function checkObjectCoercible(input) {
+	if (isType(input, ['Undefined', 'Null'])) {
+		throwNativeException('TypeError', type(input).toLowerCase() + ' cannot be coerced to an object');
 	}
+	return;
+}
 
-	try {
-		decodedURIComponent = new StringType(decodeURIComponent(toString(args[0]).value));
-	} catch (e) {
-		if (!e.isCodeProcessorException) {
-			handleRecoverableNativeException('URIError', e.toString());
-			decodedURIComponent = new UnknownType();
-		} else {
-			throw e;
-		}
+/**
+ * ECMA-262 Spec: <em>The abstract operation IsCallable determines if its argument, which must be an ECMAScript
+ * language value, is a callable function Object</em>
+ *
+ * @method
+ * @name module:Base.isCallable
+ * @param {module:Base.BaseType} input The value to check if it's callable
+ * @returns {Boolean} Whether or not the object is callable
+ * @see ECMA-262 Spec Chapter 9.11
+ */
+exports.isCallable = isCallable;
+function isCallable(input) {
+	if (input && type(input) === 'Object') {
+		return !!input.callFunction;
+	} else {
+		return false;
 	}
-
-	// Use the built-in method to perform the decodeURI
-	return decodedURIComponent;
-});
+}
 
 /**
- * encodeURI method
+ * Converts a value to unknown "in-place"
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.1.3.3
+ * @method
+ * @param {module:Base.BaseType} value The value to convert
  */
-function EncodeURIFunction(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
+exports.convertToUnknown = convertToUnknown;
+function convertToUnknown (value) {
+	UnknownType.call(value);
 }
-util.inherits(EncodeURIFunction, FunctionTypeBase);
-EncodeURIFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-	var encodedURI;
+/**
+ * The Strict Equality Comparison Algorithm
+ *
+ * @method
+ * @name module:Base.strictEquals
+ * @param {moduel:Base.BaseType} x The first value to compare
+ * @param {moduel:Base.BaseType} y The second value to compare
+ * @returns {Boolean} Whether or not the two equals are strictly equal
+ * @see ECMA-262 Spec Chapter 11.9.6
+ */
+exports.strictEquals = strictEquals;
+function strictEquals(x, y) {
+	var typeX = type(x),
+		typeY = type(y);
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+	if (typeX !== typeY) {
+		return false;
 	}
 
-	try {
-		encodedURI = new StringType(encodeURI(toString(args[0]).value));
-	} catch (e) {
-		if (!e.isCodeProcessorException) {
-			handleRecoverableNativeException('URIError', e.toString());
-			encodedURI = new UnknownType();
-		} else {
-			throw e;
-		}
+	switch(typeX) {
+		case 'Undefined':
+		case 'Null': return true;
+		case 'Boolean':
+		case 'Number':
+		case 'String': return x.value === y.value;
+		case 'Object': return x === y;
 	}
-
-	// Use the built-in method to perform the decodeURI
-	return encodedURI;
-});
+}
 
 /**
- * encodeURIComponent method
+ * The Abstract Equality Comparison Algorithm
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.1.3.4
+ * @method
+ * @name module:Base.strictEquals
+ * @param {moduel:Base.BaseType} x The first value to compare
+ * @param {moduel:Base.BaseType} y The second value to compare
+ * @returns {Boolean} Whether or not the two equals are strictly equal
+ * @see ECMA-262 Spec Chapter 11.9.3
  */
-function EncodeURIComponentFunction(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(EncodeURIComponentFunction, FunctionTypeBase);
-EncodeURIComponentFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-
-	var encodedURIComponent;
+exports.abstractEquality = abstractEquality;
+function abstractEquality(x, y) {
+	var typeX = type(x),
+		typeY = type(y),
+		xValue = x.value,
+		yValue = y.value;
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+	// Step 1
+	if (typeY === typeX) {
+		if (typeX === 'Undefined' || typeX === 'Null') {
+			return true;
+		}
+		if (typeX === 'Number') {
+			if (isNaN(xValue) || isNaN(yValue)) {
+				return false;
+			}
+			return xValue === yValue;
+		}
+		if (typeX === 'String') {
+			return xValue === yValue;
+		}
+		if (typeX === 'Boolean') {
+			return xValue === yValue;
+		}
+		return x === y;
 	}
 
-	try {
-		encodedURIComponent = new StringType(encodeURIComponent(toString(args[0]).value));
-	} catch (e) {
-		if (!e.isCodeProcessorException) {
-			handleRecoverableNativeException('URIError', e.toString());
-			encodedURIComponent = new UnknownType();
-		} else {
-			throw e;
-		}
+	// Step 2
+	if (typeX === 'Undefined' && typeY === 'Null') {
+		return true;
 	}
 
-	// Use the built-in method to perform the decodeURI
-	return encodedURIComponent;
-});
+	// Step 3
+	if (typeX === 'Null' && typeY === 'Undefined') {
+		return true;
+	}
 
-/*****************************************
- *
- * Chapter 15 - Global Objects
- *
- *****************************************/
+	// Step 4
+	if (typeX === 'Number' && typeY === 'String') {
+		return abstractEquality(x, toNumber(y));
+	}
 
-// ******** Math Object ********
+	// Step 5
+	if (typeX === 'String' && typeY === 'Number') {
+		return abstractEquality(toNumber(x), y);
+	}
 
-/**
- * abs() prototype method
- *
- * @private
- * @see ECMA-262 Spec Chapter 15.8.2.1
- */
-function MathAbsFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(MathAbsFunc, FunctionTypeBase);
-MathAbsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+	// Step 6
+	if (typeX === 'Boolean') {
+		return abstractEquality(toNumber(x), y);
+	}
 
-	// Variable declarations
-	var x = args[0];
+	// Step 7
+	if (typeY === 'Boolean') {
+		return abstractEquality(x, toNumber(y));
+	}
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+	// Step 8
+	if (typeY === 'Object' && (typeX === 'String' || typeX === 'Number')) {
+		return abstractEquality(x, toPrimitive(y));
 	}
 
-	if (!x) {
-		return new NumberType(NaN);
-	} else {
-		return new NumberType(Math.abs(toNumber(x).value));
+	// Step 8
+	if (typeX === 'Object' && (typeY === 'String' || typeY === 'Number')) {
+		return abstractEquality(toPrimitive(x), y);
 	}
-});
 
+	// Step 9
+	return false;
+}
 /**
- * acos() prototype method
+ * Creates an array from a list of values
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.8.2.2
- */
-function MathAcosFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
+ * @method
+ * @name module:Base.createArrayFromList
+ * @param {Array[{@link module:Base.BaseType}]} values The values to put in the array
+ * @returns {{@link module:Base.ArrayType}} The new array
+ * @see ECMA-262 6th Edition Chapter 7.3.16
+ */
+exports.createArrayFromList = createArrayFromList;
+function createArrayFromList(values) {
+	var array = new ArrayType(),
+		i, len;
+	for (i = 0, len = values.length; i < len; i++) {
+		array.put(i, values[i], false, true);
+	}
+	return array;
 }
-util.inherits(MathAcosFunc, FunctionTypeBase);
-MathAcosFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-	// Variable declarations
-	var x = args[0];
+/**
+ * Collects the values produced by iterating over an iterable. Iterators and symbols are not modeled, so Maps produce
+ * [key, value] entry arrays, Sets produce their values, and everything else is treated as an array-like object.
+ *
+ * @method
+ * @name module:Base.iterableToList
+ * @param {module:Base.BaseType} iterable The value to iterate over
+ * @returns {Array[{@link module:Base.BaseType}]|undefined} The iterated values, or undefined if they are unknown
+ * @see ECMA-262 6th Edition Chapter 7.4
+ */
+exports.iterableToList = iterableToList;
+function iterableToList(iterable) {
+	var mapData,
+		o,
+		len,
+		values = [],
+		i;
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+	if (type(iterable) === 'Object' && iterable._mapData) {
+		recordStateRead(iterable, 'internal', '_mapData');
+		mapData = iterable._mapData;
+		return mapData.isUnknown ? undefined : mapData.keys.map(function (key, i) {
+			return createArrayFromList([key, mapData.values[i]]);
+		});
 	}
-
-	if (!x) {
-		return new NumberType(NaN);
-	} else {
-		return new NumberType(Math.acos(toNumber(x).value));
+	if (type(iterable) === 'Object' && iterable._setData) {
+		recordStateRead(iterable, 'internal', '_setData');
+		return iterable._setData.isUnknown ? undefined : iterable._setData.values.slice();
 	}
-});
 
-/**
- * asin() prototype method
- *
- * @private
- * @see ECMA-262 Spec Chapter 15.8.2.3
- */
-function MathAsinFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
+	o = toObject(iterable);
+	if (type(o) === 'Unknown') {
+		return;
+	}
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		return;
+	}
+	for (i = 0, len = toUint32(len).value; i < len; i++) {
+		values.push(o.get(i));
+	}
+	return values;
 }
-util.inherits(MathAsinFunc, FunctionTypeBase);
-MathAsinFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-
-	// Variable declarations
-	var x = args[0];
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
-	}
 
-	return new NumberType(x ? Math.asin(toNumber(x).value) : NaN);
-});
+/*global
+Runtime,
+RuleProcessor,
+AST,
+UnknownType,
+UndefinedType,
+handleRecoverableNativeException,
+type,
+ReferenceType,
+isDefined,
+ObjectType,
+FunctionType,
+DataPropertyDescriptor,
+isAccessorDescriptor,
+throwNativeException,
+NumberType,
+throwTypeError,
+toObject,
+ArrayType,
+createTypedUnknown,
+createUnknownOrigin,
+createUnknownWrite,
+getTypeInfo,
+getResultTypeInfo,
+getStateSerial,
+recordStateChange,
+recordStateRead,
+summaryStack
+*/
 
-/**
- * atan() prototype method
+/*****************************************
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.8.2.4
- */
-function MathAtanFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(MathAtanFunc, FunctionTypeBase);
-MathAtanFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+ * Lexical Environments and Contexts
+ *
+ *****************************************/
 
-	// Variable declarations
-	var x = args[0];
+var globalObject,
+	contextStack = [],
+	functionContextCount = 0,
+	tryCatch = 0,
+	skippedModeCounter = 0,
+	skippedContextStack;
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
-	}
+// ******** DeclarativeEnvironmentRecord Class ********
 
-	if (!x) {
-		return new NumberType(NaN);
-	} else {
-		return new NumberType(Math.atan(toNumber(x).value));
-	}
-});
+function bindingExists (bindings, name) {
+	return Object.prototype.hasOwnProperty.call(bindings, name);
+}
 
 /**
- * atan2() prototype method
+ * @classdesc ECMA-262 Spec: <em>Declarative environment records are used to define the effect of ECMAScript language
+ * syntactic elements such as FunctionDeclarations, VariableDeclarations, and Catch clauses that directly associate
+ * identifier bindings with ECMAScript language values. Each declarative environment record is associated with an
+ * ECMAScript program scope containing variable and/or function declarations. A declarative environment record binds the
+ * set of identifiers defined by the declarations contained within its scope.</em>
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.8.2.5
+ * @constructor
+ * @name module:Base.DeclarativeEnvironmentRecord
+ * @see ECMA-262 Spec Chapter 10.2.1
+ * @name module:Base.DeclarativeEnvironmentRecord
  */
-function MathAtan2Func(className) {
-	FunctionTypeBase.call(this, 2, className || 'Function');
+exports.DeclarativeEnvironmentRecord = DeclarativeEnvironmentRecord;
+function DeclarativeEnvironmentRecord() {
+	this._bindings = {};
+	this._ambiguousContext = false;
+	this._serial = getStateSerial();
 }
-util.inherits(MathAtan2Func, FunctionTypeBase);
-MathAtan2Func.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-
-	// Variable declarations
-	var x = args[0];
-
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
-	}
-
-	if (!x) {
-		return new NumberType(NaN);
-	} else {
-		return new NumberType(Math.abs(toNumber(x).value));
-	}
-});
 
 /**
- * ceil() prototype method
+ * ECMA-262 Spec: <em>The concrete environment record method HasBinding for declarative environment records simply
+ * determines if the argument identifier is one of the identifiers bound by the record</em>
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.8.2.6
- */
-function MathCeilFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(MathCeilFunc, FunctionTypeBase);
-MathCeilFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-
-	// Variable declarations
-	var x = args[0];
-
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
-	}
-
-	if (!x) {
-		return new NumberType(NaN);
-	} else {
-		return new NumberType(Math.ceil(toNumber(x).value));
+ * @method
+ * @name module:Base.DeclarativeEnvironmentRecord#hasBinding
+ * @param {String} n The name of the binding
+ * @returns {Boolean} Whether or not this environment record has the binding
+ * @see ECMA-262 Spec Chapter 10.2.1.1.1
+ */
+DeclarativeEnvironmentRecord.prototype.hasBinding = function hasBinding(n) {
+	if (summaryStack.length) {
+		recordStateRead(this, 'binding', n);
 	}
-});
+	return bindingExists(this._bindings, n);
+};
 
 /**
- * cos() prototype method
+ * ECMA-262 Spec: <em>The concrete Environment Record method CreateMutableBinding for declarative environment records
+ * creates a new mutable binding for the name n that is initialised to the value undefined. A binding must not already
+ * exist in this Environment Record for n. If Boolean argument d is provided and has the value true the new binding is
+ * marked as being subject to deletion.</em>
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.8.2.7
+ * @method
+ * @name module:Base.DeclarativeEnvironmentRecord#createMutableBinding
+ * @param {String} n The name of the binding
+ * @param {Boolean} [d] Whether or not the binding can be deleted
+ * @throws Thrown if the binding already exists
+ * @see ECMA-262 Spec Chapter 10.2.1.1.2
  */
-function MathCosFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(MathCosFunc, FunctionTypeBase);
-MathCosFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-
-	// Variable declarations
-	var x = args[0];
-
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+DeclarativeEnvironmentRecord.prototype.createMutableBinding = function createMutableBinding(n, d) {
+	var bindings = this._bindings;
+	if (bindingExists(bindings, n)) {
+		throw new Error('Could not create mutable binding: binding "' + n + '" already exists');
 	}
+	recordStateChange(this, 'binding', n);
 
-	if (!x) {
-		return new NumberType(NaN);
-	} else {
-		return new NumberType(Math.cos(toNumber(x).value));
-	}
-});
+	bindings[n] = {
+		value: new UndefinedType(),
+		isDeletable: !!d,
+		isMutable: true
+	};
+};
 
 /**
- * exp() prototype method
+ * ECMA-262 Spec: <em>The concrete Environment Record method SetMutableBinding for declarative environment records
+ * attempts to change the bound value of the current binding of the identifier whose name is the value of the argument
+ * N to the value of argument v. A binding for n must already exist. If the binding is an immutable binding, a TypeError
+ * is thrown if s is true.</em>
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.8.2.8
+ * @method
+ * @name module:Base.DeclarativeEnvironmentRecord#setMutableBinding
+ * @param {String} n The name of the binding
+ * @param {module:Base.BaseType} v The value to set on the binding
+ * @param {Boolean} s Indicates strict mode, i.e. whether or not an error should be thrown if the binding is not mutable
+ * @throws Thrown if the binding does not exist
+ * @see ECMA-262 Spec Chapter 10.2.1.1.3
  */
-function MathExpFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(MathExpFunc, FunctionTypeBase);
-MathExpFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+DeclarativeEnvironmentRecord.prototype.setMutableBinding = function setMutableBinding(n, v, s) {
+	var bindings = this._bindings,
+		isConditional;
+	if (!bindingExists(bindings, n)) {
+		throw new Error('Could not set mutable binding: binding "' + n + '" does not exist');
+	}
+	recordStateChange(this, 'binding', n);
 
-	// Variable declarations
-	var x = args[0];
+	// Let and const bindings can't be assigned before their declaration, and assigning to a const is an error even in
+	// sloppy mode
+	if (bindings[n].isLexical && !bindings[n].isInitialized) {
+		handleRecoverableNativeException('ReferenceError', 'Could not set binding: binding "' + n + '" has not been initialized');
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+		// Recover by treating the binding as initialized, so that the error isn't reported again for this assignment
+		bindings[n].isInitialized = true;
+	}
+	if (!bindings[n].isMutable) {
+		if (s || bindings[n].isLexical) {
+			handleRecoverableNativeException('TypeError', 'Could not set binding: binding "' + n + '" is not mutable');
+			bindings[n].value = new UnknownType();
+		} else {
+			return;
+		}
 	}
 
-	if (!x) {
-		return new NumberType(NaN);
+	isConditional = !this.getBindingValue(n)._isLocal() || isAmbiguousBlock();
+	if (type(v) === 'Unknown' || isConditional) {
+		bindings[n].value = createUnknownWrite(bindings[n].value, v, isConditional);
 	} else {
-		return new NumberType(Math.exp(toNumber(x).value));
+		bindings[n].value = v;
 	}
-});
+};
 
 /**
- * floor() prototype method
+ * ECMA-262 Spec: <em>The concrete Environment Record method GetBindingValue for declarative environment records simply
+ * returns the value of its bound identifier whose name is the value of the argument n. The binding must already exist.
+ * If s is true and the binding is an uninitialised immutable binding throw a ReferenceError exception.</em>
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.8.2.9
+ * @method
+ * @name module:Base.DeclarativeEnvironmentRecord#getBindingValue
+ * @param {String} n The name of the binding
+ * @param {Boolean} s Indicates strict mode, i.e. whether or not an error should be thrown if the binding has not been
+ *		initialized
+ * @returns {{@link module:Base.BaseType}} The value of the binding
+ * @throws Thrown if the binding does not exist
+ * @see ECMA-262 Spec Chapter 10.2.1.1.4
  */
-function MathFloorFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(MathFloorFunc, FunctionTypeBase);
-MathFloorFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-
-	// Variable declarations
-	var x = args[0];
+DeclarativeEnvironmentRecord.prototype.getBindingValue = function getBindingValue(n, s) {
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+	var binding = this._bindings[n];
+	if (summaryStack.length) {
+		recordStateRead(this, 'binding', n);
+	}
+	if (!bindingExists(this._bindings, n)) {
+		throw new Error('Could not get value: binding "' + n + '" does not exist');
 	}
 
-	if (!x) {
-		return new NumberType(NaN);
-	} else if (type(x) === 'Unknown') {
-		return new UnknownType();
-	} else {
-		return new NumberType(Math.floor(toNumber(x).value));
+	if ((s && !binding.isMutable || binding.isLexical) && !binding.isInitialized) {
+		handleRecoverableNativeException('ReferenceError', 'Could not get value: binding "' + n + '" has not been initialized');
+		return createUnknownOrigin('uninitialized binding "' + n + '"');
 	}
-});
+
+	return binding.value;
+};
 
 /**
- * log() prototype method
+ * ECMA-262 Spec: <em>The concrete Environment Record method DeleteBinding for declarative environment records can only
+ * delete bindings that have been explicitly designated as being subject to deletion.</em>
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.8.2.10
+ * @method
+ * @name module:Base.DeclarativeEnvironmentRecord#deleteBinding
+ * @param {String} n The name of the binding
+ * @returns {Boolean} Whether or not the binding has been deleted
+ * @see ECMA-262 Spec Chapter 10.2.1.1.5
  */
-function MathLogFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(MathLogFunc, FunctionTypeBase);
-MathLogFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-
-	// Variable declarations
-	var x = args[0];
+DeclarativeEnvironmentRecord.prototype.deleteBinding = function deleteBinding(n) {
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+	var binding = this._bindings[n];
+	if (!binding) {
+		return true;
 	}
 
-	if (!x) {
-		return new NumberType(NaN);
-	} else {
-		return new NumberType(Math.log(toNumber(x).value));
+	if (!binding.isDeletable) {
+		return false;
 	}
-});
+
+	recordStateChange(this, 'binding', n);
+	delete this._bindings[n];
+	return true;
+};
 
 /**
- * max() prototype method
+ * ECMA-262 Spec: <em>Declarative Environment Records always return undefined as their ImplicitThisValue.</em>
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.8.2.11
+ * @method
+ * @name module:Base.DeclarativeEnvironmentRecord#implicitThisValue
+ * @returns {{@link module:Base.UndefinedType}} Always undefined
+ * @see ECMA-262 Spec Chapter 10.2.1.1.6
  */
-function MathMaxFunc(className) {
-	FunctionTypeBase.call(this, 2, className || 'Function');
-}
-util.inherits(MathMaxFunc, FunctionTypeBase);
-MathMaxFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+DeclarativeEnvironmentRecord.prototype.implicitThisValue = function implicitThisValue() {
+	return new UndefinedType(); // Always return undefined for declarative environments
+};
 
-	// Variable declarations
-	var i, len,
-		value,
-		values = [];
+/**
+ * ECMA-262 Spec: <em>The concrete Environment Record method CreateImmutableBinding for declarative environment records
+ * creates a new immutable binding for the name n that is initialised to the value undefined. A binding must not already
+ * exist in this environment record for n.</em>
+ *
+ * @method
+ * @name module:Base.DeclarativeEnvironmentRecord#createImmutableBinding
+ * @param {String} n The name of the binding
+ * @throws Thrown if the binding already exists
+ * @see ECMA-262 Spec Chapter 10.2.1.1.7
+ */
+DeclarativeEnvironmentRecord.prototype.createImmutableBinding = function createImmutableBinding(n) {
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+	var bindings = this._bindings;
+	if (bindingExists(bindings, n)) {
+		throw new Error('Could not create immutable binding: binding "' + n + '" already exists');
 	}
+	recordStateChange(this, 'binding', n);
 
-	for (i = 0, len = args.length; i < len; i++) {
-		value = toNumber(args[i]);
-		if (type(value) === 'Unknown') {
-			return new UnknownType();
-		}
-		values.push(toNumber(value).value);
-	}
-	return new NumberType(Math.max.apply(this, values));
-});
+	bindings[n] = {
+		value: new UndefinedType(),
+		isDeletable: false,
+		isMutable: false,
+		isInitialized: false
+	};
+};
 
 /**
- * min() prototype method
+ * ECMA-262 Spec: <em>The concrete Environment Record method InitializeImmutableBinding for declarative environment
+ * records is used to set the bound value of the current binding of the identifier whose name is the value of the
+ * argument n to the value of argument v. An uninitialised immutable binding for n must already exist.</em>
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.8.2.12
+ * @method
+ * @name module:Base.DeclarativeEnvironmentRecord#initializeImmutableBinding
+ * @param {String} n The name of the binding
+ * @param {module:Base.BaseType} v The value to initialize the binding to
+ * @throws Thrown if the binding does not exist
+ * @throws Thrown if the binding is not immutable or has already been initialized
+ * @see ECMA-262 Spec Chapter 10.2.1.1.8
  */
-function MathMinFunc(className) {
-	FunctionTypeBase.call(this, 2, className || 'Function');
-}
-util.inherits(MathMinFunc, FunctionTypeBase);
-MathMinFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-
-	// Variable declarations
-	var i, len,
-		value,
-		values = [];
+DeclarativeEnvironmentRecord.prototype.initializeImmutableBinding = function initializeImmutableBinding(n, v) {
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+	var binding = this._bindings[n];
+	if (!binding) {
+		throw new Error('Could not initialize immutable value: binding "' + n + '" does not exist');
 	}
 
-	for (i = 0, len = args.length; i < len; i++) {
-		value = toNumber(args[i]);
-		if (type(value) === 'Unknown') {
-			return new UnknownType();
-		}
-		values.push(toNumber(value).value);
+	if (binding.isInitialized !== false) {
+		throw new Error('Could not initialize immutable value: binding "' + n + '" has either been initialized already or is not an immutable value');
 	}
-	return new NumberType(Math.min.apply(this, values));
-});
+
+	recordStateChange(this, 'binding', n);
+	binding.value = v;
+	binding.isInitialized = true;
+};
 
 /**
- * pow() prototype method
+ * ECMA-262 6th Edition: <em>The concrete Environment Record method InitializeBinding for declarative Environment
+ * Records is used to set the bound value of the current binding of the identifier whose name is the value of the
+ * argument N to the value of argument V. An uninitialized binding for N must already exist.</em> This is used to
+ * initialize let and const declarations, and unlike setMutableBinding it does not make the value unknown inside of an
+ * ambiguous block, since the binding is created each time the declaration is evaluated.
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.8.2.13
+ * @method
+ * @name module:Base.DeclarativeEnvironmentRecord#initializeBinding
+ * @param {String} n The name of the binding
+ * @param {module:Base.BaseType} v The value to initialize the binding to
+ * @throws Thrown if the binding does not exist
+ * @see ECMA-262 6th Edition Chapter 8.1.1.1.4
  */
-function MathPowFunc(className) {
-	FunctionTypeBase.call(this, 2, className || 'Function');
-}
-util.inherits(MathPowFunc, FunctionTypeBase);
-MathPowFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-
-	// Variable declarations
-	var x = args[0],
-		y = args[1];
+DeclarativeEnvironmentRecord.prototype.initializeBinding = function initializeBinding(n, v) {
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+	var binding = this._bindings[n];
+	if (!bindingExists(this._bindings, n)) {
+		throw new Error('Could not initialize value: binding "' + n + '" does not exist');
 	}
 
-	if (!x || !y) {
-		return new NumberType(NaN);
-	} else {
-		return new NumberType(Math.pow(toNumber(x).value, toNumber(y).value));
-	}
-});
+	recordStateChange(this, 'binding', n);
+	binding.value = v;
+	binding.isInitialized = true;
+};
+
+// ******** ObjectEnvironmentRecord Class ********
 
 /**
- * random() prototype method
+ * @classdesc ECMA-262 Spec: <em>Object environment records are used to define the effect of ECMAScript elements such as
+ * Program and WithStatement that associate identifier bindings with the properties of some object. Each object
+ * environment record is associated with an object called its binding object. An object environment record binds
+ * the set of identifier names that directly correspond to the property names of its binding object. Property names
+ * that are not an IdentifierName are not included in the set of bound identifiers. Both own and inherited properties
+ * are included in the set regardless of the setting of their [[enumerable]] attribute. Because properties can be
+ * dynamically added and deleted from objects, the set of identifiers bound by an object environment record may
+ * potentially change as a side-effect of any operation that adds or deletes properties. Any bindings that are created
+ * as a result of such a side-effect are considered to be a mutable binding even if the writable attribute of the
+ * corresponding property has the value false. Immutable bindings do not exist for object environment records.</em>
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.8.2.14
+ * @constructor
+ * @name module:Base.ObjectEnvironmentRecord
+ * @see ECMA-262 Spec Chapter 10.2.1
+ * @name module:Base.ObjectEnvironmentRecord
  */
-function MathRandomFunc(className) {
-	FunctionTypeBase.call(this, 0, className || 'Function');
-}
-util.inherits(MathRandomFunc, FunctionTypeBase);
-MathRandomFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
-	if (Runtime.options.exactMode) {
-		return new NumberType(Math.random());
-	} else {
-		return new UnknownType();
+exports.ObjectEnvironmentRecord = ObjectEnvironmentRecord;
+function ObjectEnvironmentRecord(bindingObject) {
+	if (!bindingObject) {
+		throw '';
 	}
-});
+	this._bindingObject = bindingObject;
+	this._ambiguousContext = false;
+}
 
 /**
- * round() prototype method
+ * ECMA-262 Spec: <em>The concrete Environment Record method HasBinding for object environment records determines if its
+ * associated binding object has a property whose name is the value of the argument n</em>
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.8.2.15
+ * @method
+ * @name module:Base.ObjectEnvironmentRecord#hasBinding
+ * @param {String} n The name of the binding
+ * @returns {Boolean} Whether or not this environment record has the binding
+ * @see ECMA-262 Spec Chapter 10.2.1.2.1
  */
-function MathRoundFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(MathRoundFunc, FunctionTypeBase);
-MathRoundFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-
-	// Variable declarations
-	var x = args[0];
-
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
-	}
-
-	if (!x) {
-		return new NumberType(NaN);
-	} else {
-		return new NumberType(Math.round(toNumber(x).value));
-	}
-});
+ObjectEnvironmentRecord.prototype.hasBinding = function hasBinding(n) {
+	return this._bindingObject.hasProperty(n);
+};
 
 /**
- * sin() prototype method
+ * ECMA-262 Spec: <em>The concrete Environment Record method CreateMutableBinding for object environment records creates
+ * in an environment record‘s associated binding object a property whose name is the String value and initialises it to
+ * the value undefined. A property named n must not already exist in the binding object. If Boolean argument d is
+ * provided and has the value true the new property‘s [[configurable]] attribute is set to true, otherwise it is set to
+ * false.</em>
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.8.2.16
+ * @method
+ * @name module:Base.ObjectEnvironmentRecord#createMutableBinding
+ * @param {String} n The name of the binding
+ * @param {Boolean} [d] Whether or not the binding can be deleted
+ * @param {Boolean} suppressEvent Suppresses the 'propertySet' event (used when setting prototypes)
+ * @throws Thrown if the binding already exists
+ * @see ECMA-262 Spec Chapter 10.2.1.2.2
  */
-function MathSinFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(MathSinFunc, FunctionTypeBase);
-MathSinFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-
-	// Variable declarations
-	var x = args[0];
-
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+ObjectEnvironmentRecord.prototype.createMutableBinding = function createMutableBinding(n, d, suppressEvent) {
+	var bindingObject = this._bindingObject;
+	if (bindingObject.hasProperty(n)) {
+		throw new Error('Internal Error: could not create mutable binding: binding "' + n + '" already exists');
 	}
 
-	if (!x) {
-		return new NumberType(NaN);
-	} else {
-		return new NumberType(Math.sin(toNumber(x).value));
-	}
-});
+	bindingObject.defineOwnProperty(n, {
+		value: new UndefinedType(),
+		writable: true,
+		enumerable: true,
+		configurable: !!d
+	}, true, suppressEvent);
+};
 
 /**
- * sqrt() prototype method
+ * ECMA-262 Spec: <em>The concrete Environment Record method SetMutableBinding for object environment records attempts
+ * to set the value of the environment record‘s associated binding object‘s property whose name is the value of the
+ * argument n to the value of argument V. A property named N should already exist but if it does not or is not currently
+ * writable, error handling is determined by the value of the Boolean argument s.</em>
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.8.2.17
+ * @method
+ * @param {String} n The name of the binding
+ * @name module:Base.ObjectEnvironmentRecord#setMutableBinding
+ * @param {module:Base.BaseType} v The value to set on the binding
+ * @param {Boolean} s Indicates strict mode, i.e. whether or not an error should be thrown if the binding is not mutable
+ * @param {Boolean} suppressEvent Suppresses the 'propertySet' event (used when setting prototypes)
+ * @see ECMA-262 Spec Chapter 10.2.1.2.3
  */
-function MathSqrtFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(MathSqrtFunc, FunctionTypeBase);
-MathSqrtFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-
-	// Variable declarations
-	var x = args[0];
-
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
-	}
-
-	if (!x) {
-		return new NumberType(NaN);
-	} else {
-		return new NumberType(Math.sqrt(toNumber(x).value));
-	}
-});
+ObjectEnvironmentRecord.prototype.setMutableBinding = function setMutableBinding(n, v, s, suppressEvent) {
+	this._bindingObject.put(n, v, s, suppressEvent);
+};
 
 /**
- * tan() prototype method
+ * ECMA-262 Spec: <em>The concrete Environment Record method SetMutableBinding for object environment records attempts
+ * to set the value of the environment record‘s associated binding object‘s property whose name is the value of the
+ * argument n to the value of argument v. A property named N should already exist but if it does not or is not currently
+ * writable, error handling is determined by the value of the Boolean argument s.</em>
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.8.2.17
+ * @method
+ * @name module:Base.ObjectEnvironmentRecord#getBindingValue
+ * @param {String} n The name of the binding
+ * @param {Boolean} s Indicates strict mode, i.e. whether or not an error should be thrown if the binding has not been
+ *		initialized
+ * @returns {{@link module:Base.BaseType}} The value of the binding
+ * @see ECMA-262 Spec Chapter 10.2.1.2.4
  */
-function MathTanFunc(className) {
-	FunctionTypeBase.call(this, 1, className || 'Function');
-}
-util.inherits(MathTanFunc, FunctionTypeBase);
-MathTanFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
-
-	// Variable declarations
-	var x = args[0];
-
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+ObjectEnvironmentRecord.prototype.getBindingValue = function getBindingValue(n, s) {
+	var bindingObject = this._bindingObject;
+	if (!bindingObject.hasProperty(n)) {
+		if (s) {
+			handleRecoverableNativeException('ReferenceError', 'Property ' + n + ' does not exist');
+			return new UnknownType();
+		}
+		return new UndefinedType();
 	}
 
-	if (!x) {
-		return new NumberType(NaN);
-	} else {
-		return new NumberType(Math.tan(toNumber(x).value));
-	}
-});
+	return bindingObject.get(n);
+};
 
 /**
- * Math Object
+ * ECMA-262 Spec: <em>The concrete Environment Record method DeleteBinding for object environment records can only
+ * delete bindings that correspond to properties of the environment object whose [[configurable]] attribute have the
+ * value true.</em>
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.8
+ * @method
+ * @name module:Base.ObjectEnvironmentRecord#deleteBinding
+ * @param {String} n The name of the binding
+ * @returns {Boolean} Whether or not the binding has been deleted
+ * @see ECMA-262 Spec Chapter 10.2.1.2.5
  */
-function MathObject(className) {
-	ObjectType.call(this, className);
-
-	// Properties
-	addReadOnlyProperty(this, 'E', new NumberType(Math.E));
-	addReadOnlyProperty(this, 'LN10', new NumberType(Math.LN10));
-	addReadOnlyProperty(this, 'LN2', new NumberType(Math.LN2));
-	addReadOnlyProperty(this, 'LOG2E', new NumberType(Math.LOG2E));
-	addReadOnlyProperty(this, 'LOG10E', new NumberType(Math.LOG10E));
-	addReadOnlyProperty(this, 'PI', new NumberType(Math.PI));
-	addReadOnlyProperty(this, 'SQRT1_2', new NumberType(Math.SQRT1_2));
-	addReadOnlyProperty(this, 'SQRT2', new NumberType(Math.SQRT2));
+ObjectEnvironmentRecord.prototype.deleteBinding = function deleteBinding(n) {
+	return this._bindingObject['delete'](n, false);
+};
 
-	// Methods
-	addNonEnumerableProperty(this, 'abs', new MathAbsFunc());
-	addNonEnumerableProperty(this, 'acos', new MathAcosFunc());
-	addNonEnumerableProperty(this, 'asin', new MathAsinFunc());
-	addNonEnumerableProperty(this, 'atan', new MathAtanFunc());
-	addNonEnumerableProperty(this, 'atan2', new MathAtan2Func());
-	addNonEnumerableProperty(this, 'ceil', new MathCeilFunc());
-	addNonEnumerableProperty(this, 'cos', new MathCosFunc());
-	addNonEnumerableProperty(this, 'exp', new MathExpFunc());
-	addNonEnumerableProperty(this, 'floor', new MathFloorFunc());
-	addNonEnumerableProperty(this, 'log', new MathLogFunc());
-	addNonEnumerableProperty(this, 'max', new MathMaxFunc());
-	addNonEnumerableProperty(this, 'min', new MathMinFunc());
-	addNonEnumerableProperty(this, 'pow', new MathPowFunc());
-	addNonEnumerableProperty(this, 'random', new MathRandomFunc());
-	addNonEnumerableProperty(this, 'round', new MathRoundFunc());
-	addNonEnumerableProperty(this, 'sin', new MathSinFunc());
-	addNonEnumerableProperty(this, 'sqrt', new MathSqrtFunc());
-	addNonEnumerableProperty(this, 'tan', new MathTanFunc());
-}
-util.inherits(MathObject, ObjectType);
+/**
+ * ECMA-262 Spec: <em>Object Environment Records return undefined as their ImplicitThisValue unless their provideThis
+ * flag is true.</em>
+ *
+ * @method
+ * @name module:Base.ObjectEnvironmentRecord#implicitThisValue
+ * @returns {{@link module:Base.BaseType}} The value of this, if it exists
+ * @see ECMA-262 Spec Chapter 10.2.1.2.6
+ */
+ObjectEnvironmentRecord.prototype.implicitThisValue = function implicitThisValue() {
+	if (this.provideThis) {
+		return this._bindingObject;
+	} else {
+		return new UndefinedType();
+	}
+};
 
-// ******** JSON Object ********
+// ******** Lexical Environment ********
 
 /**
- * parse() prototype method
+ * @classdesc ECMA-262 Spec: <em>A Lexical Environment is a specification type used to define the association of
+ * Identifiers to specific variables and functions based upon the lexical nesting structure of ECMAScript code. A
+ * Lexical Environment consists of an Environment Record and a possibly null reference to an outer Lexical Environment.
+ * Usually a Lexical Environment is associated with some specific syntactic structure of ECMAScript code such as a
+ * FunctionDeclaration, a WithStatement, or a Catch clause of a TryStatement and a new Lexical Environment is created
+ * each time such code is evaluated.</em>
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.12.2
+ * @constructor
+ * @name module:Base~LexicalEnvironment
+ * @param {module:Base.DeclarativeEnvironmentRecord|module:Base.ObjectEnvironmentRecord} [envRec] The environment record
+ *		to associate with the new lexical environment
+ * @param {module:Base.LexicalEnvironment} [outer] The outer lexical environment
+ * @property {module:Base.DeclarativeEnvironmentRecord|module:Base.ObjectEnvironmentRecord} envRec The environment
+ *		record associated with this lexical environment
+ * @property {module:Base.LexicalEnvironment|undefined} outer The outer lexical environment of this lexical environment,
+ *		if it exists
+ * @see ECMA-262 Spec Chapter 10.2
+ * @name module:Base.LexicalEnvironment
  */
-function JSONParseFunc(className) {
-	FunctionTypeBase.call(this, 0, className || 'Function');
+function LexicalEnvironment(envRec, outer) {
+	this.envRec = envRec;
+	this.outer = outer;
 }
-util.inherits(JSONParseFunc, FunctionTypeBase);
-JSONParseFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-	// Variable declarations
-	var text = args[0],
-		reviver = args[1],
-		nativeObject;
+// ******** Lexical Environment Operations ********
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
+/**
+ * ECMA-262 Spec: <em>The abstract operation GetIdentifierReference is called with a Lexical Environment lex, an
+ * identifier String name, and a Boolean flag strict. The value of lex may be null.</em>
+ *
+ * @method
+ * @name module:Base.getIdentifierReference
+ * @param {module:Base.LexicalEnvironment|undefined} lex The lexical environment to search
+ * @see ECMA-262 Spec Chapter 10.2.2.1
+ */
+exports.getIdentifierReference = getIdentifierReference;
+function getIdentifierReference(lex, name, strict) {
+	var newRef;
+	if (!lex) {
+		newRef = new ReferenceType();
+		newRef.baseValue = new UndefinedType();
+		newRef.referencedName = name;
+		newRef.strictReference = strict;
+		return newRef;
 	}
-
-	// Parse the code
-	try {
-		nativeObject = JSON.parse(toString(text).value);
-	} catch(e) {
-		handleRecoverableNativeException('SyntaxError', e.message);
-		return new UnknownType();
+	if (lex.envRec.hasBinding(name)) {
+		newRef = new ReferenceType();
+		newRef.baseValue = lex.envRec;
+		newRef.referencedName = name;
+		newRef.strictReference = strict;
+		return newRef;
+	} else {
+		return getIdentifierReference(lex.outer, name, strict);
 	}
+}
 
-	// Convert the result into an object type
-	function processObject(nativeObj) {
-		var converted,
-			p,
-			child,
-			i, len;
-
-		function setProperty(k, v, obj) {
-			if (reviver) {
-				converted.put(k, v, true, true);
-				v = reviver.callFunction(obj, [k, v]);
-				if (type(v) !== 'Undefined') {
-					converted.put(k, v, true);
-				} else {
-					converted['delete'](k, false);
-				}
-			} else {
-				converted.put(k, v, true, true);
-			}
-		}
-
-		switch(typeof nativeObj) {
-			case 'undefined':
-				return new UndefinedType();
-			case 'null':
-				return new NullType();
-			case 'string':
-				return new StringType(nativeObj);
-			case 'number':
-				return new NumberType(nativeObj);
-			case 'boolean':
-				return new BooleanType(nativeObj);
-			case 'object':
-				if (Array.isArray(nativeObj)) {
-					converted = new ArrayType();
-					for (i = 0, len = nativeObj.length; i < len; i++) {
-						child = processObject(nativeObj[i]);
-						setProperty(i, child, converted);
-					}
-				} else {
-					converted = new ObjectType();
-					for (p in nativeObj) {
-						setProperty(p, processObject(nativeObj[p]), converted);
-					}
-				}
-				return converted;
-		}
-	}
-	return processObject(nativeObject);
-});
+/**
+ * Creates a new lexical environment with a declarative environment record
+ *
+ * @method
+ * @name module:Base.newDeclarativeEnvironment
+ * @param {module:Base.LexicalEnvironment|undefined} e The outer lexical environment of the new lexical environment
+ * @returns {{@link module:Base.LexicalEnvironment} The newly created lexical environment
+ * @see ECMA-262 Spec Chapter 10.2.2.2
+ */
+exports.newDeclarativeEnvironment = newDeclarativeEnvironment;
+function newDeclarativeEnvironment(e) {
+	return new LexicalEnvironment(new DeclarativeEnvironmentRecord(), e);
+}
 
 /**
- * parse() prototype method
+ * Creates a new lexical environment with an object environment record
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.12.3
+ * @method
+ * @name module:Base.newObjectEnvironment
+ * @param {module:Base.ObjectType} o The binding object
+ * @param {module:Base.LexicalEnvironment|undefined} e The outer lexical environment of the new lexical environment
+ * @returns {{@link module:Base.LexicalEnvironment} The newly created lexical environment
+ * @see ECMA-262 Spec Chapter 10.2.2.3
  */
-function JSONStringifyFunc(className) {
-	FunctionTypeBase.call(this, 0, className || 'Function');
+exports.newObjectEnvironment = newObjectEnvironment;
+function newObjectEnvironment(o, e) {
+	return new LexicalEnvironment(new ObjectEnvironmentRecord(o), e);
 }
-util.inherits(JSONStringifyFunc, FunctionTypeBase);
-JSONStringifyFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
-	// Variable declarations
-	var value = args[0],
-		replacer = args[1],
-		space = args[2],
-		replacerFunction,
-		propertyList,
-		v,
-		i, len,
-		gap,
-		stack = [],
-		indent = '',
-		wrapper,
-		result;
+// ******** Execution Context ********
 
-	// Validate the parameters
-	if (areAnyUnknown((args || []).concat(thisVal))) {
-		return new UnknownType();
-	}
+/**
+ * @classdesc ECMA-262 Spec: <em>When control is transferred to ECMAScript executable code, control is entering an
+ * execution context. Active execution contexts logically form a stack. The top execution context on this logical stack
+ * is the running execution context. A new execution context is created whenever control is transferred from the
+ * executable code associated with the currently running execution context to executable code that is not associated
+ * with that execution context. The newly created execution context is pushed onto the stack and becomes the running
+ * execution context. An execution context contains whatever state is necessary to track the execution progress of its
+ * associated code.</em>
+ *
+ * @constructor
+ * @name module:Base.ExecutionContext
+ * @property {module:Base.LexicalEnvironment} lexicalEnvironment ECMA-262 Spec: <em>Identifies the Lexical Environment
+ *		used to resolve identifier references made by code within this execution context.</em>
+ * @property {module:Base.LexicalEnvironment} variableEnvironment ECMA-262 Spec: <em>Identifies the Lexical Environment
+ *		whose environment record holds bindings created by VariableStatements and FunctionDeclarations within this
+ *		execution context.</em>
+ * @property {module:Base.ObjectType} thisBinding ECMA-262 Spec: <em>The value associated with the this keyword within
+ *		ECMAScript code associated with this execution context.</em>
+ * @property {Boolean} strict Indicates whether or not this execution context is strict mode
+ * @name module:Base.ExecutionContext
+ */
+function ExecutionContext(lexicalEnvironment, variableEnvironment, thisBinding, strict) {
+	this.lexicalEnvironment = lexicalEnvironment;
+	this.variableEnvironment = variableEnvironment;
+	this.thisBinding = thisBinding;
+	this.strict = isDefined(strict) ? strict : false;
+	this._ambiguousBlock = 0;
+	this._ambiguousBlockCauses = [];
+}
 
-	function str(key, holder) {
+// ******** Context Creation Methods ********
 
-		// Step 1
-		var value = holder.get(key),
-			toJSON;
+/**
+ * @private
+ */
+function findDeclarations(ast, context) {
+	var functions = [],
+		variables = [];
 
-		// Step 2
-		if (type(value) === 'Object') {
-			toJSON = value.get('toJSON');
-			if (type(toJSON) === 'Unknown') {
-				throw 'Unknown';
+	AST.walk(ast, [
+		{
+			nodeType: 'AST_Defun',
+			callback: function(node) {
+				var formalParameterList = [],
+					i, len;
+				for (i = 0, len = node.argnames.length; i < len; i++) {
+					formalParameterList.push(node.argnames[i].name);
+				}
+				node._lastKnownContext = context;
+				functions.push(node);
+				Runtime.addFunction(node);
+				return true;
 			}
-			if (isCallable(toJSON)) {
-				value = toJSON.callFunction(value, [key]);
+		},
+		{
+			nodeType: 'AST_Var',
+			callback: function(node) {
+				var i, len;
+				for (i = 0, len = node.definitions.length; i < len; i++) {
+					variables.push({
+						variableName: node.definitions[i].name.name
+					});
+					if (node.definitions[i].value && node.definitions[i].value.className === 'AST_Function') {
+						node.definitions[i].value._lastKnownContext = context;
+						Runtime.addFunction(node.definitions[i].value);
+					}
+				}
+				return true;
+			}
+		},
+		{
+			nodeType: 'AST_Function',
+			callback: function(node) {
+				node._lastKnownContext = context;
+				Runtime.addFunction(node);
+				return true;
 			}
 		}
+	]);
 
-		// Step 3
-		if (replacerFunction) {
-			value = replacerFunction.callFunction(holder, [key, value]);
-		}
+	return {
+		functions: functions,
+		variables: variables
+	};
+}
 
-		// Step 4
-		if (type(value) == 'Object') {
-			if (value.className === 'Number') {
-				value = toNumber(value);
-			}
-			if (value.className === 'String') {
-				value = toString(value);
+/**
+ * Finds the let and const declarations made directly in a list of statements, i.e. not in nested blocks or functions
+ *
+ * @private
+ */
+function findLexicalDeclarations(statements) {
+	var declarations = [],
+		i, len, j, jlen,
+		statement;
+	for (i = 0, len = statements.length; i < len; i++) {
+		statement = statements[i];
+		if (statement && (statement.className === 'AST_Let' || statement.className === 'AST_Const')) {
+			for (j = 0, jlen = statement.definitions.length; j < jlen; j++) {
+				declarations.push({
+					name: statement.definitions[j].name.name,
+					isConstant: statement.className === 'AST_Const'
+				});
 			}
-			if (value.className === 'Boolean') {
-				value = new BooleanType(value.primitiveValue);
+		}
+	}
+	return declarations;
+}
+
+/**
+ * Creates the bindings for a set of let and const declarations. The bindings are uninitialized until the declaration is
+ * evaluated, so that using them before then (the temporal dead zone) is a ReferenceError.
+ *
+ * @private
+ */
+function bindLexicalDeclarations(envRec, declarations) {
+	var i, len, name;
+	for (i = 0, len = declarations.length; i < len; i++) {
+		name = declarations[i].name;
+		if (!envRec.hasBinding(name)) {
+			if (declarations[i].isConstant) {
+				envRec.createImmutableBinding(name);
+			} else {
+				envRec.createMutableBinding(name);
 			}
+			envRec._bindings[name].isLexical = true;
+			envRec._bindings[name].isInitialized = false;
 		}
+	}
+}
 
-		// Steps 5-7
-		if (type(value) === 'Null') {
-			return 'null';
-		} else if (value.value === false) {
-			return 'false';
-		} else if (value.value === true) {
-			return 'true';
+/**
+ * Binds the let and const declarations at the top level of global, module, or eval code. These are bound in a new
+ * declarative environment, rather than in the variable environment, so that they do not become properties of the global
+ * or module object.
+ *
+ * @private
+ */
+function bindTopLevelLexicalDeclarations(context, statements) {
+	var declarations = findLexicalDeclarations(statements);
+	if (declarations.length) {
+		context.lexicalEnvironment = newDeclarativeEnvironment(context.lexicalEnvironment);
+		bindLexicalDeclarations(context.lexicalEnvironment.envRec, declarations);
+	}
+}
+
+/**
+ * Enters the block scope for a list of statements. If the statements contain let or const declarations, a new
+ * declarative environment is created for them, and any function declarations in the statements are recreated in it so
+ * that they can see the declarations. Otherwise no environment is created, the same as in ECMAScript 5.
+ *
+ * @method
+ * @name module:Base.enterBlockScope
+ * @param {Array[{@link module:AST.node}]} statements The statements in the block
+ * @returns {module:Base.LexicalEnvironment|undefined} The lexical environment to restore when the block is exited, or
+ *		undefined if no environment was created
+ * @see ECMA-262 6th Edition Chapter 13.2.13
+ */
+exports.enterBlockScope = enterBlockScope;
+function enterBlockScope(statements) {
+	var declarations = findLexicalDeclarations(statements),
+		context = getCurrentContext(),
+		previousEnvironment = context.lexicalEnvironment,
+		envRec,
+		i, len,
+		fn;
+
+	if (!declarations.length) {
+		return;
+	}
+
+	context.lexicalEnvironment = newDeclarativeEnvironment(previousEnvironment);
+	envRec = context.lexicalEnvironment.envRec;
+	bindLexicalDeclarations(envRec, declarations);
+
+	for (i = 0, len = statements.length; i < len; i++) {
+		if (statements[i].className === 'AST_Defun') {
+			fn = statements[i].name.name;
+			if (!envRec.hasBinding(fn)) {
+				envRec.createMutableBinding(fn);
+			}
+			envRec.initializeBinding(fn, statements[i]._funcObject = processFunctionDefinition(statements[i]));
 		}
+	}
 
-		// Step 8
-		if (type(value) === 'String') {
-			return quote(value.value);
+	return previousEnvironment;
+}
+
+/**
+ * Exits a block scope entered with {@link module:Base.enterBlockScope}
+ *
+ * @method
+ * @name module:Base.exitBlockScope
+ * @param {module:Base.LexicalEnvironment|undefined} previousEnvironment The value returned by
+ *		{@link module:Base.enterBlockScope}
+ */
+exports.exitBlockScope = exitBlockScope;
+function exitBlockScope(previousEnvironment) {
+	if (previousEnvironment) {
+		getCurrentContext().lexicalEnvironment = previousEnvironment;
+	}
+}
+
+/**
+ * Replaces the current block scope with a copy of itself, so that closures created in one iteration of a for loop that
+ * declares let variables do not see the changes made in later iterations
+ *
+ * @method
+ * @name module:Base.createPerIterationEnvironment
+ * @see ECMA-262 6th Edition Chapter 13.7.4.9
+ */
+exports.createPerIterationEnvironment = createPerIterationEnvironment;
+function createPerIterationEnvironment() {
+	var context = getCurrentContext(),
+		lastEnvironment = context.lexicalEnvironment,
+		newEnvironment = newDeclarativeEnvironment(lastEnvironment.outer),
+		bindings = lastEnvironment.envRec._bindings,
+		name;
+	for (name in bindings) {
+		newEnvironment.envRec._bindings[name] = {
+			value: bindings[name].value,
+			isDeletable: bindings[name].isDeletable,
+			isMutable: bindings[name].isMutable,
+			isInitialized: bindings[name].isInitialized,
+			isLexical: bindings[name].isLexical
+		};
+	}
+	newEnvironment.envRec._ambiguousContext = lastEnvironment.envRec._ambiguousContext;
+	context.lexicalEnvironment = newEnvironment;
+}
+
+/**
+ * @private
+ */
+function processFunctionDefinition(node) {
+
+	var identifier = node.name.name,
+		formalParameterList = [],
+		context = getCurrentContext(),
+		strict = context.strict || RuleProcessor.isBlockStrict(node),
+		functionObject,
+		i,
+		len;
+
+	RuleProcessor.fireRuleEvent(node, {}, false);
+	RuleProcessor.logRule('AST_Defun', identifier);
+
+	node.name._visited = true;
+	node.name._skipped = false;
+
+	for (i = 0, len = node.argnames.length; i < len; i++) {
+		node.argnames[i]._visited = true;
+		node.argnames[i]._skipped = false;
+		if (node.argnames[i].TYPE !== 'SymbolRest') {
+			formalParameterList.push(node.argnames[i].name);
 		}
+	}
 
-		// Step 9
-		if (type(value) === 'Number') {
-			if (isFinite(value.value)) {
-				return toString(value).value;
-			} else {
-				return 'null';
+	try {
+		if (strict) {
+			if (identifier === 'eval' || identifier === 'arguments') {
+				handleRecoverableNativeException('SyntaxError', identifier + ' is not a valid identifier name');
+				throw 'Unknown';
+			}
+			for (i = 0, len = formalParameterList.length; i < len; i++) {
+				if (formalParameterList[i] === 'eval' || formalParameterList[i] === 'arguments') {
+					handleRecoverableNativeException('SyntaxError', formalParameterList[i] + ' is not a valid identifier name');
+					throw 'Unknown';
+				}
+				if (formalParameterList.indexOf(formalParameterList[i], i + 1) !== -1) {
+					handleRecoverableNativeException('SyntaxError', 'Duplicate parameter names are not allowed in strict mode');
+					throw 'Unknown';
+				}
 			}
 		}
 
-		// Step 10
-		if (type(value) === 'Unknown') {
-			throw 'Unknown';
-		}
-		if (type(value) === 'Object' && isCallable(value)) {
-			if (value.className === 'Array') {
-				return ja(value);
-			}
-			return jo(value);
-		}
+		functionObject = new FunctionType(formalParameterList, node, context.lexicalEnvironment, strict);
+		functionObject._location = {
+			filename: node.start.file,
+			line: node.start.line,
+			column: node.start.column
+		};
+		functionObject._ast = node;
+	} catch(e) {
+		if (e === 'Unknown') {
+			functionObject = new UnknownType();
+		} else {
+			throw e;
+		}
+	}
+
+	RuleProcessor.fireRuleEvent(node, {
+		identifier: identifier,
+		formalParameterList: formalParameterList,
+		strict: strict,
+		functionObject: functionObject
+	}, true);
+
+	return functionObject;
+}
+
+/**
+ * Creates the global context
+ *
+ * @method
+ * @name module:Base.createGlobalContext
+ * @returns {module:Base.ExecutionContext} The new global execution context
+ * @see ECMA-262 Spec Chapter 10.4.1 and Chapter 10.5
+ */
+exports.createGlobalContext = createGlobalContext;
+function createGlobalContext(strict) {
+
+	// Create the context
+	globalObject = new ObjectType();
+	var env = newObjectEnvironment(globalObject),
+		executionContext = new ExecutionContext(
+			env,
+			env,
+			globalObject,
+			strict);
+	globalObject._closure = globalObject;
+	enterContext(executionContext);
+
+	// Return the context
+	return executionContext;
+}
+
+/**
+ * Creates a new, empty set of execution contexts
+ *
+ * @method
+ * @private
+ */
+function createContextState() {
+	return {
+		globalObject: undefined,
+		contextStack: [],
+		functionContextCount: 0,
+		tryCatch: 0,
+		skippedModeCounter: 0,
+		skippedContextStack: undefined
+	};
+}
+
+/**
+ * Gets the current execution contexts and global object
+ *
+ * @method
+ * @private
+ */
+function getContextState() {
+	return {
+		globalObject: globalObject,
+		contextStack: contextStack,
+		functionContextCount: functionContextCount,
+		tryCatch: tryCatch,
+		skippedModeCounter: skippedModeCounter,
+		skippedContextStack: skippedContextStack
+	};
+}
+
+/**
+ * Replaces the current execution contexts and global object
+ *
+ * @method
+ * @private
+ */
+function setContextState(state) {
+	globalObject = state.globalObject;
+	contextStack = state.contextStack;
+	functionContextCount = state.functionContextCount;
+	tryCatch = state.tryCatch;
+	skippedModeCounter = state.skippedModeCounter;
+	skippedContextStack = state.skippedContextStack;
+}
+
+/**
+ * Initializes the global context with its AST. This must happen AFTER Base.init() is called
+ *
+ * @method
+ * @name module:Base.initGlobalAST
+ * @param {module:AST.node} ast The AST associated with this global context
+ */
+exports.initGlobalAST = initGlobalAST;
+function initGlobalAST(ast) {
+	var globalContext = getGlobalContext(),
+		result = findDeclarations(ast, globalContext),
+		functions = result.functions,
+		variables = result.variables,
+		env = globalContext.variableEnvironment.envRec,
+		strict = RuleProcessor.isBlockStrict(ast),
+		i, len,
+		fn,
+		fo,
+		funcAlreadyDeclared,
+		configurableBindings = false,
+		existingProp,
+		descriptor,
+		dn,
+		varAlreadyDeclared;
+
+	// Bind the let and const declarations
+	bindTopLevelLexicalDeclarations(globalContext, ast.body);
+
+	// Find all of the function declarations and bind them
+	for (i = 0, len = functions.length; i < len; i++) {
+		fn = functions[i].name.name;
+		fo = functions[i]._funcObject = processFunctionDefinition(functions[i]);
+		funcAlreadyDeclared = env.hasBinding(fn);
+
+		if (!funcAlreadyDeclared) {
+			env.createMutableBinding(fn, configurableBindings);
+		} else if (env === getGlobalContext().variableEnvironment.envRec) {
+			existingProp = globalObject.getProperty(fn);
+			if (existingProp.configurable) {
+				descriptor = new DataPropertyDescriptor();
+				descriptor.writable = true;
+				descriptor.enumerable = true;
+				descriptor.configurable = configurableBindings;
+				globalObject.defineOwnProperty(fn, descriptor, true);
+			} else if (isAccessorDescriptor(existingProp) || (existingProp.writable !== true &&
+					existingProp.enumerable !== true)) {
+				throwNativeException('TypeError', fn +
+					' is not a valid identifier name because a non-writable identifier with that name already exists');
+			}
+		}
+
+		env.setMutableBinding(fn, fo, strict);
+	}
+
+	// Find all of the variable declarations and bind them
+	for (i = 0, len = variables.length; i < len; i++) {
+		dn = variables[i].variableName,
+		varAlreadyDeclared = env.hasBinding(dn);
+
+		if (!varAlreadyDeclared) {
+			env.createMutableBinding(dn, configurableBindings);
+			env.setMutableBinding(dn, new UndefinedType(), strict);
+		}
+	}
+}
+
+/**
+ * Creates a module context
+ *
+ * @method
+ * @name module:Base.createGlobalContext
+ * @param {module:AST.node} ast The AST associated with this global context
+ * @returns {module:Base.ExecutionContext} The new global execution context
+ * @see ECMA-262 Spec Chapter 10.4.1 and Chapter 10.5
+ */
+exports.createModuleContext = createModuleContext;
+function createModuleContext(ast, strict, createExports, ambiguous) {
+
+	// Create the context
+	var globalObject = new ObjectType(),
+		env = newObjectEnvironment(globalObject, getGlobalContext().variableEnvironment),
+		configurableBindings = false,
+		executionContext = new ExecutionContext(
+			env,
+			env,
+			globalObject,
+			strict),
+		len, i,
+		functions, variables, result,
+		fn, fo,
+		funcAlreadyDeclared,
+		existingProp,
+		descriptor,
+		dn,
+		varAlreadyDeclared,
+		exportsObject;
+	env.envRec._ambiguousContext = !!ambiguous;
+	enterContext(executionContext);
+	env = executionContext.variableEnvironment.envRec;
+
+	result = findDeclarations(ast, executionContext);
+	functions = result.functions;
+	variables = result.variables;
+
+	if (createExports) {
+		exportsObject = new ObjectType(),
+		globalObject.put('exports', exportsObject, false);
+		env.createMutableBinding('module', true);
+		env.setMutableBinding('module', globalObject);
+	}
+
+	// Bind the let and const declarations
+	bindTopLevelLexicalDeclarations(executionContext, ast.body);
+
+	// Find all of the function declarations and bind them
+	for (i = 0, len = functions.length; i < len; i++) {
+		fn = functions[i].name.name;
+		fo = functions[i]._funcObject = processFunctionDefinition(functions[i]);
+		funcAlreadyDeclared = env.hasBinding(fn);
+
+		if (!funcAlreadyDeclared) {
+			env.createMutableBinding(fn, configurableBindings);
+		} else if (env === getGlobalContext().variableEnvironment.envRec) {
+			existingProp = globalObject.getProperty(fn);
+			if (existingProp.configurable) {
+				descriptor = new DataPropertyDescriptor();
+				descriptor.writable = true;
+				descriptor.enumerable = true;
+				descriptor.configurable = configurableBindings;
+				globalObject.defineOwnProperty(fn, descriptor, true);
+			} else if (isAccessorDescriptor(existingProp) || (existingProp.writable !== true &&
+					existingProp.enumerable !== true)) {
+				throwNativeException('TypeError', fn +
+					' is not a valid identifier name because a non-writable identifier with that name already exists');
+			}
+		}
+
+		env.setMutableBinding(fn, fo, strict);
+	}
+
+	// Find all of the variable declarations and bind them
+	for (i = 0, len = variables.length; i < len; i++) {
+		dn = variables[i].variableName,
+		varAlreadyDeclared = env.hasBinding(dn);
+
+		if (!varAlreadyDeclared) {
+			env.createMutableBinding(dn, configurableBindings);
+			env.setMutableBinding(dn, new UndefinedType(), strict);
+		}
+	}
+
+	// Return the context
+	return executionContext;
+}
+
+/**
+ * Creates an eval context
+ *
+ * @method
+ * @name module:Base.createEvalContext
+ * @param {module:Base.ExecutionContext|undefined} callingContext The context that is evaling code
+ * @param {module:AST.node} code The code associated with this eval context
+ * @returns {module:Base.ExecutionContext} The new eval execution context
+ * @see ECMA-262 Spec Chapter 10.4.2 and Chapter 10.5
+ */
+exports.createEvalContext = createEvalContext;
+function createEvalContext(callingContext, code, strict, isDirectEval) {
+
+	var executionContext,
+		env,
+		configurableBindings = true,
+		len, i,
+		result,
+		functions,
+		variables,
+		fn,
+		fo,
+		funcAlreadyDeclared,
+		existingProp,
+		descriptor,
+		dn,
+		varAlreadyDeclared;
+
+	// Create or set the execution context
+	if (!callingContext || !isDirectEval) {
+		callingContext = getModuleContext();
+	}
+	executionContext = new ExecutionContext(
+		callingContext.lexicalEnvironment,
+		callingContext.variableEnvironment,
+		callingContext.thisBinding,
+		callingContext.strict || strict
+	);
+	enterContext(executionContext);
+
+	// Create the inner lexical environment if this is strict mode code
+	if (executionContext.strict) {
+		executionContext.variableEnvironment = executionContext.lexicalEnvironment =
+			newDeclarativeEnvironment(executionContext.lexicalEnvironment);
+	}
+
+	// Bind the function and variable declarations to the global context
+	env = executionContext.variableEnvironment.envRec;
+	result = findDeclarations(code, executionContext);
+	functions = result.functions;
+	variables = result.variables;
+
+	// Bind the let and const declarations
+	bindTopLevelLexicalDeclarations(executionContext, code.body);
+
+	// Find all of the function declarations and bind them
+	for (i = 0, len = functions.length; i < len; i++) {
+		fn = functions[i].name.name;
+		fo = functions[i]._funcObject = processFunctionDefinition(functions[i]);
+		funcAlreadyDeclared = env.hasBinding(fn);
+
+		if (!funcAlreadyDeclared) {
+			env.createMutableBinding(fn, configurableBindings);
+		} else if (env === getGlobalContext().variableEnvironment.envRec) {
+			existingProp = globalObject.getProperty(fn);
+			if (existingProp.configurable) {
+				descriptor = new DataPropertyDescriptor();
+				descriptor.writable = true;
+				descriptor.enumerable = true;
+				descriptor.configurable = configurableBindings;
+				globalObject.defineOwnProperty(fn, descriptor, true);
+			} else if (isAccessorDescriptor(existingProp) || (existingProp.writable !== true &&
+					existingProp.enumerable !== true)) {
+				throwNativeException('TypeError', fn +
+					' is not a valid identifier name because a non-writable identifier with that name already exists');
+			}
+		}
+
+		env.setMutableBinding(fn, fo, executionContext.strict);
+	}
+
+	// Find all of the variable declarations and bind them
+	for (i = 0, len = variables.length; i < len; i++) {
+		dn = variables[i].variableName;
+		varAlreadyDeclared = env.hasBinding(dn);
+
+		if (!varAlreadyDeclared) {
+			env.createMutableBinding(dn, configurableBindings);
+			env.setMutableBinding(dn, new UndefinedType(), executionContext.strict);
+		}
+	}
+
+	return executionContext;
+}
+
+/**
+ * Gets the global object
+ *
+ * @method
+ * @name module:Runtime.getGlobalObject
+ * @returns {module:Base.ObjectType} The global object
+ */
+exports.getGlobalObject = getGlobalObject;
+function getGlobalObject() {
+	return globalObject;
+}
+
+/**
+ * Enters an ambiguous block in the current context
+ *
+ * @method
+ * @name module:Base.enterAmbiguousBlock
+ * @param {String} [reason] Why the block is ambiguous, used as the reason for values that become unknown because they
+ *		are written in the block. Defaults to 'ambiguous-branch merge'
+ * @param {module:Base.BaseType} [condition] The unknown condition that made the block ambiguous, if there is one
+ */
+exports.enterAmbiguousBlock = enterAmbiguousBlock;
+function enterAmbiguousBlock(reason, condition) {
+	var context = getCurrentContext();
+	context._ambiguousBlock++;
+	context._ambiguousBlockCauses.push({
+		reason: reason,
+		condition: condition
+	});
+}
+
+/**
+ * Exits an ambiguous block in the current context
+ *
+ * @method
+ * @name module:Base.exitAmbiguousBlock
+ */
+exports.exitAmbiguousBlock = exitAmbiguousBlock;
+function exitAmbiguousBlock() {
+	var context = getCurrentContext();
+	context._ambiguousBlock--;
+	context._ambiguousBlockCauses.pop();
+}
+
+/**
+ * Checks if the current block in the current context is ambiguous
+ *
+ * @method
+ * @name module:Base.isAmbiguousBlock
+ */
+exports.isAmbiguousBlock = isAmbiguousBlock;
+function isAmbiguousBlock() {
+	return !!getCurrentContext()._ambiguousBlock;
+}
+
+/**
+ * Gets why the current block in the current context is ambiguous. If ambiguous blocks are nested, the outermost block
+ * with a reason is used, since it is usually what made the inner blocks ambiguous too.
+ *
+ * @method
+ * @name module:Base.getAmbiguousBlockCause
+ * @returns {Object} The cause, containing the 'reason', which is 'ambiguous-branch merge' if no reason was given when
+ *		entering the blocks, and the unknown 'conditions' of the blocks
+ */
+exports.getAmbiguousBlockCause = getAmbiguousBlockCause;
+function getAmbiguousBlockCause() {
+	var causes = getCurrentContext()._ambiguousBlockCauses,
+		reason,
+		conditions = [],
+		i, len;
+	for (i = 0, len = causes.length; i < len; i++) {
+		reason = reason || causes[i].reason;
+		if (causes[i].condition) {
+			conditions.push(causes[i].condition);
+		}
+	}
+	return {
+		reason: reason || 'ambiguous-branch merge',
+		conditions: conditions
+	};
+}
+
+/**
+ * Checks if the code that called the currently executing native function is in an ambiguous block. Native functions are
+ * run in their own context, so {@link module:Base.isAmbiguousBlock} always returns false inside of them.
+ *
+ * @method
+ * @name module:Base.isCallerInAmbiguousBlock
+ */
+exports.isCallerInAmbiguousBlock = isCallerInAmbiguousBlock;
+function isCallerInAmbiguousBlock() {
+	var callerContext = contextStack[contextStack.length - 2];
+	return !!(callerContext && callerContext._ambiguousBlock);
+}
+
+/**
+ * Enters a skipped mode
+ *
+ * @method
+ */
+exports.enterSkippedMode = enterSkippedMode;
+function enterSkippedMode() {
+	/*var i, len;
+	if (!skippedModeCounter) {
+		skippedContextStack = [];
+		for (i = 0, len = contextStack.length; i < len; i++) {
+			skippedContextStack[i] = cloneContext(contextStack[i]);
+		}
+	}
+	skippedModeCounter++;*/
+}
+
+/**
+ * Exits a skipped block
+ *
+ * @method
+ */
+exports.exitSkippedMode = exitSkippedMode;
+function exitSkippedMode() {
+	skippedModeCounter--;
+}
+
+/**
+ * Checks if we are skipped block
+ *
+ * @method
+ */
+exports.isSkippedMode = isSkippedMode;
+function isSkippedMode() {
+	return !!skippedModeCounter;
+}
+
+/**
+ * Enters the current try catch block
+ *
+ * @method
+ * @name module:Base.enterTryCatch
+ */
+exports.enterTryCatch = enterTryCatch;
+function enterTryCatch() {
+	tryCatch++;
+}
+
+/**
+ * Exits the current try catch block
+ *
+ * @method
+ * @name module:Base.exitTryCatch
+ */
+exports.exitTryCatch = exitTryCatch;
+function exitTryCatch() {
+	tryCatch--;
+}
+
+/**
+ * Checks if we are currently in a try-catch block
+ *
+ * @method
+ * @name module:Base.inTryCatch
+ */
+exports.inTryCatch = inTryCatch;
+function inTryCatch() {
+	return !!tryCatch;
+}
+
+/**
+ * Gets the current execution context
+ *
+ * @method
+ * @name module:Base.getCurrentContext
+ * @returns {module:Base.ExecutionContext} The current execution context
+ */
+exports.getCurrentContext = getCurrentContext;
+function getCurrentContext() {
+	return contextStack[contextStack.length - 1];
+}
+
+/**
+ * Enters the given file, from a runtime perspective, i.e. if file a requires file b and calls foo in b from a, then the
+ * current file becomes b, even though a is the current file being processed
+ *
+ * @method
+ * @name module:Base.enterContext
+ * @param {String} file The name of the file to enter
+ */
+exports.enterContext = enterContext;
+function enterContext(context) {
+	Runtime.log('trace', 'Entering new context');
+	contextStack.push(context);
+	if (context.isFunctionContext) {
+		functionContextCount++;
+	}
+}
+
+/**
+ * Exits the current file, from a runtime perspective
+ *
+ * @method
+ * @name module:Base.exitContext
+ */
+exports.exitContext = exitContext;
+function exitContext() {
+	Runtime.log('trace', 'Exiting context');
+	var context = contextStack.pop();
+	if (context.isFunctionContext) {
+		functionContextCount--;
+	}
+	return context;
+}
+
+/**
+ * Returns whether or not we are in a function context (i.e. not in global scope)
+ *
+ * @method
+ * @name module:Base.inFunctionContext
+ * @returns {Boolean} Whether or not we are in a function context
+ */
+exports.inFunctionContext = inFunctionContext;
+function inFunctionContext() {
+	return !!functionContextCount;
+}
+
+/**
+ * Gets the global execution context
+ *
+ * @method
+ * @name module:Base.getGlobalContext
+ * @returns {module:Base.ExecutionContext} The global execution context
+ */
+exports.getGlobalContext = getGlobalContext;
+function getGlobalContext() {
+	return contextStack[0];
+}
+
+/**
+ * Gets the module object of the current module context (i.e. the 'global' object associated with this module)
+ *
+ * @method
+ * @name module:Base.getModuleContext
+ * @returns {module:Base.ObjectType} The module object
+ */
+exports.getModuleContext = getModuleContext;
+function getModuleContext() {
+	return contextStack[1] || contextStack[0];
+}
+
+Object.defineProperty(exports, 'globalObject', {
+	get: function () {},
+	enumerable: true,
+	configurable: true
+});
+
+/**
+ * ECMA-262 Spec: <em>When control enters an execution context for function code, an arguments object is created unless
+ * (as specified in 10.5) the identifier arguments occurs as an Identifier in the function‘s FormalParameterList or
+ * occurs as the Identifier of a VariableDeclaration or FunctionDeclaration contained in the function code.</em>
+ *
+ * @method
+ * @name module:Base.createArgumentsObject
+ * @param {module:Base.FunctionType} func ECMA-262 Spec: <em>the function object whose code is to be evaluated</em>
+ * @param {Array[String]} names ECMA-262 Spec: <em>a List containing the function‘s formal parameter names</em>
+ * @param {Array[{@link module:Base.BaseType}]} args ECMA-262 Spec: <em>the actual arguments passed to the [[call]] internal method</em>
+ * @param {module:Base.LexicalEnvironment} env ECMA-262 Spec: <em>the variable environment for the function code</em>
+ * @param {Boolean} strict ECMA-262 Spec: <em>a Boolean that indicates whether or not the function code is strict code</em>
+ * @returns {module:Base.ObjectType} The arguments object
+ * @see ECMA-262 Spec Chapter 10.4.2 and Chapter 10.6
+ * @name module:Base.createArgumentsObject
+ */
+function createArgumentsObject(func, names, args, env, strict) {
+	var len = args.length,
+		obj = new ObjectType(),
+		map = new ObjectType(),
+		mappedNames = [],
+		indx = len - 1,
+		val,
+		name;
+
+	obj.className = 'Arguments';
+	obj.defineOwnProperty('length', {
+		value: new NumberType(len),
+		writable: true,
+		enumerable: false,
+		configurable: true
+	}, false, true);
+
+	while (indx >= 0) {
+		val = args[indx];
+		obj.defineOwnProperty(indx, {
+			value: val,
+			writable: true,
+			enumerable: true,
+			configurable: true
+		}, false, true);
+		if (indx < names.length) {
+			name = names[indx];
+			if (!strict && !bindingExists(mappedNames, name)) {
+				mappedNames.push(name);
+				map.defineOwnProperty(indx, {
+					// Note: we have to do this crazy parse since returns aren't allowedin global scope
+					get: new FunctionType([], AST.parseString('function temp () { return ' + name + '; }').body[0], env, true),
+					set: new FunctionType([name + '_arg'], AST.parseString(name + ' = ' + name + '_arg;'), env, true),
+					configurable: true
+				}, false, true);
+			}
+		}
+		indx--;
+	}
+
+	if (mappedNames.length) {
+		obj.parameterMap = map;
+
+		obj.get = function get(p) {
+			var isMapped = map.getOwnProperty(p),
+				v;
+			if (isMapped) {
+				return map.get(p);
+			} else {
+				v = ObjectType.prototype.get.call(obj, p);
+				if (p === 'callee' && v.className === 'Function' && v.strict) {
+					throwNativeException('TypeError', 'Invalid identifier ' + p);
+				}
+				return v;
+			}
+		};
+
+		obj.getOwnProperty = function getOwnProperty(p, suppressEvent) {
+			var desc = ObjectType.prototype.getOwnProperty.call(obj, p, suppressEvent),
+				isMapped;
+
+			if (!desc) {
+				return;
+			}
+
+			isMapped = map.getOwnProperty(p);
+			if (isMapped) {
+				desc.value = map.get(p);
+			}
+			return desc;
+		};
+
+		obj.defineOwnProperty = function defineOwnProperty(p, desc, throwFlag, suppressEvent) {
+			var isMapped = map.getOwnProperty(p, suppressEvent),
+				allowed = ObjectType.prototype.defineOwnProperty.call(obj, p, desc, throwFlag, suppressEvent);
+
+			if (!allowed) {
+				if (throwFlag) {
+					throwNativeException('TypeError', 'Cannot define property ' + p);
+				}
+				return false;
+			}
+
+			if (isMapped) {
+				if (isAccessorDescriptor(desc)) {
+					map['delete'](p, false);
+				} else {
+					if (desc.value) {
+						map.put(p, desc.value, throwFlag, true);
+					}
+					if (desc.writable === false) {
+						map['delete'](p, false);
+					}
+				}
+			}
+		};
+
+		obj['delete'] = function (p, throwFlag) {
+			var isMapped = map.getOwnProperty(p),
+				result = ObjectType.prototype['delete'].call(obj, p, throwFlag);
+			if (result && isMapped) {
+				map['delete'](p, false);
+			}
+			return result;
+		};
+	}
+
+	if (strict) {
+		obj.defineOwnProperty('caller', {
+			get: throwTypeError,
+			set: throwTypeError,
+			enumerable: false,
+			configurable: false
+		}, false, true);
+		obj.defineOwnProperty('callee', {
+			get: throwTypeError,
+			set: throwTypeError,
+			enumerable: false,
+			configurable: false
+		}, false, true);
+	} else {
+		obj.defineOwnProperty('callee', {
+			value: func,
+			writable: true,
+			enumerable: false,
+			configurable: true
+		}, false, true);
+	}
+
+	return obj;
+}
+
+/**
+ * Creates a function context
+ *
+ * @method
+ * @name module:Base.createFunctionContext
+ * @param {module:Base.ObjectType} functionObject The function object of the context to be created.
+ * @param {module:Base.ObjectType} thisArg The object to bind the this pointer to
+ * @param {Array} argumentsList The list of function arguments
+ * @returns {module:Base.ExecutionContext} The new global execution context
+ * @see ECMA-262 Spec Chapter 10.4.3 and Chapter 10.5
+ */
+exports.createFunctionContext = createFunctionContext;
+function createFunctionContext(functionObject, thisArg, argumentsList, scope) {
+
+	// Create the context
+	var env = newDeclarativeEnvironment(scope || functionObject.scope),
+		configurableBindings = false,
+		strict = functionObject.strict,
+		executionContext,
+		len, i,
+		arg, argName,
+		functions, variables, result,
+		thisArgType = type(thisArg),
+		thisBinding,
+		fn,
+		fo,
+		funcAlreadyDeclared,
+		existingProp,
+		descriptor,
+		argsObj,
+		restArray,
+		dn,
+		varAlreadyDeclared;
+
+	// Create the this binding. Arrow functions use the this binding of the context they were created in
+	if (functionObject.lexicalThis) {
+		thisBinding = functionObject.lexicalThis;
+	} else if (functionObject.strict) {
+		thisBinding = thisArg;
+	} else if (thisArgType === 'Null' || thisArgType === 'Undefined') {
+		thisBinding = getGlobalContext().thisBinding;
+	} else if (thisArgType !== 'Object') {
+		thisBinding = toObject(thisArg);
+	} else {
+		thisBinding = thisArg;
+	}
+
+	// Create the execution context and find declarations inside of it
+	executionContext = new ExecutionContext(env, env, thisBinding, strict);
+	executionContext.isFunctionContext = true;
+	enterContext(executionContext);
+	env = executionContext.variableEnvironment.envRec;
+	result = findDeclarations(AST.createBodyContainer(functionObject.code), executionContext);
+	functions = result.functions;
+	variables = result.variables;
+
+	// Initialize the arguments
+	for (i = 0, len = functionObject.formalParameters.length; i < len; i++) {
+		arg = argumentsList[i];
+		argName = functionObject.formalParameters[i];
+		if (!arg) {
+			arg = new UndefinedType();
+		}
+		if (!env.hasBinding(argName)) {
+			env.createMutableBinding(argName);
+		}
+		env.setMutableBinding(argName, arg, strict);
+	}
+
+	// Collect the remaining arguments into the rest parameter, if there is one
+	if (functionObject.restParameter) {
+		restArray = new ArrayType();
+		for (i = functionObject.formalParameters.length, len = argumentsList.length; i < len; i++) {
+			restArray.put(i - functionObject.formalParameters.length, argumentsList[i], false);
+		}
+		if (!env.hasBinding(functionObject.restParameter)) {
+			env.createMutableBinding(functionObject.restParameter);
+		}
+		env.setMutableBinding(functionObject.restParameter, restArray, strict);
+	}
+
+	// Bind the let and const declarations
+	bindLexicalDeclarations(env, findLexicalDeclarations(functionObject.code || []));
+
+	// Find all of the function declarations and bind them
+	for (i = 0, len = functions.length; i < len; i++) {
+		fn = functions[i].name.name;
+		fo = functions[i]._funcObject = processFunctionDefinition(functions[i]);
+		funcAlreadyDeclared = env.hasBinding(fn);
+
+		if (!funcAlreadyDeclared) {
+			env.createMutableBinding(fn, configurableBindings);
+		} else if (env === getGlobalContext().variableEnvironment.envRec) {
+			existingProp = globalObject.getProperty(fn);
+			if (existingProp.configurable) {
+				descriptor = new DataPropertyDescriptor();
+				descriptor.writable = true;
+				descriptor.enumerable = true;
+				descriptor.configurable = configurableBindings;
+				globalObject.defineOwnProperty(fn, descriptor, true);
+			} else if (isAccessorDescriptor(existingProp) || (existingProp.writable !== true &&
+					existingProp.enumerable !== true)) {
+				throwNativeException('TypeError', fn +
+					' is not a valid identifier name because a non-writable identifier with that name already exists');
+			}
+		}
+
+		env.setMutableBinding(fn, fo, strict);
+	}
+
+	// Initialize the arguments variable. Arrow functions see the arguments of the function they were created in
+	if (!functionObject.lexicalThis && !env.hasBinding('arguments')) {
+		argsObj = createArgumentsObject(functionObject, functionObject.formalParameters, argumentsList, executionContext.variableEnvironment, strict);
+		if (strict) {
+			env.createImmutableBinding('arguments');
+			env.initializeImmutableBinding('arguments', argsObj);
+		} else {
+			env.createMutableBinding('arguments');
+			env.setMutableBinding('arguments', argsObj, false);
+		}
+	}
+
+	// Find all of the variable declarations and bind them
+	for (i = 0, len = variables.length; i < len; i++) {
+		dn = variables[i].variableName;
+		varAlreadyDeclared = env.hasBinding(dn);
+
+		if (!varAlreadyDeclared) {
+			env.createMutableBinding(dn, configurableBindings);
+			env.setMutableBinding(dn, new UndefinedType(), strict);
+		}
+	}
+
+	// Return the context
+	return executionContext;
+}
+
+/**
+ * Wras a native call method and provides necessary context setup and cleanup
+ *
+ * @method
+ * @returns {Function} The new function to wrap
+ */
+exports.wrapNativeCall = wrapNativeCall;
+function wrapNativeCall (func, isConstructor) {
+
+	return function (thisVal) {
+
+		// Create the context
+		var env = newDeclarativeEnvironment(getCurrentContext().lexicalEnvironment),
+			executionContext = new ExecutionContext(env, env, isConstructor ? getModuleContext().thisBinding : thisVal, false),
+			result;
+
+		executionContext.isFunctionContext = true;
+		enterContext(executionContext);
+
+		try {
+			result = func.apply(this, arguments);
+		} finally {
+			exitContext();
+		}
+
+		// Unknown results of built-in functions may still have a known type
+		if (!isConstructor && this._resultType && type(result) === 'Unknown' && !result.typeInfo) {
+			result = createTypedUnknown(getResultTypeInfo(this, getTypeInfo(thisVal)), result);
+		}
+
+		return result;
+	};
+}
+
+/*global
+AST,
+recordImpureOperation,
+Runtime,
+RuleProcessor,
+FunctionTypeBase,
+util,
+areAnyUnknown,
+UnknownType,
+type,
+handleRecoverableNativeException,
+createEvalContext,
+UndefinedType,
+throwNativeException,
+toString,
+toInt32,
+NumberType,
+BooleanType,
+toNumber,
+StringType,
+ObjectType,
+addReadOnlyProperty,
+addNonEnumerableProperty,
+NullType,
+ArrayType,
+isCallable,
+toInteger,
+toUint32,
+isUndefined,
+wrapNativeCall,
+inTryCatch,
+getCurrentContext,
+createUnknownOrigin,
+randomState
+*/
+
+/*****************************************
+ *
+ * Global methods and objects
+ *
+ *****************************************/
+
+/**
+ * eval method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.1.2.1
+ */
+function EvalFunction(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(EvalFunction, FunctionTypeBase);
+EvalFunction.prototype.callFunction = function callFunction(thisVal, args, options) {
+
+	// Variable declarations
+	var x = args[0],
+		ast,
+		result,
+		filename = (options && options.filename) || Runtime.getCurrentLocation().filename;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Step 1
+	if (!x) {
+		return new UndefinedType();
+	}
+	if (type(x) !== 'String') {
+		return x;
+	}
+
+	// Step 2
+	ast = AST.parseString(x.value, filename);
+	if (ast.syntaxError) {
+		if (!inTryCatch() && Runtime.options.nativeExceptionRecovery && !Runtime.options.exactMode) {
+			Runtime.reportUglifyError(ast);
+			return new UnknownType();
+		} else {
+			throwNativeException('SyntaxError', ast.message);
+		}
+	}
+
+	// Step 3
+	createEvalContext(getCurrentContext(), ast, RuleProcessor.isBlockStrict(ast), options && options.isDirectEval);
+
+	// Step 4
+	try {
+		result = ast.processRule();
+	} finally {
+		// Step 5
+		exitContext();
+	}
+
+	// Step 6
+	if (result[0] === 'normal') {
+		return result[1] ? result[1] : new UndefinedType();
+	} else {
+		if (result[1]) {
+			if (result[1].className.match('Error$')) {
+				throwNativeException(result[1].get('name'), result[1].get('message'));
+			} else {
+				throwNativeException('Error', toString(result[1]).value);
+			}
+		} else {
+			throwNativeException('Error', 'Missing throw value');
+		}
+	}
+};
+
+/**
+ * parseInt method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.1.2.2
+ */
+function ParseIntFunction(className) {
+	FunctionTypeBase.call(this, 2, className || 'Function');
+}
+util.inherits(ParseIntFunction, FunctionTypeBase);
+ParseIntFunction.prototype._resultType = { type: 'Number' };
+ParseIntFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var string,
+		radix,
+		s,
+		r;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Steps 1, 2, and 6
+	string = args[0];
+	radix = args[1];
+	s = toString(string).value.trim();
+	r = radix && type(radix) !== 'Undefined' ? toInt32(radix).value : undefined;
+
+	// Use the built-in method to perform the parseInt
+	return new NumberType(parseInt(s, r));
+});
+
+/**
+ * parseFloat method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.1.2.3
+ */
+function ParseFloatFunction(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(ParseFloatFunction, FunctionTypeBase);
+ParseFloatFunction.prototype._resultType = { type: 'Number' };
+ParseFloatFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var string,
+		s;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Steps 1 and 2
+	string = args[0];
+	s = toString(string).value.trim();
+
+	// Use the built-in method to perform the parseFloat
+	return new NumberType(parseFloat(s));
+});
+
+/**
+ * isNaN method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.1.2.4
+ */
+function IsNaNFunction(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(IsNaNFunction, FunctionTypeBase);
+IsNaNFunction.prototype._resultType = { type: 'Boolean' };
+IsNaNFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Use the built-in method to perform the isNaN
+	return new BooleanType(isNaN(toNumber(args[0]).value));
+});
+
+/**
+ * isFinite method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.1.2.5
+ */
+function IsFiniteFunction(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(IsFiniteFunction, FunctionTypeBase);
+IsFiniteFunction.prototype._resultType = { type: 'Boolean' };
+IsFiniteFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Use the built-in method to perform the isFinite
+	return new BooleanType(isFinite(toNumber(args[0]).value));
+});
+
+/**
+ * decodeURI method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.1.3.1
+ */
+function DecodeURIFunction(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(DecodeURIFunction, FunctionTypeBase);
+DecodeURIFunction.prototype._resultType = { type: 'String' };
+DecodeURIFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	var decodedURI;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	try {
+		decodedURI = new StringType(decodeURI(toString(args[0]).value));
+	} catch (e) {
+		if (!e.isCodeProcessorException) {
+			handleRecoverableNativeException('URIError', e.toString());
+			decodedURI = new UnknownType();
+		} else {
+			throw e;
+		}
+	}
+
+	// Use the built-in method to perform the decodeURI
+	return decodedURI;
+});
+
+/**
+ * decodeURIComponent method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.1.3.2
+ */
+function DecodeURIComponentFunction(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(DecodeURIComponentFunction, FunctionTypeBase);
+DecodeURIComponentFunction.prototype._resultType = { type: 'String' };
+DecodeURIComponentFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	var decodedURIComponent;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	try {
+		decodedURIComponent = new StringType(decodeURIComponent(toString(args[0]).value));
+	} catch (e) {
+		if (!e.isCodeProcessorException) {
+			handleRecoverableNativeException('URIError', e.toString());
+			decodedURIComponent = new UnknownType();
+		} else {
+			throw e;
+		}
+	}
+
+	// Use the built-in method to perform the decodeURI
+	return decodedURIComponent;
+});
+
+/**
+ * encodeURI method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.1.3.3
+ */
+function EncodeURIFunction(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(EncodeURIFunction, FunctionTypeBase);
+EncodeURIFunction.prototype._resultType = { type: 'String' };
+EncodeURIFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	var encodedURI;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	try {
+		encodedURI = new StringType(encodeURI(toString(args[0]).value));
+	} catch (e) {
+		if (!e.isCodeProcessorException) {
+			handleRecoverableNativeException('URIError', e.toString());
+			encodedURI = new UnknownType();
+		} else {
+			throw e;
+		}
+	}
+
+	// Use the built-in method to perform the decodeURI
+	return encodedURI;
+});
+
+/**
+ * encodeURIComponent method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.1.3.4
+ */
+function EncodeURIComponentFunction(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(EncodeURIComponentFunction, FunctionTypeBase);
+EncodeURIComponentFunction.prototype._resultType = { type: 'String' };
+EncodeURIComponentFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	var encodedURIComponent;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	try {
+		encodedURIComponent = new StringType(encodeURIComponent(toString(args[0]).value));
+	} catch (e) {
+		if (!e.isCodeProcessorException) {
+			handleRecoverableNativeException('URIError', e.toString());
+			encodedURIComponent = new UnknownType();
+		} else {
+			throw e;
+		}
+	}
+
+	// Use the built-in method to perform the decodeURI
+	return encodedURIComponent;
+});
+
+/*****************************************
+ *
+ * Chapter 15 - Global Objects
+ *
+ *****************************************/
+
+// ******** Math Object ********
+
+/**
+ * abs() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.8.2.1
+ */
+function MathAbsFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(MathAbsFunc, FunctionTypeBase);
+MathAbsFunc.prototype._resultType = { type: 'Number' };
+MathAbsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var x = args[0];
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	if (!x) {
+		return new NumberType(NaN);
+	} else {
+		return new NumberType(Math.abs(toNumber(x).value));
+	}
+});
+
+/**
+ * acos() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.8.2.2
+ */
+function MathAcosFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(MathAcosFunc, FunctionTypeBase);
+MathAcosFunc.prototype._resultType = { type: 'Number' };
+MathAcosFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var x = args[0];
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	if (!x) {
+		return new NumberType(NaN);
+	} else {
+		return new NumberType(Math.acos(toNumber(x).value));
+	}
+});
+
+/**
+ * asin() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.8.2.3
+ */
+function MathAsinFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(MathAsinFunc, FunctionTypeBase);
+MathAsinFunc.prototype._resultType = { type: 'Number' };
+MathAsinFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var x = args[0];
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	return new NumberType(x ? Math.asin(toNumber(x).value) : NaN);
+});
+
+/**
+ * atan() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.8.2.4
+ */
+function MathAtanFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(MathAtanFunc, FunctionTypeBase);
+MathAtanFunc.prototype._resultType = { type: 'Number' };
+MathAtanFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var x = args[0];
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	if (!x) {
+		return new NumberType(NaN);
+	} else {
+		return new NumberType(Math.atan(toNumber(x).value));
+	}
+});
+
+/**
+ * atan2() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.8.2.5
+ */
+function MathAtan2Func(className) {
+	FunctionTypeBase.call(this, 2, className || 'Function');
+}
+util.inherits(MathAtan2Func, FunctionTypeBase);
+MathAtan2Func.prototype._resultType = { type: 'Number' };
+MathAtan2Func.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var x = args[0];
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	if (!x) {
+		return new NumberType(NaN);
+	} else {
+		return new NumberType(Math.abs(toNumber(x).value));
+	}
+});
+
+/**
+ * ceil() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.8.2.6
+ */
+function MathCeilFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(MathCeilFunc, FunctionTypeBase);
+MathCeilFunc.prototype._resultType = { type: 'Number' };
+MathCeilFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var x = args[0];
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	if (!x) {
+		return new NumberType(NaN);
+	} else {
+		return new NumberType(Math.ceil(toNumber(x).value));
+	}
+});
+
+/**
+ * cos() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.8.2.7
+ */
+function MathCosFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(MathCosFunc, FunctionTypeBase);
+MathCosFunc.prototype._resultType = { type: 'Number' };
+MathCosFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var x = args[0];
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	if (!x) {
+		return new NumberType(NaN);
+	} else {
+		return new NumberType(Math.cos(toNumber(x).value));
+	}
+});
+
+/**
+ * exp() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.8.2.8
+ */
+function MathExpFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(MathExpFunc, FunctionTypeBase);
+MathExpFunc.prototype._resultType = { type: 'Number' };
+MathExpFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var x = args[0];
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	if (!x) {
+		return new NumberType(NaN);
+	} else {
+		return new NumberType(Math.exp(toNumber(x).value));
+	}
+});
+
+/**
+ * floor() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.8.2.9
+ */
+function MathFloorFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(MathFloorFunc, FunctionTypeBase);
+MathFloorFunc.prototype._resultType = { type: 'Number' };
+MathFloorFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var x = args[0];
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	if (!x) {
+		return new NumberType(NaN);
+	} else if (type(x) === 'Unknown') {
+		return new UnknownType();
+	} else {
+		return new NumberType(Math.floor(toNumber(x).value));
+	}
+});
+
+/**
+ * log() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.8.2.10
+ */
+function MathLogFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(MathLogFunc, FunctionTypeBase);
+MathLogFunc.prototype._resultType = { type: 'Number' };
+MathLogFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var x = args[0];
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	if (!x) {
+		return new NumberType(NaN);
+	} else {
+		return new NumberType(Math.log(toNumber(x).value));
+	}
+});
+
+/**
+ * max() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.8.2.11
+ */
+function MathMaxFunc(className) {
+	FunctionTypeBase.call(this, 2, className || 'Function');
+}
+util.inherits(MathMaxFunc, FunctionTypeBase);
+MathMaxFunc.prototype._resultType = { type: 'Number' };
+MathMaxFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var i, len,
+		value,
+		values = [];
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	for (i = 0, len = args.length; i < len; i++) {
+		value = toNumber(args[i]);
+		if (type(value) === 'Unknown') {
+			return new UnknownType();
+		}
+		values.push(toNumber(value).value);
+	}
+	return new NumberType(Math.max.apply(this, values));
+});
+
+/**
+ * min() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.8.2.12
+ */
+function MathMinFunc(className) {
+	FunctionTypeBase.call(this, 2, className || 'Function');
+}
+util.inherits(MathMinFunc, FunctionTypeBase);
+MathMinFunc.prototype._resultType = { type: 'Number' };
+MathMinFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var i, len,
+		value,
+		values = [];
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	for (i = 0, len = args.length; i < len; i++) {
+		value = toNumber(args[i]);
+		if (type(value) === 'Unknown') {
+			return new UnknownType();
+		}
+		values.push(toNumber(value).value);
+	}
+	return new NumberType(Math.min.apply(this, values));
+});
+
+/**
+ * pow() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.8.2.13
+ */
+function MathPowFunc(className) {
+	FunctionTypeBase.call(this, 2, className || 'Function');
+}
+util.inherits(MathPowFunc, FunctionTypeBase);
+MathPowFunc.prototype._resultType = { type: 'Number' };
+MathPowFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var x = args[0],
+		y = args[1];
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	if (!x || !y) {
+		return new NumberType(NaN);
+	} else {
+		return new NumberType(Math.pow(toNumber(x).value, toNumber(y).value));
+	}
+});
+
+/**
+ * random() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.8.2.14
+ */
+function MathRandomFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(MathRandomFunc, FunctionTypeBase);
+MathRandomFunc.prototype._resultType = { type: 'Number', min: 0, max: 1 };
+MathRandomFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
+	recordImpureOperation();
+	switch(Runtime.options.determinism) {
+		case 'seeded':
+			return new NumberType(nextSeededRandom());
+		case 'virtual':
+		case 'unknown':
+			return createUnknownOrigin('Math.random');
+		default:
+			return Runtime.options.exactMode ? new NumberType(Math.random()) : createUnknownOrigin('Math.random');
+	}
+});
+
+/**
+ * Creates the state of the seeded random number generator. The seed is scrambled with a multiplier and an increment
+ * first, since a Park-Miller generator started from a small state, such as the seed 42, produces a first number close
+ * to 0, and neighbouring seeds would produce neighbouring sequences.
+ *
+ * @private
+ */
+function createRandomState(seed) {
+	var state = (Math.abs(Math.floor(seed || 0)) % 2147483647 * 2796203 + 1013904223) % 2147483647;
+	return state || 2147483646;
+}
+
+/**
+ * Gets the next number from the seeded random number generator, a Park-Miller "minimal standard" generator, so that
+ * the same seed always produces the same sequence of numbers
+ *
+ * @private
+ */
+function nextSeededRandom() {
+	randomState = randomState * 16807 % 2147483647;
+	return (randomState - 1) / 2147483646;
+}
+
+/**
+ * round() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.8.2.15
+ */
+function MathRoundFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(MathRoundFunc, FunctionTypeBase);
+MathRoundFunc.prototype._resultType = { type: 'Number' };
+MathRoundFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var x = args[0];
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	if (!x) {
+		return new NumberType(NaN);
+	} else {
+		return new NumberType(Math.round(toNumber(x).value));
+	}
+});
+
+/**
+ * sin() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.8.2.16
+ */
+function MathSinFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(MathSinFunc, FunctionTypeBase);
+MathSinFunc.prototype._resultType = { type: 'Number' };
+MathSinFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var x = args[0];
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	if (!x) {
+		return new NumberType(NaN);
+	} else {
+		return new NumberType(Math.sin(toNumber(x).value));
+	}
+});
+
+/**
+ * sqrt() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.8.2.17
+ */
+function MathSqrtFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(MathSqrtFunc, FunctionTypeBase);
+MathSqrtFunc.prototype._resultType = { type: 'Number' };
+MathSqrtFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var x = args[0];
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	if (!x) {
+		return new NumberType(NaN);
+	} else {
+		return new NumberType(Math.sqrt(toNumber(x).value));
+	}
+});
+
+/**
+ * tan() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.8.2.17
+ */
+function MathTanFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(MathTanFunc, FunctionTypeBase);
+MathTanFunc.prototype._resultType = { type: 'Number' };
+MathTanFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var x = args[0];
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	if (!x) {
+		return new NumberType(NaN);
+	} else {
+		return new NumberType(Math.tan(toNumber(x).value));
+	}
+});
+
+/**
+ * Math Object
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.8
+ */
+function MathObject(className) {
+	ObjectType.call(this, className);
+
+	// Properties
+	addReadOnlyProperty(this, 'E', new NumberType(Math.E));
+	addReadOnlyProperty(this, 'LN10', new NumberType(Math.LN10));
+	addReadOnlyProperty(this, 'LN2', new NumberType(Math.LN2));
+	addReadOnlyProperty(this, 'LOG2E', new NumberType(Math.LOG2E));
+	addReadOnlyProperty(this, 'LOG10E', new NumberType(Math.LOG10E));
+	addReadOnlyProperty(this, 'PI', new NumberType(Math.PI));
+	addReadOnlyProperty(this, 'SQRT1_2', new NumberType(Math.SQRT1_2));
+	addReadOnlyProperty(this, 'SQRT2', new NumberType(Math.SQRT2));
+
+	// Methods
+	addNonEnumerableProperty(this, 'abs', new MathAbsFunc());
+	addNonEnumerableProperty(this, 'acos', new MathAcosFunc());
+	addNonEnumerableProperty(this, 'asin', new MathAsinFunc());
+	addNonEnumerableProperty(this, 'atan', new MathAtanFunc());
+	addNonEnumerableProperty(this, 'atan2', new MathAtan2Func());
+	addNonEnumerableProperty(this, 'ceil', new MathCeilFunc());
+	addNonEnumerableProperty(this, 'cos', new MathCosFunc());
+	addNonEnumerableProperty(this, 'exp', new MathExpFunc());
+	addNonEnumerableProperty(this, 'floor', new MathFloorFunc());
+	addNonEnumerableProperty(this, 'log', new MathLogFunc());
+	addNonEnumerableProperty(this, 'max', new MathMaxFunc());
+	addNonEnumerableProperty(this, 'min', new MathMinFunc());
+	addNonEnumerableProperty(this, 'pow', new MathPowFunc());
+	addNonEnumerableProperty(this, 'random', new MathRandomFunc());
+	addNonEnumerableProperty(this, 'round', new MathRoundFunc());
+	addNonEnumerableProperty(this, 'sin', new MathSinFunc());
+	addNonEnumerableProperty(this, 'sqrt', new MathSqrtFunc());
+	addNonEnumerableProperty(this, 'tan', new MathTanFunc());
+}
+util.inherits(MathObject, ObjectType);
+
+// ******** JSON Object ********
+
+/**
+ * parse() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.12.2
+ */
+function JSONParseFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(JSONParseFunc, FunctionTypeBase);
+JSONParseFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var text = args[0],
+		reviver = args[1],
+		nativeObject;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Parse the code
+	try {
+		nativeObject = JSON.parse(toString(text).value);
+	} catch(e) {
+		handleRecoverableNativeException('SyntaxError', e.message);
+		return new UnknownType();
+	}
+
+	// Convert the result into an object type
+	function processObject(nativeObj) {
+		var converted,
+			p,
+			child,
+			i, len;
+
+		function setProperty(k, v, obj) {
+			if (reviver) {
+				converted.put(k, v, true, true);
+				v = reviver.callFunction(obj, [k, v]);
+				if (type(v) !== 'Undefined') {
+					converted.put(k, v, true);
+				} else {
+					converted['delete'](k, false);
+				}
+			} else {
+				converted.put(k, v, true, true);
+			}
+		}
+
+		switch(typeof nativeObj) {
+			case 'undefined':
+				return new UndefinedType();
+			case 'null':
+				return new NullType();
+			case 'string':
+				return new StringType(nativeObj);
+			case 'number':
+				return new NumberType(nativeObj);
+			case 'boolean':
+				return new BooleanType(nativeObj);
+			case 'object':
+				if (Array.isArray(nativeObj)) {
+					converted = new ArrayType();
+					for (i = 0, len = nativeObj.length; i < len; i++) {
+						child = processObject(nativeObj[i]);
+						setProperty(i, child, converted);
+					}
+				} else {
+					converted = new ObjectType();
+					for (p in nativeObj) {
+						setProperty(p, processObject(nativeObj[p]), converted);
+					}
+				}
+				return converted;
+		}
+	}
+	return processObject(nativeObject);
+});
+
+/**
+ * parse() prototype method
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.12.3
+ */
+function JSONStringifyFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(JSONStringifyFunc, FunctionTypeBase);
+JSONStringifyFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var value = args[0],
+		replacer = args[1],
+		space = args[2],
+		replacerFunction,
+		propertyList,
+		v,
+		i, len,
+		gap,
+		stack = [],
+		indent = '',
+		wrapper,
+		result;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	function str(key, holder) {
+
+		// Step 1
+		var value = holder.get(key),
+			toJSON;
+
+		// Step 2
+		if (type(value) === 'Object') {
+			toJSON = value.get('toJSON');
+			if (type(toJSON) === 'Unknown') {
+				throw 'Unknown';
+			}
+			if (isCallable(toJSON)) {
+				value = toJSON.callFunction(value, [key]);
+			}
+		}
+
+		// Step 3
+		if (replacerFunction) {
+			value = replacerFunction.callFunction(holder, [key, value]);
+		}
+
+		// Step 4
+		if (type(value) == 'Object') {
+			if (value.className === 'Number') {
+				value = toNumber(value);
+			}
+			if (value.className === 'String') {
+				value = toString(value);
+			}
+			if (value.className === 'Boolean') {
+				value = new BooleanType(value.primitiveValue);
+			}
+		}
+
+		// Steps 5-7
+		if (type(value) === 'Null') {
+			return 'null';
+		} else if (value.value === false) {
+			return 'false';
+		} else if (value.value === true) {
+			return 'true';
+		}
+
+		// Step 8
+		if (type(value) === 'String') {
+			return quote(value.value);
+		}
+
+		// Step 9
+		if (type(value) === 'Number') {
+			if (isFinite(value.value)) {
+				return toString(value).value;
+			} else {
+				return 'null';
+			}
+		}
+
+		// Step 10
+		if (type(value) === 'Unknown') {
+			throw 'Unknown';
+		}
+		if (type(value) === 'Object' && !isCallable(value)) {
+			if (value.className === 'Array') {
+				return ja(value);
+			}
+			return jo(value);
+		}
+
+		return undefined;
+	}
+
+	function quote(value) {
+		return JSON.stringify(value);
+	}
+
+	function jo(value) {
+
+		var stepBack = indent,
+			k,
+			p,
+			i, len,
+			partial = [],
+			strP,
+			member,
+			fin;
+
+		// Step 1
+		if (stack.indexOf(value) !== -1) {
+			handleRecoverableNativeException('TypeError', 'Invalid object type');
+			throw 'Unknown';
+		}
+		if (value._hasUnknownProperties) {
+			throw 'Unknown';
+		}
+
+		// Step 2
+		stack.push(value);
+
+		// Step 4
+		indent += gap;
+
+		// Steps 5 and 6
+		if (propertyList) {
+			k = propertyList;
+		} else {
+			k = [];
+			value._getPropertyNames().forEach(function (p) {
+				if (value._lookupProperty(p).enumerable) {
+					k.push(p);
+				}
+			});
+		}
+
+		// Step 8
+		for (i = 0, len = k.length; i < len; i++) {
+			p = k[i];
+			strP = str(p, value);
+			if (strP) {
+				member = quote(p) + ':';
+				if (gap) {
+					member += space;
+				}
+				member += strP;
+				partial.push(member);
+			}
+		}
+
+		// Steps 9 and 10
+		if (!partial) {
+			fin = '{}';
+		} else {
+			if (!gap) {
+				fin = '{' + partial.join(',') + '}';
+			} else {
+				fin = '{\n' + indent + partial.join(',\n' + indent) + '\n' + stepBack + '}';
+			}
+		}
+
+		// Step 11
+		stack.pop();
+
+		// Step 12
+		indent = stepBack;
+
+		// Step 12
+		return fin;
+	}
+
+	function ja(value) {
+
+		var stepBack = indent,
+			partial = [],
+			len,
+			index = 0,
+			strP,
+			fin;
+
+		// Step 1
+		if (stack.indexOf(value) !== -1) {
+			handleRecoverableNativeException('TypeError', 'Invalid object type');
+			throw 'Unknown';
+		}
+		if (value._hasUnknownProperties) {
+			throw 'Unknown';
+		}
+
+		// Step 2
+		stack.push(value);
+
+		// Step 4
+		indent += gap;
+
+		// Step 6
+		len = value.get('length');
+		if (type(len) === 'Unknown') {
+			throw 'Unknown';
+		}
+		len = toUint32(len).value;
+
+		// Step 8
+		while (index < len) {
+			strP = str(toString(new NumberType(index)).value, value);
+			if (strP) {
+				partial.push(strP);
+			} else {
+				partial.push('null');
+			}
+			index++;
+		}
+
+		// Steps 9 and 10
+		if (!partial) {
+			fin = '[]';
+		} else {
+			if (!gap) {
+				fin = '[' + partial.join(',') + ']';
+			} else {
+				fin = '[\n' + indent + partial.join(',\n' + indent) + '\n' + stepBack + ']';
+			}
+		}
+
+		// Step 11
+		stack.pop();
+
+		// Step 12
+		indent = stepBack;
+
+		// Step 12
+		return fin;
+	}
+
+	// Parse the replacer argument, Step 4
+	if (replacer && type(replacer) === 'Object') {
+		if (isCallable(replacer)) {
+			replacerFunction = replacer;
+		} else if (replacer.className === 'Array') {
+			propertyList = [];
+			for (i = 0, len = toInteger(replacer.get('length')).value; i < len; i++) {
+				v = replacer.get(i);
+				if (v.className === 'String' || v.className === 'Number') {
+					v = toString(v).value;
+					if (propertyList.indexOf(v) === -1) {
+						propertyList.push(v);
+					}
+				}
+			}
+		}
+	}
+
+	// Parse the space argument, steps 5-8
+	if (space) {
+		if (space.className === 'Number') {
+			space = Math.min(10, toNumber(space).value);
+			gap = (new Array(space)).join(' ');
+		} else if (space.className === 'String') {
+			gap = toString(space).value.substring(0, 9);
+			space = space.value;
+		} else {
+			space = undefined;
+			gap = '';
+		}
+	} else {
+		gap = '';
+	}
+
+	// Step 10
+	wrapper = new ObjectType();
+	wrapper.defineOwnProperty('', {
+		value: value,
+		writable: true,
+		enumerable: true,
+		configurable: true
+	}, false);
+
+	// Step 11
+	try {
+		result = str('', wrapper);
+	} catch(e) {
+		if (e === 'Unknown') {
+			return new UnknownType();
+		} else {
+			throw e;
+		}
+	}
+	if (isUndefined(result)) {
+		return new UndefinedType();
+	} else {
+		return new StringType(result);
+	}
+});
+
+/**
+ * JSON Object
+ *
+ * @private
+ * @see ECMA-262 Spec Chapter 15.12
+ */
+function JSONObject(className) {
+	ObjectType.call(this, className);
+
+	addNonEnumerableProperty(this, 'parse', new JSONParseFunc());
+	addNonEnumerableProperty(this, 'stringify', new JSONStringifyFunc());
+}
+util.inherits(JSONObject, ObjectType);
+
+/*global
+RuleProcessor,
+throwNativeException,
+createGlobalContext,
+initGlobalAST,
+prototypes,
+throwTypeError,
+randomState,
+virtualTime,
+VIRTUAL_CLOCK_EPOCH,
+createRandomState,
+promiseJobQueue,
+createPromiseJobQueue,
+functionSummaryStats,
+createFunctionSummaryStats,
+Runtime,
+addReadOnlyProperty,
+FunctionType,
+NumberType,
+UndefinedType,
+NumberPrototypeType,
+BooleanPrototypeType,
+StringPrototypeType,
+ObjectPrototypeType,
+ArrayPrototypeType,
+FunctionPrototypeType,
+RegExpPrototypeType,
+DatePrototypeType,
+ErrorPrototypeType,
+MapPrototypeType,
+SetPrototypeType,
+PromisePrototypeType,
+NumberConstructor,
+BooleanConstructor,
+StringConstructor,
+ObjectConstructor,
+ArrayConstructor,
+FunctionConstructor,
+RegExpConstructor,
+DateConstructor,
+ErrorConstructor,
+MapConstructor,
+SetConstructor,
+PromiseConstructor,
+EvalFunction,
+ParseIntFunction,
+ParseFloatFunction,
+IsNaNFunction,
+IsFiniteFunction,
+DecodeURIFunction,
+DecodeURIComponentFunction,
+EncodeURIFunction,
+EncodeURIComponentFunction,
+MathObject,
+JSONObject,
+globalObject,
+addNonEnumerableProperty,
+getGlobalContext,
+createContextState,
+getContextState,
+setContextState,
+unknownBranchStack
+*/
+
+/*****************************************
+ *
+ * VM Initialization
+ *
+ *****************************************/
+
+/**
+ * Injects the global objects into the global namespace
+ *
+ * @method
+ * @name module:Base.init
+ */
+exports.init = init;
+function init(ast) {
+
+	createGlobalContext(ast && RuleProcessor.isBlockStrict(ast));
+
+	// Restart the random number generator and the virtual clock so that every run sees the same values
+	randomState = createRandomState(Runtime.options.seed);
+	virtualTime = VIRTUAL_CLOCK_EPOCH;
+	promiseJobQueue = createPromiseJobQueue();
+	functionSummaryStats = createFunctionSummaryStats();
+	unknownBranchStack.length = 0;
+
+	var globalContext = getGlobalContext(),
+		globalObjects = {};
+
+	function addObject(name, value) {
+		globalObject.defineOwnProperty(name, {
+			value: value,
+			writable: true,
+			enumerable: false,
+			configurable: true
+		}, false, true);
+	}
+
+	// Create the prototypes
+	prototypes.Object = new ObjectPrototypeType();
+	prototypes.Function = new FunctionPrototypeType();
+	prototypes.Number = new NumberPrototypeType();
+	prototypes.Boolean = new BooleanPrototypeType();
+	prototypes.String = new StringPrototypeType();
+	prototypes.Array = new ArrayPrototypeType();
+	prototypes.RegExp = new RegExpPrototypeType();
+	prototypes.Date = new DatePrototypeType();
+	prototypes.Error = new ErrorPrototypeType('Error');
+	prototypes.EvalError = new ErrorPrototypeType('EvalError');
+	prototypes.RangeError = new ErrorPrototypeType('RangeError');
+	prototypes.ReferenceError = new ErrorPrototypeType('ReferenceError');
+	prototypes.SyntaxError = new ErrorPrototypeType('SyntaxError');
+	prototypes.TypeError = new ErrorPrototypeType('TypeError');
+	prototypes.URIError = new ErrorPrototypeType('URIError');
+	prototypes.Map = new MapPrototypeType('Map');
+	prototypes.WeakMap = new MapPrototypeType('WeakMap');
+	prototypes.Set = new SetPrototypeType('Set');
+	prototypes.WeakSet = new SetPrototypeType('WeakSet');
+	prototypes.Promise = new PromisePrototypeType();
+
+	// Set the error prototypes
+	prototypes.EvalError.objectPrototype =
+		prototypes.RangeError.objectPrototype =
+		prototypes.ReferenceError.objectPrototype =
+		prototypes.SyntaxError.objectPrototype =
+		prototypes.TypeError.objectPrototype =
+		prototypes.URIError.objectPrototype =
+		prototypes.Error;
+
+	// Create the global objects and set the constructors
+	addNonEnumerableProperty(prototypes.Number, 'constructor', globalObjects.Number = new NumberConstructor(), false, true);
+	addNonEnumerableProperty(prototypes.Boolean, 'constructor', globalObjects.Boolean = new BooleanConstructor(), false, true);
+	addNonEnumerableProperty(prototypes.String, 'constructor', globalObjects.String = new StringConstructor(), false, true);
+	addNonEnumerableProperty(prototypes.Object, 'constructor', globalObjects.Object = new ObjectConstructor(), false, true);
+	addNonEnumerableProperty(prototypes.Array, 'constructor', globalObjects.Array = new ArrayConstructor(), false, true);
+	addNonEnumerableProperty(prototypes.Function, 'constructor', globalObjects.Function = new FunctionConstructor(), false, true);
+	addNonEnumerableProperty(prototypes.RegExp, 'constructor', globalObjects.RegExp = new RegExpConstructor(), false, true);
+	addNonEnumerableProperty(prototypes.Date, 'constructor', globalObjects.Date = new DateConstructor(), false, true);
+	addNonEnumerableProperty(prototypes.Error, 'constructor', globalObjects.Error = new ErrorConstructor('Error'), false, true);
+	addNonEnumerableProperty(prototypes.EvalError, 'constructor', globalObjects.EvalError = new ErrorConstructor('EvalError'), false, true);
+	addNonEnumerableProperty(prototypes.RangeError, 'constructor', globalObjects.RangeError = new ErrorConstructor('RangeError'), false, true);
+	addNonEnumerableProperty(prototypes.ReferenceError, 'constructor', globalObjects.ReferenceError = new ErrorConstructor('ReferenceError'), false, true);
+	addNonEnumerableProperty(prototypes.SyntaxError, 'constructor', globalObjects.SyntaxError = new ErrorConstructor('SyntaxError'), false, true);
+	addNonEnumerableProperty(prototypes.TypeError, 'constructor', globalObjects.TypeError = new ErrorConstructor('TypeError'), false, true);
+	addNonEnumerableProperty(prototypes.URIError, 'constructor', globalObjects.URIError = new ErrorConstructor('URIError'), false, true);
+	addNonEnumerableProperty(prototypes.Map, 'constructor', globalObjects.Map = new MapConstructor('Map'), false, true);
+	addNonEnumerableProperty(prototypes.WeakMap, 'constructor', globalObjects.WeakMap = new MapConstructor('WeakMap'), false, true);
+	addNonEnumerableProperty(prototypes.Set, 'constructor', globalObjects.Set = new SetConstructor('Set'), false, true);
+	addNonEnumerableProperty(prototypes.WeakSet, 'constructor', globalObjects.WeakSet = new SetConstructor('WeakSet'), false, true);
+	addNonEnumerableProperty(prototypes.Promise, 'constructor', globalObjects.Promise = new PromiseConstructor(), false, true);
+
+	// Create the throw type error
+	// TODO: this should be FunctionTypeBase
+	throwTypeError = new FunctionType([], undefined, globalContext.lexicalEnvironment, globalContext.strict);
+	throwTypeError.callFunction = function () {
+		throwNativeException('TypeError', '');
+	};
+	throwTypeError.extensible = false;
+
+	// Properties
+	addReadOnlyProperty(globalObject, 'NaN', new NumberType(NaN));
+	addReadOnlyProperty(globalObject, 'Infinity', new NumberType(Infinity));
+	addReadOnlyProperty(globalObject, 'undefined', new UndefinedType());
+
+	// Methods
+	addObject('eval', new EvalFunction());
+	addObject('parseInt', new ParseIntFunction());
+	addObject('parseFloat', new ParseFloatFunction());
+	addObject('isNaN', new IsNaNFunction());
+	addObject('isFinite', new IsFiniteFunction());
+	addObject('decodeURI', new DecodeURIFunction());
+	addObject('decodeURIComponent', new DecodeURIComponentFunction());
+	addObject('encodeURI', new EncodeURIFunction());
+	addObject('encodeURIComponent', new EncodeURIComponentFunction());
+
+	// Types
+	addObject('Object', globalObjects.Object);
+	addObject('Function', globalObjects.Function);
+	addObject('Array', globalObjects.Array);
+	addObject('String', globalObjects.String);
+	addObject('Boolean', globalObjects.Boolean);
+	addObject('Number', globalObjects.Number);
+	addObject('Date', globalObjects.Date);
+	addObject('RegExp', globalObjects.RegExp);
+	addObject('Error', globalObjects.Error);
+	addObject('EvalError', globalObjects.EvalError);
+	addObject('RangeError', globalObjects.RangeError);
+	addObject('ReferenceError', globalObjects.ReferenceError);
+	addObject('SyntaxError', globalObjects.SyntaxError);
+	addObject('TypeError', globalObjects.TypeError);
+	addObject('URIError', globalObjects.URIError);
+	addObject('Map', globalObjects.Map);
+	addObject('WeakMap', globalObjects.WeakMap);
+	addObject('Set', globalObjects.Set);
+	addObject('WeakSet', globalObjects.WeakSet);
+	addObject('Promise', globalObjects.Promise);
+
+	// Objects
+	addObject('Math', new MathObject());
+	addObject('JSON', new JSONObject());
+
+	// Initialize the global scope AST
+	if (ast) {
+		initGlobalAST(ast);
+	}
+}
+
+/**
+ * Creates a new, uninitialized VM state. {@link module:Base.init} must be called after the state is passed to
+ * {@link module:Base.setState} before any code is evaluated.
+ *
+ * @method
+ * @name module:Base.createState
+ * @returns {Object} The new state
+ */
+exports.createState = createState;
+function createState() {
+	return {
+		contexts: createContextState(),
+		throwTypeError: undefined,
+		prototypes: {},
+		randomState: createRandomState(Runtime.options.seed),
+		virtualTime: VIRTUAL_CLOCK_EPOCH,
+		promiseJobQueue: createPromiseJobQueue(),
+		functionSummaryStats: createFunctionSummaryStats()
+	};
+}
+
+/**
+ * Gets the current state of the VM, i.e. the global object, the execution contexts, the built-in prototypes, the
+ * state of the random number generator and virtual clock, the pending promise jobs, and the function summary statistics
+ *
+ * @method
+ * @name module:Base.getState
+ * @returns {Object} The current state
+ */
+exports.getState = getState;
+function getState() {
+	return {
+		contexts: getContextState(),
+		throwTypeError: throwTypeError,
+		prototypes: prototypes,
+		randomState: randomState,
+		virtualTime: virtualTime,
+		promiseJobQueue: promiseJobQueue,
+		functionSummaryStats: functionSummaryStats
+	};
+}
+
+/**
+ * Replaces the current state of the VM
+ *
+ * @method
+ * @name module:Base.setState
+ * @param {Object} state The state to use, as returned by {@link module:Base.createState} or {@link module:Base.getState}
+ */
+exports.setState = setState;
+function setState(state) {
+	setContextState(state.contexts);
+	throwTypeError = state.throwTypeError;
+	prototypes = state.prototypes;
+	randomState = state.randomState;
+	virtualTime = state.virtualTime;
+	promiseJobQueue = state.promiseJobQueue;
+	functionSummaryStats = state.functionSummaryStats;
+}
+
+/**
+ * Resets the VM to its uninitialized state, discarding the global object, all execution contexts, and the built-in
+ * prototypes. {@link module:Base.init} must be called again before any code is evaluated.
+ *
+ * @method
+ * @name module:Base.reset
+ */
+exports.reset = reset;
+function reset() {
+	setState(createState());
+}
+
+/*global
+Runtime,
+StringType,
+getValue,
+getIdentifierReference,
+inTryCatch,
+getGlobalContext
+*/
+
+/*****************************************
+ *
+ * Exception handling
+ *
+ *****************************************/
+
+/**
+ * Throws a native exception if exception recovery is turned off, else reports an error but doesn't actually throw
+ * the exception.
+ *
+ * @method
+ * @name module:Base.handleRecoverableNativeException
+ * @param {String} exceptionType The type of exception, e.g. 'TypeError'
+ * @param {String} message The exception message
+ */
+exports.handleRecoverableNativeException = handleRecoverableNativeException;
+function handleRecoverableNativeException(exceptionType, message) {
+	if (!inTryCatch() && Runtime.options.nativeExceptionRecovery && !Runtime.options.exactMode) {
+		Runtime.reportError(exceptionType, message);
+	} else {
+		throwNativeException(exceptionType, message);
+	}
+}
+
+/**
+ * Throws a native exception. Due to the internal nature, we have to do a little tricker to get the result inserted into
+ * the rule processing flow.
+ *
+ * @method
+ * @name module:Base.throwNativeException
+ * @param {String} exceptionType The type of exception, e.g. 'TypeError'
+ * @param {String} message The exception message
+ */
+exports.throwNativeException = throwNativeException;
+function throwNativeException (exceptionType, message) {
+	throwException(createNativeException(exceptionType, message));
+}
+
+/**
+ * Creates a native exception object without throwing it, e.g. for rejecting a promise
+ *
+ * @method
+ * @name module:Base.createNativeException
+ * @param {String} exceptionType The type of exception, e.g. 'TypeError'
+ * @param {String} message The exception message
+ * @returns {module:Base.ObjectType} The new exception object
+ */
+exports.createNativeException = createNativeException;
+function createNativeException(exceptionType, message) {
+	var exc = getValue(getIdentifierReference(getGlobalContext().variableEnvironment, exceptionType, false));
+	return exc.construct([new StringType(message)]);
+}
+
+/**
+ * Throws a native exception. Due to the internal nature, we have to do a little trick to get the result inserted into
+ * the rule processing flow.
+ *
+ * @method
+ * @name module:Base.throwException
+ * @param {String} exceptionType The type of exception, e.g. 'TypeError'
+ * @param {String} message The exception message
+ */
+exports.throwException = throwException;
+function throwException (exception) {
+	var error;
+
+	// Set the exception
+	exception.stackTrace = Runtime.getStackTrace();
+	Runtime._exception = exception;
+
+	error = new Error('VM exception flow controller');
+	error.isCodeProcessorException = true;
+
+	throw error;
+}
+
+/*****************************************
+ *
+ * Cloner
+ *
+ *****************************************/
+/*global
+Map,
+UndefinedType,
+NullType,
+StringType,
+NumberType,
+BooleanType,
+ObjectType,
+FunctionType,
+isDataDescriptor,
+ReferenceType,
+ArrayType,
+RegExpType,
+createTypedUnknown,
+DeclarativeEnvironmentRecord,
+ObjectEnvironmentRecord,
+ExecutionContext,
+LexicalEnvironment,
+StringPrototypeType,
+NumberPrototypeType,
+BooleanPrototypeType,
+createArgumentsObject
+*/
+
+exports.Cloner = Cloner;
+function Cloner() {
+	this._valueMap = new Map();
+}
+
+Cloner.prototype.cloneContext = function cloneContext(source) {
+	var newEnvRec = source.lexicalEnvironment.envRec instanceof ObjectEnvironmentRecord ?
+			this.cloneObjectEnvironment(source.lexicalEnvironment) :
+			this.cloneDeclarativeEnvironment(source.lexicalEnvironment),
+		newContext = new ExecutionContext(
+			newEnvRec,
+			newEnvRec,
+			source.thisBinding && this.cloneObject(source.thisBinding),
+			source.strict
+		);
+	newContext._ambiguousBlock = source._ambiguousBlock;
+	newContext._ambiguousBlockCauses = source._ambiguousBlockCauses.slice();
+	return newContext;
+};
+
+Cloner.prototype.cloneDeclarativeEnvironment = function cloneDeclarativeEnvironment(source) {
+	var newEnvRec = new DeclarativeEnvironmentRecord(),
+		outer,
+		binding;
+
+	// Clone the bindings
+	for (binding in source.envRec._bindings) {
+		newEnvRec._bindings[binding] = {
+			value: this.cloneValue(source.envRec._bindings[binding].value),
+			isDeletable: source.envRec._bindings[binding].isDeletable,
+			isMutable: source.envRec._bindings[binding].isMutable,
+			isInitialized: source.envRec._bindings[binding].isInitialized,
+			isLexical: source.envRec._bindings[binding].isLexical
+		};
+	}
+	newEnvRec._ambiguousContext = source._ambiguousContext;
+
+	// Clone the outer lexical environment
+	if (source.outer) {
+		if (source.outer.envRec instanceof DeclarativeEnvironmentRecord) {
+			outer = this.cloneDeclarativeEnvironment(source.outer);
+		} else {
+			outer = this.cloneObjectEnvironment(source.outer);
+		}
+	}
+
+	return new LexicalEnvironment(newEnvRec, outer);
+};
+
+Cloner.prototype.cloneObjectEnvironment = function cloneObjectEnvironment(source) {
+	var newEnvRec = new ObjectEnvironmentRecord(this.cloneObject(source.envRec._bindingObject)),
+		outer;
+
+	newEnvRec._ambiguousContext = source.envRec._ambiguousContext;
+
+	// Clone the outer lexical environment
+	if (source.outer) {
+		if (source.outer.envRec instanceof DeclarativeEnvironmentRecord) {
+			outer = this.cloneDeclarativeEnvironment(source.outer);
+		} else {
+			outer = this.cloneObjectEnvironment(source.outer);
+		}
+	}
+
+	return new LexicalEnvironment(newEnvRec, outer);
+};
+
+Cloner.prototype.cloneValue = function cloneValue(source) {
+	var cloned = this._valueMap.get(source);
+	if (cloned) {
+		return cloned;
+	}
+	switch(source.className) {
+		case 'Undefined':
+			cloned = this.cloneUndefined(source);
+			break;
+		case 'Null':
+			cloned = this.cloneNull(source);
+			break;
+		case 'String':
+			cloned = source instanceof StringPrototypeType ? this.cloneObject(source) : this.cloneString(source);
+			break;
+		case 'Number':
+			cloned = source instanceof NumberPrototypeType ? this.cloneObject(source) : this.cloneNumber(source);
+			break;
+		case 'Boolean':
+			cloned = source instanceof BooleanPrototypeType ? this.cloneObject(source) : this.cloneBoolean(source);
+			break;
+		// TODO: This is a hack since arguments objects have a few special overridden internal methods, but it's close enough for now.
+		case 'Arguments':
+		case 'Object':
+			cloned = this.cloneObject(source);
+			break;
+		case 'Function':
+			cloned = this.cloneFunction(source);
+			break;
+		case 'Array':
+			cloned = this.cloneArray(source);
+			break;
+		case 'RegExp':
+			cloned = this.cloneRegExp(source);
+			break;
+		case 'Error':
+		case 'EvalError':
+		case 'RangeError':
+		case 'ReferenceError':
+		case 'SyntaxError':
+		case 'TypeError':
+		case 'URIError':
+			cloned = this.cloneError(source);
+			break;
+		case 'Map':
+		case 'WeakMap':
+			cloned = this.cloneMap(source);
+			break;
+		case 'Set':
+		case 'WeakSet':
+			cloned = this.cloneSet(source);
+			break;
+		case 'Promise':
+			cloned = this.clonePromise(source);
+			break;
+		case 'Reference':
+			cloned = this.cloneReference(source);
+			break;
+		case 'Unknown':
+			cloned = this.cloneUnknown(source);
+			break;
+		default:
+			throw new Error('Internal Error: Cannot clone value of unknown class type "' + source.className + '"');
+	}
+	return cloned;
+};
+
+Cloner.prototype.cloneUndefined = function cloneUndefined(source) {
+	var cloned = new UndefinedType();
+	if (!this._valueMap.has(source)) {
+		this._valueMap.set(source, cloned);
+	}
+	return cloned;
+};
+
+Cloner.prototype.cloneNull = function cloneNull(source) {
+	var cloned = new NullType();
+	if (!this._valueMap.has(source)) {
+		this._valueMap.set(source, cloned);
+	}
+	return cloned;
+};
+
+Cloner.prototype.cloneString = function cloneString(source) {
+	var cloned = new StringType(source.value);
+	if (!this._valueMap.has(source)) {
+		this._valueMap.set(source, cloned);
+	}
+	return cloned;
+};
+
+Cloner.prototype.cloneNumber = function cloneNumber(source) {
+	var cloned = new NumberType(source.value);
+	if (!this._valueMap.has(source)) {
+		this._valueMap.set(source, cloned);
+	}
+	return cloned;
+};
+
+Cloner.prototype.cloneBoolean = function cloneBoolean(source) {
+	var cloned = new BooleanType(source.value);
+	if (!this._valueMap.has(source)) {
+		this._valueMap.set(source, cloned);
+	}
+	return cloned;
+};
+
+Cloner.prototype.cloneDescriptor = function cloneDescriptor(sourceDesc) {
+	var newDesc = {
+			enumerable: sourceDesc.enumerable,
+			configurable: sourceDesc.configurable,
+			_name: sourceDesc._name
+		};
+	if (isDataDescriptor(sourceDesc)) {
+		newDesc.value = this.cloneValue(sourceDesc.value);
+		newDesc.writable = sourceDesc.writable;
+	} else {
+		newDesc.get = sourceDesc.get && this.cloneValue(sourceDesc.get);
+		newDesc.set = sourceDesc.set && this.cloneValue(sourceDesc.set);
+	}
+	return newDesc;
+};
+
+Cloner.prototype.cloneObject = function cloneObject(source) {
+	var newObject = new ObjectType(source.className, undefined, true),
+		i, len;
+	if (!this._valueMap.has(source)) {
+		this._valueMap.set(source, newObject);
+	}
+	newObject.extensible = source.extensible;
+	newObject._hasUnknownProperties = source._hasUnknownProperties;
+	for (i = 0, len = source._properties.length; i < len; i++) {
+		newObject._properties[i] = this.cloneDescriptor(source._properties[i]);
+	}
+	newObject.objectPrototype = source.objectPrototype && this.cloneValue(source.objectPrototype);
+	return newObject;
+};
+
+Cloner.prototype.cloneFunction = function cloneFunction(source) {
+	var newFunc,
+		i, len;
+	if (source instanceof FunctionType) {
+		newFunc = new FunctionType(
+			source.formalParameters,
+			source._ast,
+			//cloneLexicalEnvironment(source.scope),
+			source.scope,
+			source.strict,
+			source.className);
+		if (source.lexicalThis) {
+			newFunc.lexicalThis = this.cloneValue(source.lexicalThis);
+		}
+	} else {
+		newFunc = source.constructor.instantiateClone ?
+			source.constructor.instantiateClone(source) :
+			new source.constructor(source.className);
+		newFunc.callFunction = source.callFunction;
+		newFunc.construct = source.construct;
+	}
+	if (!this._valueMap.has(source)) {
+		this._valueMap.set(source, newFunc);
+	}
+	newFunc.extensible = source.extensible;
+	for (i = 0, len = source._properties.length; i < len; i++) {
+		newFunc._properties[i] = this.cloneDescriptor(source._properties[i]);
+	}
+	newFunc.objectPrototype = source.objectPrototype && this.cloneValue(source.objectPrototype);
+	return newFunc;
+};
+
+Cloner.prototype.cloneArray = function cloneArray(source) {
+	var newObject = new ArrayType(source.className),
+		i, len;
+	if (!this._valueMap.has(source)) {
+		this._valueMap.set(source, newObject);
+	}
+	newObject.extensible = source.extensible;
+	newObject._hasUnknownProperties = source._hasUnknownProperties;
+	for (i = 0, len = source._properties.length; i < len; i++) {
+		newObject._properties[i] = this.cloneDescriptor(source._properties[i]);
+	}
+	newObject.objectPrototype = source.objectPrototype && this.cloneValue(source.objectPrototype);
+	return newObject;
+};
+
+Cloner.prototype.cloneRegExp = function cloneRegExp(source) {
+	var newObject = new RegExpType(source._pattern, source._flags, source.className),
+		i, len;
+	if (!this._valueMap.has(source)) {
+		this._valueMap.set(source, newObject);
+	}
+	newObject.extensible = source.extensible;
+	for (i = 0, len = source._properties.length; i < len; i++) {
+		newObject._properties[i] = this.cloneDescriptor(source._properties[i]);
+	}
+	newObject.objectPrototype = source.objectPrototype && this.cloneValue(source.objectPrototype);
+	return newObject;
+};
+
+Cloner.prototype.cloneError = function cloneError(source) {
+	var cloned = this.cloneObject(source);
+	cloned._errorType = source._errorType;
+	return cloned;
+};
+
+Cloner.prototype.cloneMap = function cloneMap(source) {
+	var cloned = this.cloneObject(source);
+	cloned._mapData = {
+		keys: source._mapData.keys.map(this.cloneValue, this),
+		values: source._mapData.values.map(this.cloneValue, this),
+		isUnknown: source._mapData.isUnknown
+	};
+	return cloned;
+};
+
+Cloner.prototype.cloneSet = function cloneSet(source) {
+	var cloned = this.cloneObject(source);
+	cloned._setData = {
+		values: source._setData.values.map(this.cloneValue, this),
+		isUnknown: source._setData.isUnknown
+	};
+	return cloned;
+};
+
+Cloner.prototype.clonePromise = function clonePromise(source) {
+	var cloned = this.cloneObject(source);
+	cloned._promiseState = source._promiseState;
+	cloned._promiseValue = source._promiseValue && this.cloneValue(source._promiseValue);
+	cloned._promiseReactions = source._promiseReactions.slice();
+	cloned._promiseIsHandled = source._promiseIsHandled;
+	cloned._promiseRejectionLocation = source._promiseRejectionLocation;
+	return cloned;
+};
 
-		return undefined;
+Cloner.prototype.cloneReference = function cloneReference(source) {
+	var cloned = new ReferenceType(this.cloneValue(source.value), source.referencedName, source.strictReference);
+	if (!this._valueMap.has(source)) {
+		this._valueMap.set(source, cloned);
 	}
+	return cloned;
+};
 
-	function quote(value) {
-		return JSON.stringify(value);
+Cloner.prototype.cloneUnknown = function cloneUnknown(source) {
+	var cloned = createTypedUnknown(source.typeInfo, source);
+	if (!this._valueMap.has(source)) {
+		this._valueMap.set(source, cloned);
 	}
+	return cloned;
+};
 
-	function jo(value) {
-
-		var stepBack = indent,
-			k,
-			p,
-			i, len,
-			partial = [],
-			strP,
-			member,
-			fin;
 
-		// Step 1
-		if (stack.indexOf(value) !== -1) {
-			handleRecoverableNativeException('TypeError', 'Invalid object type');
-			throw 'Unknown';
-		}
+/*****************************************
+ *
+ * Branch Merging
+ *
+ *****************************************/
+/*global
+Runtime,
+Map,
+type,
+sameValue,
+isDataDescriptor,
+UndefinedType,
+getCurrentContext,
+inTryCatch,
+getTypeInfo,
+joinTypeInfo,
+createUnknownOrigin,
+recordProvenanceOrigins,
+enterAmbiguousBlock,
+exitAmbiguousBlock,
+journalStack,
+stateSerial,
+unknownBranchStack
+*/
 
-		// Step 2
-		stack.push(value);
+/**
+ * The maximum number of times the body of a widened loop is evaluated while waiting for its state to become stable
+ *
+ * @private
+ */
+var MAX_WIDENING_PASSES = 5;
 
-		// Step 4
-		indent += gap;
+// ******** State Journal Class ********
 
-		// Steps 5 and 6
-		if (propertyList) {
-			k = propertyList;
-		} else {
-			k = [];
-			value._getPropertyNames().forEach(function (p) {
-				if (value._lookupProperty(p).enumerable) {
-					k.push(p);
-				}
-			});
-		}
+/**
+ * @classdesc Records the state of every binding, property, and collection that is changed while a branch is evaluated,
+ * so that the branch can be evaluated as if it was the only branch taken, and then undone. Only the first change to each
+ * location is recorded, which makes the journal a copy-on-write clone of the state the branch started with. Objects and
+ * environments created while the journal is active are not recorded, since they did not exist before the branch.
+ *
+ * @constructor
+ * @private
+ */
+function StateJournal() {
+	this.firstSerial = stateSerial + 1;
+	this._locations = new Map();
+	this._entries = [];
+}
 
-		// Step 8
-		for (i = 0, len = k.length; i < len; i++) {
-			p = k[i];
-			strP = str(p, value);
-			if (strP) {
-				member = quote(p) + ':';
-				if (gap) {
-					member += space;
-				}
-				member += strP;
-				partial.push(member);
-			}
-		}
+/**
+ * Records the original state of a location, if it hasn't been recorded yet
+ *
+ * @private
+ * @param {Object} target The object, environment record, or collection that is about to be changed
+ * @param {String} kind The kind of location, one of 'property', 'binding', 'internal', or 'promise'
+ * @param {String} name The name of the property, binding, or internal data
+ */
+StateJournal.prototype.record = function record(target, kind, name) {
+	var names = this._locations.get(target),
+		key;
+	name = String(name);
+	key = kind + ':' + name;
+	if (!names) {
+		names = {};
+		this._locations.set(target, names);
+	}
+	if (!names[key]) {
+		names[key] = {
+			target: target,
+			kind: kind,
+			name: name,
+			key: key,
+			original: readState(target, kind, name)
+		};
+		this._entries.push(names[key]);
+	}
+};
 
-		// Steps 9 and 10
-		if (!partial) {
-			fin = '{}';
-		} else {
-			if (!gap) {
-				fin = '{' + partial.join(',') + '}';
-			} else {
-				fin = '{\n' + indent + partial.join(',\n' + indent) + '\n' + stepBack + '}';
-			}
+/**
+ * Gets the current state of every location that was changed
+ *
+ * @private
+ * @returns {Map} The states, indexed by the target and then by the kind and name of the location
+ */
+StateJournal.prototype.capture = function capture() {
+	var states = new Map();
+	this._entries.forEach(function (entry) {
+		var names = states.get(entry.target);
+		if (!names) {
+			names = {};
+			states.set(entry.target, names);
 		}
+		names[entry.key] = readState(entry.target, entry.kind, entry.name);
+	});
+	return states;
+};
 
-		// Step 11
-		stack.pop();
-
-		// Step 12
-		indent = stepBack;
+/**
+ * Puts every location that was changed back to its original state
+ *
+ * @private
+ */
+StateJournal.prototype.restore = function restore() {
+	this._entries.forEach(function (entry) {
+		writeState(entry.target, entry.kind, entry.name, entry.original);
+	});
+};
 
-		// Step 12
-		return fin;
+/**
+ * Records that a location is about to be changed in every active state journal. This is called by the methods that
+ * change bindings, properties, and collections before they make the change.
+ *
+ * @method
+ * @name module:Base.recordStateChange
+ * @param {Object} target The object, environment record, or collection that is about to be changed
+ * @param {String} kind The kind of location, one of 'property', 'binding', 'internal' (the data of a collection), or
+ *		'promise' (the state of a promise)
+ * @param {String} name The name of the property, binding, or internal data
+ */
+exports.recordStateChange = recordStateChange;
+function recordStateChange(target, kind, name) {
+	var i = journalStack.length;
+	while (i--) {
+
+		// If the target was created after this journal was started, it was also created after all the outer ones were
+		if (target._serial >= journalStack[i].firstSerial) {
+			return;
+		}
+		journalStack[i].record(target, kind, name);
 	}
+}
 
-	function ja(value) {
-
-		var stepBack = indent,
-			partial = [],
-			len,
-			index = 0,
-			strP,
-			fin;
-
-		// Step 1
-		if (stack.indexOf(value) !== -1) {
-			handleRecoverableNativeException('TypeError', 'Invalid object type');
-			throw 'Unknown';
-		}
+/**
+ * Gets a serial number for a newly created object or environment record, used to tell if it was created while a branch
+ * was being evaluated
+ *
+ * @method
+ * @name module:Base.getStateSerial
+ * @returns {Number} The serial number
+ */
+exports.getStateSerial = getStateSerial;
+function getStateSerial() {
+	return ++stateSerial;
+}
 
-		// Step 2
-		stack.push(value);
+/**
+ * Enters a branch of a conditional whose condition is unknown
+ *
+ * @method
+ * @name module:Base.enterUnknownBranch
+ * @param {module:AST.node} conditional The conditional, e.g. an if statement
+ * @param {module:Base.BaseType} condition The unknown condition
+ * @param {Number} branch The index of the branch, e.g. 0 for the body of an if statement and 1 for its else block, or
+ *		the index of the case a switch statement branch starts at
+ */
+exports.enterUnknownBranch = enterUnknownBranch;
+function enterUnknownBranch(conditional, condition, branch) {
+	unknownBranchStack.push({
+		conditional: conditional,
+		condition: condition,
+		branch: branch
+	});
+}
 
-		// Step 4
-		indent += gap;
+/**
+ * Exits the current branch of a conditional whose condition is unknown
+ *
+ * @method
+ * @name module:Base.exitUnknownBranch
+ */
+exports.exitUnknownBranch = exitUnknownBranch;
+function exitUnknownBranch() {
+	unknownBranchStack.pop();
+}
 
-		// Step 6
-		len = value.get('length').value;
+/**
+ * Gets the branches of conditionals with unknown conditions that the code being evaluated is in, including the
+ * branches that the functions on the call stack were called from. Plugins use this to find out which conditions guard
+ * the current location.
+ *
+ * @method
+ * @name module:Base.getUnknownBranches
+ * @returns {Array[Object]} The branches, outermost first, each containing the 'conditional' AST node, the unknown
+ *		'condition', and the index of the 'branch', as passed to {@link module:Base.enterUnknownBranch}
+ */
+exports.getUnknownBranches = getUnknownBranches;
+function getUnknownBranches() {
+	return unknownBranchStack.slice();
+}
 
-		// Step 8
-		while (index < len) {
-			strP = str(toString(new NumberType(index)).value, value);
-			if (strP) {
-				partial.push(strP);
-			} else {
-				partial.push('null');
-			}
-			index++;
-		}
+/**
+ * Evaluates each branch of a conditional whose condition is unknown as if it was the only branch taken, and then merges
+ * the state each branch left behind. Locations that were left in the same state by every branch keep that state, and
+ * locations that were not are set to an unknown value with the type that the values have in common. Branches that
+ * throw an exception are left out of the merge, since the code after the conditional is only reached if they aren't
+ * taken. If every branch throws, the last exception is rethrown.
+ *
+ * @method
+ * @name module:Base.evaluateBranches
+ * @param {Array[Function]} branches The branches to evaluate. Each one is called with no arguments and returns its
+ *		result
+ * @param {module:Base.BaseType} condition The unknown condition that selects the branch
+ * @param {module:AST.node} [conditional] The conditional the branches belong to. If given, each branch is entered with
+ *		{@link module:Base.enterUnknownBranch} while it is evaluated
+ * @returns {Array} The result of each branch, or undefined for branches that threw an exception
+ */
+exports.evaluateBranches = evaluateBranches;
+function evaluateBranches(branches, condition, conditional) {
+	var context = getCurrentContext(),
+		ambiguousBlock = context._ambiguousBlock,
+		ambiguousBlockCauseCount = context._ambiguousBlockCauses.length,
+		unknownBranchCount = unknownBranchStack.length,
+		journals = [],
+		states = [],
+		results = [],
+		threw = [],
+		exception,
+		error,
+		i, len;
 
-		// Steps 9 and 10
-		if (!partial) {
-			fin = '[]';
-		} else {
-			if (!gap) {
-				fin = '[' + partial.join(',') + ']';
-			} else {
-				fin = '[\n' + indent + partial.join(',\n' + indent) + '\n' + stepBack + ']';
-			}
+	for (i = 0, len = branches.length; i < len; i++) {
+		journals[i] = new StateJournal();
+		journalStack.push(journals[i]);
+		if (conditional) {
+			enterUnknownBranch(conditional, condition, i);
 		}
-
-		// Step 11
-		stack.pop();
-
-		// Step 12
-		indent = stepBack;
-
-		// Step 12
-		return fin;
-	}
-
-	// Parse the replacer argument, Step 4
-	if (replacer && type(replacer) === 'Object') {
-		if (isCallable(replacer)) {
-			replacerFunction = replacer;
-		} else if (replacer.className === 'Array') {
-			propertyList = [];
-			for (i = 0, len = toInteger(replacer.get('length')).value; i < len; i++) {
-				v = replacer.get(i);
-				if (v.className === 'String' || v.className === 'Number') {
-					v = toString(v).value;
-					if (propertyList.indexOf(v) === -1) {
-						propertyList.push(v);
-					}
-				}
+		try {
+			results[i] = branches[i]();
+		} catch(e) {
+			unknownBranchStack.length = unknownBranchCount;
+			if (!e.isCodeProcessorException) {
+				journalStack.pop();
+				throw e;
 			}
+			threw[i] = true;
+			error = e;
+			exception = Runtime._exception;
+			Runtime._exception = undefined;
+
+			// Ambiguous blocks inside of the branch are not exited when an exception is thrown
+			context._ambiguousBlock = ambiguousBlock;
+			context._ambiguousBlockCauses.length = ambiguousBlockCauseCount;
 		}
+		unknownBranchStack.length = unknownBranchCount;
+		journalStack.pop();
+		states[i] = journals[i].capture();
+		journals[i].restore();
 	}
-
-	// Parse the space argument, steps 5-8
-	if (space) {
-		if (space.className === 'Number') {
-			space = Math.min(10, toNumber(space).value);
-			gap = (new Array(space)).join(' ');
-		} else if (space.className === 'String') {
-			gap = toString(space).value.substring(0, 9);
-			space = space.value;
-		} else {
-			space = undefined;
-			gap = '';
-		}
-	} else {
-		gap = '';
-	}
-
-	// Step 10
-	wrapper = new ObjectType();
-	wrapper.defineOwnProperty('', {
-		value: value,
-		writable: true,
-		enumerable: true,
-		configurable: true
-	}, false);
-
-	// Step 11
-	try {
-		result = str('', wrapper);
-	} catch(e) {
-		if (e === 'Unknown') {
-			return new UnknownType();
-		} else {
-			throw e;
-		}
+
+	// If every branch threw, the exception from the last one is the one that continues on
+	if (threw.filter(Boolean).length === len) {
+		applyStates(journals, [states[len - 1]]);
+		Runtime._exception = exception;
+		throw error;
 	}
-	if (isUndefined(result)) {
-		return new UndefinedType();
-	} else {
-		return new StringType(result);
+	if (exception && !inTryCatch()) {
+		Runtime.reportError('uncaughtException', getExceptionMessage(exception));
 	}
-});
+
+	applyStates(journals, states.filter(function (state, i) {
+		return !threw[i];
+	}), condition);
+
+	return results;
+}
 
 /**
- * JSON Object
+ * Merges the results of the branches evaluated by {@link module:Base.evaluateBranches} into the result of the
+ * conditional statement. A return from any branch makes the return value of the current function unknown, the same way
+ * as in an ambiguous block.
  *
- * @private
- * @see ECMA-262 Spec Chapter 15.12
- */
-function JSONObject(className) {
-	ObjectType.call(this, className);
+ * @method
+ * @name module:Base.mergeBranchResults
+ * @param {Array} results The results of the branches
+ * @returns {Array} The result of the conditional statement
+ */
+exports.mergeBranchResults = mergeBranchResults;
+function mergeBranchResults(results) {
+	var context = getCurrentContext(),
+		result = ['normal', undefined, undefined],
+		i, len;
+	for (i = 0, len = results.length; i < len; i++) {
+		if (!results[i]) {
+			continue;
+		}
+		if (results[i][0] === 'return') {
+			context._returnIsUnknown = true;
+			context.variableEnvironment._ambiguousContext = true;
+		} else if (results[i][0] !== 'normal') {
+			return results[i];
+		} else {
+			result = results[i];
+		}
+	}
+	return result;
+}
 
-	addNonEnumerableProperty(this, 'parse', new JSONParseFunc());
-	addNonEnumerableProperty(this, 'stringify', new JSONStringifyFunc());
+/**
+ * Merges a set of values that were computed by different branches
+ *
+ * @method
+ * @name module:Base.mergeValues
+ * @param {Array[module:Base.BaseType]} values The values to merge
+ * @param {module:Base.BaseType} [condition] The unknown condition that selected the branch
+ * @returns {module:Base.BaseType} The value, if all of the values are the same, otherwise an unknown value
+ */
+exports.mergeValues = mergeValues;
+function mergeValues(values, condition) {
+	var typeInfo = getTypeInfo(values[0]),
+		merged,
+		i, len;
+	for (i = 1, len = values.length; i < len; i++) {
+		if (!sameValue(values[0], values[i])) {
+			break;
+		}
+	}
+	if (i === len) {
+		return values[0];
+	}
+	for (i = 1, len = values.length; i < len; i++) {
+		typeInfo = joinTypeInfo(typeInfo, getTypeInfo(values[i]));
+	}
+	merged = createUnknownOrigin('ambiguous-branch merge', typeInfo, condition ? values.concat(condition) : values);
+	recordProvenanceOrigins(merged.provenance);
+	return merged;
 }
-util.inherits(JSONObject, ObjectType);
 
-/*global
-RuleProcessor,
-throwNativeException,
-createGlobalContext,
-initGlobalAST,
-prototypes,
-throwTypeError,
-addReadOnlyProperty,
-FunctionType,
-NumberType,
-UndefinedType,
-NumberPrototypeType,
-BooleanPrototypeType,
-StringPrototypeType,
-ObjectPrototypeType,
-ArrayPrototypeType,
-FunctionPrototypeType,
-RegExpPrototypeType,
-DatePrototypeType,
-ErrorPrototypeType,
-NumberConstructor,
-BooleanConstructor,
-StringConstructor,
-ObjectConstructor,
-ArrayConstructor,
-FunctionConstructor,
-RegExpConstructor,
-DateConstructor,
-ErrorConstructor,
-EvalFunction,
-ParseIntFunction,
-ParseFloatFunction,
-IsNaNFunction,
-IsFiniteFunction,
-DecodeURIFunction,
-DecodeURIComponentFunction,
-EncodeURIFunction,
-EncodeURIComponentFunction,
-MathObject,
-JSONObject,
-globalObject,
-addNonEnumerableProperty,
-getGlobalContext
-*/
+// ******** Loop Widening ********
 
-/*****************************************
- *
- * VM Initialization
+/**
+ * Starts recording the locations changed by an iteration of a loop, so that the loop can be widened once the iteration
+ * is complete. The recording must be stopped with {@link module:Base.stopLoopWidening} if the loop ends before it is
+ * widened.
  *
- *****************************************/
+ * @method
+ * @name module:Base.startLoopWidening
+ * @returns {Object} The journal of the changed locations, to be passed to {@link module:Base.widenLoop}
+ */
+exports.startLoopWidening = startLoopWidening;
+function startLoopWidening() {
+	var journal = new StateJournal();
+	journalStack.push(journal);
+	return journal;
+}
 
 /**
- * Injects the global objects into the global namespace
+ * Stops recording the locations changed by a loop. Stopping a recording that was already stopped, or was never started,
+ * does nothing.
  *
  * @method
- * @name module:Base.init
+ * @name module:Base.stopLoopWidening
+ * @param {Object} [journal] The journal returned by {@link module:Base.startLoopWidening}
  */
-exports.init = init;
-function init(ast) {
-
-	createGlobalContext(ast && RuleProcessor.isBlockStrict(ast));
+exports.stopLoopWidening = stopLoopWidening;
+function stopLoopWidening(journal) {
+	var index = journalStack.indexOf(journal);
+	if (index !== -1) {
+		journalStack.splice(index, 1);
+	}
+}
 
-	var globalContext = getGlobalContext(),
-		globalObjects = {};
+/**
+ * Widens a loop instead of evaluating the rest of its iterations. Every location changed by the recorded iteration is
+ * loop-variant, and is set to an unknown value with the type it had before and after the iteration. Numeric bounds that
+ * moved during the iteration are assumed to keep moving, e.g. a counter that went from 4 to 5 becomes some integer
+ * Number in [4, Infinity). The iteration is then evaluated again as an ambiguous branch, the same way as a conditional
+ * with an unknown condition, widening again until it no longer changes the type of any location, which means the state
+ * covers every remaining iteration of the loop.
+ *
+ * @method
+ * @name module:Base.widenLoop
+ * @param {Object} journal The journal returned by {@link module:Base.startLoopWidening}, after a complete iteration
+ * @param {Function} evaluateIteration Evaluates one iteration of the loop, including its test and update expressions,
+ *		and returns the result of the body
+ * @returns {Array} The result of the loop
+ */
+exports.widenLoop = widenLoop;
+function widenLoop(journal, evaluateIteration) {
+	var context = getCurrentContext(),
+		passes = 0,
+		result;
 
-	function addObject(name, value) {
-		globalObject.defineOwnProperty(name, {
-			value: value,
-			writable: true,
-			enumerable: false,
-			configurable: true
-		}, false, true);
+	function skipIteration() {
+		return ['normal', undefined, undefined];
 	}
 
-	// Create the prototypes
-	prototypes.Object = new ObjectPrototypeType();
-	prototypes.Function = new FunctionPrototypeType();
-	prototypes.Number = new NumberPrototypeType();
-	prototypes.Boolean = new BooleanPrototypeType();
-	prototypes.String = new StringPrototypeType();
-	prototypes.Array = new ArrayPrototypeType();
-	prototypes.RegExp = new RegExpPrototypeType();
-	prototypes.Date = new DatePrototypeType();
-	prototypes.Error = new ErrorPrototypeType('Error');
-	prototypes.EvalError = new ErrorPrototypeType('EvalError');
-	prototypes.RangeError = new ErrorPrototypeType('RangeError');
-	prototypes.ReferenceError = new ErrorPrototypeType('ReferenceError');
-	prototypes.SyntaxError = new ErrorPrototypeType('SyntaxError');
-	prototypes.TypeError = new ErrorPrototypeType('TypeError');
-	prototypes.URIError = new ErrorPrototypeType('URIError');
+	stopLoopWidening(journal);
+	widenStates(journal);
+	do {
+		journal = startLoopWidening();
+		try {
+			if (Runtime.options.ambiguityStrategy === 'merge') {
+				mergeBranchResults(evaluateBranches([evaluateIteration, skipIteration]));
+			} else {
+				enterAmbiguousBlock('loop widening');
+				result = evaluateIteration();
+				exitAmbiguousBlock();
+				if (result[0] === 'return') {
+					context._returnIsUnknown = true;
+					context.variableEnvironment._ambiguousContext = true;
+				}
+			}
+		} finally {
+			stopLoopWidening(journal);
+		}
+	} while (widenStates(journal) && ++passes < MAX_WIDENING_PASSES);
 
-	// Set the error prototypes
-	prototypes.EvalError.objectPrototype =
-		prototypes.RangeError.objectPrototype =
-		prototypes.ReferenceError.objectPrototype =
-		prototypes.SyntaxError.objectPrototype =
-		prototypes.TypeError.objectPrototype =
-		prototypes.URIError.objectPrototype =
-		prototypes.Error;
+	return ['normal', undefined, undefined];
+}
 
-	// Create the global objects and set the constructors
-	addNonEnumerableProperty(prototypes.Number, 'constructor', globalObjects.Number = new NumberConstructor(), false, true);
-	addNonEnumerableProperty(prototypes.Boolean, 'constructor', globalObjects.Boolean = new BooleanConstructor(), false, true);
-	addNonEnumerableProperty(prototypes.String, 'constructor', globalObjects.String = new StringConstructor(), false, true);
-	addNonEnumerableProperty(prototypes.Object, 'constructor', globalObjects.Object = new ObjectConstructor(), false, true);
-	addNonEnumerableProperty(prototypes.Array, 'constructor', globalObjects.Array = new ArrayConstructor(), false, true);
-	addNonEnumerableProperty(prototypes.Function, 'constructor', globalObjects.Function = new FunctionConstructor(), false, true);
-	addNonEnumerableProperty(prototypes.RegExp, 'constructor', globalObjects.RegExp = new RegExpConstructor(), false, true);
-	addNonEnumerableProperty(prototypes.Date, 'constructor', globalObjects.Date = new DateConstructor(), false, true);
-	addNonEnumerableProperty(prototypes.Error, 'constructor', globalObjects.Error = new ErrorConstructor('Error'), false, true);
-	addNonEnumerableProperty(prototypes.EvalError, 'constructor', globalObjects.EvalError = new ErrorConstructor('EvalError'), false, true);
-	addNonEnumerableProperty(prototypes.RangeError, 'constructor', globalObjects.RangeError = new ErrorConstructor('RangeError'), false, true);
-	addNonEnumerableProperty(prototypes.ReferenceError, 'constructor', globalObjects.ReferenceError = new ErrorConstructor('ReferenceError'), false, true);
-	addNonEnumerableProperty(prototypes.SyntaxError, 'constructor', globalObjects.SyntaxError = new ErrorConstructor('SyntaxError'), false, true);
-	addNonEnumerableProperty(prototypes.TypeError, 'constructor', globalObjects.TypeError = new ErrorConstructor('TypeError'), false, true);
-	addNonEnumerableProperty(prototypes.URIError, 'constructor', globalObjects.URIError = new ErrorConstructor('URIError'), false, true);
+// ******** Helper Methods ********
 
-	// Create the throw type error
-	// TODO: this should be FunctionTypeBase
-	throwTypeError = new FunctionType([], undefined, globalContext.lexicalEnvironment, globalContext.strict);
-	throwTypeError.callFunction = function () {
-		throwNativeException('TypeError', '');
-	};
-	throwTypeError.extensible = false;
+/**
+ * Sets every location changed by any of the branches to the merge of the states the branches left it in
+ *
+ * @private
+ */
+function applyStates(journals, states, condition) {
+	var locations = new Map(),
+		entries = [];
+	journals.forEach(function (journal) {
+		journal._entries.forEach(function (entry) {
+			var names = locations.get(entry.target);
+			if (!names) {
+				names = {};
+				locations.set(entry.target, names);
+			}
+			if (!names[entry.key]) {
+				names[entry.key] = true;
+				entries.push(entry);
+			}
+		});
+	});
+	entries.forEach(function (entry) {
+		var entryStates = states.map(function (state) {
+			var names = state.get(entry.target);
+			return names && names.hasOwnProperty(entry.key) ? names[entry.key] : entry.original;
+		});
+		recordStateChange(entry.target, entry.kind, entry.name);
+		writeState(entry.target, entry.kind, entry.name, mergeStates(entry.kind, entryStates, function (values) {
+			return mergeValues(values, condition);
+		}));
+	});
+}
 
-	// Properties
-	addReadOnlyProperty(globalObject, 'NaN', new NumberType(NaN));
-	addReadOnlyProperty(globalObject, 'Infinity', new NumberType(Infinity));
-	addReadOnlyProperty(globalObject, 'undefined', new UndefinedType());
+/**
+ * Merges the states of a location, using the given function to merge the values stored in them
+ *
+ * @private
+ */
+function mergeStates(kind, states, merge) {
+	var first,
+		merged,
+		i, len;
+	for (i = 1, len = states.length; i < len; i++) {
+		if (!isSameState(kind, states[0], states[i])) {
+			break;
+		}
+	}
+	if (i === len) {
+		return states[0];
+	}
 
-	// Methods
-	addObject('eval', new EvalFunction());
-	addObject('parseInt', new ParseIntFunction());
-	addObject('parseFloat', new ParseFloatFunction());
-	addObject('isNaN', new IsNaNFunction());
-	addObject('isFinite', new IsFiniteFunction());
-	addObject('decodeURI', new DecodeURIFunction());
-	addObject('decodeURIComponent', new DecodeURIComponentFunction());
-	addObject('encodeURI', new EncodeURIFunction());
-	addObject('encodeURIComponent', new EncodeURIComponentFunction());
+	first = states.filter(Boolean)[0];
+	if (kind === 'internal') {
+		merged = copyState(kind, first);
+		merged.isUnknown = true;
+	} else if (kind === 'promise') {
+		merged = copyState(kind, first);
+		merged.isHandled = states.some(function (state) {
+			return state.isHandled;
+		});
+		if (states.every(function (state) {
+				return state.state === 'pending';
+			})) {
+			merged.reactions = states.reduce(function (reactions, state) {
+				return reactions.concat(state.reactions.filter(function (reaction) {
+					return reactions.indexOf(reaction) === -1;
+				}));
+			}, []);
+		} else {
 
-	// Types
-	addObject('Object', globalObjects.Object);
-	addObject('Function', globalObjects.Function);
-	addObject('Array', globalObjects.Array);
-	addObject('String', globalObjects.String);
-	addObject('Boolean', globalObjects.Boolean);
-	addObject('Number', globalObjects.Number);
-	addObject('Date', globalObjects.Date);
-	addObject('RegExp', globalObjects.RegExp);
-	addObject('Error', globalObjects.Error);
-	addObject('EvalError', globalObjects.EvalError);
-	addObject('RangeError', globalObjects.RangeError);
-	addObject('ReferenceError', globalObjects.ReferenceError);
-	addObject('SyntaxError', globalObjects.SyntaxError);
-	addObject('TypeError', globalObjects.TypeError);
-	addObject('URIError', globalObjects.URIError);
+			// The reactions of settled promises have already been triggered by the branch that settled them
+			merged.state = 'unknown';
+			merged.value = merge(states.map(function (state) {
+				return state.value || new UndefinedType();
+			}));
+			merged.reactions = [];
+		}
+	} else {
+		merged = copyState(kind, first);
+		if (kind === 'binding' || isDataDescriptor(first)) {
+			merged.value = merge(states.map(function (state) {
+				return state && state.value ? state.value : new UndefinedType();
+			}));
+		}
+	}
+	return merged;
+}
 
-	// Objects
-	addObject('Math', new MathObject());
-	addObject('JSON', new JSONObject());
+/**
+ * Widens every location changed since a journal was started that isn't stable yet
+ *
+ * @private
+ * @returns {Boolean} Whether or not any location was widened
+ */
+function widenStates(journal) {
+	var widened = false;
+	journal._entries.forEach(function (entry) {
+		var state = readState(entry.target, entry.kind, entry.name);
+		if (!isStableState(entry.kind, entry.original, state)) {
+			widened = true;
+
+			// A property that was added by the iteration is probably added under a different name by each of the rest
+			if (entry.kind === 'property' && !entry.original && state) {
+				entry.target._hasUnknownProperties = true;
+			}
+			recordStateChange(entry.target, entry.kind, entry.name);
+			writeState(entry.target, entry.kind, entry.name, mergeStates(entry.kind, [entry.original, state], widenValues));
+		}
+	});
+	return widened;
+}
 
-	// Initialize the global scope AST
-	if (ast) {
-		initGlobalAST(ast);
+/**
+ * Widens the value of a location before and after an iteration of a loop
+ *
+ * @private
+ */
+function widenValues(values) {
+	var before = getTypeInfo(values[0]),
+		after = getTypeInfo(values[1]),
+		typeInfo = joinTypeInfo(before, after),
+		widened;
+	if (sameValue(values[0], values[1])) {
+		return values[0];
+	}
+
+	// Bounds that moved during one iteration are assumed to keep moving during the rest of them
+	if (typeInfo && typeof typeInfo.min === 'number') {
+		if (after.min < before.min) {
+			typeInfo.min = -Infinity;
+		}
+		if (after.max > before.max) {
+			typeInfo.max = Infinity;
+		}
+	}
+	widened = createUnknownOrigin('loop widening', typeInfo, values);
+	recordProvenanceOrigins(widened.provenance);
+	return widened;
+}
+
+/**
+ * Checks if the state of a location didn't change in a way that matters to a widened loop, i.e. it is the same, or is
+ * unknown with the same type as before
+ *
+ * @private
+ */
+function isStableState(kind, x, y) {
+	var p;
+	if (isSameState(kind, x, y)) {
+		return true;
+	}
+	if (!x || !y) {
+		return false;
+	}
+	if (kind === 'internal') {
+		return x.isUnknown && y.isUnknown;
+	}
+	if (kind === 'promise') {
+		return x.state === 'unknown' && y.state === 'unknown' && isSameTypeInfo(getTypeInfo(x.value), getTypeInfo(y.value));
+	}
+	for (p in x) {
+		if (p !== 'value' && x[p] !== y[p]) {
+			return false;
+		}
 	}
+	return type(x.value) === 'Unknown' && type(y.value) === 'Unknown' &&
+		isSameTypeInfo(getTypeInfo(x.value), getTypeInfo(y.value));
 }
 
-/*global
-Runtime,
-StringType,
-getValue,
-getIdentifierReference,
-inTryCatch,
-getGlobalContext
-*/
-
-/*****************************************
- *
- * Exception handling
- *
- *****************************************/
-
 /**
- * Throws a native exception if exception recovery is turned off, else reports an error but doesn't actually throw
- * the exception.
+ * Checks if two type informations are the same
  *
- * @method
- * @name module:Base.handleRecoverableNativeException
- * @param {String} exceptionType The type of exception, e.g. 'TypeError'
- * @param {String} message The exception message
+ * @private
  */
-exports.handleRecoverableNativeException = handleRecoverableNativeException;
-function handleRecoverableNativeException(exceptionType, message) {
-	if (!inTryCatch() && Runtime.options.nativeExceptionRecovery && !Runtime.options.exactMode) {
-		Runtime.reportError(exceptionType, message);
-	} else {
-		throwNativeException(exceptionType, message);
+function isSameTypeInfo(x, y) {
+	var p;
+	if (!x || !y) {
+		return x === y;
 	}
+	for (p in x) {
+		if (typeof x[p] === 'object' ? !isSameTypeInfo(x[p], y[p]) : x[p] !== y[p]) {
+			return false;
+		}
+	}
+	for (p in y) {
+		if (!(p in x)) {
+			return false;
+		}
+	}
+	return true;
 }
 
 /**
- * Throws a native exception. Due to the internal nature, we have to do a little tricker to get the result inserted into
- * the rule processing flow.
+ * Checks if two states of a location are the same
  *
- * @method
- * @name module:Base.throwNativeException
- * @param {String} exceptionType The type of exception, e.g. 'TypeError'
- * @param {String} message The exception message
+ * @private
  */
-exports.throwNativeException = throwNativeException;
-function throwNativeException (exceptionType, message) {
-	var exc = getValue(getIdentifierReference(getGlobalContext().variableEnvironment, exceptionType, false));
-	throwException(exc.construct([new StringType(message)]));
+function isSameState(kind, x, y) {
+	var p;
+	if (!x || !y) {
+		return x === y;
+	}
+	if (kind === 'names') {
+		return x.length === y.length && x.every(function (name, i) {
+			return name === y[i];
+		});
+	}
+	if (kind === 'internal') {
+		if (x.isUnknown !== y.isUnknown) {
+			return false;
+		}
+		for (p in x) {
+			if (Array.isArray(x[p]) && (x[p].length !== y[p].length || x[p].some(function (value, i) {
+					return !sameValue(value, y[p][i]);
+				}))) {
+				return false;
+			}
+		}
+		return true;
+	}
+	if (kind === 'promise') {
+		return x.state === y.state && sameValue(x.value, y.value) && x.isHandled === y.isHandled &&
+			x.reactions.length === y.reactions.length && x.reactions.every(function (reaction, i) {
+				return reaction === y.reactions[i];
+			});
+	}
+	for (p in x) {
+		if (p !== 'value' && p !== 'get' && p !== 'set' && x[p] !== y[p]) {
+			return false;
+		}
+	}
+	return sameValue(x.value, y.value) && x.get === y.get && x.set === y.set;
 }
 
 /**
- * Throws a native exception. Due to the internal nature, we have to do a little trick to get the result inserted into
- * the rule processing flow.
+ * Reads the state of a location
  *
- * @method
- * @name module:Base.throwException
- * @param {String} exceptionType The type of exception, e.g. 'TypeError'
- * @param {String} message The exception message
+ * @private
  */
-exports.throwException = throwException;
-function throwException (exception) {
-	var error;
-
-	// Set the exception
-	exception.stackTrace = Runtime.getStackTrace();
-	Runtime._exception = exception;
-
-	error = new Error('VM exception flow controller');
-	error.isCodeProcessorException = true;
-
-	throw error;
+function readState(target, kind, name) {
+	switch(kind) {
+		case 'property':
+			return copyState(kind, target._lookupProperty(name));
+		case 'binding':
+			return copyState(kind, Object.prototype.hasOwnProperty.call(target._bindings, name) ?
+				target._bindings[name] : undefined);
+		case 'internal':
+			return copyState(kind, target[name]);
+		case 'names':
+			return target._properties.map(function (property) {
+				return property._name;
+			});
+		case 'promise':
+			return copyState(kind, {
+				state: target._promiseState,
+				value: target._promiseValue,
+				reactions: target._promiseReactions,
+				isHandled: target._promiseIsHandled,
+				rejectionLocation: target._promiseRejectionLocation
+			});
+	}
 }
 
-/*****************************************
- *
- * Cloner
+/**
+ * Sets the state of a location. A copy of the state is used, since bindings, property descriptors, and collections are
+ * changed in place.
  *
- *****************************************/
-/*global
-Map,
-UndefinedType,
-NullType,
-StringType,
-NumberType,
-BooleanType,
-ObjectType,
-FunctionType,
-isDataDescriptor,
-ReferenceType,
-ArrayType,
-RegExpType,
-UnknownType,
-DeclarativeEnvironmentRecord,
-ObjectEnvironmentRecord,
-ExecutionContext,
-LexicalEnvironment,
-StringPrototypeType,
-NumberPrototypeType,
-BooleanPrototypeType,
-createArgumentsObject
-*/
-
-exports.Cloner = Cloner;
-function Cloner() {
-	this._valueMap = new Map();
+ * @private
+ */
+function writeState(target, kind, name, state) {
+	var i, len;
+	state = copyState(kind, state);
+	switch(kind) {
+		case 'property':
+			for (i = 0, len = target._properties.length; i < len; i++) {
+				if (target._properties[i]._name === name) {
+					break;
+				}
+			}
+			if (state) {
+				target._properties[i] = state;
+			} else if (i < len) {
+				target._properties.splice(i, 1);
+			}
+			break;
+		case 'binding':
+			if (state) {
+				target._bindings[name] = state;
+			} else {
+				delete target._bindings[name];
+			}
+			break;
+		case 'internal':
+			target[name] = state;
+			break;
+		case 'promise':
+			target._promiseState = state.state;
+			target._promiseValue = state.value;
+			target._promiseReactions = state.reactions;
+			target._promiseIsHandled = state.isHandled;
+			target._promiseRejectionLocation = state.rejectionLocation;
+			break;
+	}
 }
 
-Cloner.prototype.cloneContext = function cloneContext(source) {
-	var newEnvRec = source.lexicalEnvironment.envRec instanceof ObjectEnvironmentRecord ?
-			this.cloneObjectEnvironment(source.lexicalEnvironment) :
-			this.cloneDeclarativeEnvironment(source.lexicalEnvironment),
-		newContext = new ExecutionContext(
-			newEnvRec,
-			newEnvRec,
-			source.thisBinding && this.cloneObject(source.thisBinding),
-			source.strict
-		);
-	newContext._ambiguousBlock = source._ambiguousBlock;
-	return newContext;
-};
-
-Cloner.prototype.cloneDeclarativeEnvironment = function cloneDeclarativeEnvironment(source) {
-	var newEnvRec = new DeclarativeEnvironmentRecord(),
-		outer,
-		binding;
-
-	// Clone the bindings
-	for (binding in source.envRec._bindings) {
-		newEnvRec._bindings[binding] = {
-			value: this.cloneValue(source.envRec._bindings[binding].value),
-			isDeletable: source.envRec._bindings[binding].isDeletable,
-			isMutable: source.envRec._bindings[binding].isMutable
-		};
+/**
+ * Copies the state of a location
+ *
+ * @private
+ */
+function copyState(kind, state) {
+	var copy,
+		p;
+	if (!state) {
+		return;
 	}
-	newEnvRec._ambiguousContext = source._ambiguousContext;
-
-	// Clone the outer lexical environment
-	if (source.outer) {
-		if (source.outer.envRec instanceof DeclarativeEnvironmentRecord) {
-			outer = this.cloneDeclarativeEnvironment(source.outer);
-		} else {
-			outer = this.cloneObjectEnvironment(source.outer);
+	copy = kind === 'property' ? new state.constructor() : {};
+	for (p in state) {
+		if (state.hasOwnProperty(p)) {
+			copy[p] = kind !== 'property' && Array.isArray(state[p]) ? state[p].slice() : state[p];
 		}
 	}
+	return copy;
+}
 
-	return new LexicalEnvironment(newEnvRec, outer);
-};
-
-Cloner.prototype.cloneObjectEnvironment = function cloneObjectEnvironment(source) {
-	var newEnvRec = new ObjectEnvironmentRecord(this.cloneObject(source.envRec._bindingObject)),
-		outer;
-
-	newEnvRec._ambiguousContext = source.envRec._ambiguousContext;
-
-	// Clone the outer lexical environment
-	if (source.outer) {
-		if (source.outer.envRec instanceof DeclarativeEnvironmentRecord) {
-			outer = this.cloneDeclarativeEnvironment(source.outer);
-		} else {
-			outer = this.cloneObjectEnvironment(source.outer);
+/**
+ * Gets the message of an exception thrown by a branch
+ *
+ * @private
+ */
+function getExceptionMessage(exception) {
+	var message;
+	if (type(exception) === 'String') {
+		return exception.value;
+	} else if (type(exception) === 'Object') {
+		message = exception._lookupProperty('message');
+		if (message && type(message.value) === 'String') {
+			return message.value.value;
 		}
 	}
+	return '<unknown>';
+}
 
-	return new LexicalEnvironment(newEnvRec, outer);
-};
 
-Cloner.prototype.cloneValue = function cloneValue(source) {
-	var cloned = this._valueMap.get(source);
-	if (cloned) {
-		return cloned;
-	}
-	switch(source.className) {
-		case 'Undefined':
-			cloned = this.cloneUndefined(source);
-			break;
-		case 'Null':
-			cloned = this.cloneNull(source);
-			break;
-		case 'String':
-			cloned = source instanceof StringPrototypeType ? this.cloneObject(source) : this.cloneString(source);
-			break;
-		case 'Number':
-			cloned = source instanceof NumberPrototypeType ? this.cloneObject(source) : this.cloneNumber(source);
-			break;
-		case 'Boolean':
-			cloned = source instanceof BooleanPrototypeType ? this.cloneObject(source) : this.cloneBoolean(source);
-			break;
-		// TODO: This is a hack since arguments objects have a few special overridden internal methods, but it's close enough for now.
-		case 'Arguments':
-		case 'Object':
-			cloned = this.cloneObject(source);
-			break;
-		case 'Function':
-			cloned = this.cloneFunction(source);
-			break;
-		case 'Array':
-			cloned = this.cloneArray(source);
-			break;
-		case 'RegExp':
-			cloned = this.cloneRegExp(source);
-			break;
-		case 'Error':
-		case 'EvalError':
-		case 'RangeError':
-		case 'ReferenceError':
-		case 'SyntaxError':
-		case 'TypeError':
-		case 'URIError':
-			cloned = this.cloneError(source);
-			break;
-		case 'Reference':
-			cloned = this.cloneReference(source);
-			break;
-		case 'Unknown':
-			cloned = this.cloneUnknown(source);
-			break;
-		default:
-			throw new Error('Internal Error: Cannot clone value of unknown class type "' + source.className + '"');
-	}
-	return cloned;
-};
+/*****************************************
+ *
+ * Function Summaries
+ *
+ *****************************************/
+/*global
+Runtime,
+Map,
+type,
+isPrimitive,
+sameValue,
+getTypeInfo,
+StateJournal,
+readState,
+writeState,
+isSameState,
+isSameTypeInfo,
+recordStateChange,
+journalStack,
+stateSerial,
+summaryStack,
+functionSummaryStats
+*/
 
-Cloner.prototype.cloneUndefined = function cloneUndefined(source) {
-	var cloned = new UndefinedType();
-	if (!this._valueMap.has(source)) {
-		this._valueMap.set(source, cloned);
-	}
-	return cloned;
-};
+/**
+ * The most summaries that are kept for each function, and the most locations a summary can depend on
+ *
+ * @private
+ */
+var MAX_FUNCTION_SUMMARIES = 8,
+	MAX_SUMMARY_DEPENDENCIES = 1000,
 
-Cloner.prototype.cloneNull = function cloneNull(source) {
-	var cloned = new NullType();
-	if (!this._valueMap.has(source)) {
-		this._valueMap.set(source, cloned);
+	// Set while the state of a location is being read on behalf of a summary, so that the read itself isn't recorded
+	isReadingState = false;
+
+// ******** Summary Recorder Class ********
+
+/**
+ * @classdesc Records what a function call read and changed, so that the call can be summarized once it returns. Reads
+ * and changes of objects and environments created during the call are not recorded, since they can't be seen by the
+ * caller. The journal of the changes doubles as the list of locations that were written before they were read, whose
+ * original state the call also depends on.
+ *
+ * @constructor
+ * @private
+ */
+function SummaryRecorder(func, key) {
+	this.func = func;
+	this.key = key;
+	this.firstSerial = stateSerial + 1;
+	this.effectCount = Runtime.getEffectCount();
+	this.journal = new StateJournal();
+	this.isPure = true;
+	this._locations = new Map();
+	this._dependencies = [];
+}
+
+/**
+ * Records the state of a location the first time it is read, unless the call already changed it
+ *
+ * @private
+ * @param {Object} target The object, environment record, or collection being read
+ * @param {String} kind The kind of location, one of 'property', 'binding', 'names' (the property names of an object), or
+ *		'internal'
+ * @param {String} name The name of the property, binding, or internal data
+ */
+SummaryRecorder.prototype.record = function record(target, kind, name) {
+	var names = this._locations.get(target),
+		changed,
+		key = kind + ':' + name;
+	if (!this.isPure) {
+		return;
+	}
+	if (!names) {
+		names = {};
+		this._locations.set(target, names);
+	}
+	if (!names[key]) {
+		names[key] = true;
+		changed = this.journal._locations.get(target);
+		if (!changed || !changed[key]) {
+			this._dependencies.push({
+				target: target,
+				kind: kind,
+				name: name,
+				state: readState(target, kind, name)
+			});
+			if (this._dependencies.length > MAX_SUMMARY_DEPENDENCIES) {
+				this.isPure = false;
+			}
+		}
 	}
-	return cloned;
 };
 
-Cloner.prototype.cloneString = function cloneString(source) {
-	var cloned = new StringType(source.value);
-	if (!this._valueMap.has(source)) {
-		this._valueMap.set(source, cloned);
+/**
+ * Records that a location is about to be read in every function summary being recorded. This is called by the methods
+ * that look up bindings and properties.
+ *
+ * @method
+ * @name module:Base.recordStateRead
+ * @param {Object} target The object, environment record, or collection being read
+ * @param {String} kind The kind of location, one of 'property', 'binding', 'names' (the property names of an object), or
+ *		'internal' (the data of a collection)
+ * @param {String} name The name of the property, binding, or internal data
+ */
+exports.recordStateRead = recordStateRead;
+function recordStateRead(target, kind, name) {
+	var i = summaryStack.length;
+	if (!i || isReadingState) {
+		return;
 	}
-	return cloned;
-};
+	isReadingState = true;
+	name = String(name);
+	while (i--) {
 
-Cloner.prototype.cloneNumber = function cloneNumber(source) {
-	var cloned = new NumberType(source.value);
-	if (!this._valueMap.has(source)) {
-		this._valueMap.set(source, cloned);
+		// If the target was created during this call, it was also created during all of the calls that are outside of it
+		if (target._serial >= summaryStack[i].firstSerial) {
+			break;
+		}
+		summaryStack[i].record(target, kind, name);
 	}
-	return cloned;
-};
+	isReadingState = false;
+}
 
-Cloner.prototype.cloneBoolean = function cloneBoolean(source) {
-	var cloned = new BooleanType(source.value);
-	if (!this._valueMap.has(source)) {
-		this._valueMap.set(source, cloned);
+/**
+ * Records that an operation whose result can't be reproduced, such as reading the clock or generating a random number,
+ * was performed, which means that none of the function calls in progress can be summarized
+ *
+ * @method
+ * @name module:Base.recordImpureOperation
+ */
+exports.recordImpureOperation = recordImpureOperation;
+function recordImpureOperation() {
+	var i = summaryStack.length;
+	while (i--) {
+		summaryStack[i].isPure = false;
 	}
-	return cloned;
-};
+}
 
-Cloner.prototype.cloneDescriptor = function cloneDescriptor(sourceDesc) {
-	var newDesc = {
-			enumerable: sourceDesc.enumerable,
-			configurable: sourceDesc.configurable,
-			_name: sourceDesc._name
-		};
-	if (isDataDescriptor(sourceDesc)) {
-		newDesc.value = this.cloneValue(sourceDesc.value);
-		newDesc.writable = sourceDesc.writable;
+// ******** Summary Methods ********
+
+/**
+ * Looks for a summary of a previous call to a function that can be reused for this call, i.e. one that was called with
+ * the same this value and arguments, and whose dependencies are all still in the same state. Primitive values are the
+ * same if they are equal, objects if they are the same object, and unknown values if they have the same type.
+ *
+ * @method
+ * @name module:Base.findFunctionSummary
+ * @param {module:Base.FunctionType} func The function being called
+ * @param {module:Base.BaseType} thisVal The value of <code>this</code> of the call
+ * @param {Array[module:Base.BaseType]} args The arguments of the call
+ * @param {Boolean} isAmbiguousContext Whether or not the function is being called as an ambiguous function
+ * @returns {Object|undefined} The summary, if one can be reused, to be passed to
+ *		{@link module:Base.applyFunctionSummary}
+ */
+exports.findFunctionSummary = findFunctionSummary;
+function findFunctionSummary(func, thisVal, args, isAmbiguousContext) {
+	var summaries = func._summaries,
+		key,
+		summary,
+		i;
+	if (!Runtime.options.functionSummaries) {
+		return;
+	}
+	if (summaries) {
+		key = createSummaryKey(func, thisVal, args, isAmbiguousContext);
+		isReadingState = true;
+		for (i = summaries.length - 1; i >= 0; i--) {
+			if (isSameSummaryKey(summaries[i].key, key) && summaries[i].dependencies.every(isDependencyUnchanged)) {
+				summary = summaries[i];
+				break;
+			}
+		}
+		isReadingState = false;
+	}
+	if (summary) {
+		functionSummaryStats.hits++;
 	} else {
-		newDesc.get = sourceDesc.get && this.cloneValue(sourceDesc.get);
-		newDesc.set = sourceDesc.set && this.cloneValue(sourceDesc.set);
+		functionSummaryStats.misses++;
 	}
-	return newDesc;
-};
+	return summary;
+}
 
-Cloner.prototype.cloneObject = function cloneObject(source) {
-	var newObject = new ObjectType(source.className, undefined, true),
-		i, len;
-	if (!this._valueMap.has(source)) {
-		this._valueMap.set(source, newObject);
+/**
+ * Applies a summary found by {@link module:Base.findFunctionSummary} in place of calling the function, by making the
+ * same changes the summarized call did
+ *
+ * @method
+ * @name module:Base.applyFunctionSummary
+ * @param {Object} summary The summary to apply
+ * @returns {module:Base.BaseType} The return value of the summarized call
+ */
+exports.applyFunctionSummary = applyFunctionSummary;
+function applyFunctionSummary(summary) {
+
+	// The calls that this one is nested in depend on the same locations
+	summary.dependencies.forEach(function (dependency) {
+		recordStateRead(dependency.target, dependency.kind, dependency.name);
+	});
+	summary.effects.forEach(function (effect) {
+		recordStateChange(effect.target, effect.kind, effect.name);
+		writeState(effect.target, effect.kind, effect.name, effect.state);
+	});
+	return summary.result;
+}
+
+/**
+ * Starts recording a call to a function, so that it can be summarized once it returns. The recording must be stopped
+ * with {@link module:Base.stopFunctionSummary} whether or not the call returns normally.
+ *
+ * @method
+ * @name module:Base.startFunctionSummary
+ * @param {module:Base.FunctionType} func The function being called
+ * @param {module:Base.BaseType} thisVal The value of <code>this</code> of the call
+ * @param {Array[module:Base.BaseType]} args The arguments of the call
+ * @param {Boolean} isAmbiguousContext Whether or not the function is being called as an ambiguous function
+ * @returns {Object|undefined} The recorder, or undefined if function summaries are disabled
+ */
+exports.startFunctionSummary = startFunctionSummary;
+function startFunctionSummary(func, thisVal, args, isAmbiguousContext) {
+	var recorder;
+	if (!Runtime.options.functionSummaries) {
+		return;
 	}
-	newObject.extensible = source.extensible;
-	for (i = 0, len = source._properties.length; i < len; i++) {
-		newObject._properties[i] = this.cloneDescriptor(source._properties[i]);
+	recorder = new SummaryRecorder(func, createSummaryKey(func, thisVal, args, isAmbiguousContext));
+	summaryStack.push(recorder);
+	journalStack.push(recorder.journal);
+	return recorder;
+}
+
+/**
+ * Stops recording a call to a function. Stopping a recording that was already stopped, or was never started, does
+ * nothing.
+ *
+ * @method
+ * @name module:Base.stopFunctionSummary
+ * @param {Object} [recorder] The recorder returned by {@link module:Base.startFunctionSummary}
+ */
+exports.stopFunctionSummary = stopFunctionSummary;
+function stopFunctionSummary(recorder) {
+	var index = summaryStack.indexOf(recorder);
+	if (index !== -1) {
+		summaryStack.splice(index, 1);
+		journalStack.splice(journalStack.indexOf(recorder.journal), 1);
 	}
-	newObject.objectPrototype = source.objectPrototype && this.cloneValue(source.objectPrototype);
-	return newObject;
-};
+}
 
-Cloner.prototype.cloneFunction = function cloneFunction(source) {
-	var newFunc,
-		i, len;
-	if (source instanceof FunctionType) {
-		newFunc = new FunctionType(
-			source.formalParameters,
-			source._ast,
-			//cloneLexicalEnvironment(source.scope),
-			source.scope,
-			source.strict,
-			source.className);
-	} else {
-		newFunc = source.constructor.instantiateClone ?
-			source.constructor.instantiateClone(source) :
-			new source.constructor(source.className);
-		newFunc.callFunction = source.callFunction;
-		newFunc.construct = source.construct;
+/**
+ * Saves the summary of a call to a function that returned normally. The call is not summarized if it was impure, had an
+ * effect outside of the VM (see {@link module:Runtime.getEffectCount}), changed a collection or a promise, or if its
+ * return value, or any value it stored in a location that existed before the call, is an object created during the call,
+ * since reusing the summary would share that object between calls that would each have created their own.
+ *
+ * @method
+ * @name module:Base.saveFunctionSummary
+ * @param {Object} [recorder] The recorder returned by {@link module:Base.startFunctionSummary}, after the recording was
+ *		stopped
+ * @param {module:Base.BaseType} result The return value of the call
+ */
+exports.saveFunctionSummary = saveFunctionSummary;
+function saveFunctionSummary(recorder, result) {
+	var effects = [],
+		dependencies,
+		summaries,
+		i, len,
+		entry,
+		state;
+
+	// Primitive values are created with a serial too, but can't be told apart from copies of themselves, so only objects
+	// created during the call count
+	function isCreatedDuringCall(value) {
+		return !!value && type(value) === 'Object' && value._serial >= recorder.firstSerial;
 	}
-	if (!this._valueMap.has(source)) {
-		this._valueMap.set(source, newFunc);
+
+	if (!recorder || !recorder.isPure || Runtime.getEffectCount() !== recorder.effectCount ||
+			isCreatedDuringCall(result)) {
+		return;
 	}
-	newFunc.extensible = source.extensible;
-	for (i = 0, len = source._properties.length; i < len; i++) {
-		newFunc._properties[i] = this.cloneDescriptor(source._properties[i]);
+	for (i = 0, len = recorder.journal._entries.length; i < len; i++) {
+		entry = recorder.journal._entries[i];
+		if (entry.kind !== 'property' && entry.kind !== 'binding') {
+			return;
+		}
+		state = readState(entry.target, entry.kind, entry.name);
+		if (state && (isCreatedDuringCall(state.value) || isCreatedDuringCall(state.get) || isCreatedDuringCall(state.set))) {
+			return;
+		}
+		effects.push({
+			target: entry.target,
+			kind: entry.kind,
+			name: entry.name,
+			state: state
+		});
 	}
-	newFunc.objectPrototype = source.objectPrototype && this.cloneValue(source.objectPrototype);
-	return newFunc;
-};
 
-Cloner.prototype.cloneArray = function cloneArray(source) {
-	var newObject = new ArrayType(source.className),
-		i, len;
-	if (!this._valueMap.has(source)) {
-		this._valueMap.set(source, newObject);
+	dependencies = recorder._dependencies.concat(recorder.journal._entries.map(function (entry) {
+		return {
+			target: entry.target,
+			kind: entry.kind,
+			name: entry.name,
+			state: entry.original
+		};
+	}));
+
+	summaries = recorder.func._summaries = recorder.func._summaries || [];
+	if (summaries.length === MAX_FUNCTION_SUMMARIES) {
+		summaries.shift();
 	}
-	newObject.extensible = source.extensible;
-	for (i = 0, len = source._properties.length; i < len; i++) {
-		newObject._properties[i] = this.cloneDescriptor(source._properties[i]);
+	summaries.push({
+		key: recorder.key,
+		dependencies: dependencies,
+		effects: effects,
+		result: result
+	});
+}
+
+/**
+ * Gets how many function calls reused a summary of a previous call, and how many didn't
+ *
+ * @method
+ * @name module:Base.getFunctionSummaryStats
+ * @returns {Object} The statistics, containing the number of 'hits' and 'misses', and the 'hitRatio', which is 0 if no
+ *		function was called
+ */
+exports.getFunctionSummaryStats = getFunctionSummaryStats;
+function getFunctionSummaryStats() {
+	var calls = functionSummaryStats.hits + functionSummaryStats.misses;
+	return {
+		hits: functionSummaryStats.hits,
+		misses: functionSummaryStats.misses,
+		hitRatio: calls ? functionSummaryStats.hits / calls : 0
+	};
+}
+
+// ******** Helper Methods ********
+
+/**
+ * Creates the statistics of a new run
+ *
+ * @private
+ */
+function createFunctionSummaryStats() {
+	return {
+		hits: 0,
+		misses: 0
+	};
+}
+
+/**
+ * Creates the key that identifies the calls a summary can be reused for. Besides the this value and arguments, the
+ * ambiguity of the call and of the environments the function closes over are part of the key, since they decide if the
+ * values the function writes become unknown.
+ *
+ * @private
+ */
+function createSummaryKey(func, thisVal, args, isAmbiguousContext) {
+	var environment = func.scope,
+		closureState = '';
+	while (environment) {
+		closureState += environment._ambiguousContext ? '1' : '0';
+		environment = environment.outer;
 	}
-	newObject.objectPrototype = source.objectPrototype && this.cloneValue(source.objectPrototype);
-	return newObject;
-};
+	return {
+		values: [thisVal].concat(args),
+		isAmbiguousContext: isAmbiguousContext,
+		closureState: closureState
+	};
+}
 
-Cloner.prototype.cloneRegExp = function cloneRegExp(source) {
-	var newObject = new RegExpType(source._pattern, source._flags, source.className),
-		i, len;
-	if (!this._valueMap.has(source)) {
-		this._valueMap.set(source, newObject);
+/**
+ * Checks if two summary keys are the same
+ *
+ * @private
+ */
+function isSameSummaryKey(x, y) {
+	var i, len;
+	if (x.isAmbiguousContext !== y.isAmbiguousContext || x.closureState !== y.closureState ||
+			x.values.length !== y.values.length) {
+		return false;
 	}
-	newObject.extensible = source.extensible;
-	for (i = 0, len = source._properties.length; i < len; i++) {
-		newObject._properties[i] = this.cloneDescriptor(source._properties[i]);
+	for (i = 0, len = x.values.length; i < len; i++) {
+		if (!isSameSummaryValue(x.values[i], y.values[i])) {
+			return false;
+		}
 	}
-	newObject.objectPrototype = source.objectPrototype && this.cloneValue(source.objectPrototype);
-	return newObject;
-};
-
-Cloner.prototype.cloneError = function cloneError(source) {
-	var cloned = this.cloneObject(source);
-	cloned._errorType = source._errorType;
-	return cloned;
-};
+	return true;
+}
 
-Cloner.prototype.cloneReference = function cloneReference(source) {
-	var cloned = new ReferenceType(this.cloneValue(source.value), source.referencedName, source.strictReference);
-	if (!this._valueMap.has(source)) {
-		this._valueMap.set(source, cloned);
+/**
+ * Checks if two values passed to a function are the same, as far as the function can tell
+ *
+ * @private
+ */
+function isSameSummaryValue(x, y) {
+	if (x === y) {
+		return true;
 	}
-	return cloned;
-};
-
-Cloner.prototype.cloneUnknown = function cloneUnknown(source) {
-	var cloned = new UnknownType();
-	if (!this._valueMap.has(source)) {
-		this._valueMap.set(source, cloned);
+	if (!x || !y || type(x) !== type(y)) {
+		return false;
 	}
-	return cloned;
-};
+	if (type(x) === 'Unknown') {
+		return isSameTypeInfo(getTypeInfo(x), getTypeInfo(y));
+	}
+	return isPrimitive(x) && sameValue(x, y);
+}
+
+/**
+ * Checks if a location a summary depends on is still in the state the summarized call saw
+ *
+ * @private
+ */
+function isDependencyUnchanged(dependency) {
+	return isSameState(dependency.kind, dependency.state, readState(dependency.target, dependency.kind, dependency.name));
+}
@@ -0,0 +1,201 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Records a known set of errors and warnings so that only new findings are reported. Findings are fingerprinted by
+ * their type, description, file, and the normalized line of code they were reported on, instead of by line number, so
+ * that a baseline remains valid as unrelated code is added or removed.
+ *
+ * @module Baseline
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+
+var path = require('path'),
+	fs = require('fs'),
+	crypto = require('crypto'),
+	existsSync = fs.existsSync || path.existsSync,
+
+	wrench = require('wrench'),
+
+	Runtime = require('./Runtime'),
+
+	BASELINE_VERSION = 1,
+
+	whitespaceRegex = /\s+/g,
+	newlineRegex = /\r?\n/;
+
+/**
+ * Creates a fingerprinter that calculates the fingerprints of findings
+ *
+ * @private
+ */
+function createFingerprinter(projectDir) {
+	var sourceLines = {};
+
+	function getSnippet(filename, line) {
+		if (!sourceLines.hasOwnProperty(filename)) {
+			try {
+				sourceLines[filename] = fs.readFileSync(filename).toString().split(newlineRegex);
+			} catch(e) {
+				sourceLines[filename] = [];
+			}
+		}
+		return (sourceLines[filename][line - 1] || '').replace(whitespaceRegex, ' ').trim();
+	}
+
+	return function fingerprint(finding) {
+		var location = finding.filename ? Runtime.mapLocation(finding) : {},
+			filename = location.filename || '',
+			entry = {
+				type: finding.type,
+				description: finding.description,
+				filename: (projectDir ? path.relative(projectDir, filename) : filename).split(path.sep).join('/'),
+				snippet: filename ? getSnippet(filename, location.line) : ''
+			};
+		entry.fingerprint = crypto.createHash('sha1').update(JSON.stringify([entry.type, entry.description,
+			entry.filename, entry.snippet])).digest('hex');
+		return entry;
+	};
+}
+
+/**
+ * Counts the number of times each fingerprint occurs in a baseline
+ *
+ * @private
+ */
+function countFindings(baseline) {
+	var counts = {};
+	baseline.findings.forEach(function (entry) {
+		counts[entry.fingerprint] = (counts[entry.fingerprint] || 0) + (entry.count || 1);
+	});
+	return counts;
+}
+
+/**
+ * Creates a baseline from a set of findings
+ *
+ * @method
+ * @param {Array[Object]} findings The errors and warnings to record, as returned by
+ *		{@link module:Runtime.getReportedErrors} and {@link module:Runtime.getReportedWarnings}
+ * @param {String} [projectDir] The project directory. Filenames are recorded relative to it
+ * @returns {Object} The baseline
+ */
+exports.create = create;
+function create(findings, projectDir) {
+	var fingerprint = createFingerprinter(projectDir),
+		entries = {},
+		baseline = {
+			version: BASELINE_VERSION,
+			findings: []
+		};
+	findings.forEach(function (finding) {
+		var entry = fingerprint(finding);
+		if (entries[entry.fingerprint]) {
+			entries[entry.fingerprint].count++;
+		} else {
+			entry.count = 1;
+			entries[entry.fingerprint] = entry;
+			baseline.findings.push(entry);
+		}
+	});
+	return baseline;
+}
+
+/**
+ * Loads a baseline file
+ *
+ * @method
+ * @param {String} file The path to the baseline file
+ * @returns {Object} The baseline
+ * @throws {Error} Thrown if the file could not be read or is not a valid baseline
+ */
+exports.load = load;
+function load(file) {
+	var baseline = JSON.parse(fs.readFileSync(file).toString());
+	if (baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.findings)) {
+		throw new Error('"' + file + '" is not a valid baseline file');
+	}
+	return baseline;
+}
+
+/**
+ * Saves a baseline to a file, creating the directory containing the file if necessary
+ *
+ * @method
+ * @param {String} file The path to the baseline file
+ * @param {Object} baseline The baseline to save, as returned by {@link module:Baseline.create}
+ */
+exports.save = save;
+function save(file, baseline) {
+	if (!existsSync(path.dirname(file))) {
+		wrench.mkdirSyncRecursive(path.dirname(file));
+	}
+	fs.writeFileSync(file, JSON.stringify(baseline, false, '\t'));
+}
+
+/**
+ * Creates a function that checks if a finding is in the baseline. Each finding recorded in the baseline is only
+ * matched once, so that a new finding that happens to be identical to a recorded finding is still reported.
+ *
+ * @method
+ * @param {Object} baseline The baseline, as returned by {@link module:Baseline.load}
+ * @param {String} [projectDir] The project directory the baseline was created with
+ * @returns {Function} A function that takes a finding and returns whether or not it is in the baseline
+ */
+exports.createMatcher = createMatcher;
+function createMatcher(baseline, projectDir) {
+	var fingerprint = createFingerprinter(projectDir),
+		remaining = countFindings(baseline);
+	return function isBaselined(finding) {
+		var id = fingerprint(finding).fingerprint;
+		if (remaining[id]) {
+			remaining[id]--;
+			return true;
+		}
+		return false;
+	};
+}
+
+/**
+ * Compares a set of findings against a baseline, such as one created from the findings of a previous run
+ *
+ * @method
+ * @param {Object} baseline The baseline to compare against, as returned by {@link module:Baseline.create}
+ * @param {Array[Object]} findings The errors and warnings to compare
+ * @param {String} [projectDir] The project directory the baseline was created with
+ * @returns {Object} An object containing two entries: 'added', the findings that are not in the baseline, and
+ *		'removed', the baseline entries that no longer have a matching finding. The count of each removed entry is the
+ *		number of occurrences that were removed
+ */
+exports.diff = diff;
+function diff(baseline, findings, projectDir) {
+	var fingerprint = createFingerprinter(projectDir),
+		remaining = countFindings(baseline),
+		added = [],
+		removed = [];
+	findings.forEach(function (finding) {
+		var id = fingerprint(finding).fingerprint;
+		if (remaining[id]) {
+			remaining[id]--;
+		} else {
+			added.push(finding);
+		}
+	});
+	baseline.findings.forEach(function (entry) {
+		if (remaining[entry.fingerprint]) {
+			removed.push({
+				type: entry.type,
+				description: entry.description,
+				filename: entry.filename,
+				snippet: entry.snippet,
+				fingerprint: entry.fingerprint,
+				count: remaining[entry.fingerprint]
+			});
+			remaining[entry.fingerprint] = 0;
+		}
+	});
+	return {
+		added: added,
+		removed: removed
+	};
+}
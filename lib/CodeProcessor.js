@@ -26,11 +26,26 @@ var path = require('path'),
 	AST = require('./AST'),
 	Base = require('./Base'),
 	Runtime = require('./Runtime'),
+	AnalysisCache = require('./AnalysisCache').AnalysisCache,
+	Baseline = require('./Baseline'),
 	CodeProcessorUtils = require('./CodeProcessorUtils'),
 
+	reporters = {
+		sarif: require('./reporters/sarif'),
+		junit: require('./reporters/junit'),
+		checkstyle: require('./reporters/checkstyle')
+	},
+
 	pluralize = CodeProcessorUtils.pluralize,
 
-	startTime = Date.now();
+	hiddenRegex = /^_/,
+	explainUnknownRegex = /^(.+):([0-9]+)$/,
+
+	// The number of origins of unknown values to include in the results
+	MAX_UNKNOWN_ORIGINS = 10,
+
+	defaultSession,
+	activeSession;
 
 // ******** Prime the rules ********
 (function(){
@@ -166,6 +181,14 @@ function queryOptions(callback) {
 			defaultValue: Runtime.options.maxLoopIterations,
 			required: false
 		},
+		loopWideningThreshold: {
+			description: 'The number of iterations of a loop to evaluate before widening it to unknown values. 0 disables widening',
+			types: [{
+				type: 'number'
+			}],
+			defaultValue: Runtime.options.loopWideningThreshold,
+			required: false
+		},
 		maxRecursionLimit: {
 			description: 'The maximum recursion depth to evaluate before throwing a RangeError exception',
 			types: [{
@@ -232,6 +255,91 @@ function queryOptions(callback) {
 			}],
 			defaultValue: Runtime.options.maxCycles,
 			require: false
+		},
+		determinism: {
+			description: 'How clock reads and random numbers are evaluated. "seeded" uses a seeded random number generator' +
+				' and a virtual clock, "virtual" uses a virtual clock and unknown random numbers, and "unknown" makes both' +
+				' unknown. If not set, they are only evaluated in exact mode, using the host\'s values',
+			types: [{
+				type: 'string',
+				allowedValues: ['seeded', 'virtual', 'unknown']
+			}],
+			required: false
+		},
+		seed: {
+			description: 'The seed for the random number generator used by the "seeded" determinism mode',
+			types: [{
+				type: 'number'
+			}],
+			defaultValue: Runtime.options.seed,
+			required: false
+		},
+		ambiguityStrategy: {
+			description: 'How conditionals with an unknown condition are evaluated. "merge" evaluates each branch' +
+				' separately and merges the values each branch leaves behind, and "legacy" evaluates every branch in a' +
+				' single ambiguous block, making everything they change unknown',
+			types: [{
+				type: 'string',
+				allowedValues: ['merge', 'legacy']
+			}],
+			defaultValue: Runtime.options.ambiguityStrategy,
+			required: false
+		},
+		functionSummaries: {
+			description: 'Whether or not to reuse the return value and side effects of a previous call to a function when' +
+				' it is called again with the same arguments, and nothing it read has changed since',
+			types: [{
+				type: 'boolean'
+			}],
+			defaultValue: Runtime.options.functionSummaries,
+			required: false
+		},
+		profile: {
+			description: 'Whether or not to include profiling information, such as the function summary hit ratio, in the' +
+				' results',
+			types: [{
+				type: 'boolean'
+			}],
+			defaultValue: Runtime.options.profile,
+			required: false
+		},
+		explainUnknown: {
+			description: 'A location, in the form "file:line", to explain the unknown value at. The file is relative to the' +
+				' project directory. The explanation lists the operations that the value flowed through, back to where it' +
+				' became unknown',
+			types: [{
+				type: 'string'
+			}],
+			required: false
+		},
+		cache: {
+			description: 'Whether or not to cache analysis results between runs. Only the files that changed, and the files' +
+				' that load them, are analyzed again, unless a plugin that reports results is loaded. If a string is supplied,' +
+				' it is used as the cache directory, otherwise the cache is stored in build/codeprocessor/cache in the project' +
+				' directory',
+			types: [{
+				type: 'boolean'
+			}, {
+				type: 'string'
+			}],
+			defaultValue: false,
+			required: false
+		},
+		baseline: {
+			description: 'The path to a baseline file. Errors and warnings recorded in the baseline are not reported. If' +
+				' the file does not exist, it is created with the current errors and warnings',
+			types: [{
+				type: 'string'
+			}],
+			required: false
+		},
+		updateBaseline: {
+			description: 'Whether or not to rewrite the baseline file with the current errors and warnings',
+			types: [{
+				type: 'boolean'
+			}],
+			defaultValue: false,
+			required: false
 		}
 	});
 }
@@ -251,60 +359,356 @@ function queryOptions(callback) {
  * @param {Object} plugins.plugin.options The options for the plugin
  * @param {Any} plugins.plugin.options.option An option. The actual key is the name of the option
  * @param {Winston Logger} [logger] A logger instance from the CLI (can be a CLI logger, which wraps winston, or a winston logger directly)
+ * @param {Function} [callback] The function to call once the results have been generated, see
+ *		{@link module:CodeProcessor.Session#run}
  */
 exports.run = run;
 function run(sourceInformation, options, plugins, logger, callback) {
+	defaultSession.options = options || {};
+	return defaultSession.run(sourceInformation, plugins, logger, callback);
+}
+
+/**
+ * Processes a project once for each of several platforms, and merges the errors and warnings of each platform into a
+ * single set of results. Each platform is evaluated in its own {@link module:CodeProcessor.Session}, so plugins are
+ * loaded once per platform and are typically told which platform they are for via their options. The HTML results of
+ * each platform, if requested, are written to a subdirectory of the results path named after the platform, and the
+ * analysis cache of each platform is likewise kept in its own subdirectory of the cache directory.
+ *
+ * @method
+ * @param {Object} sourceInformation The source information for the project, see {@link module:CodeProcessor.run}
+ * @param {Object} options The options for the run, see {@link module:CodeProcessor.run}. The baseline, if any, is
+ *		applied to the merged results
+ * @param {Object} plugins The plugins to load for each platform. The keys are the names of the platforms, in the order
+ *		they should be analyzed in, and the values are the plugins for that platform, see {@link module:CodeProcessor.run}
+ * @param {Winston Logger} [logger] A logger instance from the CLI
+ * @param {Function} [callback] The function to call once the results have been generated. It is passed an error, if
+ *		one occurred, and the merged results, see {@link module:CodeProcessor.mergePlatformResults}
+ */
+exports.runPlatforms = runPlatforms;
+function runPlatforms(sourceInformation, options, plugins, logger, callback) {
+	var platforms = Object.keys(plugins),
+		startTime = Date.now(),
+		sessions = {},
+		cacheDir;
 
-	var results;
 	options = options || {};
+	if (options.cache) {
+		cacheDir = typeof options.cache === 'string' ? options.cache :
+			path.join(sourceInformation.projectDir, 'build', 'codeprocessor', 'cache');
+	}
+
+	async.eachSeries(platforms, function (platform, next) {
+		var sessionOptions = {},
+			session,
+			p;
+		for (p in options) {
+			sessionOptions[p] = options[p];
+		}
+		sessionOptions.outputFormat = undefined;
+		sessionOptions.resultsPath = options.resultsPath ? path.join(options.resultsPath, platform) : undefined;
+		sessionOptions.cache = cacheDir ? path.join(cacheDir, platform) : options.cache;
+		sessionOptions.baseline = sessionOptions.updateBaseline = undefined;
+
+		session = sessions[platform] = new Session(sessionOptions);
+		if (logger) {
+			logger.log('info', 'Analyzing project for ' + platform);
+		}
+		session.run(sourceInformation, plugins[platform], logger, next);
+	}, function (err) {
+		var results,
+			pageData;
+		if (err) {
+			return callback && callback(err);
+		}
+		try {
+			results = inSession(sessions[platforms[0]], function () {
+				var results = mergePlatformResults(platforms.map(function (platform) {
+					return inSession(sessions[platform], collectRawResults);
+				}), platforms);
+				if (options.baseline) {
+					results.baseline = applyBaseline(options.baseline, options.updateBaseline, results.errors,
+						results.warnings);
+				}
+				results.platformOnly = {
+					errors: findPlatformOnly(results.errors, platforms),
+					warnings: findPlatformOnly(results.warnings, platforms)
+				};
+				addOccurrenceCounts(results.errors);
+				addOccurrenceCounts(results.warnings);
+				results.elapsedTime = Date.now() - startTime;
+				results.resultsPath = options.resultsPath;
+				pageData = generatePlatformResults(options.outputFormat, results, sessions);
+				return results;
+			});
+			if (options.resultsPath) {
+				createResultsDirectory(options.resultsPath, options.resultsTheme);
+			}
+		} catch(e) {
+			return callback && callback(e);
+		}
+		if (options.resultsPath) {
+			renderTemplate(path.join(__dirname, '..', 'templates', 'platforms.html'),
+				path.join(options.resultsPath, 'index.html'), pageData, function () {
+					callback && callback(undefined, results);
+				});
+		} else {
+			callback && callback(undefined, results);
+		}
+	});
+}
+
+/**
+ * Creates the plugins to load for each platform from a single list of plugins, for use with
+ * {@link module:CodeProcessor.runPlatforms}. The Titanium API provider is told which platform it is for, and the
+ * analysis coverage and unknown/ambiguous visualizer plugins write their visualizations to the results path, in a
+ * subdirectory named after the platform when there is more than one platform.
+ *
+ * @method
+ * @param {Array[Object]} plugins The plugins to load, see {@link module:CodeProcessor.run}. The options of each plugin
+ *		are copied, not modified
+ * @param {Array[String]} platforms The platforms to analyze the project for
+ * @param {String} [resultsPath] The path the results are written to, see the 'resultsPath' option of
+ *		{@link module:CodeProcessor.run}
+ * @returns {Object} The plugins to load for each platform, keyed by the name of the platform
+ */
+exports.createPlatformPlugins = createPlatformPlugins;
+function createPlatformPlugins(plugins, platforms, resultsPath) {
+	var platformPlugins = {};
+	platforms.forEach(function (platform) {
+		platformPlugins[platform] = plugins.map(function (plugin) {
+			var name = path.basename(plugin.path),
+				pluginOptions = {},
+				p;
+			for (p in plugin.options) {
+				pluginOptions[p] = plugin.options[p];
+			}
+			if (name === 'ti-api-provider') {
+				pluginOptions.platform = platform;
+			} else if (name === 'analysis-coverage' || name === 'unknown-ambiguous-visualizer') {
+				pluginOptions.visualization = {
+					outputDirectory: resultsPath ?
+						path.join(resultsPath, platforms.length > 1 ? platform : '', name) : undefined
+				};
+			}
+			return {
+				path: plugin.path,
+				options: pluginOptions
+			};
+		});
+	});
+	return platformPlugins;
+}
+
+/**
+ * Merges the results of several platforms. Errors and warnings that were reported at the same location on more than one
+ * platform are merged into a single entry.
+ *
+ * @method
+ * @param {Array[Object]} platformResults The results of each platform, in the same format as
+ *		{@link module:CodeProcessor.getResults}, but without the occurrence counts appended to the descriptions
+ * @param {Array[String]} platforms The names of the platforms, in the same order as platformResults
+ * @returns {Object} The merged results, containing 'platforms', the list of platforms; 'errors' and 'warnings', with a
+ *		'platforms' entry added to each finding listing the platforms it was reported on; 'suppressed', in the same
+ *		format; and 'plugins', an object with the keys being the names of the platforms and the values being the plugin
+ *		results of that platform. If the profile option was set, a 'profile' entry is also included, in the same format
+ *		as 'plugins'
+ */
+exports.mergePlatformResults = mergePlatformResults;
+function mergePlatformResults(platformResults, platforms) {
+	var results = {
+			platforms: platforms,
+			errors: [],
+			warnings: [],
+			suppressed: {
+				errors: [],
+				warnings: []
+			},
+			plugins: {}
+		};
+
+	function merge(findings, mergedFindings, mergedIndices, platform) {
+		var i, len,
+			finding,
+			key;
+		for (i = 0, len = findings.length; i < len; i++) {
+			finding = findings[i];
+			key = JSON.stringify([finding.type, finding.description, finding.filename, finding.line, finding.column]);
+			if (mergedIndices.hasOwnProperty(key)) {
+				finding = mergedFindings[mergedIndices[key]];
+				finding.occurances = Math.max(finding.occurances || 1, findings[i].occurances || 1);
+			} else {
+				finding = sanitize(finding);
+				finding.platforms = [];
+				mergedIndices[key] = mergedFindings.length;
+				mergedFindings.push(finding);
+			}
+			if (finding.platforms.indexOf(platform) === -1) {
+				finding.platforms.push(platform);
+			}
+		}
+	}
+
+	[
+		[ 'errors', results.errors ],
+		[ 'warnings', results.warnings ]
+	].forEach(function (type) {
+		var indices = {},
+			suppressedIndices = {};
+		platformResults.forEach(function (platformResult, i) {
+			merge(platformResult[type[0]], type[1], indices, platforms[i]);
+			merge(platformResult.suppressed[type[0]], results.suppressed[type[0]], suppressedIndices, platforms[i]);
+		});
+	});
+	platformResults.forEach(function (platformResult, i) {
+		results.plugins[platforms[i]] = sanitize(platformResult.plugins);
+		if (platformResult.profile) {
+			results.profile = results.profile || {};
+			results.profile[platforms[i]] = sanitize(platformResult.profile);
+		}
+	});
+
+	return results;
+}
+
+/**
+ * @private
+ */
+function runSession(session, sourceInformation, plugins, logger, callback) {
+
+	var options = session.options,
+		results,
+		cache,
+		dirtyFiles,
+		useCachedResults = false,
+		finished = false;
 	plugins = plugins || {};
 
 	try {
+
+		// Start from a clean state so that results from a previous run of the session don't leak in to this run
+		setState(createState());
+		session.baselineResults = undefined;
+		session.explainedUnknown = undefined;
+		session.startTime = Date.now();
+
 		Runtime.setLogger(logger);
 
-		init(sourceInformation, options, plugins);
+		// Check if the cached results can be reused. Profiling and explaining an unknown value need the project to be
+		// analyzed, so the cache isn't used for them
+		if (options.cache && sourceInformation && (options.profile || options.explainUnknown)) {
+			Runtime.log('debug', 'Not using the analysis cache because the profile or explain unknown option is set');
+		} else if (options.cache && sourceInformation) {
+			cache = createCache(sourceInformation, options, plugins);
+			cache.load();
+			dirtyFiles = cache.getDirtyFiles(CodeProcessorUtils.findJavaScriptFiles(sourceInformation.sourceDir),
+				options.hasOwnProperty('processUnvisitedCode') ? !!options.processUnvisitedCode : Runtime.options.processUnvisitedCode);
+			if (dirtyFiles && dirtyFiles.length) {
+				Runtime.log('debug', 'Re-analyzing the following files because they or the files they depend on changed: ' +
+					dirtyFiles.join(', '));
+			}
+			useCachedResults = !!dirtyFiles && !dirtyFiles.length;
+		}
 
-		Runtime.on('enteredFile', function(e) {
-			Runtime.log('debug', 'Entering file ' + e.data.filename);
-		});
+		if (useCachedResults) {
+			Runtime.log('info', 'No files have changed since the last run, using cached results');
+			restoreCachedResults(sourceInformation, options, cache);
+		} else {
+			if (cache) {
+				AST.setCache(cache);
+				cache.trackDependencies();
+			}
 
-		Runtime.fireEvent('projectProcessingBegin', 'Project processing is beginning');
+			init(sourceInformation, options, plugins);
 
-		Runtime.log('info', 'Analyzing project');
-		results = processEntryPoint(sourceInformation.entryPoint);
+			// Only evaluate the dirty files and reuse the results of the others. Plugin results are collected across the
+			// whole project and can't be combined file by file, so plugins that report results need every file evaluated
+			if (dirtyFiles && dirtyFiles.length) {
+				if (Runtime.plugins.some(function (plugin) {
+					return plugin.getResults;
+				})) {
+					Runtime.log('debug', 'Re-analyzing every file because the results of the plugins cover the whole project');
+				} else {
+					Runtime.cachedFiles = cache.getCachedFiles(dirtyFiles);
+				}
+			}
+
+			Runtime.on('enteredFile', function(e) {
+				Runtime.log('debug', 'Entering file ' + e.data.filename);
+			});
+			session.listeners.forEach(function (listener) {
+				Runtime.on(listener.name, listener.callback);
+			});
+			if (Runtime.options.explainUnknown) {
+				Runtime.on('rule', createUnknownExplainer(session, Runtime.options.explainUnknown,
+					sourceInformation.projectDir));
+			}
 
-		Runtime.log('info', 'Processing queued functions');
-		processQueuedFunctions();
+			Runtime.fireEvent('projectProcessingBegin', 'Project processing is beginning');
 
-		if (Runtime.options.processUnvisitedCode) {
-			Runtime.log('info', 'Processing unvisited code');
-			processUnvisitedCode();
-		}
+			Runtime.log('info', 'Analyzing project');
+			if (!Runtime.isFileCached(sourceInformation.entryPoint)) {
+				results = processEntryPoint(sourceInformation.entryPoint);
+			}
 
-		finalize();
+			Runtime.log('info', 'Processing queued functions');
+			processQueuedFunctions();
+
+			if (Runtime.options.processUnvisitedCode) {
+				Runtime.log('info', 'Processing unvisited code');
+				processUnvisitedCode();
+			}
+
+			if (Runtime.cachedFiles.length) {
+				restoreCachedFileResults(cache);
+			}
+
+			finalize();
+		}
 
 		Runtime.log('info', 'Generating results');
 		Runtime.fireEvent('projectProcessingEnd', 'Project processing complete');
-		generateResultsPages(options.outputFormat, Runtime.options.resultsPath, Runtime.options.resultsTheme, callback);
+		if (cache && !useCachedResults) {
+			saveCache(cache);
+			AST.setCache();
+		}
+		if (options.baseline) {
+			session.baselineResults = applyBaseline(options.baseline, options.updateBaseline, Runtime.getReportedErrors(),
+				Runtime.getReportedWarnings());
+		}
+		generateResultsPages(options.outputFormat, Runtime.options.resultsPath, Runtime.options.resultsTheme,
+			function (results) {
+				finished = true;
+				callback && callback(undefined, results);
+			});
 		if (options.outputFormat === 'stream') {
 			var endEvent = JSON.stringify({'projectProcessingEnd':true});
 			console.log('REQ,01000002,' + ('00000000' + endEvent.length.toString(16)).slice(-8) + ',' + endEvent);
 		}
 	} catch(e) {
-		if (e.message === 'Maximum call stack size exceeded') {
-			console.error('node.js maximum call stack size exceeded. Increasing the stack size may allow the project to be fully analyzed');
-		} else {
-			console.error('Internal error ' + e.message + '. Please file a bug report at http://jira.appcelerator.org/');
+
+		// Errors thrown by the callback belong to the caller, and must not be reported as errors of the run
+		if (finished) {
+			throw e;
+		}
+		if (!e.isInputError) {
 			if (e.stack) {
 				Runtime.log('debug', e.stack);
 			}
+			e = new Error(e.message === 'Maximum call stack size exceeded' ?
+				'node.js maximum call stack size exceeded. Increasing the stack size may allow the project to be fully analyzed' :
+				'Internal error ' + e.message + '. Please file a bug report at http://jira.appcelerator.org/');
+		}
+		if (!callback) {
+			throw e;
 		}
-		process.exit(1);
+		callback(e);
 	}
 
 	return results;
 }
 
+
 /**
  * Processes the input options
  *
@@ -348,6 +752,12 @@ function init(sourceInformation, options, plugins, ast) {
 	}
 	Runtime.log('debug', 'Setting processing option: max loop iterations is ' + Runtime.options.maxLoopIterations);
 
+	// Parse the loop widening threshold option
+	if (options.hasOwnProperty('loopWideningThreshold')) {
+		Runtime.options.loopWideningThreshold = parseInt(options.loopWideningThreshold, 10);
+	}
+	Runtime.log('debug', 'Setting processing option: loop widening threshold is ' + Runtime.options.loopWideningThreshold);
+
 	// Parse the log console calls option
 	if (options.hasOwnProperty('logConsoleCalls')) {
 		Runtime.options.logConsoleCalls = !!options.logConsoleCalls;
@@ -399,6 +809,51 @@ function init(sourceInformation, options, plugins, ast) {
 	Runtime.log('debug', 'Setting processing option: native exception recovery is ' +
 		(Runtime.options.nativeExceptionRecovery ? 'enabled' : 'disabled'));
 
+	// Parse the determinism options
+	if (options.hasOwnProperty('determinism')) {
+		Runtime.options.determinism = options.determinism;
+	}
+	Runtime.log('debug', 'Setting processing option: ' + (Runtime.options.determinism ? 'the determinism mode is "' +
+		Runtime.options.determinism + '"' : 'no determinism mode is set'));
+	if (options.hasOwnProperty('seed')) {
+		Runtime.options.seed = parseInt(options.seed, 10) || 0;
+	}
+	Runtime.log('debug', 'Setting processing option: the random seed is ' + Runtime.options.seed);
+
+	// Parse the ambiguity strategy option
+	if (options.hasOwnProperty('ambiguityStrategy') && options.ambiguityStrategy) {
+		if (['merge', 'legacy'].indexOf(options.ambiguityStrategy) === -1) {
+			throw createInputError('Invalid ambiguity strategy "' + options.ambiguityStrategy + '", expected "merge" or "legacy"');
+		}
+		Runtime.options.ambiguityStrategy = options.ambiguityStrategy;
+	}
+	Runtime.log('debug', 'Setting processing option: the ambiguity strategy is "' +
+		Runtime.options.ambiguityStrategy + '"');
+
+	// Parse the function summaries option
+	if (options.hasOwnProperty('functionSummaries')) {
+		Runtime.options.functionSummaries = !!options.functionSummaries;
+	}
+	Runtime.log('debug', 'Setting processing option: function summaries are ' +
+		(Runtime.options.functionSummaries ? 'enabled' : 'disabled'));
+
+	// Parse the profile option
+	if (options.hasOwnProperty('profile')) {
+		Runtime.options.profile = !!options.profile;
+	}
+	Runtime.log('debug', 'Setting processing option: profiling information will ' +
+		(Runtime.options.profile ? '' : 'not ') + 'be included in the results');
+
+	// Parse the explain unknown option
+	if (options.hasOwnProperty('explainUnknown')) {
+		if (options.explainUnknown && !explainUnknownRegex.test(options.explainUnknown)) {
+			throw createInputError('Invalid unknown value location "' + options.explainUnknown + '", expected "file:line"');
+		}
+		Runtime.options.explainUnknown = options.explainUnknown;
+	}
+	Runtime.log('debug', 'Setting processing option: ' + (Runtime.options.explainUnknown ? 'the unknown value at "' +
+		Runtime.options.explainUnknown + '" will be explained' : 'no unknown value will be explained'));
+
 	// Parse the resultsPath option
 	if (options.hasOwnProperty('resultsPath')) {
 		Runtime.options.resultsPath = options.resultsPath;
@@ -422,8 +877,7 @@ function init(sourceInformation, options, plugins, ast) {
 	if (sourceInformation && sourceInformation.sourceMapDir) {
 		sourceMapDir = sourceInformation.sourceMapDir;
 		if (!existsSync(sourceMapDir)) {
-			console.error('Source map directory "' + sourceMapDir + '" does not exist');
-			process.exit(1);
+			throw createInputError('Source map directory "' + sourceMapDir + '" does not exist');
 		}
 		sourceMapsFiles = wrench.readdirSyncRecursive(sourceMapDir);
 		for (i = 0, ilen = sourceMapsFiles.length; i < ilen; i++) {
@@ -432,8 +886,7 @@ function init(sourceInformation, options, plugins, ast) {
 				try {
 					sourceMaps[sourceMapsFiles[i].replace(sourceMapRegex, '')] = new sourcemap.SourceMapConsumer(JSON.parse(fs.readFileSync(sourceMap).toString()));
 				} catch (e) {
-					console.error('Could not parse source map file "' + sourceMap + '": ' + e.message);
-					process.exit(1);
+					throw createInputError('Could not parse source map file "' + sourceMap + '": ' + e.message);
 				}
 			}
 		}
@@ -452,8 +905,7 @@ function init(sourceInformation, options, plugins, ast) {
 			Runtime.log('debug', 'Loading code processor plugin ' + pkg.name);
 			pluginDefinitions[i] = pkg;
 		} catch(e) {
-			console.error('Could not parse "' + path.join(plugins[i].path, 'package.json') + '": ' + e);
-			process.exit(1);
+			throw createInputError('Could not parse "' + path.join(plugins[i].path, 'package.json') + '": ' + e);
 		}
 	}
 	unsortedPlugins = [].concat(pluginDefinitions);
@@ -482,8 +934,7 @@ function init(sourceInformation, options, plugins, ast) {
 			}
 		}
 		if (!changed) {
-			console.error('Circular or missing plugin dependency detected, cannot load plugins');
-			process.exit(1);
+			throw createInputError('Circular or missing plugin dependency detected, cannot load plugins');
 		}
 	}
 	for (i = 0; i < numPlugins; i++) {
@@ -496,7 +947,7 @@ function init(sourceInformation, options, plugins, ast) {
 						dependencies.push(loadedPlugins[k]);
 					}
 				}
-				loadedPlugins[j] = require(plugins[j].path);
+				loadedPlugins[j] = loadPlugin(plugins[j].path);
 				loadedPlugins[j].name = pluginDefinitions[j].name;
 				loadedPlugins[j].displayName = pluginDefinitions[j].displayName;
 				loadedPlugins[j].suppressOutput = plugins[j].suppressOutput;
@@ -758,8 +1209,9 @@ function processUnvisitedCode() {
 		unprocessedFunction._lastKnownContext._ambiguousContext = true;
 		Base.enterContext(unprocessedFunction._lastKnownContext);
 
-		// Function definitions are instantiated as part of identifier binding in the context creation, but function exrpessions are not
-		if (unprocessedFunction.className === 'AST_Defun') {
+		// Function definitions are instantiated as part of identifier binding in the context creation, but function
+		// expressions are only instantiated if they were evaluated
+		if (unprocessedFunction.className === 'AST_Defun' || unprocessedFunction._funcObject) {
 			funcObject = unprocessedFunction._funcObject;
 		} else {
 			funcObject = unprocessedFunction.processRule();
@@ -798,60 +1250,698 @@ function processUnvisitedCode() {
  * thus allowing the results to be JSON.stringify()'d.
  *
  * @method
- * @returns {Object} An object containing three entries: 'errors', 'warnings', and 'plugins'. The plugins entry is
- *		itself an object, with the keys being the names of each plugin.
+ * @returns {Object} An object containing four entries: 'errors', 'warnings', 'suppressed', and 'plugins'. The
+ *		suppressed entry contains the 'errors' and 'warnings' that were silenced by suppression comments. The plugins
+ *		entry is itself an object, with the keys being the names of each plugin. If a baseline was used, a 'baseline'
+ *		entry is also included, containing the 'file', the number of findings in the baseline ('numBaselined'), and
+ *		the number of findings that are not in the baseline ('numNew'). The 'unknownOrigins' entry lists the most
+ *		common places where the unknown values used by the project came from, see
+ *		{@link module:Runtime.getUnknownOrigins}. If the explainUnknown option was set, an 'explainedUnknown' entry is
+ *		also included, containing the 'filename' and 'line' that was queried, and, if an unknown value was found there,
+ *		a 'description' of its type and the 'steps' that explain it, see {@link module:Base.explainProvenance}. If the
+ *		profile option was set, a 'profile' entry is also included, containing the 'functionSummaries' statistics, see
+ *		{@link module:Base.getFunctionSummaryStats}.
  */
 exports.getResults = getResults;
 function getResults() {
-	var errors = Runtime.getReportedErrors(),
-		warnings = Runtime.getReportedWarnings(),
-		rawResults = {
-			errors: errors,
-			warnings: warnings,
+	return defaultSession.getResults();
+}
+
+/**
+ * Collects the results of the active session, without occurrence counts appended to the descriptions
+ *
+ * @private
+ */
+function collectRawResults() {
+	var rawResults = {
+			errors: Runtime.getReportedErrors(),
+			warnings: Runtime.getReportedWarnings(),
+			suppressed: {
+				errors: Runtime.getSuppressedErrors(),
+				warnings: Runtime.getSuppressedWarnings()
+			},
+			baseline: activeSession.baselineResults,
+			unknownOrigins: Runtime.getUnknownOrigins().slice(0, MAX_UNKNOWN_ORIGINS),
+			explainedUnknown: activeSession.explainedUnknown,
+			profile: Runtime.options.profile ? { functionSummaries: Base.getFunctionSummaryStats() } : undefined,
 			plugins: [],
-			elapsedTime: Date.now() - startTime,
+			elapsedTime: Date.now() - activeSession.startTime,
 			resultsPath: Runtime.options.resultsPath
 		},
-		results = {},
-		i, len,
-		hiddenRegex = /^_/,
-		astNode = uglify.AST_Node;
+		i, len;
 	for (i = 0, len = Runtime.plugins.length; i < len; i++) {
 		rawResults.plugins[i] = Runtime.plugins[i].getResults && Runtime.plugins[i].getResults() || {};
 		rawResults.plugins[i].name = Runtime.plugins[i].name;
 	}
-	for (i = 0, len = errors.length; i < len; i++) {
-		if (errors[i].occurances > 1) {
-			errors[i].description += ' (' + errors[i].occurances + ' occurances)';
+	return sanitize(rawResults);
+}
+
+/**
+ * @private
+ */
+function collectResults() {
+	var results = collectRawResults();
+	addOccurrenceCounts(results.errors);
+	addOccurrenceCounts(results.warnings);
+	return results;
+}
+
+/**
+ * Generates a report of the results in a machine readable format, for consumption by other tools such as CI servers
+ *
+ * @method
+ * @param {String} format The format of the report, one of 'sarif', 'junit', or 'checkstyle'
+ * @param {Object} [results] The results to report, as returned by {@link module:CodeProcessor.getResults}. Defaults to
+ *		the results of the current run
+ * @returns {String} The generated report
+ */
+exports.generateReport = generateReport;
+function generateReport(format, results) {
+	if (!reporters.hasOwnProperty(format)) {
+		throw new Error('Unknown report format "' + format + '"');
+	}
+	return reporters[format].generate(results || collectResults(),
+		Runtime.sourceInformation && Runtime.sourceInformation.projectDir);
+}
+
+// ******** Session Methods ********
+
+/**
+ * @classdesc An analysis session. Each session owns its own runtime state, global object, plugin instances, and
+ * results, so that several projects, or one project with different options, can be analyzed in the same process. The
+ * core engine can only evaluate one session at a time, so the state of a session is swapped in while it is in use, and
+ * swapped back out when it is done.
+ *
+ * @constructor
+ * @name module:CodeProcessor.Session
+ * @param {Object} [options] The options for the session. Run {@link queryOptions} for information about the options
+ */
+exports.Session = Session;
+function Session(options) {
+	this.options = options || {};
+	this.state = createState();
+	this.listeners = [];
+	this.baselineResults = undefined;
+	this.explainedUnknown = undefined;
+	this.startTime = Date.now();
+}
+
+/**
+ * Adds a listener for a runtime event, such as 'rule' or 'requireResolved'. Each run of the session starts with a fresh
+ * set of event listeners, so listeners added to the session are registered with the runtime at the start of every run.
+ *
+ * @method
+ * @name module:CodeProcessor.Session#on
+ * @param {String} name The name of the event, see {@link module:Runtime.on}
+ * @param {Function} callback The function to call when the event is fired
+ */
+Session.prototype.on = function on(name, callback) {
+	this.listeners.push({
+		name: name,
+		callback: callback
+	});
+};
+
+/**
+ * Processes a project in this session. Any results from a previous run of this session are discarded.
+ *
+ * @method
+ * @name module:CodeProcessor.Session#run
+ * @param {Object} sourceInformation The source information for the project, see {@link module:CodeProcessor.run}
+ * @param {Object} plugins The plugins to load, see {@link module:CodeProcessor.run}. Each session loads its own
+ *		instance of each plugin
+ * @param {Winston Logger} [logger] A logger instance from the CLI
+ * @param {Function} [callback] The function to call once the results have been generated. It is passed an error, if
+ *		the run could not be completed, and the results, see {@link module:CodeProcessor.getResults}. If no callback is
+ *		given, the error is thrown instead
+ */
+Session.prototype.run = function run(sourceInformation, plugins, logger, callback) {
+	var session = this;
+	return inSession(this, function () {
+		return runSession(session, sourceInformation, plugins, logger, callback);
+	});
+};
+
+/**
+ * Gets the results of this session, see {@link module:CodeProcessor.getResults}
+ *
+ * @method
+ * @name module:CodeProcessor.Session#getResults
+ * @returns {Object} The results of the session
+ */
+Session.prototype.getResults = function getResults() {
+	return inSession(this, collectResults);
+};
+
+/**
+ * Generates a report of the results of this session, see {@link module:CodeProcessor.generateReport}
+ *
+ * @method
+ * @name module:CodeProcessor.Session#generateReport
+ * @param {String} format The format of the report, one of 'sarif', 'junit', or 'checkstyle'
+ * @returns {String} The generated report
+ */
+Session.prototype.generateReport = function (format) {
+	return inSession(this, function () {
+		return generateReport(format);
+	});
+};
+
+// The default session, used by run, getResults, etc., starts out with the state the modules were loaded with
+defaultSession = activeSession = new Session();
+
+// ******** Helper Methods ********
+
+/**
+ * @private
+ */
+function createState() {
+	return {
+		runtime: Runtime.createState(),
+		base: Base.createState(),
+		ruleProcessor: RuleProcessor.createState()
+	};
+}
+
+/**
+ * @private
+ */
+function getState() {
+	return {
+		runtime: Runtime.getState(),
+		base: Base.getState(),
+		ruleProcessor: RuleProcessor.getState()
+	};
+}
+
+/**
+ * @private
+ */
+function setState(state) {
+	Runtime.setState(state.runtime);
+	Base.setState(state.base);
+	RuleProcessor.setState(state.ruleProcessor);
+}
+
+/**
+ * Calls a function with the given session active, restoring the previously active session afterwards
+ *
+ * @private
+ */
+function inSession(session, callback) {
+	var previousSession = enterSession(session);
+	try {
+		return callback();
+	} finally {
+		enterSession(previousSession);
+	}
+}
+
+/**
+ * Creates a rule listener that finds the unknown value at the given location, and stores its explanation in the session.
+ * If the location is evaluated more than once, the last evaluation is explained. Rules finish evaluating after the
+ * expressions inside of them, so the value of the outermost expression at the location is the one explained.
+ *
+ * @private
+ */
+function createUnknownExplainer(session, location, projectDir) {
+	var match = explainUnknownRegex.exec(location),
+		filename = path.resolve(projectDir, match[1]),
+		line = parseInt(match[2], 10);
+
+	session.explainedUnknown = {
+		filename: filename,
+		line: line
+	};
+
+	function getRuleValue(data) {
+		var candidates = [
+				Array.isArray(data.result) ? data.result[1] : data.result,
+				data.rhs,
+				data.conditional
+			].concat((data.initializations || []).map(function (initialization) {
+				return initialization.value;
+			})),
+			value,
+			i, len;
+		for (i = 0, len = candidates.length; i < len; i++) {
+			value = candidates[i];
+
+			// Only variable references are read, since reading a property could have side effects
+			if (value && Base.type(value) === 'Reference' && !Base.isPropertyReference(value) &&
+					!Base.isUnresolvableReference(value)) {
+				value = Base.getValue(value);
+			}
+			if (value && Base.type(value) === 'Unknown') {
+				return value;
+			}
+		}
+	}
+
+	return function (e) {
+		var ast = e.data.ast,
+			value;
+		if (!e.data.processingComplete || !ast.start || ast.start.line !== line || ast.start.file !== filename) {
+			return;
+		}
+		value = getRuleValue(e.data);
+		if (value) {
+			session.explainedUnknown = {
+				filename: filename,
+				line: line,
+				description: Base.describeTypeInfo(value.typeInfo),
+				steps: Base.explainProvenance(value.provenance)
+			};
+		}
+	};
+}
+
+/**
+ * Creates an error for a problem with the options, source maps, plugins, or baseline of a run. These are reported to the
+ * caller as is, unlike internal errors
+ *
+ * @private
+ */
+function createInputError(message) {
+	var err = new Error(message);
+	err.isInputError = true;
+	return err;
+}
+
+/**
+ * Loads a new instance of a plugin, so that plugin state, such as results, isn't shared between sessions
+ *
+ * @private
+ */
+function loadPlugin(pluginPath) {
+	var modulePath = require.resolve(pluginPath),
+		pluginDirectory = path.resolve(pluginPath) + path.sep;
+
+	// The plugin's own modules are reloaded too, otherwise their state would be shared with the previous instance
+	Object.keys(require.cache).forEach(function (cachedModule) {
+		if (cachedModule.indexOf(pluginDirectory) === 0) {
+			delete require.cache[cachedModule];
+		}
+	});
+	delete require.cache[modulePath];
+	return require(modulePath);
+}
+
+/**
+ * Makes the given session the active session, saving the state of the previously active session
+ *
+ * @private
+ * @returns {module:CodeProcessor.Session} The previously active session
+ */
+function enterSession(session) {
+	var previousSession = activeSession;
+	if (session !== activeSession) {
+		activeSession.state = getState();
+		setState(session.state);
+		session.state = undefined;
+		activeSession = session;
+	}
+	return previousSession;
+}
+
+
+/**
+ * @private
+ */
+function sanitize(rawNode, node) {
+	var p;
+	node = node || (Array.isArray(rawNode) ? [] : {});
+	for (p in rawNode) {
+		if (!hiddenRegex.test(p) && !(rawNode[p] instanceof uglify.AST_Node)) {
+			if (typeof rawNode[p] === 'object') {
+				node[p] = Array.isArray(rawNode[p]) ? [] : {};
+				sanitize(rawNode[p], node[p]);
+			} else if (typeof rawNode[p] !== 'function') {
+				node[p] = rawNode[p];
+			}
 		}
 	}
-	for (i = 0, len = warnings.length; i < len; i++) {
-		if (warnings[i].occurances > 1) {
-			warnings[i].description += ' (' + warnings[i].occurances + ' occurances)';
+	return node;
+}
+
+/**
+ * @private
+ */
+function addOccurrenceCounts(findings) {
+	var i, len;
+	for (i = 0, len = findings.length; i < len; i++) {
+
+		// Reports that record the number of occurrences separately, such as SARIF, use the description as it was reported
+		findings[i].rawDescription = findings[i].description;
+		if (findings[i].occurances > 1) {
+			findings[i].description += ' (' + findings[i].occurances + ' occurances)';
 		}
 	}
-	function sanitize(rawNode, node) {
-		var p;
-		for (p in rawNode) {
-			if (!hiddenRegex.test(p) && !(rawNode[p] instanceof astNode)) {
-				if (typeof rawNode[p] === 'object') {
-					node[p] = Array.isArray(rawNode[p]) ? [] : {};
-					sanitize(rawNode[p], node[p]);
-				} else if (typeof rawNode[p] !== 'function') {
-					node[p] = rawNode[p];
-				}
+}
+
+/**
+ * @private
+ */
+function nChars(n, chr) {
+	var spaces = '',
+		i;
+	for (i = 0; i < n; i++) {
+		spaces += chr;
+	}
+	return spaces;
+}
+
+/**
+ * @private
+ */
+function arrayGen(headings, entries, entriesOrder) {
+	var columns = new Array(headings.length),
+		i, ilen, j, jlen,
+		maxLength,
+		entry,
+		topSep,
+		middleSep,
+		bottomSep,
+		padding,
+		output = '';
+
+	// Collate and pad the data
+	for (i = 0, ilen = columns.length; i < ilen; i++) {
+		columns[i] = [headings[i]];
+		maxLength = headings[i].length;
+		for (j = 0, jlen = entries.length; j < jlen; j++) {
+			entry = (entries[j][entriesOrder[i]]).toString();
+			columns[i].push(entry);
+			if (entry.length > maxLength) {
+				maxLength = entry.length;
 			}
 		}
+		for (j = 0, jlen = columns[i].length; j < jlen; j++) {
+			columns[i][j] = ' ' + columns[i][j] + nChars(maxLength - columns[i][j].length + 1, ' ');
+		}
 	}
-	sanitize(rawResults, results);
-	return results;
+
+	// Generate the table separators
+	topSep =    '┌';
+	middleSep = '├';
+	bottomSep = '└';
+	for (i = 0, ilen = columns.length - 1; i < ilen; i++) {
+		padding = nChars(columns[i][0].length, '─');
+		topSep += padding +    '┬';
+		middleSep += padding + '┼';
+		bottomSep += padding + '┴';
+	}
+	padding = nChars(columns[columns.length - 1][0].length, '─');
+	topSep += padding +    '┐\n';
+	middleSep += padding + '┤\n';
+	bottomSep += padding + '┘';
+
+	output += topSep;
+	for (i = 0, ilen = columns[0].length; i < ilen; i++) {
+		output += '|';
+		for (j = 0, jlen = columns.length; j < jlen; j++) {
+			output += '' + (i === 0 ? columns[j][i].cyan : columns[j][i]) + '|';
+		}
+		output += '\n' + (i < ilen - 1 ? middleSep : bottomSep);
+	}
+
+	return output;
 }
 
-// ******** Helper Methods ********
+/**
+ * @private
+ */
+function createCache(sourceInformation, options, plugins) {
+	var cacheOptions = {},
+		p;
+	for (p in options) {
+		if (['cache', 'outputFormat', 'resultsPath', 'resultsTheme', 'baseline', 'updateBaseline'].indexOf(p) === -1) {
+			cacheOptions[p] = options[p];
+		}
+	}
+	return new AnalysisCache(typeof options.cache === 'string' ? options.cache :
+		path.join(sourceInformation.projectDir, 'build', 'codeprocessor', 'cache'), {
+			version: require('../package.json').version,
+			entryPoint: sourceInformation.entryPoint,
+			options: cacheOptions,
+
+			// The plugins are found in a different order from run to run, which mustn't invalidate the cache
+			plugins: [].concat(plugins).sort(function (a, b) {
+				return a.path < b.path ? -1 : a.path > b.path ? 1 : 0;
+			})
+		});
+}
+
+/**
+ * @private
+ */
+function saveCache(cache) {
+	var baseDirectory = Runtime.sourceInformation.projectDir + path.sep;
+	cache.save(Runtime.getProcessedFilesList(),
+		sanitize(Runtime.getReportedErrors()),
+		sanitize(Runtime.getReportedWarnings()),
+		{
+			errors: sanitize(Runtime.getSuppressedErrors()),
+			warnings: sanitize(Runtime.getSuppressedWarnings())
+		},
+		Runtime.plugins.map(function (plugin) {
+			return {
+				name: plugin.name,
+				displayName: plugin.displayName,
+				suppressOutput: plugin.suppressOutput,
+				elevatePluginSummary: plugin.elevatePluginSummary,
+				results: plugin.getResults && sanitize(plugin.getResults() || {}),
+				logOutput: plugin.renderLogOutput && plugin.renderLogOutput(arrayGen),
+				pageData: plugin.getResultsPageData && sanitize(plugin.getResultsPageData(plugin.name + '.html', baseDirectory))
+			};
+		}),
+		sanitize(Runtime.getUnknownOrigins()),
+		Runtime.cachedFiles);
+}
+
+/**
+ * @private
+ */
+function applyBaseline(file, updateBaseline, errors, warnings) {
+	var projectDir = Runtime.sourceInformation.projectDir,
+		isBaselined,
+		numBaselined = 0;
+
+	function removeBaselined(findings) {
+		var i;
+		for (i = 0; i < findings.length; i++) {
+			if (isBaselined(findings[i])) {
+				findings.splice(i--, 1);
+				numBaselined++;
+			}
+		}
+	}
+
+	if (updateBaseline || !existsSync(file)) {
+		Runtime.log('info', 'Writing baseline file "' + file + '"');
+		Baseline.save(file, Baseline.create(errors.concat(warnings), projectDir));
+	}
+	try {
+		isBaselined = Baseline.createMatcher(Baseline.load(file), projectDir);
+	} catch(e) {
+		throw createInputError('Could not read baseline file "' + file + '": ' + e.message);
+	}
+	removeBaselined(errors);
+	removeBaselined(warnings);
+
+	return {
+		file: file,
+		numBaselined: numBaselined,
+		numNew: errors.length + warnings.length
+	};
+}
+
+/**
+ * @private
+ */
+function restoreCachedResults(sourceInformation, options, cache) {
+	var cachedResults = cache.getResults();
+
+	init(sourceInformation, options, []);
+
+	Array.prototype.push.apply(Runtime.getReportedErrors(), cachedResults.errors);
+	Array.prototype.push.apply(Runtime.getReportedWarnings(), cachedResults.warnings);
+	Array.prototype.push.apply(Runtime.getSuppressedErrors(), cachedResults.suppressed.errors);
+	Array.prototype.push.apply(Runtime.getSuppressedWarnings(), cachedResults.suppressed.warnings);
+	cachedResults.unknownOrigins.forEach(function (origin) {
+		Runtime.recordUnknownOrigin(origin.reason, origin, origin.count);
+	});
+
+	// Stand in for the plugins using the output they generated during the cached run
+	Runtime.plugins = cachedResults.plugins.map(function (cachedPlugin) {
+		var plugin = {
+			name: cachedPlugin.name,
+			displayName: cachedPlugin.displayName,
+			suppressOutput: cachedPlugin.suppressOutput,
+			elevatePluginSummary: cachedPlugin.elevatePluginSummary
+		};
+		if (cachedPlugin.results) {
+			plugin.getResults = function () {
+				return cachedPlugin.results;
+			};
+		}
+		if (cachedPlugin.hasOwnProperty('logOutput')) {
+			plugin.renderLogOutput = function () {
+				return cachedPlugin.logOutput;
+			};
+		}
+		if (cachedPlugin.pageData) {
+			plugin.getResultsPageData = function () {
+				return cachedPlugin.pageData;
+			};
+		}
+		return plugin;
+	});
+}
+
+/**
+ * Adds the cached results of the files that were not evaluated again to the results of the current run. Cached files
+ * that were evaluated anyway, e.g. because a dirty file included them with Ti.include, have fresh results.
+ *
+ * @private
+ */
+function restoreCachedFileResults(cache) {
+	var processedFiles = Runtime.getProcessedFilesList(),
+		cachedResults = cache.getResults(Runtime.cachedFiles.filter(function (filename) {
+			return processedFiles.indexOf(filename) === -1;
+		}));
+
+	Array.prototype.push.apply(Runtime.getReportedErrors(), cachedResults.errors);
+	Array.prototype.push.apply(Runtime.getReportedWarnings(), cachedResults.warnings);
+	Array.prototype.push.apply(Runtime.getSuppressedErrors(), cachedResults.suppressed.errors);
+	Array.prototype.push.apply(Runtime.getSuppressedWarnings(), cachedResults.suppressed.warnings);
+	cachedResults.unknownOrigins.forEach(function (origin) {
+		Runtime.recordUnknownOrigin(origin.reason, origin, origin.count);
+	});
+}
+
+/**
+ * @private
+ */
+function listProfile(profile, suffix) {
+	var functionSummaries = profile.functionSummaries;
+	suffix = suffix || '';
+	return [{
+		statistic: 'Function summary hits' + suffix,
+		value: functionSummaries.hits
+	},{
+		statistic: 'Function summary misses' + suffix,
+		value: functionSummaries.misses
+	},{
+		statistic: 'Function summary hit ratio' + suffix,
+		value: (functionSummaries.hitRatio * 100).toFixed(1) + '%'
+	}];
+}
+
+/**
+ * @private
+ */
+function summarizeErrorsAndWarnings(results) {
+	var numErrors = results.errors.length,
+		numWarnings = results.warnings.length,
+		numSuppressed = results.suppressed.errors.length + results.suppressed.warnings.length,
+		errorsAndWarnings;
+	if (numErrors || numWarnings) {
+		errorsAndWarnings = '\n';
+		if (numErrors) {
+			errorsAndWarnings += pluralize('%s error ', '%s errors ', numErrors);
+			if (numWarnings) {
+				errorsAndWarnings += 'and ';
+			}
+		}
+		if (numWarnings) {
+			errorsAndWarnings += pluralize('%s warning ', '%s warnings ', numWarnings);
+		}
+		errorsAndWarnings += 'detected';
+	}
+	if (results.baseline && results.baseline.numBaselined) {
+		errorsAndWarnings = (errorsAndWarnings ? errorsAndWarnings + ', ' : '\n') +
+			pluralize('%s error or warning in the baseline was ignored', '%s errors and warnings in the baseline were ignored',
+				results.baseline.numBaselined);
+	}
+	if (numSuppressed) {
+		errorsAndWarnings = (errorsAndWarnings ? errorsAndWarnings + ', ' : '\n') +
+			pluralize('%s error or warning was suppressed', '%s errors and warnings were suppressed', numSuppressed);
+	}
+	return errorsAndWarnings;
+}
+
+/**
+ * Renders the log output of the plugins of the active session
+ *
+ * @private
+ */
+function renderPluginLogOutput(titleSuffix) {
+	var plugins = Runtime.plugins,
+		plugin,
+		title,
+		paddingLength,
+		i, len,
+		output = '';
+	for (i = 0, len = plugins.length; i < len; i++) {
+		plugin = plugins[i];
+		if (plugin.renderLogOutput && !plugin.suppressOutput) {
+			title = plugin.displayName + (titleSuffix || '');
+			paddingLength = (40 - title.length) / 2;
+			output += '\n\n' +
+				'******************************************\n' +
+				'*' + nChars(Math.floor(paddingLength), ' ') + title.cyan + nChars(Math.ceil(paddingLength), ' ') + '*\n' +
+				'******************************************\n\n' +
+				plugin.renderLogOutput(arrayGen);
+		}
+	}
+	return output;
+}
+
+/**
+ * Creates the results directory, if it doesn't exist, and copies the style sheet of the theme in to it
+ *
+ * @private
+ */
+function createResultsDirectory(resultsDirectory, theme) {
+	if (!existsSync(resultsDirectory)) {
+		wrench.mkdirSyncRecursive(resultsDirectory);
+	}
+	theme = path.join(__dirname, '..', 'templates', 'bootstrap-' + (theme || 'light'));
+	if (!existsSync(theme)) {
+		throw new Error('Template theme "' + theme + '" does not exist');
+	}
+	wrench.copyDirSyncRecursive(theme, path.join(resultsDirectory, 'bootstrap'));
+}
+
+/**
+ * Renders a results page template to the given file
+ *
+ * @private
+ */
+function renderTemplate(template, destination, data, callback) {
+	var renderStream,
+		compiledData = '';
+
+	if (!existsSync(template)) {
+		throw new Error('Template "' + template + '" does not exist');
+	}
+
+	mu.root = path.dirname(template);
+	renderStream = mu.compileAndRender(path.basename(template), data);
+	renderStream.on('data', function (data) {
+		compiledData += data.toString();
+	});
+	renderStream.on('end', function() {
+		fs.writeFile(destination, compiledData, function () {
+			callback();
+		});
+	});
+}
 
 function generateResultsPages(outputFormat, resultsDirectory, theme, callback) {
 	var plugins = Runtime.plugins,
-		results = getResults(),
+		results = collectResults(),
 		header = [],
 		i, len,
 		currentPage,
@@ -864,106 +1954,34 @@ function generateResultsPages(outputFormat, resultsDirectory, theme, callback) {
 		elevatedPluginList,
 		plugin,
 		page,
-		numErrors,
-		numWarnings,
 		errorsAndWarnings,
+		originList,
+		explanation,
 		baseDirectory = Runtime.sourceInformation.projectDir + path.sep,
 		resultsToLog = '',
 		data,
-		paddingLength,
+		serializedResults,
 		mappedLocation;
 
+	function relativeLocation(location) {
+		var mappedLocation = Runtime.mapLocation(location);
+		return {
+			filename: mappedLocation.filename ? mappedLocation.filename.replace(baseDirectory, '') : '(built-in)',
+			line: mappedLocation.line
+		};
+	}
+
 	function queueRender(template, destination, headerIndex, data) {
 		tasks.push(function(next){
-			var renderStream,
-				i, len,
-				compiledData = '';
-
-			if (!existsSync(template)) {
-				throw new Error('Template "' + template + '" does not exist');
-			}
-
+			var i, len;
 			for (i = 0, len = header.length; i < len; i++) {
 				header[i].isHighlighted = i === headerIndex;
 			}
 			data.header = header;
-
-			mu.root = path.dirname(template);
-			renderStream = mu.compileAndRender(path.basename(template), data);
-			renderStream.on('data', function (data) {
-				compiledData += data.toString();
-			});
-			renderStream.on('end', function() {
-				fs.writeFile(destination, compiledData, function () {
-					next();
-				});
-			});
+			renderTemplate(template, destination, data, next);
 		});
 	}
 
-	function nChars(n, chr) {
-		var spaces = '',
-			i;
-		for (i = 0; i < n; i++) {
-			spaces += chr;
-		}
-		return spaces;
-	}
-
-	function arrayGen(headings, entries, entriesOrder) {
-		var columns = new Array(headings.length),
-			i, ilen, j, jlen,
-			maxLength,
-			entry,
-			topSep,
-			middleSep,
-			bottomSep,
-			padding,
-			output = '';
-
-		// Collate and pad the data
-		for (i = 0, ilen = columns.length; i < ilen; i++) {
-			columns[i] = [headings[i]];
-			maxLength = headings[i].length;
-			for (j = 0, jlen = entries.length; j < jlen; j++) {
-				entry = (entries[j][entriesOrder[i]]).toString();
-				columns[i].push(entry);
-				if (entry.length > maxLength) {
-					maxLength = entry.length;
-				}
-			}
-			for (j = 0, jlen = columns[i].length; j < jlen; j++) {
-				columns[i][j] = ' ' + columns[i][j] + nChars(maxLength - columns[i][j].length + 1, ' ');
-			}
-		}
-
-		// Generate the table separators
-		topSep =    '┌';
-		middleSep = '├';
-		bottomSep = '└';
-		for (i = 0, ilen = columns.length - 1; i < ilen; i++) {
-			padding = nChars(columns[i][0].length, '─');
-			topSep += padding +    '┬';
-			middleSep += padding + '┼';
-			bottomSep += padding + '┴';
-		}
-		padding = nChars(columns[columns.length - 1][0].length, '─');
-		topSep += padding +    '┐\n';
-		middleSep += padding + '┤\n';
-		bottomSep += padding + '┘';
-
-		output += topSep;
-		for (i = 0, ilen = columns[0].length; i < ilen; i++) {
-			output += '|';
-			for (j = 0, jlen = columns.length; j < jlen; j++) {
-				output += '' + (i === 0 ? columns[j][i].cyan : columns[j][i]) + '|';
-			}
-			output += '\n' + (i < ilen - 1 ? middleSep : bottomSep);
-		}
-
-		return output;
-	}
-
 	// Generate the errors and warnings lists
 	if (results.errors.length) {
 		errorList = [];
@@ -990,6 +2008,37 @@ function generateResultsPages(outputFormat, resultsDirectory, theme, callback) {
 		}
 	}
 
+	// Generate the unknown value origins list
+	if (results.unknownOrigins && results.unknownOrigins.length) {
+		originList = results.unknownOrigins.map(function (origin) {
+			var location = relativeLocation(origin);
+			return {
+				reason: origin.reason,
+				filename: location.filename,
+				line: location.line,
+				count: origin.count
+			};
+		});
+	}
+
+	// Generate the explanation of the queried unknown value
+	if (results.explainedUnknown) {
+		mappedLocation = relativeLocation(results.explainedUnknown);
+		explanation = {
+			location: mappedLocation.filename + ':' + mappedLocation.line,
+			description: results.explainedUnknown.description,
+			steps: results.explainedUnknown.steps && results.explainedUnknown.steps.map(function (step) {
+				var location = relativeLocation(step);
+				return {
+					indent: nChars(step.depth * 2, ' '),
+					description: step.description,
+					filename: location.filename,
+					line: location.line
+				};
+			})
+		};
+	}
+
 	// Generate the plugin summary list
 	if (plugins.length) {
 		pluginList = [];
@@ -1006,21 +2055,7 @@ function generateResultsPages(outputFormat, resultsDirectory, theme, callback) {
 	}
 
 	// Generate the errors and warnings summary
-	numErrors = results.errors.length;
-	numWarnings = results.warnings.length;
-	if (numErrors || numWarnings) {
-		errorsAndWarnings = '\n';
-		if (numErrors) {
-			errorsAndWarnings += pluralize('%s error ', '%s errors ', numErrors);
-			if (numWarnings) {
-				errorsAndWarnings += 'and ';
-			}
-		}
-		if (numWarnings) {
-			errorsAndWarnings += pluralize('%s warning ', '%s warnings ', numWarnings);
-		}
-		errorsAndWarnings += 'detected';
-	}
+	errorsAndWarnings = summarizeErrorsAndWarnings(results);
 
 	data = {
 		elapsedTime: (results.elapsedTime / 1000).toFixed(1),
@@ -1039,22 +2074,15 @@ function generateResultsPages(outputFormat, resultsDirectory, theme, callback) {
 		errorsAndWarnings: errorsAndWarnings,
 		errors: errorList ? { errorList: errorList } : undefined,
 		warnings: warningList ? { warningList: warningList } : undefined,
+		unknownOrigins: originList ? { originList: originList } : undefined,
+		explanation: explanation,
+		profile: results.profile ? { statisticList: listProfile(results.profile) } : undefined,
 		elevatedPlugins: elevatedPluginList,
 		plugins: pluginList ? { pluginList: pluginList } : undefined
 	};
 
 	if (outputFormat === 'report') {
-		for (i = 0, len = plugins.length; i < len; i++) {
-			plugin = plugins[i];
-			if (plugin.renderLogOutput && !plugin.suppressOutput) {
-				paddingLength = (40 - plugin.displayName.length) / 2;
-				resultsToLog += '\n\n' +
-					'******************************************\n' +
-					'*' + nChars(Math.floor(paddingLength), ' ') + plugin.displayName.cyan + nChars(Math.ceil(paddingLength), ' ') + '*\n' +
-					'******************************************\n\n' +
-					plugin.renderLogOutput(arrayGen);
-			}
-		}
+		resultsToLog += renderPluginLogOutput();
 
 		resultsToLog +=
 			'\n\n******************************************\n' +
@@ -1081,6 +2109,27 @@ function generateResultsPages(outputFormat, resultsDirectory, theme, callback) {
 			resultsToLog += '\n\nWarnings\n';
 			resultsToLog += arrayGen(['Description', 'File', 'Line'], data.warnings.warningList, ['description', 'filename', 'line']);
 		}
+		if (data.unknownOrigins) {
+			resultsToLog += '\n\nTop Origins of Unknown Values\n';
+			resultsToLog += arrayGen(['Reason', 'File', 'Line', 'Count'], data.unknownOrigins.originList,
+				['reason', 'filename', 'line', 'count']);
+		}
+		if (data.explanation) {
+			resultsToLog += '\n\nExplanation of the Unknown Value at ' + data.explanation.location + '\n';
+			if (data.explanation.steps) {
+				resultsToLog += data.explanation.description + '\n';
+				for (i = 0, len = data.explanation.steps.length; i < len; i++) {
+					resultsToLog += data.explanation.steps[i].indent + data.explanation.steps[i].description + ' at ' +
+						data.explanation.steps[i].filename + ':' + data.explanation.steps[i].line + '\n';
+				}
+			} else {
+				resultsToLog += 'No unknown value was found at this location\n';
+			}
+		}
+		if (data.profile) {
+			resultsToLog += '\n\nProfile\n';
+			resultsToLog += arrayGen(['Statistic', 'Value'], data.profile.statisticList, ['statistic', 'value']);
+		}
 		if (data.plugins && data.plugins.pluginList.length) {
 			resultsToLog += '\n\nPlugin Summary\n';
 			resultsToLog += arrayGen(['Plugin', 'Overview'], data.plugins.pluginList, ['name', 'overview']);
@@ -1089,24 +2138,17 @@ function generateResultsPages(outputFormat, resultsDirectory, theme, callback) {
 		console.log(resultsToLog + '\n');
 	} else if (outputFormat === 'json') {
 		console.log(JSON.stringify(results, false, '\t'));
+	} else if (reporters.hasOwnProperty(outputFormat)) {
+		console.log(generateReport(outputFormat, results));
 	} else if (outputFormat === 'stream') {
-		results = JSON.stringify(results);
-		console.log('REQ,01000001,' + ('00000000' + results.length.toString(16)).slice(-8) + ',' + results);
+		serializedResults = JSON.stringify(results);
+		console.log('REQ,01000001,' + ('00000000' + serializedResults.length.toString(16)).slice(-8) + ',' +
+			serializedResults);
 	}
 
 	if (resultsDirectory) {
 
-		// Create the results directory if it doesn't exist
-		if (!existsSync(resultsDirectory)) {
-			wrench.mkdirSyncRecursive(resultsDirectory);
-		}
-
-		// Copy the style sheet over
-		theme = path.join(__dirname, '..', 'templates', 'bootstrap-' + (theme || 'light'));
-		if (!existsSync(theme)) {
-			throw new Error('Template theme "' + theme + '" does not exist');
-		}
-		wrench.copyDirSyncRecursive(theme, path.join(resultsDirectory, 'bootstrap'));
+		createResultsDirectory(resultsDirectory, theme);
 
 		// Create the header
 		for (i = 0, len = plugins.length; i < len; i++) {
@@ -1139,9 +2181,148 @@ function generateResultsPages(outputFormat, resultsDirectory, theme, callback) {
 			}
 		}
 
-		// Render the results
-		async.series(tasks, callback);
+		// Render the results. The rendering finishes after the session has been left, so the callback is given the
+		// results that were collected while the session was active
+		async.series(tasks, function () {
+			callback && callback(results);
+		});
 	} else {
-		callback && callback();
+		callback && callback(results);
+	}
+}
+/**
+ * Gets the findings that were only reported on one platform. Nothing is platform specific if only one platform was
+ * analyzed.
+ *
+ * @private
+ */
+function findPlatformOnly(findings, platforms) {
+	return platforms.length > 1 ? findings.filter(function (finding) {
+		return finding.platforms.length === 1;
+	}) : [];
+}
+
+/**
+ * Outputs the merged results of several platforms, in the same formats as {@link generateResultsPages}, and gathers the
+ * data for the summary page of the merged results, which links to the results pages of each platform
+ *
+ * @private
+ */
+function generatePlatformResults(outputFormat, results, sessions) {
+	var baseDirectory = Runtime.sourceInformation.projectDir + path.sep,
+		resultsToLog = '',
+		pluginList = [],
+		elevatedPluginList = [],
+		errorsAndWarnings = summarizeErrorsAndWarnings(results),
+		platformOnly = results.platformOnly.errors.concat(results.platformOnly.warnings),
+		serializedResults,
+		endEvent;
+
+	function listFindings(findings) {
+		return findings.map(function (finding) {
+			var mappedLocation = Runtime.mapLocation(finding);
+			return {
+				description: finding.description,
+				filename: mappedLocation.filename.replace(baseDirectory, ''),
+				line: mappedLocation.line,
+				platforms: finding.platforms.join(', ')
+			};
+		});
 	}
-}
\ No newline at end of file
+
+	results.platforms.forEach(function (platform) {
+		inSession(sessions[platform], function () {
+			var plugins = Runtime.plugins,
+				plugin,
+				i, len;
+			if (outputFormat === 'report') {
+				resultsToLog += renderPluginLogOutput(' (' + platform + ')');
+			}
+			for (i = 0, len = plugins.length; i < len; i++) {
+				plugin = plugins[i];
+				if (plugin.getResultsPageData && !plugin.suppressOutput) {
+					(plugin.elevatePluginSummary ? elevatedPluginList : pluginList).push({
+						name: plugin.displayName + ' (' + platform + ')',
+						overview: results.plugins[platform][i].summary || ''
+					});
+				}
+			}
+		});
+	});
+
+	if (outputFormat === 'report') {
+		resultsToLog +=
+			'\n\n******************************************\n' +
+			'*                ' + 'Summary'.cyan + '                 *\n' +
+			'******************************************\n\n';
+
+		resultsToLog += 'Analysis of ' + results.platforms.join(', ') + ' completed in ' +
+			(results.elapsedTime / 1000).toFixed(1) + ' seconds at ' + (new Date()).toTimeString() + ' on ' +
+			(new Date()).toDateString() + (errorsAndWarnings ? errorsAndWarnings : '') + '\n';
+		elevatedPluginList.forEach(function (plugin) {
+			resultsToLog += plugin.name + ': ' + plugin.overview + '\n';
+		});
+
+		if (results.errors.length) {
+			resultsToLog += '\n\nErrors\n';
+			resultsToLog += arrayGen(['Description', 'File', 'Line', 'Platforms'], listFindings(results.errors),
+				['description', 'filename', 'line', 'platforms']);
+		}
+		if (results.warnings.length) {
+			resultsToLog += '\n\nWarnings\n';
+			resultsToLog += arrayGen(['Description', 'File', 'Line', 'Platforms'], listFindings(results.warnings),
+				['description', 'filename', 'line', 'platforms']);
+		}
+		if (platformOnly.length) {
+			resultsToLog += '\n\nPlatform-Only Errors and Warnings\n';
+			resultsToLog += arrayGen(['Description', 'File', 'Line', 'Platforms'], listFindings(platformOnly),
+				['description', 'filename', 'line', 'platforms']);
+		}
+		if (results.profile) {
+			resultsToLog += '\n\nProfile\n';
+			resultsToLog += arrayGen(['Statistic', 'Value'], Object.keys(results.profile).reduce(function (list, platform) {
+				return list.concat(listProfile(results.profile[platform], ' (' + platform + ')'));
+			}, []), ['statistic', 'value']);
+		}
+		if (pluginList.length) {
+			resultsToLog += '\n\nPlugin Summary\n';
+			resultsToLog += arrayGen(['Plugin', 'Overview'], pluginList, ['name', 'overview']);
+		}
+
+		console.log(resultsToLog + '\n');
+	} else if (outputFormat === 'json') {
+		console.log(JSON.stringify(results, false, '\t'));
+	} else if (reporters.hasOwnProperty(outputFormat)) {
+		console.log(generateReport(outputFormat, results));
+	} else if (outputFormat === 'stream') {
+		serializedResults = JSON.stringify(results);
+		console.log('REQ,01000001,' + ('00000000' + serializedResults.length.toString(16)).slice(-8) + ',' +
+			serializedResults);
+		endEvent = JSON.stringify({'projectProcessingEnd':true});
+		console.log('REQ,01000002,' + ('00000000' + endEvent.length.toString(16)).slice(-8) + ',' + endEvent);
+	}
+
+	return {
+		header: results.platforms.map(function (platform) {
+			return {
+				name: platform,
+				file: platform + '/index.html'
+			};
+		}),
+		platforms: results.platforms.join(', '),
+		elapsedTime: (results.elapsedTime / 1000).toFixed(1),
+		time: (new Date()).toTimeString(),
+		date: (new Date()).toDateString(),
+		errorsAndWarnings: errorsAndWarnings,
+		elevatedPlugins: elevatedPluginList,
+		errors: results.errors.length ? { errorList: listFindings(results.errors) } : undefined,
+		warnings: results.warnings.length ? { warningList: listFindings(results.warnings) } : undefined,
+		platformOnly: platformOnly.length ? { findingList: listFindings(platformOnly) } : undefined,
+		profile: results.profile ? {
+			statisticList: Object.keys(results.profile).reduce(function (list, platform) {
+				return list.concat(listProfile(results.profile[platform], ' (' + platform + ')'));
+			}, [])
+		} : undefined,
+		plugins: pluginList.length ? { pluginList: pluginList } : undefined
+	};
+}
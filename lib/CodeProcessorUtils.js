@@ -98,4 +98,21 @@ exports.isIdentifierValid = function (name, strict) {
 			'package', 'private', 'protected', 'public', 'static', 'yield', 'eval', 'arguments'].indexOf(name))) {
 		Base.throwNativeException('SyntaxError', 'Invalid identifier name ' + name);
 	}
-};
\ No newline at end of file
+};
+exports.escapeXML = function (str) {
+	return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+		.replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+};
+
+// process.exitCode isn't supported by node 0.8, so the exit code has to be passed to process.exit, but only once
+// everything written to stdout and stderr has been flushed, otherwise piped results are cut off
+exports.exit = function (code) {
+	var numPending = 2;
+	function streamFlushed() {
+		if (!--numPending) {
+			process.exit(code);
+		}
+	}
+	process.stdout.write('', streamFlushed);
+	process.stderr.write('', streamFlushed);
+};
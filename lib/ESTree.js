@@ -0,0 +1,1535 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Parses ECMAScript 2015+ source code with an ESTree parser and converts the result into the UglifyJS AST that the rule
+ * processors understand. Syntax that has no ECMAScript 5 equivalent in the AST (let and const declarations, arrow
+ * functions, and rest parameters) is represented with the extended node types defined in {@link module:AST}, and
+ * everything else (classes, destructuring, template literals, default parameters, spread, for-of, etc.) is desugared
+ * to ECMAScript 5 nodes.
+ *
+ * @module ESTree
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+
+var acorn = require('acorn'),
+	uglify = require('uglify-js'),
+
+	acornErrorLocationRegex = /\s*\(\d+:\d+\)$/,
+	templateNameRegex = /\b[A-Z]+\b/g,
+
+	staticInheritanceTemplate = [
+		'Object.getOwnPropertyNames(SUPER).forEach(function (key) {',
+		'	if (!Object.prototype.hasOwnProperty.call(CLASS, key)) {',
+		'		Object.defineProperty(CLASS, key, Object.getOwnPropertyDescriptor(SUPER, key));',
+		'	}',
+		'});'
+	].join('\n'),
+
+	// Reads a property the way Reflect.get does, so that getters on the superclass are called with the current this value
+	superGetTemplate = [
+		'(function (object, key, receiver) {',
+		'	var desc;',
+		'	while (object) {',
+		'		desc = Object.getOwnPropertyDescriptor(object, key);',
+		'		if (desc) {',
+		'			return desc.get ? desc.get.call(receiver) : desc.value;',
+		'		}',
+		'		object = Object.getPrototypeOf(object);',
+		'	}',
+		'});'
+	].join('\n'),
+
+	classCallCheckTemplate = [
+		'if (!(this instanceof CLASS)) {',
+		'	throw new TypeError("Class constructor CLASS cannot be invoked without \'new\'");',
+		'}'
+	].join('\n');
+
+// ******** Parser API methods ********
+
+/**
+ * Parses code in the supplied string into an UglifyJS AST, using an ESTree parser
+ *
+ * @method
+ * @param {String} src The source code to parse
+ * @param {String} [filename] The name of the file the source code came from
+ * @returns {{@link module:AST.node}} The parsed AST
+ * @throws {uglify.JS_Parse_Error} Thrown if the code could not be parsed. If the code is valid but uses syntax that
+ *		can't be converted, the error has the 'unsupportedSyntax' flag set
+ */
+exports.parse = parse;
+function parse(src, filename) {
+	var comments = [],
+		program;
+	try {
+		program = acorn.parse(src, {
+			ecmaVersion: 2016,
+			sourceType: 'script',
+			locations: true,
+			allowHashBang: true,
+			onComment: comments
+		});
+	} catch (e) {
+		if (!(e instanceof SyntaxError) || !e.loc) {
+			throw e;
+		}
+		throw new uglify.JS_Parse_Error(e.message.replace(acornErrorLocationRegex, ''), e.loc.line, e.loc.column, e.pos);
+	}
+	return new Converter(filename, comments).convert(program);
+}
+
+// ******** Converter Class ********
+
+/**
+ * @classdesc Converts an ESTree AST into an UglifyJS AST
+ *
+ * @constructor
+ * @private
+ * @param {String} [filename] The name of the file being converted
+ * @param {Array[Object]} comments The comments found by the parser, in source order
+ */
+function Converter(filename, comments) {
+	this.filename = filename || null;
+	this.comments = comments.map(function (comment) {
+		return new uglify.AST_Token({
+			type: comment.type === 'Line' ? 'comment1' : 'comment2',
+			value: comment.value,
+			line: comment.loc.start.line,
+			col: comment.loc.start.column,
+			pos: comment.start,
+			endpos: comment.end,
+			file: this.filename
+		});
+	}, this);
+	this.nextComment = 0;
+	this.tempCount = 0;
+	this.scopes = [];
+	this.superStack = [];
+}
+
+/**
+ * Converts an ESTree node
+ *
+ * @private
+ * @param {Object} node The ESTree node to convert
+ * @returns {{@link module:AST.node}} The converted node
+ */
+Converter.prototype.convert = function convert(node) {
+	var converter;
+	if (!node) {
+		return null;
+	}
+	converter = this['convert' + node.type];
+	if (!converter) {
+		this.unsupported(node, node.type + ' nodes');
+	}
+	return converter.call(this, node);
+};
+
+/**
+ * Throws a parse error for syntax that can't be converted
+ *
+ * @private
+ * @param {Object} node The ESTree node that can't be converted
+ * @param {String} description A description of the unsupported syntax, in plural form
+ * @throws {uglify.JS_Parse_Error} Always thrown
+ */
+Converter.prototype.unsupported = function unsupported(node, description) {
+	var error = new uglify.JS_Parse_Error(description + ' are not supported', node.loc.start.line,
+		node.loc.start.column, node.start);
+	error.unsupportedSyntax = true;
+	throw error;
+};
+
+// ******** Node creation helpers ********
+
+/**
+ * Gets the start token for an ESTree node, attaching any comments that precede it
+ *
+ * @private
+ */
+Converter.prototype.startToken = function startToken(node) {
+	var comments = [];
+	if (!node._startToken) {
+		while (this.nextComment < this.comments.length && this.comments[this.nextComment].endpos <= node.start) {
+			comments.push(this.comments[this.nextComment++]);
+		}
+		node._startToken = new uglify.AST_Token({
+			type: node.type,
+			value: '',
+			line: node.loc.start.line,
+			col: node.loc.start.column,
+			pos: node.start,
+			endpos: node.end,
+			nlb: false,
+			file: this.filename,
+			comments_before: comments
+		});
+	}
+	return node._startToken;
+};
+
+/**
+ * Gets the end token for an ESTree node
+ *
+ * @private
+ */
+Converter.prototype.endToken = function endToken(node) {
+	if (!node._endToken) {
+		node._endToken = new uglify.AST_Token({
+			type: node.type,
+			value: '',
+			line: node.loc.end.line,
+			col: node.loc.end.column,
+			pos: node.end,
+			endpos: node.end,
+			nlb: false,
+			file: this.filename,
+			comments_before: []
+		});
+	}
+	return node._endToken;
+};
+
+/**
+ * Creates an UglifyJS node, using the location of the given ESTree node
+ *
+ * @private
+ * @param {String} type The UglifyJS node type, without the 'AST_' prefix
+ * @param {Object} location The ESTree node to take the location from
+ * @param {Object} [props] The properties of the new node
+ * @returns {{@link module:AST.node}} The new node
+ */
+Converter.prototype.create = function create(type, location, props) {
+	props = props || {};
+	props.start = this.startToken(location);
+	props.end = this.endToken(location);
+	return new uglify['AST_' + type](props);
+};
+
+/**
+ * @private
+ */
+Converter.prototype.symbolRef = function symbolRef(name, location) {
+	return this.create('SymbolRef', location, {
+		name: name
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.string = function string(value, location) {
+	return this.create('String', location, {
+		value: value
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.dot = function dot(expression, property, location) {
+	return this.create('Dot', location, {
+		expression: expression,
+		property: property
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.call = function call(expression, args, location) {
+	return this.create('Call', location, {
+		expression: expression,
+		args: args
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.assign = function assign(left, right, location) {
+	return this.create('Assign', location, {
+		operator: '=',
+		left: left,
+		right: right
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.statement = function statement(expression, location) {
+	return this.create('SimpleStatement', location, {
+		body: expression
+	});
+};
+
+/**
+ * Creates a sequence expression (a, b, c) from a list of expressions
+ *
+ * @private
+ */
+Converter.prototype.sequence = function sequence(expressions, location) {
+	var result = expressions[expressions.length - 1],
+		i;
+	for (i = expressions.length - 2; i >= 0; i--) {
+		result = this.create('Seq', location, {
+			car: expressions[i],
+			cdr: result
+		});
+	}
+	return result;
+};
+
+/**
+ * Creates the test (name === void 0) used for default values
+ *
+ * @private
+ */
+Converter.prototype.isUndefined = function isUndefined(name, location) {
+	return this.create('Binary', location, {
+		operator: '===',
+		left: this.symbolRef(name, location),
+		right: this.create('UnaryPrefix', location, {
+			operator: 'void',
+			expression: this.create('Number', location, {
+				value: 0
+			})
+		})
+	});
+};
+
+/**
+ * Creates a call to Array.prototype.slice, used to convert array-likes for rest elements and spread
+ *
+ * @private
+ */
+Converter.prototype.slice = function slice(value, index, location) {
+	var args = [value];
+	if (index) {
+		args.push(this.create('Number', location, {
+			value: index
+		}));
+	}
+	return this.call(this.dot(this.dot(this.dot(this.symbolRef('Array', location), 'prototype', location), 'slice',
+		location), 'call', location), args, location);
+};
+
+/**
+ * Creates a call to Object.defineProperty
+ *
+ * @private
+ * @param {module:AST.node} target The object to define the property on
+ * @param {module:AST.node} key The property name
+ * @param {String} kind The kind of property, one of 'value', 'get', or 'set'
+ * @param {module:AST.node} value The property value, getter, or setter
+ * @param {Boolean} enumerable Whether or not the property is enumerable
+ * @param {Object} location The ESTree node to take the location from
+ */
+Converter.prototype.defineProperty = function defineProperty(target, key, kind, value, enumerable, location) {
+	var self = this,
+		properties = [[kind, value]];
+	if (kind === 'value') {
+		properties.push(['writable', this.create('True', location)]);
+	}
+	if (enumerable) {
+		properties.push(['enumerable', this.create('True', location)]);
+	}
+	properties.push(['configurable', this.create('True', location)]);
+	return this.call(this.dot(this.symbolRef('Object', location), 'defineProperty', location), [
+		target,
+		key,
+		this.create('Object', location, {
+			properties: properties.map(function (property) {
+				return self.create('ObjectKeyVal', location, {
+					key: property[0],
+					value: property[1]
+				});
+			})
+		})
+	], location);
+};
+
+/**
+ * Creates statements from a template of ECMAScript 5 source code, replacing the upper case names in it with the given
+ * identifiers. The statements are given the location of the ESTree node they are generated for.
+ *
+ * @private
+ * @param {String} src The template source code
+ * @param {Object} names The identifiers to substitute, keyed by the upper case names in the template
+ * @param {Object} location The ESTree node to take the location from
+ * @returns {Array[module:AST.node]} The statements
+ */
+Converter.prototype.template = function template(src, names, location) {
+	var start = this.startToken(location),
+		end = this.endToken(location),
+		ast = uglify.parse(src.replace(templateNameRegex, function (name) {
+			return names.hasOwnProperty(name) ? names[name] : name;
+		}));
+	ast.walk(new uglify.TreeWalker(function (node) {
+		node.start = start;
+		node.end = end;
+	}));
+	return ast.body;
+};
+
+/**
+ * Gets the name of a non-computed property key
+ *
+ * @private
+ */
+Converter.prototype.propertyName = function propertyName(key) {
+	return key.type === 'Identifier' ? key.name : String(key.value);
+};
+
+/**
+ * Creates a new temporary variable name
+ *
+ * @private
+ */
+Converter.prototype.tempName = function tempName(prefix) {
+	return '__' + (prefix || 'ref') + (++this.tempCount);
+};
+
+/**
+ * Creates a new temporary variable that is declared at the top of the current function
+ *
+ * @private
+ */
+Converter.prototype.hoistedTemp = function hoistedTemp(prefix) {
+	var name = this.tempName(prefix);
+	this.scopes[this.scopes.length - 1].push(name);
+	return name;
+};
+
+// ******** Destructuring ********
+
+/**
+ * Destructures a value into the targets of a pattern
+ *
+ * @private
+ * @param {Object} pattern The ESTree pattern to destructure into
+ * @param {module:AST.node} value The value to destructure
+ * @param {Function} bind Called with an ESTree target (an identifier or member expression) and the UglifyJS value to
+ *		bind to it
+ * @param {Function} bindTemp Called with a value and an ESTree location, and must store the value in a new temporary
+ *		variable and return its name
+ */
+Converter.prototype.destructure = function destructure(pattern, value, bind, bindTemp) {
+	var self = this,
+		temp;
+	switch (pattern.type) {
+		case 'AssignmentPattern':
+			temp = bindTemp(value, pattern);
+			this.destructure(pattern.left, this.create('Conditional', pattern, {
+				condition: this.isUndefined(temp, pattern),
+				consequent: this.convert(pattern.right),
+				alternative: this.symbolRef(temp, pattern)
+			}), bind, bindTemp);
+			break;
+		case 'ObjectPattern':
+			temp = bindTemp(value, pattern);
+			pattern.properties.forEach(function (property) {
+				if (property.type === 'RestElement') {
+					self.unsupported(property, 'Object rest properties');
+				}
+				self.destructure(property.value, property.computed ?
+					self.create('Sub', property, {
+						expression: self.symbolRef(temp, property),
+						property: self.convert(property.key)
+					}) :
+					self.dot(self.symbolRef(temp, property), self.propertyName(property.key), property), bind, bindTemp);
+			});
+			break;
+		case 'ArrayPattern':
+			temp = bindTemp(value, pattern);
+			pattern.elements.forEach(function (element, i) {
+				if (!element) {
+					return;
+				}
+				if (element.type === 'RestElement') {
+					self.destructure(element.argument, self.slice(self.symbolRef(temp, element), i, element), bind, bindTemp);
+				} else {
+					self.destructure(element, self.create('Sub', element, {
+						expression: self.symbolRef(temp, element),
+						property: self.create('Number', element, {
+							value: i
+						})
+					}), bind, bindTemp);
+				}
+			});
+			break;
+		default:
+			bind(pattern, value);
+	}
+};
+
+/**
+ * Creates the variable definitions for a declaration of the given kind
+ *
+ * @private
+ * @param {String} kind The kind of declaration, one of 'var', 'let', or 'const'
+ * @param {Object} id The ESTree identifier or pattern being declared
+ * @param {module:AST.node|null} value The converted initial value
+ * @returns {Array[module:AST.node]} The variable definitions
+ */
+Converter.prototype.declare = function declare(kind, id, value) {
+	var self = this,
+		symbolType = kind === 'const' ? 'SymbolConst' : 'SymbolVar',
+		definitions = [];
+
+	function define(name, value, location) {
+		definitions.push(self.create('VarDef', location, {
+			name: self.create(symbolType, location, {
+				name: name
+			}),
+			value: value
+		}));
+	}
+
+	if (id.type === 'Identifier') {
+		define(id.name, value, id);
+	} else {
+		this.destructure(id, value, function (target, value) {
+			define(target.name, value, target);
+		}, function (value, location) {
+			var name = self.tempName();
+			define(name, value, location);
+			return name;
+		});
+	}
+	return definitions;
+};
+
+/**
+ * Creates a declaration statement of the given kind
+ *
+ * @private
+ */
+Converter.prototype.declaration = function declaration(kind, id, value, location) {
+	return this.create(kind === 'var' ? 'Var' : kind === 'let' ? 'Let' : 'Const', location, {
+		definitions: this.declare(kind, id, value)
+	});
+};
+
+/**
+ * Creates a destructuring assignment expression, which evaluates to the value being destructured
+ *
+ * @private
+ */
+Converter.prototype.destructuringAssignment = function destructuringAssignment(pattern, value, location) {
+	var self = this,
+		expressions = [],
+		root;
+	this.destructure(pattern, value, function (target, value) {
+		expressions.push(self.assign(self.convert(target), value, target));
+	}, function (value, location) {
+		var name = self.hoistedTemp();
+		expressions.push(self.assign(self.symbolRef(name, location), value, location));
+		root = root || name;
+		return name;
+	});
+	expressions.push(this.symbolRef(root, location));
+	return this.sequence(expressions, location);
+};
+
+/**
+ * Binds the value of the current iteration of a for-in or for-of loop to the loop's left hand side
+ *
+ * @private
+ */
+Converter.prototype.bindLoopVariable = function bindLoopVariable(left, value) {
+	if (left.type === 'VariableDeclaration') {
+		return this.declaration(left.kind, left.declarations[0].id, value, left);
+	} else if (left.type === 'ObjectPattern' || left.type === 'ArrayPattern') {
+		return this.statement(this.destructuringAssignment(left, value, left), left);
+	}
+	return this.statement(this.assign(this.convert(left), value, left), left);
+};
+
+// ******** Programs and functions ********
+
+/**
+ * Converts the body of a program or function, hoisting any temporary variables created while converting it
+ *
+ * @private
+ * @param {Array[Object]} statements The ESTree statements in the body
+ * @param {Function} [prologue] Called inside of the new scope to create any statements that need to run before the
+ *		body, such as default parameter values
+ * @returns {Array[module:AST.node]} The converted body
+ */
+Converter.prototype.convertBody = function convertBody(statements, prologue) {
+	var self = this,
+		temps = [],
+		directives = [],
+		body,
+		i = 0;
+	this.scopes.push(temps);
+	while (i < statements.length && statements[i].directive) {
+		directives.push(this.create('Directive', statements[i], {
+			value: statements[i].directive
+		}));
+		i++;
+	}
+	body = (prologue ? prologue() : []).concat(statements.slice(i).map(this.convert, this));
+	this.scopes.pop();
+	if (temps.length) {
+		body.unshift(this.create('Var', statements[0] || this.currentFunction, {
+			definitions: temps.map(function (name) {
+				return self.create('VarDef', statements[0] || self.currentFunction, {
+					name: self.create('SymbolVar', statements[0] || self.currentFunction, {
+						name: name
+					})
+				});
+			})
+		}));
+	}
+	return directives.concat(body);
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertProgram = function convertProgram(node) {
+	var last = node.body[node.body.length - 1];
+	this.currentFunction = node;
+	return new uglify.AST_Toplevel({
+		start: this.startToken(node),
+		end: last ? this.endToken(last) : new uglify.AST_Token({
+			type: 'eof',
+			value: '',
+			line: 1,
+			col: 0,
+			pos: 0,
+			endpos: 0,
+			nlb: false,
+			file: this.filename,
+			comments_before: []
+		}),
+		body: this.convertBody(node.body)
+	});
+};
+
+/**
+ * Converts a function
+ *
+ * @private
+ * @param {Object} node The ESTree function node
+ * @param {String} type The UglifyJS node type to create, one of 'Defun', 'Function', 'Arrow', or 'Accessor'
+ * @param {Object} [superContext] The target of super references inside of the function, if it is a class method
+ * @param {String} [name] The name of the function, if it's not given by the node
+ * @returns {module:AST.node} The converted function
+ */
+Converter.prototype.convertFunction = function convertFunction(node, type, superContext, name) {
+	var self = this,
+		isArrow = type === 'Arrow',
+		argnames = [],
+		prologue = [],
+		previousFunction = this.currentFunction,
+		body;
+
+	if (node.generator) {
+		this.unsupported(node, 'Generators');
+	}
+	if (node.async) {
+		this.unsupported(node, 'Async functions');
+	}
+
+	node.params.forEach(function (param) {
+		var temp;
+		if (param.type === 'Identifier') {
+			argnames.push(self.create('SymbolFunarg', param, {
+				name: param.name
+			}));
+		} else if (param.type === 'AssignmentPattern' && param.left.type === 'Identifier') {
+			argnames.push(self.create('SymbolFunarg', param.left, {
+				name: param.left.name
+			}));
+			prologue.push(function () {
+				return self.create('If', param, {
+					condition: self.isUndefined(param.left.name, param),
+					body: self.statement(self.assign(self.symbolRef(param.left.name, param.left),
+						self.convert(param.right), param), param)
+				});
+			});
+		} else if (param.type === 'RestElement' && param.argument.type === 'Identifier') {
+			argnames.push(self.create('SymbolRest', param, {
+				name: param.argument.name
+			}));
+		} else {
+			temp = self.tempName('arg');
+			argnames.push(self.create(param.type === 'RestElement' ? 'SymbolRest' : 'SymbolFunarg', param, {
+				name: temp
+			}));
+			prologue.push(function () {
+				return self.declaration('var', param.type === 'RestElement' ? param.argument : param,
+					self.symbolRef(temp, param), param);
+			});
+		}
+	});
+
+	if (!isArrow) {
+		this.superStack.push(superContext);
+	}
+	this.currentFunction = node;
+	body = this.convertBody(node.expression ? [] : node.body.body, function () {
+		var statements = prologue.map(function (createStatement) {
+			return createStatement();
+		});
+		if (node.expression) {
+			statements.push(self.create('Return', node.body, {
+				value: self.convert(node.body)
+			}));
+		}
+		return statements;
+	});
+	this.currentFunction = previousFunction;
+	if (!isArrow) {
+		this.superStack.pop();
+	}
+
+	name = node.id ? node.id.name : name;
+	return this.create(type, node, {
+		name: name ? this.create(type === 'Defun' ? 'SymbolDefun' : 'SymbolLambda', node.id || node, {
+			name: name
+		}) : null,
+		argnames: argnames,
+		body: body
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertFunctionDeclaration = function convertFunctionDeclaration(node) {
+	return this.convertFunction(node, 'Defun');
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertFunctionExpression = function convertFunctionExpression(node) {
+	return this.convertFunction(node, 'Function');
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertArrowFunctionExpression = function convertArrowFunctionExpression(node) {
+	return this.convertFunction(node, 'Arrow');
+};
+
+// ******** Classes ********
+
+/**
+ * Converts a class into an immediately invoked function that creates the constructor and defines its methods. The
+ * superclass, if any, is passed in as an argument so that super references can be resolved against it. Since
+ * ECMAScript 5 can't change the prototype of a function, static members of the superclass are copied to the class
+ * instead of being inherited. The constructor checks that it was called with new, since ECMAScript 5 functions can be
+ * called either way.
+ *
+ * @private
+ */
+Converter.prototype.convertClass = function convertClass(node) {
+	var self = this,
+		name = node.id ? node.id.name : this.tempName('class'),
+		superName = node.superClass && this.tempName('super'),
+		constructorMethod,
+		constructorFunction,
+		body = [];
+
+	function ref() {
+		return self.symbolRef(name, node);
+	}
+
+	node.body.body.forEach(function (method) {
+		if (method.kind === 'constructor') {
+			constructorMethod = method;
+		}
+	});
+
+	if (constructorMethod) {
+		constructorFunction = this.convertFunction(constructorMethod.value, 'Defun', {
+			name: superName,
+			isConstructor: true
+		}, name);
+	} else {
+		constructorFunction = this.create('Defun', node, {
+			name: this.create('SymbolDefun', node.id || node, {
+				name: name
+			}),
+			argnames: [],
+			body: superName ? [
+				this.statement(this.call(this.dot(this.symbolRef(superName, node), 'apply', node), [
+					this.create('This', node),
+					this.symbolRef('arguments', node)
+				], node), node)
+			] : []
+		});
+	}
+	constructorFunction.body = this.template(classCallCheckTemplate, {
+		CLASS: name
+	}, node).concat(constructorFunction.body);
+	body.push(constructorFunction);
+
+	if (superName) {
+		body.push(this.statement(this.assign(this.dot(ref(), 'prototype', node),
+			this.call(this.dot(this.symbolRef('Object', node), 'create', node), [
+				this.dot(this.symbolRef(superName, node), 'prototype', node)
+			], node), node), node));
+		body.push(this.statement(this.defineProperty(this.dot(ref(), 'prototype', node), this.string('constructor', node),
+			'value', ref(), false, node), node));
+		body = body.concat(this.template(staticInheritanceTemplate, {
+			CLASS: name,
+			SUPER: superName
+		}, node));
+	}
+
+	node.body.body.forEach(function (method) {
+		if (method.kind === 'constructor') {
+			return;
+		}
+		body.push(self.statement(self.defineProperty(
+			method.static ? ref() : self.dot(ref(), 'prototype', method),
+			method.computed ? self.convert(method.key) : self.string(self.propertyName(method.key), method.key),
+			method.kind === 'method' ? 'value' : method.kind,
+			self.convertFunction(method.value, 'Function', {
+				name: superName,
+				isStatic: method.static
+			}),
+			false,
+			method), method));
+	});
+
+	body.push(this.create('Return', node, {
+		value: ref()
+	}));
+
+	return this.call(this.create('Function', node, {
+		name: null,
+		argnames: superName ? [this.create('SymbolFunarg', node.superClass, {
+			name: superName
+		})] : [],
+		body: [this.create('Directive', node, {
+			value: 'use strict'
+		})].concat(body)
+	}), superName ? [this.convert(node.superClass)] : [], node);
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertClassDeclaration = function convertClassDeclaration(node) {
+	return this.create('Let', node, {
+		definitions: [this.create('VarDef', node, {
+			name: this.create('SymbolVar', node.id, {
+				name: node.id.name
+			}),
+			value: this.convertClass(node)
+		})]
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertClassExpression = function convertClassExpression(node) {
+	return this.convertClass(node);
+};
+
+/**
+ * Gets the object that super property references resolve against in the current method
+ *
+ * @private
+ */
+Converter.prototype.superBase = function superBase(node) {
+	var superContext = this.superStack[this.superStack.length - 1],
+		base;
+	if (!superContext) {
+		this.unsupported(node, 'Super references outside of class methods');
+	}
+	if (superContext.name) {
+		base = this.symbolRef(superContext.name, node);
+		return superContext.isStatic ? base : this.dot(base, 'prototype', node);
+	}
+	return this.dot(this.symbolRef(superContext.isStatic ? 'Function' : 'Object', node), 'prototype', node);
+};
+
+/**
+ * Converts a super property reference, e.g. super.x, into a lookup of the property on the superclass that calls getters
+ * with the current this value, instead of with the superclass prototype
+ *
+ * @private
+ */
+Converter.prototype.superGet = function superGet(node) {
+	return this.call(this.template(superGetTemplate, {}, node)[0].body, [
+		this.superBase(node.object),
+		node.computed ? this.convert(node.property) : this.string(node.property.name, node.property),
+		this.create('This', node)
+	], node);
+};
+
+/**
+ * Reports writes to super properties, e.g. super.x = 1, which can't be converted without changing which object the
+ * property is written to
+ *
+ * @private
+ */
+Converter.prototype.checkSuperWrite = function checkSuperWrite(target) {
+	if (target.type === 'MemberExpression' && target.object.type === 'Super') {
+		this.unsupported(target, 'Assignments to super properties');
+	}
+};
+
+// ******** Statements ********
+
+/**
+ * @private
+ */
+Converter.prototype.convertExpressionStatement = function convertExpressionStatement(node) {
+	return this.statement(this.convert(node.expression), node);
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertBlockStatement = function convertBlockStatement(node) {
+	return this.create('BlockStatement', node, {
+		body: node.body.map(this.convert, this)
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertEmptyStatement = function convertEmptyStatement(node) {
+	return this.create('EmptyStatement', node);
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertDebuggerStatement = function convertDebuggerStatement(node) {
+	return this.create('Debugger', node);
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertWithStatement = function convertWithStatement(node) {
+	return this.create('With', node, {
+		expression: this.convert(node.object),
+		body: this.convert(node.body)
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertReturnStatement = function convertReturnStatement(node) {
+	return this.create('Return', node, {
+		value: this.convert(node.argument)
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertThrowStatement = function convertThrowStatement(node) {
+	return this.create('Throw', node, {
+		value: this.convert(node.argument)
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertLabeledStatement = function convertLabeledStatement(node) {
+	return this.create('LabeledStatement', node, {
+		label: this.create('Label', node.label, {
+			name: node.label.name
+		}),
+		body: this.convert(node.body)
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertBreakStatement = function convertBreakStatement(node) {
+	return this.create('Break', node, {
+		label: node.label && this.create('LabelRef', node.label, {
+			name: node.label.name
+		})
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertContinueStatement = function convertContinueStatement(node) {
+	return this.create('Continue', node, {
+		label: node.label && this.create('LabelRef', node.label, {
+			name: node.label.name
+		})
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertIfStatement = function convertIfStatement(node) {
+	return this.create('If', node, {
+		condition: this.convert(node.test),
+		body: this.convert(node.consequent),
+		alternative: this.convert(node.alternate)
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertSwitchStatement = function convertSwitchStatement(node) {
+	var self = this;
+	return this.create('Switch', node, {
+		expression: this.convert(node.discriminant),
+		body: node.cases.map(function (switchCase) {
+			return switchCase.test ? self.create('Case', switchCase, {
+				expression: self.convert(switchCase.test),
+				body: switchCase.consequent.map(self.convert, self)
+			}) : self.create('Default', switchCase, {
+				body: switchCase.consequent.map(self.convert, self)
+			});
+		})
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertTryStatement = function convertTryStatement(node) {
+	var handler = node.handler,
+		argname,
+		body;
+	if (handler) {
+		if (!handler.param) {
+			this.unsupported(handler, 'Catch clauses without a binding');
+		}
+		if (handler.param.type === 'Identifier') {
+			argname = handler.param.name;
+			body = handler.body.body.map(this.convert, this);
+		} else {
+			argname = this.tempName();
+			body = [this.declaration('let', handler.param, this.symbolRef(argname, handler.param), handler.param)]
+				.concat(handler.body.body.map(this.convert, this));
+		}
+	}
+	return this.create('Try', node, {
+		body: node.block.body.map(this.convert, this),
+		bcatch: handler ? this.create('Catch', handler, {
+			argname: this.create('SymbolCatch', handler.param, {
+				name: argname
+			}),
+			body: body
+		}) : null,
+		bfinally: node.finalizer ? this.create('Finally', node.finalizer, {
+			body: node.finalizer.body.map(this.convert, this)
+		}) : null
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertWhileStatement = function convertWhileStatement(node) {
+	return this.create('While', node, {
+		condition: this.convert(node.test),
+		body: this.convert(node.body)
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertDoWhileStatement = function convertDoWhileStatement(node) {
+	return this.create('Do', node, {
+		condition: this.convert(node.test),
+		body: this.convert(node.body)
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertForStatement = function convertForStatement(node) {
+	return this.create('For', node, {
+		init: this.convert(node.init),
+		condition: this.convert(node.test),
+		step: this.convert(node.update),
+		body: this.convert(node.body)
+	});
+};
+
+/**
+ * Converts a for-in loop. Loops that declare a let or const variable or destructure the key iterate over a temporary
+ * variable instead, and bind the key at the start of each iteration.
+ *
+ * @private
+ */
+Converter.prototype.convertForInStatement = function convertForInStatement(node) {
+	var left = node.left,
+		init,
+		key;
+	if (left.type === 'VariableDeclaration' && left.kind === 'var' && left.declarations[0].id.type === 'Identifier') {
+		init = this.convert(left);
+		return this.create('ForIn', node, {
+			init: init,
+			name: init.definitions[0].name,
+			object: this.convert(node.right),
+			body: this.convert(node.body)
+		});
+	} else if (left.type === 'Identifier' || left.type === 'MemberExpression') {
+		return this.create('ForIn', node, {
+			init: this.convert(left),
+			name: null,
+			object: this.convert(node.right),
+			body: this.convert(node.body)
+		});
+	}
+	key = this.tempName('key');
+	init = this.create('Var', left, {
+		definitions: [this.create('VarDef', left, {
+			name: this.create('SymbolVar', left, {
+				name: key
+			})
+		})]
+	});
+	return this.create('ForIn', node, {
+		init: init,
+		name: init.definitions[0].name,
+		object: this.convert(node.right),
+		body: this.create('BlockStatement', node.body, {
+			body: [this.bindLoopVariable(left, this.symbolRef(key, left)), this.convert(node.body)]
+		})
+	});
+};
+
+/**
+ * Converts a for-of loop into a loop over the indices of Array.from(iterable), so that Maps and Sets can be iterated in
+ * addition to array-like objects
+ *
+ * @private
+ */
+Converter.prototype.convertForOfStatement = function convertForOfStatement(node) {
+	var iterable = this.tempName('iterable'),
+		index = this.tempName('index');
+	return this.create('For', node, {
+		init: this.create('Var', node, {
+			definitions: [
+				this.create('VarDef', node.right, {
+					name: this.create('SymbolVar', node.right, {
+						name: iterable
+					}),
+					value: this.call(this.dot(this.symbolRef('Array', node.right), 'from', node.right), [
+						this.convert(node.right)
+					], node.right)
+				}),
+				this.create('VarDef', node.left, {
+					name: this.create('SymbolVar', node.left, {
+						name: index
+					}),
+					value: this.create('Number', node.left, {
+						value: 0
+					})
+				})
+			]
+		}),
+		condition: this.create('Binary', node, {
+			operator: '<',
+			left: this.symbolRef(index, node),
+			right: this.dot(this.symbolRef(iterable, node), 'length', node)
+		}),
+		step: this.create('UnaryPostfix', node, {
+			operator: '++',
+			expression: this.symbolRef(index, node)
+		}),
+		body: this.create('BlockStatement', node.body, {
+			body: [
+				this.bindLoopVariable(node.left, this.create('Sub', node.left, {
+					expression: this.symbolRef(iterable, node.left),
+					property: this.symbolRef(index, node.left)
+				})),
+				this.convert(node.body)
+			]
+		})
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertVariableDeclaration = function convertVariableDeclaration(node) {
+	var self = this,
+		definitions = [];
+	node.declarations.forEach(function (declarator) {
+		definitions = definitions.concat(self.declare(node.kind, declarator.id, self.convert(declarator.init)));
+	});
+	return this.create(node.kind === 'var' ? 'Var' : node.kind === 'let' ? 'Let' : 'Const', node, {
+		definitions: definitions
+	});
+};
+
+// ******** Expressions ********
+
+/**
+ * @private
+ */
+Converter.prototype.convertIdentifier = function convertIdentifier(node) {
+	return this.symbolRef(node.name, node);
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertLiteral = function convertLiteral(node) {
+	if (node.regex) {
+		return this.create('RegExp', node, {
+			value: new RegExp(node.regex.pattern, node.regex.flags)
+		});
+	}
+	switch (typeof node.value) {
+		case 'string':
+			return this.string(node.value, node);
+		case 'number':
+			return this.create('Number', node, {
+				value: node.value
+			});
+		case 'boolean':
+			return this.create(node.value ? 'True' : 'False', node);
+	}
+	return this.create('Null', node);
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertThisExpression = function convertThisExpression(node) {
+	return this.create('This', node);
+};
+
+/**
+ * Converts an array literal. Spread elements are converted to a concat of the array-like values being spread.
+ *
+ * @private
+ */
+Converter.prototype.convertArrayExpression = function convertArrayExpression(node) {
+	var self = this,
+		groups = [],
+		current;
+	node.elements.forEach(function (element) {
+		if (element && element.type === 'SpreadElement') {
+			current = undefined;
+			groups.push(self.slice(self.convert(element.argument), 0, element));
+		} else {
+			if (!current) {
+				current = self.create('Array', node, {
+					elements: []
+				});
+				groups.push(current);
+			}
+			current.elements.push(element ? self.convert(element) : self.create('Hole', node));
+		}
+	});
+	if (!groups.length || !(groups[0] instanceof uglify.AST_Array)) {
+		groups.unshift(this.create('Array', node, {
+			elements: []
+		}));
+	}
+	return groups.length === 1 ? groups[0] : this.call(this.dot(groups[0], 'concat', node), groups.slice(1), node);
+};
+
+/**
+ * Converts an object literal. Properties with computed keys, and any properties after them, are assigned one at a time
+ * to a temporary variable so that they are evaluated in order.
+ *
+ * @private
+ */
+Converter.prototype.convertObjectExpression = function convertObjectExpression(node) {
+	var self = this,
+		computedIndex = -1,
+		expressions,
+		temp;
+	node.properties.forEach(function (property, i) {
+		if (property.type === 'SpreadElement') {
+			self.unsupported(property, 'Object spread properties');
+		}
+		if (property.computed && computedIndex === -1) {
+			computedIndex = i;
+		}
+	});
+	if (computedIndex === -1) {
+		return this.create('Object', node, {
+			properties: node.properties.map(this.convertProperty, this)
+		});
+	}
+
+	temp = this.hoistedTemp();
+	expressions = [this.assign(this.symbolRef(temp, node), this.create('Object', node, {
+		properties: node.properties.slice(0, computedIndex).map(this.convertProperty, this)
+	}), node)];
+	node.properties.slice(computedIndex).forEach(function (property) {
+		var key = property.computed ? self.convert(property.key) :
+			self.string(self.propertyName(property.key), property.key);
+		if (property.kind === 'init') {
+			expressions.push(self.assign(self.create('Sub', property, {
+				expression: self.symbolRef(temp, property),
+				property: key
+			}), self.convert(property.value), property));
+		} else {
+			expressions.push(self.defineProperty(self.symbolRef(temp, property), key, property.kind,
+				self.convertFunction(property.value, 'Function'), true, property));
+		}
+	});
+	expressions.push(this.symbolRef(temp, node));
+	return this.sequence(expressions, node);
+};
+
+/**
+ * Converts a non-computed property in an object literal
+ *
+ * @private
+ */
+Converter.prototype.convertProperty = function convertProperty(property) {
+	var name = this.propertyName(property.key),
+		accessor;
+	if (property.kind === 'get' || property.kind === 'set') {
+		accessor = this.convertFunction(property.value, 'Accessor');
+		accessor.name = this.create('SymbolAccessor', property.key, {
+			name: name
+		});
+		return this.create(property.kind === 'get' ? 'ObjectGetter' : 'ObjectSetter', property, {
+			key: name,
+			value: accessor
+		});
+	}
+	return this.create('ObjectKeyVal', property, {
+		key: name,
+		value: this.convert(property.value)
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertTemplateLiteral = function convertTemplateLiteral(node) {
+	var self = this,
+		result = this.string(node.quasis[0].value.cooked, node.quasis[0]);
+	node.expressions.forEach(function (expression, i) {
+		var quasi = node.quasis[i + 1];
+		result = self.create('Binary', node, {
+			operator: '+',
+			left: result,
+			right: self.convert(expression)
+		});
+		if (quasi.value.cooked) {
+			result = self.create('Binary', node, {
+				operator: '+',
+				left: result,
+				right: self.string(quasi.value.cooked, quasi)
+			});
+		}
+	});
+	return result;
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertTaggedTemplateExpression = function convertTaggedTemplateExpression(node) {
+	var self = this;
+	return this.call(this.convert(node.tag), [this.create('Array', node.quasi, {
+		elements: node.quasi.quasis.map(function (quasi) {
+			return self.string(quasi.value.cooked, quasi);
+		})
+	})].concat(node.quasi.expressions.map(this.convert, this)), node);
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertUnaryExpression = function convertUnaryExpression(node) {
+	return this.create('UnaryPrefix', node, {
+		operator: node.operator,
+		expression: this.convert(node.argument)
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertUpdateExpression = function convertUpdateExpression(node) {
+	this.checkSuperWrite(node.argument);
+	return this.create(node.prefix ? 'UnaryPrefix' : 'UnaryPostfix', node, {
+		operator: node.operator,
+		expression: this.convert(node.argument)
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertBinaryExpression = function convertBinaryExpression(node) {
+	if (node.operator === '**') {
+		return this.call(this.dot(this.symbolRef('Math', node), 'pow', node),
+			[this.convert(node.left), this.convert(node.right)], node);
+	}
+	return this.create('Binary', node, {
+		operator: node.operator,
+		left: this.convert(node.left),
+		right: this.convert(node.right)
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertLogicalExpression = Converter.prototype.convertBinaryExpression;
+
+/**
+ * @private
+ */
+Converter.prototype.convertAssignmentExpression = function convertAssignmentExpression(node) {
+	this.checkSuperWrite(node.left);
+	if (node.left.type === 'ObjectPattern' || node.left.type === 'ArrayPattern') {
+		return this.destructuringAssignment(node.left, this.convert(node.right), node);
+	}
+	if (node.operator === '**=') {
+		return this.assign(this.convert(node.left), this.call(this.dot(this.symbolRef('Math', node), 'pow', node),
+			[this.convert(node.left), this.convert(node.right)], node), node);
+	}
+	return this.create('Assign', node, {
+		operator: node.operator,
+		left: this.convert(node.left),
+		right: this.convert(node.right)
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertConditionalExpression = function convertConditionalExpression(node) {
+	return this.create('Conditional', node, {
+		condition: this.convert(node.test),
+		consequent: this.convert(node.consequent),
+		alternative: this.convert(node.alternate)
+	});
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertSequenceExpression = function convertSequenceExpression(node) {
+	return this.sequence(node.expressions.map(this.convert, this), node);
+};
+
+/**
+ * @private
+ */
+Converter.prototype.convertMemberExpression = function convertMemberExpression(node) {
+	var object;
+	if (node.object.type === 'Super') {
+		return this.superGet(node);
+	}
+	object = this.convert(node.object);
+	if (node.computed) {
+		return this.create('Sub', node, {
+			expression: object,
+			property: this.convert(node.property)
+		});
+	}
+	return this.dot(object, node.property.name, node);
+};
+
+/**
+ * Converts the arguments of a call, returning either the list of arguments or, if any are spread, a single array of
+ * arguments to pass to apply
+ *
+ * @private
+ */
+Converter.prototype.convertArguments = function convertArguments(node) {
+	var hasSpread = node.arguments.some(function (arg) {
+		return arg.type === 'SpreadElement';
+	});
+	return hasSpread ? this.convertArrayExpression({
+		type: node.type,
+		start: node.start,
+		end: node.end,
+		loc: node.loc,
+		elements: node.arguments
+	}) : node.arguments.map(this.convert, this);
+};
+
+/**
+ * Converts a function call. Calls with spread arguments are converted to calls to apply, and super calls are converted
+ * to calls to the superclass constructor or prototype method with the current this value.
+ *
+ * @private
+ */
+Converter.prototype.convertCallExpression = function convertCallExpression(node) {
+	var callee = node.callee,
+		args = this.convertArguments(node),
+		isSpread = !Array.isArray(args),
+		superContext,
+		temp;
+
+	if (callee.type === 'Super') {
+		superContext = this.superStack[this.superStack.length - 1];
+		if (!superContext || !superContext.isConstructor || !superContext.name) {
+			this.unsupported(callee, 'Super calls outside of derived class constructors');
+		}
+		return this.call(this.dot(this.symbolRef(superContext.name, callee), isSpread ? 'apply' : 'call', node),
+			isSpread ? [this.create('This', node), args] : [this.create('This', node)].concat(args), node);
+	}
+	if (callee.type === 'MemberExpression' && callee.object.type === 'Super') {
+		return this.call(this.dot(this.convert(callee), isSpread ? 'apply' : 'call', node),
+			isSpread ? [this.create('This', node), args] : [this.create('This', node)].concat(args), node);
+	}
+	if (!isSpread) {
+		return this.call(this.convert(callee), args, node);
+	}
+	if (callee.type === 'MemberExpression') {
+		temp = this.hoistedTemp();
+		return this.call(this.dot(this.create(callee.computed ? 'Sub' : 'Dot', callee, {
+			expression: this.assign(this.symbolRef(temp, callee.object), this.convert(callee.object), callee.object),
+			property: callee.computed ? this.convert(callee.property) : callee.property.name
+		}), 'apply', node), [this.symbolRef(temp, callee), args], node);
+	}
+	return this.call(this.dot(this.convert(callee), 'apply', node), [this.create('Null', node), args], node);
+};
+
+/**
+ * Converts a new expression. Spread arguments are passed by binding the constructor to the arguments first.
+ *
+ * @private
+ */
+Converter.prototype.convertNewExpression = function convertNewExpression(node) {
+	var args = this.convertArguments(node);
+	if (!Array.isArray(args)) {
+		return this.create('New', node, {
+			expression: this.call(this.dot(this.dot(this.dot(this.symbolRef('Function', node), 'prototype', node), 'bind',
+				node), 'apply', node), [
+					this.convert(node.callee),
+					this.call(this.dot(this.create('Array', node, {
+						elements: [this.create('Null', node)]
+					}), 'concat', node), [args], node)
+				], node),
+			args: []
+		});
+	}
+	return this.create('New', node, {
+		expression: this.convert(node.callee),
+		args: args
+	});
+};
@@ -0,0 +1,687 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * A Language Server Protocol server that exposes the results of the code processor to editors. Messages are JSON-RPC
+ * 2.0 messages framed with a Content-Length header, as defined by the Language Server Protocol. The project is
+ * analyzed when a document is opened or saved, and the errors and warnings of the run are published as diagnostics.
+ * Hover requests are answered with the values that an identifier was found to have during the last run, and
+ * definition requests on require paths are answered with the file the module was resolved to.
+ *
+ * @module LanguageServer
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+
+var path = require('path'),
+	fs = require('fs'),
+
+	CodeProcessor = require('./CodeProcessor'),
+	Base = require('./Base'),
+
+	DEFAULT_DELAY = 100,
+	MAX_HOVER_VALUES = 5,
+	MAX_STRING_LENGTH = 40,
+
+	PARSE_ERROR = -32700,
+	INVALID_REQUEST = -32600,
+	METHOD_NOT_FOUND = -32601,
+	INTERNAL_ERROR = -32603,
+	SERVER_NOT_INITIALIZED = -32002,
+
+	SEVERITY_ERROR = 1,
+	SEVERITY_WARNING = 2,
+
+	MESSAGE_TYPES = {
+		error: 1,
+		warn: 2,
+		info: 3
+	},
+
+	contentLengthRegex = /Content-Length: *(\d+)/i,
+	requireRegex = /require\s*\(\s*(['"])([^'"]+)\1\s*\)/g,
+	wordRegex = /^[\w$]+/,
+	fileUriRegex = /^file:\/\//,
+	driveRegex = /^\/[a-zA-Z]:/;
+
+// ******** Helper Methods ********
+
+/**
+ * @private
+ */
+function uriToPath(uri) {
+	var filename = decodeURIComponent(uri.replace(fileUriRegex, ''));
+	if (driveRegex.test(filename)) {
+		filename = filename.substring(1);
+	}
+	return path.normalize(filename);
+}
+
+/**
+ * @private
+ */
+function pathToUri(filename) {
+	filename = filename.split(path.sep).join('/');
+	return 'file://' + (filename[0] === '/' ? '' : '/') + encodeURI(filename);
+}
+
+/**
+ * Finds the end of the header of a message, i.e. the first blank line
+ *
+ * @private
+ */
+function findHeaderEnd(buffer) {
+	var i, len;
+	for (i = 0, len = buffer.length - 3; i < len; i++) {
+		if (buffer[i] === 13 && buffer[i + 1] === 10 && buffer[i + 2] === 13 && buffer[i + 3] === 10) {
+			return i;
+		}
+	}
+	return -1;
+}
+
+/**
+ * Describes a value for display in a hover
+ *
+ * @private
+ */
+function describeValue(value) {
+	var str;
+	switch(Base.type(value)) {
+		case 'Unknown':
+			return Base.describeTypeInfo(value.typeInfo);
+		case 'Undefined':
+			return 'undefined';
+		case 'Null':
+			return 'null';
+		case 'Boolean':
+			return 'boolean ' + value.value;
+		case 'Number':
+			return 'number ' + value.value;
+		case 'String':
+			str = value.value.length > MAX_STRING_LENGTH ? value.value.substring(0, MAX_STRING_LENGTH) + '...' : value.value;
+			return 'string ' + JSON.stringify(str);
+		default:
+			if (value._apiName) {
+				return value._apiName;
+			}
+			return value.className === 'Function' ? 'function' : value.className === 'Array' ? 'array' :
+				'object' + (value.className !== 'Object' ? ' ' + value.className : '');
+	}
+}
+
+/**
+ * Gets the value of a reference without invoking any getters, so that inspecting a value has no side effects on the
+ * analysis. Undefined is returned if the value can't be determined this way.
+ *
+ * @private
+ */
+function peekValue(reference) {
+	var base,
+		name,
+		descriptor;
+	if (Base.type(reference) !== 'Reference') {
+		return reference;
+	}
+	base = Base.getBase(reference);
+	name = Base.getReferencedName(reference);
+	if (base instanceof Base.DeclarativeEnvironmentRecord) {
+		return base._bindings[name] && base._bindings[name].value;
+	}
+	if (base instanceof Base.ObjectEnvironmentRecord) {
+		base = base._bindingObject;
+	}
+	if (Base.isPropertyReference(reference) && Base.hasPrimitiveBase(reference)) {
+		return;
+	}
+	descriptor = base.getProperty && base.getProperty(name);
+	return descriptor && Base.isDataDescriptor(descriptor) ? descriptor.value : undefined;
+}
+
+// ******** Language Server Methods ********
+
+/**
+ * Creates a new language server. Nothing is read from the input until {@link module:LanguageServer.LanguageServer#start}
+ * is called.
+ *
+ * @constructor
+ * @name module:LanguageServer.LanguageServer
+ * @param {stream.Readable} input The stream to read messages from, typically stdin
+ * @param {stream.Writable} output The stream to write messages to, typically stdout
+ * @param {Object} [options] The server options
+ * @param {Object} [options.options] The code processor options, see {@link module:CodeProcessor.run}. The analysis
+ *		cache is disabled unless explicitly enabled, since cached runs don't record values for hovers
+ * @param {Array[Object]} [options.plugins] The plugins to load, see {@link module:CodeProcessor.run}. The
+ *		'initializationOptions' of the client may also specify 'options' and 'plugins', which take precedence
+ * @param {Number} [options.delay] The number of milliseconds to wait for further changes before analyzing. Defaults to
+ *		100
+ */
+exports.LanguageServer = LanguageServer;
+function LanguageServer(input, output, options) {
+	options = options || {};
+	this.input = input;
+	this.output = output;
+	this.options = options.options || {};
+	this.plugins = options.plugins || [];
+	this.delay = typeof options.delay === 'number' ? options.delay : DEFAULT_DELAY;
+	this.buffer = Buffer.concat([]);
+	this.documents = {};
+	this.diagnosticFiles = [];
+	this.symbols = {};
+	this.modules = {};
+	this.session = undefined;
+	this.sourceInformation = undefined;
+	this.timer = undefined;
+	this.isShutdown = false;
+	this.callback = undefined;
+}
+
+/**
+ * Starts reading messages from the input
+ *
+ * @method
+ * @name module:LanguageServer.LanguageServer#start
+ * @param {Function} [callback] The function to call when the client sends the exit notification. It is passed the exit
+ *		code the process should exit with: 0 if the client shut down the server first, 1 otherwise
+ */
+LanguageServer.prototype.start = function start(callback) {
+	var self = this;
+	this.callback = callback;
+	this.dataListener = function (data) {
+		self.receive(data);
+	};
+	this.input.on('data', this.dataListener);
+};
+
+/**
+ * Stops reading messages and cancels any pending analysis
+ *
+ * @method
+ * @name module:LanguageServer.LanguageServer#close
+ */
+LanguageServer.prototype.close = function close() {
+	clearTimeout(this.timer);
+	this.timer = undefined;
+	if (this.dataListener) {
+		this.input.removeListener('data', this.dataListener);
+		this.dataListener = undefined;
+	}
+};
+
+/**
+ * Parses the messages in a chunk of input
+ *
+ * @method
+ * @private
+ * @name module:LanguageServer.LanguageServer#receive
+ */
+LanguageServer.prototype.receive = function receive(data) {
+	var headerEnd,
+		contentLength,
+		message;
+
+	this.buffer = Buffer.concat([this.buffer, typeof data === 'string' ? new Buffer(data) : data]);
+	while ((headerEnd = findHeaderEnd(this.buffer)) !== -1) {
+		contentLength = contentLengthRegex.exec(this.buffer.slice(0, headerEnd).toString('ascii'));
+		if (!contentLength) {
+			// A header without a length can't be framed, so it is discarded
+			this.buffer = this.buffer.slice(headerEnd + 4);
+			continue;
+		}
+		contentLength = parseInt(contentLength[1], 10);
+		if (this.buffer.length < headerEnd + 4 + contentLength) {
+			return;
+		}
+		message = this.buffer.slice(headerEnd + 4, headerEnd + 4 + contentLength).toString('utf8');
+		this.buffer = this.buffer.slice(headerEnd + 4 + contentLength);
+		try {
+			message = JSON.parse(message);
+		} catch(e) {
+			this.sendError(null, PARSE_ERROR, 'Could not parse message: ' + e.message);
+			continue;
+		}
+		this.handleMessage(message);
+	}
+};
+
+/**
+ * Dispatches a message to its handler
+ *
+ * @method
+ * @private
+ * @name module:LanguageServer.LanguageServer#handleMessage
+ */
+LanguageServer.prototype.handleMessage = function handleMessage(message) {
+	var isRequest = message && message.hasOwnProperty('id'),
+		handler = message && handlers[message.method],
+		result;
+
+	if (!message || typeof message.method !== 'string') {
+		if (isRequest) {
+			this.sendError(message.id, INVALID_REQUEST, 'Invalid request');
+		}
+		return;
+	}
+	if (!handler) {
+		if (isRequest) {
+			this.sendError(message.id, METHOD_NOT_FOUND, 'Unknown method "' + message.method + '"');
+		}
+		return;
+	}
+	if (!this.session && message.method !== 'initialize' && message.method !== 'exit') {
+		if (isRequest) {
+			this.sendError(message.id, SERVER_NOT_INITIALIZED, 'The server has not been initialized');
+		}
+		return;
+	}
+
+	// A malformed message, e.g. one that is missing its text document, must not take down the server
+	try {
+		result = handler.call(this, message.params || {});
+	} catch(e) {
+		if (isRequest) {
+			this.sendError(message.id, INTERNAL_ERROR, 'Could not handle "' + message.method + '": ' + e.message);
+		} else {
+			this.logMessage('error', 'Could not handle "' + message.method + '": ' + e.message);
+		}
+		return;
+	}
+	if (isRequest) {
+		this.send({
+			jsonrpc: '2.0',
+			id: message.id,
+			result: result === undefined ? null : result
+		});
+	}
+};
+
+/**
+ * Writes a message to the output
+ *
+ * @method
+ * @private
+ * @name module:LanguageServer.LanguageServer#send
+ */
+LanguageServer.prototype.send = function send(message) {
+	message = JSON.stringify(message);
+	this.output.write('Content-Length: ' + Buffer.byteLength(message, 'utf8') + '\r\n\r\n' + message);
+};
+
+/**
+ * @method
+ * @private
+ * @name module:LanguageServer.LanguageServer#sendError
+ */
+LanguageServer.prototype.sendError = function sendError(id, code, message) {
+	this.send({
+		jsonrpc: '2.0',
+		id: id,
+		error: {
+			code: code,
+			message: message
+		}
+	});
+};
+
+/**
+ * @method
+ * @private
+ * @name module:LanguageServer.LanguageServer#sendNotification
+ */
+LanguageServer.prototype.sendNotification = function sendNotification(method, params) {
+	this.send({
+		jsonrpc: '2.0',
+		method: method,
+		params: params
+	});
+};
+
+/**
+ * Sends a message to the client's log
+ *
+ * @method
+ * @private
+ * @name module:LanguageServer.LanguageServer#logMessage
+ */
+LanguageServer.prototype.logMessage = function logMessage(level, message) {
+	if (MESSAGE_TYPES.hasOwnProperty(level)) {
+		this.sendNotification('window/logMessage', {
+			type: MESSAGE_TYPES[level],
+			message: message
+		});
+	}
+};
+
+/**
+ * Schedules an analysis of the project, so that opening or saving several documents at once only triggers one run
+ *
+ * @method
+ * @private
+ * @name module:LanguageServer.LanguageServer#scheduleAnalysis
+ */
+LanguageServer.prototype.scheduleAnalysis = function scheduleAnalysis() {
+	var self = this;
+	clearTimeout(this.timer);
+	this.timer = setTimeout(function () {
+		self.timer = undefined;
+		self.analyze();
+	}, this.delay);
+};
+
+/**
+ * Analyzes the project and publishes the diagnostics
+ *
+ * @method
+ * @private
+ * @name module:LanguageServer.LanguageServer#analyze
+ */
+LanguageServer.prototype.analyze = function analyze() {
+	var self = this,
+		logger = {
+			log: function (level, message) {
+				self.logMessage(level, message);
+			}
+		};
+	this.symbols = {};
+	this.modules = {};
+
+	// Errors of the run are passed to the callback instead of being thrown, so that they don't take down the server
+	this.session.run(this.sourceInformation, this.plugins, logger, function (err) {
+		if (err) {
+			self.logMessage('error', 'Could not analyze the project: ' + err.message);
+		} else {
+			self.publishDiagnostics(self.session.getResults());
+		}
+	});
+};
+
+/**
+ * Publishes the errors and warnings of a run as diagnostics. Files that had diagnostics in the previous run, but not in
+ * this run, are published with an empty list so that the client clears them.
+ *
+ * @method
+ * @private
+ * @name module:LanguageServer.LanguageServer#publishDiagnostics
+ */
+LanguageServer.prototype.publishDiagnostics = function publishDiagnostics(results) {
+	var self = this,
+		diagnostics = {},
+		files;
+
+	function addDiagnostics(findings, severity) {
+		findings.forEach(function (finding) {
+			var line,
+				length;
+			if (!finding.filename) {
+				return;
+			}
+			line = Math.max((finding.line || 1) - 1, 0);
+			length = wordRegex.exec((self.getLines(finding.filename)[line] || '').substring(finding.column || 0));
+			length = length ? length[0].length : 1;
+			(diagnostics[finding.filename] = diagnostics[finding.filename] || []).push({
+				range: {
+					start: {
+						line: line,
+						character: finding.column || 0
+					},
+					end: {
+						line: line,
+						character: (finding.column || 0) + length
+					}
+				},
+				severity: severity,
+				code: finding.type,
+				source: 'titanium-code-processor',
+				message: finding.description
+			});
+		});
+	}
+
+	addDiagnostics(results.errors, SEVERITY_ERROR);
+	addDiagnostics(results.warnings, SEVERITY_WARNING);
+
+	files = Object.keys(diagnostics);
+	this.diagnosticFiles.forEach(function (filename) {
+		if (!diagnostics.hasOwnProperty(filename)) {
+			diagnostics[filename] = [];
+		}
+	});
+	Object.keys(diagnostics).forEach(function (filename) {
+		self.sendNotification('textDocument/publishDiagnostics', {
+			uri: pathToUri(filename),
+			diagnostics: diagnostics[filename]
+		});
+	});
+	this.diagnosticFiles = files;
+};
+
+/**
+ * Gets the lines of a file, preferring the contents the client sent if the file is open
+ *
+ * @method
+ * @private
+ * @name module:LanguageServer.LanguageServer#getLines
+ */
+LanguageServer.prototype.getLines = function getLines(filename) {
+	var text = this.documents[filename];
+	if (text === undefined) {
+		try {
+			text = fs.readFileSync(filename).toString();
+		} catch(e) {
+			text = '';
+		}
+	}
+	return text.split(/\r?\n/);
+};
+
+/**
+ * Records the value of an identifier each time it is evaluated
+ *
+ * @method
+ * @private
+ * @name module:LanguageServer.LanguageServer#recordSymbol
+ */
+LanguageServer.prototype.recordSymbol = function recordSymbol(e) {
+	var ast = e.data.ast,
+		filename = ast.start && ast.start.file || e.filename,
+		key,
+		symbols,
+		description,
+		value;
+
+	if (e.data.ruleName !== 'AST_SymbolRef' || !e.data.processingComplete || !filename) {
+		return;
+	}
+	if (Base.type(e.data.result) === 'Reference' && Base.isUnresolvableReference(e.data.result)) {
+		description = 'not defined';
+	} else {
+		value = peekValue(e.data.result);
+		description = value ? describeValue(value) : 'unknown';
+	}
+	symbols = this.symbols[filename] = this.symbols[filename] || {};
+	key = ast.start.line + ':' + ast.start.col;
+	if (!symbols[key]) {
+		symbols[key] = {
+			name: ast.name,
+			line: ast.start.line - 1,
+			column: ast.start.col,
+			values: []
+		};
+	}
+	if (symbols[key].values.indexOf(description) === -1 && symbols[key].values.length < MAX_HOVER_VALUES) {
+		symbols[key].values.push(description);
+	}
+};
+
+/**
+ * Records the file that a module was resolved to. Relative module names are recorded relative to the directory of the
+ * file that required them.
+ *
+ * @method
+ * @private
+ * @name module:LanguageServer.LanguageServer#recordModule
+ */
+LanguageServer.prototype.recordModule = function recordModule(e) {
+	var name = e.data.name;
+	this.modules[name[0] === '.' ? path.resolve(path.dirname(e.filename), name) : name] = e.data.path;
+};
+
+// ******** Message Handlers ********
+
+/**
+ * @private
+ */
+var handlers = {
+
+	'initialize': function (params) {
+		var self = this,
+			initializationOptions = params.initializationOptions || {},
+			projectDir = params.rootUri ? uriToPath(params.rootUri) : params.rootPath || process.cwd(),
+			options = {},
+			p;
+
+		for (p in this.options) {
+			options[p] = this.options[p];
+		}
+		for (p in initializationOptions.options) {
+			options[p] = initializationOptions.options[p];
+		}
+		if (!options.hasOwnProperty('cache')) {
+			options.cache = false;
+		}
+		if (!options.hasOwnProperty('logConsoleCalls')) {
+			options.logConsoleCalls = false; // The output is reserved for messages
+		}
+		if (initializationOptions.plugins) {
+			this.plugins = initializationOptions.plugins;
+		}
+
+		this.sourceInformation = {
+			projectDir: projectDir,
+			sourceDir: path.join(projectDir, 'Resources'),
+			entryPoint: path.join(projectDir, 'Resources', 'app.js')
+		};
+		this.session = new CodeProcessor.Session(options);
+		this.session.on('rule', function (e) {
+			self.recordSymbol(e);
+		});
+		this.session.on('requireResolved', function (e) {
+			self.recordModule(e);
+		});
+
+		return {
+			capabilities: {
+				textDocumentSync: {
+					openClose: true,
+					change: 1,
+					save: {
+						includeText: false
+					}
+				},
+				hoverProvider: true,
+				definitionProvider: true
+			},
+			serverInfo: {
+				name: 'titanium-code-processor',
+				version: require('../package.json').version
+			}
+		};
+	},
+
+	'initialized': function () {},
+
+	'shutdown': function () {
+		this.isShutdown = true;
+		clearTimeout(this.timer);
+		this.timer = undefined;
+	},
+
+	'exit': function () {
+		this.close();
+		if (this.callback) {
+			this.callback(this.isShutdown ? 0 : 1);
+		}
+	},
+
+	'textDocument/didOpen': function (params) {
+		this.documents[uriToPath(params.textDocument.uri)] = params.textDocument.text;
+		this.scheduleAnalysis();
+	},
+
+	'textDocument/didChange': function (params) {
+		var changes = params.contentChanges || [];
+		if (changes.length) {
+			this.documents[uriToPath(params.textDocument.uri)] = changes[changes.length - 1].text;
+		}
+	},
+
+	'textDocument/didSave': function (params) {
+		// The analysis reads files from disk, so the saved contents are the ones that are analyzed
+		delete this.documents[uriToPath(params.textDocument.uri)];
+		this.scheduleAnalysis();
+	},
+
+	'textDocument/didClose': function (params) {
+		delete this.documents[uriToPath(params.textDocument.uri)];
+	},
+
+	'textDocument/hover': function (params) {
+		var symbols = this.symbols[uriToPath(params.textDocument.uri)],
+			position = params.position,
+			symbol,
+			key;
+		for (key in symbols) {
+			symbol = symbols[key];
+			if (symbol.line === position.line && position.character >= symbol.column &&
+					position.character < symbol.column + symbol.name.length) {
+				return {
+					contents: {
+						kind: 'markdown',
+						value: '```javascript\n' + symbol.name + ': ' + symbol.values.join(' | ') + '\n```'
+					},
+					range: {
+						start: {
+							line: symbol.line,
+							character: symbol.column
+						},
+						end: {
+							line: symbol.line,
+							character: symbol.column + symbol.name.length
+						}
+					}
+				};
+			}
+		}
+		return null;
+	},
+
+	'textDocument/definition': function (params) {
+		var filename = uriToPath(params.textDocument.uri),
+			line = this.getLines(filename)[params.position.line] || '',
+			character = params.position.character,
+			match,
+			name,
+			modulePath;
+
+		requireRegex.lastIndex = 0;
+		while ((match = requireRegex.exec(line))) {
+			if (character >= match.index && character < match.index + match[0].length) {
+				name = match[2];
+				modulePath = this.modules[name[0] === '.' ? path.resolve(path.dirname(filename), name) : name];
+				return modulePath ? {
+					uri: pathToUri(modulePath),
+					range: {
+						start: {
+							line: 0,
+							character: 0
+						},
+						end: {
+							line: 0,
+							character: 0
+						}
+					}
+				} : null;
+			}
+		}
+		return null;
+	}
+};
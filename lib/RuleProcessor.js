@@ -8,11 +8,22 @@
 
 var AST = require('./AST'),
 	Runtime = require('./Runtime'),
+
+	// The most recently processed rules, stored in a ring buffer. Positions count every rule ever added to the trace, and
+	// the slot for a position is position % trace.length. The occurrences of each rule in the trace are linked together
+	// so that the first occurrence can be found without searching the trace: firstPositions and lastPositions map each
+	// rule to its first and last occurrence and nextPositions holds the position of the next occurrence for each slot.
 	trace,
-	cycle,
+	firstPositions,
+	lastPositions,
+	nextPositions,
+	traceLength = 0,
+
+	// The length of the cycle being followed, how far in to the current repetition of it we are, and the repetitions
+	cycleLength,
 	cycleLocation,
 	cycleCount,
-	traceLocation = 0,
+
 	throwNativeException;
 
 /**
@@ -30,7 +41,10 @@ function preProcess(ast) {
 		filename = (start && start.file) || currentLocation.filename,
 		line = (start && start.line) || currentLocation.line,
 		column = (start && start.col) || currentLocation.column,
-		previousTraceEntryLocation;
+		previousPosition,
+		slot,
+		overwrittenRule,
+		nextPosition;
 
 	// Make sure we haven't exceeded the time limit
 	if (Runtime.executionTimeLimit && Runtime.executionTimeLimit < Date.now()) {
@@ -40,14 +54,18 @@ function preProcess(ast) {
 	// Store line and column numbers, if they exist
 	Runtime.setCurrentLocation(filename, line, column);
 
-	// Add to the trace and look for cycles
+	// Look for cycles. A cycle starts when a rule that is still in the trace is processed again, spans everything since
+	// its first occurrence, and continues for as long as each rule is the same as the one processed a cycle length ago
 	if (!trace) {
 		trace = new Array(Runtime.options.cycleDetectionStackSize);
+		nextPositions = new Array(trace.length);
+		firstPositions = new Map();
+		lastPositions = new Map();
 	}
-	if (cycle) {
-		if (ast === cycle[cycleLocation]) {
+	if (cycleLength) {
+		if (ast === trace[(traceLength - cycleLength) % trace.length]) {
 			cycleLocation++;
-			if (cycleLocation === cycle.length) {
+			if (cycleLocation === cycleLength) {
 				cycleCount++;
 				if (cycleCount > Runtime.options.maxCycles) {
 					throwNativeException('RangeError', 'The maximum number of cycles was detected');
@@ -55,25 +73,40 @@ function preProcess(ast) {
 				cycleLocation = 0;
 			}
 		} else {
-			cycle = undefined;
+			cycleLength = undefined;
 		}
 	} else {
-		previousTraceEntryLocation = trace.indexOf(ast);
-		if (previousTraceEntryLocation !== -1) {
-			if (previousTraceEntryLocation < traceLocation) {
-				cycle = trace.slice(previousTraceEntryLocation, traceLocation);
-			} else {
-				cycle = trace.slice(previousTraceEntryLocation).concat(trace.slice(0, traceLocation));
-			}
+		previousPosition = firstPositions.get(ast);
+		if (previousPosition !== undefined) {
+			cycleLength = traceLength - previousPosition;
 			cycleCount = 1;
-			cycleLocation = 1;
+			cycleLocation = 1 % cycleLength;
 		}
 	}
-	trace[traceLocation] = ast;
-	traceLocation++;
-	if (traceLocation === trace.length) {
-		traceLocation = 0;
+
+	// Add the rule to the trace. The rule it replaces is always the oldest one in the trace, so its next occurrence, if
+	// any, becomes its first
+	slot = traceLength % trace.length;
+	overwrittenRule = trace[slot];
+	if (overwrittenRule) {
+		nextPosition = nextPositions[slot];
+		if (nextPosition === undefined) {
+			firstPositions.delete(overwrittenRule);
+			lastPositions.delete(overwrittenRule);
+		} else {
+			firstPositions.set(overwrittenRule, nextPosition);
+		}
+	}
+	previousPosition = lastPositions.get(ast);
+	if (previousPosition === undefined) {
+		firstPositions.set(ast, traceLength);
+	} else {
+		nextPositions[previousPosition % trace.length] = traceLength;
 	}
+	trace[slot] = ast;
+	nextPositions[slot] = undefined;
+	lastPositions.set(ast, traceLength);
+	traceLength++;
 
 	ast._visited = true;
 	ast._skipped = false;
@@ -92,6 +125,76 @@ function postProcess(ast, returnValue) {
 	Runtime.exitCurrentLocation();
 }
 
+/**
+ * Creates a new cycle detection state. The trace is sized from {@link module:Runtime.options} the first time a rule is
+ * processed with the state.
+ *
+ * @method
+ * @returns {Object} The new state
+ */
+exports.createState = createState;
+function createState() {
+	return {
+		trace: undefined,
+		firstPositions: undefined,
+		lastPositions: undefined,
+		nextPositions: undefined,
+		traceLength: 0,
+		cycleLength: undefined,
+		cycleLocation: undefined,
+		cycleCount: undefined
+	};
+}
+
+/**
+ * Gets the current cycle detection state
+ *
+ * @method
+ * @returns {Object} The current state
+ */
+exports.getState = getState;
+function getState() {
+	return {
+		trace: trace,
+		firstPositions: firstPositions,
+		lastPositions: lastPositions,
+		nextPositions: nextPositions,
+		traceLength: traceLength,
+		cycleLength: cycleLength,
+		cycleLocation: cycleLocation,
+		cycleCount: cycleCount
+	};
+}
+
+/**
+ * Replaces the current cycle detection state
+ *
+ * @method
+ * @param {Object} state The state to use, as returned by {@link module:RuleProcessor.createState} or
+ *		{@link module:RuleProcessor.getState}
+ */
+exports.setState = setState;
+function setState(state) {
+	trace = state.trace;
+	firstPositions = state.firstPositions;
+	lastPositions = state.lastPositions;
+	nextPositions = state.nextPositions;
+	traceLength = state.traceLength;
+	cycleLength = state.cycleLength;
+	cycleLocation = state.cycleLocation;
+	cycleCount = state.cycleCount;
+}
+
+/**
+ * Resets the cycle detection state
+ *
+ * @method
+ */
+exports.reset = reset;
+function reset() {
+	setState(createState());
+}
+
 /**
  * Sets the native throw exception method, to break a cyclical dep with Base
  *
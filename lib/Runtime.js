@@ -13,6 +13,11 @@ var path = require('path'),
 
 	errors = [],
 	warnings = [],
+	suppressedErrors = [],
+	suppressedWarnings = [],
+	suppressions = {},
+
+	unknownOrigins = {},
 
 	jsRegex = /\.js$/,
 
@@ -29,7 +34,16 @@ var path = require('path'),
 	astIdentifier = 1,
 
 	delayedFunctionsQueue = [],
-	delayedFunctionsQueueIndex = 0;
+	delayedFunctionsQueueIndex = 0,
+
+	// The number of observable effects (events with listeners, reported errors and warnings, queued functions) so far
+	effectCount = 0,
+
+	defaultOptions,
+
+	// The exported properties that are part of the runtime state, see getState and setState
+	exportedStateProperties = ['options', 'recursionCount', 'executionTimeLimit', '_exception', '_unknown', 'plugins',
+		'sourceInformation', 'fileList', 'isFileValid', 'cachedFiles'];
 
 /**
  * The global options to be used in processing
@@ -40,6 +54,9 @@ var path = require('path'),
  * @property {Boolean} evaluateLoops Indicates whether or not loops should be evaluated
  * @property {Number} maxLoopIterations Indicates the maximum number of loop iterations to evaluate before erroring
  *		(infinite loop guard)
+ * @property {Number} loopWideningThreshold The number of iterations of a loop to evaluate before widening it, i.e. making
+ *		the values it changes unknown and evaluating it once more in ambiguous mode. 0 disables widening, in which case
+ *		loops are evaluated until they end or reach maxLoopIterations
  * @property {Number} maxRecursionLimit Indicates the maximum recursion depth to evaluate before erroring
  *		(infinite recursion guard)
  * @property {Boolean} logConsoleCalls If enabled, all console.* calls in a user's code are logged to the terminal
@@ -52,11 +69,23 @@ var path = require('path'),
  * @property {Boolean} processUnvisitedCode When set to true, all nodes and files that are not visited/skipped will be
  *		processed in ambiguous mode after all other code has been processed. While this will cause more of a project to
  *		be analyzed, this will decrease accuracy and can generate a lot of false positives.
+ * @property {String|undefined} determinism How clock reads and random numbers are evaluated. 'seeded' uses a seeded
+ *		random number generator and a virtual clock, 'virtual' uses a virtual clock and unknown random numbers, and
+ *		'unknown' makes both unknown. Undefined means they are only evaluated in exact mode, using the host's values
+ * @property {Number} seed The seed for the random number generator used by the 'seeded' determinism mode
+ * @property {String} ambiguityStrategy How conditionals with an unknown condition are evaluated. 'merge' evaluates each
+ *		branch separately and merges the values each branch leaves behind, and 'legacy' evaluates every branch in a single
+ *		ambiguous block, making everything they change unknown
+ * @property {Boolean} functionSummaries Whether or not to reuse the return value and side effects of a previous call to a
+ *		function when it is called again with the same arguments, and nothing it read has changed since
+ * @property {Boolean} profile Whether or not to include profiling information, such as the function summary hit ratio,
+ *		in the results
  */
 exports.options = {
 	invokeMethods: true,
 	evaluateLoops: true,
 	maxLoopIterations: 200000,
+	loopWideningThreshold: 1000,
 	maxRecursionLimit: 500,
 	cycleDetectionStackSize: 10000,
 	maxCycles: 200001,
@@ -64,8 +93,14 @@ exports.options = {
 	nativeExceptionRecovery: true,
 	executionTimeLimit: 300000, // 5 minute timeout
 	exactMode: false,
-	processUnvisitedCode: false
+	processUnvisitedCode: false,
+	determinism: undefined,
+	seed: 0,
+	ambiguityStrategy: 'merge',
+	functionSummaries: true,
+	profile: false
 };
+defaultOptions = mix({}, exports.options);
 
 /**
  * The current recursion depth
@@ -110,6 +145,15 @@ exports.plugins = undefined;
  */
 exports.sourceInformation = undefined;
 
+/**
+ * The files whose results are reused from the analysis cache. They are not evaluated again: requiring one of them
+ * returns an unknown value, and they are not processed as unvisited code
+ *
+ * @type Array[String]
+ * @name module:Runtime.cachedFiles
+ */
+exports.cachedFiles = [];
+
 /**
  * Gets the current location being processed
  *
@@ -141,6 +185,7 @@ function setCurrentLocation(filename, line, column) {
 		line: line,
 		column: column
 	});
+	return true;
 }
 
 /**
@@ -216,6 +261,21 @@ function setAST(ast, filename) {
 	asts[filename] = ast;
 }
 
+/**
+ * Sets the suppression comments for a file. Errors and warnings that are reported in a suppressed region are recorded
+ * separately from other errors and warnings.
+ *
+ * @method
+ * @name module:Runtime.setSuppressions
+ * @param {String} filename The name of the file the suppressions are for
+ * @param {Array[Object]} fileSuppressions The suppressed regions. Each region contains three entries: 'startLine',
+ *		'endLine', and 'types'. If 'types' is undefined, all types are suppressed.
+ */
+exports.setSuppressions = setSuppressions;
+function setSuppressions(filename, fileSuppressions) {
+	suppressions[filename] = fileSuppressions;
+}
+
 /**
  * Gets the list of ASTs that have been processed
  *
@@ -241,7 +301,20 @@ function getProcessedFilesList() {
 }
 
 /**
- * Gets the list of files that have not been processed so far (and may not be)
+ * Checks if the results of a file are reused from the analysis cache, in which case the file is not evaluated
+ *
+ * @method
+ * @name module:Runtime.isFileCached
+ * @param {String} filename The name of the file
+ * @returns {Boolean} Whether or not the file is cached
+ */
+exports.isFileCached = isFileCached;
+function isFileCached(filename) {
+	return exports.cachedFiles.indexOf(filename) !== -1;
+}
+
+/**
+ * Gets the list of files that have not been processed so far (and may not be), excluding the cached files
  *
  * @method
  * @name module:Runtime.getUnprocessedFilesList
@@ -252,7 +325,7 @@ function getUnprocessedFilesList() {
 	var i, len,
 		unprocessedFiles = [];
 	for (i = 0, len = exports.fileList.length; i < len; i++) {
-		if (processedFilesList.indexOf(exports.fileList[i]) === -1) {
+		if (processedFilesList.indexOf(exports.fileList[i]) === -1 && !isFileCached(exports.fileList[i])) {
 			unprocessedFiles.push(exports.fileList[i]);
 		}
 	}
@@ -297,6 +370,8 @@ function getNextUnprocessedFunction() {
  * @method
  * @name module:Runtime.queueFunction
  * @param {module:Base.FunctionType} func The function to execute later
+ * @returns {Boolean} Whether or not the function was queued. Functions are not queued if a function has already been
+ *		queued from the current location
  */
 exports.queueFunction = queueFunction;
 function queueFunction(func, thisVal, args, ambiguousContext) {
@@ -311,7 +386,7 @@ function queueFunction(func, thisVal, args, ambiguousContext) {
 		if (delayedFunctionsQueue[i].filename === filename &&
 				delayedFunctionsQueue[i].line === line &&
 				delayedFunctionsQueue[i].column === column) {
-			return;
+			return false;
 		}
 	}
 
@@ -323,6 +398,7 @@ function queueFunction(func, thisVal, args, ambiguousContext) {
 	}
 
 	// Queue the function
+	effectCount++;
 	delayedFunctionsQueue.push({
 		func: func,
 		thisVal: thisVal,
@@ -390,6 +466,44 @@ function createEventObject(type, description, data) {
 	return result;
 }
 
+/**
+ * @private
+ */
+function isSuppressed(eventObject) {
+	var fileSuppressions = suppressions[eventObject.filename],
+		suppression,
+		i, len;
+	if (fileSuppressions) {
+		for (i = 0, len = fileSuppressions.length; i < len; i++) {
+			suppression = fileSuppressions[i];
+			if (eventObject.line >= suppression.startLine && eventObject.line <= suppression.endLine &&
+					(!suppression.types || suppression.types.indexOf(eventObject.type) !== -1)) {
+				return true;
+			}
+		}
+	}
+	return false;
+}
+
+/**
+ * @private
+ */
+function reportSuppressed(list, eventObject) {
+	var i, len,
+		entry;
+	for (i = 0, len = list.length; i < len; i++) {
+		entry = list[i];
+		if (entry.filename === eventObject.filename && entry.line === eventObject.line && entry.column === eventObject.column &&
+				entry.type === eventObject.type && entry.description === eventObject.description) {
+			entry.occurances++;
+			return;
+		}
+	}
+	eventObject.occurances = 1;
+	log('debug', 'Suppressed ' + eventObject.type + ': ' + eventObject.description);
+	list.push(eventObject);
+}
+
 // ******** Evented Object Methods ********
 /**
  * Base class for adding event support to other objects.
@@ -431,6 +545,9 @@ Evented.prototype.fireEvent = function fireEvent(name, description, data) {
 	var listeners = this.listeners[name],
 		i, len = listeners ? listeners.length : 0,
 		e = createEventObject(name, description, data);
+	if (len && name !== 'rule') {
+		effectCount++;
+	}
 	log('trace', 'Firing event "' + name + '": ' + description + (e.filename ? ' (' + e.filename + ':' + e.line + ')' : ''));
 	for (i = 0; i < len; i++) {
 		listeners[i](e);
@@ -481,6 +598,11 @@ function reportError(type, description) {
 	var i, len,
 		error,
 		eventObject = createEventObject(type, description || '');
+	effectCount++;
+	if (isSuppressed(eventObject)) {
+		reportSuppressed(suppressedErrors, eventObject);
+		return;
+	}
 	for (i = 0, len = errors.length; i < len; i++) {
 		error = errors[i];
 		if (error.file === eventObject.file && error.line === eventObject.line && error.column === eventObject.column &&
@@ -511,6 +633,7 @@ function reportUglifyError(uglifyError) {
 	var i, len,
 		error,
 		eventObject = createEventObject('SyntaxError', uglifyError.message || '');
+	effectCount++;
 	eventObject.filename = uglifyError.filename;
 	eventObject.line = uglifyError.line;
 	eventObject.column = uglifyError.column;
@@ -544,6 +667,11 @@ function reportWarning(type, description) {
 	var i, len,
 		warning,
 		eventObject = createEventObject(type, description || '');
+	effectCount++;
+	if (isSuppressed(eventObject)) {
+		reportSuppressed(suppressedWarnings, eventObject);
+		return;
+	}
 	for (i = 0, len = warnings.length; i < len; i++) {
 		warning = warnings[i];
 		if (warning.file === eventObject.file && warning.line === eventObject.line && warning.column === eventObject.column &&
@@ -587,6 +715,85 @@ function getReportedWarnings() {
 	return warnings;
 }
 
+/**
+ * Gets the list of errors that were suppressed by a suppression comment
+ *
+ * @method
+ * @name module:Runtime.getSuppressedErrors
+ * @returns {Array[Object]} The list of suppressed errors, in the same format as {@link module:Runtime.getReportedErrors}.
+ */
+exports.getSuppressedErrors = getSuppressedErrors;
+function getSuppressedErrors() {
+	return suppressedErrors;
+}
+
+/**
+ * Gets the list of warnings that were suppressed by a suppression comment
+ *
+ * @method
+ * @name module:Runtime.getSuppressedWarnings
+ * @returns {Array[Object]} The list of suppressed warnings, in the same format as {@link module:Runtime.getReportedWarnings}.
+ */
+exports.getSuppressedWarnings = getSuppressedWarnings;
+function getSuppressedWarnings() {
+	return suppressedWarnings;
+}
+
+/**
+ * Gets the number of observable effects that have happened so far, i.e. events fired to at least one listener (other
+ * than rule events), reported errors and warnings, and queued functions. A function call that didn't change this number
+ * had no effects outside of the state of the VM.
+ *
+ * @method
+ * @name module:Runtime.getEffectCount
+ * @returns {Number} The number of effects
+ */
+exports.getEffectCount = getEffectCount;
+function getEffectCount() {
+	return effectCount;
+}
+
+/**
+ * Records that an unknown value originating at the given location was used
+ *
+ * @method
+ * @name module:Runtime.recordUnknownOrigin
+ * @param {String} reason Why the value is unknown, e.g. 'Math.random'
+ * @param {Object} location The location where the value became unknown, containing 'filename', 'line', and 'column'
+ * @param {Number} [count] The number of unknown values that originated there. Defaults to 1
+ */
+exports.recordUnknownOrigin = recordUnknownOrigin;
+function recordUnknownOrigin(reason, location, count) {
+	var key = reason + '|' + location.filename + ':' + location.line;
+	if (!unknownOrigins[key]) {
+		unknownOrigins[key] = {
+			reason: reason,
+			filename: location.filename,
+			line: location.line,
+			column: location.column,
+			count: 0
+		};
+	}
+	unknownOrigins[key].count += typeof count === 'number' ? count : 1;
+}
+
+/**
+ * Gets the origins of the unknown values that were used, most common first
+ *
+ * @method
+ * @name module:Runtime.getUnknownOrigins
+ * @returns {Array[Object]} The origins, each containing the 'reason', 'filename', 'line', 'column', and the number of
+ *		unknown values that originated there ('count')
+ */
+exports.getUnknownOrigins = getUnknownOrigins;
+function getUnknownOrigins() {
+	return Object.keys(unknownOrigins).map(function (key) {
+		return unknownOrigins[key];
+	}).sort(function (a, b) {
+		return b.count - a.count || (a.filename < b.filename ? -1 : a.filename > b.filename ? 1 : a.line - b.line);
+	});
+}
+
 // ******** Logging Methods ********
 
 /**
@@ -617,11 +824,150 @@ function log(level, message) {
 	}
 }
 
-// ******** Runtime events to listen to ********
+// ******** State Methods ********
 
 /**
  * @private
  */
-on('enteredFile', function(e) {
+function mix(destination, source) {
+	var p;
+	for (p in source) {
+		destination[p] = source[p];
+	}
+	return destination;
+}
+
+/**
+ * @private
+ */
+function recordProcessedFile(e) {
 	processedFilesList.push(e.data.filename);
-});
\ No newline at end of file
+}
+
+/**
+ * Creates a new, empty runtime state. The state is not used until it is passed to {@link module:Runtime.setState}.
+ *
+ * @method
+ * @name module:Runtime.createState
+ * @returns {Object} The new state, with the default options and no errors, warnings, ASTs, or event listeners
+ */
+exports.createState = createState;
+function createState() {
+	var evented = new Evented();
+	evented.on('enteredFile', recordProcessedFile);
+	return {
+		errors: [],
+		warnings: [],
+		suppressedErrors: [],
+		suppressedWarnings: [],
+		suppressions: {},
+		unknownOrigins: {},
+		locationStack: [],
+		processedFilesList: [],
+		functions: [],
+		asts: {},
+		astIdentifier: 1,
+		delayedFunctionsQueue: [],
+		delayedFunctionsQueueIndex: 0,
+		globalEvented: evented,
+		logger: undefined,
+		exports: {
+			options: mix({}, defaultOptions),
+			recursionCount: 0,
+			executionTimeLimit: 0,
+			_exception: undefined,
+			_unknown: undefined,
+			plugins: undefined,
+			sourceInformation: undefined,
+			fileList: undefined,
+			isFileValid: isFileValid,
+			cachedFiles: []
+		}
+	};
+}
+
+/**
+ * Gets the current state of the runtime, including the errors, warnings, location stack, queued functions, event
+ * listeners, logger, and options
+ *
+ * @method
+ * @name module:Runtime.getState
+ * @returns {Object} The current state. Changes made to the runtime after this call are not guaranteed to be reflected
+ *		in the returned object, so it should be retrieved again before it is restored
+ */
+exports.getState = getState;
+function getState() {
+	var state = {
+			errors: errors,
+			warnings: warnings,
+			suppressedErrors: suppressedErrors,
+			suppressedWarnings: suppressedWarnings,
+			suppressions: suppressions,
+			unknownOrigins: unknownOrigins,
+			locationStack: locationStack,
+			processedFilesList: processedFilesList,
+			functions: functions,
+			asts: asts,
+			astIdentifier: astIdentifier,
+			delayedFunctionsQueue: delayedFunctionsQueue,
+			delayedFunctionsQueueIndex: delayedFunctionsQueueIndex,
+			globalEvented: globalEvented,
+			logger: logger,
+			exports: {}
+		},
+		i, len;
+	for (i = 0, len = exportedStateProperties.length; i < len; i++) {
+		state.exports[exportedStateProperties[i]] = exports[exportedStateProperties[i]];
+	}
+	return state;
+}
+
+/**
+ * Replaces the current state of the runtime
+ *
+ * @method
+ * @name module:Runtime.setState
+ * @param {Object} state The state to use, as returned by {@link module:Runtime.createState} or
+ *		{@link module:Runtime.getState}
+ */
+exports.setState = setState;
+function setState(state) {
+	var i, len;
+	errors = state.errors;
+	warnings = state.warnings;
+	suppressedErrors = state.suppressedErrors;
+	suppressedWarnings = state.suppressedWarnings;
+	suppressions = state.suppressions;
+	unknownOrigins = state.unknownOrigins;
+	locationStack = state.locationStack;
+	processedFilesList = state.processedFilesList;
+	functions = state.functions;
+	asts = state.asts;
+	astIdentifier = state.astIdentifier;
+	delayedFunctionsQueue = state.delayedFunctionsQueue;
+	delayedFunctionsQueueIndex = state.delayedFunctionsQueueIndex;
+	globalEvented = state.globalEvented;
+	logger = state.logger;
+	for (i = 0, len = exportedStateProperties.length; i < len; i++) {
+		exports[exportedStateProperties[i]] = state.exports[exportedStateProperties[i]];
+	}
+}
+
+/**
+ * Resets the runtime to the state it was in when it was first loaded, so that a project can be processed again in the
+ * same process. All errors, warnings, ASTs, queued functions, and event listeners are discarded, and the options are
+ * restored to their defaults. The logger is left as is.
+ *
+ * @method
+ * @name module:Runtime.reset
+ */
+exports.reset = reset;
+function reset() {
+	var currentLogger = logger;
+	setState(createState());
+	logger = currentLogger;
+}
+
+// ******** Runtime events to listen to ********
+
+on('enteredFile', recordProcessedFile);
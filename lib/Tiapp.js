@@ -0,0 +1,89 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Reads the parts of a project's tiapp.xml file that the code processor needs, so that projects can be analyzed without
+ * the Titanium CLI
+ *
+ * @module Tiapp
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+
+var fs = require('fs'),
+
+	DOMParser = require('xmldom').DOMParser,
+	xml = require('node-appc').xml;
+
+/**
+ * Parses a tiapp.xml file
+ *
+ * @method
+ * @param {String} file The path to the tiapp.xml file
+ * @returns {Object} The tiapp information, containing 'id', 'name', 'sdkVersion', 'deploymentTargets' (the list of
+ *		enabled targets), 'modules' (a list of modules with 'id', 'platform', 'version', and 'deployType' entries, in
+ *		the format expected by node-appc's timodule.find), and 'properties' (a dictionary of 'type'/'value' pairs,
+ *		keyed by property name, in the format expected by the Titanium API provider plugin)
+ * @throws {Error} Thrown if the file could not be read or is not a tiapp.xml file
+ */
+exports.load = load;
+function load(file) {
+	var doc = new DOMParser({
+			errorHandler: function () {}
+		}).parseFromString(fs.readFileSync(file).toString(), 'text/xml'),
+		root = doc && doc.documentElement,
+		tiapp = {
+			deploymentTargets: [],
+			modules: [],
+			properties: {}
+		};
+
+	if (!root || root.tagName !== 'ti:app') {
+		throw new Error('"' + file + '" is not a valid tiapp.xml file');
+	}
+
+	xml.forEachElement(root, function (node) {
+		switch(node.tagName) {
+			case 'id':
+				tiapp.id = xml.getValue(node);
+				break;
+			case 'name':
+				tiapp.name = xml.getValue(node);
+				break;
+			case 'sdk-version':
+				tiapp.sdkVersion = String(xml.getValue(node));
+				break;
+			case 'property':
+				tiapp.properties[node.getAttribute('name')] = {
+					type: node.getAttribute('type') || 'string',
+					value: xml.getValue(node)
+				};
+				break;
+			case 'deployment-targets':
+				xml.forEachElement(node, function (target) {
+					if (xml.getValue(target) === true) {
+						tiapp.deploymentTargets.push(target.getAttribute('device'));
+					}
+				});
+				break;
+			case 'modules':
+				xml.forEachElement(node, function (module) {
+					var entry = {
+						id: String(xml.getValue(module))
+					};
+					if (module.getAttribute('platform')) {
+						entry.platform = module.getAttribute('platform');
+					}
+					if (module.getAttribute('version')) {
+						entry.version = module.getAttribute('version');
+					}
+					if (module.getAttribute('deploy-type')) {
+						entry.deployType = module.getAttribute('deploy-type');
+					}
+					tiapp.modules.push(entry);
+				});
+				break;
+		}
+	});
+
+	return tiapp;
+}
@@ -0,0 +1,251 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Watches a source directory for changes to JavaScript files. Each directory that
+ * {@link module:CodeProcessorUtils.findJavaScriptFiles} would crawl is watched individually, and the set of watched
+ * directories is refreshed after every change so that new directories are picked up. Changes are batched so that saving
+ * several files at once only triggers one notification.
+ *
+ * @module Watcher
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+
+var path = require('path'),
+	fs = require('fs'),
+
+	CodeProcessorUtils = require('./CodeProcessorUtils'),
+	Baseline = require('./Baseline'),
+	Runtime = require('./Runtime'),
+
+	DEFAULT_DELAY = 250,
+
+	jsFileRegex = /^[^\.].*\.js$/,
+	jsDirRegex = /^[^\.]/;
+
+// ******** Helper Methods ********
+
+/**
+ * @private
+ */
+function isDirectory(file) {
+	try {
+		return fs.statSync(file).isDirectory();
+	} catch(e) {
+		return false;
+	}
+}
+
+// ******** Watcher Methods ********
+
+/**
+ * Creates a new watcher. Nothing is watched until {@link module:Watcher.Watcher#start} is called.
+ *
+ * @constructor
+ * @name module:Watcher.Watcher
+ * @param {String} directory The directory to watch
+ * @param {Number} [delay] The number of milliseconds to wait for further changes before notifying. Defaults to 250
+ */
+exports.Watcher = Watcher;
+function Watcher(directory, delay) {
+	this.directory = directory;
+	this.delay = typeof delay === 'number' ? delay : DEFAULT_DELAY;
+	this.watchers = {};
+	this.changedFiles = [];
+	this.timer = undefined;
+	this.callback = undefined;
+}
+
+/**
+ * Starts watching the directory
+ *
+ * @method
+ * @name module:Watcher.Watcher#start
+ * @param {Function} callback The function to call when files have changed. It is passed the list of JavaScript files
+ *		that changed, were added, or were removed, as absolute paths
+ */
+Watcher.prototype.start = function start(callback) {
+	this.callback = callback;
+	this.refresh();
+};
+
+/**
+ * Stops watching the directory. Pending notifications are discarded.
+ *
+ * @method
+ * @name module:Watcher.Watcher#close
+ */
+Watcher.prototype.close = function close() {
+	var dir;
+	clearTimeout(this.timer);
+	for (dir in this.watchers) {
+		this.watchers[dir].close();
+	}
+	this.watchers = {};
+	this.changedFiles = [];
+	this.callback = undefined;
+};
+
+/**
+ * Synchronizes the set of watched directories with the directories that currently exist
+ *
+ * @method
+ * @private
+ * @name module:Watcher.Watcher#refresh
+ */
+Watcher.prototype.refresh = function refresh() {
+	var self = this,
+		directories = {},
+		dir;
+
+	directories[this.directory] = 1;
+	CodeProcessorUtils.crawlDirectory(this.directory, function () {
+		return false;
+	}, function (name, fullPath) {
+		if (jsDirRegex.test(name)) {
+			directories[fullPath] = 1;
+			return true;
+		}
+		return false;
+	});
+
+	for (dir in this.watchers) {
+		if (!directories[dir]) {
+			this.watchers[dir].close();
+			delete this.watchers[dir];
+		}
+	}
+	Object.keys(directories).forEach(function (dir) {
+		if (!self.watchers[dir]) {
+			try {
+				self.watchers[dir] = fs.watch(dir, function (event, filename) {
+					self.changed(dir, filename && filename.toString());
+				});
+			} catch(e) {
+				// The directory was removed before it could be watched, so there is nothing to watch
+			}
+		}
+	});
+};
+
+/**
+ * Records a change and schedules a notification
+ *
+ * @method
+ * @private
+ * @name module:Watcher.Watcher#changed
+ */
+Watcher.prototype.changed = function changed(dir, filename) {
+	var self = this,
+		file;
+
+	// Changes to files that can't contain code, such as images and editor swap files, are ignored. Directories usually
+	// don't have an extension, so they are always reported, as are changes where the platform doesn't report a name
+	if (filename) {
+		file = path.join(dir, filename);
+		if (path.extname(filename) && !jsFileRegex.test(filename) && !isDirectory(file)) {
+			return;
+		}
+		if (this.changedFiles.indexOf(file) === -1) {
+			this.changedFiles.push(file);
+		}
+	}
+
+	clearTimeout(this.timer);
+	this.timer = setTimeout(function () {
+		var changedFiles = self.changedFiles;
+		self.changedFiles = [];
+		self.timer = undefined;
+		if (self.callback) {
+			self.refresh();
+			self.callback(changedFiles);
+		}
+	}, this.delay);
+};
+
+// ******** Project Watching Methods ********
+
+/**
+ * Watches a project that has already been analyzed, re-analyzing it whenever a source file changes and printing the
+ * errors and warnings that were added or fixed since the previous run. Used by the --watch flag.
+ *
+ * @method
+ * @param {Object} sourceInformation The source information the project was analyzed with
+ * @param {Object} options The options the project was analyzed with. The output format is ignored
+ * @param {Array[Object]} plugins The plugins the project was analyzed with
+ * @param {Winston Logger} logger The logger to report progress to
+ * @returns {module:Watcher.Watcher} The watcher, which can be closed to stop watching the project
+ */
+exports.watchProject = watchProject;
+function watchProject(sourceInformation, options, plugins, logger) {
+	var CodeProcessor = require('./CodeProcessor'),
+		projectDir = sourceInformation.projectDir,
+		watchOptions = {},
+		watcher = new Watcher(sourceInformation.sourceDir),
+		previousResults,
+		running = false,
+		pendingFiles,
+		p;
+
+	for (p in options) {
+		watchOptions[p] = options[p];
+	}
+	watchOptions.outputFormat = undefined;
+
+	function snapshot() {
+		return {
+			errors: Baseline.create(Runtime.getReportedErrors(), projectDir),
+			warnings: Baseline.create(Runtime.getReportedWarnings(), projectDir)
+		};
+	}
+
+	function printDiff(label, diff) {
+		diff.added.forEach(function (finding) {
+			var location = Runtime.mapLocation(finding);
+			logger.info('+ ' + label + ': ' + finding.description + ' (' +
+				path.relative(projectDir, location.filename) + ':' + location.line + ')');
+		});
+		diff.removed.forEach(function (entry) {
+			logger.info('- ' + label + ': ' + entry.description + ' (' + entry.filename + ')' +
+				(entry.count > 1 ? ' (' + entry.count + ' occurances)' : ''));
+		});
+		return diff.added.length + diff.removed.length;
+	}
+
+	function analyze(changedFiles) {
+		if (running) {
+			// Changes made while the project is being analyzed are picked up by the next run
+			pendingFiles = (pendingFiles || []).concat(changedFiles);
+			return;
+		}
+		running = true;
+		logger.info('Re-analyzing project after changes to ' + (changedFiles.length ? changedFiles.map(function (file) {
+			return path.relative(projectDir, file);
+		}).join(', ') : path.relative(projectDir, sourceInformation.sourceDir)));
+		CodeProcessor.run(sourceInformation, watchOptions, plugins, logger, function (err) {
+			var numChanges;
+			if (err) {
+				// The project is analyzed again once the problem is fixed, so watching continues
+				logger.error(err.message);
+			} else {
+				numChanges = printDiff('Error', Baseline.diff(previousResults.errors, Runtime.getReportedErrors(), projectDir)) +
+					printDiff('Warning', Baseline.diff(previousResults.warnings, Runtime.getReportedWarnings(), projectDir));
+				if (!numChanges) {
+					logger.info('No errors or warnings were added or fixed');
+				}
+				previousResults = snapshot();
+			}
+			running = false;
+			if (pendingFiles) {
+				changedFiles = pendingFiles;
+				pendingFiles = undefined;
+				analyze(changedFiles);
+			}
+		});
+	}
+
+	previousResults = snapshot();
+	watcher.start(analyze);
+	logger.info('Watching "' + sourceInformation.sourceDir + '" for changes, press Ctrl+C to exit');
+	return watcher;
+}
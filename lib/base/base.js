@@ -15,6 +15,8 @@
  */
 /*global
 throwNativeException,
+recordStateChange,
+recordStateRead,
 cloneUndefined,
 cloneNull,
 cloneString,
@@ -38,6 +40,26 @@ var util = require('util'),
 
 	throwTypeError,
 
+	randomState,
+	virtualTime,
+	promiseJobQueue,
+	VIRTUAL_CLOCK_EPOCH = Date.UTC(2013, 0, 1),
+
+	// The longest chain of operations kept in the provenance of an unknown value, and the most origins it keeps
+	MAX_PROVENANCE_DEPTH = 32,
+	MAX_PROVENANCE_ORIGINS = 10,
+
+	// The state journals of the branches being evaluated, and the serial number of the last object or environment created
+	journalStack = [],
+	stateSerial = 0,
+
+	// The branches of conditionals with unknown conditions that the code being evaluated is in, outermost first
+	unknownBranchStack = [],
+
+	// The recorders of the function summaries being created, and how many calls did and did not reuse a summary
+	summaryStack = [],
+	functionSummaryStats,
+
 	positiveIntegerRegEx = /^\d*$/,
 
 	prototypes = {};
@@ -105,6 +127,23 @@ function sameValue(x, y) {
 	return x === y;
 }
 
+/**
+ * Checks if two values are the same, treating NaN as equal to itself and +0 as equal to -0
+ *
+ * @method
+ * @private
+ * @param {module:Base.BaseType} x The first type
+ * @param {module:Base.BaseType} y The second type
+ * @returns {Boolean} Whether or not the values are the same
+ * @see ECMA-262 6th Edition Chapter 7.2.10
+ */
+function sameValueZero(x, y) {
+	if (x && y && x.type === 'Number' && y.type === 'Number' && isNaN(x.value) && isNaN(y.value)) {
+		return true;
+	}
+	return sameValue(x, y);
+}
+
 /**
  * Checks if any of the supplied values are unknown
  *
@@ -272,6 +311,9 @@ BaseType.prototype._updateClosure = function (targetClosure) {
 BaseType.prototype._lookupProperty = function (p) {
 	var i, len;
 	p = p.toString();
+	if (summaryStack.length) {
+		recordStateRead(this, 'property', p);
+	}
 	for (i = 0, len = this._properties.length; i < len; i++) {
 		if (this._properties[i]._name === p) {
 			return this._properties[i];
@@ -286,6 +328,7 @@ BaseType.prototype._lookupProperty = function (p) {
  */
 BaseType.prototype._addProperty = function (p, desc) {
 	p = p.toString();
+	recordStateChange(this, 'property', p);
 	desc._name = p;
 	this._removeProperty(p);
 	this._properties.push(desc);
@@ -299,6 +342,7 @@ BaseType.prototype._addProperty = function (p, desc) {
 BaseType.prototype._removeProperty = function (p) {
 	var i, len;
 	p = p.toString();
+	recordStateChange(this, 'property', p);
 	for (i = 0, len = this._properties.length; i < len; i++) {
 		if (this._properties[i]._name === p) {
 			this._properties.splice(i, 1);
@@ -315,6 +359,9 @@ BaseType.prototype._removeProperty = function (p) {
 BaseType.prototype._getPropertyNames = function () {
 	var i, len,
 		properties = [];
+	if (summaryStack.length) {
+		recordStateRead(this, 'names', '');
+	}
 	for (i = 0, len = this._properties.length; i < len; i++) {
 		properties[i] = this._properties[i]._name;
 	}
@@ -16,7 +16,7 @@ isDataDescriptor,
 ReferenceType,
 ArrayType,
 RegExpType,
-UnknownType,
+createTypedUnknown,
 DeclarativeEnvironmentRecord,
 ObjectEnvironmentRecord,
 ExecutionContext,
@@ -43,6 +43,7 @@ Cloner.prototype.cloneContext = function cloneContext(source) {
 			source.strict
 		);
 	newContext._ambiguousBlock = source._ambiguousBlock;
+	newContext._ambiguousBlockCauses = source._ambiguousBlockCauses.slice();
 	return newContext;
 };
 
@@ -56,7 +57,9 @@ Cloner.prototype.cloneDeclarativeEnvironment = function cloneDeclarativeEnvironm
 		newEnvRec._bindings[binding] = {
 			value: this.cloneValue(source.envRec._bindings[binding].value),
 			isDeletable: source.envRec._bindings[binding].isDeletable,
-			isMutable: source.envRec._bindings[binding].isMutable
+			isMutable: source.envRec._bindings[binding].isMutable,
+			isInitialized: source.envRec._bindings[binding].isInitialized,
+			isLexical: source.envRec._bindings[binding].isLexical
 		};
 	}
 	newEnvRec._ambiguousContext = source._ambiguousContext;
@@ -135,6 +138,17 @@ Cloner.prototype.cloneValue = function cloneValue(source) {
 		case 'URIError':
 			cloned = this.cloneError(source);
 			break;
+		case 'Map':
+		case 'WeakMap':
+			cloned = this.cloneMap(source);
+			break;
+		case 'Set':
+		case 'WeakSet':
+			cloned = this.cloneSet(source);
+			break;
+		case 'Promise':
+			cloned = this.clonePromise(source);
+			break;
 		case 'Reference':
 			cloned = this.cloneReference(source);
 			break;
@@ -210,6 +224,7 @@ Cloner.prototype.cloneObject = function cloneObject(source) {
 		this._valueMap.set(source, newObject);
 	}
 	newObject.extensible = source.extensible;
+	newObject._hasUnknownProperties = source._hasUnknownProperties;
 	for (i = 0, len = source._properties.length; i < len; i++) {
 		newObject._properties[i] = this.cloneDescriptor(source._properties[i]);
 	}
@@ -228,6 +243,9 @@ Cloner.prototype.cloneFunction = function cloneFunction(source) {
 			source.scope,
 			source.strict,
 			source.className);
+		if (source.lexicalThis) {
+			newFunc.lexicalThis = this.cloneValue(source.lexicalThis);
+		}
 	} else {
 		newFunc = source.constructor.instantiateClone ?
 			source.constructor.instantiateClone(source) :
@@ -253,6 +271,7 @@ Cloner.prototype.cloneArray = function cloneArray(source) {
 		this._valueMap.set(source, newObject);
 	}
 	newObject.extensible = source.extensible;
+	newObject._hasUnknownProperties = source._hasUnknownProperties;
 	for (i = 0, len = source._properties.length; i < len; i++) {
 		newObject._properties[i] = this.cloneDescriptor(source._properties[i]);
 	}
@@ -280,6 +299,35 @@ Cloner.prototype.cloneError = function cloneError(source) {
 	return cloned;
 };
 
+Cloner.prototype.cloneMap = function cloneMap(source) {
+	var cloned = this.cloneObject(source);
+	cloned._mapData = {
+		keys: source._mapData.keys.map(this.cloneValue, this),
+		values: source._mapData.values.map(this.cloneValue, this),
+		isUnknown: source._mapData.isUnknown
+	};
+	return cloned;
+};
+
+Cloner.prototype.cloneSet = function cloneSet(source) {
+	var cloned = this.cloneObject(source);
+	cloned._setData = {
+		values: source._setData.values.map(this.cloneValue, this),
+		isUnknown: source._setData.isUnknown
+	};
+	return cloned;
+};
+
+Cloner.prototype.clonePromise = function clonePromise(source) {
+	var cloned = this.cloneObject(source);
+	cloned._promiseState = source._promiseState;
+	cloned._promiseValue = source._promiseValue && this.cloneValue(source._promiseValue);
+	cloned._promiseReactions = source._promiseReactions.slice();
+	cloned._promiseIsHandled = source._promiseIsHandled;
+	cloned._promiseRejectionLocation = source._promiseRejectionLocation;
+	return cloned;
+};
+
 Cloner.prototype.cloneReference = function cloneReference(source) {
 	var cloned = new ReferenceType(this.cloneValue(source.value), source.referencedName, source.strictReference);
 	if (!this._valueMap.has(source)) {
@@ -289,7 +337,7 @@ Cloner.prototype.cloneReference = function cloneReference(source) {
 };
 
 Cloner.prototype.cloneUnknown = function cloneUnknown(source) {
-	var cloned = new UnknownType();
+	var cloned = createTypedUnknown(source.typeInfo, source);
 	if (!this._valueMap.has(source)) {
 		this._valueMap.set(source, cloned);
 	}
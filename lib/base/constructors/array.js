@@ -11,6 +11,10 @@ toUint32,
 handleRecoverableNativeException,
 addNonEnumerableProperty,
 NumberType,
+UndefinedType,
+isCallable,
+iterableToList,
+createArrayFromList,
 wrapNativeCall
 */
 
@@ -30,6 +34,7 @@ function ArrayIsArrayFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayIsArrayFunc, FunctionTypeBase);
+ArrayIsArrayFunc.prototype._resultType = { type: 'Boolean' };
 ArrayIsArrayFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -44,6 +49,67 @@ ArrayIsArrayFunc.prototype.callFunction = wrapNativeCall(function callFunction(t
 	return new BooleanType(type(arg) === 'Object' && arg.className === 'Array');
 });
 
+/**
+ * from() prototype method. Iterators are not modeled, so only Maps, Sets, and array-like objects (including strings)
+ * can be converted.
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 22.1.2.1
+ */
+function ArrayFromFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(ArrayFromFunc, FunctionTypeBase);
+ArrayFromFunc.prototype._resultType = { type: 'Object', className: 'Array' };
+ArrayFromFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var items = args[0],
+		mapFn = args[1],
+		t = args[2] || new UndefinedType(),
+		mapping = !!mapFn && type(mapFn) !== 'Undefined',
+		values,
+		i, len;
+
+	// Validate the parameters
+	if (areAnyUnknown(args)) {
+		return new UnknownType();
+	}
+
+	// Steps 2-5
+	if (mapping && !isCallable(mapFn)) {
+		handleRecoverableNativeException('TypeError', 'Map function is not callable');
+		return new UnknownType();
+	}
+
+	// Steps 6-17
+	values = iterableToList(items);
+	if (!values) {
+		return new UnknownType();
+	}
+	if (mapping) {
+		for (i = 0, len = values.length; i < len; i++) {
+			values[i] = mapFn.callFunction(t, [values[i], new NumberType(i)]);
+		}
+	}
+	return createArrayFromList(values);
+});
+
+/**
+ * of() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 22.1.2.3
+ */
+function ArrayOfFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(ArrayOfFunc, FunctionTypeBase);
+ArrayOfFunc.prototype._resultType = { type: 'Object', className: 'Array' };
+ArrayOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+	return createArrayFromList(args || []);
+});
+
 /**
  * Array constructor function
  *
@@ -58,6 +124,8 @@ function ArrayConstructor(className) {
 	}, false, true);
 
 	addNonEnumerableProperty(this, 'isArray', new ArrayIsArrayFunc());
+	addNonEnumerableProperty(this, 'from', new ArrayFromFunc());
+	addNonEnumerableProperty(this, 'of', new ArrayOfFunc());
 }
 util.inherits(ArrayConstructor, FunctionTypeBase);
 ArrayConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
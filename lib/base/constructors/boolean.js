@@ -30,6 +30,7 @@ function BooleanConstructor(className) {
 	}, false, true);
 }
 util.inherits(BooleanConstructor, FunctionTypeBase);
+BooleanConstructor.prototype._resultType = { type: 'Boolean' };
 BooleanConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -4,13 +4,17 @@ Runtime,
 FunctionTypeBase,
 addNonEnumerableProperty,
 UnknownType,
+createUnknownOrigin,
 prototypes,
 NumberType,
 StringType,
 type,
 toNumber,
 ObjectType,
-wrapNativeCall
+wrapNativeCall,
+areAnyUnknown,
+virtualTime,
+recordImpureOperation
 */
 
 /*****************************************
@@ -19,6 +23,28 @@ wrapNativeCall
  *
  *****************************************/
 
+/**
+ * Reads the current time according to the determinism option. The virtual clock starts at a fixed epoch and advances
+ * by one millisecond every time it is read, so that code measuring elapsed time still sees time pass.
+ *
+ * @private
+ * @returns {Number|undefined} The current time in milliseconds, or undefined if the time is unknown
+ */
+function readClock() {
+	recordImpureOperation();
+	switch(Runtime.options.determinism) {
+		case 'seeded':
+		case 'virtual':
+			return virtualTime++;
+		case 'unknown':
+			return;
+		default:
+			if (Runtime.options.exactMode) {
+				return Date.now();
+			}
+	}
+}
+
 /**
  * parse() prototype method
  *
@@ -29,6 +55,7 @@ function DateParseFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateParseFunc, FunctionTypeBase);
+DateParseFunc.prototype._resultType = { type: 'Number' };
 DateParseFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
 	return new UnknownType();
 });
@@ -43,6 +70,7 @@ function DateUTCFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateUTCFunc, FunctionTypeBase);
+DateUTCFunc.prototype._resultType = { type: 'Number' };
 DateUTCFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
 	return new UnknownType();
 });
@@ -57,12 +85,10 @@ function DateNowFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateNowFunc, FunctionTypeBase);
+DateNowFunc.prototype._resultType = { type: 'Number' };
 DateNowFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
-	if (Runtime.options.exactMode) {
-		return new NumberType(Date.now());
-	} else {
-		return new UnknownType();
-	}
+	var now = readClock();
+	return typeof now === 'number' ? new NumberType(now) : createUnknownOrigin('clock read');
 });
 
 /**
@@ -83,21 +109,25 @@ function DateConstructor(className) {
 	addNonEnumerableProperty(this, 'now', new DateNowFunc());
 }
 util.inherits(DateConstructor, FunctionTypeBase);
+DateConstructor.prototype._resultType = { type: 'String' };
 DateConstructor.prototype.callFunction = wrapNativeCall(function callFunction() {
-	if (Runtime.options.exactMode) {
-		return new StringType(Date());
-	} else {
-		return new UnknownType();
-	}
+	var now = readClock();
+	return typeof now === 'number' ? new StringType(new Date(now).toString()) : createUnknownOrigin('clock read');
 });
 DateConstructor.prototype.construct = wrapNativeCall(function construct(args) {
 	var dateObj,
 		internalDateObj,
 		convertedArgs,
+		now,
+		determinism = Runtime.options.determinism,
 		i, len;
-	if (Runtime.options.exactMode) {
+	if ((Runtime.options.exactMode || determinism === 'seeded' || determinism === 'virtual') && !areAnyUnknown(args)) {
 		if (args.length === 0) {
-			internalDateObj = new Date();
+			now = readClock();
+			if (typeof now !== 'number') {
+				return createUnknownOrigin('clock read');
+			}
+			internalDateObj = new Date(now);
 		} else if (args.length === 1){
 			if (type(args[0]) === 'String') {
 				internalDateObj = new Date(args[0].value);
@@ -167,6 +197,6 @@ DateConstructor.prototype.construct = wrapNativeCall(function construct(args) {
 		});
 		return dateObj;
 	} else {
-		return new UnknownType();
+		return args.length ? new UnknownType() : createUnknownOrigin('clock read');
 	}
 }, true);
\ No newline at end of file
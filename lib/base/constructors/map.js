@@ -0,0 +1,103 @@
+/*global
+util,
+FunctionTypeBase,
+UnknownType,
+ObjectType,
+prototypes,
+type,
+isCallable,
+iterableToList,
+handleRecoverableNativeException,
+wrapNativeCall
+*/
+
+/*****************************************
+ *
+ * Map Constructor
+ *
+ *****************************************/
+
+/**
+ * Map and WeakMap constructor function
+ *
+ * @private
+ * @param {String} mapType The type of map, either 'Map' or 'WeakMap'
+ * @param {String} [className] The name of the class
+ * @see ECMA-262 6th Edition Chapters 23.1.1 and 23.3.1
+ */
+function MapConstructor(mapType, className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+
+	this.defineOwnProperty('prototype', {
+		value: prototypes[mapType]
+	}, false, true);
+
+	this._mapType = mapType;
+}
+util.inherits(MapConstructor, FunctionTypeBase);
+MapConstructor.instantiateClone = function instantiateClone(source) {
+	return new MapConstructor(source._mapType, source.className);
+};
+MapConstructor.prototype.callFunction = wrapNativeCall(function callFunction() {
+	handleRecoverableNativeException('TypeError', 'Constructor ' + this._mapType + ' requires \'new\'');
+	return new UnknownType();
+});
+MapConstructor.prototype.construct = wrapNativeCall(function construct(args) {
+
+	// Variable declarations
+	var mapType = this._mapType,
+		iterable = args[0],
+		map,
+		adder,
+		entries,
+		entry,
+		i, len;
+
+	// Steps 1-4. Note: an unknown iterable still creates the collection, but with unknown contents
+	map = new ObjectType(mapType, undefined, true);
+	map.extensible = true;
+	Object.defineProperty(map, 'objectPrototype', {
+		get: function () {
+			return prototypes[mapType];
+		},
+		configurable: true
+	});
+
+	// Step 5
+	map._mapData = {
+		keys: [],
+		values: [],
+		isUnknown: false
+	};
+
+	// Steps 6-8
+	if (!iterable || type(iterable) === 'Undefined' || type(iterable) === 'Null') {
+		return map;
+	}
+
+	// Steps 9-10
+	adder = map.get('set');
+	if (!isCallable(adder)) {
+		handleRecoverableNativeException('TypeError', 'Map.prototype.set is not a function');
+		return new UnknownType();
+	}
+
+	// Steps 11-12
+	entries = iterableToList(iterable);
+	if (!entries) {
+		map._mapData.isUnknown = true;
+		return map;
+	}
+	for (i = 0, len = entries.length; i < len; i++) {
+		entry = entries[i];
+		if (type(entry) === 'Unknown') {
+			map._mapData.isUnknown = true;
+		} else if (type(entry) !== 'Object') {
+			handleRecoverableNativeException('TypeError', 'Iterator value is not an entry object');
+			return new UnknownType();
+		} else {
+			adder.callFunction(map, [entry.get('0'), entry.get('1')]);
+		}
+	}
+	return map;
+}, true);
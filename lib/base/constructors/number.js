@@ -38,6 +38,7 @@ function NumberConstructor(className) {
 	addReadOnlyProperty(this, 'POSITIVE_INFINITY', new NumberType(Number.POSITIVE_INFINITY), false, true);
 }
 util.inherits(NumberConstructor, FunctionTypeBase);
+NumberConstructor.prototype._resultType = { type: 'Number' };
 NumberConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -99,6 +99,11 @@ function ObjectGetOwnPropertyNamesFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ObjectGetOwnPropertyNamesFunc, FunctionTypeBase);
+ObjectGetOwnPropertyNamesFunc.prototype._resultType = {
+	type: 'Object',
+	className: 'Array',
+	elementType: { type: 'String' }
+};
 ObjectGetOwnPropertyNamesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -116,6 +121,9 @@ ObjectGetOwnPropertyNamesFunc.prototype.callFunction = wrapNativeCall(function c
 		handleRecoverableNativeException('TypeError', 'Value is not an object');
 		return new UnknownType();
 	}
+	if (o._hasUnknownProperties) {
+		return new UnknownType();
+	}
 
 	// Step 2
 	array = new ArrayType();
@@ -398,6 +406,7 @@ function ObjectIsSealedFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ObjectIsSealedFunc, FunctionTypeBase);
+ObjectIsSealedFunc.prototype._resultType = { type: 'Boolean' };
 ObjectIsSealedFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -435,6 +444,7 @@ function ObjectIsFrozenFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ObjectIsFrozenFunc, FunctionTypeBase);
+ObjectIsFrozenFunc.prototype._resultType = { type: 'Boolean' };
 ObjectIsFrozenFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -474,6 +484,7 @@ function ObjectIsExtensibleFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ObjectIsExtensibleFunc, FunctionTypeBase);
+ObjectIsExtensibleFunc.prototype._resultType = { type: 'Boolean' };
 ObjectIsExtensibleFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -504,6 +515,7 @@ function ObjectKeysFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ObjectKeysFunc, FunctionTypeBase);
+ObjectKeysFunc.prototype._resultType = { type: 'Object', className: 'Array', elementType: { type: 'String' } };
 ObjectKeysFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -521,6 +533,9 @@ ObjectKeysFunc.prototype.callFunction = wrapNativeCall(function callFunction(thi
 		handleRecoverableNativeException('TypeError', 'Value is not an object');
 		return new UnknownType();
 	}
+	if (o._hasUnknownProperties) {
+		return new UnknownType();
+	}
 
 	// Step 3
 	array = new ArrayType();
@@ -542,6 +557,54 @@ ObjectKeysFunc.prototype.callFunction = wrapNativeCall(function callFunction(thi
 	return array;
 });
 
+/**
+ * assign() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 19.1.2.1
+ */
+function ObjectAssignFunc(className) {
+	FunctionTypeBase.call(this, 2, className || 'Function');
+}
+util.inherits(ObjectAssignFunc, FunctionTypeBase);
+ObjectAssignFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var to,
+		from,
+		i, len;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Steps 1-3
+	to = toObject(args[0]);
+	if (type(to) === 'Unknown') {
+		return to;
+	}
+
+	// Steps 4 and 5
+	for (i = 1, len = args.length; i < len; i++) {
+		if (!isType(args[i], ['Undefined', 'Null'])) {
+			from = toObject(args[i]);
+			if (from._hasUnknownProperties) {
+				to._hasUnknownProperties = true;
+			}
+			from._getPropertyNames().forEach(function (p) {
+				var desc = from.getOwnProperty(p);
+				if (desc && desc.enumerable) {
+					to.put(p, from.get(p), true);
+				}
+			});
+		}
+	}
+
+	// Step 6
+	return to;
+});
+
 /**
  * Object constructor function
  *
@@ -568,6 +631,7 @@ function ObjectConstructor(className) {
 	addNonEnumerableProperty(this, 'isFrozen', new ObjectIsFrozenFunc());
 	addNonEnumerableProperty(this, 'isExtensible', new ObjectIsExtensibleFunc());
 	addNonEnumerableProperty(this, 'keys', new ObjectKeysFunc());
+	addNonEnumerableProperty(this, 'assign', new ObjectAssignFunc());
 }
 util.inherits(ObjectConstructor, FunctionTypeBase);
 ObjectConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
@@ -0,0 +1,704 @@
+/*global
+util,
+Map,
+Runtime,
+FunctionTypeBase,
+UnknownType,
+UndefinedType,
+ObjectType,
+prototypes,
+type,
+isCallable,
+toString,
+iterableToList,
+createArrayFromList,
+isCallerInAmbiguousBlock,
+createNativeException,
+handleRecoverableNativeException,
+addNonEnumerableProperty,
+wrapNativeCall,
+promiseJobQueue,
+recordStateChange,
+recordImpureOperation
+*/
+
+/*****************************************
+ *
+ * Promise Abstract Operations
+ *
+ *****************************************/
+
+/**
+ * Creates the queue of pending promise jobs. Promise jobs are run by a single native function that is queued using
+ * Runtime.queueFunction, the same as timers, so that they are evaluated after the current code finishes. The queue also
+ * tracks which handlers have already been run from which locations, since Runtime.queueFunction's loop protection does
+ * not apply to the individual jobs.
+ *
+ * @private
+ * @returns {Object} The new job queue
+ */
+function createPromiseJobQueue() {
+	return {
+		jobs: [],
+		isScheduled: false,
+		processedHandlers: new Map()
+	};
+}
+
+/**
+ * Runs all of the queued promise jobs, including any jobs that are queued while running them
+ *
+ * @private
+ */
+function PromiseJobsFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(PromiseJobsFunc, FunctionTypeBase);
+PromiseJobsFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
+	var queue = promiseJobQueue;
+	while (queue.jobs.length) {
+		queue.jobs.shift()();
+	}
+	queue.isScheduled = false;
+	return new UndefinedType();
+});
+
+/**
+ * Adds a job to the promise job queue, scheduling the queue to be run if necessary. If the queue could not be scheduled
+ * from the current location, it is scheduled the next time a job is added.
+ *
+ * @private
+ * @param {Function} job The job to run
+ * @see ECMA-262 6th Edition Chapter 8.4.1
+ */
+function enqueuePromiseJob(job) {
+	recordImpureOperation();
+	promiseJobQueue.jobs.push(job);
+	if (!promiseJobQueue.isScheduled) {
+		promiseJobQueue.isScheduled = Runtime.queueFunction(new PromiseJobsFunc(), new UndefinedType(), [], true);
+	}
+}
+
+/**
+ * Gets a copy of the current location
+ *
+ * @private
+ * @returns {Object} The location, with 'filename', 'line', and 'column' properties
+ */
+function copyCurrentLocation() {
+	var location = Runtime.getCurrentLocation();
+	return {
+		filename: location.filename,
+		line: location.line,
+		column: location.column
+	};
+}
+
+/**
+ * Checks if a value is a promise
+ *
+ * @private
+ * @param {module:Base.BaseType} value The value to check
+ * @returns {Boolean} Whether or not the value is a promise
+ */
+function isPromise(value) {
+	return type(value) === 'Object' && !!value._promiseState;
+}
+
+/**
+ * Creates a new, pending promise
+ *
+ * @private
+ * @returns {module:Base.ObjectType} The new promise
+ * @see ECMA-262 6th Edition Chapter 25.4.3.1
+ */
+function createPromise() {
+	var promise = new ObjectType('Promise', undefined, true);
+	promise.extensible = true;
+	Object.defineProperty(promise, 'objectPrototype', {
+		get: function () {
+			return prototypes.Promise;
+		},
+		configurable: true
+	});
+
+	// The state is 'pending', 'fulfilled', 'rejected', or 'unknown' if we can't tell if it was fulfilled or rejected
+	promise._promiseState = 'pending';
+	promise._promiseValue = undefined;
+	promise._promiseReactions = [];
+	promise._promiseIsHandled = false;
+	return promise;
+}
+
+/**
+ * Settles a promise, triggering its reactions. Settling a promise that has already been settled does nothing. Promises
+ * that are settled into the 'unknown' state are given an unknown value, and trigger both their fulfill and reject
+ * handlers.
+ *
+ * @private
+ * @param {module:Base.ObjectType} promise The promise to settle
+ * @param {String} state The new state of the promise, one of 'fulfilled', 'rejected', or 'unknown'
+ * @param {module:Base.BaseType} [value] The fulfillment value or rejection reason
+ * @see ECMA-262 6th Edition Chapters 25.4.1.4 and 25.4.1.7
+ */
+function settlePromise(promise, state, value) {
+	var reactions = promise._promiseReactions,
+		i, len;
+
+	if (promise._promiseState !== 'pending') {
+		return;
+	}
+
+	recordStateChange(promise, 'promise', '_promise');
+	promise._promiseState = state;
+	promise._promiseValue = state === 'unknown' ? new UnknownType() : value || new UndefinedType();
+	promise._promiseReactions = [];
+	for (i = 0, len = reactions.length; i < len; i++) {
+		triggerPromiseReaction(promise, reactions[i]);
+	}
+
+	// If nothing has handled the rejection by the time the queued jobs are run, then it is reported
+	if (state === 'rejected' && !promise._promiseIsHandled) {
+		promise._promiseRejectionLocation = copyCurrentLocation();
+		enqueuePromiseJob(function () {
+			reportUnhandledRejection(promise);
+		});
+	}
+}
+
+/**
+ * Resolves a promise with a value. If the value is a promise or thenable, the promise adopts its state.
+ *
+ * @private
+ * @param {module:Base.ObjectType} promise The promise to resolve
+ * @param {module:Base.BaseType} resolution The value to resolve the promise with
+ * @see ECMA-262 6th Edition Chapter 25.4.1.3.2
+ */
+function resolvePromise(promise, resolution) {
+
+	// Variable declarations
+	var then;
+
+	// Step 6
+	if (resolution === promise) {
+		settlePromise(promise, 'rejected', createNativeException('TypeError', 'Chaining cycle detected for promise'));
+		return;
+	}
+
+	// An unknown value may or may not be a thenable, so we can't know what state the promise ends up in
+	if (type(resolution) === 'Unknown') {
+		settlePromise(promise, 'unknown');
+		return;
+	}
+
+	// Our own promises are adopted directly
+	if (isPromise(resolution)) {
+		addPromiseReaction(resolution, {
+			callback: function (state, value) {
+				settlePromise(promise, state, value);
+			}
+		});
+		return;
+	}
+
+	// Steps 7-12
+	if (type(resolution) === 'Object' && resolution.hasProperty('then')) {
+		then = resolution.get('then');
+		if (type(then) === 'Unknown') {
+			settlePromise(promise, 'unknown');
+			return;
+		}
+		if (isCallable(then)) {
+			enqueuePromiseJob(function () {
+				var resolvingFunctions = createResolvingFunctions(promise);
+				try {
+					then.callFunction(resolution, [resolvingFunctions.resolve, resolvingFunctions.reject], {
+						isAmbiguousContext: true
+					});
+				} catch (e) {
+					if (!e.isCodeProcessorException) {
+						throw e;
+					}
+					resolvingFunctions.reject.callFunction(new UndefinedType(), [Runtime._exception]);
+					Runtime._exception = undefined;
+				}
+			});
+			return;
+		}
+	}
+
+	// Step 13
+	settlePromise(promise, 'fulfilled', resolution);
+}
+
+/**
+ * Converts a value to a promise, leaving promises as is
+ *
+ * @private
+ * @param {module:Base.BaseType} value The value to convert
+ * @returns {module:Base.ObjectType} The promise
+ * @see ECMA-262 6th Edition Chapter 25.4.4.5
+ */
+function promiseResolve(value) {
+	var promise;
+	if (isPromise(value)) {
+		return value;
+	}
+	promise = createPromise();
+	resolvePromise(promise, value);
+	return promise;
+}
+
+/**
+ * Adds a reaction to a promise, triggering it immediately if the promise has already been settled. Reactions with a
+ * 'callback' are internal reactions that are invoked synchronously with the state and value of the promise. All other
+ * reactions contain the derived 'promise', the 'onFulfilled' and 'onRejected' handlers, and the 'location' the reaction
+ * was registered from, and are run as promise jobs.
+ *
+ * @private
+ * @param {module:Base.ObjectType} promise The promise to add the reaction to
+ * @param {Object} reaction The reaction to add
+ */
+function addPromiseReaction(promise, reaction) {
+	recordStateChange(promise, 'promise', '_promise');
+	promise._promiseIsHandled = true;
+	if (promise._promiseState === 'pending') {
+		promise._promiseReactions.push(reaction);
+	} else {
+		triggerPromiseReaction(promise, reaction);
+	}
+}
+
+/**
+ * Triggers a reaction on a settled promise
+ *
+ * @private
+ * @param {module:Base.ObjectType} promise The settled promise
+ * @param {Object} reaction The reaction to trigger
+ * @see ECMA-262 6th Edition Chapter 25.4.1.8
+ */
+function triggerPromiseReaction(promise, reaction) {
+	var state = promise._promiseState,
+		value = promise._promiseValue;
+	if (reaction.callback) {
+		reaction.callback(state, value);
+	} else {
+		enqueuePromiseJob(function () {
+			runPromiseReaction(reaction, state, value);
+		});
+	}
+}
+
+/**
+ * Checks if a handler should be run. Each handler is only run once per location that it was registered from, which
+ * mirrors the loop protection in Runtime.queueFunction and keeps recursive promise chains from running forever.
+ *
+ * @private
+ * @param {module:Base.FunctionTypeBase} handler The handler to check
+ * @param {Object} location The location the handler was registered from
+ * @returns {Boolean} Whether or not the handler should be run
+ */
+function shouldRunPromiseHandler(handler, location) {
+	var key = handler._ast || handler,
+		locations = promiseJobQueue.processedHandlers.get(key),
+		locationKey = location.filename + ':' + location.line + ':' + location.column;
+	if (!locations) {
+		promiseJobQueue.processedHandlers.set(key, locations = {});
+	}
+	if (locations[locationKey]) {
+		return false;
+	}
+	locations[locationKey] = true;
+	return true;
+}
+
+/**
+ * Runs a promise reaction, settling the derived promise with the result. If the state of the settled promise is
+ * unknown, both handlers are run and the derived promise is settled into the unknown state.
+ *
+ * @private
+ * @param {Object} reaction The reaction to run
+ * @param {String} state The state of the settled promise
+ * @param {module:Base.BaseType} value The value of the settled promise
+ * @see ECMA-262 6th Edition Chapter 25.4.2.1
+ */
+function runPromiseReaction(reaction, state, value) {
+	var location = reaction.location,
+		handlers,
+		handler,
+		result,
+		i, len;
+
+	switch (state) {
+		case 'fulfilled':
+			handlers = [reaction.onFulfilled];
+			break;
+		case 'rejected':
+			handlers = [reaction.onRejected];
+			break;
+		default:
+			handlers = [reaction.onFulfilled, reaction.onRejected];
+	}
+
+	Runtime.setCurrentLocation(location.filename, location.line, location.column);
+	try {
+		for (i = 0, len = handlers.length; i < len; i++) {
+			handler = handlers[i];
+			if (!handler) {
+				continue;
+			}
+			if (!shouldRunPromiseHandler(handler, location)) {
+				state = 'unknown';
+				continue;
+			}
+			try {
+				result = ['normal', handler.callFunction(new UndefinedType(), [value], {
+					isAmbiguousContext: true
+				})];
+			} catch (e) {
+				if (!e.isCodeProcessorException) {
+					throw e;
+				}
+				result = ['throw', Runtime._exception];
+				Runtime._exception = undefined;
+			}
+		}
+
+		// Settle the derived promise, passing through the state and value if there was no handler
+		if (state === 'unknown') {
+			settlePromise(reaction.promise, 'unknown');
+		} else if (!result) {
+			settlePromise(reaction.promise, state, value);
+		} else if (result[0] === 'throw') {
+			settlePromise(reaction.promise, 'rejected', result[1]);
+		} else {
+			resolvePromise(reaction.promise, result[1]);
+		}
+	} finally {
+		Runtime.exitCurrentLocation();
+	}
+}
+
+/**
+ * Reports a rejected promise that was never handled
+ *
+ * @private
+ * @param {module:Base.ObjectType} promise The rejected promise
+ */
+function reportUnhandledRejection(promise) {
+	var location = promise._promiseRejectionLocation,
+		reason = promise._promiseValue,
+		message = reason;
+
+	if (promise._promiseIsHandled) {
+		return;
+	}
+
+	if (type(reason) === 'Object') {
+		message = reason._lookupProperty('message');
+		message = message && message.value;
+	}
+	if (type(message) === 'String') {
+		message = message.value;
+	} else if (!message || type(message) === 'Unknown' || type(message) === 'Object') {
+		message = '<unknown>';
+	} else {
+		message = toString(message).value;
+	}
+
+	Runtime.setCurrentLocation(location.filename, location.line, location.column);
+	Runtime.reportError('unhandledRejection', message);
+	Runtime.exitCurrentLocation();
+}
+
+/**
+ * Promise resolve function, as passed to promise executors
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 25.4.1.3.2
+ */
+function PromiseResolveFunctionFunc(promise, alreadyResolved, className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+	this._promise = promise;
+	this._alreadyResolved = alreadyResolved;
+}
+util.inherits(PromiseResolveFunctionFunc, FunctionTypeBase);
+PromiseResolveFunctionFunc.instantiateClone = function instantiateClone(source) {
+	return new PromiseResolveFunctionFunc(source._promise, source._alreadyResolved, source.className);
+};
+PromiseResolveFunctionFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Steps 1-5
+	if (this._alreadyResolved.value) {
+		return new UndefinedType();
+	}
+	this._alreadyResolved.value = true;
+
+	// If we don't know whether or not this code runs, then we don't know what state the promise ends up in
+	if (isCallerInAmbiguousBlock()) {
+		settlePromise(this._promise, 'unknown');
+	} else {
+		resolvePromise(this._promise, args[0] || new UndefinedType());
+	}
+	return new UndefinedType();
+});
+
+/**
+ * Promise reject function, as passed to promise executors
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 25.4.1.3.1
+ */
+function PromiseRejectFunctionFunc(promise, alreadyResolved, className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+	this._promise = promise;
+	this._alreadyResolved = alreadyResolved;
+}
+util.inherits(PromiseRejectFunctionFunc, FunctionTypeBase);
+PromiseRejectFunctionFunc.instantiateClone = function instantiateClone(source) {
+	return new PromiseRejectFunctionFunc(source._promise, source._alreadyResolved, source.className);
+};
+PromiseRejectFunctionFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Steps 1-5
+	if (this._alreadyResolved.value) {
+		return new UndefinedType();
+	}
+	this._alreadyResolved.value = true;
+
+	// If we don't know whether or not this code runs, then we don't know what state the promise ends up in
+	if (isCallerInAmbiguousBlock()) {
+		settlePromise(this._promise, 'unknown');
+	} else {
+		settlePromise(this._promise, 'rejected', args[0]);
+	}
+	return new UndefinedType();
+});
+
+/**
+ * Creates the resolve and reject functions for a promise
+ *
+ * @private
+ * @param {module:Base.ObjectType} promise The promise to create the resolving functions for
+ * @returns {Object} The 'resolve' and 'reject' functions
+ * @see ECMA-262 6th Edition Chapter 25.4.1.3
+ */
+function createResolvingFunctions(promise) {
+	var alreadyResolved = {
+		value: false
+	};
+	return {
+		resolve: new PromiseResolveFunctionFunc(promise, alreadyResolved),
+		reject: new PromiseRejectFunctionFunc(promise, alreadyResolved)
+	};
+}
+
+/**
+ * Registers fulfill and reject handlers on a promise
+ *
+ * @private
+ * @param {module:Base.ObjectType} promise The promise to register the handlers on
+ * @param {module:Base.BaseType} onFulfilled The fulfill handler
+ * @param {module:Base.BaseType} onRejected The reject handler
+ * @returns {module:Base.ObjectType} The derived promise
+ * @see ECMA-262 6th Edition Chapter 25.4.5.3.1
+ */
+function performPromiseThen(promise, onFulfilled, onRejected) {
+	var derivedPromise = createPromise();
+
+	// If we don't know what the handlers are, then we don't know what they will do
+	if (type(onFulfilled) === 'Unknown' || type(onRejected) === 'Unknown') {
+		recordStateChange(promise, 'promise', '_promise');
+		promise._promiseIsHandled = true;
+		settlePromise(derivedPromise, 'unknown');
+		return derivedPromise;
+	}
+
+	addPromiseReaction(promise, {
+		promise: derivedPromise,
+		onFulfilled: isCallable(onFulfilled) ? onFulfilled : undefined,
+		onRejected: isCallable(onRejected) ? onRejected : undefined,
+		location: copyCurrentLocation()
+	});
+	return derivedPromise;
+}
+
+/*****************************************
+ *
+ * Promise Constructor
+ *
+ *****************************************/
+
+/**
+ * resolve() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 25.4.4.5
+ */
+function PromiseResolveFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(PromiseResolveFunc, FunctionTypeBase);
+PromiseResolveFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+	return promiseResolve(args[0] || new UndefinedType());
+});
+
+/**
+ * reject() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 25.4.4.4
+ */
+function PromiseRejectFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(PromiseRejectFunc, FunctionTypeBase);
+PromiseRejectFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+	var promise = createPromise();
+	settlePromise(promise, 'rejected', args[0]);
+	return promise;
+});
+
+/**
+ * all() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 25.4.4.1
+ */
+function PromiseAllFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(PromiseAllFunc, FunctionTypeBase);
+PromiseAllFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var promise = createPromise(),
+		values = iterableToList(args[0] || new UndefinedType()),
+		results = [],
+		remainingElements;
+
+	// If we don't know what we're iterating over, we don't know what the result is
+	if (!values) {
+		settlePromise(promise, 'unknown');
+		return promise;
+	}
+
+	// Steps 1-6 of 25.4.4.1.1
+	remainingElements = values.length;
+	if (!remainingElements) {
+		settlePromise(promise, 'fulfilled', createArrayFromList(results));
+		return promise;
+	}
+	values.forEach(function (value, index) {
+		addPromiseReaction(promiseResolve(value), {
+			callback: function (state, value) {
+				if (state === 'fulfilled') {
+					results[index] = value;
+					if (--remainingElements === 0) {
+						settlePromise(promise, 'fulfilled', createArrayFromList(results));
+					}
+				} else {
+					settlePromise(promise, state, value);
+				}
+			}
+		});
+	});
+
+	// Step 7
+	return promise;
+});
+
+/**
+ * race() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 25.4.4.3
+ */
+function PromiseRaceFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(PromiseRaceFunc, FunctionTypeBase);
+PromiseRaceFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var promise = createPromise(),
+		values = iterableToList(args[0] || new UndefinedType());
+
+	// If we don't know what we're iterating over, we don't know what the result is
+	if (!values) {
+		settlePromise(promise, 'unknown');
+		return promise;
+	}
+
+	// Steps 1-5 of 25.4.4.3.1. The first promise to settle wins, since settling a settled promise does nothing
+	values.forEach(function (value) {
+		addPromiseReaction(promiseResolve(value), {
+			callback: function (state, value) {
+				settlePromise(promise, state, value);
+			}
+		});
+	});
+
+	// Step 6
+	return promise;
+});
+
+/**
+ * Promise constructor function
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 25.4.3
+ */
+function PromiseConstructor(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+
+	this.defineOwnProperty('prototype', {
+		value: prototypes.Promise
+	}, false, true);
+
+	addNonEnumerableProperty(this, 'resolve', new PromiseResolveFunc());
+	addNonEnumerableProperty(this, 'reject', new PromiseRejectFunc());
+	addNonEnumerableProperty(this, 'all', new PromiseAllFunc());
+	addNonEnumerableProperty(this, 'race', new PromiseRaceFunc());
+}
+util.inherits(PromiseConstructor, FunctionTypeBase);
+PromiseConstructor.prototype.callFunction = wrapNativeCall(function callFunction() {
+	handleRecoverableNativeException('TypeError', 'Constructor Promise requires \'new\'');
+	return new UnknownType();
+});
+PromiseConstructor.prototype.construct = wrapNativeCall(function construct(args) {
+
+	// Variable declarations
+	var executor = args[0],
+		promise,
+		resolvingFunctions;
+
+	// Validate the parameters
+	if (type(executor) === 'Unknown') {
+		return new UnknownType();
+	}
+
+	// Step 3
+	if (!isCallable(executor)) {
+		handleRecoverableNativeException('TypeError', 'Promise resolver is not a function');
+		return new UnknownType();
+	}
+
+	// Steps 4-8
+	promise = createPromise();
+	resolvingFunctions = createResolvingFunctions(promise);
+
+	// Steps 9 and 10. The executor is run immediately, and an exception thrown from it rejects the promise
+	try {
+		executor.callFunction(new UndefinedType(), [resolvingFunctions.resolve, resolvingFunctions.reject]);
+	} catch (e) {
+		if (!e.isCodeProcessorException) {
+			throw e;
+		}
+		resolvingFunctions.reject.callFunction(new UndefinedType(), [Runtime._exception]);
+		Runtime._exception = undefined;
+	}
+
+	// Step 11
+	return promise;
+}, true);
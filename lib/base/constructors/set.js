@@ -0,0 +1,93 @@
+/*global
+util,
+FunctionTypeBase,
+UnknownType,
+ObjectType,
+prototypes,
+type,
+isCallable,
+iterableToList,
+handleRecoverableNativeException,
+wrapNativeCall
+*/
+
+/*****************************************
+ *
+ * Set Constructor
+ *
+ *****************************************/
+
+/**
+ * Set and WeakSet constructor function
+ *
+ * @private
+ * @param {String} setType The type of set, either 'Set' or 'WeakSet'
+ * @param {String} [className] The name of the class
+ * @see ECMA-262 6th Edition Chapters 23.2.1 and 23.4.1
+ */
+function SetConstructor(setType, className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+
+	this.defineOwnProperty('prototype', {
+		value: prototypes[setType]
+	}, false, true);
+
+	this._setType = setType;
+}
+util.inherits(SetConstructor, FunctionTypeBase);
+SetConstructor.instantiateClone = function instantiateClone(source) {
+	return new SetConstructor(source._setType, source.className);
+};
+SetConstructor.prototype.callFunction = wrapNativeCall(function callFunction() {
+	handleRecoverableNativeException('TypeError', 'Constructor ' + this._setType + ' requires \'new\'');
+	return new UnknownType();
+});
+SetConstructor.prototype.construct = wrapNativeCall(function construct(args) {
+
+	// Variable declarations
+	var setType = this._setType,
+		iterable = args[0],
+		set,
+		adder,
+		values,
+		i, len;
+
+	// Steps 1-4. Note: an unknown iterable still creates the collection, but with unknown contents
+	set = new ObjectType(setType, undefined, true);
+	set.extensible = true;
+	Object.defineProperty(set, 'objectPrototype', {
+		get: function () {
+			return prototypes[setType];
+		},
+		configurable: true
+	});
+
+	// Step 5
+	set._setData = {
+		values: [],
+		isUnknown: false
+	};
+
+	// Steps 6-8
+	if (!iterable || type(iterable) === 'Undefined' || type(iterable) === 'Null') {
+		return set;
+	}
+
+	// Steps 9-10
+	adder = set.get('add');
+	if (!isCallable(adder)) {
+		handleRecoverableNativeException('TypeError', 'Set.prototype.add is not a function');
+		return new UnknownType();
+	}
+
+	// Steps 11-12
+	values = iterableToList(iterable);
+	if (!values) {
+		set._setData.isUnknown = true;
+		return set;
+	}
+	for (i = 0, len = values.length; i < len; i++) {
+		adder.callFunction(set, [values[i]]);
+	}
+	return set;
+}, true);
@@ -30,6 +30,7 @@ function StringFromCharCodeFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(StringFromCharCodeFunc, FunctionTypeBase);
+StringFromCharCodeFunc.prototype._resultType = { type: 'String' };
 StringFromCharCodeFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -65,6 +66,7 @@ function StringConstructor(className) {
 	addNonEnumerableProperty(this, 'fromCharCode', new StringFromCharCodeFunc());
 }
 util.inherits(StringConstructor, FunctionTypeBase);
+StringConstructor.prototype._resultType = { type: 'String' };
 StringConstructor.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -118,7 +120,7 @@ StringConstructor.prototype.construct = wrapNativeCall(function construct(args)
 		index = +p;
 
 		// Step 4
-		if (Math.abs(index) + '' !== p) {
+		if (Math.abs(index) + '' !== p + '') {
 			return;
 		}
 
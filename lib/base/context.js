@@ -15,7 +15,17 @@ isAccessorDescriptor,
 throwNativeException,
 NumberType,
 throwTypeError,
-toObject
+toObject,
+ArrayType,
+createTypedUnknown,
+createUnknownOrigin,
+createUnknownWrite,
+getTypeInfo,
+getResultTypeInfo,
+getStateSerial,
+recordStateChange,
+recordStateRead,
+summaryStack
 */
 
 /*****************************************
@@ -53,6 +63,7 @@ exports.DeclarativeEnvironmentRecord = DeclarativeEnvironmentRecord;
 function DeclarativeEnvironmentRecord() {
 	this._bindings = {};
 	this._ambiguousContext = false;
+	this._serial = getStateSerial();
 }
 
 /**
@@ -66,6 +77,9 @@ function DeclarativeEnvironmentRecord() {
  * @see ECMA-262 Spec Chapter 10.2.1.1.1
  */
 DeclarativeEnvironmentRecord.prototype.hasBinding = function hasBinding(n) {
+	if (summaryStack.length) {
+		recordStateRead(this, 'binding', n);
+	}
 	return bindingExists(this._bindings, n);
 };
 
@@ -87,6 +101,7 @@ DeclarativeEnvironmentRecord.prototype.createMutableBinding = function createMut
 	if (bindingExists(bindings, n)) {
 		throw new Error('Could not create mutable binding: binding "' + n + '" already exists');
 	}
+	recordStateChange(this, 'binding', n);
 
 	bindings[n] = {
 		value: new UndefinedType(),
@@ -110,13 +125,23 @@ DeclarativeEnvironmentRecord.prototype.createMutableBinding = function createMut
  * @see ECMA-262 Spec Chapter 10.2.1.1.3
  */
 DeclarativeEnvironmentRecord.prototype.setMutableBinding = function setMutableBinding(n, v, s) {
-	var bindings = this._bindings;
+	var bindings = this._bindings,
+		isConditional;
 	if (!bindingExists(bindings, n)) {
 		throw new Error('Could not set mutable binding: binding "' + n + '" does not exist');
 	}
+	recordStateChange(this, 'binding', n);
+
+	// Let and const bindings can't be assigned before their declaration, and assigning to a const is an error even in
+	// sloppy mode
+	if (bindings[n].isLexical && !bindings[n].isInitialized) {
+		handleRecoverableNativeException('ReferenceError', 'Could not set binding: binding "' + n + '" has not been initialized');
 
+		// Recover by treating the binding as initialized, so that the error isn't reported again for this assignment
+		bindings[n].isInitialized = true;
+	}
 	if (!bindings[n].isMutable) {
-		if (s) {
+		if (s || bindings[n].isLexical) {
 			handleRecoverableNativeException('TypeError', 'Could not set binding: binding "' + n + '" is not mutable');
 			bindings[n].value = new UnknownType();
 		} else {
@@ -124,8 +149,9 @@ DeclarativeEnvironmentRecord.prototype.setMutableBinding = function setMutableBi
 		}
 	}
 
-	if (type(v) === 'Unknown' || !this.getBindingValue(n)._isLocal() || isAmbiguousBlock()) {
-		bindings[n].value = new UnknownType();
+	isConditional = !this.getBindingValue(n)._isLocal() || isAmbiguousBlock();
+	if (type(v) === 'Unknown' || isConditional) {
+		bindings[n].value = createUnknownWrite(bindings[n].value, v, isConditional);
 	} else {
 		bindings[n].value = v;
 	}
@@ -148,13 +174,16 @@ DeclarativeEnvironmentRecord.prototype.setMutableBinding = function setMutableBi
 DeclarativeEnvironmentRecord.prototype.getBindingValue = function getBindingValue(n, s) {
 
 	var binding = this._bindings[n];
+	if (summaryStack.length) {
+		recordStateRead(this, 'binding', n);
+	}
 	if (!bindingExists(this._bindings, n)) {
 		throw new Error('Could not get value: binding "' + n + '" does not exist');
 	}
 
-	if (s && !binding.isMutable && !binding.isInitialized) {
+	if ((s && !binding.isMutable || binding.isLexical) && !binding.isInitialized) {
 		handleRecoverableNativeException('ReferenceError', 'Could not get value: binding "' + n + '" has not been initialized');
-		return new UnknownType();
+		return createUnknownOrigin('uninitialized binding "' + n + '"');
 	}
 
 	return binding.value;
@@ -181,6 +210,7 @@ DeclarativeEnvironmentRecord.prototype.deleteBinding = function deleteBinding(n)
 		return false;
 	}
 
+	recordStateChange(this, 'binding', n);
 	delete this._bindings[n];
 	return true;
 };
@@ -214,6 +244,7 @@ DeclarativeEnvironmentRecord.prototype.createImmutableBinding = function createI
 	if (bindingExists(bindings, n)) {
 		throw new Error('Could not create immutable binding: binding "' + n + '" already exists');
 	}
+	recordStateChange(this, 'binding', n);
 
 	bindings[n] = {
 		value: new UndefinedType(),
@@ -247,6 +278,33 @@ DeclarativeEnvironmentRecord.prototype.initializeImmutableBinding = function ini
 		throw new Error('Could not initialize immutable value: binding "' + n + '" has either been initialized already or is not an immutable value');
 	}
 
+	recordStateChange(this, 'binding', n);
+	binding.value = v;
+	binding.isInitialized = true;
+};
+
+/**
+ * ECMA-262 6th Edition: <em>The concrete Environment Record method InitializeBinding for declarative Environment
+ * Records is used to set the bound value of the current binding of the identifier whose name is the value of the
+ * argument N to the value of argument V. An uninitialized binding for N must already exist.</em> This is used to
+ * initialize let and const declarations, and unlike setMutableBinding it does not make the value unknown inside of an
+ * ambiguous block, since the binding is created each time the declaration is evaluated.
+ *
+ * @method
+ * @name module:Base.DeclarativeEnvironmentRecord#initializeBinding
+ * @param {String} n The name of the binding
+ * @param {module:Base.BaseType} v The value to initialize the binding to
+ * @throws Thrown if the binding does not exist
+ * @see ECMA-262 6th Edition Chapter 8.1.1.1.4
+ */
+DeclarativeEnvironmentRecord.prototype.initializeBinding = function initializeBinding(n, v) {
+
+	var binding = this._bindings[n];
+	if (!bindingExists(this._bindings, n)) {
+		throw new Error('Could not initialize value: binding "' + n + '" does not exist');
+	}
+
+	recordStateChange(this, 'binding', n);
 	binding.value = v;
 	binding.isInitialized = true;
 };
@@ -516,6 +574,7 @@ function ExecutionContext(lexicalEnvironment, variableEnvironment, thisBinding,
 	this.thisBinding = thisBinding;
 	this.strict = isDefined(strict) ? strict : false;
 	this._ambiguousBlock = 0;
+	this._ambiguousBlockCauses = [];
 }
 
 // ******** Context Creation Methods ********
@@ -558,18 +617,6 @@ function findDeclarations(ast, context) {
 				return true;
 			}
 		},
-		{
-			nodeType: 'AST_Const',
-			callback: function(node) {
-				var i, len;
-				for (i = 0, len = node.definitions.length; i < len; i++) {
-					variables.push({
-						variableName: node.definitions[i].name.name
-					});
-				}
-				return true;
-			}
-		},
 		{
 			nodeType: 'AST_Function',
 			callback: function(node) {
@@ -586,6 +633,151 @@ function findDeclarations(ast, context) {
 	};
 }
 
+/**
+ * Finds the let and const declarations made directly in a list of statements, i.e. not in nested blocks or functions
+ *
+ * @private
+ */
+function findLexicalDeclarations(statements) {
+	var declarations = [],
+		i, len, j, jlen,
+		statement;
+	for (i = 0, len = statements.length; i < len; i++) {
+		statement = statements[i];
+		if (statement && (statement.className === 'AST_Let' || statement.className === 'AST_Const')) {
+			for (j = 0, jlen = statement.definitions.length; j < jlen; j++) {
+				declarations.push({
+					name: statement.definitions[j].name.name,
+					isConstant: statement.className === 'AST_Const'
+				});
+			}
+		}
+	}
+	return declarations;
+}
+
+/**
+ * Creates the bindings for a set of let and const declarations. The bindings are uninitialized until the declaration is
+ * evaluated, so that using them before then (the temporal dead zone) is a ReferenceError.
+ *
+ * @private
+ */
+function bindLexicalDeclarations(envRec, declarations) {
+	var i, len, name;
+	for (i = 0, len = declarations.length; i < len; i++) {
+		name = declarations[i].name;
+		if (!envRec.hasBinding(name)) {
+			if (declarations[i].isConstant) {
+				envRec.createImmutableBinding(name);
+			} else {
+				envRec.createMutableBinding(name);
+			}
+			envRec._bindings[name].isLexical = true;
+			envRec._bindings[name].isInitialized = false;
+		}
+	}
+}
+
+/**
+ * Binds the let and const declarations at the top level of global, module, or eval code. These are bound in a new
+ * declarative environment, rather than in the variable environment, so that they do not become properties of the global
+ * or module object.
+ *
+ * @private
+ */
+function bindTopLevelLexicalDeclarations(context, statements) {
+	var declarations = findLexicalDeclarations(statements);
+	if (declarations.length) {
+		context.lexicalEnvironment = newDeclarativeEnvironment(context.lexicalEnvironment);
+		bindLexicalDeclarations(context.lexicalEnvironment.envRec, declarations);
+	}
+}
+
+/**
+ * Enters the block scope for a list of statements. If the statements contain let or const declarations, a new
+ * declarative environment is created for them, and any function declarations in the statements are recreated in it so
+ * that they can see the declarations. Otherwise no environment is created, the same as in ECMAScript 5.
+ *
+ * @method
+ * @name module:Base.enterBlockScope
+ * @param {Array[{@link module:AST.node}]} statements The statements in the block
+ * @returns {module:Base.LexicalEnvironment|undefined} The lexical environment to restore when the block is exited, or
+ *		undefined if no environment was created
+ * @see ECMA-262 6th Edition Chapter 13.2.13
+ */
+exports.enterBlockScope = enterBlockScope;
+function enterBlockScope(statements) {
+	var declarations = findLexicalDeclarations(statements),
+		context = getCurrentContext(),
+		previousEnvironment = context.lexicalEnvironment,
+		envRec,
+		i, len,
+		fn;
+
+	if (!declarations.length) {
+		return;
+	}
+
+	context.lexicalEnvironment = newDeclarativeEnvironment(previousEnvironment);
+	envRec = context.lexicalEnvironment.envRec;
+	bindLexicalDeclarations(envRec, declarations);
+
+	for (i = 0, len = statements.length; i < len; i++) {
+		if (statements[i].className === 'AST_Defun') {
+			fn = statements[i].name.name;
+			if (!envRec.hasBinding(fn)) {
+				envRec.createMutableBinding(fn);
+			}
+			envRec.initializeBinding(fn, statements[i]._funcObject = processFunctionDefinition(statements[i]));
+		}
+	}
+
+	return previousEnvironment;
+}
+
+/**
+ * Exits a block scope entered with {@link module:Base.enterBlockScope}
+ *
+ * @method
+ * @name module:Base.exitBlockScope
+ * @param {module:Base.LexicalEnvironment|undefined} previousEnvironment The value returned by
+ *		{@link module:Base.enterBlockScope}
+ */
+exports.exitBlockScope = exitBlockScope;
+function exitBlockScope(previousEnvironment) {
+	if (previousEnvironment) {
+		getCurrentContext().lexicalEnvironment = previousEnvironment;
+	}
+}
+
+/**
+ * Replaces the current block scope with a copy of itself, so that closures created in one iteration of a for loop that
+ * declares let variables do not see the changes made in later iterations
+ *
+ * @method
+ * @name module:Base.createPerIterationEnvironment
+ * @see ECMA-262 6th Edition Chapter 13.7.4.9
+ */
+exports.createPerIterationEnvironment = createPerIterationEnvironment;
+function createPerIterationEnvironment() {
+	var context = getCurrentContext(),
+		lastEnvironment = context.lexicalEnvironment,
+		newEnvironment = newDeclarativeEnvironment(lastEnvironment.outer),
+		bindings = lastEnvironment.envRec._bindings,
+		name;
+	for (name in bindings) {
+		newEnvironment.envRec._bindings[name] = {
+			value: bindings[name].value,
+			isDeletable: bindings[name].isDeletable,
+			isMutable: bindings[name].isMutable,
+			isInitialized: bindings[name].isInitialized,
+			isLexical: bindings[name].isLexical
+		};
+	}
+	newEnvironment.envRec._ambiguousContext = lastEnvironment.envRec._ambiguousContext;
+	context.lexicalEnvironment = newEnvironment;
+}
+
 /**
  * @private
  */
@@ -608,7 +800,9 @@ function processFunctionDefinition(node) {
 	for (i = 0, len = node.argnames.length; i < len; i++) {
 		node.argnames[i]._visited = true;
 		node.argnames[i]._skipped = false;
-		formalParameterList.push(node.argnames[i].name);
+		if (node.argnames[i].TYPE !== 'SymbolRest') {
+			formalParameterList.push(node.argnames[i].name);
+		}
 	}
 
 	try {
@@ -680,6 +874,55 @@ function createGlobalContext(strict) {
 	return executionContext;
 }
 
+/**
+ * Creates a new, empty set of execution contexts
+ *
+ * @method
+ * @private
+ */
+function createContextState() {
+	return {
+		globalObject: undefined,
+		contextStack: [],
+		functionContextCount: 0,
+		tryCatch: 0,
+		skippedModeCounter: 0,
+		skippedContextStack: undefined
+	};
+}
+
+/**
+ * Gets the current execution contexts and global object
+ *
+ * @method
+ * @private
+ */
+function getContextState() {
+	return {
+		globalObject: globalObject,
+		contextStack: contextStack,
+		functionContextCount: functionContextCount,
+		tryCatch: tryCatch,
+		skippedModeCounter: skippedModeCounter,
+		skippedContextStack: skippedContextStack
+	};
+}
+
+/**
+ * Replaces the current execution contexts and global object
+ *
+ * @method
+ * @private
+ */
+function setContextState(state) {
+	globalObject = state.globalObject;
+	contextStack = state.contextStack;
+	functionContextCount = state.functionContextCount;
+	tryCatch = state.tryCatch;
+	skippedModeCounter = state.skippedModeCounter;
+	skippedContextStack = state.skippedContextStack;
+}
+
 /**
  * Initializes the global context with its AST. This must happen AFTER Base.init() is called
  *
@@ -705,6 +948,9 @@ function initGlobalAST(ast) {
 		dn,
 		varAlreadyDeclared;
 
+	// Bind the let and const declarations
+	bindTopLevelLexicalDeclarations(globalContext, ast.body);
+
 	// Find all of the function declarations and bind them
 	for (i = 0, len = functions.length; i < len; i++) {
 		fn = functions[i].name.name;
@@ -788,6 +1034,9 @@ function createModuleContext(ast, strict, createExports, ambiguous) {
 		env.setMutableBinding('module', globalObject);
 	}
 
+	// Bind the let and const declarations
+	bindTopLevelLexicalDeclarations(executionContext, ast.body);
+
 	// Find all of the function declarations and bind them
 	for (i = 0, len = functions.length; i < len; i++) {
 		fn = functions[i].name.name;
@@ -881,6 +1130,9 @@ function createEvalContext(callingContext, code, strict, isDirectEval) {
 	functions = result.functions;
 	variables = result.variables;
 
+	// Bind the let and const declarations
+	bindTopLevelLexicalDeclarations(executionContext, code.body);
+
 	// Find all of the function declarations and bind them
 	for (i = 0, len = functions.length; i < len; i++) {
 		fn = functions[i].name.name;
@@ -938,10 +1190,18 @@ function getGlobalObject() {
  *
  * @method
  * @name module:Base.enterAmbiguousBlock
+ * @param {String} [reason] Why the block is ambiguous, used as the reason for values that become unknown because they
+ *		are written in the block. Defaults to 'ambiguous-branch merge'
+ * @param {module:Base.BaseType} [condition] The unknown condition that made the block ambiguous, if there is one
  */
 exports.enterAmbiguousBlock = enterAmbiguousBlock;
-function enterAmbiguousBlock() {
-	getCurrentContext()._ambiguousBlock++;
+function enterAmbiguousBlock(reason, condition) {
+	var context = getCurrentContext();
+	context._ambiguousBlock++;
+	context._ambiguousBlockCauses.push({
+		reason: reason,
+		condition: condition
+	});
 }
 
 /**
@@ -952,7 +1212,9 @@ function enterAmbiguousBlock() {
  */
 exports.exitAmbiguousBlock = exitAmbiguousBlock;
 function exitAmbiguousBlock() {
-	getCurrentContext()._ambiguousBlock--;
+	var context = getCurrentContext();
+	context._ambiguousBlock--;
+	context._ambiguousBlockCauses.pop();
 }
 
 /**
@@ -966,6 +1228,46 @@ function isAmbiguousBlock() {
 	return !!getCurrentContext()._ambiguousBlock;
 }
 
+/**
+ * Gets why the current block in the current context is ambiguous. If ambiguous blocks are nested, the outermost block
+ * with a reason is used, since it is usually what made the inner blocks ambiguous too.
+ *
+ * @method
+ * @name module:Base.getAmbiguousBlockCause
+ * @returns {Object} The cause, containing the 'reason', which is 'ambiguous-branch merge' if no reason was given when
+ *		entering the blocks, and the unknown 'conditions' of the blocks
+ */
+exports.getAmbiguousBlockCause = getAmbiguousBlockCause;
+function getAmbiguousBlockCause() {
+	var causes = getCurrentContext()._ambiguousBlockCauses,
+		reason,
+		conditions = [],
+		i, len;
+	for (i = 0, len = causes.length; i < len; i++) {
+		reason = reason || causes[i].reason;
+		if (causes[i].condition) {
+			conditions.push(causes[i].condition);
+		}
+	}
+	return {
+		reason: reason || 'ambiguous-branch merge',
+		conditions: conditions
+	};
+}
+
+/**
+ * Checks if the code that called the currently executing native function is in an ambiguous block. Native functions are
+ * run in their own context, so {@link module:Base.isAmbiguousBlock} always returns false inside of them.
+ *
+ * @method
+ * @name module:Base.isCallerInAmbiguousBlock
+ */
+exports.isCallerInAmbiguousBlock = isCallerInAmbiguousBlock;
+function isCallerInAmbiguousBlock() {
+	var callerContext = contextStack[contextStack.length - 2];
+	return !!(callerContext && callerContext._ambiguousBlock);
+}
+
 /**
  * Enters a skipped mode
  *
@@ -1301,11 +1603,14 @@ function createFunctionContext(functionObject, thisArg, argumentsList, scope) {
 		existingProp,
 		descriptor,
 		argsObj,
+		restArray,
 		dn,
 		varAlreadyDeclared;
 
-	// Create the this binding
-	if (functionObject.strict) {
+	// Create the this binding. Arrow functions use the this binding of the context they were created in
+	if (functionObject.lexicalThis) {
+		thisBinding = functionObject.lexicalThis;
+	} else if (functionObject.strict) {
 		thisBinding = thisArg;
 	} else if (thisArgType === 'Null' || thisArgType === 'Undefined') {
 		thisBinding = getGlobalContext().thisBinding;
@@ -1337,6 +1642,21 @@ function createFunctionContext(functionObject, thisArg, argumentsList, scope) {
 		env.setMutableBinding(argName, arg, strict);
 	}
 
+	// Collect the remaining arguments into the rest parameter, if there is one
+	if (functionObject.restParameter) {
+		restArray = new ArrayType();
+		for (i = functionObject.formalParameters.length, len = argumentsList.length; i < len; i++) {
+			restArray.put(i - functionObject.formalParameters.length, argumentsList[i], false);
+		}
+		if (!env.hasBinding(functionObject.restParameter)) {
+			env.createMutableBinding(functionObject.restParameter);
+		}
+		env.setMutableBinding(functionObject.restParameter, restArray, strict);
+	}
+
+	// Bind the let and const declarations
+	bindLexicalDeclarations(env, findLexicalDeclarations(functionObject.code || []));
+
 	// Find all of the function declarations and bind them
 	for (i = 0, len = functions.length; i < len; i++) {
 		fn = functions[i].name.name;
@@ -1363,8 +1683,8 @@ function createFunctionContext(functionObject, thisArg, argumentsList, scope) {
 		env.setMutableBinding(fn, fo, strict);
 	}
 
-	// Initialize the arguments variable
-	if (!env.hasBinding('arguments')) {
+	// Initialize the arguments variable. Arrow functions see the arguments of the function they were created in
+	if (!functionObject.lexicalThis && !env.hasBinding('arguments')) {
 		argsObj = createArgumentsObject(functionObject, functionObject.formalParameters, argumentsList, executionContext.variableEnvironment, strict);
 		if (strict) {
 			env.createImmutableBinding('arguments');
@@ -1415,6 +1735,11 @@ function wrapNativeCall (func, isConstructor) {
 			exitContext();
 		}
 
+		// Unknown results of built-in functions may still have a known type
+		if (!isConstructor && this._resultType && type(result) === 'Unknown' && !result.typeInfo) {
+			result = createTypedUnknown(getResultTypeInfo(this, getTypeInfo(thisVal)), result);
+		}
+
 		return result;
 	};
 }
\ No newline at end of file
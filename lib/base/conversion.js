@@ -1,10 +1,13 @@
 /*global
 type,
+recordStateRead,
 UnknownType,
+createTypedUnknown,
 BooleanType,
 NumberType,
 StringType,
 ObjectType,
+ArrayType,
 UndefinedType,
 prototypes,
 handleRecoverableNativeException,
@@ -39,7 +42,7 @@ function toPrimitive(input, preferredType) {
 		case 'Object':
 			return input.defaultValue(preferredType);
 		case 'Unknown':
-			return new UnknownType();
+			return createTypedUnknown(input.typeInfo && input.typeInfo.type !== 'Object' ? input.typeInfo : undefined, input);
 		default:
 			return input;
 	}
@@ -78,7 +81,7 @@ function toBoolean(input) {
 			newBoolean.value = true;
 			break;
 		case 'Unknown':
-			return new UnknownType();
+			return createTypedUnknown({ type: 'Boolean' }, input);
 	}
 	return newBoolean;
 }
@@ -116,7 +119,12 @@ function toNumber(input) {
 			newNumber = toNumber(toPrimitive(input, 'Number'));
 			break;
 		case 'Unknown':
-			return new UnknownType();
+			if (input.typeInfo && input.typeInfo.type === 'Number') {
+				return createTypedUnknown(input.typeInfo, input);
+			} else if (input.typeInfo && input.typeInfo.type === 'Boolean') {
+				return createTypedUnknown({ type: 'Number', min: 0, max: 1, integer: true }, input);
+			}
+			return createTypedUnknown({ type: 'Number' }, input);
 	}
 	return newNumber;
 }
@@ -133,9 +141,19 @@ function toNumber(input) {
 exports.toInteger = toInteger;
 function toInteger(input) {
 	var newNumber = toNumber(input),
+		typeInfo,
 		sign;
 	if (type(newNumber) === 'Unknown') {
-		return new UnknownType();
+		typeInfo = newNumber.typeInfo;
+		if (typeof typeInfo.min !== 'number') {
+			return createTypedUnknown({ type: 'Number', integer: true }, newNumber);
+		}
+		return createTypedUnknown({
+			type: 'Number',
+			min: toInteger(new NumberType(typeInfo.min)).value,
+			max: toInteger(new NumberType(typeInfo.max)).value,
+			integer: true
+		}, newNumber);
 	} else if (isNaN(newNumber.value)) {
 		newNumber.value = 0;
 	} else {
@@ -145,6 +163,24 @@ function toInteger(input) {
 	return newNumber;
 }
 
+/**
+ * Creates the result of converting an unknown number to an integer in a fixed range. If the number is already known to
+ * be an integer in that range, the conversion doesn't change it and its range is kept.
+ *
+ * @private
+ * @param {module:Base.UnknownType} value The unknown number being converted
+ * @param {Number} min The smallest integer in the range
+ * @param {Number} max The largest integer in the range
+ * @returns {module:Base.UnknownType} The converted unknown number
+ */
+function createIntegerRangeUnknown(value, min, max) {
+	var typeInfo = value.typeInfo;
+	if (typeInfo.integer && typeInfo.min >= min && typeInfo.max <= max) {
+		return createTypedUnknown(typeInfo, value);
+	}
+	return createTypedUnknown({ type: 'Number', min: min, max: max, integer: true }, value);
+}
+
 /**
  * ECMA-262 Spec: <em>The abstract operation ToInt32 converts its argument to one of 2^32 integer values in the range
  * -2^31 through 2^31 - 1, inclusive.</em>
@@ -160,7 +196,7 @@ function toInt32(input) {
 	var newNumber = toNumber(input),
 		sign;
 	if (type(newNumber) === 'Unknown') {
-		return new UnknownType();
+		return createIntegerRangeUnknown(newNumber, -2147483648, 2147483647);
 	} else if (isNaN(newNumber.value) || newNumber.value === Infinity || newNumber.value === -Infinity) {
 		newNumber.value = 0;
 	} else {
@@ -188,7 +224,7 @@ function toUint32(input) {
 	var newNumber = toNumber(input),
 		sign;
 	if (type(newNumber) === 'Unknown') {
-		return new UnknownType();
+		return createIntegerRangeUnknown(newNumber, 0, 4294967295);
 	} else if (isNaN(newNumber.value) || newNumber.value === Infinity || newNumber.value === -Infinity) {
 		newNumber.value = 0;
 	} else {
@@ -213,7 +249,7 @@ function toUint16(input) {
 	var newNumber = toNumber(input),
 		sign;
 	if (type(newNumber) === 'Unknown') {
-		return new UnknownType();
+		return createIntegerRangeUnknown(newNumber, 0, 65535);
 	} else if (isNaN(newNumber.value) || newNumber.value === Infinity || newNumber.value === -Infinity) {
 		newNumber.value = 0;
 	} else {
@@ -237,7 +273,7 @@ function toString(input) {
 	var newString;
 	input = input || new UndefinedType();
 	if (type(input) === 'Unknown') {
-		newString = new UnknownType();
+		newString = createTypedUnknown({ type: 'String' }, input);
 	} else if (type(input) === 'Object') {
 		newString = toString(toPrimitive(input, 'String'));
 	} else {
@@ -299,12 +335,25 @@ function toObject(input) {
 				configurable: true
 			});
 
+			// The string object shares its properties with the primitive, including the character indices
 			newObject._properties = input._properties;
+			newObject._lookupProperty = function _lookupProperty(p) {
+				return input._lookupProperty(p);
+			};
+			newObject._getPropertyNames = function _getPropertyNames() {
+				return input._getPropertyNames();
+			};
 			return newObject;
 		case 'Object':
 			return input;
 		case 'Unknown':
-			return new UnknownType();
+			if (input.typeInfo && isType(input.typeInfo, ['Boolean', 'Number', 'String'])) {
+				return createTypedUnknown({
+					type: 'Object',
+					className: input.typeInfo.type
+				}, input);
+			}
+			return createTypedUnknown(input.typeInfo && input.typeInfo.type === 'Object' ? input.typeInfo : undefined, input);
 		default:
 			handleRecoverableNativeException('TypeError', 'Values of type ' + type(input) + ' cannot be converted to objects');
 			return new UnknownType();
@@ -598,4 +647,66 @@ function abstractEquality(x, y) {
 
 	// Step 9
 	return false;
-}
\ No newline at end of file
+}
+/**
+ * Creates an array from a list of values
+ *
+ * @method
+ * @name module:Base.createArrayFromList
+ * @param {Array[{@link module:Base.BaseType}]} values The values to put in the array
+ * @returns {{@link module:Base.ArrayType}} The new array
+ * @see ECMA-262 6th Edition Chapter 7.3.16
+ */
+exports.createArrayFromList = createArrayFromList;
+function createArrayFromList(values) {
+	var array = new ArrayType(),
+		i, len;
+	for (i = 0, len = values.length; i < len; i++) {
+		array.put(i, values[i], false, true);
+	}
+	return array;
+}
+
+/**
+ * Collects the values produced by iterating over an iterable. Iterators and symbols are not modeled, so Maps produce
+ * [key, value] entry arrays, Sets produce their values, and everything else is treated as an array-like object.
+ *
+ * @method
+ * @name module:Base.iterableToList
+ * @param {module:Base.BaseType} iterable The value to iterate over
+ * @returns {Array[{@link module:Base.BaseType}]|undefined} The iterated values, or undefined if they are unknown
+ * @see ECMA-262 6th Edition Chapter 7.4
+ */
+exports.iterableToList = iterableToList;
+function iterableToList(iterable) {
+	var mapData,
+		o,
+		len,
+		values = [],
+		i;
+
+	if (type(iterable) === 'Object' && iterable._mapData) {
+		recordStateRead(iterable, 'internal', '_mapData');
+		mapData = iterable._mapData;
+		return mapData.isUnknown ? undefined : mapData.keys.map(function (key, i) {
+			return createArrayFromList([key, mapData.values[i]]);
+		});
+	}
+	if (type(iterable) === 'Object' && iterable._setData) {
+		recordStateRead(iterable, 'internal', '_setData');
+		return iterable._setData.isUnknown ? undefined : iterable._setData.values.slice();
+	}
+
+	o = toObject(iterable);
+	if (type(o) === 'Unknown') {
+		return;
+	}
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		return;
+	}
+	for (i = 0, len = toUint32(len).value; i < len; i++) {
+		values.push(o.get(i));
+	}
+	return values;
+}
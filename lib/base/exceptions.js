@@ -42,8 +42,22 @@ function handleRecoverableNativeException(exceptionType, message) {
  */
 exports.throwNativeException = throwNativeException;
 function throwNativeException (exceptionType, message) {
+	throwException(createNativeException(exceptionType, message));
+}
+
+/**
+ * Creates a native exception object without throwing it, e.g. for rejecting a promise
+ *
+ * @method
+ * @name module:Base.createNativeException
+ * @param {String} exceptionType The type of exception, e.g. 'TypeError'
+ * @param {String} message The exception message
+ * @returns {module:Base.ObjectType} The new exception object
+ */
+exports.createNativeException = createNativeException;
+function createNativeException(exceptionType, message) {
 	var exc = getValue(getIdentifierReference(getGlobalContext().variableEnvironment, exceptionType, false));
-	throwException(exc.construct([new StringType(message)]));
+	return exc.construct([new StringType(message)]);
 }
 
 /**
@@ -1,5 +1,6 @@
 /*global
 AST,
+recordImpureOperation,
 Runtime,
 RuleProcessor,
 FunctionTypeBase,
@@ -24,10 +25,13 @@ NullType,
 ArrayType,
 isCallable,
 toInteger,
+toUint32,
 isUndefined,
 wrapNativeCall,
 inTryCatch,
-getCurrentContext
+getCurrentContext,
+createUnknownOrigin,
+randomState
 */
 
 /*****************************************
@@ -115,6 +119,7 @@ function ParseIntFunction(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(ParseIntFunction, FunctionTypeBase);
+ParseIntFunction.prototype._resultType = { type: 'Number' };
 ParseIntFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -148,6 +153,7 @@ function ParseFloatFunction(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ParseFloatFunction, FunctionTypeBase);
+ParseFloatFunction.prototype._resultType = { type: 'Number' };
 ParseFloatFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -177,6 +183,7 @@ function IsNaNFunction(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(IsNaNFunction, FunctionTypeBase);
+IsNaNFunction.prototype._resultType = { type: 'Boolean' };
 IsNaNFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Validate the parameters
@@ -198,6 +205,7 @@ function IsFiniteFunction(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(IsFiniteFunction, FunctionTypeBase);
+IsFiniteFunction.prototype._resultType = { type: 'Boolean' };
 IsFiniteFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Validate the parameters
@@ -219,6 +227,7 @@ function DecodeURIFunction(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(DecodeURIFunction, FunctionTypeBase);
+DecodeURIFunction.prototype._resultType = { type: 'String' };
 DecodeURIFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	var decodedURI;
@@ -253,6 +262,7 @@ function DecodeURIComponentFunction(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(DecodeURIComponentFunction, FunctionTypeBase);
+DecodeURIComponentFunction.prototype._resultType = { type: 'String' };
 DecodeURIComponentFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	var decodedURIComponent;
@@ -287,6 +297,7 @@ function EncodeURIFunction(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(EncodeURIFunction, FunctionTypeBase);
+EncodeURIFunction.prototype._resultType = { type: 'String' };
 EncodeURIFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	var encodedURI;
@@ -321,6 +332,7 @@ function EncodeURIComponentFunction(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(EncodeURIComponentFunction, FunctionTypeBase);
+EncodeURIComponentFunction.prototype._resultType = { type: 'String' };
 EncodeURIComponentFunction.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	var encodedURIComponent;
@@ -363,6 +375,7 @@ function MathAbsFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(MathAbsFunc, FunctionTypeBase);
+MathAbsFunc.prototype._resultType = { type: 'Number' };
 MathAbsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -390,6 +403,7 @@ function MathAcosFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(MathAcosFunc, FunctionTypeBase);
+MathAcosFunc.prototype._resultType = { type: 'Number' };
 MathAcosFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -417,6 +431,7 @@ function MathAsinFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(MathAsinFunc, FunctionTypeBase);
+MathAsinFunc.prototype._resultType = { type: 'Number' };
 MathAsinFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -440,6 +455,7 @@ function MathAtanFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(MathAtanFunc, FunctionTypeBase);
+MathAtanFunc.prototype._resultType = { type: 'Number' };
 MathAtanFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -467,6 +483,7 @@ function MathAtan2Func(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(MathAtan2Func, FunctionTypeBase);
+MathAtan2Func.prototype._resultType = { type: 'Number' };
 MathAtan2Func.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -494,6 +511,7 @@ function MathCeilFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(MathCeilFunc, FunctionTypeBase);
+MathCeilFunc.prototype._resultType = { type: 'Number' };
 MathCeilFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -521,6 +539,7 @@ function MathCosFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(MathCosFunc, FunctionTypeBase);
+MathCosFunc.prototype._resultType = { type: 'Number' };
 MathCosFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -548,6 +567,7 @@ function MathExpFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(MathExpFunc, FunctionTypeBase);
+MathExpFunc.prototype._resultType = { type: 'Number' };
 MathExpFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -575,6 +595,7 @@ function MathFloorFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(MathFloorFunc, FunctionTypeBase);
+MathFloorFunc.prototype._resultType = { type: 'Number' };
 MathFloorFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -604,6 +625,7 @@ function MathLogFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(MathLogFunc, FunctionTypeBase);
+MathLogFunc.prototype._resultType = { type: 'Number' };
 MathLogFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -631,6 +653,7 @@ function MathMaxFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(MathMaxFunc, FunctionTypeBase);
+MathMaxFunc.prototype._resultType = { type: 'Number' };
 MathMaxFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -663,6 +686,7 @@ function MathMinFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(MathMinFunc, FunctionTypeBase);
+MathMinFunc.prototype._resultType = { type: 'Number' };
 MathMinFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -695,6 +719,7 @@ function MathPowFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(MathPowFunc, FunctionTypeBase);
+MathPowFunc.prototype._resultType = { type: 'Number' };
 MathPowFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -723,14 +748,43 @@ function MathRandomFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(MathRandomFunc, FunctionTypeBase);
+MathRandomFunc.prototype._resultType = { type: 'Number', min: 0, max: 1 };
 MathRandomFunc.prototype.callFunction = wrapNativeCall(function callFunction() {
-	if (Runtime.options.exactMode) {
-		return new NumberType(Math.random());
-	} else {
-		return new UnknownType();
+	recordImpureOperation();
+	switch(Runtime.options.determinism) {
+		case 'seeded':
+			return new NumberType(nextSeededRandom());
+		case 'virtual':
+		case 'unknown':
+			return createUnknownOrigin('Math.random');
+		default:
+			return Runtime.options.exactMode ? new NumberType(Math.random()) : createUnknownOrigin('Math.random');
 	}
 });
 
+/**
+ * Creates the state of the seeded random number generator. The seed is scrambled with a multiplier and an increment
+ * first, since a Park-Miller generator started from a small state, such as the seed 42, produces a first number close
+ * to 0, and neighbouring seeds would produce neighbouring sequences.
+ *
+ * @private
+ */
+function createRandomState(seed) {
+	var state = (Math.abs(Math.floor(seed || 0)) % 2147483647 * 2796203 + 1013904223) % 2147483647;
+	return state || 2147483646;
+}
+
+/**
+ * Gets the next number from the seeded random number generator, a Park-Miller "minimal standard" generator, so that
+ * the same seed always produces the same sequence of numbers
+ *
+ * @private
+ */
+function nextSeededRandom() {
+	randomState = randomState * 16807 % 2147483647;
+	return (randomState - 1) / 2147483646;
+}
+
 /**
  * round() prototype method
  *
@@ -741,6 +795,7 @@ function MathRoundFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(MathRoundFunc, FunctionTypeBase);
+MathRoundFunc.prototype._resultType = { type: 'Number' };
 MathRoundFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -768,6 +823,7 @@ function MathSinFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(MathSinFunc, FunctionTypeBase);
+MathSinFunc.prototype._resultType = { type: 'Number' };
 MathSinFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -795,6 +851,7 @@ function MathSqrtFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(MathSqrtFunc, FunctionTypeBase);
+MathSqrtFunc.prototype._resultType = { type: 'Number' };
 MathSqrtFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -822,6 +879,7 @@ function MathTanFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(MathTanFunc, FunctionTypeBase);
+MathTanFunc.prototype._resultType = { type: 'Number' };
 MathTanFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -1056,7 +1114,7 @@ JSONStringifyFunc.prototype.callFunction = wrapNativeCall(function callFunction(
 		if (type(value) === 'Unknown') {
 			throw 'Unknown';
 		}
-		if (type(value) === 'Object' && isCallable(value)) {
+		if (type(value) === 'Object' && !isCallable(value)) {
 			if (value.className === 'Array') {
 				return ja(value);
 			}
@@ -1086,6 +1144,9 @@ JSONStringifyFunc.prototype.callFunction = wrapNativeCall(function callFunction(
 			handleRecoverableNativeException('TypeError', 'Invalid object type');
 			throw 'Unknown';
 		}
+		if (value._hasUnknownProperties) {
+			throw 'Unknown';
+		}
 
 		// Step 2
 		stack.push(value);
@@ -1154,6 +1215,9 @@ JSONStringifyFunc.prototype.callFunction = wrapNativeCall(function callFunction(
 			handleRecoverableNativeException('TypeError', 'Invalid object type');
 			throw 'Unknown';
 		}
+		if (value._hasUnknownProperties) {
+			throw 'Unknown';
+		}
 
 		// Step 2
 		stack.push(value);
@@ -1162,7 +1226,11 @@ JSONStringifyFunc.prototype.callFunction = wrapNativeCall(function callFunction(
 		indent += gap;
 
 		// Step 6
-		len = value.get('length').value;
+		len = value.get('length');
+		if (type(len) === 'Unknown') {
+			throw 'Unknown';
+		}
+		len = toUint32(len).value;
 
 		// Step 8
 		while (index < len) {
@@ -5,6 +5,15 @@ createGlobalContext,
 initGlobalAST,
 prototypes,
 throwTypeError,
+randomState,
+virtualTime,
+VIRTUAL_CLOCK_EPOCH,
+createRandomState,
+promiseJobQueue,
+createPromiseJobQueue,
+functionSummaryStats,
+createFunctionSummaryStats,
+Runtime,
 addReadOnlyProperty,
 FunctionType,
 NumberType,
@@ -18,6 +27,9 @@ FunctionPrototypeType,
 RegExpPrototypeType,
 DatePrototypeType,
 ErrorPrototypeType,
+MapPrototypeType,
+SetPrototypeType,
+PromisePrototypeType,
 NumberConstructor,
 BooleanConstructor,
 StringConstructor,
@@ -27,6 +39,9 @@ FunctionConstructor,
 RegExpConstructor,
 DateConstructor,
 ErrorConstructor,
+MapConstructor,
+SetConstructor,
+PromiseConstructor,
 EvalFunction,
 ParseIntFunction,
 ParseFloatFunction,
@@ -40,7 +55,11 @@ MathObject,
 JSONObject,
 globalObject,
 addNonEnumerableProperty,
-getGlobalContext
+getGlobalContext,
+createContextState,
+getContextState,
+setContextState,
+unknownBranchStack
 */
 
 /*****************************************
@@ -60,6 +79,13 @@ function init(ast) {
 
 	createGlobalContext(ast && RuleProcessor.isBlockStrict(ast));
 
+	// Restart the random number generator and the virtual clock so that every run sees the same values
+	randomState = createRandomState(Runtime.options.seed);
+	virtualTime = VIRTUAL_CLOCK_EPOCH;
+	promiseJobQueue = createPromiseJobQueue();
+	functionSummaryStats = createFunctionSummaryStats();
+	unknownBranchStack.length = 0;
+
 	var globalContext = getGlobalContext(),
 		globalObjects = {};
 
@@ -88,6 +114,11 @@ function init(ast) {
 	prototypes.SyntaxError = new ErrorPrototypeType('SyntaxError');
 	prototypes.TypeError = new ErrorPrototypeType('TypeError');
 	prototypes.URIError = new ErrorPrototypeType('URIError');
+	prototypes.Map = new MapPrototypeType('Map');
+	prototypes.WeakMap = new MapPrototypeType('WeakMap');
+	prototypes.Set = new SetPrototypeType('Set');
+	prototypes.WeakSet = new SetPrototypeType('WeakSet');
+	prototypes.Promise = new PromisePrototypeType();
 
 	// Set the error prototypes
 	prototypes.EvalError.objectPrototype =
@@ -114,6 +145,11 @@ function init(ast) {
 	addNonEnumerableProperty(prototypes.SyntaxError, 'constructor', globalObjects.SyntaxError = new ErrorConstructor('SyntaxError'), false, true);
 	addNonEnumerableProperty(prototypes.TypeError, 'constructor', globalObjects.TypeError = new ErrorConstructor('TypeError'), false, true);
 	addNonEnumerableProperty(prototypes.URIError, 'constructor', globalObjects.URIError = new ErrorConstructor('URIError'), false, true);
+	addNonEnumerableProperty(prototypes.Map, 'constructor', globalObjects.Map = new MapConstructor('Map'), false, true);
+	addNonEnumerableProperty(prototypes.WeakMap, 'constructor', globalObjects.WeakMap = new MapConstructor('WeakMap'), false, true);
+	addNonEnumerableProperty(prototypes.Set, 'constructor', globalObjects.Set = new SetConstructor('Set'), false, true);
+	addNonEnumerableProperty(prototypes.WeakSet, 'constructor', globalObjects.WeakSet = new SetConstructor('WeakSet'), false, true);
+	addNonEnumerableProperty(prototypes.Promise, 'constructor', globalObjects.Promise = new PromiseConstructor(), false, true);
 
 	// Create the throw type error
 	// TODO: this should be FunctionTypeBase
@@ -155,6 +191,11 @@ function init(ast) {
 	addObject('SyntaxError', globalObjects.SyntaxError);
 	addObject('TypeError', globalObjects.TypeError);
 	addObject('URIError', globalObjects.URIError);
+	addObject('Map', globalObjects.Map);
+	addObject('WeakMap', globalObjects.WeakMap);
+	addObject('Set', globalObjects.Set);
+	addObject('WeakSet', globalObjects.WeakSet);
+	addObject('Promise', globalObjects.Promise);
 
 	// Objects
 	addObject('Math', new MathObject());
@@ -164,4 +205,76 @@ function init(ast) {
 	if (ast) {
 		initGlobalAST(ast);
 	}
+}
+
+/**
+ * Creates a new, uninitialized VM state. {@link module:Base.init} must be called after the state is passed to
+ * {@link module:Base.setState} before any code is evaluated.
+ *
+ * @method
+ * @name module:Base.createState
+ * @returns {Object} The new state
+ */
+exports.createState = createState;
+function createState() {
+	return {
+		contexts: createContextState(),
+		throwTypeError: undefined,
+		prototypes: {},
+		randomState: createRandomState(Runtime.options.seed),
+		virtualTime: VIRTUAL_CLOCK_EPOCH,
+		promiseJobQueue: createPromiseJobQueue(),
+		functionSummaryStats: createFunctionSummaryStats()
+	};
+}
+
+/**
+ * Gets the current state of the VM, i.e. the global object, the execution contexts, the built-in prototypes, the
+ * state of the random number generator and virtual clock, the pending promise jobs, and the function summary statistics
+ *
+ * @method
+ * @name module:Base.getState
+ * @returns {Object} The current state
+ */
+exports.getState = getState;
+function getState() {
+	return {
+		contexts: getContextState(),
+		throwTypeError: throwTypeError,
+		prototypes: prototypes,
+		randomState: randomState,
+		virtualTime: virtualTime,
+		promiseJobQueue: promiseJobQueue,
+		functionSummaryStats: functionSummaryStats
+	};
+}
+
+/**
+ * Replaces the current state of the VM
+ *
+ * @method
+ * @name module:Base.setState
+ * @param {Object} state The state to use, as returned by {@link module:Base.createState} or {@link module:Base.getState}
+ */
+exports.setState = setState;
+function setState(state) {
+	setContextState(state.contexts);
+	throwTypeError = state.throwTypeError;
+	prototypes = state.prototypes;
+	randomState = state.randomState;
+	virtualTime = state.virtualTime;
+	promiseJobQueue = state.promiseJobQueue;
+	functionSummaryStats = state.functionSummaryStats;
+}
+
+/**
+ * Resets the VM to its uninitialized state, discarding the global object, all execution contexts, and the built-in
+ * prototypes. {@link module:Base.init} must be called again before any code is evaluated.
+ *
+ * @method
+ * @name module:Base.reset
+ */
+exports.reset = reset;
+function reset() {
+	setState(createState());
 }
\ No newline at end of file
@@ -0,0 +1,754 @@
+/*****************************************
+ *
+ * Branch Merging
+ *
+ *****************************************/
+/*global
+Runtime,
+Map,
+type,
+sameValue,
+isDataDescriptor,
+UndefinedType,
+getCurrentContext,
+inTryCatch,
+getTypeInfo,
+joinTypeInfo,
+createUnknownOrigin,
+recordProvenanceOrigins,
+enterAmbiguousBlock,
+exitAmbiguousBlock,
+journalStack,
+stateSerial,
+unknownBranchStack
+*/
+
+/**
+ * The maximum number of times the body of a widened loop is evaluated while waiting for its state to become stable
+ *
+ * @private
+ */
+var MAX_WIDENING_PASSES = 5;
+
+// ******** State Journal Class ********
+
+/**
+ * @classdesc Records the state of every binding, property, and collection that is changed while a branch is evaluated,
+ * so that the branch can be evaluated as if it was the only branch taken, and then undone. Only the first change to each
+ * location is recorded, which makes the journal a copy-on-write clone of the state the branch started with. Objects and
+ * environments created while the journal is active are not recorded, since they did not exist before the branch.
+ *
+ * @constructor
+ * @private
+ */
+function StateJournal() {
+	this.firstSerial = stateSerial + 1;
+	this._locations = new Map();
+	this._entries = [];
+}
+
+/**
+ * Records the original state of a location, if it hasn't been recorded yet
+ *
+ * @private
+ * @param {Object} target The object, environment record, or collection that is about to be changed
+ * @param {String} kind The kind of location, one of 'property', 'binding', 'internal', or 'promise'
+ * @param {String} name The name of the property, binding, or internal data
+ */
+StateJournal.prototype.record = function record(target, kind, name) {
+	var names = this._locations.get(target),
+		key;
+	name = String(name);
+	key = kind + ':' + name;
+	if (!names) {
+		names = {};
+		this._locations.set(target, names);
+	}
+	if (!names[key]) {
+		names[key] = {
+			target: target,
+			kind: kind,
+			name: name,
+			key: key,
+			original: readState(target, kind, name)
+		};
+		this._entries.push(names[key]);
+	}
+};
+
+/**
+ * Gets the current state of every location that was changed
+ *
+ * @private
+ * @returns {Map} The states, indexed by the target and then by the kind and name of the location
+ */
+StateJournal.prototype.capture = function capture() {
+	var states = new Map();
+	this._entries.forEach(function (entry) {
+		var names = states.get(entry.target);
+		if (!names) {
+			names = {};
+			states.set(entry.target, names);
+		}
+		names[entry.key] = readState(entry.target, entry.kind, entry.name);
+	});
+	return states;
+};
+
+/**
+ * Puts every location that was changed back to its original state
+ *
+ * @private
+ */
+StateJournal.prototype.restore = function restore() {
+	this._entries.forEach(function (entry) {
+		writeState(entry.target, entry.kind, entry.name, entry.original);
+	});
+};
+
+/**
+ * Records that a location is about to be changed in every active state journal. This is called by the methods that
+ * change bindings, properties, and collections before they make the change.
+ *
+ * @method
+ * @name module:Base.recordStateChange
+ * @param {Object} target The object, environment record, or collection that is about to be changed
+ * @param {String} kind The kind of location, one of 'property', 'binding', 'internal' (the data of a collection), or
+ *		'promise' (the state of a promise)
+ * @param {String} name The name of the property, binding, or internal data
+ */
+exports.recordStateChange = recordStateChange;
+function recordStateChange(target, kind, name) {
+	var i = journalStack.length;
+	while (i--) {
+
+		// If the target was created after this journal was started, it was also created after all the outer ones were
+		if (target._serial >= journalStack[i].firstSerial) {
+			return;
+		}
+		journalStack[i].record(target, kind, name);
+	}
+}
+
+/**
+ * Gets a serial number for a newly created object or environment record, used to tell if it was created while a branch
+ * was being evaluated
+ *
+ * @method
+ * @name module:Base.getStateSerial
+ * @returns {Number} The serial number
+ */
+exports.getStateSerial = getStateSerial;
+function getStateSerial() {
+	return ++stateSerial;
+}
+
+/**
+ * Enters a branch of a conditional whose condition is unknown
+ *
+ * @method
+ * @name module:Base.enterUnknownBranch
+ * @param {module:AST.node} conditional The conditional, e.g. an if statement
+ * @param {module:Base.BaseType} condition The unknown condition
+ * @param {Number} branch The index of the branch, e.g. 0 for the body of an if statement and 1 for its else block, or
+ *		the index of the case a switch statement branch starts at
+ */
+exports.enterUnknownBranch = enterUnknownBranch;
+function enterUnknownBranch(conditional, condition, branch) {
+	unknownBranchStack.push({
+		conditional: conditional,
+		condition: condition,
+		branch: branch
+	});
+}
+
+/**
+ * Exits the current branch of a conditional whose condition is unknown
+ *
+ * @method
+ * @name module:Base.exitUnknownBranch
+ */
+exports.exitUnknownBranch = exitUnknownBranch;
+function exitUnknownBranch() {
+	unknownBranchStack.pop();
+}
+
+/**
+ * Gets the branches of conditionals with unknown conditions that the code being evaluated is in, including the
+ * branches that the functions on the call stack were called from. Plugins use this to find out which conditions guard
+ * the current location.
+ *
+ * @method
+ * @name module:Base.getUnknownBranches
+ * @returns {Array[Object]} The branches, outermost first, each containing the 'conditional' AST node, the unknown
+ *		'condition', and the index of the 'branch', as passed to {@link module:Base.enterUnknownBranch}
+ */
+exports.getUnknownBranches = getUnknownBranches;
+function getUnknownBranches() {
+	return unknownBranchStack.slice();
+}
+
+/**
+ * Evaluates each branch of a conditional whose condition is unknown as if it was the only branch taken, and then merges
+ * the state each branch left behind. Locations that were left in the same state by every branch keep that state, and
+ * locations that were not are set to an unknown value with the type that the values have in common. Branches that
+ * throw an exception are left out of the merge, since the code after the conditional is only reached if they aren't
+ * taken. If every branch throws, the last exception is rethrown.
+ *
+ * @method
+ * @name module:Base.evaluateBranches
+ * @param {Array[Function]} branches The branches to evaluate. Each one is called with no arguments and returns its
+ *		result
+ * @param {module:Base.BaseType} condition The unknown condition that selects the branch
+ * @param {module:AST.node} [conditional] The conditional the branches belong to. If given, each branch is entered with
+ *		{@link module:Base.enterUnknownBranch} while it is evaluated
+ * @returns {Array} The result of each branch, or undefined for branches that threw an exception
+ */
+exports.evaluateBranches = evaluateBranches;
+function evaluateBranches(branches, condition, conditional) {
+	var context = getCurrentContext(),
+		ambiguousBlock = context._ambiguousBlock,
+		ambiguousBlockCauseCount = context._ambiguousBlockCauses.length,
+		unknownBranchCount = unknownBranchStack.length,
+		journals = [],
+		states = [],
+		results = [],
+		threw = [],
+		exception,
+		error,
+		i, len;
+
+	for (i = 0, len = branches.length; i < len; i++) {
+		journals[i] = new StateJournal();
+		journalStack.push(journals[i]);
+		if (conditional) {
+			enterUnknownBranch(conditional, condition, i);
+		}
+		try {
+			results[i] = branches[i]();
+		} catch(e) {
+			unknownBranchStack.length = unknownBranchCount;
+			if (!e.isCodeProcessorException) {
+				journalStack.pop();
+				throw e;
+			}
+			threw[i] = true;
+			error = e;
+			exception = Runtime._exception;
+			Runtime._exception = undefined;
+
+			// Ambiguous blocks inside of the branch are not exited when an exception is thrown
+			context._ambiguousBlock = ambiguousBlock;
+			context._ambiguousBlockCauses.length = ambiguousBlockCauseCount;
+		}
+		unknownBranchStack.length = unknownBranchCount;
+		journalStack.pop();
+		states[i] = journals[i].capture();
+		journals[i].restore();
+	}
+
+	// If every branch threw, the exception from the last one is the one that continues on
+	if (threw.filter(Boolean).length === len) {
+		applyStates(journals, [states[len - 1]]);
+		Runtime._exception = exception;
+		throw error;
+	}
+	if (exception && !inTryCatch()) {
+		Runtime.reportError('uncaughtException', getExceptionMessage(exception));
+	}
+
+	applyStates(journals, states.filter(function (state, i) {
+		return !threw[i];
+	}), condition);
+
+	return results;
+}
+
+/**
+ * Merges the results of the branches evaluated by {@link module:Base.evaluateBranches} into the result of the
+ * conditional statement. A return from any branch makes the return value of the current function unknown, the same way
+ * as in an ambiguous block.
+ *
+ * @method
+ * @name module:Base.mergeBranchResults
+ * @param {Array} results The results of the branches
+ * @returns {Array} The result of the conditional statement
+ */
+exports.mergeBranchResults = mergeBranchResults;
+function mergeBranchResults(results) {
+	var context = getCurrentContext(),
+		result = ['normal', undefined, undefined],
+		i, len;
+	for (i = 0, len = results.length; i < len; i++) {
+		if (!results[i]) {
+			continue;
+		}
+		if (results[i][0] === 'return') {
+			context._returnIsUnknown = true;
+			context.variableEnvironment._ambiguousContext = true;
+		} else if (results[i][0] !== 'normal') {
+			return results[i];
+		} else {
+			result = results[i];
+		}
+	}
+	return result;
+}
+
+/**
+ * Merges a set of values that were computed by different branches
+ *
+ * @method
+ * @name module:Base.mergeValues
+ * @param {Array[module:Base.BaseType]} values The values to merge
+ * @param {module:Base.BaseType} [condition] The unknown condition that selected the branch
+ * @returns {module:Base.BaseType} The value, if all of the values are the same, otherwise an unknown value
+ */
+exports.mergeValues = mergeValues;
+function mergeValues(values, condition) {
+	var typeInfo = getTypeInfo(values[0]),
+		merged,
+		i, len;
+	for (i = 1, len = values.length; i < len; i++) {
+		if (!sameValue(values[0], values[i])) {
+			break;
+		}
+	}
+	if (i === len) {
+		return values[0];
+	}
+	for (i = 1, len = values.length; i < len; i++) {
+		typeInfo = joinTypeInfo(typeInfo, getTypeInfo(values[i]));
+	}
+	merged = createUnknownOrigin('ambiguous-branch merge', typeInfo, condition ? values.concat(condition) : values);
+	recordProvenanceOrigins(merged.provenance);
+	return merged;
+}
+
+// ******** Loop Widening ********
+
+/**
+ * Starts recording the locations changed by an iteration of a loop, so that the loop can be widened once the iteration
+ * is complete. The recording must be stopped with {@link module:Base.stopLoopWidening} if the loop ends before it is
+ * widened.
+ *
+ * @method
+ * @name module:Base.startLoopWidening
+ * @returns {Object} The journal of the changed locations, to be passed to {@link module:Base.widenLoop}
+ */
+exports.startLoopWidening = startLoopWidening;
+function startLoopWidening() {
+	var journal = new StateJournal();
+	journalStack.push(journal);
+	return journal;
+}
+
+/**
+ * Stops recording the locations changed by a loop. Stopping a recording that was already stopped, or was never started,
+ * does nothing.
+ *
+ * @method
+ * @name module:Base.stopLoopWidening
+ * @param {Object} [journal] The journal returned by {@link module:Base.startLoopWidening}
+ */
+exports.stopLoopWidening = stopLoopWidening;
+function stopLoopWidening(journal) {
+	var index = journalStack.indexOf(journal);
+	if (index !== -1) {
+		journalStack.splice(index, 1);
+	}
+}
+
+/**
+ * Widens a loop instead of evaluating the rest of its iterations. Every location changed by the recorded iteration is
+ * loop-variant, and is set to an unknown value with the type it had before and after the iteration. Numeric bounds that
+ * moved during the iteration are assumed to keep moving, e.g. a counter that went from 4 to 5 becomes some integer
+ * Number in [4, Infinity). The iteration is then evaluated again as an ambiguous branch, the same way as a conditional
+ * with an unknown condition, widening again until it no longer changes the type of any location, which means the state
+ * covers every remaining iteration of the loop.
+ *
+ * @method
+ * @name module:Base.widenLoop
+ * @param {Object} journal The journal returned by {@link module:Base.startLoopWidening}, after a complete iteration
+ * @param {Function} evaluateIteration Evaluates one iteration of the loop, including its test and update expressions,
+ *		and returns the result of the body
+ * @returns {Array} The result of the loop
+ */
+exports.widenLoop = widenLoop;
+function widenLoop(journal, evaluateIteration) {
+	var context = getCurrentContext(),
+		passes = 0,
+		result;
+
+	function skipIteration() {
+		return ['normal', undefined, undefined];
+	}
+
+	stopLoopWidening(journal);
+	widenStates(journal);
+	do {
+		journal = startLoopWidening();
+		try {
+			if (Runtime.options.ambiguityStrategy === 'merge') {
+				mergeBranchResults(evaluateBranches([evaluateIteration, skipIteration]));
+			} else {
+				enterAmbiguousBlock('loop widening');
+				result = evaluateIteration();
+				exitAmbiguousBlock();
+				if (result[0] === 'return') {
+					context._returnIsUnknown = true;
+					context.variableEnvironment._ambiguousContext = true;
+				}
+			}
+		} finally {
+			stopLoopWidening(journal);
+		}
+	} while (widenStates(journal) && ++passes < MAX_WIDENING_PASSES);
+
+	return ['normal', undefined, undefined];
+}
+
+// ******** Helper Methods ********
+
+/**
+ * Sets every location changed by any of the branches to the merge of the states the branches left it in
+ *
+ * @private
+ */
+function applyStates(journals, states, condition) {
+	var locations = new Map(),
+		entries = [];
+	journals.forEach(function (journal) {
+		journal._entries.forEach(function (entry) {
+			var names = locations.get(entry.target);
+			if (!names) {
+				names = {};
+				locations.set(entry.target, names);
+			}
+			if (!names[entry.key]) {
+				names[entry.key] = true;
+				entries.push(entry);
+			}
+		});
+	});
+	entries.forEach(function (entry) {
+		var entryStates = states.map(function (state) {
+			var names = state.get(entry.target);
+			return names && names.hasOwnProperty(entry.key) ? names[entry.key] : entry.original;
+		});
+		recordStateChange(entry.target, entry.kind, entry.name);
+		writeState(entry.target, entry.kind, entry.name, mergeStates(entry.kind, entryStates, function (values) {
+			return mergeValues(values, condition);
+		}));
+	});
+}
+
+/**
+ * Merges the states of a location, using the given function to merge the values stored in them
+ *
+ * @private
+ */
+function mergeStates(kind, states, merge) {
+	var first,
+		merged,
+		i, len;
+	for (i = 1, len = states.length; i < len; i++) {
+		if (!isSameState(kind, states[0], states[i])) {
+			break;
+		}
+	}
+	if (i === len) {
+		return states[0];
+	}
+
+	first = states.filter(Boolean)[0];
+	if (kind === 'internal') {
+		merged = copyState(kind, first);
+		merged.isUnknown = true;
+	} else if (kind === 'promise') {
+		merged = copyState(kind, first);
+		merged.isHandled = states.some(function (state) {
+			return state.isHandled;
+		});
+		if (states.every(function (state) {
+				return state.state === 'pending';
+			})) {
+			merged.reactions = states.reduce(function (reactions, state) {
+				return reactions.concat(state.reactions.filter(function (reaction) {
+					return reactions.indexOf(reaction) === -1;
+				}));
+			}, []);
+		} else {
+
+			// The reactions of settled promises have already been triggered by the branch that settled them
+			merged.state = 'unknown';
+			merged.value = merge(states.map(function (state) {
+				return state.value || new UndefinedType();
+			}));
+			merged.reactions = [];
+		}
+	} else {
+		merged = copyState(kind, first);
+		if (kind === 'binding' || isDataDescriptor(first)) {
+			merged.value = merge(states.map(function (state) {
+				return state && state.value ? state.value : new UndefinedType();
+			}));
+		}
+	}
+	return merged;
+}
+
+/**
+ * Widens every location changed since a journal was started that isn't stable yet
+ *
+ * @private
+ * @returns {Boolean} Whether or not any location was widened
+ */
+function widenStates(journal) {
+	var widened = false;
+	journal._entries.forEach(function (entry) {
+		var state = readState(entry.target, entry.kind, entry.name);
+		if (!isStableState(entry.kind, entry.original, state)) {
+			widened = true;
+
+			// A property that was added by the iteration is probably added under a different name by each of the rest
+			if (entry.kind === 'property' && !entry.original && state) {
+				entry.target._hasUnknownProperties = true;
+			}
+			recordStateChange(entry.target, entry.kind, entry.name);
+			writeState(entry.target, entry.kind, entry.name, mergeStates(entry.kind, [entry.original, state], widenValues));
+		}
+	});
+	return widened;
+}
+
+/**
+ * Widens the value of a location before and after an iteration of a loop
+ *
+ * @private
+ */
+function widenValues(values) {
+	var before = getTypeInfo(values[0]),
+		after = getTypeInfo(values[1]),
+		typeInfo = joinTypeInfo(before, after),
+		widened;
+	if (sameValue(values[0], values[1])) {
+		return values[0];
+	}
+
+	// Bounds that moved during one iteration are assumed to keep moving during the rest of them
+	if (typeInfo && typeof typeInfo.min === 'number') {
+		if (after.min < before.min) {
+			typeInfo.min = -Infinity;
+		}
+		if (after.max > before.max) {
+			typeInfo.max = Infinity;
+		}
+	}
+	widened = createUnknownOrigin('loop widening', typeInfo, values);
+	recordProvenanceOrigins(widened.provenance);
+	return widened;
+}
+
+/**
+ * Checks if the state of a location didn't change in a way that matters to a widened loop, i.e. it is the same, or is
+ * unknown with the same type as before
+ *
+ * @private
+ */
+function isStableState(kind, x, y) {
+	var p;
+	if (isSameState(kind, x, y)) {
+		return true;
+	}
+	if (!x || !y) {
+		return false;
+	}
+	if (kind === 'internal') {
+		return x.isUnknown && y.isUnknown;
+	}
+	if (kind === 'promise') {
+		return x.state === 'unknown' && y.state === 'unknown' && isSameTypeInfo(getTypeInfo(x.value), getTypeInfo(y.value));
+	}
+	for (p in x) {
+		if (p !== 'value' && x[p] !== y[p]) {
+			return false;
+		}
+	}
+	return type(x.value) === 'Unknown' && type(y.value) === 'Unknown' &&
+		isSameTypeInfo(getTypeInfo(x.value), getTypeInfo(y.value));
+}
+
+/**
+ * Checks if two type informations are the same
+ *
+ * @private
+ */
+function isSameTypeInfo(x, y) {
+	var p;
+	if (!x || !y) {
+		return x === y;
+	}
+	for (p in x) {
+		if (typeof x[p] === 'object' ? !isSameTypeInfo(x[p], y[p]) : x[p] !== y[p]) {
+			return false;
+		}
+	}
+	for (p in y) {
+		if (!(p in x)) {
+			return false;
+		}
+	}
+	return true;
+}
+
+/**
+ * Checks if two states of a location are the same
+ *
+ * @private
+ */
+function isSameState(kind, x, y) {
+	var p;
+	if (!x || !y) {
+		return x === y;
+	}
+	if (kind === 'names') {
+		return x.length === y.length && x.every(function (name, i) {
+			return name === y[i];
+		});
+	}
+	if (kind === 'internal') {
+		if (x.isUnknown !== y.isUnknown) {
+			return false;
+		}
+		for (p in x) {
+			if (Array.isArray(x[p]) && (x[p].length !== y[p].length || x[p].some(function (value, i) {
+					return !sameValue(value, y[p][i]);
+				}))) {
+				return false;
+			}
+		}
+		return true;
+	}
+	if (kind === 'promise') {
+		return x.state === y.state && sameValue(x.value, y.value) && x.isHandled === y.isHandled &&
+			x.reactions.length === y.reactions.length && x.reactions.every(function (reaction, i) {
+				return reaction === y.reactions[i];
+			});
+	}
+	for (p in x) {
+		if (p !== 'value' && p !== 'get' && p !== 'set' && x[p] !== y[p]) {
+			return false;
+		}
+	}
+	return sameValue(x.value, y.value) && x.get === y.get && x.set === y.set;
+}
+
+/**
+ * Reads the state of a location
+ *
+ * @private
+ */
+function readState(target, kind, name) {
+	switch(kind) {
+		case 'property':
+			return copyState(kind, target._lookupProperty(name));
+		case 'binding':
+			return copyState(kind, Object.prototype.hasOwnProperty.call(target._bindings, name) ?
+				target._bindings[name] : undefined);
+		case 'internal':
+			return copyState(kind, target[name]);
+		case 'names':
+			return target._properties.map(function (property) {
+				return property._name;
+			});
+		case 'promise':
+			return copyState(kind, {
+				state: target._promiseState,
+				value: target._promiseValue,
+				reactions: target._promiseReactions,
+				isHandled: target._promiseIsHandled,
+				rejectionLocation: target._promiseRejectionLocation
+			});
+	}
+}
+
+/**
+ * Sets the state of a location. A copy of the state is used, since bindings, property descriptors, and collections are
+ * changed in place.
+ *
+ * @private
+ */
+function writeState(target, kind, name, state) {
+	var i, len;
+	state = copyState(kind, state);
+	switch(kind) {
+		case 'property':
+			for (i = 0, len = target._properties.length; i < len; i++) {
+				if (target._properties[i]._name === name) {
+					break;
+				}
+			}
+			if (state) {
+				target._properties[i] = state;
+			} else if (i < len) {
+				target._properties.splice(i, 1);
+			}
+			break;
+		case 'binding':
+			if (state) {
+				target._bindings[name] = state;
+			} else {
+				delete target._bindings[name];
+			}
+			break;
+		case 'internal':
+			target[name] = state;
+			break;
+		case 'promise':
+			target._promiseState = state.state;
+			target._promiseValue = state.value;
+			target._promiseReactions = state.reactions;
+			target._promiseIsHandled = state.isHandled;
+			target._promiseRejectionLocation = state.rejectionLocation;
+			break;
+	}
+}
+
+/**
+ * Copies the state of a location
+ *
+ * @private
+ */
+function copyState(kind, state) {
+	var copy,
+		p;
+	if (!state) {
+		return;
+	}
+	copy = kind === 'property' ? new state.constructor() : {};
+	for (p in state) {
+		if (state.hasOwnProperty(p)) {
+			copy[p] = kind !== 'property' && Array.isArray(state[p]) ? state[p].slice() : state[p];
+		}
+	}
+	return copy;
+}
+
+/**
+ * Gets the message of an exception thrown by a branch
+ *
+ * @private
+ */
+function getExceptionMessage(exception) {
+	var message;
+	if (type(exception) === 'String') {
+		return exception.value;
+	} else if (type(exception) === 'Object') {
+		message = exception._lookupProperty('message');
+		if (message && type(message.value) === 'String') {
+			return message.value.value;
+		}
+	}
+	return '<unknown>';
+}
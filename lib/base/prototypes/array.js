@@ -17,6 +17,7 @@ toString,
 UndefinedType,
 toInteger,
 strictEquals,
+sameValueZero,
 BooleanType,
 toBoolean,
 ObjectType,
@@ -26,7 +27,10 @@ ObjectProtoIsPrototypeOfFunc,
 ObjectProtoPropertyIsEnumerableFunc,
 addNonEnumerableProperty,
 wrapNativeCall,
-convertToUnknown
+convertToUnknown,
+createTypedUnknown,
+deriveUnknown,
+getTypeInfo
 */
 
 /*****************************************
@@ -35,6 +39,53 @@ convertToUnknown
  *
  *****************************************/
 
+/**
+ * Gets the type of the elements of an array, used as the result type of methods that return one of the elements
+ *
+ * @private
+ * @param {module:Base.TypeInfo} [thisTypeInfo] The type information of the array
+ * @returns {module:Base.TypeInfo|undefined} The type information of the elements, if it is known
+ */
+function getArrayElementTypeInfo(thisTypeInfo) {
+	return thisTypeInfo && thisTypeInfo.elementType;
+}
+
+/**
+ * Gets the type of an array with the same elements as another array, used as the result type of methods that return a
+ * subset or reordering of the elements
+ *
+ * @private
+ * @param {module:Base.TypeInfo} [thisTypeInfo] The type information of the array
+ * @returns {module:Base.TypeInfo} The type information of the new array
+ */
+function getSameArrayTypeInfo(thisTypeInfo) {
+	return thisTypeInfo && thisTypeInfo.className === 'Array' ? thisTypeInfo : {
+		type: 'Object',
+		className: 'Array'
+	};
+}
+
+/**
+ * Calls the callback of an iteration method, such as forEach(), for an array whose length is unknown. Since it isn't
+ * known which elements the callback would be called for, it is called once in an ambiguous context with unknown
+ * elements.
+ *
+ * @private
+ * @param {module:Base.FunctionType} callbackFn The callback
+ * @param {module:Base.BaseType} [thisArg] The this value to call the callback with
+ * @param {Number} argCount The number of arguments to pass to the callback, including the array
+ * @param {module:Base.ObjectType} o The array
+ * @returns {module:Base.UnknownType} The unknown result of the iteration method
+ */
+function callWithUnknownElements(callbackFn, thisArg, argCount, o) {
+	var args = [];
+	while (args.length < argCount - 1) {
+		args.push(new UnknownType());
+	}
+	callbackFn.callFunction(thisArg || new UndefinedType(), args.concat(o), { isAmbiguousContext: true });
+	return new UnknownType();
+}
+
 /**
  * toString() prototype method
  *
@@ -45,6 +96,7 @@ function ArrayProtoToStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ArrayProtoToStringFunc, FunctionTypeBase);
+ArrayProtoToStringFunc.prototype._resultType = { type: 'String' };
 ArrayProtoToStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations,
@@ -81,6 +133,7 @@ function ArrayProtoToLocaleStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ArrayProtoToLocaleStringFunc, FunctionTypeBase);
+ArrayProtoToLocaleStringFunc.prototype._resultType = { type: 'String' };
 ArrayProtoToLocaleStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -102,7 +155,11 @@ ArrayProtoToLocaleStringFunc.prototype.callFunction = wrapNativeCall(function ca
 
 	// Steps 1-4
 	array = toObject(thisVal);
-	len = toUint32(array.get('length')).value;
+	len = array.get('length');
+	if (type(len) === 'Unknown') {
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 	separator = ',';
 	k = 1;
 
@@ -166,6 +223,7 @@ function ArrayProtoConcatFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoConcatFunc, FunctionTypeBase);
+ArrayProtoConcatFunc.prototype._resultType = { type: 'Object', className: 'Array' };
 ArrayProtoConcatFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -196,7 +254,11 @@ ArrayProtoConcatFunc.prototype.callFunction = wrapNativeCall(function callFuncti
 
 		if (e.className === 'Array') { // Step 5.b
 			k = 0;
-			len = e.get('length').value;
+			len = e.get('length');
+			if (type(len) === 'Unknown') {
+				return new UnknownType();
+			}
+			len = len.value;
 			while (k < len) {
 				if (e.hasProperty(k)) {
 					a.defineOwnProperty(n, {
@@ -242,6 +304,7 @@ function ArrayProtoJoinFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoJoinFunc, FunctionTypeBase);
+ArrayProtoJoinFunc.prototype._resultType = { type: 'String' };
 ArrayProtoJoinFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -264,7 +327,11 @@ ArrayProtoJoinFunc.prototype.callFunction = wrapNativeCall(function callFunction
 	// Steps 1-3
 	separator = args[0];
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 	k = 1;
 
 	// Steps 4 and 5
@@ -316,6 +383,7 @@ function ArrayProtoPopFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ArrayProtoPopFunc, FunctionTypeBase);
+ArrayProtoPopFunc.prototype._resultType = getArrayElementTypeInfo;
 ArrayProtoPopFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args, options) {
 
 	// Variable declarations
@@ -336,7 +404,12 @@ ArrayProtoPopFunc.prototype.callFunction = wrapNativeCall(function callFunction(
 
 	// Steps 1-3
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		convertToUnknown(o);
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 
 	// Steps 4 and 5
 	if (len === 0) {
@@ -371,13 +444,15 @@ function ArrayProtoPushFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoPushFunc, FunctionTypeBase);
+ArrayProtoPushFunc.prototype._resultType = { type: 'Number', min: 0, max: Infinity, integer: true };
 ArrayProtoPushFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args, options) {
 
 	// Steps 1-4
 	var o,
 		n,
 		items,
-		lengthNumber;
+		lengthNumber,
+		lengthTypeInfo;
 
 	if (options && options.isAmbiguousContext) {
 		convertToUnknown(thisVal);
@@ -391,7 +466,27 @@ ArrayProtoPushFunc.prototype.callFunction = wrapNativeCall(function callFunction
 
 	// Steps 1-4
 	o = toObject(thisVal);
-	n = toUint32(o.get('length')).value;
+	n = o.get('length');
+	if (type(n) === 'Unknown') {
+
+		// The items are added at indexes that aren't known, but the existing elements stay where they are
+		o._hasUnknownProperties = true;
+		lengthTypeInfo = getTypeInfo(n);
+		lengthNumber = deriveUnknown(createTypedUnknown(lengthTypeInfo && typeof lengthTypeInfo.min === 'number' ? {
+			type: 'Number',
+			min: lengthTypeInfo.min + args.length,
+			max: lengthTypeInfo.max + args.length,
+			integer: true
+		} : ArrayProtoPushFunc.prototype._resultType), 'call to push', [n]);
+		o._addProperty('length', {
+			value: lengthNumber,
+			writable: true,
+			enumerable: false,
+			configurable: false
+		});
+		return lengthNumber;
+	}
+	n = toUint32(n).value;
 	items = args;
 	lengthNumber = new NumberType();
 
@@ -423,6 +518,7 @@ function ArrayProtoReverseFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ArrayProtoReverseFunc, FunctionTypeBase);
+ArrayProtoReverseFunc.prototype._resultType = getSameArrayTypeInfo;
 ArrayProtoReverseFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args, options) {
 
 	// Variable declarations
@@ -448,7 +544,12 @@ ArrayProtoReverseFunc.prototype.callFunction = wrapNativeCall(function callFunct
 
 	// Steps 1-5
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		convertToUnknown(o);
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 	middle = Math.floor(len / 2);
 	lower = 0;
 
@@ -490,6 +591,7 @@ function ArrayProtoShiftFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ArrayProtoShiftFunc, FunctionTypeBase);
+ArrayProtoShiftFunc.prototype._resultType = getArrayElementTypeInfo;
 ArrayProtoShiftFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args, options) {
 
 	// Variable declarations
@@ -512,7 +614,12 @@ ArrayProtoShiftFunc.prototype.callFunction = wrapNativeCall(function callFunctio
 
 	// Steps 1-3
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		convertToUnknown(o);
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 	k = 1;
 
 	// Step 4
@@ -567,6 +674,7 @@ function ArrayProtoSliceFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(ArrayProtoSliceFunc, FunctionTypeBase);
+ArrayProtoSliceFunc.prototype._resultType = getSameArrayTypeInfo;
 ArrayProtoSliceFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -591,7 +699,11 @@ ArrayProtoSliceFunc.prototype.callFunction = wrapNativeCall(function callFunctio
 	end = args[1];
 	o = toObject(thisVal);
 	a = new ArrayType();
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 	relativeStart = toInteger(start).value;
 	k = relativeStart < 0 ? Math.max(len + relativeStart, 0) : Math.min(relativeStart, len);
 	relativeEnd = !end || type(end) === 'Undefined' ? len : toInteger(end).value;
@@ -626,6 +738,7 @@ function ArrayProtoSortFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ArrayProtoSortFunc, FunctionTypeBase);
+ArrayProtoSortFunc.prototype._resultType = getSameArrayTypeInfo;
 ArrayProtoSortFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args, options) {
 
 	// Variable declarations
@@ -646,7 +759,12 @@ ArrayProtoSortFunc.prototype.callFunction = wrapNativeCall(function callFunction
 
 	compareFn = args[0];
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		convertToUnknown(o);
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 	changes = true;
 
 	function swapValues(j, k) {
@@ -818,6 +936,7 @@ function ArrayProtoSpliceFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(ArrayProtoSpliceFunc, FunctionTypeBase);
+ArrayProtoSpliceFunc.prototype._resultType = getSameArrayTypeInfo;
 ArrayProtoSpliceFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args, options) {
 
 	// Variable declarations
@@ -850,7 +969,12 @@ ArrayProtoSpliceFunc.prototype.callFunction = wrapNativeCall(function callFuncti
 	deleteCount = args[1];
 	o = toObject(thisVal);
 	a = new ArrayType();
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		convertToUnknown(o);
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 	relativeStart = toUint32(start).value;
 	actualStart = relativeStart < 0 ? Math.max(len + relativeStart, 0) : Math.min(relativeStart, len);
 	actualDeleteCount = Math.min(Math.max(toInteger(deleteCount).value, 0), len - actualStart);
@@ -940,6 +1064,7 @@ function ArrayProtoUnshiftFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoUnshiftFunc, FunctionTypeBase);
+ArrayProtoUnshiftFunc.prototype._resultType = { type: 'Number', min: 0, max: Infinity, integer: true };
 ArrayProtoUnshiftFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args, options) {
 
 	// Variable declarations
@@ -964,7 +1089,12 @@ ArrayProtoUnshiftFunc.prototype.callFunction = wrapNativeCall(function callFunct
 
 	// Steps 1-5
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		convertToUnknown(o);
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 	argCount = args.length;
 	k = len;
 
@@ -1013,6 +1143,7 @@ function ArrayProtoIndexOfFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoIndexOfFunc, FunctionTypeBase);
+ArrayProtoIndexOfFunc.prototype._resultType = { type: 'Number', min: -1, max: Infinity, integer: true };
 ArrayProtoIndexOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	var searchElement,
@@ -1032,7 +1163,11 @@ ArrayProtoIndexOfFunc.prototype.callFunction = wrapNativeCall(function callFunct
 	searchElement = args[0] || new UndefinedType();
 	fromIndex = args[1] || new NumberType(0);
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 
 	// Step 4
 	if (len === 0) {
@@ -1080,6 +1215,7 @@ function ArrayProtoLastIndexOfFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ArrayProtoLastIndexOfFunc, FunctionTypeBase);
+ArrayProtoLastIndexOfFunc.prototype._resultType = { type: 'Number', min: -1, max: Infinity, integer: true };
 ArrayProtoLastIndexOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -1098,7 +1234,11 @@ ArrayProtoLastIndexOfFunc.prototype.callFunction = wrapNativeCall(function callF
 
 	// Steps 1-3
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
 	searchElement = args[0] || new UndefinedType();
 	fromIndex = args[1] || new NumberType(len - 1);
 	n = len - 1;
@@ -1144,6 +1284,7 @@ function ArrayProtoEveryFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoEveryFunc, FunctionTypeBase);
+ArrayProtoEveryFunc.prototype._resultType = { type: 'Boolean' };
 ArrayProtoEveryFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -1163,7 +1304,7 @@ ArrayProtoEveryFunc.prototype.callFunction = wrapNativeCall(function callFunctio
 	callbackFn = args[0];
 	thisArg = args[1];
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
 	k = 0;
 
 	// Step 4
@@ -1172,6 +1313,12 @@ ArrayProtoEveryFunc.prototype.callFunction = wrapNativeCall(function callFunctio
 		return new UnknownType();
 	}
 
+	// It isn't known which elements the callback would be called for
+	if (type(len) === 'Unknown') {
+		return callWithUnknownElements(callbackFn, args[1], 3, o);
+	}
+	len = toUint32(len).value;
+
 	// Step 5
 	t = callbackFn && type(callbackFn) === 'Undefined' ? callbackFn : new UndefinedType();
 
@@ -1197,6 +1344,7 @@ function ArrayProtoSomeFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoSomeFunc, FunctionTypeBase);
+ArrayProtoSomeFunc.prototype._resultType = { type: 'Boolean' };
 ArrayProtoSomeFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -1216,7 +1364,7 @@ ArrayProtoSomeFunc.prototype.callFunction = wrapNativeCall(function callFunction
 	callbackFn = args[0];
 	thisArg = args[1];
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
 	k = 0;
 
 	if (callbackFn && type(callbackFn) === 'Unknown' || thisArg && type(thisArg) === 'Unknown') {
@@ -1229,6 +1377,12 @@ ArrayProtoSomeFunc.prototype.callFunction = wrapNativeCall(function callFunction
 		return new UnknownType();
 	}
 
+	// It isn't known which elements the callback would be called for
+	if (type(len) === 'Unknown') {
+		return callWithUnknownElements(callbackFn, args[1], 3, o);
+	}
+	len = toUint32(len).value;
+
 	// Step 5
 	t = callbackFn && type(callbackFn) === 'Undefined' ? callbackFn : new UndefinedType();
 
@@ -1254,6 +1408,7 @@ function ArrayProtoForEachFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoForEachFunc, FunctionTypeBase);
+ArrayProtoForEachFunc.prototype._resultType = { type: 'Undefined' };
 ArrayProtoForEachFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -1273,7 +1428,7 @@ ArrayProtoForEachFunc.prototype.callFunction = wrapNativeCall(function callFunct
 	callbackFn = args[0];
 	thisArg = args[1];
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
 	k = 0;
 
 	// Step 4
@@ -1282,6 +1437,12 @@ ArrayProtoForEachFunc.prototype.callFunction = wrapNativeCall(function callFunct
 		return new UnknownType();
 	}
 
+	// It isn't known which elements the callback would be called for
+	if (type(len) === 'Unknown') {
+		return callWithUnknownElements(callbackFn, args[1], 3, o);
+	}
+	len = toUint32(len).value;
+
 	// Step 5
 	t = callbackFn && type(callbackFn) === 'Undefined' ? callbackFn : new UndefinedType();
 
@@ -1307,6 +1468,7 @@ function ArrayProtoMapFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoMapFunc, FunctionTypeBase);
+ArrayProtoMapFunc.prototype._resultType = { type: 'Object', className: 'Array' };
 ArrayProtoMapFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -1327,7 +1489,7 @@ ArrayProtoMapFunc.prototype.callFunction = wrapNativeCall(function callFunction(
 	callbackFn = args[0];
 	thisArg = args[1];
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
 	k = 0;
 
 	// Step 4
@@ -1336,6 +1498,12 @@ ArrayProtoMapFunc.prototype.callFunction = wrapNativeCall(function callFunction(
 		return new UnknownType();
 	}
 
+	// It isn't known which elements the callback would be called for
+	if (type(len) === 'Unknown') {
+		return callWithUnknownElements(callbackFn, args[1], 3, o);
+	}
+	len = toUint32(len).value;
+
 	// Step 5
 	t = callbackFn && type(callbackFn) === 'Undefined' ? callbackFn : new UndefinedType();
 
@@ -1375,6 +1543,7 @@ function ArrayProtoFilterFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ArrayProtoFilterFunc, FunctionTypeBase);
+ArrayProtoFilterFunc.prototype._resultType = getSameArrayTypeInfo;
 ArrayProtoFilterFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -1397,7 +1566,7 @@ ArrayProtoFilterFunc.prototype.callFunction = wrapNativeCall(function callFuncti
 	callbackFn = args[0];
 	thisArg = args[1];
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
 	k = 0;
 	to = 0;
 
@@ -1407,6 +1576,12 @@ ArrayProtoFilterFunc.prototype.callFunction = wrapNativeCall(function callFuncti
 		return new UnknownType();
 	}
 
+	// It isn't known which elements the callback would be called for
+	if (type(len) === 'Unknown') {
+		return callWithUnknownElements(callbackFn, args[1], 3, o);
+	}
+	len = toUint32(len).value;
+
 	// Step 5
 	t = callbackFn && type(callbackFn) === 'Undefined' ? callbackFn : new UndefinedType();
 
@@ -1472,7 +1647,7 @@ ArrayProtoReduceFunc.prototype.callFunction = wrapNativeCall(function callFuncti
 	callbackFn = args[0];
 	initialValue = args[1];
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
+	len = o.get('length');
 	k = 0;
 	to = 0;
 	undef = new UndefinedType();
@@ -1483,6 +1658,12 @@ ArrayProtoReduceFunc.prototype.callFunction = wrapNativeCall(function callFuncti
 		return new UnknownType();
 	}
 
+	// It isn't known which elements the callback would be called for
+	if (type(len) === 'Unknown') {
+		return callWithUnknownElements(callbackFn, undefined, 4, o);
+	}
+	len = toUint32(len).value;
+
 	// Step 5
 	if (len === 0 && !initialValue) {
 		handleRecoverableNativeException('TypeError', 'Missing initial value');
@@ -1551,8 +1732,7 @@ ArrayReduceRightFunc.prototype.callFunction = wrapNativeCall(function callFuncti
 	callbackFn = args[0];
 	initialValue = args[1];
 	o = toObject(thisVal);
-	len = toUint32(o.get('length')).value;
-	k = len - 1;
+	len = o.get('length');
 	to = 0;
 	undef = new UndefinedType();
 
@@ -1562,6 +1742,13 @@ ArrayReduceRightFunc.prototype.callFunction = wrapNativeCall(function callFuncti
 		return new UnknownType();
 	}
 
+	// It isn't known which elements the callback would be called for
+	if (type(len) === 'Unknown') {
+		return callWithUnknownElements(callbackFn, undefined, 4, o);
+	}
+	len = toUint32(len).value;
+	k = len - 1;
+
 	// Step 5
 	if (len === 0 && !initialValue) {
 		handleRecoverableNativeException('TypeError', 'Missing initial value');
@@ -1598,6 +1785,192 @@ ArrayReduceRightFunc.prototype.callFunction = wrapNativeCall(function callFuncti
 	return accumulator;
 });
 
+/**
+ * find() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 22.1.3.8
+ */
+function ArrayProtoFindFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(ArrayProtoFindFunc, FunctionTypeBase);
+ArrayProtoFindFunc.prototype._resultType = getArrayElementTypeInfo;
+ArrayProtoFindFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var predicate,
+		t,
+		o,
+		len,
+		k,
+		kValue,
+		testResult;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Steps 1-5
+	predicate = args[0];
+	o = toObject(thisVal);
+	len = o.get('length');
+
+	// Step 6
+	if (!isCallable(predicate)) {
+		handleRecoverableNativeException('TypeError', 'Callback function is not callable');
+		return new UnknownType();
+	}
+
+	// It isn't known which elements the callback would be called for
+	if (type(len) === 'Unknown') {
+		return callWithUnknownElements(predicate, args[1], 3, o);
+	}
+	len = toUint32(len).value;
+
+	// Step 7
+	t = args[1] || new UndefinedType();
+
+	// Steps 8 and 9
+	for (k = 0; k < len; k++) {
+		kValue = o.get(k);
+		testResult = predicate.callFunction(t, [kValue, new NumberType(k), o]);
+		if (type(testResult) === 'Unknown') {
+			return new UnknownType();
+		}
+		if (toBoolean(testResult).value) {
+			return kValue;
+		}
+	}
+
+	// Step 10
+	return new UndefinedType();
+});
+
+/**
+ * findIndex() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 22.1.3.9
+ */
+function ArrayProtoFindIndexFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(ArrayProtoFindIndexFunc, FunctionTypeBase);
+ArrayProtoFindIndexFunc.prototype._resultType = { type: 'Number', min: -1, max: Infinity, integer: true };
+ArrayProtoFindIndexFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var predicate,
+		t,
+		o,
+		len,
+		k,
+		testResult;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Steps 1-5
+	predicate = args[0];
+	o = toObject(thisVal);
+	len = o.get('length');
+
+	// Step 6
+	if (!isCallable(predicate)) {
+		handleRecoverableNativeException('TypeError', 'Callback function is not callable');
+		return new UnknownType();
+	}
+
+	// It isn't known which elements the callback would be called for
+	if (type(len) === 'Unknown') {
+		return callWithUnknownElements(predicate, args[1], 3, o);
+	}
+	len = toUint32(len).value;
+
+	// Step 7
+	t = args[1] || new UndefinedType();
+
+	// Steps 8 and 9
+	for (k = 0; k < len; k++) {
+		testResult = predicate.callFunction(t, [o.get(k), new NumberType(k), o]);
+		if (type(testResult) === 'Unknown') {
+			return new UnknownType();
+		}
+		if (toBoolean(testResult).value) {
+			return new NumberType(k);
+		}
+	}
+
+	// Step 10
+	return new NumberType(-1);
+});
+
+/**
+ * includes() prototype method
+ *
+ * @private
+ * @see ECMA-262 7th Edition Chapter 22.1.3.11
+ */
+function ArrayProtoIncludesFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(ArrayProtoIncludesFunc, FunctionTypeBase);
+ArrayProtoIncludesFunc.prototype._resultType = { type: 'Boolean' };
+ArrayProtoIncludesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var searchElement,
+		o,
+		len,
+		n = 0,
+		k,
+		elementK;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Steps 1-3
+	searchElement = args[0] || new UndefinedType();
+	o = toObject(thisVal);
+	len = o.get('length');
+	if (type(len) === 'Unknown') {
+		return new UnknownType();
+	}
+	len = toUint32(len).value;
+
+	// Step 4
+	if (len === 0) {
+		return new BooleanType(false);
+	}
+
+	// Steps 5-7
+	if (args[1] && type(args[1]) !== 'Undefined') {
+		n = toInteger(args[1]).value;
+	}
+	k = n >= 0 ? n : Math.max(len + n, 0);
+
+	// Step 8
+	while (k < len) {
+		elementK = o.get(k);
+		if (type(elementK) === 'Unknown') {
+			return new UnknownType();
+		}
+		if (sameValueZero(searchElement, elementK)) {
+			return new BooleanType(true);
+		}
+		k++;
+	}
+
+	// Step 9
+	return new BooleanType(false);
+});
+
 /**
  * @classdesc The prototype for Arrays
  *
@@ -1636,5 +2009,8 @@ function ArrayPrototypeType(className) {
 	addNonEnumerableProperty(this, 'filter', new ArrayProtoFilterFunc(), false, true);
 	addNonEnumerableProperty(this, 'reduce', new ArrayProtoReduceFunc(), false, true);
 	addNonEnumerableProperty(this, 'reduceRight', new ArrayReduceRightFunc(), false, true);
+	addNonEnumerableProperty(this, 'find', new ArrayProtoFindFunc(), false, true);
+	addNonEnumerableProperty(this, 'findIndex', new ArrayProtoFindIndexFunc(), false, true);
+	addNonEnumerableProperty(this, 'includes', new ArrayProtoIncludesFunc(), false, true);
 }
 util.inherits(ArrayPrototypeType, ObjectType);
\ No newline at end of file
@@ -28,6 +28,7 @@ function BooleanProtoToStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(BooleanProtoToStringFunc, FunctionTypeBase);
+BooleanProtoToStringFunc.prototype._resultType = { type: 'String' };
 BooleanProtoToStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Validate the parameters
@@ -58,6 +59,7 @@ function BooleanProtoValueOfFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(BooleanProtoValueOfFunc, FunctionTypeBase);
+BooleanProtoValueOfFunc.prototype._resultType = { type: 'Boolean' };
 BooleanProtoValueOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -6,7 +6,11 @@ NumberType,
 toNumber,
 ObjectType,
 addNonEnumerableProperty,
-wrapNativeCall
+wrapNativeCall,
+UnknownType,
+type,
+areAnyUnknown,
+isAmbiguousBlock
 */
 
 /*****************************************
@@ -25,6 +29,7 @@ function DateProtoToStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoToStringFunc, FunctionTypeBase);
+DateProtoToStringFunc.prototype._resultType = { type: 'String' };
 DateProtoToStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new StringType(thisVal._date.toString());
 });
@@ -39,6 +44,7 @@ function DateProtoToDateStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoToDateStringFunc, FunctionTypeBase);
+DateProtoToDateStringFunc.prototype._resultType = { type: 'String' };
 DateProtoToDateStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new StringType(thisVal._date.toDateString());
 });
@@ -53,6 +59,7 @@ function DateProtoToTimeStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoToTimeStringFunc, FunctionTypeBase);
+DateProtoToTimeStringFunc.prototype._resultType = { type: 'String' };
 DateProtoToTimeStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new StringType(thisVal._date.toTimeString());
 });
@@ -67,6 +74,7 @@ function DateProtoToLocaleStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoToLocaleStringFunc, FunctionTypeBase);
+DateProtoToLocaleStringFunc.prototype._resultType = { type: 'String' };
 DateProtoToLocaleStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new StringType(thisVal._date.toLocaleString());
 });
@@ -81,6 +89,7 @@ function DateProtoToLocaleDateStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoToLocaleDateStringFunc, FunctionTypeBase);
+DateProtoToLocaleDateStringFunc.prototype._resultType = { type: 'String' };
 DateProtoToLocaleDateStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new StringType(thisVal._date.toLocaleDateString());
 });
@@ -95,6 +104,7 @@ function DateProtoToLocaleTimeStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoToLocaleTimeStringFunc, FunctionTypeBase);
+DateProtoToLocaleTimeStringFunc.prototype._resultType = { type: 'String' };
 DateProtoToLocaleTimeStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new StringType(thisVal._date.toLocaleTimeString());
 });
@@ -109,6 +119,7 @@ function DateProtoValueOfFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoValueOfFunc, FunctionTypeBase);
+DateProtoValueOfFunc.prototype._resultType = { type: 'Number' };
 DateProtoValueOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.valueOf());
 });
@@ -123,6 +134,7 @@ function DateProtoGetTimeFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetTimeFunc, FunctionTypeBase);
+DateProtoGetTimeFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetTimeFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getTime());
 });
@@ -137,6 +149,7 @@ function DateProtoGetFullYearFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetFullYearFunc, FunctionTypeBase);
+DateProtoGetFullYearFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetFullYearFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getFullYear());
 });
@@ -151,6 +164,7 @@ function DateProtoGetUTCFullYearFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetUTCFullYearFunc, FunctionTypeBase);
+DateProtoGetUTCFullYearFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetUTCFullYearFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getUTCFullYear());
 });
@@ -165,6 +179,7 @@ function DateProtoGetMonthFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetMonthFunc, FunctionTypeBase);
+DateProtoGetMonthFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetMonthFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getMonth());
 });
@@ -179,6 +194,7 @@ function DateProtoGetUTCMonthFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetUTCMonthFunc, FunctionTypeBase);
+DateProtoGetUTCMonthFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetUTCMonthFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getUTCMonth());
 });
@@ -193,6 +209,7 @@ function DateProtoGetDateFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetDateFunc, FunctionTypeBase);
+DateProtoGetDateFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetDateFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getDate());
 });
@@ -207,6 +224,7 @@ function DateProtoGetUTCDateFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetUTCDateFunc, FunctionTypeBase);
+DateProtoGetUTCDateFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetUTCDateFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getUTCDate());
 });
@@ -221,6 +239,7 @@ function DateProtoGetDayFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetDayFunc, FunctionTypeBase);
+DateProtoGetDayFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetDayFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getDay());
 });
@@ -235,6 +254,7 @@ function DateProtoGetUTCDayFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetUTCDayFunc, FunctionTypeBase);
+DateProtoGetUTCDayFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetUTCDayFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getUTCDay());
 });
@@ -249,6 +269,7 @@ function DateProtoGetHoursFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetHoursFunc, FunctionTypeBase);
+DateProtoGetHoursFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetHoursFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getHours());
 });
@@ -263,6 +284,7 @@ function DateProtoGetUTCHoursFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetUTCHoursFunc, FunctionTypeBase);
+DateProtoGetUTCHoursFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetUTCHoursFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getUTCHours());
 });
@@ -277,6 +299,7 @@ function DateProtoGetMinutesFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetMinutesFunc, FunctionTypeBase);
+DateProtoGetMinutesFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetMinutesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getMinutes());
 });
@@ -291,6 +314,7 @@ function DateProtoGetUTCMinutesFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetUTCMinutesFunc, FunctionTypeBase);
+DateProtoGetUTCMinutesFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetUTCMinutesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getUTCMinutes());
 });
@@ -305,6 +329,7 @@ function DateProtoGetSecondsFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetSecondsFunc, FunctionTypeBase);
+DateProtoGetSecondsFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetSecondsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getSeconds());
 });
@@ -319,6 +344,7 @@ function DateProtoGetUTCSecondsFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetUTCSecondsFunc, FunctionTypeBase);
+DateProtoGetUTCSecondsFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetUTCSecondsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getUTCSeconds());
 });
@@ -333,6 +359,7 @@ function DateProtoGetMillisecondsFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetMillisecondsFunc, FunctionTypeBase);
+DateProtoGetMillisecondsFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetMillisecondsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getMilliseconds());
 });
@@ -347,6 +374,7 @@ function DateProtoGetUTCMillisecondsFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetUTCMillisecondsFunc, FunctionTypeBase);
+DateProtoGetUTCMillisecondsFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetUTCMillisecondsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getUTCMilliseconds());
 });
@@ -361,6 +389,7 @@ function DateProtoGetTimezoneOffsetFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoGetTimezoneOffsetFunc, FunctionTypeBase);
+DateProtoGetTimezoneOffsetFunc.prototype._resultType = { type: 'Number' };
 DateProtoGetTimezoneOffsetFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new NumberType(thisVal._date.getTimezoneOffset());
 });
@@ -375,6 +404,7 @@ function DateProtoSetTimeFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(DateProtoSetTimeFunc, FunctionTypeBase);
+DateProtoSetTimeFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetTimeFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var time = args[0];
 	if (time) {
@@ -393,6 +423,7 @@ function DateProtoSetMillisecondsFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(DateProtoSetMillisecondsFunc, FunctionTypeBase);
+DateProtoSetMillisecondsFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetMillisecondsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var ms = args[0];
 	if (ms) {
@@ -411,6 +442,7 @@ function DateProtoSetUTCMillisecondsFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(DateProtoSetUTCMillisecondsFunc, FunctionTypeBase);
+DateProtoSetUTCMillisecondsFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetUTCMillisecondsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var ms = args[0];
 	if (ms) {
@@ -429,6 +461,7 @@ function DateProtoSetSecondsFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(DateProtoSetSecondsFunc, FunctionTypeBase);
+DateProtoSetSecondsFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetSecondsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var sec = args[0],
 		ms = args[1];
@@ -451,6 +484,7 @@ function DateProtoSetUTCSecondsFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(DateProtoSetUTCSecondsFunc, FunctionTypeBase);
+DateProtoSetUTCSecondsFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetUTCSecondsFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var sec = args[0],
 		ms = args[1];
@@ -473,6 +507,7 @@ function DateProtoSetMinutesFunc(className) {
 	FunctionTypeBase.call(this, 3, className || 'Function');
 }
 util.inherits(DateProtoSetMinutesFunc, FunctionTypeBase);
+DateProtoSetMinutesFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetMinutesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var min = args[0],
 		sec = args[1],
@@ -499,6 +534,7 @@ function DateProtoSetUTCMinutesFunc(className) {
 	FunctionTypeBase.call(this, 3, className || 'Function');
 }
 util.inherits(DateProtoSetUTCMinutesFunc, FunctionTypeBase);
+DateProtoSetUTCMinutesFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetUTCMinutesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var min = args[0],
 		sec = args[1],
@@ -525,6 +561,7 @@ function DateProtoSetHoursFunc(className) {
 	FunctionTypeBase.call(this, 4, className || 'Function');
 }
 util.inherits(DateProtoSetHoursFunc, FunctionTypeBase);
+DateProtoSetHoursFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetHoursFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var hour = args[0],
 		min = args[1],
@@ -555,6 +592,7 @@ function DateProtoSetUTCHoursFunc(className) {
 	FunctionTypeBase.call(this, 4, className || 'Function');
 }
 util.inherits(DateProtoSetUTCHoursFunc, FunctionTypeBase);
+DateProtoSetUTCHoursFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetUTCHoursFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var hour = args[0],
 		min = args[1],
@@ -585,6 +623,7 @@ function DateProtoSetDateFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(DateProtoSetDateFunc, FunctionTypeBase);
+DateProtoSetDateFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetDateFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var date = args[0];
 	if (date) {
@@ -603,6 +642,7 @@ function DateProtoSetUTCDateFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(DateProtoSetUTCDateFunc, FunctionTypeBase);
+DateProtoSetUTCDateFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetUTCDateFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var date = args[0];
 	if (date) {
@@ -621,6 +661,7 @@ function DateProtoSetMonthFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(DateProtoSetMonthFunc, FunctionTypeBase);
+DateProtoSetMonthFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetMonthFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var month = args[0],
 		date = args[1];
@@ -643,6 +684,7 @@ function DateProtoSetUTCMonthFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(DateProtoSetUTCMonthFunc, FunctionTypeBase);
+DateProtoSetUTCMonthFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetUTCMonthFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var month = args[0],
 		date = args[1];
@@ -665,6 +707,7 @@ function DateProtoSetFullYearFunc(className) {
 	FunctionTypeBase.call(this, 3, className || 'Function');
 }
 util.inherits(DateProtoSetFullYearFunc, FunctionTypeBase);
+DateProtoSetFullYearFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetFullYearFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var year = args[0],
 		month = args[1],
@@ -691,6 +734,7 @@ function DateProtoSetUTCFullYearFunc(className) {
 	FunctionTypeBase.call(this, 3, className || 'Function');
 }
 util.inherits(DateProtoSetUTCFullYearFunc, FunctionTypeBase);
+DateProtoSetUTCFullYearFunc.prototype._resultType = { type: 'Number' };
 DateProtoSetUTCFullYearFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 	var year = args[0],
 		month = args[1],
@@ -717,6 +761,7 @@ function DateProtoToUTCStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoToUTCStringFunc, FunctionTypeBase);
+DateProtoToUTCStringFunc.prototype._resultType = { type: 'String' };
 DateProtoToUTCStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new StringType(thisVal._date.toUTCString());
 });
@@ -731,6 +776,7 @@ function DateProtoToISOStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(DateProtoToISOStringFunc, FunctionTypeBase);
+DateProtoToISOStringFunc.prototype._resultType = { type: 'String' };
 DateProtoToISOStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 	return new StringType(thisVal._date.toISOString());
 });
@@ -749,6 +795,27 @@ DateProtoToJSONFunc.prototype.callFunction = wrapNativeCall(function callFunctio
 	return new StringType(thisVal._date.toJSON());
 });
 
+/**
+ * Wraps a date method so that it returns unknown if the date is unknown. Setting part of a date to an unknown value, or
+ * setting it inside of an ambiguous block, makes the entire date unknown.
+ *
+ * @private
+ */
+function wrapDateMethod(name, method) {
+	var callFunction = method.callFunction,
+		isSetter = name.indexOf('set') === 0;
+	method.callFunction = function (thisVal, args) {
+		if (type(thisVal) === 'Unknown' || thisVal._unknownDate) {
+			return new UnknownType();
+		}
+		if (isSetter && (areAnyUnknown(args) || isAmbiguousBlock())) {
+			thisVal._unknownDate = true;
+			return new UnknownType();
+		}
+		return callFunction.apply(this, arguments);
+	};
+}
+
 /**
  * @classdesc The prototype for Errors
  *
@@ -802,5 +869,9 @@ function DatePrototypeType(className) {
 	addNonEnumerableProperty(this, 'toUTCString', new DateProtoToUTCStringFunc(), false, true);
 	addNonEnumerableProperty(this, 'toISOString', new DateProtoToISOStringFunc(), false, true);
 	addNonEnumerableProperty(this, 'toJSON', new DateProtoToJSONFunc(), false, true);
+
+	this._getPropertyNames().forEach(function (name) {
+		wrapDateMethod(name, this._lookupProperty(name).value);
+	}, this);
 }
 util.inherits(DatePrototypeType, ObjectType);
\ No newline at end of file
@@ -27,6 +27,7 @@ function ErrorProtoToStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ErrorProtoToStringFunc, FunctionTypeBase);
+ErrorProtoToStringFunc.prototype._resultType = { type: 'String' };
 ErrorProtoToStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -39,6 +39,7 @@ function FunctionProtoToStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(FunctionProtoToStringFunc, FunctionTypeBase);
+FunctionProtoToStringFunc.prototype._resultType = { type: 'String' };
 FunctionProtoToStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Validate the parameters
@@ -89,7 +90,7 @@ FunctionProtoApplyFunc.prototype.callFunction = wrapNativeCall(function callFunc
 		return new UnknownType();
 	}
 
-	if (type(argArray) === 'Unknown') {
+	if (type(argArray) === 'Unknown' || type(argArray.get('length')) === 'Unknown') {
 		for (i = 0, len = toUint32(this.get('length')).value; i < len; i++) {
 			argList.push(new UnknownType());
 		}
@@ -0,0 +1,462 @@
+/*global
+util,
+FunctionTypeBase,
+areAnyUnknown,
+UnknownType,
+UndefinedType,
+BooleanType,
+NumberType,
+ObjectType,
+type,
+isCallable,
+sameValueZero,
+isCallerInAmbiguousBlock,
+createArrayFromList,
+handleRecoverableNativeException,
+addNonEnumerableProperty,
+wrapNativeCall,
+recordStateChange
+*/
+
+/*****************************************
+ *
+ * Map Prototype Class
+ *
+ *****************************************/
+
+/**
+ * Gets the internal map data for a Map or WeakMap. The map data contains parallel 'keys' and 'values' lists, plus an
+ * 'isUnknown' flag that is set once the contents of the map can no longer be determined (e.g. a key was unknown, or the
+ * map was modified inside of an ambiguous block).
+ *
+ * @private
+ * @param {module:Base.BaseType} thisVal The value to get the map data from
+ * @param {String} methodName The name of the method being called, used for error reporting
+ * @returns {Object|undefined} The map data, or undefined if the value is not a map
+ */
+function getMapData(thisVal, methodName) {
+	if (type(thisVal) !== 'Object' || !thisVal._mapData) {
+		handleRecoverableNativeException('TypeError', 'Method Map.prototype.' + methodName +
+			' called on incompatible receiver');
+		return;
+	}
+	recordStateChange(thisVal, 'internal', '_mapData');
+	return thisVal._mapData;
+}
+
+/**
+ * Finds the index of a key in the map data
+ *
+ * @private
+ * @param {Object} mapData The map data to search
+ * @param {module:Base.BaseType} key The key to look for
+ * @returns {Number} The index of the key, or -1 if it was not found
+ */
+function findMapKey(mapData, key) {
+	var i, len;
+	for (i = 0, len = mapData.keys.length; i < len; i++) {
+		if (sameValueZero(mapData.keys[i], key)) {
+			return i;
+		}
+	}
+	return -1;
+}
+
+/**
+ * Checks if a key is valid for the given map, reporting an error if it isn't. WeakMaps can only hold object keys.
+ *
+ * @private
+ * @param {module:Base.ObjectType} map The map the key is being used with
+ * @param {module:Base.BaseType} key The key to check
+ * @returns {Boolean} Whether or not the key is valid
+ */
+function isValidMapKey(map, key) {
+	if (map.className === 'WeakMap' && type(key) !== 'Object' && type(key) !== 'Unknown') {
+		handleRecoverableNativeException('TypeError', 'Invalid value used as weak map key');
+		return false;
+	}
+	return true;
+}
+
+/**
+ * get() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.1.3.6
+ */
+function MapProtoGetFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(MapProtoGetFunc, FunctionTypeBase);
+MapProtoGetFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var key = args[0] || new UndefinedType(),
+		mapData,
+		index;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Steps 1-4
+	mapData = getMapData(thisVal, 'get');
+	if (!mapData || mapData.isUnknown) {
+		return new UnknownType();
+	}
+
+	// Steps 5-7
+	index = findMapKey(mapData, key);
+	return index === -1 ? new UndefinedType() : mapData.values[index];
+});
+
+/**
+ * set() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.1.3.9
+ */
+function MapProtoSetFunc(className) {
+	FunctionTypeBase.call(this, 2, className || 'Function');
+}
+util.inherits(MapProtoSetFunc, FunctionTypeBase);
+MapProtoSetFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var key = args[0] || new UndefinedType(),
+		value = args[1] || new UndefinedType(),
+		mapData,
+		index;
+
+	// Validate the parameters
+	if (type(thisVal) === 'Unknown') {
+		return new UnknownType();
+	}
+
+	// Steps 1-4
+	mapData = getMapData(thisVal, 'set');
+	if (!mapData || !isValidMapKey(thisVal, key)) {
+		return new UnknownType();
+	}
+
+	// If the key is unknown, or we don't know if this code is run, then we can't know what's in the map anymore
+	if (type(key) === 'Unknown' || isCallerInAmbiguousBlock()) {
+		mapData.isUnknown = true;
+	}
+
+	// Steps 5-11
+	if (type(key) !== 'Unknown') {
+		index = findMapKey(mapData, key);
+		if (index === -1) {
+			mapData.keys.push(key);
+			mapData.values.push(value);
+		} else {
+			mapData.values[index] = value;
+		}
+	}
+	return thisVal;
+});
+
+/**
+ * has() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.1.3.7
+ */
+function MapProtoHasFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(MapProtoHasFunc, FunctionTypeBase);
+MapProtoHasFunc.prototype._resultType = { type: 'Boolean' };
+MapProtoHasFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var mapData;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Steps 1-4
+	mapData = getMapData(thisVal, 'has');
+	if (!mapData || mapData.isUnknown) {
+		return new UnknownType();
+	}
+
+	// Steps 5-7
+	return new BooleanType(findMapKey(mapData, args[0] || new UndefinedType()) !== -1);
+});
+
+/**
+ * delete() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.1.3.3
+ */
+function MapProtoDeleteFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(MapProtoDeleteFunc, FunctionTypeBase);
+MapProtoDeleteFunc.prototype._resultType = { type: 'Boolean' };
+MapProtoDeleteFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var key = args[0] || new UndefinedType(),
+		mapData,
+		index;
+
+	// Validate the parameters
+	if (type(thisVal) === 'Unknown') {
+		return new UnknownType();
+	}
+
+	// Steps 1-4
+	mapData = getMapData(thisVal, 'delete');
+	if (!mapData) {
+		return new UnknownType();
+	}
+	if (type(key) === 'Unknown' || isCallerInAmbiguousBlock()) {
+		mapData.isUnknown = true;
+		return new UnknownType();
+	}
+
+	// Steps 5-7
+	index = findMapKey(mapData, key);
+	if (index === -1) {
+		return mapData.isUnknown ? new UnknownType() : new BooleanType(false);
+	}
+	mapData.keys.splice(index, 1);
+	mapData.values.splice(index, 1);
+	return new BooleanType(true);
+});
+
+/**
+ * clear() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.1.3.1
+ */
+function MapProtoClearFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(MapProtoClearFunc, FunctionTypeBase);
+MapProtoClearFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
+
+	// Variable declarations
+	var mapData;
+
+	// Validate the parameters
+	if (type(thisVal) === 'Unknown') {
+		return new UnknownType();
+	}
+
+	// Steps 1-4
+	mapData = getMapData(thisVal, 'clear');
+	if (!mapData) {
+		return new UnknownType();
+	}
+
+	// Steps 5-7. A clear that may not happen leaves the contents unknown, otherwise the contents are known to be empty
+	if (isCallerInAmbiguousBlock()) {
+		mapData.isUnknown = true;
+	} else {
+		mapData.keys = [];
+		mapData.values = [];
+		mapData.isUnknown = false;
+	}
+	return new UndefinedType();
+});
+
+/**
+ * forEach() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.1.3.5
+ */
+function MapProtoForEachFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(MapProtoForEachFunc, FunctionTypeBase);
+MapProtoForEachFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var callbackFn = args[0],
+		t = args[1] || new UndefinedType(),
+		mapData,
+		keys,
+		values,
+		i, len;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Steps 1-4
+	mapData = getMapData(thisVal, 'forEach');
+	if (!mapData) {
+		return new UnknownType();
+	}
+
+	// Step 5
+	if (!isCallable(callbackFn)) {
+		handleRecoverableNativeException('TypeError', 'Callback function is not callable');
+		return new UnknownType();
+	}
+
+	// Steps 6-8. If the contents are unknown, the callback is still evaluated once so that its body gets analyzed
+	if (mapData.isUnknown) {
+		callbackFn.callFunction(t, [new UnknownType(), new UnknownType(), thisVal], {
+			isAmbiguousContext: true
+		});
+	} else {
+		keys = mapData.keys.slice();
+		values = mapData.values.slice();
+		for (i = 0, len = keys.length; i < len; i++) {
+			callbackFn.callFunction(t, [values[i], keys[i], thisVal]);
+		}
+	}
+
+	// Step 9
+	return new UndefinedType();
+});
+
+/**
+ * keys() prototype method. Iterators are not modeled, so this returns an array of the keys instead.
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.1.3.8
+ */
+function MapProtoKeysFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(MapProtoKeysFunc, FunctionTypeBase);
+MapProtoKeysFunc.prototype._resultType = { type: 'Object', className: 'Array' };
+MapProtoKeysFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
+
+	// Variable declarations
+	var mapData;
+
+	// Validate the parameters
+	if (type(thisVal) === 'Unknown') {
+		return new UnknownType();
+	}
+
+	mapData = getMapData(thisVal, 'keys');
+	return !mapData || mapData.isUnknown ? new UnknownType() : createArrayFromList(mapData.keys);
+});
+
+/**
+ * values() prototype method. Iterators are not modeled, so this returns an array of the values instead.
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.1.3.11
+ */
+function MapProtoValuesFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(MapProtoValuesFunc, FunctionTypeBase);
+MapProtoValuesFunc.prototype._resultType = { type: 'Object', className: 'Array' };
+MapProtoValuesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
+
+	// Variable declarations
+	var mapData;
+
+	// Validate the parameters
+	if (type(thisVal) === 'Unknown') {
+		return new UnknownType();
+	}
+
+	mapData = getMapData(thisVal, 'values');
+	return !mapData || mapData.isUnknown ? new UnknownType() : createArrayFromList(mapData.values);
+});
+
+/**
+ * entries() prototype method. Iterators are not modeled, so this returns an array of [key, value] arrays instead.
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.1.3.4
+ */
+function MapProtoEntriesFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(MapProtoEntriesFunc, FunctionTypeBase);
+MapProtoEntriesFunc.prototype._resultType = { type: 'Object', className: 'Array' };
+MapProtoEntriesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
+
+	// Variable declarations
+	var mapData;
+
+	// Validate the parameters
+	if (type(thisVal) === 'Unknown') {
+		return new UnknownType();
+	}
+
+	mapData = getMapData(thisVal, 'entries');
+	if (!mapData || mapData.isUnknown) {
+		return new UnknownType();
+	}
+	return createArrayFromList(mapData.keys.map(function (key, i) {
+		return createArrayFromList([key, mapData.values[i]]);
+	}));
+});
+
+/**
+ * size getter
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.1.3.10
+ */
+function MapProtoSizeGetterFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(MapProtoSizeGetterFunc, FunctionTypeBase);
+MapProtoSizeGetterFunc.prototype._resultType = { type: 'Number', min: 0, max: Infinity, integer: true };
+MapProtoSizeGetterFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
+
+	// Variable declarations
+	var mapData;
+
+	// Validate the parameters
+	if (type(thisVal) === 'Unknown') {
+		return new UnknownType();
+	}
+
+	mapData = getMapData(thisVal, 'size');
+	return !mapData || mapData.isUnknown ? new UnknownType() : new NumberType(mapData.keys.length);
+});
+
+/**
+ * @classdesc The prototype for Maps and WeakMaps
+ *
+ * @constructor
+ * @param {String} mapType The type of map, either 'Map' or 'WeakMap'
+ * @param {String} [className] The name of the class
+ * @see ECMA-262 6th Edition Chapters 23.1.3 and 23.3.3
+ */
+exports.MapPrototypeType = MapPrototypeType;
+function MapPrototypeType(mapType, className) {
+	ObjectType.call(this, className);
+
+	addNonEnumerableProperty(this, 'get', new MapProtoGetFunc(), false, true);
+	addNonEnumerableProperty(this, 'set', new MapProtoSetFunc(), false, true);
+	addNonEnumerableProperty(this, 'has', new MapProtoHasFunc(), false, true);
+	addNonEnumerableProperty(this, 'delete', new MapProtoDeleteFunc(), false, true);
+
+	// WeakMaps are not enumerable, so they don't get the rest of the methods
+	if (mapType === 'Map') {
+		addNonEnumerableProperty(this, 'clear', new MapProtoClearFunc(), false, true);
+		addNonEnumerableProperty(this, 'forEach', new MapProtoForEachFunc(), false, true);
+		addNonEnumerableProperty(this, 'keys', new MapProtoKeysFunc(), false, true);
+		addNonEnumerableProperty(this, 'values', new MapProtoValuesFunc(), false, true);
+		addNonEnumerableProperty(this, 'entries', new MapProtoEntriesFunc(), false, true);
+		this.defineOwnProperty('size', {
+			get: new MapProtoSizeGetterFunc(),
+			enumerable: false,
+			configurable: true
+		}, false, true);
+	}
+}
+util.inherits(MapPrototypeType, ObjectType);
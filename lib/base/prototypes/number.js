@@ -31,6 +31,7 @@ function NumberProtoToStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(NumberProtoToStringFunc, FunctionTypeBase);
+NumberProtoToStringFunc.prototype._resultType = { type: 'String' };
 NumberProtoToStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -76,6 +77,7 @@ function NumberProtoToLocaleStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(NumberProtoToLocaleStringFunc, FunctionTypeBase);
+NumberProtoToLocaleStringFunc.prototype._resultType = { type: 'String' };
 NumberProtoToLocaleStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
 
 	// Use the built-in method to perform the toLocaleString
@@ -92,6 +94,7 @@ function NumberProtoValueOfFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(NumberProtoValueOfFunc, FunctionTypeBase);
+NumberProtoValueOfFunc.prototype._resultType = { type: 'Number' };
 NumberProtoValueOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Validate the parameters
@@ -119,6 +122,7 @@ function NumberProtoToFixedFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(NumberProtoToFixedFunc, FunctionTypeBase);
+NumberProtoToFixedFunc.prototype._resultType = { type: 'String' };
 NumberProtoToFixedFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -154,6 +158,7 @@ function NumberProtoToExponentialFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(NumberProtoToExponentialFunc, FunctionTypeBase);
+NumberProtoToExponentialFunc.prototype._resultType = { type: 'String' };
 NumberProtoToExponentialFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -189,6 +194,7 @@ function NumberProtoToPrecisionFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(NumberProtoToPrecisionFunc, FunctionTypeBase);
+NumberProtoToPrecisionFunc.prototype._resultType = { type: 'String' };
 NumberProtoToPrecisionFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
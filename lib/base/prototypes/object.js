@@ -34,6 +34,7 @@ function ObjectProtoToStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ObjectProtoToStringFunc, FunctionTypeBase);
+ObjectProtoToStringFunc.prototype._resultType = { type: 'String' };
 ObjectProtoToStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -65,6 +66,7 @@ function ObjectProtoToLocaleStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(ObjectProtoToLocaleStringFunc, FunctionTypeBase);
+ObjectProtoToLocaleStringFunc.prototype._resultType = { type: 'String' };
 ObjectProtoToLocaleStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -118,6 +120,7 @@ function ObjectProtoHasOwnPropertyFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ObjectProtoHasOwnPropertyFunc, FunctionTypeBase);
+ObjectProtoHasOwnPropertyFunc.prototype._resultType = { type: 'Boolean' };
 ObjectProtoHasOwnPropertyFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -147,6 +150,7 @@ function ObjectProtoIsPrototypeOfFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ObjectProtoIsPrototypeOfFunc, FunctionTypeBase);
+ObjectProtoIsPrototypeOfFunc.prototype._resultType = { type: 'Boolean' };
 ObjectProtoIsPrototypeOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -192,6 +196,7 @@ function ObjectProtoPropertyIsEnumerableFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(ObjectProtoPropertyIsEnumerableFunc, FunctionTypeBase);
+ObjectProtoPropertyIsEnumerableFunc.prototype._resultType = { type: 'Boolean' };
 ObjectProtoPropertyIsEnumerableFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
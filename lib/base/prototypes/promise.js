@@ -0,0 +1,86 @@
+/*global
+util,
+FunctionTypeBase,
+UnknownType,
+UndefinedType,
+ObjectType,
+type,
+isPromise,
+performPromiseThen,
+handleRecoverableNativeException,
+addNonEnumerableProperty,
+wrapNativeCall
+*/
+
+/*****************************************
+ *
+ * Promise Prototype Class
+ *
+ *****************************************/
+
+/**
+ * then() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 25.4.5.3
+ */
+function PromiseProtoThenFunc(className) {
+	FunctionTypeBase.call(this, 2, className || 'Function');
+}
+util.inherits(PromiseProtoThenFunc, FunctionTypeBase);
+PromiseProtoThenFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Validate the parameters
+	if (type(thisVal) === 'Unknown') {
+		return new UnknownType();
+	}
+
+	// Steps 1 and 2
+	if (!isPromise(thisVal)) {
+		handleRecoverableNativeException('TypeError', 'Method Promise.prototype.then called on incompatible receiver');
+		return new UnknownType();
+	}
+
+	// Steps 3-6
+	return performPromiseThen(thisVal, args[0] || new UndefinedType(), args[1] || new UndefinedType());
+});
+
+/**
+ * catch() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 25.4.5.1
+ */
+function PromiseProtoCatchFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(PromiseProtoCatchFunc, FunctionTypeBase);
+PromiseProtoCatchFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Validate the parameters
+	if (type(thisVal) === 'Unknown') {
+		return new UnknownType();
+	}
+
+	// Steps 1 and 2
+	if (!isPromise(thisVal)) {
+		handleRecoverableNativeException('TypeError', 'Method Promise.prototype.catch called on incompatible receiver');
+		return new UnknownType();
+	}
+	return performPromiseThen(thisVal, new UndefinedType(), args[0] || new UndefinedType());
+});
+
+/**
+ * @classdesc The prototype for Promises
+ *
+ * @constructor
+ * @see ECMA-262 6th Edition Chapter 25.4.5
+ */
+exports.PromisePrototypeType = PromisePrototypeType;
+function PromisePrototypeType(className) {
+	ObjectType.call(this, className);
+
+	addNonEnumerableProperty(this, 'then', new PromiseProtoThenFunc(), false, true);
+	addNonEnumerableProperty(this, 'catch', new PromiseProtoCatchFunc(), false, true);
+}
+util.inherits(PromisePrototypeType, ObjectType);
@@ -99,6 +99,7 @@ function RegExpProtoTestFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(RegExpProtoTestFunc, FunctionTypeBase);
+RegExpProtoTestFunc.prototype._resultType = { type: 'Boolean' };
 RegExpProtoTestFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Validate the parameters
@@ -119,6 +120,7 @@ function RegExpProtoToStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(RegExpProtoToStringFunc, FunctionTypeBase);
+RegExpProtoToStringFunc.prototype._resultType = { type: 'String' };
 RegExpProtoToStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Validate the parameters
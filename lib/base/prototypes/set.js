@@ -0,0 +1,384 @@
+/*global
+util,
+FunctionTypeBase,
+areAnyUnknown,
+UnknownType,
+UndefinedType,
+BooleanType,
+NumberType,
+ObjectType,
+type,
+isCallable,
+sameValueZero,
+isCallerInAmbiguousBlock,
+createArrayFromList,
+handleRecoverableNativeException,
+addNonEnumerableProperty,
+wrapNativeCall,
+recordStateChange
+*/
+
+/*****************************************
+ *
+ * Set Prototype Class
+ *
+ *****************************************/
+
+/**
+ * Gets the internal set data for a Set or WeakSet. The set data contains a 'values' list, plus an 'isUnknown' flag that
+ * is set once the contents of the set can no longer be determined.
+ *
+ * @private
+ * @param {module:Base.BaseType} thisVal The value to get the set data from
+ * @param {String} methodName The name of the method being called, used for error reporting
+ * @returns {Object|undefined} The set data, or undefined if the value is not a set
+ */
+function getSetData(thisVal, methodName) {
+	if (type(thisVal) !== 'Object' || !thisVal._setData) {
+		handleRecoverableNativeException('TypeError', 'Method Set.prototype.' + methodName +
+			' called on incompatible receiver');
+		return;
+	}
+	recordStateChange(thisVal, 'internal', '_setData');
+	return thisVal._setData;
+}
+
+/**
+ * Finds the index of a value in the set data
+ *
+ * @private
+ * @param {Object} setData The set data to search
+ * @param {module:Base.BaseType} value The value to look for
+ * @returns {Number} The index of the value, or -1 if it was not found
+ */
+function findSetValue(setData, value) {
+	var i, len;
+	for (i = 0, len = setData.values.length; i < len; i++) {
+		if (sameValueZero(setData.values[i], value)) {
+			return i;
+		}
+	}
+	return -1;
+}
+
+/**
+ * add() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.2.3.1
+ */
+function SetProtoAddFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(SetProtoAddFunc, FunctionTypeBase);
+SetProtoAddFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var value = args[0] || new UndefinedType(),
+		setData;
+
+	// Validate the parameters
+	if (type(thisVal) === 'Unknown') {
+		return new UnknownType();
+	}
+
+	// Steps 1-4
+	setData = getSetData(thisVal, 'add');
+	if (!setData) {
+		return new UnknownType();
+	}
+	if (thisVal.className === 'WeakSet' && type(value) !== 'Object' && type(value) !== 'Unknown') {
+		handleRecoverableNativeException('TypeError', 'Invalid value used in weak set');
+		return new UnknownType();
+	}
+
+	// If the value is unknown, or we don't know if this code is run, then we can't know what's in the set anymore
+	if (type(value) === 'Unknown' || isCallerInAmbiguousBlock()) {
+		setData.isUnknown = true;
+	}
+
+	// Steps 5-8
+	if (type(value) !== 'Unknown' && findSetValue(setData, value) === -1) {
+		setData.values.push(value);
+	}
+	return thisVal;
+});
+
+/**
+ * has() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.2.3.7
+ */
+function SetProtoHasFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(SetProtoHasFunc, FunctionTypeBase);
+SetProtoHasFunc.prototype._resultType = { type: 'Boolean' };
+SetProtoHasFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var setData;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Steps 1-4
+	setData = getSetData(thisVal, 'has');
+	if (!setData || setData.isUnknown) {
+		return new UnknownType();
+	}
+
+	// Steps 5-7
+	return new BooleanType(findSetValue(setData, args[0] || new UndefinedType()) !== -1);
+});
+
+/**
+ * delete() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.2.3.4
+ */
+function SetProtoDeleteFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(SetProtoDeleteFunc, FunctionTypeBase);
+SetProtoDeleteFunc.prototype._resultType = { type: 'Boolean' };
+SetProtoDeleteFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var value = args[0] || new UndefinedType(),
+		setData,
+		index;
+
+	// Validate the parameters
+	if (type(thisVal) === 'Unknown') {
+		return new UnknownType();
+	}
+
+	// Steps 1-4
+	setData = getSetData(thisVal, 'delete');
+	if (!setData) {
+		return new UnknownType();
+	}
+	if (type(value) === 'Unknown' || isCallerInAmbiguousBlock()) {
+		setData.isUnknown = true;
+		return new UnknownType();
+	}
+
+	// Steps 5-7
+	index = findSetValue(setData, value);
+	if (index === -1) {
+		return setData.isUnknown ? new UnknownType() : new BooleanType(false);
+	}
+	setData.values.splice(index, 1);
+	return new BooleanType(true);
+});
+
+/**
+ * clear() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.2.3.2
+ */
+function SetProtoClearFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(SetProtoClearFunc, FunctionTypeBase);
+SetProtoClearFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
+
+	// Variable declarations
+	var setData;
+
+	// Validate the parameters
+	if (type(thisVal) === 'Unknown') {
+		return new UnknownType();
+	}
+
+	// Steps 1-4
+	setData = getSetData(thisVal, 'clear');
+	if (!setData) {
+		return new UnknownType();
+	}
+
+	// Steps 5-7. A clear that may not happen leaves the contents unknown, otherwise the contents are known to be empty
+	if (isCallerInAmbiguousBlock()) {
+		setData.isUnknown = true;
+	} else {
+		setData.values = [];
+		setData.isUnknown = false;
+	}
+	return new UndefinedType();
+});
+
+/**
+ * forEach() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.2.3.6
+ */
+function SetProtoForEachFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(SetProtoForEachFunc, FunctionTypeBase);
+SetProtoForEachFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var callbackFn = args[0],
+		t = args[1] || new UndefinedType(),
+		setData,
+		values,
+		i, len;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Steps 1-4
+	setData = getSetData(thisVal, 'forEach');
+	if (!setData) {
+		return new UnknownType();
+	}
+
+	// Step 5
+	if (!isCallable(callbackFn)) {
+		handleRecoverableNativeException('TypeError', 'Callback function is not callable');
+		return new UnknownType();
+	}
+
+	// Steps 6-8. If the contents are unknown, the callback is still evaluated once so that its body gets analyzed
+	if (setData.isUnknown) {
+		callbackFn.callFunction(t, [new UnknownType(), new UnknownType(), thisVal], {
+			isAmbiguousContext: true
+		});
+	} else {
+		values = setData.values.slice();
+		for (i = 0, len = values.length; i < len; i++) {
+			callbackFn.callFunction(t, [values[i], values[i], thisVal]);
+		}
+	}
+
+	// Step 9
+	return new UndefinedType();
+});
+
+/**
+ * values() prototype method, which is also used for keys(). Iterators are not modeled, so this returns an array of the
+ * values instead.
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.2.3.10
+ */
+function SetProtoValuesFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(SetProtoValuesFunc, FunctionTypeBase);
+SetProtoValuesFunc.prototype._resultType = { type: 'Object', className: 'Array' };
+SetProtoValuesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
+
+	// Variable declarations
+	var setData;
+
+	// Validate the parameters
+	if (type(thisVal) === 'Unknown') {
+		return new UnknownType();
+	}
+
+	setData = getSetData(thisVal, 'values');
+	return !setData || setData.isUnknown ? new UnknownType() : createArrayFromList(setData.values);
+});
+
+/**
+ * entries() prototype method. Iterators are not modeled, so this returns an array of [value, value] arrays instead.
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.2.3.5
+ */
+function SetProtoEntriesFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(SetProtoEntriesFunc, FunctionTypeBase);
+SetProtoEntriesFunc.prototype._resultType = { type: 'Object', className: 'Array' };
+SetProtoEntriesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
+
+	// Variable declarations
+	var setData;
+
+	// Validate the parameters
+	if (type(thisVal) === 'Unknown') {
+		return new UnknownType();
+	}
+
+	setData = getSetData(thisVal, 'entries');
+	if (!setData || setData.isUnknown) {
+		return new UnknownType();
+	}
+	return createArrayFromList(setData.values.map(function (value) {
+		return createArrayFromList([value, value]);
+	}));
+});
+
+/**
+ * size getter
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 23.2.3.9
+ */
+function SetProtoSizeGetterFunc(className) {
+	FunctionTypeBase.call(this, 0, className || 'Function');
+}
+util.inherits(SetProtoSizeGetterFunc, FunctionTypeBase);
+SetProtoSizeGetterFunc.prototype._resultType = { type: 'Number', min: 0, max: Infinity, integer: true };
+SetProtoSizeGetterFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal) {
+
+	// Variable declarations
+	var setData;
+
+	// Validate the parameters
+	if (type(thisVal) === 'Unknown') {
+		return new UnknownType();
+	}
+
+	setData = getSetData(thisVal, 'size');
+	return !setData || setData.isUnknown ? new UnknownType() : new NumberType(setData.values.length);
+});
+
+/**
+ * @classdesc The prototype for Sets and WeakSets
+ *
+ * @constructor
+ * @param {String} setType The type of set, either 'Set' or 'WeakSet'
+ * @param {String} [className] The name of the class
+ * @see ECMA-262 6th Edition Chapters 23.2.3 and 23.4.3
+ */
+exports.SetPrototypeType = SetPrototypeType;
+function SetPrototypeType(setType, className) {
+
+	// Variable declarations
+	var values;
+
+	ObjectType.call(this, className);
+
+	addNonEnumerableProperty(this, 'add', new SetProtoAddFunc(), false, true);
+	addNonEnumerableProperty(this, 'has', new SetProtoHasFunc(), false, true);
+	addNonEnumerableProperty(this, 'delete', new SetProtoDeleteFunc(), false, true);
+
+	// WeakSets are not enumerable, so they don't get the rest of the methods
+	if (setType === 'Set') {
+		values = new SetProtoValuesFunc();
+		addNonEnumerableProperty(this, 'clear', new SetProtoClearFunc(), false, true);
+		addNonEnumerableProperty(this, 'forEach', new SetProtoForEachFunc(), false, true);
+		addNonEnumerableProperty(this, 'values', values, false, true);
+		addNonEnumerableProperty(this, 'keys', values, false, true);
+		addNonEnumerableProperty(this, 'entries', new SetProtoEntriesFunc(), false, true);
+		this.defineOwnProperty('size', {
+			get: new SetProtoSizeGetterFunc(),
+			enumerable: false,
+			configurable: true
+		}, false, true);
+	}
+}
+util.inherits(SetPrototypeType, ObjectType);
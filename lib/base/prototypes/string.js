@@ -18,6 +18,7 @@ ArrayType,
 isCallable,
 UndefinedType,
 toUint32,
+BooleanType,
 ObjectType,
 addNonEnumerableProperty,
 wrapNativeCall
@@ -39,6 +40,7 @@ function StringProtoToStringFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(StringProtoToStringFunc, FunctionTypeBase);
+StringProtoToStringFunc.prototype._resultType = { type: 'String' };
 StringProtoToStringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Validate the parameters
@@ -69,6 +71,7 @@ function StringProtoValueOfFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(StringProtoValueOfFunc, FunctionTypeBase);
+StringProtoValueOfFunc.prototype._resultType = { type: 'String' };
 StringProtoValueOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Validate the parameters
@@ -97,6 +100,7 @@ function StringProtoCharAtFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(StringProtoCharAtFunc, FunctionTypeBase);
+StringProtoCharAtFunc.prototype._resultType = { type: 'String' };
 StringProtoCharAtFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	var pos = args[0],
@@ -126,6 +130,7 @@ function StringProtoCharCodeAtFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(StringProtoCharCodeAtFunc, FunctionTypeBase);
+StringProtoCharCodeAtFunc.prototype._resultType = { type: 'Number' };
 StringProtoCharCodeAtFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -161,6 +166,7 @@ function StringProtoConcatFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(StringProtoConcatFunc, FunctionTypeBase);
+StringProtoConcatFunc.prototype._resultType = { type: 'String' };
 StringProtoConcatFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	var s,
@@ -192,6 +198,7 @@ function StringProtoIndexOfFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(StringProtoIndexOfFunc, FunctionTypeBase);
+StringProtoIndexOfFunc.prototype._resultType = { type: 'Number', min: -1, max: Infinity, integer: true };
 StringProtoIndexOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -232,6 +239,7 @@ function StringProtoLastIndexOfFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(StringProtoLastIndexOfFunc, FunctionTypeBase);
+StringProtoLastIndexOfFunc.prototype._resultType = { type: 'Number', min: -1, max: Infinity, integer: true };
 StringProtoLastIndexOfFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -273,6 +281,7 @@ function StringProtoLocaleCompareFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(StringProtoLocaleCompareFunc, FunctionTypeBase);
+StringProtoLocaleCompareFunc.prototype._resultType = { type: 'Number' };
 StringProtoLocaleCompareFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -374,6 +383,7 @@ function StringProtoReplaceFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(StringProtoReplaceFunc, FunctionTypeBase);
+StringProtoReplaceFunc.prototype._resultType = { type: 'String' };
 StringProtoReplaceFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -444,6 +454,7 @@ function StringProtoSearchFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(StringProtoSearchFunc, FunctionTypeBase);
+StringProtoSearchFunc.prototype._resultType = { type: 'Number', min: -1, max: Infinity, integer: true };
 StringProtoSearchFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -496,6 +507,7 @@ function StringProtoSliceFunc(className) {
 	FunctionTypeBase.call(this, 1, className || 'Function');
 }
 util.inherits(StringProtoSliceFunc, FunctionTypeBase);
+StringProtoSliceFunc.prototype._resultType = { type: 'String' };
 StringProtoSliceFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -534,6 +546,7 @@ function StringProtoSplitFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(StringProtoSplitFunc, FunctionTypeBase);
+StringProtoSplitFunc.prototype._resultType = { type: 'Object', className: 'Array', elementType: { type: 'String' } };
 StringProtoSplitFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -594,6 +607,7 @@ function StringProtoSubstringFunc(className) {
 	FunctionTypeBase.call(this, 2, className || 'Function');
 }
 util.inherits(StringProtoSubstringFunc, FunctionTypeBase);
+StringProtoSubstringFunc.prototype._resultType = { type: 'String' };
 StringProtoSubstringFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -632,6 +646,7 @@ function StringProtoToLowerCaseFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(StringProtoToLowerCaseFunc, FunctionTypeBase);
+StringProtoToLowerCaseFunc.prototype._resultType = { type: 'String' };
 StringProtoToLowerCaseFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -663,6 +678,7 @@ function StringProtoToLocaleLowerCaseFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(StringProtoToLocaleLowerCaseFunc, FunctionTypeBase);
+StringProtoToLocaleLowerCaseFunc.prototype._resultType = { type: 'String' };
 StringProtoToLocaleLowerCaseFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -693,6 +709,7 @@ function StringProtoToUpperCaseFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(StringProtoToUpperCaseFunc, FunctionTypeBase);
+StringProtoToUpperCaseFunc.prototype._resultType = { type: 'String' };
 StringProtoToUpperCaseFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -723,6 +740,7 @@ function StringProtoToLocaleUpperCaseFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(StringProtoToLocaleUpperCaseFunc, FunctionTypeBase);
+StringProtoToLocaleUpperCaseFunc.prototype._resultType = { type: 'String' };
 StringProtoToLocaleUpperCaseFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -753,6 +771,7 @@ function StringProtoTrimFunc(className) {
 	FunctionTypeBase.call(this, 0, className || 'Function');
 }
 util.inherits(StringProtoTrimFunc, FunctionTypeBase);
+StringProtoTrimFunc.prototype._resultType = { type: 'String' };
 StringProtoTrimFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
 
 	// Variable declarations
@@ -773,6 +792,134 @@ StringProtoTrimFunc.prototype.callFunction = wrapNativeCall(function callFunctio
 	return new StringType(s.trim());
 });
 
+/**
+ * startsWith() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 21.1.3.18
+ */
+function StringProtoStartsWithFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(StringProtoStartsWithFunc, FunctionTypeBase);
+StringProtoStartsWithFunc.prototype._resultType = { type: 'Boolean' };
+StringProtoStartsWithFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var searchString = args[0],
+		position = args[1],
+		s,
+		searchStr,
+		start;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Steps 1-3
+	checkObjectCoercible(thisVal);
+	s = toString(thisVal).value;
+
+	// Steps 4-6
+	if (type(searchString) === 'Object' && searchString.className === 'RegExp') {
+		handleRecoverableNativeException('TypeError', 'First argument must not be a regular expression');
+		return new UnknownType();
+	}
+	searchStr = toString(searchString).value;
+
+	// Steps 7-10
+	start = Math.min(Math.max(isDefined(position) ? toInteger(position).value : 0, 0), s.length);
+
+	// Steps 11-14
+	return new BooleanType(s.substring(start, start + searchStr.length) === searchStr);
+});
+
+/**
+ * endsWith() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 21.1.3.6
+ */
+function StringProtoEndsWithFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(StringProtoEndsWithFunc, FunctionTypeBase);
+StringProtoEndsWithFunc.prototype._resultType = { type: 'Boolean' };
+StringProtoEndsWithFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var searchString = args[0],
+		endPosition = args[1],
+		s,
+		searchStr,
+		end,
+		start;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Steps 1-3
+	checkObjectCoercible(thisVal);
+	s = toString(thisVal).value;
+
+	// Steps 4-6
+	if (type(searchString) === 'Object' && searchString.className === 'RegExp') {
+		handleRecoverableNativeException('TypeError', 'First argument must not be a regular expression');
+		return new UnknownType();
+	}
+	searchStr = toString(searchString).value;
+
+	// Steps 7-10
+	end = isDefined(endPosition) && type(endPosition) !== 'Undefined' ? toInteger(endPosition).value : s.length;
+	end = Math.min(Math.max(end, 0), s.length);
+
+	// Steps 11-15
+	start = end - searchStr.length;
+	return new BooleanType(start >= 0 && s.substring(start, end) === searchStr);
+});
+
+/**
+ * includes() prototype method
+ *
+ * @private
+ * @see ECMA-262 6th Edition Chapter 21.1.3.7
+ */
+function StringProtoIncludesFunc(className) {
+	FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(StringProtoIncludesFunc, FunctionTypeBase);
+StringProtoIncludesFunc.prototype._resultType = { type: 'Boolean' };
+StringProtoIncludesFunc.prototype.callFunction = wrapNativeCall(function callFunction(thisVal, args) {
+
+	// Variable declarations
+	var searchString = args[0],
+		position = args[1],
+		s,
+		searchStr;
+
+	// Validate the parameters
+	if (areAnyUnknown((args || []).concat(thisVal))) {
+		return new UnknownType();
+	}
+
+	// Steps 1-3
+	checkObjectCoercible(thisVal);
+	s = toString(thisVal).value;
+
+	// Steps 4-6
+	if (type(searchString) === 'Object' && searchString.className === 'RegExp') {
+		handleRecoverableNativeException('TypeError', 'First argument must not be a regular expression');
+		return new UnknownType();
+	}
+	searchStr = toString(searchString).value;
+
+	// Steps 7-12
+	return new BooleanType(s.indexOf(searchStr, isDefined(position) ? toInteger(position).value : 0) !== -1);
+});
+
 /**
  * @classdesc The prototype for Strings
  *
@@ -804,5 +951,8 @@ function StringPrototypeType(className) {
 	addNonEnumerableProperty(this, 'toUpperCase', new StringProtoToUpperCaseFunc(), false, true);
 	addNonEnumerableProperty(this, 'toLocaleUpperCase', new StringProtoToLocaleUpperCaseFunc(), false, true);
 	addNonEnumerableProperty(this, 'trim', new StringProtoTrimFunc(), false, true);
+	addNonEnumerableProperty(this, 'startsWith', new StringProtoStartsWithFunc(), false, true);
+	addNonEnumerableProperty(this, 'endsWith', new StringProtoEndsWithFunc(), false, true);
+	addNonEnumerableProperty(this, 'includes', new StringProtoIncludesFunc(), false, true);
 }
 util.inherits(StringPrototypeType, ObjectType);
\ No newline at end of file
@@ -0,0 +1,414 @@
+/*****************************************
+ *
+ * Function Summaries
+ *
+ *****************************************/
+/*global
+Runtime,
+Map,
+type,
+isPrimitive,
+sameValue,
+getTypeInfo,
+StateJournal,
+readState,
+writeState,
+isSameState,
+isSameTypeInfo,
+recordStateChange,
+journalStack,
+stateSerial,
+summaryStack,
+functionSummaryStats
+*/
+
+/**
+ * The most summaries that are kept for each function, and the most locations a summary can depend on
+ *
+ * @private
+ */
+var MAX_FUNCTION_SUMMARIES = 8,
+	MAX_SUMMARY_DEPENDENCIES = 1000,
+
+	// Set while the state of a location is being read on behalf of a summary, so that the read itself isn't recorded
+	isReadingState = false;
+
+// ******** Summary Recorder Class ********
+
+/**
+ * @classdesc Records what a function call read and changed, so that the call can be summarized once it returns. Reads
+ * and changes of objects and environments created during the call are not recorded, since they can't be seen by the
+ * caller. The journal of the changes doubles as the list of locations that were written before they were read, whose
+ * original state the call also depends on.
+ *
+ * @constructor
+ * @private
+ */
+function SummaryRecorder(func, key) {
+	this.func = func;
+	this.key = key;
+	this.firstSerial = stateSerial + 1;
+	this.effectCount = Runtime.getEffectCount();
+	this.journal = new StateJournal();
+	this.isPure = true;
+	this._locations = new Map();
+	this._dependencies = [];
+}
+
+/**
+ * Records the state of a location the first time it is read, unless the call already changed it
+ *
+ * @private
+ * @param {Object} target The object, environment record, or collection being read
+ * @param {String} kind The kind of location, one of 'property', 'binding', 'names' (the property names of an object), or
+ *		'internal'
+ * @param {String} name The name of the property, binding, or internal data
+ */
+SummaryRecorder.prototype.record = function record(target, kind, name) {
+	var names = this._locations.get(target),
+		changed,
+		key = kind + ':' + name;
+	if (!this.isPure) {
+		return;
+	}
+	if (!names) {
+		names = {};
+		this._locations.set(target, names);
+	}
+	if (!names[key]) {
+		names[key] = true;
+		changed = this.journal._locations.get(target);
+		if (!changed || !changed[key]) {
+			this._dependencies.push({
+				target: target,
+				kind: kind,
+				name: name,
+				state: readState(target, kind, name)
+			});
+			if (this._dependencies.length > MAX_SUMMARY_DEPENDENCIES) {
+				this.isPure = false;
+			}
+		}
+	}
+};
+
+/**
+ * Records that a location is about to be read in every function summary being recorded. This is called by the methods
+ * that look up bindings and properties.
+ *
+ * @method
+ * @name module:Base.recordStateRead
+ * @param {Object} target The object, environment record, or collection being read
+ * @param {String} kind The kind of location, one of 'property', 'binding', 'names' (the property names of an object), or
+ *		'internal' (the data of a collection)
+ * @param {String} name The name of the property, binding, or internal data
+ */
+exports.recordStateRead = recordStateRead;
+function recordStateRead(target, kind, name) {
+	var i = summaryStack.length;
+	if (!i || isReadingState) {
+		return;
+	}
+	isReadingState = true;
+	name = String(name);
+	while (i--) {
+
+		// If the target was created during this call, it was also created during all of the calls that are outside of it
+		if (target._serial >= summaryStack[i].firstSerial) {
+			break;
+		}
+		summaryStack[i].record(target, kind, name);
+	}
+	isReadingState = false;
+}
+
+/**
+ * Records that an operation whose result can't be reproduced, such as reading the clock or generating a random number,
+ * was performed, which means that none of the function calls in progress can be summarized
+ *
+ * @method
+ * @name module:Base.recordImpureOperation
+ */
+exports.recordImpureOperation = recordImpureOperation;
+function recordImpureOperation() {
+	var i = summaryStack.length;
+	while (i--) {
+		summaryStack[i].isPure = false;
+	}
+}
+
+// ******** Summary Methods ********
+
+/**
+ * Looks for a summary of a previous call to a function that can be reused for this call, i.e. one that was called with
+ * the same this value and arguments, and whose dependencies are all still in the same state. Primitive values are the
+ * same if they are equal, objects if they are the same object, and unknown values if they have the same type.
+ *
+ * @method
+ * @name module:Base.findFunctionSummary
+ * @param {module:Base.FunctionType} func The function being called
+ * @param {module:Base.BaseType} thisVal The value of <code>this</code> of the call
+ * @param {Array[module:Base.BaseType]} args The arguments of the call
+ * @param {Boolean} isAmbiguousContext Whether or not the function is being called as an ambiguous function
+ * @returns {Object|undefined} The summary, if one can be reused, to be passed to
+ *		{@link module:Base.applyFunctionSummary}
+ */
+exports.findFunctionSummary = findFunctionSummary;
+function findFunctionSummary(func, thisVal, args, isAmbiguousContext) {
+	var summaries = func._summaries,
+		key,
+		summary,
+		i;
+	if (!Runtime.options.functionSummaries) {
+		return;
+	}
+	if (summaries) {
+		key = createSummaryKey(func, thisVal, args, isAmbiguousContext);
+		isReadingState = true;
+		for (i = summaries.length - 1; i >= 0; i--) {
+			if (isSameSummaryKey(summaries[i].key, key) && summaries[i].dependencies.every(isDependencyUnchanged)) {
+				summary = summaries[i];
+				break;
+			}
+		}
+		isReadingState = false;
+	}
+	if (summary) {
+		functionSummaryStats.hits++;
+	} else {
+		functionSummaryStats.misses++;
+	}
+	return summary;
+}
+
+/**
+ * Applies a summary found by {@link module:Base.findFunctionSummary} in place of calling the function, by making the
+ * same changes the summarized call did
+ *
+ * @method
+ * @name module:Base.applyFunctionSummary
+ * @param {Object} summary The summary to apply
+ * @returns {module:Base.BaseType} The return value of the summarized call
+ */
+exports.applyFunctionSummary = applyFunctionSummary;
+function applyFunctionSummary(summary) {
+
+	// The calls that this one is nested in depend on the same locations
+	summary.dependencies.forEach(function (dependency) {
+		recordStateRead(dependency.target, dependency.kind, dependency.name);
+	});
+	summary.effects.forEach(function (effect) {
+		recordStateChange(effect.target, effect.kind, effect.name);
+		writeState(effect.target, effect.kind, effect.name, effect.state);
+	});
+	return summary.result;
+}
+
+/**
+ * Starts recording a call to a function, so that it can be summarized once it returns. The recording must be stopped
+ * with {@link module:Base.stopFunctionSummary} whether or not the call returns normally.
+ *
+ * @method
+ * @name module:Base.startFunctionSummary
+ * @param {module:Base.FunctionType} func The function being called
+ * @param {module:Base.BaseType} thisVal The value of <code>this</code> of the call
+ * @param {Array[module:Base.BaseType]} args The arguments of the call
+ * @param {Boolean} isAmbiguousContext Whether or not the function is being called as an ambiguous function
+ * @returns {Object|undefined} The recorder, or undefined if function summaries are disabled
+ */
+exports.startFunctionSummary = startFunctionSummary;
+function startFunctionSummary(func, thisVal, args, isAmbiguousContext) {
+	var recorder;
+	if (!Runtime.options.functionSummaries) {
+		return;
+	}
+	recorder = new SummaryRecorder(func, createSummaryKey(func, thisVal, args, isAmbiguousContext));
+	summaryStack.push(recorder);
+	journalStack.push(recorder.journal);
+	return recorder;
+}
+
+/**
+ * Stops recording a call to a function. Stopping a recording that was already stopped, or was never started, does
+ * nothing.
+ *
+ * @method
+ * @name module:Base.stopFunctionSummary
+ * @param {Object} [recorder] The recorder returned by {@link module:Base.startFunctionSummary}
+ */
+exports.stopFunctionSummary = stopFunctionSummary;
+function stopFunctionSummary(recorder) {
+	var index = summaryStack.indexOf(recorder);
+	if (index !== -1) {
+		summaryStack.splice(index, 1);
+		journalStack.splice(journalStack.indexOf(recorder.journal), 1);
+	}
+}
+
+/**
+ * Saves the summary of a call to a function that returned normally. The call is not summarized if it was impure, had an
+ * effect outside of the VM (see {@link module:Runtime.getEffectCount}), changed a collection or a promise, or if its
+ * return value, or any value it stored in a location that existed before the call, is an object created during the call,
+ * since reusing the summary would share that object between calls that would each have created their own.
+ *
+ * @method
+ * @name module:Base.saveFunctionSummary
+ * @param {Object} [recorder] The recorder returned by {@link module:Base.startFunctionSummary}, after the recording was
+ *		stopped
+ * @param {module:Base.BaseType} result The return value of the call
+ */
+exports.saveFunctionSummary = saveFunctionSummary;
+function saveFunctionSummary(recorder, result) {
+	var effects = [],
+		dependencies,
+		summaries,
+		i, len,
+		entry,
+		state;
+
+	// Primitive values are created with a serial too, but can't be told apart from copies of themselves, so only objects
+	// created during the call count
+	function isCreatedDuringCall(value) {
+		return !!value && type(value) === 'Object' && value._serial >= recorder.firstSerial;
+	}
+
+	if (!recorder || !recorder.isPure || Runtime.getEffectCount() !== recorder.effectCount ||
+			isCreatedDuringCall(result)) {
+		return;
+	}
+	for (i = 0, len = recorder.journal._entries.length; i < len; i++) {
+		entry = recorder.journal._entries[i];
+		if (entry.kind !== 'property' && entry.kind !== 'binding') {
+			return;
+		}
+		state = readState(entry.target, entry.kind, entry.name);
+		if (state && (isCreatedDuringCall(state.value) || isCreatedDuringCall(state.get) || isCreatedDuringCall(state.set))) {
+			return;
+		}
+		effects.push({
+			target: entry.target,
+			kind: entry.kind,
+			name: entry.name,
+			state: state
+		});
+	}
+
+	dependencies = recorder._dependencies.concat(recorder.journal._entries.map(function (entry) {
+		return {
+			target: entry.target,
+			kind: entry.kind,
+			name: entry.name,
+			state: entry.original
+		};
+	}));
+
+	summaries = recorder.func._summaries = recorder.func._summaries || [];
+	if (summaries.length === MAX_FUNCTION_SUMMARIES) {
+		summaries.shift();
+	}
+	summaries.push({
+		key: recorder.key,
+		dependencies: dependencies,
+		effects: effects,
+		result: result
+	});
+}
+
+/**
+ * Gets how many function calls reused a summary of a previous call, and how many didn't
+ *
+ * @method
+ * @name module:Base.getFunctionSummaryStats
+ * @returns {Object} The statistics, containing the number of 'hits' and 'misses', and the 'hitRatio', which is 0 if no
+ *		function was called
+ */
+exports.getFunctionSummaryStats = getFunctionSummaryStats;
+function getFunctionSummaryStats() {
+	var calls = functionSummaryStats.hits + functionSummaryStats.misses;
+	return {
+		hits: functionSummaryStats.hits,
+		misses: functionSummaryStats.misses,
+		hitRatio: calls ? functionSummaryStats.hits / calls : 0
+	};
+}
+
+// ******** Helper Methods ********
+
+/**
+ * Creates the statistics of a new run
+ *
+ * @private
+ */
+function createFunctionSummaryStats() {
+	return {
+		hits: 0,
+		misses: 0
+	};
+}
+
+/**
+ * Creates the key that identifies the calls a summary can be reused for. Besides the this value and arguments, the
+ * ambiguity of the call and of the environments the function closes over are part of the key, since they decide if the
+ * values the function writes become unknown.
+ *
+ * @private
+ */
+function createSummaryKey(func, thisVal, args, isAmbiguousContext) {
+	var environment = func.scope,
+		closureState = '';
+	while (environment) {
+		closureState += environment._ambiguousContext ? '1' : '0';
+		environment = environment.outer;
+	}
+	return {
+		values: [thisVal].concat(args),
+		isAmbiguousContext: isAmbiguousContext,
+		closureState: closureState
+	};
+}
+
+/**
+ * Checks if two summary keys are the same
+ *
+ * @private
+ */
+function isSameSummaryKey(x, y) {
+	var i, len;
+	if (x.isAmbiguousContext !== y.isAmbiguousContext || x.closureState !== y.closureState ||
+			x.values.length !== y.values.length) {
+		return false;
+	}
+	for (i = 0, len = x.values.length; i < len; i++) {
+		if (!isSameSummaryValue(x.values[i], y.values[i])) {
+			return false;
+		}
+	}
+	return true;
+}
+
+/**
+ * Checks if two values passed to a function are the same, as far as the function can tell
+ *
+ * @private
+ */
+function isSameSummaryValue(x, y) {
+	if (x === y) {
+		return true;
+	}
+	if (!x || !y || type(x) !== type(y)) {
+		return false;
+	}
+	if (type(x) === 'Unknown') {
+		return isSameTypeInfo(getTypeInfo(x), getTypeInfo(y));
+	}
+	return isPrimitive(x) && sameValue(x, y);
+}
+
+/**
+ * Checks if a location a summary depends on is still in the state the summarized call saw
+ *
+ * @private
+ */
+function isDependencyUnchanged(dependency) {
+	return isSameState(dependency.kind, dependency.state, readState(dependency.target, dependency.kind, dependency.name));
+}
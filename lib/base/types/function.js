@@ -7,6 +7,7 @@ NumberType,
 handleRecoverableNativeException,
 type,
 UnknownType,
+createUnknownOrigin,
 throwNativeException,
 throwTypeError,
 createFunctionContext,
@@ -17,7 +18,12 @@ isAmbiguousBlock,
 exitContext,
 getModuleContext,
 cloneValue,
-cloneDescriptor
+cloneDescriptor,
+findFunctionSummary,
+applyFunctionSummary,
+startFunctionSummary,
+stopFunctionSummary,
+saveFunctionSummary
 */
 
 /*****************************************
@@ -146,6 +152,8 @@ FunctionTypeBase.prototype.hasInstance = function hasInstance(v) {
 exports.FunctionType = FunctionType;
 function FunctionType(formalParameterList, ast, lexicalEnvironment, strict, className) {
 
+	var lastArgument;
+
 	// Steps 3 (implicit), 4, 13, 14, and 15 covered in the parent constructor
 	FunctionTypeBase.call(this, formalParameterList ? formalParameterList.length : 0, className);
 
@@ -159,6 +167,12 @@ function FunctionType(formalParameterList, ast, lexicalEnvironment, strict, clas
 	this.code = ast && ast.body;
 	this._ast = ast;
 
+	// Store the name of the rest parameter, if there is one, which is not included in the formal parameters
+	lastArgument = ast && ast.argnames && ast.argnames[ast.argnames.length - 1];
+	if (lastArgument && lastArgument.TYPE === 'SymbolRest') {
+		this.restParameter = lastArgument.name;
+	}
+
 	// Store whether or not this is strict mode for easy access later
 	this.strict = strict;
 
@@ -191,7 +205,8 @@ util.inherits(FunctionType, FunctionTypeBase);
 // ******** Function Type Class ********
 
 /**
- * Calls the function
+ * Calls the function. If the function was called before with the same arguments, and nothing it read has changed since,
+ * the summary of the previous call is reused instead of evaluating the body again.
  *
  * @method
  * @name module:Base.FunctionType#callFunction
@@ -206,9 +221,11 @@ FunctionType.prototype.callFunction = function callFunction(thisVal, args, optio
 
 	var funcCtx,
 		result,
+		summary,
+		recorder,
 		i, j,
 		len,
-		inAmbiguousBlock = isAmbiguousBlock();
+		isAmbiguousContext = !!(options && options.isAmbiguousContext) || isAmbiguousBlock();
 
 	function skippedNodeCallback (node) {
 		node._skipped = !node._visited;
@@ -216,9 +233,12 @@ FunctionType.prototype.callFunction = function callFunction(thisVal, args, optio
 
 	if (!Runtime.options.invokeMethods && !(options && options.alwaysInvoke)) {
 		result = new UnknownType();
+	} else if (summary = findFunctionSummary(this, thisVal, args || [], isAmbiguousContext)) {
+		result = applyFunctionSummary(summary);
 	} else {
+		recorder = startFunctionSummary(this, thisVal, args || [], isAmbiguousContext);
 		funcCtx = createFunctionContext(this, thisVal, args || []);
-		funcCtx.lexicalEnvironment._ambiguousContext = !!(options && options.isAmbiguousContext) || inAmbiguousBlock;
+		funcCtx.lexicalEnvironment._ambiguousContext = isAmbiguousContext;
 
 		// Execute the function body
 		try {
@@ -243,6 +263,7 @@ FunctionType.prototype.callFunction = function callFunction(thisVal, args, optio
 		} finally {
 			// Exit the context
 			exitContext();
+			stopFunctionSummary(recorder);
 		}
 
 		// Process the results
@@ -252,7 +273,8 @@ FunctionType.prototype.callFunction = function callFunction(thisVal, args, optio
 			} else {
 				result = new UndefinedType();
 			}
-			result = funcCtx._returnIsUnknown ? new UnknownType() : result;
+			result = funcCtx._returnIsUnknown ? createUnknownOrigin('ambiguous-branch merge') : result;
+			saveFunctionSummary(recorder, result);
 		}
 	}
 
@@ -269,9 +291,18 @@ FunctionType.prototype.callFunction = function callFunction(thisVal, args, optio
  * @see ECMA-262 Spec Chapter 13.2.2
  */
 FunctionType.prototype.construct = function construct(args) {
-	var obj = new ObjectType(),
-		proto = this.get('prototype'),
+	var obj,
+		proto,
 		result;
+
+	// Arrow functions can't be used as constructors
+	if (this.lexicalThis) {
+		handleRecoverableNativeException('TypeError', 'Arrow functions are not constructors');
+		return new UnknownType();
+	}
+
+	obj = new ObjectType();
+	proto = this.get('prototype');
 	obj.extensible = true;
 
 	// Hook up the prototype
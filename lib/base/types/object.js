@@ -12,6 +12,8 @@ BaseType,
 prototypes,
 util,
 UnknownType,
+createUnknownWrite,
+createUnknownOrigin,
 handleRecoverableNativeException,
 isPrimitive,
 sameValue,
@@ -25,7 +27,9 @@ ArrayPrototypeType,
 FunctionPrototypeType,
 RegExpPrototypeType,
 DatePrototypeType,
-ErrorPrototypeType
+ErrorPrototypeType,
+getStateSerial,
+recordStateChange
 */
 
 /*****************************************
@@ -211,6 +215,11 @@ function ObjectType(className, value, dontCreatePrototype) {
 	this.type = 'Object';
 
 	this._properties = [];
+	this._serial = getStateSerial();
+
+	// Set once properties may have been added whose names aren't known, e.g. by a push onto an array whose length is
+	// unknown. It is never cleared, even if the branch that set it is undone, which only makes the object less precise.
+	this._hasUnknownProperties = false;
 }
 util.inherits(ObjectType, BaseType);
 
@@ -230,7 +239,8 @@ util.inherits(ObjectType, BaseType);
  * @name module:Base.ObjectType#get
  * @param {String} p The name of the property to fetch
  * @returns {{@link module:Base.BaseType}} The value of the property, or a new instance of
- *		{@link module:Base.UndefinedType} if the property does not exist
+ *		{@link module:Base.UndefinedType} if the property does not exist, or an unknown value if it does not exist but
+ *		the object has properties whose names are unknown
  * @see ECMA-262 Spec Chapter 8.12.3
  */
 ObjectType.prototype.get = function get(p) {
@@ -243,6 +253,8 @@ ObjectType.prototype.get = function get(p) {
 		} else {
 			result = desc.get && desc.get.className !== 'Undefined' ? desc.get.callFunction(this) : new UndefinedType();
 		}
+	} else if (this._hasUnknownProperties) {
+		result = createUnknownOrigin('unknown property "' + p + '"');
 	}
 
 	this.fireEvent('propertyReferenced', 'Property "' + p + '" was referenced', {
@@ -556,11 +568,21 @@ ObjectType.prototype.defineOwnProperty = function defineOwnProperty(p, desc, thr
 		descKeys = Object.keys(desc),
 		i;
 
+	// The current descriptor may be changed in place below, so it has to be recorded first
+	recordStateChange(this, 'property', p);
+
 	if (isDataDescriptor(desc)) {
 		desc.value = desc.value || new UndefinedType();
 		desc.value._updateClosure(this._closure);
 		if (type(desc.value) === 'Unknown' || !desc.value._isLocal() || isAmbiguousBlock()) {
 			newProp = new DataPropertyDescriptor();
+
+			// Keep the attributes of the property being replaced, so that it can still be written to afterwards
+			if (isDataDescriptor(current)) {
+				newProp.configurable = current.configurable;
+				newProp.enumerable = current.enumerable;
+				newProp.writable = current.writable;
+			}
 			if (isDefined(desc.configurable)) {
 				newProp.configurable = desc.configurable;
 			}
@@ -570,7 +592,8 @@ ObjectType.prototype.defineOwnProperty = function defineOwnProperty(p, desc, thr
 			if (isDefined(desc.writable)) {
 				newProp.writable = desc.writable;
 			}
-			newProp.value = new UnknownType();
+			newProp.value = createUnknownWrite(current && current.value, desc.value,
+				!desc.value._isLocal() || isAmbiguousBlock());
 			this._addProperty(p, newProp);
 			return true;
 		}
@@ -7,6 +7,7 @@ type,
 handleRecoverableNativeException,
 toObject,
 UnknownType,
+createUnknownOrigin,
 isUndefined,
 UndefinedType,
 isDataDescriptor,
@@ -153,7 +154,7 @@ function getValue(v) {
 	}
 	if (isUnresolvableReference(v)) {
 		handleRecoverableNativeException('ReferenceError', '"' + v.referencedName + '" is not defined');
-		return new UnknownType();
+		return createUnknownOrigin('undefined variable "' + v.referencedName + '"');
 	}
 
 	base = getBase(v);
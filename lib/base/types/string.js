@@ -70,7 +70,7 @@ StringType.prototype._lookupProperty = function _lookupProperty(p) {
 	index = +p;
 
 	// Step 4
-	if (Math.abs(index) + '' !== p) {
+	if (Math.abs(index) + '' !== p + '') {
 		return;
 	}
 
@@ -1,7 +1,12 @@
 /*global
 util,
 Runtime,
-BaseType
+BaseType,
+prototypes,
+type,
+getAmbiguousBlockCause,
+MAX_PROVENANCE_DEPTH,
+MAX_PROVENANCE_ORIGINS
 */
 
 /*****************************************
@@ -28,5 +33,581 @@ function UnknownType(className) {
 	}
 	BaseType.call(this, className || 'Unknown');
 	this.type = 'Unknown';
+	this.provenance = {
+		location: currentLocation
+	};
+}
+util.inherits(UnknownType, BaseType);
+
+/*****************************************
+ *
+ * Unknown Type Information
+ *
+ *****************************************/
+
+/**
+ * Describes what is known about the type of a value whose content is unknown, such as "some String" or "some Number in
+ * [0, Infinity)". Type information forms a lattice: an undefined type information is the top of the lattice and means
+ * that the value could be anything, and {@link module:Base.joinTypeInfo} finds the most specific type information
+ * that describes two values.
+ *
+ * @typedef {Object} module:Base.TypeInfo
+ * @property {String} type The type of the value, one of 'Undefined', 'Null', 'Boolean', 'Number', 'String', or 'Object'
+ * @property {String} [className] The class of an object, such as 'Array', 'Function', or 'Titanium.UI.View'
+ * @property {Number} [min] The smallest value a number can have, if it is known
+ * @property {Number} [max] The largest value a number can have, if it is known
+ * @property {Boolean} [integer] Whether or not a number is known to be an integer
+ * @property {module:Base.TypeInfo} [elementType] The type of the elements of an array
+ * @property {module:Base.TypeInfo} [returnType] The type of the value returned by a function
+ */
+
+/**
+ * Creates an unknown value whose content is unknown, but whose type may be known
+ *
+ * @method
+ * @name module:Base.createTypedUnknown
+ * @param {module:Base.TypeInfo} [typeInfo] What is known about the type of the value. If omitted, the value could be
+ *		anything, same as <code>new UnknownType()</code>
+ * @param {module:Base.UnknownType} [source] The unknown value that the new value was converted or copied from, if any.
+ *		The new value shares the provenance of the source
+ * @returns {module:Base.UnknownType} The new unknown value
+ */
+exports.createTypedUnknown = createTypedUnknown;
+function createTypedUnknown(typeInfo, source) {
+	var value = new UnknownType();
+	if (typeInfo) {
+		value.typeInfo = typeInfo;
+	}
+	if (source && source.provenance) {
+		value.provenance = source.provenance;
+	}
+	return value;
+}
+
+/**
+ * Gets the type information for a value. Known values have exact type information, e.g. a number's range is just the
+ * number itself.
+ *
+ * @method
+ * @name module:Base.getTypeInfo
+ * @param {module:Base.BaseType} [value] The value to get the type information for
+ * @returns {module:Base.TypeInfo|undefined} The type information, or undefined if nothing is known about the value
+ */
+exports.getTypeInfo = getTypeInfo;
+function getTypeInfo(value) {
+	if (!value) {
+		return;
+	}
+	switch(value.type) {
+		case 'Unknown':
+			return value.typeInfo;
+		case 'Undefined':
+		case 'Null':
+		case 'Boolean':
+		case 'String':
+			return { type: value.type };
+		case 'Number':
+			if (isNaN(value.value)) {
+				return { type: 'Number' };
+			}
+			return {
+				type: 'Number',
+				min: value.value,
+				max: value.value,
+				integer: value.value % 1 === 0
+			};
+		case 'Object':
+			return {
+				type: 'Object',
+				className: value.className
+			};
+	}
+}
+
+/**
+ * Joins two type informations, creating the most specific type information that describes values of either type
+ *
+ * @method
+ * @name module:Base.joinTypeInfo
+ * @param {module:Base.TypeInfo} [x] The first type information
+ * @param {module:Base.TypeInfo} [y] The second type information
+ * @returns {module:Base.TypeInfo|undefined} The joined type information, or undefined if the types have nothing in
+ *		common
+ */
+exports.joinTypeInfo = joinTypeInfo;
+function joinTypeInfo(x, y) {
+	var joined;
+	if (!x || !y || x.type !== y.type) {
+		return;
+	}
+	joined = { type: x.type };
+	if (x.type === 'Number') {
+		if (typeof x.min === 'number' && typeof y.min === 'number') {
+			joined.min = Math.min(x.min, y.min);
+			joined.max = Math.max(x.max, y.max);
+		}
+		if (x.integer && y.integer) {
+			joined.integer = true;
+		}
+	} else if (x.type === 'Object' && x.className === y.className) {
+		joined.className = x.className;
+		if (x.elementType && y.elementType) {
+			joined.elementType = joinTypeInfo(x.elementType, y.elementType);
+		}
+		if (x.returnType && y.returnType) {
+			joined.returnType = joinTypeInfo(x.returnType, y.returnType);
+		}
+	}
+	return joined;
+}
+
+/**
+ * Creates a human readable description of a type information, e.g. "some Array of String"
+ *
+ * @method
+ * @name module:Base.describeTypeInfo
+ * @param {module:Base.TypeInfo} [typeInfo] The type information to describe
+ * @returns {String} The description
+ */
+exports.describeTypeInfo = describeTypeInfo;
+function describeTypeInfo(typeInfo) {
+	var description;
+
+	function describeName(typeInfo) {
+		return typeInfo.type === 'Object' ? typeInfo.className || 'Object' : typeInfo.type;
+	}
+
+	if (!typeInfo) {
+		return 'unknown';
+	}
+	description = 'some ' + (typeInfo.integer ? 'integer ' : '') + describeName(typeInfo);
+	if (typeof typeInfo.min === 'number') {
+		description += ' in ' + (isFinite(typeInfo.min) ? '[' : '(') + typeInfo.min + ', ' + typeInfo.max +
+			(isFinite(typeInfo.max) ? ']' : ')');
+	}
+	if (typeInfo.elementType) {
+		description += ' of ' + describeName(typeInfo.elementType);
+	}
+	if (typeInfo.returnType) {
+		description += ' returning ' + describeName(typeInfo.returnType);
+	}
+	return description;
+}
+
+/**
+ * Gets the result of the typeof operator for an unknown value, if its type is known well enough
+ *
+ * @method
+ * @name module:Base.getUnknownTypeof
+ * @param {module:Base.UnknownType} value The unknown value
+ * @returns {String|undefined} The result of the typeof operator, or undefined if it can't be determined
+ */
+exports.getUnknownTypeof = getUnknownTypeof;
+function getUnknownTypeof(value) {
+	var typeInfo = value.typeInfo;
+	if (!typeInfo) {
+		return;
+	}
+	switch(typeInfo.type) {
+		case 'Null':
+			return 'object';
+		case 'Object':
+			if (typeInfo.className === 'Function') {
+				return 'function';
+			}
+			return typeInfo.className ? 'object' : undefined;
+		default:
+			return typeInfo.type.toLowerCase();
+	}
+}
+
+/**
+ * Gets the value of a property of an unknown value. If the type of the value is known, the built-in properties and
+ * methods for that type are used to determine the type of the property, e.g. the "length" of an unknown string is
+ * some integer Number in [0, Infinity), and the "split" method of an unknown string is a function returning some Array
+ * of String.
+ *
+ * @method
+ * @name module:Base.getUnknownProperty
+ * @param {module:Base.UnknownType} value The unknown value
+ * @param {String} p The name of the property
+ * @returns {module:Base.UnknownType} The value of the property
+ */
+exports.getUnknownProperty = getUnknownProperty;
+function getUnknownProperty(value, p) {
+	var typeInfo = value.typeInfo,
+		className,
+		descriptor;
+	if (!typeInfo) {
+		return new UnknownType();
+	}
+	className = typeInfo.type === 'Object' ? typeInfo.className : typeInfo.type;
+
+	// Strings and arrays have their own length and index properties
+	if (className === 'String' || className === 'Array') {
+		if (p === 'length') {
+			return createTypedUnknown({ type: 'Number', min: 0, max: Infinity, integer: true });
+		}
+		if (/^(0|[1-9][0-9]*)$/.test(p)) {
+			return createTypedUnknown(className === 'String' ? { type: 'String' } : typeInfo.elementType);
+		}
+	}
+
+	// Look up the property on the built-in prototype for the type
+	if (!className || !prototypes.hasOwnProperty(className)) {
+		return new UnknownType();
+	}
+	descriptor = prototypes[className].getProperty(p);
+	if (descriptor && descriptor.get) {
+		return createTypedUnknown(getResultTypeInfo(descriptor.get, typeInfo));
+	}
+	if (!descriptor || !descriptor.value || !descriptor.value.callFunction) {
+		return new UnknownType();
+	}
+	return createTypedUnknown({
+		type: 'Object',
+		className: 'Function',
+		returnType: getResultTypeInfo(descriptor.value, typeInfo)
+	});
+}
+
+/**
+ * Gets the type of the result of calling a built-in function, as declared by the function's "_resultType" property. The
+ * result type is either a type information, or a function that takes the type information of the this value and
+ * returns the type information of the result, for methods whose result depends on the this value.
+ *
+ * @method
+ * @name module:Base.getResultTypeInfo
+ * @param {module:Base.FunctionTypeBase} func The function being called
+ * @param {module:Base.TypeInfo} [thisTypeInfo] The type information of the this value
+ * @returns {module:Base.TypeInfo|undefined} The type information of the result, if it is known
+ */
+exports.getResultTypeInfo = getResultTypeInfo;
+function getResultTypeInfo(func, thisTypeInfo) {
+	var resultType = func._resultType;
+	return typeof resultType === 'function' ? resultType(thisTypeInfo) : resultType;
+}
+
+/**
+ * Creates the unknown value that is stored in place of an existing value when the new value is unknown, or when the
+ * write may or may not happen (i.e. in an ambiguous block or context). A write that may not happen keeps only the type
+ * that the old and new values have in common, and becomes an origin of unknown values, since this is where the value
+ * stopped being known. Its provenance links to the unknown conditions that made the block ambiguous.
+ *
+ * @method
+ * @name module:Base.createUnknownWrite
+ * @param {module:Base.BaseType} [oldValue] The value being replaced, if there is one
+ * @param {module:Base.BaseType} newValue The value being written
+ * @param {Boolean} isConditional Whether or not the write may not happen
+ * @returns {module:Base.UnknownType} The unknown value to store
+ */
+exports.createUnknownWrite = createUnknownWrite;
+function createUnknownWrite(oldValue, newValue, isConditional) {
+	var value,
+		cause;
+	if (isConditional) {
+		cause = getAmbiguousBlockCause();
+		value = createUnknownOrigin(cause.reason, joinTypeInfo(getTypeInfo(oldValue), getTypeInfo(newValue)),
+			[oldValue, newValue].concat(cause.conditions));
+	} else {
+		value = createTypedUnknown(getTypeInfo(newValue), newValue);
+	}
+	recordProvenanceOrigins(value.provenance);
+	return value;
+}
+
+/**
+ * Gets the type information for the result of a binary operator when at least one of the operands is unknown. This is
+ * also used for compound assignments, e.g. "+=".
+ *
+ * @method
+ * @name module:Base.getBinaryOperatorTypeInfo
+ * @param {String} operator The operator, e.g. '+' or '==='
+ * @param {module:Base.BaseType} leftValue The value of the left operand
+ * @param {module:Base.BaseType} [rightValue] The value of the right operand, if it was evaluated
+ * @returns {module:Base.TypeInfo|undefined} The type information of the result, if it is known
+ */
+exports.getBinaryOperatorTypeInfo = getBinaryOperatorTypeInfo;
+function getBinaryOperatorTypeInfo(operator, leftValue, rightValue) {
+	var leftTypeInfo = getTypeInfo(leftValue),
+		rightTypeInfo = getTypeInfo(rightValue);
+
+	function isNumeric(typeInfo) {
+		return typeInfo && ['Undefined', 'Null', 'Boolean', 'Number'].indexOf(typeInfo.type) !== -1;
+	}
+
+	// The range of a sum or difference can be computed from the ranges of its operands, if they are known
+	function getSumTypeInfo() {
+		var typeInfo = { type: 'Number' };
+		if (leftTypeInfo && rightTypeInfo && typeof leftTypeInfo.min === 'number' &&
+				typeof rightTypeInfo.min === 'number') {
+			if (operator === '+') {
+				typeInfo.min = leftTypeInfo.min + rightTypeInfo.min;
+				typeInfo.max = leftTypeInfo.max + rightTypeInfo.max;
+			} else {
+				typeInfo.min = leftTypeInfo.min - rightTypeInfo.max;
+				typeInfo.max = leftTypeInfo.max - rightTypeInfo.min;
+			}
+			if (isNaN(typeInfo.min) || isNaN(typeInfo.max)) {
+				return { type: 'Number' };
+			}
+			if (leftTypeInfo.integer && rightTypeInfo.integer) {
+				typeInfo.integer = true;
+			}
+		}
+		return typeInfo;
+	}
+
+	switch(operator) {
+		case '-':
+			return getSumTypeInfo();
+		case '*':
+		case '/':
+		case '%':
+			return { type: 'Number' };
+		case '<<':
+		case '>>':
+		case '&':
+		case '|':
+		case '^':
+			return { type: 'Number', min: -2147483648, max: 2147483647, integer: true };
+		case '>>>':
+			return { type: 'Number', min: 0, max: 4294967295, integer: true };
+		case '+':
+			if ((leftTypeInfo && leftTypeInfo.type === 'String') || (rightTypeInfo && rightTypeInfo.type === 'String')) {
+				return { type: 'String' };
+			}
+			if (isNumeric(leftTypeInfo) && isNumeric(rightTypeInfo)) {
+				return getSumTypeInfo();
+			}
+			return;
+		case '&&':
+		case '||':
+			return joinTypeInfo(leftTypeInfo, rightTypeInfo);
+		default:
+			return { type: 'Boolean' };
+	}
+}
+
+/*****************************************
+ *
+ * Unknown Provenance
+ *
+ *****************************************/
+
+/**
+ * Describes why a value is unknown. Every unknown value has a provenance. The provenance of a value that became
+ * unknown on its own, e.g. the result of Math.random() or a value written in an ambiguous block, is an origin and
+ * has a reason. The provenance of a value that was computed from other unknown values, e.g. the sum of an unknown
+ * number and 1, has the operation that computed it and the provenances of the unknown values it was computed from.
+ *
+ * @typedef {Object} module:Base.Provenance
+ * @property {String} [reason] Why the value became unknown, e.g. 'Math.random' or 'loop iteration limit'. Values
+ *		created with <code>new UnknownType()</code> don't have a reason
+ * @property {String} [operation] The operation that computed the value from other unknown values, e.g. 'operator "+"'
+ * @property {Object} location The location where the value became unknown or was computed, containing 'filename',
+ *		'line', and 'column' entries
+ * @property {Array[module:Base.Provenance]} [sources] The provenances of the unknown values this value was computed
+ *		from, if any
+ * @property {Array[module:Base.Provenance]} [origins] The origins that this value was computed from, if it was computed
+ *		from other unknown values
+ * @property {Boolean} [truncated] Whether or not the operations between this value and its origins were too long to
+ *		keep, in which case the sources are the origins themselves
+ */
+
+/**
+ * Creates an unknown value that became unknown on its own, for a reason other than the values it was computed from
+ *
+ * @method
+ * @name module:Base.createUnknownOrigin
+ * @param {String} reason Why the value is unknown, e.g. 'Math.random' or 'unknown callback argument'
+ * @param {module:Base.TypeInfo} [typeInfo] What is known about the type of the value
+ * @param {Array[module:Base.BaseType]} [sources] The values that led to the value being unknown, such as the condition
+ *		of an ambiguous branch. Known values are ignored
+ * @returns {module:Base.UnknownType} The new unknown value
+ */
+exports.createUnknownOrigin = createUnknownOrigin;
+function createUnknownOrigin(reason, typeInfo, sources) {
+	var value = createTypedUnknown(typeInfo);
+	value.provenance.reason = reason;
+	if (sources) {
+		linkProvenance(value.provenance, sources);
+	}
+	return value;
+}
+
+/**
+ * Records that an unknown value was computed from other values by an operation. If none of the source values are
+ * unknown, the value keeps its current provenance.
+ *
+ * @method
+ * @name module:Base.deriveUnknown
+ * @param {module:Base.BaseType} value The computed value. Nothing is recorded if it is not unknown
+ * @param {String} operation The operation that computed the value, e.g. 'operator "+"' or 'property "length"'
+ * @param {Array[module:Base.BaseType]} sources The values the value was computed from. Known values are ignored
+ * @returns {module:Base.BaseType} The value
+ */
+exports.deriveUnknown = deriveUnknown;
+function deriveUnknown(value, operation, sources) {
+	var provenance = {
+			operation: operation,
+			location: Runtime.getCurrentLocation()
+		};
+	if (type(value) !== 'Unknown' || !linkProvenance(provenance, sources)) {
+		return value;
+	}
+
+	// Repeating the same operation in the same place, e.g. in a loop, doesn't add anything to the chain
+	if (provenance.sources.length === 1 && provenance.sources[0].operation === operation &&
+			isSameLocation(provenance.sources[0].location, provenance.location)) {
+		provenance = provenance.sources[0];
+	}
+
+	value.provenance = provenance;
+	return value;
+}
+
+/**
+ * Gets the origins of an unknown value, i.e. the places where the value, or the values it was computed from, became
+ * unknown
+ *
+ * @method
+ * @name module:Base.getProvenanceOrigins
+ * @param {module:Base.Provenance} provenance The provenance of the value
+ * @returns {Array[module:Base.Provenance]} The provenances of the origins
+ */
+exports.getProvenanceOrigins = getProvenanceOrigins;
+function getProvenanceOrigins(provenance) {
+	return provenance.reason || !provenance.origins ? [provenance] : provenance.origins;
+}
+
+/**
+ * Flattens the provenance of an unknown value into a list of steps, starting with the value itself and working back to
+ * its origins. Each step is indented one level deeper than the step it explains.
+ *
+ * @method
+ * @name module:Base.explainProvenance
+ * @param {module:Base.Provenance} provenance The provenance to explain
+ * @returns {Array[Object]} The steps, each containing a 'description', 'filename', 'line', 'column', and 'depth'
+ */
+exports.explainProvenance = explainProvenance;
+function explainProvenance(provenance) {
+	var steps = [],
+		visited = [];
+
+	function explain(provenance, depth) {
+		var description,
+			i, len;
+		if (provenance.reason) {
+			description = provenance.reason;
+		} else if (provenance.operation) {
+			description = provenance.operation;
+		} else {
+			description = 'unknown value';
+		}
+		if (visited.indexOf(provenance) !== -1) {
+			description += ' (see above)';
+		}
+		steps.push({
+			description: description,
+			filename: provenance.location.filename,
+			line: provenance.location.line,
+			column: provenance.location.column,
+			depth: depth
+		});
+		if (visited.indexOf(provenance) === -1) {
+			visited.push(provenance);
+			if (provenance.truncated) {
+				steps.push({
+					description: 'more operations than can be shown',
+					filename: provenance.location.filename,
+					line: provenance.location.line,
+					column: provenance.location.column,
+					depth: depth + 1
+				});
+				depth++;
+			}
+			for (i = 0, len = (provenance.sources || []).length; i < len; i++) {
+				explain(provenance.sources[i], depth + 1);
+			}
+		}
+	}
+
+	explain(provenance, 0);
+	return steps;
+}
+
+/**
+ * Links a provenance to the provenances of the unknown values it was computed from, and records the origins of those
+ * values as used. Chains that get too long are cut short, linking directly to the origins instead.
+ *
+ * @private
+ * @param {module:Base.Provenance} provenance The provenance to link
+ * @param {Array[module:Base.BaseType]} sources The values the value was computed from. Known values are ignored
+ * @returns {Boolean} Whether or not any of the sources were unknown
+ */
+function linkProvenance(provenance, sources) {
+	var sourceProvenances = [],
+		origins = [],
+		depth = 0,
+		sourceProvenance,
+		sourceOrigins,
+		i, ilen, j, jlen;
+	for (i = 0, ilen = sources.length; i < ilen; i++) {
+		sourceProvenance = sources[i] && type(sources[i]) === 'Unknown' && sources[i].provenance;
+		if (sourceProvenance && sourceProvenances.indexOf(sourceProvenance) === -1) {
+			sourceProvenances.push(sourceProvenance);
+			recordProvenanceOrigins(sourceProvenance);
+			depth = Math.max(depth, (sourceProvenance.depth || 0) + 1);
+			sourceOrigins = getProvenanceOrigins(sourceProvenance);
+			for (j = 0, jlen = sourceOrigins.length; j < jlen && origins.length < MAX_PROVENANCE_ORIGINS; j++) {
+				if (origins.indexOf(sourceOrigins[j]) === -1) {
+					origins.push(sourceOrigins[j]);
+				}
+			}
+		}
+	}
+	if (!sourceProvenances.length) {
+		return false;
+	}
+	if (depth > MAX_PROVENANCE_DEPTH) {
+		sourceProvenances = origins;
+		depth = 1;
+		provenance.truncated = true;
+	}
+	provenance.sources = sourceProvenances;
+	provenance.origins = origins;
+	provenance.depth = depth;
+	return true;
+}
+
+/**
+ * Records the origins of an unknown value with the runtime the first time the value is used, so that the origins
+ * of unknown values can be reported. Values that are created but never used, such as the properties of a Titanium
+ * object that are never read, are not reported.
+ *
+ * @private
+ * @param {module:Base.Provenance} provenance The provenance of the value being used
+ */
+function recordProvenanceOrigins(provenance) {
+	var origins = getProvenanceOrigins(provenance),
+		i, len;
+	for (i = 0, len = origins.length; i < len; i++) {
+		// Values created before any code ran, such as the Titanium API values created by plugins, are attributed to
+		// the code that first uses them, so they aren't recorded until then
+		if (!origins[i].recorded && !origins[i].location.filename) {
+			origins[i].location = Runtime.getCurrentLocation();
+		}
+		if (!origins[i].recorded && origins[i].location.filename) {
+			origins[i].recorded = true;
+			Runtime.recordUnknownOrigin(origins[i].reason || 'unknown value', origins[i].location);
+		}
+	}
+}
+
+/**
+ * @private
+ */
+function isSameLocation(x, y) {
+	return x.filename === y.filename && x.line === y.line && x.column === y.column;
 }
-util.inherits(UnknownType, BaseType);
\ No newline at end of file
@@ -0,0 +1,59 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Generates a Checkstyle XML report from the results of the code processor. Findings are grouped by their source mapped
+ * file, and errors and warnings are reported with the "error" and "warning" severities respectively.
+ *
+ * @module reporters/checkstyle
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+
+var Runtime = require('../Runtime'),
+	CodeProcessorUtils = require('../CodeProcessorUtils'),
+
+	escapeXML = CodeProcessorUtils.escapeXML,
+
+	CHECKSTYLE_VERSION = '4.3',
+	SOURCE_PREFIX = 'titanium-code-processor.';
+
+/**
+ * Generates a Checkstyle XML report
+ *
+ * @method
+ * @param {Object} results The results of the code processor, as returned by {@link module:CodeProcessor.getResults}
+ * @returns {String} The Checkstyle XML report
+ */
+exports.generate = generate;
+function generate(results) {
+	var files = {},
+		filenames = [],
+		output;
+
+	function addFindings(entries, severity) {
+		var i, len,
+			location,
+			filename;
+		for (i = 0, len = entries.length; i < len; i++) {
+			location = entries[i].filename ? Runtime.mapLocation(entries[i]) : {};
+			filename = location.filename || '';
+			if (!files[filename]) {
+				files[filename] = [];
+				filenames.push(filename);
+			}
+			files[filename].push('\t\t<error' +
+				(location.line ? ' line="' + location.line + '" column="' + ((location.column || 0) + 1) + '"' : '') +
+				' severity="' + severity + '" message="' + escapeXML(entries[i].description) +
+				'" source="' + escapeXML(SOURCE_PREFIX + entries[i].type) + '"/>\n');
+		}
+	}
+
+	addFindings(results.errors, 'error');
+	addFindings(results.warnings, 'warning');
+
+	output = '<?xml version="1.0" encoding="UTF-8"?>\n<checkstyle version="' + CHECKSTYLE_VERSION + '">\n';
+	filenames.forEach(function (filename) {
+		output += '\t<file name="' + escapeXML(filename) + '">\n' + files[filename].join('') + '\t</file>\n';
+	});
+	return output + '</checkstyle>';
+}
@@ -0,0 +1,73 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Generates a JUnit XML report from the results of the code processor. Each file is reported as a test suite, and each
+ * error and warning in the file is reported as a failed test case.
+ *
+ * @module reporters/junit
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+
+var path = require('path'),
+
+	Runtime = require('../Runtime'),
+	CodeProcessorUtils = require('../CodeProcessorUtils'),
+
+	escapeXML = CodeProcessorUtils.escapeXML,
+
+	PROJECT_SUITE_NAME = '<project>';
+
+/**
+ * Generates a JUnit XML report
+ *
+ * @method
+ * @param {Object} results The results of the code processor, as returned by {@link module:CodeProcessor.getResults}
+ * @param {String} [projectDir] The project directory. Files in the project directory are named relative to it
+ * @returns {String} The JUnit XML report
+ */
+exports.generate = generate;
+function generate(results, projectDir) {
+	var suites = {},
+		suiteNames = [],
+		numFailures = 0,
+		output;
+
+	function addFailures(entries, severity) {
+		var i, len,
+			location,
+			filename,
+			line;
+		for (i = 0, len = entries.length; i < len; i++) {
+			location = entries[i].filename ? Runtime.mapLocation(entries[i]) : {};
+			filename = location.filename || PROJECT_SUITE_NAME;
+			if (projectDir && filename.indexOf(projectDir + path.sep) === 0) {
+				filename = path.relative(projectDir, filename);
+			}
+			line = location.line ? location.line + ':' + ((location.column || 0) + 1) : '';
+			if (!suites[filename]) {
+				suites[filename] = [];
+				suiteNames.push(filename);
+			}
+			suites[filename].push('\t\t<testcase classname="' + escapeXML(filename) + '" name="' +
+				escapeXML(entries[i].type + (line ? ' at line ' + line : '')) + '">\n' +
+				'\t\t\t<failure type="' + escapeXML(entries[i].type) + '" message="' + escapeXML(entries[i].description) + '">' +
+				escapeXML(severity + ': ' + entries[i].description + (line ? ' (' + filename + ':' + line + ')' : '')) +
+				'</failure>\n' +
+				'\t\t</testcase>\n');
+			numFailures++;
+		}
+	}
+
+	addFailures(results.errors, 'error');
+	addFailures(results.warnings, 'warning');
+
+	output = '<?xml version="1.0" encoding="UTF-8"?>\n' +
+		'<testsuites name="Titanium Code Processor" tests="' + numFailures + '" failures="' + numFailures + '" errors="0">\n';
+	suiteNames.forEach(function (suiteName) {
+		var testCases = suites[suiteName];
+		output += '\t<testsuite name="' + escapeXML(suiteName) + '" tests="' + testCases.length + '" failures="' +
+			testCases.length + '" errors="0">\n' + testCases.join('') + '\t</testsuite>\n';
+	});
+	return output + '</testsuites>';
+}
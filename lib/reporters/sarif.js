@@ -0,0 +1,126 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Generates a SARIF 2.1.0 log from the results of the code processor. Deprecated API and platform validation findings
+ * are reported by their plugins as warnings, and so are included along with all other errors and warnings. When several
+ * platforms are analyzed, the platforms that each finding was reported on are recorded in the properties of the result.
+ *
+ * @module reporters/sarif
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+
+var path = require('path'),
+
+	Runtime = require('../Runtime'),
+
+	pkg = require('../../package.json'),
+
+	SARIF_VERSION = '2.1.0',
+	SARIF_SCHEMA = 'https://raw.githubusercontent.com/oasis-tcs/sarif-spec/master/Schemata/sarif-schema-2.1.0.json',
+	PROJECT_ROOT = 'PROJECTROOT';
+
+// ******** Helper Methods ********
+
+/**
+ * @private
+ */
+function toURI(filename) {
+	return filename.split(path.sep).map(encodeURIComponent).join('/');
+}
+
+// ******** Reporter Methods ********
+
+/**
+ * Generates a SARIF log
+ *
+ * @method
+ * @param {Object} results The results of the code processor, as returned by {@link module:CodeProcessor.getResults}
+ * @param {String} [projectDir] The project directory. Locations in the project directory are made relative to it
+ * @returns {String} The SARIF log, serialized as JSON
+ */
+exports.generate = generate;
+function generate(results, projectDir) {
+	var rules = [],
+		ruleIndices = {},
+		sarifResults = [],
+		run;
+
+	function addResults(entries, level) {
+		var i, len,
+			entry,
+			location,
+			result;
+		for (i = 0, len = entries.length; i < len; i++) {
+			entry = entries[i];
+			if (!ruleIndices.hasOwnProperty(entry.type)) {
+				ruleIndices[entry.type] = rules.length;
+				rules.push({
+					id: entry.type,
+					defaultConfiguration: {
+						level: level
+					}
+				});
+			}
+			result = {
+				ruleId: entry.type,
+				ruleIndex: ruleIndices[entry.type],
+				level: level,
+				message: {
+					text: entry.rawDescription
+				},
+				occurrenceCount: entry.occurances || 1
+			};
+			if (entry.platforms) {
+				result.properties = {
+					platforms: entry.platforms
+				};
+			}
+			if (entry.filename) {
+				location = Runtime.mapLocation(entry);
+				result.locations = [{
+					physicalLocation: {
+						artifactLocation: projectDir && location.filename.indexOf(projectDir + path.sep) === 0 ? {
+							uri: toURI(path.relative(projectDir, location.filename)),
+							uriBaseId: PROJECT_ROOT
+						} : {
+							uri: toURI(location.filename)
+						},
+						region: {
+							startLine: location.line || 1,
+							startColumn: (location.column || 0) + 1
+						}
+					}
+				}];
+			}
+			sarifResults.push(result);
+		}
+	}
+
+	addResults(results.errors, 'error');
+	addResults(results.warnings, 'warning');
+
+	run = {
+		tool: {
+			driver: {
+				name: 'Titanium Code Processor',
+				version: pkg.version,
+				informationUri: pkg.homepage,
+				rules: rules
+			}
+		},
+		results: sarifResults
+	};
+	if (projectDir) {
+		run.originalUriBaseIds = {};
+		run.originalUriBaseIds[PROJECT_ROOT] = {
+			uri: 'file://' + (projectDir[0] === '/' ? '' : '/') + toURI(projectDir) + '/'
+		};
+	}
+
+	return JSON.stringify({
+		$schema: SARIF_SCHEMA,
+		version: SARIF_VERSION,
+		runs: [run]
+	}, false, '\t');
+}
@@ -40,6 +40,11 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 		rightPrimitive,
 		result;
 
+	function createUnknownResult() {
+		return Base.deriveUnknown(Base.createTypedUnknown(Base.getBinaryOperatorTypeInfo(operator, leftValue, rightValue)),
+			'operator "' + operator + '"', [leftValue, rightValue]);
+	}
+
 	RuleProcessor.preProcess(this);
 
 	RuleProcessor.fireRuleEvent(this, {}, false);
@@ -56,7 +61,12 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 	if (Base.type(leftReference) === 'Unknown') {
 		result = new Base.UnknownType();
 	} else if (Base.type(rightValue) === 'Unknown') {
-		result = new Base.UnknownType();
+		if (operator) {
+			leftValue = Base.getValue(leftReference);
+			result = createUnknownResult();
+		} else {
+			result = Base.createTypedUnknown(rightValue.typeInfo, rightValue);
+		}
 		Base.putValue(leftReference, result);
 	} else if (Base.type(leftReference) === 'Reference' && Base.isStrictReference(leftReference) &&
 			!Base.type(Base.getBase(leftReference)) &&
@@ -69,7 +79,7 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 		if (operator) {
 			leftValue = Base.getValue(leftReference);
 			if (Base.type(leftValue) === 'Unknown') {
-				result = new Base.UnknownType();
+				result = createUnknownResult();
 			} else if (~['*', '/', '%', '-', '<<', '>>', '>>>', '&', '|', '^'].indexOf(operator)) {
 				result = new Base.NumberType();
 				switch (operator) {
@@ -77,7 +87,7 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 						leftPrimitive = Base.toNumber(leftValue);
 						rightPrimitive = Base.toNumber(rightValue);
 						if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-							result = new Base.UnknownType();
+							result = createUnknownResult();
 						} else {
 							result.value = leftPrimitive.value * rightPrimitive.value;
 						}
@@ -86,7 +96,7 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 						leftPrimitive = Base.toNumber(leftValue);
 						rightPrimitive = Base.toNumber(rightValue);
 						if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-							result = new Base.UnknownType();
+							result = createUnknownResult();
 						} else {
 							result.value = leftPrimitive.value / rightPrimitive.value;
 						}
@@ -95,7 +105,7 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 						leftPrimitive = Base.toNumber(leftValue);
 						rightPrimitive = Base.toNumber(rightValue);
 						if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-							result = new Base.UnknownType();
+							result = createUnknownResult();
 						} else {
 							result.value = leftPrimitive.value % rightPrimitive.value;
 						}
@@ -104,7 +114,7 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 						leftPrimitive = Base.toNumber(leftValue);
 						rightPrimitive = Base.toNumber(rightValue);
 						if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-							result = new Base.UnknownType();
+							result = createUnknownResult();
 						} else {
 							result.value = leftPrimitive.value - rightPrimitive.value;
 						}
@@ -113,7 +123,7 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 						leftPrimitive = Base.toInt32(leftValue);
 						rightPrimitive = Base.toUint32(rightValue);
 						if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-							result = new Base.UnknownType();
+							result = createUnknownResult();
 						} else {
 							result.value = leftPrimitive.value << (rightPrimitive.value & 0x1F);
 						}
@@ -122,7 +132,7 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 						leftPrimitive = Base.toInt32(leftValue);
 						rightPrimitive = Base.toUint32(rightValue);
 						if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-							result = new Base.UnknownType();
+							result = createUnknownResult();
 						} else {
 							result.value = leftPrimitive.value >> (rightPrimitive.value & 0x1F);
 						}
@@ -131,7 +141,7 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 						leftPrimitive = Base.toUint32(leftValue);
 						rightPrimitive = Base.toUint32(rightValue);
 						if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-							result = new Base.UnknownType();
+							result = createUnknownResult();
 						} else {
 							result.value = leftPrimitive.value >>> (rightPrimitive.value & 0x1F);
 						}
@@ -140,7 +150,7 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 						leftPrimitive = Base.toInt32(leftValue);
 						rightPrimitive = Base.toInt32(rightValue);
 						if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-							result = new Base.UnknownType();
+							result = createUnknownResult();
 						} else {
 							result.value = leftPrimitive.value & rightPrimitive.value;
 						}
@@ -149,7 +159,7 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 						leftPrimitive = Base.toInt32(leftValue);
 						rightPrimitive = Base.toInt32(rightValue);
 						if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-							result = new Base.UnknownType();
+							result = createUnknownResult();
 						} else {
 							result.value = leftPrimitive.value | rightPrimitive.value;
 						}
@@ -158,7 +168,7 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 						leftPrimitive = Base.toInt32(leftValue);
 						rightPrimitive = Base.toInt32(rightValue);
 						if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-							result = new Base.UnknownType();
+							result = createUnknownResult();
 						} else {
 							result.value = leftPrimitive.value ^ rightPrimitive.value;
 						}
@@ -168,7 +178,7 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 				leftPrimitive = Base.toPrimitive(leftValue);
 				rightPrimitive = Base.toPrimitive(rightValue);
 				if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-					result = new Base.UnknownType();
+					result = createUnknownResult();
 				} else if (Base.type(leftPrimitive) === 'String' || Base.type(rightPrimitive) === 'String') {
 					result = new Base.StringType(Base.toString(leftPrimitive).value + Base.toString(rightPrimitive).value);
 				} else {
@@ -182,7 +192,7 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 						leftPrimitive = Base.toPrimitive(leftValue);
 						rightPrimitive = Base.toPrimitive(rightValue);
 						if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-							result = new Base.UnknownType();
+							result = createUnknownResult();
 						} else {
 							result.value = leftPrimitive.value < rightPrimitive.value;
 						}
@@ -191,7 +201,7 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 						leftPrimitive = Base.toPrimitive(leftValue);
 						rightPrimitive = Base.toPrimitive(rightValue);
 						if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-							result = new Base.UnknownType();
+							result = createUnknownResult();
 						} else {
 							result.value = leftPrimitive.value > rightPrimitive.value;
 						}
@@ -200,7 +210,7 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 						leftPrimitive = Base.toPrimitive(leftValue);
 						rightPrimitive = Base.toPrimitive(rightValue);
 						if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-							result = new Base.UnknownType();
+							result = createUnknownResult();
 						} else {
 							result.value = leftPrimitive.value <= rightPrimitive.value;
 						}
@@ -209,7 +219,7 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 						leftPrimitive = Base.toPrimitive(leftValue);
 						rightPrimitive = Base.toPrimitive(rightValue);
 						if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-							result = new Base.UnknownType();
+							result = createUnknownResult();
 						} else {
 							result.value = leftPrimitive.value >= rightPrimitive.value;
 						}
@@ -248,7 +258,7 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 			} else if (operator === '&&') {
 				leftPrimitive = Base.toBoolean(leftValue);
 				if (Base.type(leftPrimitive) === 'Unknown') {
-					result = new Base.UnknownType();
+					result = createUnknownResult();
 				} else if (!leftPrimitive.value) {
 					result = leftValue;
 				} else {
@@ -257,7 +267,7 @@ AST.registerRuleProcessor('AST_Assign', function processRule() {
 			} else if (operator === '||') {
 				leftPrimitive = Base.toBoolean(leftValue);
 				if (Base.type(leftPrimitive) === 'Unknown') {
-					result = new Base.UnknownType();
+					result = createUnknownResult();
 				} else if (leftPrimitive.value) {
 					result = leftValue;
 				} else {
@@ -45,13 +45,18 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 		node._skipped = !node._visited;
 	}
 
+	function createUnknownResult() {
+		return Base.deriveUnknown(Base.createTypedUnknown(Base.getBinaryOperatorTypeInfo(operator, leftValue, rightValue)),
+			'operator "' + operator + '"', [leftValue, rightValue]);
+	}
+
 	RuleProcessor.fireRuleEvent(this, {}, false);
 	RuleProcessor.logRule('AST_Binary');
 	leftValue = Base.getValue(this.left.processRule());
 
 	if (Base.type(leftValue) === 'Unknown') {
-		result = new Base.UnknownType();
-		Base.getValue(this.right.processRule());
+		rightValue = Base.getValue(this.right.processRule());
+		result = createUnknownResult();
 		AST.walk(this.right, [
 			{
 				callback: skippedNodeCallback
@@ -61,14 +66,14 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 		result = new Base.NumberType();
 		rightValue = Base.getValue(this.right.processRule());
 		if (Base.type(rightValue) === 'Unknown') {
-			result = new Base.UnknownType();
+			result = createUnknownResult();
 		} else {
 			switch (operator) {
 				case '*':
 					leftPrimitive = Base.toNumber(leftValue);
 					rightPrimitive = Base.toNumber(rightValue);
 					if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-						result = new Base.UnknownType();
+						result = createUnknownResult();
 					} else {
 						result.value = leftPrimitive.value * rightPrimitive.value;
 					}
@@ -77,7 +82,7 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 					leftPrimitive = Base.toNumber(leftValue);
 					rightPrimitive = Base.toNumber(rightValue);
 					if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-						result = new Base.UnknownType();
+						result = createUnknownResult();
 					} else {
 						result.value = leftPrimitive.value / rightPrimitive.value;
 					}
@@ -86,7 +91,7 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 					leftPrimitive = Base.toNumber(leftValue);
 					rightPrimitive = Base.toNumber(rightValue);
 					if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-						result = new Base.UnknownType();
+						result = createUnknownResult();
 					} else {
 						result.value = leftPrimitive.value % rightPrimitive.value;
 					}
@@ -95,7 +100,7 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 					leftPrimitive = Base.toNumber(leftValue);
 					rightPrimitive = Base.toNumber(rightValue);
 					if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-						result = new Base.UnknownType();
+						result = createUnknownResult();
 					} else {
 						result.value = leftPrimitive.value - rightPrimitive.value;
 					}
@@ -104,7 +109,7 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 					leftPrimitive = Base.toInt32(leftValue);
 					rightPrimitive = Base.toUint32(rightValue);
 					if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-						result = new Base.UnknownType();
+						result = createUnknownResult();
 					} else {
 						result.value = leftPrimitive.value << (rightPrimitive.value & 0x1F);
 					}
@@ -113,7 +118,7 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 					leftPrimitive = Base.toInt32(leftValue);
 					rightPrimitive = Base.toUint32(rightValue);
 					if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-						result = new Base.UnknownType();
+						result = createUnknownResult();
 					} else {
 						result.value = leftPrimitive.value >> (rightPrimitive.value & 0x1F);
 					}
@@ -122,7 +127,7 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 					leftPrimitive = Base.toUint32(leftValue);
 					rightPrimitive = Base.toUint32(rightValue);
 					if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-						result = new Base.UnknownType();
+						result = createUnknownResult();
 					} else {
 						result.value = leftPrimitive.value >>> (rightPrimitive.value & 0x1F);
 					}
@@ -131,7 +136,7 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 					leftPrimitive = Base.toInt32(leftValue);
 					rightPrimitive = Base.toInt32(rightValue);
 					if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-						result = new Base.UnknownType();
+						result = createUnknownResult();
 					} else {
 						result.value = leftPrimitive.value & rightPrimitive.value;
 					}
@@ -140,7 +145,7 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 					leftPrimitive = Base.toInt32(leftValue);
 					rightPrimitive = Base.toInt32(rightValue);
 					if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-						result = new Base.UnknownType();
+						result = createUnknownResult();
 					} else {
 						result.value = leftPrimitive.value | rightPrimitive.value;
 					}
@@ -149,7 +154,7 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 					leftPrimitive = Base.toInt32(leftValue);
 					rightPrimitive = Base.toInt32(rightValue);
 					if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-						result = new Base.UnknownType();
+						result = createUnknownResult();
 					} else {
 						result.value = leftPrimitive.value ^ rightPrimitive.value;
 					}
@@ -160,11 +165,11 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 		leftPrimitive = Base.toPrimitive(leftValue);
 		rightValue = Base.getValue(this.right.processRule());
 		if (Base.type(rightValue) === 'Unknown') {
-			result = new Base.UnknownType();
+			result = createUnknownResult();
 		} else {
 			rightPrimitive = Base.toPrimitive(rightValue);
 			if (Base.type(rightPrimitive) === 'Unknown') {
-				result = new Base.UnknownType();
+				result = createUnknownResult();
 			} else if (Base.type(leftPrimitive) === 'String' || Base.type(rightPrimitive) === 'String') {
 				result = new Base.StringType(Base.toString(leftPrimitive).value + Base.toString(rightPrimitive).value);
 			} else {
@@ -176,14 +181,14 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 		result = new Base.BooleanType();
 		rightValue = Base.getValue(this.right.processRule());
 		if (Base.type(rightValue) === 'Unknown') {
-			result = new Base.UnknownType();
+			result = createUnknownResult();
 		} else {
 			switch (operator) {
 				case '<':
 					leftPrimitive = Base.toPrimitive(leftValue);
 					rightPrimitive = Base.toPrimitive(rightValue);
 					if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-						result = new Base.UnknownType();
+						result = createUnknownResult();
 					} else {
 						result.value = leftPrimitive.value < rightPrimitive.value;
 					}
@@ -192,7 +197,7 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 					leftPrimitive = Base.toPrimitive(leftValue);
 					rightPrimitive = Base.toPrimitive(rightValue);
 					if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-						result = new Base.UnknownType();
+						result = createUnknownResult();
 					} else {
 						result.value = leftPrimitive.value > rightPrimitive.value;
 					}
@@ -201,7 +206,7 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 					leftPrimitive = Base.toPrimitive(leftValue);
 					rightPrimitive = Base.toPrimitive(rightValue);
 					if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-						result = new Base.UnknownType();
+						result = createUnknownResult();
 					} else {
 						result.value = leftPrimitive.value <= rightPrimitive.value;
 					}
@@ -210,7 +215,7 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 					leftPrimitive = Base.toPrimitive(leftValue);
 					rightPrimitive = Base.toPrimitive(rightValue);
 					if (Base.type(leftPrimitive) === 'Unknown' || Base.type(rightPrimitive) === 'Unknown') {
-						result = new Base.UnknownType();
+						result = createUnknownResult();
 					} else {
 						result.value = leftPrimitive.value >= rightPrimitive.value;
 					}
@@ -233,7 +238,7 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 		result = new Base.BooleanType();
 		rightValue = Base.getValue(this.right.processRule());
 		if (Base.type(rightValue) === 'Unknown') {
-			result = new Base.UnknownType();
+			result = createUnknownResult();
 		} else {
 			if (Base.type(rightValue) !== 'Object' || !rightValue.hasInstance) {
 				Base.handleRecoverableNativeException('TypeError', 'Expression is not an object or does not have a hasInstance method');
@@ -246,7 +251,7 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 		result = new Base.BooleanType();
 		rightValue = Base.getValue(this.right.processRule());
 		if (Base.type(rightValue) === 'Unknown') {
-			result = new Base.UnknownType();
+			result = createUnknownResult();
 		} else {
 			if (Base.type(rightValue) !== 'Object') {
 				Base.handleRecoverableNativeException('TypeError', 'Expression is not an object');
@@ -258,7 +263,7 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 	} else if (operator === '&&') {
 		leftPrimitive = Base.toBoolean(leftValue);
 		if (Base.type(leftPrimitive) === 'Unknown') {
-			result = new Base.UnknownType();
+			result = createUnknownResult();
 		} else if (!leftPrimitive.value) {
 			result = leftValue;
 			AST.walk(this.right, [
@@ -272,7 +277,7 @@ AST.registerRuleProcessor('AST_Binary', function processRule() {
 	} else if (operator === '||') {
 		leftPrimitive = Base.toBoolean(leftValue);
 		if (Base.type(leftPrimitive) === 'Unknown') {
-			result = new Base.UnknownType();
+			result = createUnknownResult();
 		} else if (leftPrimitive.value) {
 			result = leftValue;
 			AST.walk(this.right, [
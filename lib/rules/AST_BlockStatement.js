@@ -25,18 +25,25 @@
  */
 
 var AST = require('../AST'),
-	RuleProcessor = require('../RuleProcessor');
+	RuleProcessor = require('../RuleProcessor'),
+	Base = require('../Base');
 
 AST.registerRuleProcessor('AST_BlockStatement', function processRule() {
 
-	var result;
+	var result,
+		previousEnvironment;
 
 	RuleProcessor.preProcess(this);
 
 	RuleProcessor.fireRuleEvent(this, {}, false);
 	RuleProcessor.logRule('AST_BlockStatement');
 
-	result = RuleProcessor.processBlock(this.body);
+	previousEnvironment = Base.enterBlockScope(this.body);
+	try {
+		result = RuleProcessor.processBlock(this.body);
+	} finally {
+		Base.exitBlockScope(previousEnvironment);
+	}
 
 	RuleProcessor.fireRuleEvent(this, {
 		result: result
@@ -42,6 +42,10 @@ AST.registerRuleProcessor('AST_Call', function processRule() {
 		eventData,
 		location;
 
+	function getCalleeName() {
+		return (Base.type(ref) === 'Reference' ? Base.getReferencedName(ref) : 'function') + '()';
+	}
+
 	RuleProcessor.preProcess(this);
 
 	RuleProcessor.fireRuleEvent(this, {}, false);
@@ -53,7 +57,8 @@ AST.registerRuleProcessor('AST_Call', function processRule() {
 
 	// Check if the value is unknown
 	if (Base.type(func) === 'Unknown') {
-		result = new Base.UnknownType();
+		result = Base.deriveUnknown(Base.createTypedUnknown(func.typeInfo && func.typeInfo.returnType),
+			'call to ' + getCalleeName(), [func]);
 
 		// Process the arguments, even though they won't be used, just to make sure they are visited
 		for (i = 0, len = this.args.length; i < len; i++) {
@@ -74,7 +79,7 @@ AST.registerRuleProcessor('AST_Call', function processRule() {
 				};
 				Runtime.fireEvent('maxRecusionLimitReached', eventDescription, eventData);
 				Base.throwNativeException('RangeError', 'Maximum callstack size exceeded');
-				result = new Base.UnknownType();
+				result = Base.createUnknownOrigin('recursion limit');
 
 			} else {
 
@@ -115,6 +120,17 @@ AST.registerRuleProcessor('AST_Call', function processRule() {
 						isAmbiguousContext: Base.isAmbiguousBlock()
 					});
 
+					// Built-in functions don't say why they returned an unknown value, so explain it in terms of the call
+					if (Base.type(result) === 'Unknown' && !result.provenance.reason && !result.provenance.sources) {
+						Base.deriveUnknown(result, 'call to ' + getCalleeName(), [thisValue].concat(args));
+						if (!result.provenance.sources) {
+							result.provenance = {
+								reason: 'value returned by ' + getCalleeName(),
+								location: result.provenance.location
+							};
+						}
+					}
+
 					// Store the jump
 					if (func._location) {
 						this._jumpDestinations = this._jumpDestinations || {};
@@ -31,6 +31,8 @@ var AST = require('../AST'),
 AST.registerRuleProcessor('AST_Conditional', function processRule() {
 
 	var leftValue,
+		consequentValue,
+		alternativeValue,
 		result;
 
 	RuleProcessor.preProcess(this);
@@ -40,13 +42,29 @@ AST.registerRuleProcessor('AST_Conditional', function processRule() {
 
 	leftValue = Base.getValue(this.condition.processRule());
 
-	if (Base.type(leftValue) === 'Unknown') {
+	if (Base.type(leftValue) === 'Unknown' && Runtime.options.ambiguityStrategy === 'merge') {
 		this._ambiguousBlock = true;
 		this.condition._unknown = true;
-		Base.enterAmbiguousBlock();
-		Base.getValue(this.consequent.processRule());
-		Base.getValue(this.alternative.processRule());
-		result = new Base.UnknownType();
+		result = Base.mergeValues(Base.evaluateBranches([
+			function () {
+				return Base.getValue(this.consequent.processRule());
+			}.bind(this),
+			function () {
+				return Base.getValue(this.alternative.processRule());
+			}.bind(this)
+		], leftValue, this).filter(Boolean), leftValue);
+	} else if (Base.type(leftValue) === 'Unknown') {
+		this._ambiguousBlock = true;
+		this.condition._unknown = true;
+		Base.enterAmbiguousBlock(undefined, leftValue);
+		Base.enterUnknownBranch(this, leftValue, 0);
+		consequentValue = Base.getValue(this.consequent.processRule());
+		Base.exitUnknownBranch();
+		Base.enterUnknownBranch(this, leftValue, 1);
+		alternativeValue = Base.getValue(this.alternative.processRule());
+		Base.exitUnknownBranch();
+		result = Base.createUnknownOrigin('ambiguous-branch merge', Base.joinTypeInfo(Base.getTypeInfo(consequentValue),
+			Base.getTypeInfo(alternativeValue)), [leftValue, consequentValue, alternativeValue]);
 		Base.exitAmbiguousBlock();
 	} else if (Base.toBoolean(leftValue).value) {
 		result = Base.getValue(this.consequent.processRule());
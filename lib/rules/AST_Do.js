@@ -48,15 +48,22 @@ AST.registerRuleProcessor('AST_Do', function processRule() {
 		testExprRef,
 		loopIterations = 0,
 		eventDescription,
+		wideningJournal,
 		context = Base.getCurrentContext();
 
+	function evaluateWidenedIteration() {
+		var iterationResult = body.processRule();
+		Base.getValue(conditional.processRule());
+		return iterationResult;
+	}
+
 	RuleProcessor.preProcess(this);
 
 	RuleProcessor.fireRuleEvent(this, {}, false);
 	RuleProcessor.logRule('AST_Do');
 
 	if (!Runtime.options.evaluateLoops) {
-		Base.enterAmbiguousBlock();
+		Base.enterAmbiguousBlock('loop evaluation disabled');
 		this._ambiguousBlock = true;
 		if (conditional) {
 			if (Base.getValue(conditional.processRule())) {
@@ -66,75 +73,88 @@ AST.registerRuleProcessor('AST_Do', function processRule() {
 		result = body.processRule();
 		if (result[0] === 'return') {
 			context._returnIsUnknown = true;
-			context.lexicalEnvironment._ambiguousContext = true;
+			context.variableEnvironment._ambiguousContext = true;
 			result = ['normal', undefined, undefined];
 		}
 		Base.exitAmbiguousBlock();
 	} else {
-		while (true) {
-
-			if (++loopIterations === Runtime.options.maxLoopIterations) {
-
-				eventDescription = 'Maximum application loop iteration limit of ' + Runtime.options.maxLoopIterations +
-					' reached, could not fully process code';
-				Runtime.fireEvent('maxIterationsExceeded', eventDescription, {
-					ruleName: this.className,
-					ast: this
-				});
-				Runtime.reportWarning('maxIterationsExceeded', eventDescription);
-
-				this._ambiguousBlock = true;
-				Base.enterAmbiguousBlock();
-				result = body.processRule();
-				if (result[0] === 'return') {
-					context._returnIsUnknown = true;
-					context.lexicalEnvironment._ambiguousContext = true;
-					result = ['normal', undefined, undefined];
+		try {
+			while (true) {
+
+				if (++loopIterations === Runtime.options.maxLoopIterations) {
+
+					eventDescription = 'Maximum application loop iteration limit of ' + Runtime.options.maxLoopIterations +
+						' reached, could not fully process code';
+					Runtime.fireEvent('maxIterationsExceeded', eventDescription, {
+						ruleName: this.className,
+						ast: this
+					});
+					Runtime.reportWarning('maxIterationsExceeded', eventDescription);
+
+					this._ambiguousBlock = true;
+					Base.enterAmbiguousBlock('loop iteration limit');
+					result = body.processRule();
+					if (result[0] === 'return') {
+						context._returnIsUnknown = true;
+						context.variableEnvironment._ambiguousContext = true;
+						result = ['normal', undefined, undefined];
+					}
+					Base.exitAmbiguousBlock();
+					break;
 				}
-				Base.exitAmbiguousBlock();
-				break;
-			}
-
-			stmt = body.processRule();
-			if (stmt[1]) {
-				v = stmt[1];
-				result = ['normal', v, undefined];
-			}
 
-			if (stmt[0] === 'continue') {
-				if (stmt[2] && stmt[2] !== this._label) {
-					result = stmt;
+				if (wideningJournal) {
+					this._ambiguousBlock = true;
+					result = Base.widenLoop(wideningJournal, evaluateWidenedIteration);
 					break;
 				}
-			} else if (stmt[0] === 'break') {
-				if (stmt[2] && stmt[2] !== this._label) {
-					result = stmt;
-				} else {
+				if (loopIterations === Runtime.options.loopWideningThreshold) {
+					wideningJournal = Base.startLoopWidening();
+				}
+
+				stmt = body.processRule();
+				if (stmt[1]) {
+					v = stmt[1];
 					result = ['normal', v, undefined];
 				}
-				break;
-			} else if (stmt[0] !== 'normal') {
-				result = stmt;
-				break;
-			}
 
-			testExprRef = Base.getValue(conditional.processRule());
-			if (Base.type(testExprRef) === 'Unknown') {
-				conditional._unknown = true;
-				this._ambiguousBlock = true;
-				Base.enterAmbiguousBlock();
-				result = body.processRule();
-				if (result[0] === 'return') {
-					context._returnIsUnknown = true;
-					context.lexicalEnvironment._ambiguousContext = true;
-					result = ['normal', undefined, undefined];
+				if (stmt[0] === 'continue') {
+					if (stmt[2] && stmt[2] !== this._label) {
+						result = stmt;
+						break;
+					}
+				} else if (stmt[0] === 'break') {
+					if (stmt[2] && stmt[2] !== this._label) {
+						result = stmt;
+					} else {
+						result = ['normal', v, undefined];
+					}
+					break;
+				} else if (stmt[0] !== 'normal') {
+					result = stmt;
+					break;
+				}
+
+				testExprRef = Base.getValue(conditional.processRule());
+				if (Base.type(testExprRef) === 'Unknown') {
+					conditional._unknown = true;
+					this._ambiguousBlock = true;
+					Base.enterAmbiguousBlock(undefined, testExprRef);
+					result = body.processRule();
+					if (result[0] === 'return') {
+						context._returnIsUnknown = true;
+						context.variableEnvironment._ambiguousContext = true;
+						result = ['normal', undefined, undefined];
+					}
+					Base.exitAmbiguousBlock();
+					break;
+				}
+				if (!Base.toBoolean(testExprRef).value) {
+					break;
 				}
-				Base.exitAmbiguousBlock();
-				break;
-			}
-			if (!Base.toBoolean(testExprRef).value) {
-				break;
 			}
+		} finally {
+			Base.stopLoopWidening(wideningJournal);
 		}
 	}
 
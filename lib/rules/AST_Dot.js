@@ -42,9 +42,10 @@ AST.registerRuleProcessor('AST_Dot', function processRule() {
 	baseValue = Base.getValue(this.expression.processRule());
 	result = new Base.ReferenceType();
 
-	// Check if this is an unknown and short-circuit it
+	// Check if this is an unknown and short-circuit it, keeping the type of the property if it can be determined
 	if (Base.type(baseValue) === 'Unknown') {
-		result = new Base.UnknownType();
+		result = Base.deriveUnknown(Base.getUnknownProperty(baseValue, propertyNameString),
+			'property "' + propertyNameString + '"', [baseValue]);
 	} else if (Base.isType(baseValue, ['Undefined', 'Null'])) {
 		Base.handleRecoverableNativeException('TypeError', Base.type(baseValue).toLowerCase() +
 			' value has no property "' + propertyNameString + '"');
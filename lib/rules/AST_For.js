@@ -48,102 +48,136 @@ AST.registerRuleProcessor('AST_For', function processRule() {
 		result = ['normal', undefined, undefined],
 		loopIterations = 0,
 		eventDescription,
+		wideningJournal,
 		stmt,
+		previousEnvironment,
 		context = Base.getCurrentContext();
 
-	RuleProcessor.preProcess(this);
-
-	RuleProcessor.fireRuleEvent(this, {}, false);
-	RuleProcessor.logRule('AST_For');
-
-	if (this.init) {
-		this.init.processRule();
-	}
-
-	if (!Runtime.options.evaluateLoops) {
-		this._ambiguousBlock = true;
-		Base.enterAmbiguousBlock();
+	function evaluateWidenedIteration() {
+		var iterationResult;
 		if (conditional) {
 			Base.getValue(conditional.processRule());
 		}
+		iterationResult = body.processRule();
 		if (iteration) {
 			Base.getValue(iteration.processRule());
 		}
-		result = body.processRule();
-		if (result[0] === 'return') {
-			context._returnIsUnknown = true;
-			context.lexicalEnvironment._ambiguousContext = true;
-			result = ['normal', undefined, undefined];
+		return iterationResult;
+	}
+
+	RuleProcessor.preProcess(this);
+
+	RuleProcessor.fireRuleEvent(this, {}, false);
+	RuleProcessor.logRule('AST_For');
+
+	// Let and const declarations in the initializer are scoped to the loop, with a copy made for each iteration
+	previousEnvironment = this.init && Base.enterBlockScope([this.init]);
+	try {
+		if (this.init) {
+			this.init.processRule();
 		}
-		Base.exitAmbiguousBlock();
-	} else {
-		while (true) {
-
-			if (++loopIterations === Runtime.options.maxLoopIterations) {
-
-				eventDescription = 'Maximum application loop iteration limit of ' + Runtime.options.maxLoopIterations +
-					' reached, could not fully process code';
-				Runtime.fireEvent('maxIterationsExceeded', eventDescription, {
-					ruleName: this.className,
-					ast: this
-				});
-				Runtime.reportWarning('maxIterationsExceeded', eventDescription);
-
-				this._ambiguousBlock = true;
-				Base.enterAmbiguousBlock();
-				result = body.processRule();
-				if (result[0] === 'return') {
-					context._returnIsUnknown = true;
-					context.lexicalEnvironment._ambiguousContext = true;
-					result = ['normal', undefined, undefined];
-				}
-				Base.exitAmbiguousBlock();
-				break;
+
+		if (!Runtime.options.evaluateLoops) {
+			this._ambiguousBlock = true;
+			Base.enterAmbiguousBlock('loop evaluation disabled');
+			if (conditional) {
+				Base.getValue(conditional.processRule());
+			}
+			if (iteration) {
+				Base.getValue(iteration.processRule());
+			}
+			result = body.processRule();
+			if (result[0] === 'return') {
+				context._returnIsUnknown = true;
+				context.variableEnvironment._ambiguousContext = true;
+				result = ['normal', undefined, undefined];
 			}
+			Base.exitAmbiguousBlock();
+		} else {
+			while (true) {
+
+				if (++loopIterations === Runtime.options.maxLoopIterations) {
+
+					eventDescription = 'Maximum application loop iteration limit of ' + Runtime.options.maxLoopIterations +
+						' reached, could not fully process code';
+					Runtime.fireEvent('maxIterationsExceeded', eventDescription, {
+						ruleName: this.className,
+						ast: this
+					});
+					Runtime.reportWarning('maxIterationsExceeded', eventDescription);
 
-			testExprRef = conditional && Base.getValue(conditional.processRule());
-			if (testExprRef) {
-				if (Base.type(testExprRef) === 'Unknown') {
 					this._ambiguousBlock = true;
-					Base.enterAmbiguousBlock();
+					Base.enterAmbiguousBlock('loop iteration limit');
 					result = body.processRule();
 					if (result[0] === 'return') {
 						context._returnIsUnknown = true;
-						context.lexicalEnvironment._ambiguousContext = true;
+						context.variableEnvironment._ambiguousContext = true;
 						result = ['normal', undefined, undefined];
 					}
 					Base.exitAmbiguousBlock();
 					break;
 				}
-				if (!Base.toBoolean(testExprRef).value) {
+
+				testExprRef = conditional && Base.getValue(conditional.processRule());
+				if (testExprRef) {
+					if (Base.type(testExprRef) === 'Unknown') {
+						this._ambiguousBlock = true;
+						Base.enterAmbiguousBlock(undefined, testExprRef);
+						result = body.processRule();
+						if (result[0] === 'return') {
+							context._returnIsUnknown = true;
+							context.variableEnvironment._ambiguousContext = true;
+							result = ['normal', undefined, undefined];
+						}
+						Base.exitAmbiguousBlock();
+						break;
+					}
+					if (!Base.toBoolean(testExprRef).value) {
+						break;
+					}
+				}
+				if (wideningJournal) {
+					this._ambiguousBlock = true;
+					result = Base.widenLoop(wideningJournal, evaluateWidenedIteration);
 					break;
 				}
-			}
+				if (loopIterations === Runtime.options.loopWideningThreshold) {
+					wideningJournal = Base.startLoopWidening();
+				}
 
-			stmt = body.processRule();
-			if (stmt[1]) {
-				v = stmt[1];
-			}
-			if (stmt[0] === 'continue') {
-				if (stmt[2] && stmt[2] !== this._label) {
+				stmt = body.processRule();
+				if (stmt[1]) {
+					v = stmt[1];
+				}
+				if (stmt[0] === 'continue') {
+					if (stmt[2] && stmt[2] !== this._label) {
+						result = stmt;
+						break;
+					}
+				} else if (stmt[0] === 'break') {
+					if (stmt[2] && stmt[2] !== this._label) {
+						result = stmt;
+					} else {
+						result = ['normal', v, undefined];
+					}
+					break;
+				} else if (stmt[0] !== 'normal') {
 					result = stmt;
 					break;
 				}
-			} else if (stmt[0] === 'break') {
-				if (stmt[2] && stmt[2] !== this._label) {
-					result = stmt;
-				} else {
-					result = ['normal', v, undefined];
+
+				// The iteration being recorded for widening keeps its environment, so that its changes are recorded
+				if (previousEnvironment && !wideningJournal) {
+					Base.createPerIterationEnvironment();
+				}
+				if (iteration) {
+					Base.getValue(iteration.processRule());
 				}
-				break;
-			} else if (stmt[0] !== 'normal') {
-				result = stmt;
-				break;
-			}
-			if (iteration) {
-				Base.getValue(iteration.processRule());
 			}
 		}
+	} finally {
+		Base.stopLoopWidening(wideningJournal);
+		Base.exitBlockScope(previousEnvironment);
 	}
 
 	RuleProcessor.fireRuleEvent(this, {
@@ -46,7 +46,9 @@ AST.registerRuleProcessor('AST_ForIn', function processRule() {
 		prop,
 		i, len,
 		context,
-		getRef;
+		getRef,
+		evaluateWidenedIteration,
+		wideningJournal;
 
 	RuleProcessor.preProcess(this);
 
@@ -55,6 +57,11 @@ AST.registerRuleProcessor('AST_ForIn', function processRule() {
 		return varRef ? varRef : this.init.processRule();
 	}.bind(this);
 
+	evaluateWidenedIteration = function () {
+		Base.putValue(getRef(), Base.createUnknownOrigin('loop widening', { type: 'String' }));
+		return this.body.processRule();
+	}.bind(this);
+
 	RuleProcessor.fireRuleEvent(this, {}, false);
 	RuleProcessor.logRule('AST_ForIn');
 
@@ -69,75 +76,88 @@ AST.registerRuleProcessor('AST_ForIn', function processRule() {
 	result = ['normal', undefined, undefined];
 	loopIterations = 0;
 
-	if (experValueType === 'Unknown' || !Runtime.options.evaluateLoops) {
+	if (experValueType === 'Unknown' || experValue._hasUnknownProperties || !Runtime.options.evaluateLoops) {
 		this._ambiguousBlock = true;
 		this.object._unknown = true;
-		Base.enterAmbiguousBlock();
-		Base.putValue(getRef(), new Base.UnknownType());
+		Base.enterAmbiguousBlock(Runtime.options.evaluateLoops ? undefined : 'loop evaluation disabled', experValue);
+		Base.putValue(getRef(), Base.deriveUnknown(Base.createTypedUnknown({ type: 'String' }), 'property name',
+			[experValue]));
 		result = this.body.processRule();
 		if (result[0] === 'return') {
 			context._returnIsUnknown = true;
-			context.lexicalEnvironment._ambiguousContext = true;
+			context.variableEnvironment._ambiguousContext = true;
 			result = ['normal', undefined, undefined];
 		}
 		Base.exitAmbiguousBlock();
 	} else if (experValueType !== 'Undefined' && experValueType !== 'Null') {
 		obj = Base.toObject(experValue);
-		outerLoop: while (obj) {
-			propNames = obj._getPropertyNames();
-			for (i = 0, len = propNames.length; i < len; i++) {
-				prop = obj._lookupProperty(propNames[i]);
-				if (++loopIterations === Runtime.options.maxLoopIterations) {
-
-					eventDescription = 'Maximum application loop iteration limit of ' + Runtime.options.maxLoopIterations +
-						' reached, could not fully process code';
-					Runtime.fireEvent('maxIterationsExceeded', eventDescription, {
-						ruleName: this.className,
-						ast: this
-					});
-					Runtime.reportWarning('maxIterationsExceeded', eventDescription);
-
-					this._ambiguousBlock = true;
-					Base.enterAmbiguousBlock();
-					Base.putValue(getRef(), new Base.UnknownType());
-					result = this.body.processRule();
-					if (result[0] === 'return') {
-						context._returnIsUnknown = true;
-						context.lexicalEnvironment._ambiguousContext = true;
-						result = ['normal', undefined, undefined];
-					}
-					Base.exitAmbiguousBlock();
-				} else if (prop && prop.enumerable) {
-					pVal = new Base.StringType(propNames[i]);
-					Base.putValue(getRef(), pVal);
-					stmt = this.body.processRule();
-					if (stmt[1]) {
-						v = stmt[1];
-					}
-					if (stmt[0] === 'continue') {
-						if (stmt[2] && stmt[2] !== this._label) {
-							result = stmt;
+		try {
+			outerLoop: while (obj) {
+				propNames = obj._getPropertyNames();
+				for (i = 0, len = propNames.length; i < len; i++) {
+					prop = obj._lookupProperty(propNames[i]);
+					if (++loopIterations === Runtime.options.maxLoopIterations) {
+
+						eventDescription = 'Maximum application loop iteration limit of ' + Runtime.options.maxLoopIterations +
+							' reached, could not fully process code';
+						Runtime.fireEvent('maxIterationsExceeded', eventDescription, {
+							ruleName: this.className,
+							ast: this
+						});
+						Runtime.reportWarning('maxIterationsExceeded', eventDescription);
+
+						this._ambiguousBlock = true;
+						Base.enterAmbiguousBlock('loop iteration limit');
+						Base.putValue(getRef(), Base.createUnknownOrigin('loop iteration limit', { type: 'String' }));
+						result = this.body.processRule();
+						if (result[0] === 'return') {
+							context._returnIsUnknown = true;
+							context.variableEnvironment._ambiguousContext = true;
+							result = ['normal', undefined, undefined];
+						}
+						Base.exitAmbiguousBlock();
+					} else if (prop && prop.enumerable) {
+						if (wideningJournal) {
+							this._ambiguousBlock = true;
+							result = Base.widenLoop(wideningJournal, evaluateWidenedIteration);
 							break outerLoop;
 						}
-					} else if (stmt[0] === 'break') {
-						if (stmt[2] && stmt[2] !== this._label) {
+						if (loopIterations >= Runtime.options.loopWideningThreshold && Runtime.options.loopWideningThreshold) {
+							wideningJournal = Base.startLoopWidening();
+						}
+						pVal = new Base.StringType(propNames[i]);
+						Base.putValue(getRef(), pVal);
+						stmt = this.body.processRule();
+						if (stmt[1]) {
+							v = stmt[1];
+						}
+						if (stmt[0] === 'continue') {
+							if (stmt[2] && stmt[2] !== this._label) {
+								result = stmt;
+								break outerLoop;
+							}
+						} else if (stmt[0] === 'break') {
+							if (stmt[2] && stmt[2] !== this._label) {
+								result = stmt;
+							} else {
+								result = ['normal', v, undefined];
+							}
+							result = stmt;
+							break outerLoop;
+						} else if (stmt[0] !== 'normal') {
 							result = stmt;
-						} else {
-							result = ['normal', v, undefined];
+							break outerLoop;
 						}
-						result = stmt;
-						break outerLoop;
-					} else if (stmt[0] !== 'normal') {
-						result = stmt;
-						break outerLoop;
 					}
 				}
+				if (obj !== obj.objectPrototype) {
+					obj = obj.objectPrototype;
+				} else {
+					obj = undefined;
+				}
 			}
-			if (obj !== obj.objectPrototype) {
-				obj = obj.objectPrototype;
-			} else {
-				obj = undefined;
-			}
+		} finally {
+			Base.stopLoopWidening(wideningJournal);
 		}
 	}
 
@@ -50,7 +50,9 @@ AST.registerRuleProcessor('AST_Function', function processRule() {
 	for (i = 0, len = this.argnames.length; i < len; i++) {
 		this.argnames[i]._visited = true;
 		this.argnames[i]._skipped = false;
-		formalParameterList.push(this.argnames[i].name);
+		if (this.argnames[i].TYPE !== 'SymbolRest') {
+			formalParameterList.push(this.argnames[i].name);
+		}
 	}
 
 	try {
@@ -78,7 +80,13 @@ AST.registerRuleProcessor('AST_Function', function processRule() {
 		} else {
 			functionObject = new Base.FunctionType(formalParameterList, this, context.lexicalEnvironment, strict);
 		}
+		if (this.TYPE === 'Arrow') {
+			functionObject.lexicalThis = context.thisBinding;
+		}
 		functionObject._location = Runtime.getCurrentLocation();
+
+		// Saved so that the function is evaluated with the let and const declarations it can see if it is never called
+		this._funcObject = functionObject;
 	} catch(e) {
 		if (e === 'Unknown') {
 			functionObject = new Base.UnknownType();
@@ -27,7 +27,8 @@
 
 var Base = require('../Base'),
 	AST = require('../AST'),
-	RuleProcessor = require('../RuleProcessor');
+	RuleProcessor = require('../RuleProcessor'),
+	Runtime = require('../Runtime');
 
 AST.registerRuleProcessor('AST_If', function processRule() {
 
@@ -46,21 +47,36 @@ AST.registerRuleProcessor('AST_If', function processRule() {
 
 	leftValue = Base.getValue(this.condition.processRule());
 
-	if (Base.type(leftValue) === 'Unknown') {
+	if (Base.type(leftValue) === 'Unknown' && Runtime.options.ambiguityStrategy === 'merge') {
 		this._ambiguousBlock = true;
 		this.condition._unknown = true;
-		Base.enterAmbiguousBlock();
+		result = Base.mergeBranchResults(Base.evaluateBranches([
+			function () {
+				return this.body.processRule();
+			}.bind(this),
+			function () {
+				return this.alternative ? this.alternative.processRule() : ['normal', undefined, undefined];
+			}.bind(this)
+		], leftValue, this));
+	} else if (Base.type(leftValue) === 'Unknown') {
+		this._ambiguousBlock = true;
+		this.condition._unknown = true;
+		Base.enterAmbiguousBlock(undefined, leftValue);
+		Base.enterUnknownBranch(this, leftValue, 0);
 		result = this.body.processRule();
+		Base.exitUnknownBranch();
 		if (result[0] === 'return') {
 			context._returnIsUnknown = true;
-			context.lexicalEnvironment._ambiguousContext = true;
+			context.variableEnvironment._ambiguousContext = true;
 			result = ['normal', undefined, undefined];
 		}
 		if (this.alternative) {
+			Base.enterUnknownBranch(this, leftValue, 1);
 			result = this.alternative.processRule();
+			Base.exitUnknownBranch();
 			if (result[0] === 'return') {
 				context._returnIsUnknown = true;
-				context.lexicalEnvironment._ambiguousContext = true;
+				context.variableEnvironment._ambiguousContext = true;
 				result = ['normal', undefined, undefined];
 			}
 		}
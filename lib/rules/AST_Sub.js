@@ -45,7 +45,7 @@ AST.registerRuleProcessor('AST_Sub', function processRule() {
 	} else {
 		propertyNameString = Base.getValue(this.property.processRule());
 		if (Base.type(propertyNameString) === 'Unknown') {
-			result = new Base.UnknownType();
+			result = Base.deriveUnknown(new Base.UnknownType(), 'computed property', [propertyNameString]);
 			RuleProcessor.fireRuleEvent(this, {
 				result: result
 			}, true);
@@ -58,9 +58,10 @@ AST.registerRuleProcessor('AST_Sub', function processRule() {
 	}
 	result = new Base.ReferenceType();
 
-	// Check if this is an unknown and short-circuit it
+	// Check if this is an unknown and short-circuit it, keeping the type of the property if it can be determined
 	if (Base.type(baseValue) === 'Unknown') {
-		result = new Base.UnknownType();
+		result = Base.deriveUnknown(Base.getUnknownProperty(baseValue, propertyNameString),
+			'property "' + propertyNameString + '"', [baseValue]);
 	} else {
 		// Create the reference to the property
 		if (Base.isType(baseValue, ['Undefined', 'Null'])) {
@@ -48,6 +48,8 @@ AST.registerRuleProcessor('AST_Switch', function processRule() {
 		found = false,
 		foundInB = false,
 		clauseSelector,
+		branches,
+		previousEnvironment,
 		context = Base.getCurrentContext();
 
 	RuleProcessor.preProcess(this);
@@ -56,62 +58,155 @@ AST.registerRuleProcessor('AST_Switch', function processRule() {
 		node._skipped = !node._visited;
 	}
 
+	// Creates a branch that starts at the given case and falls through to the following cases until a break
+	function createCaseBranch(switchCases, start, label) {
+		return function () {
+			var r,
+				v,
+				i, j;
+			for (i = start; i < switchCases.length; i++) {
+				for (j = 0; j < switchCases[i].body.length; j++) {
+					r = switchCases[i].body[j].processRule();
+					if (r[1]) {
+						v = r[1];
+					}
+					if (r[0] === 'break' && (!r[2] || label === r[2])) {
+						return ['normal', v, undefined];
+					} else if (r[0] !== 'normal') {
+						return [r[0], v, r[2]];
+					}
+				}
+			}
+			return ['normal', v, undefined];
+		};
+	}
+
 	RuleProcessor.fireRuleEvent(this, {}, false);
 	RuleProcessor.logRule('AST_Switch');
 
 	input = Base.getValue(this.expression.processRule());
 
-	// If we can't process the switch, then we simply process all cases
-	if (Base.type(input) === 'Unknown') {
-		this._ambiguousBlock = true;
-		this.expression._unknown = true;
-		Base.enterAmbiguousBlock();
-		for (i = 0, len = this.body.length; i < len; i++) {
-			this.body[i]._visited = true;
-			this.body[i].expression && this.body[i].expression.processRule();
-			result = RuleProcessor.processBlock(this.body[i].body);
-		}
-		if (result[0] === 'return') {
-			context._returnIsUnknown = true;
-			context.lexicalEnvironment._ambiguousContext = true;
-			result = ['normal', undefined, undefined];
-		}
-		Base.exitAmbiguousBlock();
-	} else {
+	// The cases of a switch statement share a single block scope
+	previousEnvironment = Base.enterBlockScope(this.body.reduce(function (statements, switchCase) {
+		return statements.concat(switchCase.body);
+	}, []));
+	try {
 
-		// Find the default case and slice the cases up to match the actual ECMA spec rules
-		for (i = 0, len = a.length; i < len; i++) {
-			if (!a[i].expression) {
-				if (defaultClause) {
-					Base.throwNativeException('SyntaxError', 'Multiple default clauses are not allowed');
+		// If we can't process the switch, then each case is evaluated as a separate branch and the results are merged
+		if (Base.type(input) === 'Unknown' && Runtime.options.ambiguityStrategy === 'merge') {
+			this._ambiguousBlock = true;
+			this.expression._unknown = true;
+			branches = [];
+			for (i = 0, len = a.length; i < len; i++) {
+				a[i]._visited = true;
+				if (a[i].expression) {
+					a[i].expression.processRule();
+				} else {
+					defaultClause = a[i];
 				}
-				defaultClause = a[i];
-				defaultClauseIndex = i;
+				branches.push(createCaseBranch(a, i, this.expression.label));
 			}
-		}
+			if (!defaultClause) {
+				branches.push(function () {
+					return ['normal', undefined, undefined];
+				});
+			}
+			result = Base.mergeBranchResults(Base.evaluateBranches(branches, input, this));
 
-		if (defaultClause) {
-			b = a.slice(defaultClauseIndex + 1);
-			a = a.slice(0, defaultClauseIndex);
+		// If we can't process the switch, then we simply process all cases
+		} else if (Base.type(input) === 'Unknown') {
+			this._ambiguousBlock = true;
+			this.expression._unknown = true;
+			Base.enterAmbiguousBlock(undefined, input);
+			for (i = 0, len = this.body.length; i < len; i++) {
+				this.body[i]._visited = true;
+				this.body[i].expression && this.body[i].expression.processRule();
+				Base.enterUnknownBranch(this, input, i);
+				result = RuleProcessor.processBlock(this.body[i].body);
+				Base.exitUnknownBranch();
+			}
+			if (result[0] === 'return') {
+				context._returnIsUnknown = true;
+				context.variableEnvironment._ambiguousContext = true;
+				result = ['normal', undefined, undefined];
+			}
+			Base.exitAmbiguousBlock();
+		} else {
 
-			returnLoop:
-			while (true) {
-				// Step 5
-				aLoop:
+			// Find the default case and slice the cases up to match the actual ECMA spec rules
+			for (i = 0, len = a.length; i < len; i++) {
+				if (!a[i].expression) {
+					if (defaultClause) {
+						Base.throwNativeException('SyntaxError', 'Multiple default clauses are not allowed');
+					}
+					defaultClause = a[i];
+					defaultClauseIndex = i;
+				}
+			}
+
+			if (defaultClause) {
+				b = a.slice(defaultClauseIndex + 1);
+				a = a.slice(0, defaultClauseIndex);
+
+				returnLoop:
 				while (true) {
-					c = a[cIndex++];
-					if (!c) {
-						break aLoop;
+					// Step 5
+					aLoop:
+					while (true) {
+						c = a[cIndex++];
+						if (!c) {
+							break aLoop;
+						}
+						clauseSelector = Base.getValue(c.expression.processRule());
+						if (!found) {
+							if (Base.strictEquals(input, clauseSelector)) {
+								found = true;
+							}
+						}
+						if (found && c.body) {
+							for (i = 0, len = c.body.length; i < len; i++) {
+								r = c.body[i].processRule();
+								if (r[1]) {
+									v = r[1];
+								}
+								if (r[0] !== 'normal') {
+									result = [r[0], v, r[2]];
+									break returnLoop;
+								}
+							}
+						}
 					}
-					clauseSelector = Base.getValue(c.expression.processRule());
+					// Step 7
+					cIndex = 0;
 					if (!found) {
-						if (Base.strictEquals(input, clauseSelector)) {
-							found = true;
+						bLoop:
+						while (!foundInB) {
+							c = b[cIndex++];
+							if (!c) {
+								break bLoop;
+							}
+							clauseSelector = Base.getValue(c.expression.processRule());
+							if (Base.strictEquals(input, clauseSelector)) {
+								foundInB = true;
+								if (c.body) {
+									for (i = 0, len = c.body.length; i < len; i++) {
+										r = c.body[i].processRule();
+										if (r[1]) {
+											v = r[1];
+										}
+										if (r[0] !== 'normal') {
+											result = [r[0], v, r[2]];
+											break returnLoop;
+										}
+									}
+								}
+							}
 						}
 					}
-					if (found && c.body) {
-						for (i = 0, len = c.body.length; i < len; i++) {
-							r = c.body[i].processRule();
+					// Step 8
+					if (!foundInB && defaultClause.body) {
+						for (i = 0, len = defaultClause.body.length; i < len; i++) {
+							r = defaultClause.body[i].processRule();
 							if (r[1]) {
 								v = r[1];
 							}
@@ -121,133 +216,95 @@ AST.registerRuleProcessor('AST_Switch', function processRule() {
 							}
 						}
 					}
-				}
-				// Step 7
-				cIndex = 0;
-				if (!found) {
-					bLoop:
-					while (!foundInB) {
+					// Step 9
+					while (true) {
 						c = b[cIndex++];
 						if (!c) {
-							break bLoop;
+							result = ['normal', undefined, undefined];
+							break returnLoop;
 						}
-						clauseSelector = Base.getValue(c.expression.processRule());
-						if (Base.strictEquals(input, clauseSelector)) {
-							foundInB = true;
-							if (c.body) {
-								for (i = 0, len = c.body.length; i < len; i++) {
-									r = c.body[i].processRule();
-									if (r[1]) {
-										v = r[1];
-									}
-									if (r[0] !== 'normal') {
-										result = [r[0], v, r[2]];
-										break returnLoop;
-									}
+						if (c.body) {
+							for (i = 0, len = c.body.length; i < len; i++) {
+								r = c.body[i].processRule();
+								if (r[1]) {
+									v = r[1];
+								}
+								if (r[0] !== 'normal') {
+									result = [r[0], v, r[2]];
+									break returnLoop;
 								}
 							}
 						}
 					}
+					break returnLoop;
 				}
-				// Step 8
-				if (!foundInB && defaultClause.body) {
-					for (i = 0, len = defaultClause.body.length; i < len; i++) {
-						r = defaultClause.body[i].processRule();
-						if (r[1]) {
-							v = r[1];
-						}
-						if (r[0] !== 'normal') {
-							result = [r[0], v, r[2]];
-							break returnLoop;
-						}
-					}
-				}
-				// Step 9
+
+			} else {
+				caseLoop:
 				while (true) {
-					c = b[cIndex++];
-					if (!c) {
-						result = ['normal', undefined, undefined];
-						break returnLoop;
-					}
-					if (c.body) {
-						for (i = 0, len = c.body.length; i < len; i++) {
-							r = c.body[i].processRule();
-							if (r[1]) {
+					c = a[cIndex++];
+					if (searching) {
+						if (!c) {
+							result = ['normal', v, undefined];
+							break caseLoop;
+						}
+						clauseSelector = Base.getValue(c.expression.processRule());
+						if (Base.strictEquals(input, clauseSelector)) {
+							searching = false;
+							for (i = 0, len = c.body.length; i < len; i++) {
+								r = c.body[i].processRule();
+								if (r[0] !== 'normal') {
+									result = r;
+									break caseLoop;
+								}
 								v = r[1];
 							}
-							if (r[0] !== 'normal') {
-								result = [r[0], v, r[2]];
-								break returnLoop;
+						}
+					} else if (c) {
+						if (c.body) {
+							for (i = 0, len = c.body.length; i < len; i++) {
+								r = c.body[i].processRule();
+								if (r[1]) {
+									v = r[1];
+								}
+								if (r[0] !== 'normal') {
+									result = [r[0], v, r[2]];
+									break caseLoop;
+								}
 							}
 						}
-					}
-				}
-				break returnLoop;
-			}
-
-		} else {
-			caseLoop:
-			while (true) {
-				c = a[cIndex++];
-				if (searching) {
-					if (!c) {
+					} else {
 						result = ['normal', v, undefined];
 						break caseLoop;
 					}
-					clauseSelector = Base.getValue(c.expression.processRule());
-					if (Base.strictEquals(input, clauseSelector)) {
-						searching = false;
-						for (i = 0, len = c.body.length; i < len; i++) {
-							r = c.body[i].processRule();
-							if (r[0] !== 'normal') {
-								result = r;
-								break caseLoop;
-							}
-							v = r[1];
-						}
-					}
-				} else if (c) {
-					if (c.body) {
-						for (i = 0, len = c.body.length; i < len; i++) {
-							r = c.body[i].processRule();
-							if (r[1]) {
-								v = r[1];
-							}
-							if (r[0] !== 'normal') {
-								result = [r[0], v, r[2]];
-								break caseLoop;
-							}
-						}
-					}
-				} else {
-					result = ['normal', v, undefined];
-					break caseLoop;
 				}
 			}
-		}
 
-		// Mark all the skipped nodes as skipped. It's just easier to do it after the fact
-		a = this.body;
-		for (i = 0, len = a.length; i < len; i++) {
-			a[i]._visited = true;
-			a[i]._skipped = false;
-			if (a[i].expression && !a[i].expression._visited) {
-				AST.walk(a[i].expression, [
-					{
-						callback: skippedNodeCallback
-					}
-				]);
-			}
-			if (a[i].body && a[i].body[0] && !a[i].body[0]._visited) {
-				for (j = 0; j < a[i].body.length; j++) {
-					AST.walk(a[i].body[j], [
+			// Mark all the skipped nodes as skipped. It's just easier to do it after the fact
+			a = this.body;
+			for (i = 0, len = a.length; i < len; i++) {
+				a[i]._visited = true;
+				a[i]._skipped = false;
+				if (a[i].expression && !a[i].expression._visited) {
+					AST.walk(a[i].expression, [
 						{
 							callback: skippedNodeCallback
 						}
 					]);
 				}
+				if (a[i].body && a[i].body[0] && !a[i].body[0]._visited) {
+					for (j = 0; j < a[i].body.length; j++) {
+						AST.walk(a[i].body[j], [
+							{
+								callback: skippedNodeCallback
+							}
+						]);
+					}
+				}
 			}
 		}
+	} finally {
+		Base.exitBlockScope(previousEnvironment);
 	}
 
 	if (result[0] === 'break' && (!result[2] || this.expression.label === result[2])) {
@@ -29,6 +29,20 @@ var AST = require('../AST'),
 	Base = require('../Base'),
 	AST = require('../AST');
 
+/**
+ * Processes the body of a try, catch, or finally block, scoping any let and const declarations in it to the block
+ *
+ * @private
+ */
+function processScopedBlock(body) {
+	var previousEnvironment = Base.enterBlockScope(body);
+	try {
+		return RuleProcessor.processBlock(body);
+	} finally {
+		Base.exitBlockScope(previousEnvironment);
+	}
+}
+
 AST.registerRuleProcessor('AST_Try', function processRule() {
 
 	var	tryBlock = this.body,
@@ -62,7 +76,7 @@ AST.registerRuleProcessor('AST_Try', function processRule() {
 
 	try {
 		Base.enterTryCatch();
-		b = RuleProcessor.processBlock(tryBlock);
+		b = processScopedBlock(tryBlock);
 	} catch (e) {
 		if (e.isCodeProcessorException) {
 			b = ['throw', Runtime._exception, undefined];
@@ -87,7 +101,7 @@ AST.registerRuleProcessor('AST_Try', function processRule() {
 		catchEnv.envRec.setMutableBinding(catchArg, param, false);
 		currentContext.lexicalEnvironment = catchEnv;
 		try {
-			result = RuleProcessor.processBlock(catchBlock.body);
+			result = processScopedBlock(catchBlock.body);
 		} finally {
 			currentContext.lexicalEnvironment = oldEnv;
 		}
@@ -118,7 +132,7 @@ AST.registerRuleProcessor('AST_Try', function processRule() {
 				]);
 			}
 		}
-		f = RuleProcessor.processBlock(finallyBlock.body);
+		f = processScopedBlock(finallyBlock.body);
 		if (f[0] === 'normal') {
 			result = c;
 		} else {
@@ -149,7 +163,7 @@ AST.registerRuleProcessor('AST_Try', function processRule() {
 	} else if (finallyBlock) {
 		finallyBlock._visited = true;
 		finallyBlock._skipped = false;
-		f = RuleProcessor.processBlock(finallyBlock.body);
+		f = processScopedBlock(finallyBlock.body);
 		if (f[0] === 'normal') {
 			if (caughtException) {
 				Runtime._exception = caughtException;
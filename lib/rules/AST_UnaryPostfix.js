@@ -46,7 +46,8 @@ AST.registerRuleProcessor('AST_UnaryPostfix', function processRule() {
 
 	// Check if the value cannot be calculated properly
 	if (Base.type(oldValue) === 'Unknown') {
-		newValue = new Base.UnknownType();
+		newValue = Base.deriveUnknown(Base.createTypedUnknown(Base.getBinaryOperatorTypeInfo(operator.charAt(0), oldValue,
+			new Base.NumberType(1))), 'operator "' + operator + '"', [oldValue]);
 	} else if (Base.type(lhs) === 'Reference' && Base.isStrictReference(lhs) &&
 			!Base.type(Base.getBase(lhs)) &&
 			~['eval', 'arguments'].indexOf(Base.getReferencedName(lhs))) {
@@ -37,6 +37,38 @@ AST.registerRuleProcessor('AST_UnaryPrefix', function processRule() {
 		oldValue,
 		previousValue;
 
+	function createUnknownResult(value) {
+		var typeofResult,
+			unknownResult;
+		switch (operator) {
+			case 'typeof':
+				typeofResult = Base.getUnknownTypeof(value);
+				unknownResult = typeofResult ? new Base.StringType(typeofResult) : Base.createTypedUnknown({ type: 'String' });
+				break;
+			case 'void':
+				unknownResult = new Base.UndefinedType();
+				break;
+			case 'delete':
+			case '!':
+				unknownResult = Base.createTypedUnknown({ type: 'Boolean' });
+				break;
+			case '+':
+				unknownResult = Base.toNumber(value);
+				break;
+			case '~':
+				unknownResult = Base.createTypedUnknown({ type: 'Number', min: -2147483648, max: 2147483647, integer: true });
+				break;
+			case '++':
+			case '--':
+				unknownResult = Base.createTypedUnknown(Base.getBinaryOperatorTypeInfo(operator.charAt(0), Base.toNumber(value),
+					new Base.NumberType(1)));
+				break;
+			default:
+				unknownResult = Base.createTypedUnknown({ type: 'Number' });
+		}
+		return Base.deriveUnknown(unknownResult, 'operator "' + operator + '"', [value]);
+	}
+
 	RuleProcessor.preProcess(this);
 
 	RuleProcessor.fireRuleEvent(this, {}, false);
@@ -45,7 +77,7 @@ AST.registerRuleProcessor('AST_UnaryPrefix', function processRule() {
 	expr = this.expression.processRule();
 	previousValue = Base.type(expr) === 'Reference' && (Base.isUnresolvableReference(expr) ? undefined : Base.getValue(expr));
 	if (Base.type(expr) === 'Reference' && !Base.isUnresolvableReference(expr) && Base.type(Base.getValue(expr)) === 'Unknown') {
-		result = new Base.UnknownType();
+		result = createUnknownResult(previousValue);
 	} else if (operator === 'delete') {
 		if (Base.type(expr) !== 'Reference') {
 			result = new Base.BooleanType(true);
@@ -83,6 +115,9 @@ AST.registerRuleProcessor('AST_UnaryPrefix', function processRule() {
 			expr = Base.getValue(expr);
 			result.value = Base.type(expr);
 			switch(result.value) {
+				case 'Unknown':
+					result = createUnknownResult(expr);
+					break;
 				case 'Null':
 					result.value = 'object'; // No I'm not making this up, this is a real thing
 					break;
@@ -122,25 +157,25 @@ AST.registerRuleProcessor('AST_UnaryPrefix', function processRule() {
 		}
 	} else if (operator === '+') {
 		if (Base.type(expr) === 'Unknown') {
-			result = new Base.UnknownType();
+			result = createUnknownResult(expr);
 		} else {
 			result = new Base.NumberType(Base.toNumber(Base.getValue(expr)).value);
 		}
 	} else if (operator === '-') {
 		if (Base.type(expr) === 'Unknown') {
-			result = new Base.UnknownType();
+			result = createUnknownResult(expr);
 		} else {
 			result = new Base.NumberType(-Base.toNumber(Base.getValue(expr)).value);
 		}
 	} else if (operator === '~') {
 		if (Base.type(expr) === 'Unknown') {
-			result = new Base.UnknownType();
+			result = createUnknownResult(expr);
 		} else {
 			result = new Base.NumberType(~Base.toInt32(Base.getValue(expr)).value);
 		}
 	} else if (operator === '!') {
 		if (Base.type(expr) === 'Unknown') {
-			result = new Base.UnknownType();
+			result = createUnknownResult(expr);
 		} else {
 			result = new Base.BooleanType(!Base.toBoolean(Base.getValue(expr)).value);
 		}
@@ -2,8 +2,8 @@
  * <p>Copyright (c) 2012 by Appcelerator, Inc. All Rights Reserved.
  * Please see the LICENSE file for information about licensing.</p>
  *
- * Variable initializations. Note that variable declarations are handled when entering a context, NOT when the rule is
- * processed.
+ * Variable initializations, for var, const, and let declarations. Note that variable declarations are handled when
+ * entering a context (or, for const and let, a block), NOT when the rule is processed.
  *
  * @module rules/AST_Var
  * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
@@ -71,12 +71,22 @@ function registerRule(ruleType) {
 				if (Base.type(value) === 'Unknown') {
 					children[i].value._unknown = true;
 				}
-				Base.putValue(reference, value);
+				if (ruleType !== 'AST_Var' && reference.baseValue instanceof Base.DeclarativeEnvironmentRecord) {
+					reference.baseValue.initializeBinding(name, value);
+				} else {
+					Base.putValue(reference, value);
+				}
 
 				initializations.push({
 					reference: reference,
 					value: value
 				});
+			} else if (ruleType === 'AST_Let') {
+				// A let declaration without an initializer ends the temporal dead zone with the value undefined
+				reference = Base.getIdentifierReference(context.lexicalEnvironment, name, context.strict);
+				if (reference.baseValue instanceof Base.DeclarativeEnvironmentRecord) {
+					reference.baseValue.initializeBinding(name, new Base.UndefinedType());
+				}
 			}
 		}
 
@@ -91,3 +101,4 @@ function registerRule(ruleType) {
 }
 registerRule('AST_Var');
 registerRule('AST_Const');
+registerRule('AST_Let');
@@ -49,8 +49,14 @@ AST.registerRuleProcessor('AST_While', function processRule() {
 		testExprRef,
 		loopIterations = 0,
 		eventDescription,
+		wideningJournal,
 		context = Base.getCurrentContext();
 
+	function evaluateWidenedIteration() {
+		Base.getValue(conditional.processRule());
+		return body.processRule();
+	}
+
 	RuleProcessor.preProcess(this);
 
 	RuleProcessor.fireRuleEvent(this, {}, false);
@@ -58,7 +64,7 @@ AST.registerRuleProcessor('AST_While', function processRule() {
 
 	if (!Runtime.options.evaluateLoops) {
 		this._ambiguousBlock = true;
-		Base.enterAmbiguousBlock();
+		Base.enterAmbiguousBlock('loop evaluation disabled');
 		if (conditional) {
 			Base.getValue(conditional.processRule());
 			if (Base.type(conditional) === 'Unknown') {
@@ -68,74 +74,86 @@ AST.registerRuleProcessor('AST_While', function processRule() {
 		result = body.processRule();
 		if (result[0] === 'return') {
 			context._returnIsUnknown = true;
-			context.lexicalEnvironment._ambiguousContext = true;
+			context.variableEnvironment._ambiguousContext = true;
 			result = ['normal', undefined, undefined];
 		}
 		Base.exitAmbiguousBlock();
 	} else {
-		while (true) {
-
-			if (++loopIterations === Runtime.options.maxLoopIterations) {
-
-				eventDescription = 'Maximum application loop iteration limit of ' + Runtime.options.maxLoopIterations +
-					' reached, could not fully process code';
-				Runtime.fireEvent('maxIterationsExceeded', eventDescription, {
-					ruleName: this.className,
-					ast: this
-				});
-				Runtime.reportWarning('maxIterationsExceeded', eventDescription);
-
-				this._ambiguousBlock = true;
-				Base.enterAmbiguousBlock();
-				result = body.processRule();
-				if (result[0] === 'return') {
-					context._returnIsUnknown = true;
-					context.lexicalEnvironment._ambiguousContext = true;
-					result = ['normal', undefined, undefined];
-				}
-				Base.exitAmbiguousBlock();
-				break;
-			}
+		try {
+			while (true) {
 
-			testExprRef = Base.getValue(conditional.processRule());
-			if (Base.type(testExprRef) === 'Unknown') {
-				this._ambiguousBlock = true;
-				conditional._unknown = true;
-				Base.enterAmbiguousBlock();
-				result = body.processRule();
-				if (result[0] === 'return') {
-					context._returnIsUnknown = true;
-					context.lexicalEnvironment._ambiguousContext = true;
-					result = ['normal', undefined, undefined];
+				if (++loopIterations === Runtime.options.maxLoopIterations) {
+
+					eventDescription = 'Maximum application loop iteration limit of ' + Runtime.options.maxLoopIterations +
+						' reached, could not fully process code';
+					Runtime.fireEvent('maxIterationsExceeded', eventDescription, {
+						ruleName: this.className,
+						ast: this
+					});
+					Runtime.reportWarning('maxIterationsExceeded', eventDescription);
+
+					this._ambiguousBlock = true;
+					Base.enterAmbiguousBlock('loop iteration limit');
+					result = body.processRule();
+					if (result[0] === 'return') {
+						context._returnIsUnknown = true;
+						context.variableEnvironment._ambiguousContext = true;
+						result = ['normal', undefined, undefined];
+					}
+					Base.exitAmbiguousBlock();
+					break;
 				}
-				Base.exitAmbiguousBlock();
-				break;
-			}
-			if (!Base.toBoolean(testExprRef).value) {
-				result = ['normal', v, undefined];
-				break;
-			}
 
-			stmt = body.processRule();
-			if (stmt[1]) {
-				v = stmt[1];
-			}
-			if (stmt[0] === 'continue') {
-				if (stmt[2] && stmt[2] !== this._label) {
-					result = stmt;
+				testExprRef = Base.getValue(conditional.processRule());
+				if (Base.type(testExprRef) === 'Unknown') {
+					this._ambiguousBlock = true;
+					conditional._unknown = true;
+					Base.enterAmbiguousBlock(undefined, testExprRef);
+					result = body.processRule();
+					if (result[0] === 'return') {
+						context._returnIsUnknown = true;
+						context.variableEnvironment._ambiguousContext = true;
+						result = ['normal', undefined, undefined];
+					}
+					Base.exitAmbiguousBlock();
 					break;
 				}
-			} else if (stmt[0] === 'break') {
-				if (stmt[2] && stmt[2] !== this._label) {
-					result = stmt;
-				} else {
+				if (!Base.toBoolean(testExprRef).value) {
 					result = ['normal', v, undefined];
+					break;
+				}
+				if (wideningJournal) {
+					this._ambiguousBlock = true;
+					result = Base.widenLoop(wideningJournal, evaluateWidenedIteration);
+					break;
+				}
+				if (loopIterations === Runtime.options.loopWideningThreshold) {
+					wideningJournal = Base.startLoopWidening();
+				}
+
+				stmt = body.processRule();
+				if (stmt[1]) {
+					v = stmt[1];
+				}
+				if (stmt[0] === 'continue') {
+					if (stmt[2] && stmt[2] !== this._label) {
+						result = stmt;
+						break;
+					}
+				} else if (stmt[0] === 'break') {
+					if (stmt[2] && stmt[2] !== this._label) {
+						result = stmt;
+					} else {
+						result = ['normal', v, undefined];
+					}
+					break;
+				} else if (stmt[0] !== 'normal') {
+					result = stmt;
+					break;
 				}
-				break;
-			} else if (stmt[0] !== 'normal') {
-				result = stmt;
-				break;
 			}
+		} finally {
+			Base.stopLoopWidening(wideningJournal);
 		}
 	}
 
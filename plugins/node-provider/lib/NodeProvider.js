@@ -0,0 +1,446 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Provides the Node.js module system and globals for the code processor
+ *
+ * @module plugins/NodeProvider
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+
+var fs = require('fs'),
+	path = require('path'),
+	existsSync = fs.existsSync || path.existsSync,
+	util = require('util'),
+
+	Base = require(path.join(global.titaniumCodeProcessorLibDir, 'Base')),
+	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime')),
+	AST = require(path.join(global.titaniumCodeProcessorLibDir, 'AST')),
+	RuleProcessor = require(path.join(global.titaniumCodeProcessorLibDir, 'RuleProcessor')),
+
+	coreModules = ['assert', 'buffer', 'child_process', 'cluster', 'console', 'constants', 'crypto', 'dgram', 'dns',
+		'domain', 'events', 'fs', 'http', 'https', 'module', 'net', 'os', 'path', 'punycode', 'querystring', 'readline',
+		'repl', 'stream', 'string_decoder', 'sys', 'timers', 'tls', 'tty', 'url', 'util', 'vm', 'zlib'],
+	processProperties = ['argv', 'arch', 'config', 'env', 'execArgv', 'execPath', 'exitCode', 'pid', 'platform',
+		'release', 'stderr', 'stdin', 'stdout', 'title', 'version', 'versions'],
+	processMethods = ['abort', 'chdir', 'cwd', 'emit', 'exit', 'hrtime', 'kill', 'memoryUsage', 'nextTick', 'on',
+		'once', 'removeAllListeners', 'removeListener', 'umask', 'uptime'],
+	bufferMethods = ['alloc', 'allocUnsafe', 'byteLength', 'compare', 'concat', 'from', 'isBuffer', 'isEncoding'],
+	timerMethods = ['setTimeout', 'setInterval', 'setImmediate', 'clearTimeout', 'clearInterval', 'clearImmediate'],
+	consoleMethods = ['debug', 'dir', 'error', 'info', 'log', 'trace', 'warn'],
+
+	relativeRegExp = /^(\.{1,2}(\/|\\|$)|\/)/,
+	coreRegExp = /^node:/,
+	jsonRegExp = /\.json$/,
+	nodeModulesRegExp = /(^|[\/\\])node_modules([\/\\]|$)/,
+
+	cache;
+
+// ******** Plugin API Methods ********
+
+/**
+ * Initializes the plugin
+ *
+ * @method
+ * @name module:plugins/NodeProvider#init
+ */
+exports.init = function init() {
+
+	var globalObject = Base.getGlobalObject(),
+		entryPoint = Runtime.sourceInformation && Runtime.sourceInformation.entryPoint,
+		moduleObject = new Base.ObjectType(),
+		exportsObject = new Base.ObjectType(),
+		processObject = new Base.ObjectType(),
+		bufferFunction = new NodeFunction('Buffer'),
+		consoleObject = new Base.ObjectType();
+
+	cache = {};
+
+	// Files in node_modules are only analyzed when they are required
+	Runtime.on('fileListSet', function(e) {
+		Runtime.fileList = e.data.fileList.filter(function (file) {
+			return !nodeModulesRegExp.test(path.relative(Runtime.sourceInformation.sourceDir, file));
+		});
+	});
+
+	// Create the module objects for the entry point
+	moduleObject.put('exports', exportsObject, false);
+	addGlobal(globalObject, 'module', moduleObject);
+	addGlobal(globalObject, 'exports', exportsObject);
+	if (entryPoint) {
+		cache[entryPoint] = moduleObject;
+		addGlobal(globalObject, '__filename', new Base.StringType(entryPoint));
+		addGlobal(globalObject, '__dirname', new Base.StringType(path.dirname(entryPoint)));
+	}
+	addGlobal(globalObject, 'require', new RequireFunction());
+	addGlobal(globalObject, 'global', globalObject);
+
+	// Create the process stub
+	processProperties.forEach(function (name) {
+		addProperty(processObject, name, new Base.UnknownType());
+	});
+	processMethods.forEach(function (name) {
+		addProperty(processObject, name, new NodeFunction('process.' + name));
+	});
+	addGlobal(globalObject, 'process', processObject);
+
+	// Create the Buffer stub
+	bufferMethods.forEach(function (name) {
+		addProperty(bufferFunction, name, new NodeFunction('Buffer.' + name));
+	});
+	addGlobal(globalObject, 'Buffer', bufferFunction);
+
+	// Create the timers and console
+	timerMethods.forEach(function (name) {
+		addGlobal(globalObject, name, new NodeFunction(name));
+	});
+	consoleMethods.forEach(function (name) {
+		addProperty(consoleObject, name, new ConsoleFunction(name));
+	});
+	addGlobal(globalObject, 'console', consoleObject);
+};
+
+// ******** Function Types ********
+
+/**
+ * @classdesc A stub of a Node.js function. Callbacks passed to the function are queued with unknown arguments, and the
+ * function always returns an unknown value, whether it is called or constructed.
+ *
+ * @constructor
+ * @name module:plugins/NodeProvider~NodeFunction
+ * @private
+ * @extends module:Base.FunctionTypeBase
+ * @param {String} name The name of the function, used in event descriptions
+ */
+function NodeFunction(name, className) {
+	Base.FunctionTypeBase.call(this, 0, className || 'Function');
+	this._name = name;
+}
+util.inherits(NodeFunction, Base.FunctionTypeBase);
+
+/**
+ * @private
+ */
+NodeFunction.prototype.callFunction = Base.wrapNativeCall(function callFunction(thisVal, args) {
+	queueCallbacks(this._name, args);
+	return new Base.UnknownType();
+});
+
+/**
+ * @private
+ */
+NodeFunction.prototype.construct = Base.wrapNativeCall(function construct(args) {
+	queueCallbacks(this._name, args);
+	return new Base.UnknownType();
+});
+
+/**
+ * console.*() method
+ *
+ * @private
+ */
+function ConsoleFunction(level, className) {
+	Base.FunctionTypeBase.call(this, 0, className || 'Function');
+	this._level = level;
+}
+util.inherits(ConsoleFunction, Base.FunctionTypeBase);
+
+/**
+ * @private
+ */
+ConsoleFunction.prototype.callFunction = Base.wrapNativeCall(function callFunction(thisVal, args) {
+	var level = this._level,
+		message = (args || []).map(function (arg) {
+			return Base.type(arg) === 'Unknown' ? '<Unknown value>' : Base.toString(arg).value;
+		}).join(' ');
+	Runtime.fireEvent('consoleOutput', message, {
+		level: level,
+		message: message
+	});
+	if (Runtime.options.logConsoleCalls) {
+		Runtime.log('info', 'program output [' + level + ']: ' + message);
+	}
+	return new Base.UndefinedType();
+});
+
+/**
+ * require implementation that resolves modules the same way as Node.js
+ *
+ * @private
+ */
+function RequireFunction(className) {
+	Base.FunctionTypeBase.call(this, 1, className || 'Function');
+}
+util.inherits(RequireFunction, Base.FunctionTypeBase);
+
+/**
+ * @private
+ */
+RequireFunction.prototype.callFunction = Base.wrapNativeCall(function callFunction(thisVal, args) {
+	// Validate and parse the args
+	var name = args && Base.getValue(args[0]),
+		filePath,
+		result = new Base.UnknownType(),
+		eventDescription;
+
+	if (!name) {
+		name = new Base.UndefinedType();
+	}
+
+	name = Base.toString(name);
+	if (Base.type(name) !== 'String') {
+		eventDescription = 'A value that could not be evaluated was passed to require';
+		Runtime.fireEvent('requireUnresolved', eventDescription);
+		Runtime.reportWarning('requireUnresolved', eventDescription);
+		return result;
+	}
+	name = name.value;
+	this._location = undefined;
+	this._ast = undefined;
+
+	if (coreRegExp.test(name) || coreModules.indexOf(name) !== -1) {
+		Runtime.fireEvent('requireSkipped', 'Node.js core modules cannot be evaluated by the Titanium Code Processor', {
+			name: name
+		});
+		return result;
+	}
+
+	filePath = resolveModule(name, path.dirname(Runtime.getCurrentLocation().filename));
+	if (filePath) {
+		if (cache[filePath]) {
+			result = cache[filePath].get('exports');
+		} else {
+			Runtime.fireEvent('requireResolved', 'Module "' + name + '" was resolved to "' + filePath + '"', {
+				name: name,
+				path: filePath
+			});
+			result = jsonRegExp.test(filePath) ? processJSONFile(filePath) : processFile.call(this, filePath);
+		}
+		this._location = {
+			filename: filePath,
+			line: 1,
+			column: 1
+		};
+	} else {
+		eventDescription = 'The module "' + name + '" could not be found';
+		Runtime.fireEvent('requireMissing', eventDescription, {
+			name: name
+		});
+		Runtime.reportError('RequireMissing', eventDescription);
+	}
+	return result;
+});
+
+// ******** Helper Methods ********
+
+/**
+ * @private
+ */
+function addProperty(obj, name, value) {
+	obj.defineOwnProperty(name, {
+		value: value,
+		writable: true,
+		enumerable: true,
+		configurable: true
+	}, false, true);
+}
+
+/**
+ * @private
+ */
+function addGlobal(globalObject, name, value) {
+	globalObject.defineOwnProperty(name, {
+		value: value,
+		writable: false,
+		enumerable: true,
+		configurable: true
+	}, false, true);
+}
+
+/**
+ * Queues any functions passed to a Node.js API, since they are called at some point in the future
+ *
+ * @private
+ */
+function queueCallbacks(name, args) {
+	var i, ilen, j, jlen,
+		callArgs;
+	args = args || [];
+	for (i = 0, ilen = args.length; i < ilen; i++) {
+		if (Base.type(args[i]) === 'Unknown') {
+			Runtime.fireEvent('unknownCallback', 'An unknown value was passed to ' + name +
+				'. Some source code may not be analyzed.');
+		} else if (Base.isCallable(args[i])) {
+			callArgs = [];
+			for (j = 0, jlen = args[i].get('length').value; j < jlen; j++) {
+				callArgs[j] = Base.createUnknownOrigin('unknown callback argument');
+			}
+			Runtime.queueFunction(args[i], new Base.UndefinedType(), callArgs, true);
+		}
+	}
+}
+
+/**
+ * @private
+ */
+function isFile(filePath) {
+	return existsSync(filePath) && fs.statSync(filePath).isFile();
+}
+
+/**
+ * Resolves a path as a file, trying the .js and .json extensions
+ *
+ * @private
+ */
+function resolveFile(filePath) {
+	if (isFile(filePath)) {
+		return filePath;
+	} else if (isFile(filePath + '.js')) {
+		return filePath + '.js';
+	} else if (isFile(filePath + '.json')) {
+		return filePath + '.json';
+	}
+}
+
+/**
+ * Resolves a path as a directory, using the main entry in package.json or the index file
+ *
+ * @private
+ */
+function resolveDirectory(dirPath) {
+	var pkg = path.join(dirPath, 'package.json'),
+		main;
+	if (isFile(pkg)) {
+		try {
+			main = JSON.parse(fs.readFileSync(pkg).toString()).main;
+		} catch(e) {
+			Runtime.reportWarning('invalidPackageJSON', 'Could not parse "' + pkg + '": ' + e.message);
+		}
+		if (typeof main === 'string') {
+			main = path.resolve(dirPath, main);
+			main = resolveFile(main) || resolveFile(path.join(main, 'index'));
+			if (main) {
+				return main;
+			}
+		}
+	}
+	return resolveFile(path.join(dirPath, 'index'));
+}
+
+/**
+ * Resolves a module name to a file, or undefined if the module could not be found
+ *
+ * @private
+ */
+function resolveModule(name, baseDir) {
+	var dir,
+		filePath;
+	if (relativeRegExp.test(name)) {
+		filePath = path.resolve(baseDir, name);
+		return resolveFile(filePath) || resolveDirectory(filePath);
+	}
+
+	// Search the node_modules directories, starting in the requiring file's directory
+	dir = path.resolve(baseDir);
+	while (true) {
+		if (path.basename(dir) !== 'node_modules') {
+			filePath = path.join(dir, 'node_modules', name);
+			filePath = resolveFile(filePath) || resolveDirectory(filePath);
+			if (filePath) {
+				return filePath;
+			}
+		}
+		if (path.dirname(dir) === dir) {
+			return;
+		}
+		dir = path.dirname(dir);
+	}
+}
+
+/**
+ * Converts a parsed JSON value into a code processor value
+ *
+ * @private
+ */
+function convertJSON(value) {
+	var obj,
+		p;
+	if (value === null) {
+		return new Base.NullType();
+	}
+	switch(typeof value) {
+		case 'string':
+			return new Base.StringType(value);
+		case 'number':
+			return new Base.NumberType(value);
+		case 'boolean':
+			return new Base.BooleanType(value);
+	}
+	obj = Array.isArray(value) ? new Base.ArrayType() : new Base.ObjectType();
+	for (p in value) {
+		obj.put(p, convertJSON(value[p]), false);
+	}
+	return obj;
+}
+
+/**
+ * @private
+ */
+function processJSONFile(filename) {
+	var moduleObject = new Base.ObjectType(),
+		value;
+	try {
+		value = convertJSON(JSON.parse(fs.readFileSync(filename).toString()));
+	} catch(e) {
+		Base.handleRecoverableNativeException('SyntaxError', 'Could not parse "' + filename + '": ' + e.message);
+		value = new Base.UnknownType();
+	}
+	moduleObject.put('exports', value, false);
+	cache[filename] = moduleObject;
+	return value;
+}
+
+/**
+ * @private
+ */
+function processFile(filename) {
+
+	var root,
+		context,
+		moduleObject;
+
+	// The results of cached files are reused instead of evaluating them again, so their exports are unknown
+	if (Runtime.isFileCached(filename)) {
+		return new Base.UnknownType();
+	}
+
+	// Fire the parsing begin event
+	Runtime.fireEvent('enteredFile', 'Entering file "' + filename + '"', {
+		filename: filename
+	});
+
+	// Read in the file and generate the AST
+	root = AST.parse(filename);
+	if (!root.syntaxError) {
+
+		// Create the context, checking for strict mode
+		context = Base.createModuleContext(root, RuleProcessor.isBlockStrict(root), true, false);
+		moduleObject = context.thisBinding;
+		moduleObject.put('__filename', new Base.StringType(filename), false);
+		moduleObject.put('__dirname', new Base.StringType(path.dirname(filename)), false);
+
+		// Cache the module before processing it so that circular requires get the partially populated exports
+		cache[filename] = moduleObject;
+
+		// Process the code
+		root.processRule();
+		Base.exitContext();
+		this._ast = root;
+
+		return moduleObject.get('exports');
+	} else {
+		Runtime.reportUglifyError(root);
+		this._ast = root;
+		return new Base.UnknownType();
+	}
+}
@@ -0,0 +1,322 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * This plugin checks the arguments passed to Titanium methods against the parameters listed in the API documentation
+ *
+ * @module plugins/TiAPIArgumentValidator
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+
+var path = require('path'),
+	Base = require(path.join(global.titaniumCodeProcessorLibDir, 'Base')),
+	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime')),
+	CodeProcessorUtils = require(path.join(global.titaniumCodeProcessorLibDir, 'CodeProcessorUtils')),
+
+	pluralize = CodeProcessorUtils.pluralize,
+
+	functionTypeRegex = /^(Function|Callback)(<.*>)?$/,
+	vowelRegex = /^[AEIOU]/,
+	primitiveTypes = ['Boolean', 'Number', 'String'],
+	requiredUsages = ['required', 'one-or-more'],
+	repeatableUsages = ['one-or-more', 'zero-or-more'],
+
+	results,
+	renderData;
+
+// ******** Helper Methods ********
+
+/**
+ * Adds "a" or "an" to the front of a type name
+ *
+ * @private
+ * @method
+ */
+function withArticle(typeName) {
+	return (vowelRegex.test(typeName) ? 'an ' : 'a ') + typeName;
+}
+
+/**
+ * Gets the name of a type, e.g. 'String' or 'Titanium.UI.View'
+ *
+ * @private
+ * @method
+ */
+function getTypeName(typeInfo) {
+	return typeInfo.type === 'Object' ? typeInfo.className || 'Object' : typeInfo.type;
+}
+
+/**
+ * Checks if a JSCA type is a function type, e.g. 'Function' or 'Callback<Object>'
+ *
+ * @private
+ * @method
+ */
+function isFunctionType(type) {
+	return functionTypeRegex.test(type);
+}
+
+/**
+ * Checks if a primitive type is allowed by the list of JSCA types of a parameter. Any primitive may be passed where an
+ * Object is expected
+ *
+ * @private
+ * @method
+ */
+function isPrimitiveAllowed(type, expectedTypes) {
+	return expectedTypes.indexOf(type) !== -1 || expectedTypes.indexOf('Object') !== -1;
+}
+
+/**
+ * Records an invalid call to an API and reports it as a warning
+ *
+ * @private
+ * @method
+ */
+function reportInvalidCall(warningType, api, description, data) {
+	var location = Runtime.getCurrentLocation(),
+		invalidCall = results.invalidCalls[api];
+
+	location = location.filename + ':' + location.line + ':' + location.column;
+	Runtime.reportWarning(warningType, description, data);
+
+	if (invalidCall) {
+		invalidCall.numInstances++;
+		if (invalidCall.locations.hasOwnProperty(location)) {
+			invalidCall.locations[location]++;
+		} else {
+			invalidCall.locations[location] = 1;
+		}
+		if (invalidCall.problems.indexOf(description) === -1) {
+			invalidCall.problems.push(description);
+		}
+	} else {
+		results.invalidCalls[api] = {
+			numInstances: 1,
+			locations: {},
+			problems: [description]
+		};
+		results.invalidCalls[api].locations[location] = 1;
+	}
+}
+
+/**
+ * Checks the arguments of a call to a Titanium method
+ *
+ * @private
+ * @method
+ * @param {String} api The name of the method, e.g. 'Titanium.UI.createView'
+ * @param {Array[Object]} parameters The JSCA parameters of the method
+ * @param {Array[module:Base.BaseType]} args The arguments passed to the method
+ */
+function validateArguments(api, parameters, args) {
+	var lastParameter = parameters[parameters.length - 1],
+		isRepeatable = !!lastParameter && repeatableUsages.indexOf(lastParameter.usage) !== -1,
+		i, len,
+		parameter,
+		expectedTypes,
+		expectedDescription,
+		argumentDescription,
+		arg,
+		argType,
+		typeInfo;
+
+	// Check for extra arguments. A repeatable last parameter, e.g. the path segments of Titanium.Filesystem.getFile,
+	// takes all of the remaining arguments
+	if (!isRepeatable && args.length > parameters.length) {
+		reportInvalidCall('invalidTiArgumentCount', api, api + ' expects ' + (parameters.length ?
+			'at most ' + pluralize('%s argument', '%s arguments', parameters.length) : 'no arguments') +
+			' but was passed ' + args.length, {
+				api: api,
+				expected: parameters.length,
+				actual: args.length
+			});
+	}
+
+	for (i = 0, len = isRepeatable ? Math.max(args.length, parameters.length) : parameters.length; i < len; i++) {
+		parameter = parameters[Math.min(i, parameters.length - 1)];
+		if (!parameter.type) {
+			continue;
+		}
+		expectedTypes = parameter.type.split('|');
+		expectedDescription = withArticle(expectedTypes.join(' or '));
+		argumentDescription = api + ' expects ' + expectedDescription + ' for argument ' + (i + 1) + ' ("' +
+			parameter.name + '")';
+		arg = args[i];
+		argType = arg && Base.type(arg);
+
+		// Check for missing arguments. Null is allowed, since it is commonly used to leave out a parameter
+		if (!arg || argType === 'Undefined') {
+			if (requiredUsages.indexOf(parameter.usage) !== -1) {
+				reportInvalidCall('missingTiArgument', api, argumentDescription + ' but nothing was passed', {
+					api: api,
+					parameter: parameter.name,
+					expected: parameter.type
+				});
+			}
+			continue;
+		}
+		if (argType === 'Null') {
+			continue;
+		}
+
+		// Check the type of the argument. Typed unknowns are checked too, but an unknown object may always be callable
+		typeInfo = Base.getTypeInfo(arg);
+		if (!typeInfo) {
+			continue;
+		}
+		if (expectedTypes.every(isFunctionType)) {
+			if (typeInfo.type !== 'Object' || (argType !== 'Unknown' && !Base.isCallable(arg))) {
+				reportInvalidCall('nonCallableTiArgument', api, argumentDescription + ' but was passed ' +
+					withArticle(getTypeName(typeInfo)) + ', which is not callable', {
+						api: api,
+						parameter: parameter.name,
+						expected: parameter.type,
+						actual: getTypeName(typeInfo)
+					});
+			}
+		} else if (primitiveTypes.indexOf(typeInfo.type) !== -1 && !isPrimitiveAllowed(typeInfo.type, expectedTypes)) {
+			reportInvalidCall('invalidTiArgumentType', api, argumentDescription + ' but was passed ' +
+				withArticle(typeInfo.type), {
+					api: api,
+					parameter: parameter.name,
+					expected: parameter.type,
+					actual: typeInfo.type
+				});
+		}
+	}
+}
+
+function generateResultsData() {
+	var summary,
+		numInvalidAPIs = Object.keys(results.invalidCalls).length;
+
+	// Generate the results data
+	if (numInvalidAPIs) {
+		summary = pluralize('%s API is', '%s APIs are', numInvalidAPIs) + ' called with invalid arguments';
+	} else {
+		summary = 'No APIs are called with invalid arguments';
+	}
+	results.summary = summary;
+}
+
+function generateRenderData() {
+	var numInvalidAPIs = Object.keys(results.invalidCalls).length,
+		invalidCalls,
+		numInvalidCallReferences = 0,
+		numInvalidCallInstances = 0,
+		invalidCall,
+		list;
+
+	function apiComparator(a, b) {
+		return a.api.toUpperCase().localeCompare(b.api.toUpperCase());
+	}
+
+	// Generate the render data
+	if (numInvalidAPIs) {
+		invalidCalls = {
+			list: []
+		};
+		list = invalidCalls.list;
+		for (invalidCall in results.invalidCalls) {
+			list.push({
+				api: invalidCall,
+				problems: results.invalidCalls[invalidCall].problems.join('\n'),
+				numReferences: Object.keys(results.invalidCalls[invalidCall].locations).length,
+				numInstances: results.invalidCalls[invalidCall].numInstances
+			});
+			numInvalidCallInstances += results.invalidCalls[invalidCall].numInstances;
+			numInvalidCallReferences += Object.keys(results.invalidCalls[invalidCall].locations).length;
+		}
+		list.sort(apiComparator);
+		numInvalidAPIs = pluralize('%s API is', '%s APIs are', numInvalidAPIs);
+		numInvalidCallReferences = pluralize('%s place', '%s places', numInvalidCallReferences);
+		numInvalidCallInstances = pluralize('%s time', '%s times', numInvalidCallInstances);
+	}
+	renderData = {
+		pluginDisplayName: exports.displayName,
+		numAPIs: numInvalidAPIs,
+		numReferences: numInvalidCallReferences,
+		numInstances: numInvalidCallInstances,
+		invalidCalls: invalidCalls
+	};
+}
+
+// ******** Plugin API Methods ********
+
+/**
+ * Initializes the plugin
+ *
+ * @method
+ * @name module:plugins/TiAPIArgumentValidator#init
+ * @param {Object} options The plugin options
+ * @param {Array[Dependency Instance]} dependencies The dependant plugins of this plugin
+ */
+exports.init = function init() {
+	results = {
+		summary: '',
+		invalidCalls: {}
+	};
+	Runtime.on('tiFunctionCalled', function (e) {
+		if (e.data.node.parameters) {
+			validateArguments(e.data.name, e.data.node.parameters, e.data.args);
+		}
+	});
+	Runtime.on('projectProcessingEnd', function () {
+		generateResultsData();
+		generateRenderData();
+	});
+};
+
+/**
+* Gets the results of the plugin
+*
+* @method
+ * @name module:plugins/TiAPIArgumentValidator#getResults
+* @returns {Object} A dictionary of the Titanium APIs that were called with invalid arguments, along with where and how
+*		they were called incorrectly.
+*/
+exports.getResults = function getResults() {
+	return results;
+};
+
+/**
+ * Generates the results template data to be rendered
+ *
+ * @method
+ * @param {String} entryFile The path to the entrypoint file for this plugin. The template returned MUST have this value
+ *		as one of the entries in the template
+ * @return {Object} The information for generating the template(s). Each template is defined as a key-value pair in the
+ *		object, with the key being the name of the file, without a path. Two keys are expected: template is the path to
+ *		the mustache template (note the name of the file must be unique, irrespective of path) and data is the
+ *		information to dump into the template
+ */
+exports.getResultsPageData = function getResultsPageData(entryFile) {
+	var template = {};
+
+	template[entryFile] = {
+		template: path.join(__dirname, '..', 'templates', 'tiApiArgumentValidatorTemplate.html'),
+		data: renderData
+	};
+
+	return template;
+};
+
+/**
+ * Renders the results data to a log-friendly string
+ *
+ * @param {Function} arrayGen Log-friendly table generator
+ * @return {String} The rendered data
+ */
+exports.renderLogOutput = function renderLogOutput(arrayGen) {
+	var resultsToLog;
+	if (renderData.invalidCalls) {
+		resultsToLog = renderData.numAPIs + ' called with invalid arguments ' + renderData.numInstances +
+			'\n\nAPIs Called With Invalid Arguments\n';
+		resultsToLog += arrayGen(['API', 'Problems', 'Num References', 'Num Instances'], renderData.invalidCalls.list,
+			['api', 'problems', 'numReferences', 'numInstances']);
+	} else {
+		resultsToLog = 'No APIs are called with invalid arguments in the project';
+	}
+	return resultsToLog;
+};
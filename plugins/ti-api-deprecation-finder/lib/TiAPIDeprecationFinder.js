@@ -2,7 +2,8 @@
  * <p>Copyright (c) 2012 by Appcelerator, Inc. All Rights Reserved.
  * Please see the LICENSE file for information about licensing.</p>
  *
- * This plugin finds the deprecated Titanium APIs that are used.
+ * This plugin finds the deprecated Titanium APIs that are used, along with when they were deprecated and removed and
+ * what to use instead. Deprecated APIs that were renamed get fixes that replace the old name with the new one.
  *
  * @module plugins/TiAPIDeprecationFinder
  * @author Allen Yeung &lt;<a href='mailto:ayeung@appcelerator.com'>ayeung@appcelerator.com</a>&gt;
@@ -14,11 +15,172 @@ var path = require('path'),
 
 	pluralize = CodeProcessorUtils.pluralize,
 
+	apiLinkRegex = /<((?:Titanium|Ti)(?:\.[\w$]+)+)>/g,
+	markdownLinkRegex = /\[([^\]]*)\]\([^)]*\)/g,
+	htmlTagRegex = /<[^>]*>/g,
+	replacementRegex = /^use\s+(?:the\s+)?([A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)*)(?:\(\))?(?:\s+(?:property|method))?\s+instead\.?$/i,
+
+	lastPropertyAccess,
 	results,
 	renderData;
 
 // ******** Helper Methods ********
 
+/**
+ * Converts the notes of a deprecated API, which may contain HTML, markdown links, or API links such as
+ * &lt;Titanium.UI.View&gt;, to plain text
+ *
+ * @private
+ * @method
+ */
+function getNotesText(notes) {
+	return typeof notes === 'string' ? notes.replace(apiLinkRegex, '$1').replace(markdownLinkRegex, '$1')
+		.replace(htmlTagRegex, '').replace(/`/g, '').replace(/\s+/g, ' ').trim() : '';
+}
+
+/**
+ * Finds the replacement for a deprecated API in its notes. Only notes that consist of "Use X instead." are understood,
+ * since anything longer usually describes a change that needs more than a new name.
+ *
+ * @private
+ * @method
+ * @param {String} name The full name of the deprecated API, e.g. 'Titanium.UI.Window.setBarColor'
+ * @param {String} notes The plain text notes of the deprecated API
+ * @returns {Object|undefined} The full name of the replacement API, as 'api', and whether it is a member of the same
+ *		API as the deprecated one, as 'renamed'
+ */
+function getReplacement(name, notes) {
+	var match = replacementRegex.exec(notes),
+		parent = name.substring(0, name.lastIndexOf('.')),
+		replacement;
+	if (!match) {
+		return;
+	}
+	replacement = match[1].replace(/^Ti\./, 'Titanium.');
+	if (replacement.indexOf('.') === -1) {
+		replacement = parent + '.' + replacement;
+	}
+	if (replacement !== name) {
+		return {
+			api: replacement,
+			renamed: replacement.substring(0, replacement.lastIndexOf('.')) === parent
+		};
+	}
+}
+
+/**
+ * Creates a fix that renames a deprecated property or method, if the property name in the source code can be found.
+ * Properties are only renamed when they are accessed with the dot operator.
+ *
+ * @private
+ * @method
+ * @param {Object} e The tiPropertyReferenced event
+ * @param {String} oldName The name of the deprecated property or method, e.g. 'setBarColor'
+ * @param {String} newName The name of the replacement, e.g. 'barColor'
+ * @returns {Object|undefined} The fix
+ */
+function createFix(e, oldName, newName) {
+	var ast = lastPropertyAccess,
+		end;
+	if (!ast || ast.className !== 'AST_Dot' || ast.property !== oldName || !ast.end ||
+			(ast.start.file && ast.start.file !== e.filename)) {
+		return;
+	}
+
+	// UglifyJS ends a dot expression with the property name token, while the converted ES2015 AST ends it with a token at
+	// the end of the expression
+	end = ast.end;
+	if (end.value === oldName) {
+		return {
+			filename: e.filename,
+			line: end.line,
+			column: end.col,
+			start: end.pos,
+			end: end.endpos,
+			oldText: oldName,
+			newText: newName
+		};
+	}
+	return {
+		filename: e.filename,
+		line: end.line,
+		column: end.col - oldName.length,
+		start: end.endpos - oldName.length,
+		end: end.endpos,
+		oldText: oldName,
+		newText: newName
+	};
+}
+
+/**
+ * Reports a reference to a deprecated API
+ *
+ * @private
+ * @method
+ * @param {Object} e The tiPropertyReferenced event
+ */
+function processDeprecatedAPI(e) {
+	var name = e.data.name,
+		deprecated = typeof e.data.node.deprecated === 'object' ? e.data.node.deprecated : {},
+		since = typeof deprecated.since === 'string' ? deprecated.since : undefined,
+		removed = typeof deprecated.removed === 'string' ? deprecated.removed : undefined,
+		notes = getNotesText(deprecated.notes),
+		replacement = getReplacement(name, notes),
+		location = e.filename + ':' + e.line + ':' + e.column,
+		description = '"' + name + '" has been deprecated',
+		deprecatedAPIInfo,
+		fix;
+
+	if (since) {
+		description += ' since SDK ' + since;
+	}
+	if (removed) {
+		description += ' and was removed in SDK ' + removed;
+	}
+	if (notes) {
+		description += '. ' + notes;
+	}
+	Runtime.reportWarning('deprecatedTiPropertyReferenced', description, {
+		property: name,
+		since: since,
+		removed: removed,
+		notes: notes,
+		replacement: replacement && replacement.api
+	});
+
+	deprecatedAPIInfo = results.deprecatedAPIs[name];
+	if (deprecatedAPIInfo) {
+		deprecatedAPIInfo.numInstances++;
+		if (deprecatedAPIInfo.locations.hasOwnProperty(location)) {
+			deprecatedAPIInfo.locations[location]++;
+		} else {
+			deprecatedAPIInfo.locations[location] = 1;
+		}
+	} else {
+		deprecatedAPIInfo = results.deprecatedAPIs[name] = {
+			since: since,
+			removed: removed,
+			notes: notes,
+			replacement: replacement && replacement.api,
+			numInstances: 1,
+			locations: {},
+			fixes: []
+		};
+		deprecatedAPIInfo.locations[location] = 1;
+	}
+
+	// Fixes are only created for renames, and only once for each place in the source code
+	if (replacement && replacement.renamed) {
+		fix = createFix(e, name.substring(name.lastIndexOf('.') + 1),
+			replacement.api.substring(replacement.api.lastIndexOf('.') + 1));
+		if (fix && !deprecatedAPIInfo.fixes.some(function (existingFix) {
+				return existingFix.filename === fix.filename && existingFix.start === fix.start;
+			})) {
+			deprecatedAPIInfo.fixes.push(fix);
+		}
+	}
+}
+
 function generateResultsData() {
 	var summary,
 		numDeprecatedAPIs = Object.keys(results.deprecatedAPIs).length;
@@ -47,6 +209,9 @@ function generateRenderData() {
 		for (deprecatedAPI in results.deprecatedAPIs) {
 			deprecatedAPIs.list.push({
 				api: deprecatedAPI,
+				since: results.deprecatedAPIs[deprecatedAPI].since || '',
+				removed: results.deprecatedAPIs[deprecatedAPI].removed || '',
+				notes: results.deprecatedAPIs[deprecatedAPI].notes,
 				numReferences: Object.keys(results.deprecatedAPIs[deprecatedAPI].locations).length,
 				numInstances: results.deprecatedAPIs[deprecatedAPI].numInstances
 			});
@@ -92,32 +257,17 @@ exports.init = function init() {
 	results = {
 		deprecatedAPIs: {}
 	};
-	Runtime.on('tiPropertyReferenced', function (e) {
-		var name = e.data.name,
-			location = e.filename + ':' + e.line + ':' + e.column,
-			deprecatedAPIInfo;
+	lastPropertyAccess = undefined;
 
+	// Fixes need the location of the property name, which is only known to the dot expression that references it
+	Runtime.on('rule', function (e) {
+		if (e.data.processingComplete && (e.data.ruleName === 'AST_Dot' || e.data.ruleName === 'AST_Sub')) {
+			lastPropertyAccess = e.data.ast;
+		}
+	});
+	Runtime.on('tiPropertyReferenced', function (e) {
 		if (e.data.node.deprecated) {
-			// TODO: Change deprecated message when we have the 'deprecated since' info from jsca
-			Runtime.reportWarning('deprecatedTiPropertyReferenced', '"' + name + '" has been deprecated', {
-				property: name
-			});
-
-			deprecatedAPIInfo = results.deprecatedAPIs[name];
-			if (deprecatedAPIInfo) {
-				deprecatedAPIInfo.numInstances++;
-				if (deprecatedAPIInfo.locations.hasOwnProperty(location)) {
-					deprecatedAPIInfo.locations[location]++;
-				} else {
-					deprecatedAPIInfo.locations[location] = 1;
-				}
-			} else {
-				results.deprecatedAPIs[name] = {
-					numInstances: 1,
-					locations: {}
-				};
-				results.deprecatedAPIs[name].locations[location] = 1;
-			}
+			processDeprecatedAPI(e);
 		}
 	});
 	Runtime.on('projectProcessingEnd', function () {
@@ -131,7 +281,8 @@ exports.init = function init() {
 *
 * @method
  * @name module:plugins/TiAPIDeprecationFinder#getResults
-* @returns {Object} A dictionary of the deprecated Titanium APIs that were used along with a count of how many times they were used.
+* @returns {Object} A dictionary of the deprecated Titanium APIs that were used along with when they were deprecated and
+*		removed, what to use instead, how many times they were used, and the fixes for the ones that were renamed.
 */
 exports.getResults = function getResults() {
 	return results;
@@ -169,7 +320,8 @@ exports.renderLogOutput = function renderLogOutput(arrayGen) {
 	var resultsToLog;
 	if (renderData.deprecatedAPIs) {
 		resultsToLog = renderData.numAPIs + ' used ' + renderData.numInstances + '\n\nDeprecated APIs Used\n';
-		resultsToLog += arrayGen(['API', 'Num References', 'Num Instances'], renderData.deprecatedAPIs.list, ['api', 'numReferences', 'numInstances']);
+		resultsToLog += arrayGen(['API', 'Deprecated Since', 'Removed In', 'Notes', 'Num References', 'Num Instances'],
+			renderData.deprecatedAPIs.list, ['api', 'since', 'removed', 'notes', 'numReferences', 'numInstances']);
 	} else {
 		resultsToLog = 'No deprecated APIs are used in the project';
 	}
@@ -0,0 +1,295 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * This plugin finds properties and methods of Titanium objects that are referenced or set but are not part of the API
+ * and are probably misspelled, e.g. Ti.UI.createLable, and suggests the API names they were probably meant to be.
+ *
+ * @module plugins/TiAPIMisspellingFinder
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+
+var path = require('path'),
+	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime')),
+	CodeProcessorUtils = require(path.join(global.titaniumCodeProcessorLibDir, 'CodeProcessorUtils')),
+
+	pluralize = CodeProcessorUtils.pluralize,
+
+	DEFAULT_MAX_DISTANCE = 2,
+
+	maxDistance,
+	ignorePatterns,
+	suggestionCache,
+	results,
+	renderData;
+
+// ******** Helper Methods ********
+
+/**
+ * Calculates the edit distance between two strings, counting insertions, deletions, substitutions, and transpositions
+ * of adjacent characters as one edit each
+ *
+ * @private
+ * @method
+ */
+function getEditDistance(a, b) {
+	var distances = [],
+		i, j,
+		cost;
+	for (i = 0; i <= a.length; i++) {
+		distances[i] = [i];
+	}
+	for (j = 1; j <= b.length; j++) {
+		distances[0][j] = j;
+	}
+	for (i = 1; i <= a.length; i++) {
+		for (j = 1; j <= b.length; j++) {
+			cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			distances[i][j] = Math.min(distances[i - 1][j] + 1, distances[i][j - 1] + 1, distances[i - 1][j - 1] + cost);
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				distances[i][j] = Math.min(distances[i][j], distances[i - 2][j - 2] + cost);
+			}
+		}
+	}
+	return distances[a.length][b.length];
+}
+
+/**
+ * Finds the names of the properties and methods of an API that are closest to a name that is not part of the API.
+ * Short names allow fewer edits, so that e.g. a custom "ip" property isn't taken for "id".
+ *
+ * @private
+ * @method
+ * @param {String} name The name that is not part of the API
+ * @param {Object} node The JSCA node of the API
+ * @returns {Array[String]} The closest names, which is empty if none are close enough
+ */
+function getSuggestions(name, node) {
+	var allowedDistance = Math.min(maxDistance, Math.floor(name.length / 3)),
+		bestDistance = allowedDistance + 1,
+		suggestions = [];
+
+	(node.properties || []).concat(node.functions || []).forEach(function (sibling) {
+		var distance = getEditDistance(name, sibling.name);
+		if (distance > allowedDistance) {
+			return;
+		}
+		if (distance < bestDistance) {
+			bestDistance = distance;
+			suggestions = [sibling.name];
+		} else if (distance === bestDistance && suggestions.indexOf(sibling.name) === -1) {
+			suggestions.push(sibling.name);
+		}
+	});
+	return suggestions.sort();
+}
+
+/**
+ * Checks a property that is not part of the API, reporting it if it is not ignored and looks like a misspelling
+ *
+ * @private
+ * @method
+ * @param {String} warningType The type of warning to report
+ * @param {Object} e The nonTiPropertyReference or nonTiPropertySet event
+ */
+function checkProperty(warningType, e) {
+	var name = e.data.name,
+		parent = e.data.parent,
+		fullName,
+		suggestions,
+		location,
+		misspelling,
+		i, len;
+
+	// Events that aren't for a property of a Titanium object, e.g. unknown return types, can't be checked
+	if (!parent || !e.data.parentNode) {
+		return;
+	}
+	fullName = parent + '.' + name;
+	for (i = 0, len = ignorePatterns.length; i < len; i++) {
+		if (ignorePatterns[i].test(name) || ignorePatterns[i].test(fullName)) {
+			return;
+		}
+	}
+
+	if (!suggestionCache.hasOwnProperty(fullName)) {
+		suggestionCache[fullName] = getSuggestions(name, e.data.parentNode);
+	}
+	suggestions = suggestionCache[fullName];
+	if (!suggestions.length) {
+		return;
+	}
+
+	Runtime.reportWarning(warningType, '"' + name + '" is not part of ' + parent + ', did you mean ' +
+		suggestions.map(function (suggestion) {
+			return '"' + suggestion + '"';
+		}).join(' or ') + '?', {
+			name: fullName,
+			suggestions: suggestions
+		});
+
+	location = e.filename + ':' + e.line + ':' + e.column;
+	misspelling = results.misspellings[fullName];
+	if (misspelling) {
+		misspelling.numInstances++;
+		if (misspelling.locations.hasOwnProperty(location)) {
+			misspelling.locations[location]++;
+		} else {
+			misspelling.locations[location] = 1;
+		}
+	} else {
+		results.misspellings[fullName] = {
+			suggestions: suggestions,
+			numInstances: 1,
+			locations: {}
+		};
+		results.misspellings[fullName].locations[location] = 1;
+	}
+}
+
+function generateResultsData() {
+	var summary,
+		numMisspellings = Object.keys(results.misspellings).length;
+
+	// Generate the results data
+	if (numMisspellings) {
+		summary = pluralize('%s property or method is', '%s properties or methods are', numMisspellings) +
+			' probably misspelled';
+	} else {
+		summary = 'No misspelled properties or methods were found';
+	}
+	results.summary = summary;
+}
+
+function generateRenderData() {
+	var numMisspellings = Object.keys(results.misspellings).length,
+		misspellings,
+		numMisspellingReferences = 0,
+		numMisspellingInstances = 0,
+		misspelling,
+		list;
+
+	function nameComparator(a, b) {
+		return a.name.toUpperCase().localeCompare(b.name.toUpperCase());
+	}
+
+	// Generate the render data
+	if (numMisspellings) {
+		misspellings = {
+			list: []
+		};
+		list = misspellings.list;
+		for (misspelling in results.misspellings) {
+			list.push({
+				name: misspelling,
+				suggestions: results.misspellings[misspelling].suggestions.join(', '),
+				numReferences: Object.keys(results.misspellings[misspelling].locations).length,
+				numInstances: results.misspellings[misspelling].numInstances
+			});
+			numMisspellingInstances += results.misspellings[misspelling].numInstances;
+			numMisspellingReferences += Object.keys(results.misspellings[misspelling].locations).length;
+		}
+		list.sort(nameComparator);
+		numMisspellings = pluralize('%s property or method is', '%s properties or methods are', numMisspellings);
+		numMisspellingReferences = pluralize('%s place', '%s places', numMisspellingReferences);
+		numMisspellingInstances = pluralize('%s time', '%s times', numMisspellingInstances);
+	}
+	renderData = {
+		pluginDisplayName: exports.displayName,
+		numMisspellings: numMisspellings,
+		numReferences: numMisspellingReferences,
+		numInstances: numMisspellingInstances,
+		misspellings: misspellings
+	};
+}
+
+// ******** Plugin API Methods ********
+
+/**
+ * Initializes the plugin
+ *
+ * @method
+ * @name module:plugins/TiAPIMisspellingFinder#init
+ * @param {Object} options The plugin options
+ * @param {Array[String]} [options.ignore] Regular expressions for custom properties that should never be reported, which
+ *		are matched against both the name of the property, e.g. "myProperty", and its full name, e.g.
+ *		"Titanium.App.myProperty"
+ * @param {Number} [options.maxDistance] The largest number of edits between a name and a suggestion
+ * @param {Array[Dependency Instance]} dependencies The dependant plugins of this plugin
+ */
+exports.init = function init(options) {
+	options = options || {};
+	maxDistance = typeof options.maxDistance === 'number' ? options.maxDistance : DEFAULT_MAX_DISTANCE;
+	ignorePatterns = (options.ignore || []).map(function (pattern) {
+		return new RegExp(pattern);
+	});
+	suggestionCache = {};
+	results = {
+		summary: '',
+		misspellings: {}
+	};
+
+	Runtime.on('nonTiPropertyReference', function (e) {
+		checkProperty('misspelledTiPropertyReference', e);
+	});
+	Runtime.on('nonTiPropertySet', function (e) {
+		checkProperty('misspelledTiPropertySet', e);
+	});
+	Runtime.on('projectProcessingEnd', function () {
+		generateResultsData();
+		generateRenderData();
+	});
+};
+
+/**
+* Gets the results of the plugin
+*
+* @method
+ * @name module:plugins/TiAPIMisspellingFinder#getResults
+* @returns {Object} A dictionary of the probably misspelled properties and methods, along with the suggested names and
+*		where they were used.
+*/
+exports.getResults = function getResults() {
+	return results;
+};
+
+/**
+ * Generates the results template data to be rendered
+ *
+ * @method
+ * @param {String} entryFile The path to the entrypoint file for this plugin. The template returned MUST have this value
+ *		as one of the entries in the template
+ * @return {Object} The information for generating the template(s). Each template is defined as a key-value pair in the
+ *		object, with the key being the name of the file, without a path. Two keys are expected: template is the path to
+ *		the mustache template (note the name of the file must be unique, irrespective of path) and data is the
+ *		information to dump into the template
+ */
+exports.getResultsPageData = function getResultsPageData(entryFile) {
+	var template = {};
+
+	template[entryFile] = {
+		template: path.join(__dirname, '..', 'templates', 'tiApiMisspellingFinderTemplate.html'),
+		data: renderData
+	};
+
+	return template;
+};
+
+/**
+ * Renders the results data to a log-friendly string
+ *
+ * @param {Function} arrayGen Log-friendly table generator
+ * @return {String} The rendered data
+ */
+exports.renderLogOutput = function renderLogOutput(arrayGen) {
+	var resultsToLog;
+	if (renderData.misspellings) {
+		resultsToLog = renderData.numMisspellings + ' probably misspelled ' + renderData.numInstances +
+			'\n\nProbable Misspellings\n';
+		resultsToLog += arrayGen(['Name', 'Did You Mean', 'Num References', 'Num Instances'], renderData.misspellings.list,
+			['name', 'suggestions', 'numReferences', 'numInstances']);
+	} else {
+		resultsToLog = 'No misspelled properties or methods were found in the project';
+	}
+	return resultsToLog;
+};
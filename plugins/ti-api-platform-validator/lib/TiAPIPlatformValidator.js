@@ -2,7 +2,8 @@
  * <p>Copyright (c) 2012 by Appcelerator, Inc. All Rights Reserved.
  * Please see the LICENSE file for information about licensing.</p>
  *
- * This plugin finds the Titanium APIs that are used that are not supported on the current platform
+ * This plugin finds the Titanium APIs that are used that are not supported on the current platform. References inside
+ * platform checks that exclude the current platform are ignored.
  *
  * @module plugins/TiAPIPlatformValidator
  * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
@@ -10,78 +11,399 @@
 
 var path = require('path'),
 	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime')),
+	Base = require(path.join(global.titaniumCodeProcessorLibDir, 'Base')),
 	CodeProcessorUtils = require(path.join(global.titaniumCodeProcessorLibDir, 'CodeProcessorUtils')),
 
 	pluralize = CodeProcessorUtils.pluralize,
 
+	// The value of Ti.Platform.name on each platform
+	platformNames = {
+		iphone: 'iPhone OS',
+		ipad: 'iPhone OS',
+		android: 'android',
+		mobileweb: 'mobileweb',
+		blackberry: 'blackberry',
+		tizen: 'tizen'
+	},
+
+	// The platform constants that Alloy defines, and the platforms they are true on
+	alloyConstants = {
+		OS_IOS: ['iphone', 'ipad'],
+		OS_ANDROID: ['android'],
+		OS_MOBILEWEB: ['mobileweb'],
+		OS_BLACKBERRY: ['blackberry'],
+		OS_TIZEN: ['tizen']
+	},
+
+	platform,
+	platformGuards,
 	results,
 	renderData;
 
 // ******** Helper Methods ********
 
+/**
+ * Gets the value that an expression has on the current platform if it is Ti.Platform.osname or Ti.Platform.name
+ *
+ * @private
+ * @method
+ * @param {module:AST.node} ast The expression
+ * @returns {String|undefined} The value, or undefined if the expression isn't one of the platform properties
+ */
+function getPlatformValue(ast) {
+	var platformObject = ast.TYPE === 'Dot' && ast.expression;
+	if (!platformObject || platformObject.TYPE !== 'Dot' || platformObject.property !== 'Platform' ||
+			platformObject.expression.TYPE !== 'SymbolRef' ||
+			(platformObject.expression.name !== 'Ti' && platformObject.expression.name !== 'Titanium')) {
+		return;
+	}
+	if (ast.property === 'osname') {
+		return platform;
+	} else if (ast.property === 'name') {
+		return platformNames[platform];
+	}
+}
+
+/**
+ * Evaluates a condition for the current platform, if it only depends on the platform
+ *
+ * @private
+ * @method
+ * @param {module:AST.node} ast The condition
+ * @returns {Boolean|undefined} Whether or not the condition is true on the current platform, or undefined if that
+ *		can't be determined
+ */
+function evaluateGuard(ast) {
+	var left,
+		right,
+		platformValue;
+
+	switch(ast.TYPE) {
+		case 'SymbolRef':
+			if (alloyConstants.hasOwnProperty(ast.name)) {
+				return alloyConstants[ast.name].indexOf(platform) !== -1;
+			}
+			return;
+		case 'UnaryPrefix':
+			if (ast.operator === '!') {
+				left = evaluateGuard(ast.expression);
+				return typeof left === 'boolean' ? !left : undefined;
+			}
+			return;
+		case 'Binary':
+			switch(ast.operator) {
+				case '&&':
+					left = evaluateGuard(ast.left);
+					right = evaluateGuard(ast.right);
+					if (left === false || right === false) {
+						return false;
+					}
+					return left && right ? true : undefined;
+				case '||':
+					left = evaluateGuard(ast.left);
+					right = evaluateGuard(ast.right);
+					if (left === true || right === true) {
+						return true;
+					}
+					return left === false && right === false ? false : undefined;
+				case '==':
+				case '===':
+				case '!=':
+				case '!==':
+					if (ast.right.TYPE === 'String') {
+						platformValue = getPlatformValue(ast.left);
+						right = ast.right.value;
+					} else if (ast.left.TYPE === 'String') {
+						platformValue = getPlatformValue(ast.right);
+						right = ast.left.value;
+					}
+					if (platformValue === undefined) {
+						return;
+					}
+					return (platformValue === right) === (ast.operator.charAt(0) === '=');
+			}
+	}
+}
+
+/**
+ * Gets the value that an evaluated value has on the current platform, if it only depends on the platform. Unknown values
+ * are followed through their provenance, which is shared by the copies of a value, so this works for variables and
+ * properties that a platform check was stored in, e.g. ```var isAndroid = Ti.Platform.name === 'android';```
+ *
+ * @private
+ * @method
+ * @param {module:Base.BaseType} [value] The value
+ * @returns {String|Boolean|undefined} The value on the current platform, or undefined if it isn't known
+ */
+function getPlatformDependentValue(value) {
+	var provenance;
+	if (!value) {
+		return;
+	}
+	switch(Base.type(value)) {
+		case 'String':
+		case 'Boolean':
+			return value.value;
+		case 'Unknown':
+			provenance = value.provenance;
+			if (provenance && platformGuards.has(provenance)) {
+				return platformGuards.get(provenance);
+			}
+			if (provenance && provenance.reason === 'value of Titanium.Platform.name') {
+				return platformNames[platform];
+			}
+	}
+}
+
+/**
+ * Records the value that an unknown platform check evaluated to on the current platform, so that the check can be
+ * recognized when it is used as a condition later on, e.g. after it was stored in a variable
+ *
+ * @private
+ * @method
+ * @param {Object} e The rule event
+ */
+function trackPlatformGuard(e) {
+	var data = e.data,
+		result = data.result,
+		left,
+		right,
+		isGuarded,
+		operand;
+
+	if (!data.processingComplete || !result || Base.type(result) !== 'Unknown' || !result.provenance) {
+		return;
+	}
+	if (data.ruleName === 'AST_Binary') {
+		left = getPlatformDependentValue(data.leftOperand);
+		right = getPlatformDependentValue(data.rightOperand);
+		switch(data.operator) {
+			case '&&':
+				if (left === false || right === false) {
+					isGuarded = false;
+				} else if (left === true && right === true) {
+					isGuarded = true;
+				}
+				break;
+			case '||':
+				if (left === true || right === true) {
+					isGuarded = true;
+				} else if (left === false && right === false) {
+					isGuarded = false;
+				}
+				break;
+			case '==':
+			case '===':
+			case '!=':
+			case '!==':
+				if (typeof left === 'string' && typeof right === 'string') {
+					isGuarded = (left === right) === (data.operator.charAt(0) === '=');
+				}
+		}
+	} else if (data.ruleName === 'AST_UnaryPrefix' && data.ast.operator === '!') {
+
+		// The operand isn't part of the event, but the result was derived from it
+		operand = result.provenance.sources && result.provenance.sources[0];
+		if (operand && platformGuards.has(operand)) {
+			isGuarded = !platformGuards.get(operand);
+		}
+	}
+	if (typeof isGuarded === 'boolean') {
+		platformGuards.set(result.provenance, isGuarded);
+	}
+}
+
+/**
+ * Determines whether or not a branch of a conditional with an unknown condition can be taken on the current platform
+ *
+ * @private
+ * @method
+ * @param {Object} unknownBranch The branch, as returned by Base.getUnknownBranches
+ * @returns {Boolean|undefined} Whether or not the branch can be taken, or undefined if that can't be determined
+ */
+function isBranchReachable(unknownBranch) {
+	var conditional = unknownBranch.conditional,
+		switchCase,
+		platformValue,
+		isGuarded,
+		matchFound = false,
+		i, len;
+
+	if (conditional.TYPE === 'Switch') {
+		platformValue = getPlatformValue(conditional.expression);
+		if (platformValue === undefined) {
+			platformValue = getPlatformDependentValue(unknownBranch.condition);
+		}
+		if (typeof platformValue !== 'string') {
+			return;
+		}
+
+		// Cases are only taken when they match, and the default case, or the end of the switch if there isn't one, is
+		// only reached when no case matches
+		switchCase = conditional.body[unknownBranch.branch];
+		if (switchCase && switchCase.expression) {
+			return switchCase.expression.TYPE === 'String' ? switchCase.expression.value === platformValue : undefined;
+		}
+		for (i = 0, len = conditional.body.length; i < len; i++) {
+			switchCase = conditional.body[i];
+			if (switchCase.expression) {
+				if (switchCase.expression.TYPE !== 'String') {
+					return;
+				}
+				matchFound = matchFound || switchCase.expression.value === platformValue;
+			}
+		}
+		return !matchFound;
+	}
+
+	// If statements and conditional expressions take branch 0 when the condition is true
+	isGuarded = evaluateGuard(conditional.condition);
+	if (isGuarded === undefined) {
+		isGuarded = getPlatformDependentValue(unknownBranch.condition);
+	}
+	return typeof isGuarded === 'boolean' ? isGuarded === (unknownBranch.branch === 0) : undefined;
+}
+
+/**
+ * Records an API that is not supported on the current platform
+ *
+ * @private
+ * @method
+ */
+function recordInvalidAPI(apis, name, location) {
+	var invalidAPI = apis[name];
+	if (invalidAPI) {
+		invalidAPI.numInstances++;
+		if (invalidAPI.locations.hasOwnProperty(location)) {
+			invalidAPI.locations[location]++;
+		} else {
+			invalidAPI.locations[location] = 1;
+		}
+	} else {
+		apis[name] = {
+			numInstances: 1,
+			locations: {}
+		};
+		apis[name].locations[location] = 1;
+	}
+}
+
+/**
+ * Checks a reference to a Titanium API against the current platform. References that are inside a branch that can't
+ * be taken on the current platform, e.g. in an ```if (Ti.Platform.osname === 'android')``` block on iOS, are not
+ * reported. References inside a branch that may or may not be taken on the current platform are reported separately
+ * from references that are not guarded at all.
+ *
+ * @private
+ * @method
+ * @param {Object} e The tiPropertyReferenced event
+ */
+function checkAPI(e) {
+	var platformList = e.data.node.userAgents,
+		location = e.filename + ':' + e.line + ':' + e.column,
+		name = e.data.name,
+		unknownBranches,
+		isAmbiguous = false,
+		reachable,
+		i, len;
+
+	for (i = 0, len = platformList.length; i < len; i++) {
+		if (platform === platformList[i].platform) {
+			return;
+		}
+	}
+
+	unknownBranches = Base.getUnknownBranches();
+	for (i = 0, len = unknownBranches.length; i < len; i++) {
+		reachable = isBranchReachable(unknownBranches[i]);
+		if (reachable === false) {
+			return;
+		} else if (reachable === undefined) {
+			isAmbiguous = true;
+		}
+	}
+
+	if (isAmbiguous) {
+		Runtime.reportWarning('ambiguouslyGuardedPlatformReferenced', 'Property "' + name +
+			'" is not supported on ' + platform + ' and is guarded by a condition that could not be determined', {
+				property: name,
+				platform: platform
+			});
+		recordInvalidAPI(results.ambiguouslyGuardedAPIs, name, location);
+	} else {
+		Runtime.reportWarning('invalidPlatformReferenced', 'Property "' + name +
+			'" is not supported on ' + platform, {
+				property: name,
+				platform: platform
+			});
+		recordInvalidAPI(results.invalidAPIs, name, location);
+	}
+}
+
 function generateResultsData() {
 	var summary,
-		numInvalidAPIs = Object.keys(results.invalidAPIs).length;
+		numInvalidAPIs = Object.keys(results.invalidAPIs).length,
+		numAmbiguouslyGuardedAPIs = Object.keys(results.ambiguouslyGuardedAPIs).length;
 
 	// Generate the results data
 	if (numInvalidAPIs) {
 		summary = pluralize('%s platform API is', '%s platform APIs are', numInvalidAPIs) + ' used incorrectly';
+		if (numAmbiguouslyGuardedAPIs) {
+			summary += ' and ' + pluralize('%s is', '%s are', numAmbiguouslyGuardedAPIs) + ' guarded ambiguously';
+		}
+	} else if (numAmbiguouslyGuardedAPIs) {
+		summary = pluralize('%s platform API is', '%s platform APIs are', numAmbiguouslyGuardedAPIs) +
+			' guarded ambiguously';
 	} else {
 		summary = 'No platform specific APIs are used incorrectly';
 	}
 	results.summary = summary;
 }
 
-function generateRenderData() {
-	var numInvalidAPIs = Object.keys(results.invalidAPIs).length,
-		invalidAPIs,
-		numInvalidAPIReferences = 0,
-		numInvalidAPIInstances = 0,
-		invalidAPI,
-		list;
+/**
+ * Generates the render data for one category of unsupported APIs
+ *
+ * @private
+ * @method
+ */
+function generateAPIRenderData(apis) {
+	var numAPIs = Object.keys(apis).length,
+		numReferences = 0,
+		numInstances = 0,
+		api,
+		list = [];
 
 	function apiComparator(a, b) {
 		return a.api.toUpperCase().localeCompare(b.api.toUpperCase());
 	}
 
-	// Generate the render data
-	if (numInvalidAPIs) {
-		invalidAPIs = {
-			list: []
-		};
-		list = invalidAPIs.list;
-		for (invalidAPI in results.invalidAPIs) {
-			list.push({
-				api: invalidAPI,
-				numReferences: Object.keys(results.invalidAPIs[invalidAPI].locations).length,
-				numInstances: results.invalidAPIs[invalidAPI].numInstances
-			});
-			numInvalidAPIInstances += results.invalidAPIs[invalidAPI].numInstances;
-			numInvalidAPIReferences += Object.keys(results.invalidAPIs[invalidAPI].locations).length;
-		}
-		list.sort(apiComparator);
-		if (numInvalidAPIs === 1) {
-			numInvalidAPIs = '1 platform-specific API is';
-		} else {
-			numInvalidAPIs = numInvalidAPIs + ' platform-specific APIs are';
-		}
-		if (numInvalidAPIReferences === 1) {
-			numInvalidAPIReferences = '1 place';
-		} else {
-			numInvalidAPIReferences = numInvalidAPIReferences + ' places';
-		}
-		if (numInvalidAPIInstances === 1) {
-			numInvalidAPIInstances = '1 time';
-		} else {
-			numInvalidAPIInstances = numInvalidAPIInstances + ' times';
-		}
+	if (!numAPIs) {
+		return;
+	}
+	for (api in apis) {
+		list.push({
+			api: api,
+			numReferences: Object.keys(apis[api].locations).length,
+			numInstances: apis[api].numInstances
+		});
+		numInstances += apis[api].numInstances;
+		numReferences += Object.keys(apis[api].locations).length;
 	}
+	list.sort(apiComparator);
+	return {
+		numAPIs: pluralize('%s platform-specific API is', '%s platform-specific APIs are', numAPIs),
+		numReferences: pluralize('%s place', '%s places', numReferences),
+		numInstances: pluralize('%s time', '%s times', numInstances),
+		list: list
+	};
+}
+
+function generateRenderData() {
 	renderData = {
 		pluginDisplayName: exports.displayName,
-		numAPIs: numInvalidAPIs,
-		numReferences: numInvalidAPIReferences,
-		numInstances: numInvalidAPIInstances,
-		invalidAPIs: invalidAPIs
+		platform: platform,
+		invalidAPIs: generateAPIRenderData(results.invalidAPIs),
+		ambiguouslyGuardedAPIs: generateAPIRenderData(results.ambiguouslyGuardedAPIs)
 	};
 }
 
@@ -96,56 +418,22 @@ function generateRenderData() {
  * @param {Array[Dependency Instance]} dependencies The dependant plugins of this plugin
  */
 exports.init = function init(options, dependencies) {
-	var i, len,
-		platform;
+	var i, len;
 	for (i = 0, len = dependencies.length; i < len; i++) {
 		if (dependencies[i].name === 'ti-api-provider') {
 			platform = dependencies[i].platform;
 		}
 	}
 
+	platformGuards = new Map();
 	results = {
 		summary: '',
-		invalidAPIs: {}
+		invalidAPIs: {},
+		ambiguouslyGuardedAPIs: {}
 	};
 
-	Runtime.on('tiPropertyReferenced', function(e) {
-		var platformList = e.data.node.userAgents,
-			location = e.filename + ':' + e.line + ':' + e.column,
-			i, len,
-			isSupported = false,
-			name = e.data.name,
-			invalidAPI;
-
-		for (i = 0, len = platformList.length; i < len; i++) {
-			if (platform === platformList[i].platform) {
-				isSupported = true;
-			}
-		}
-		if (!isSupported) {
-			Runtime.reportWarning('invalidPlatformReferenced', 'Property "' + name +
-				'" is not supported on ' + platform, {
-					property: name,
-					platform: platform
-				});
-
-			invalidAPI = results.invalidAPIs[name];
-			if (invalidAPI) {
-				invalidAPI.numInstances++;
-				if (invalidAPI.locations.hasOwnProperty(location)) {
-					invalidAPI.locations[location]++;
-				} else {
-					invalidAPI.locations[location] = 1;
-				}
-			} else {
-				results.invalidAPIs[name] = {
-					numInstances: 1,
-					locations: {}
-				};
-				results.invalidAPIs[name].locations[location] = 1;
-			}
-		}
-	});
+	Runtime.on('rule', trackPlatformGuard);
+	Runtime.on('tiPropertyReferenced', checkAPI);
 	Runtime.on('projectProcessingEnd', function () {
 		generateResultsData();
 		generateRenderData();
@@ -157,7 +445,9 @@ exports.init = function init(options, dependencies) {
 *
 * @method
  * @name module:plugins/TiAPIPlatformValidator#getResults
-* @returns {Object} A dictionary of the Titanium APIs that were used along with a count of how many times they were used.
+* @returns {Object} Dictionaries of the Titanium APIs that are not supported on the current platform and were used without
+*		a guard, and of the ones that were used inside a guard that could not be determined, along with where they were
+*		used.
 */
 exports.getResults = function getResults() {
 	return results;
@@ -192,11 +482,21 @@ exports.getResultsPageData = function getResultsPageData(entryFile) {
  * @return {String} The rendered data
  */
 exports.renderLogOutput = function renderLogOutput(arrayGen) {
-	var resultsToLog;
+	var resultsToLog = '';
 	if (renderData.invalidAPIs) {
-		resultsToLog = renderData.numAPIs + ' used ' + renderData.numInstances + '\n\nInvalid Platform-Specific API References\n';
-		resultsToLog += arrayGen(['API', 'Num References', 'Num Instances'], renderData.invalidAPIs.list, ['api', 'numReferences', 'numInstances']);
-	} else {
+		resultsToLog = renderData.invalidAPIs.numAPIs + ' used ' + renderData.invalidAPIs.numInstances +
+			'\n\nInvalid Platform-Specific API References\n';
+		resultsToLog += arrayGen(['API', 'Num References', 'Num Instances'], renderData.invalidAPIs.list,
+			['api', 'numReferences', 'numInstances']);
+	}
+	if (renderData.ambiguouslyGuardedAPIs) {
+		resultsToLog += (resultsToLog ? '\n\n' : '') + renderData.ambiguouslyGuardedAPIs.numAPIs +
+			' used inside a condition that could not be determined ' + renderData.ambiguouslyGuardedAPIs.numInstances +
+			'\n\nAmbiguously Guarded Platform-Specific API References\n';
+		resultsToLog += arrayGen(['API', 'Num References', 'Num Instances'], renderData.ambiguouslyGuardedAPIs.list,
+			['api', 'numReferences', 'numInstances']);
+	}
+	if (!resultsToLog) {
 		resultsToLog = 'No platform specific APIs are used incorrectly in the project';
 	}
 	return resultsToLog;
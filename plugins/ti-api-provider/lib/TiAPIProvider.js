@@ -34,7 +34,11 @@ var fs = require('fs'),
 	getterRegex = /^get([A-Z])(.*)$/,
 	setterRegex = /^set([A-Z])(.*)$/,
 	underscoreRegex = /\._/g,
-	globalObjectRegex = /^Global\.(.*)$/;
+	globalObjectRegex = /^Global\.(.*)$/,
+	arrayTypeRegex = /^Array<(.*)>$/,
+	functionTypeRegex = /^(Function|Callback)(<.*>)?$/,
+	dictionaryTypeRegex = /^Dictionary(<.*>)?$/,
+	httpResponseRegex = /^Titanium\.Network\.HTTPClient\.(response|status|allResponseHeaders)/;
 
 // ******** Plugin API Methods ********
 
@@ -65,6 +69,10 @@ exports.init = function init(options) {
 		overrideDefs,
 		rawManifest;
 
+	methodOverrides = [];
+	propertyOverrides = [];
+	objectOverrides = [];
+
 	platform = exports.platform = options.platform;
 	modules = exports.modules = options.modules || {};
 	values = options.values || {};
@@ -119,6 +127,7 @@ exports.init = function init(options) {
 	}
 
 	// Validate the SDK version
+	exports.sdkVersion = manifest.version;
 	if (appc.version.lt(manifest.version, '2.1.0')) {
 		console.error('The ' + exports.displayName + ' plugin only works with SDK 2.1.0 or newer');
 		process.exit(1);
@@ -141,7 +150,7 @@ exports.init = function init(options) {
 	// Load the overrides
 	for (i = 0, ilen = overrideFiles.length; i < ilen; i++) {
 		if (jsRegex.test(overrideFiles[i])) {
-			overrideDefs = require(overrideFiles[i]).getOverrides(appc.util.mix(options, {
+			overrideDefs = require(overrideFiles[i]).getOverrides(appc.util.mix({}, options, {
 					api: api,
 					manifest: manifest,
 					platform: platform,
@@ -244,12 +253,13 @@ TiFunction.prototype.callFunction = Base.wrapNativeCall(function callFunction(th
 		value = new Base.UnknownType(),
 		callArgs;
 	args = args || [];
+	fireFunctionCalled(this, args);
 	for (i = 0, ilen = args.length; i < ilen; i++) {
 		if (Base.type(args[i]) !== 'Unknown') {
 			if (Base.isCallable(args[i])) {
 				callArgs = [];
 				for (j = 0, jlen = args[i].get('length').value; j < jlen; j++) {
-					callArgs[j] = new Base.UnknownType();
+					callArgs[j] = Base.createUnknownOrigin('unknown callback argument');
 				}
 				Runtime.queueFunction(args[i], thisVal, callArgs, true);
 			}
@@ -270,13 +280,16 @@ TiFunction.prototype.callFunction = Base.wrapNativeCall(function callFunction(th
 				node: root.node
 			});
 		} else {
+			value = Base.createTypedUnknown(getTypeInfo(this._returnTypes[0].type));
 			Runtime.fireEvent('nonTiPropertyReference', 'Property "' + this._returnTypes[0].type + '" was referenced but is not part of the API', {
 				name: this._returnTypes[0].type
 			});
 		}
 		return value;
 	} else {
-		return new Base.UnknownType();
+		return Base.createTypedUnknown(getTypeInfo((this._returnTypes || []).map(function (returnType) {
+			return returnType.type;
+		}).join('|')));
 	}
 });
 
@@ -319,29 +332,97 @@ util.inherits(TiObjectType, Base.ObjectType);
  */
 TiObjectType.prototype.getOwnProperty = function getOwnProperty(p, suppressEvent) {
 	var value = Base.ObjectType.prototype.getOwnProperty.apply(this, arguments),
-		node;
-	if (value && !suppressEvent) {
+		node,
+		name;
+	if (value && !suppressEvent && this._propertyBeingPut !== p) {
 		node = value.value._api;
+		name = value.value._apiName;
+
+		// Writing an unknown value to a property replaces the value, so the property has to be looked up in the API
+		if (!node && this._api) {
+			node = getPropertyNode(this._api, p);
+			name = this._apiName + '.' + p;
+		}
 		if (node) {
 			Runtime.fireEvent('tiPropertyReferenced', 'Property "' + p + '" was referenced', {
-				name: value.value._apiName,
+				name: name,
 				node: node
 			});
 		} else {
 			Runtime.fireEvent('nonTiPropertyReference', 'Property "' + p + '" was referenced but is not part of the API', {
-				name: p
+				name: p,
+				parent: this._apiName,
+				parentNode: this._api
 			});
 		}
 	}
 	return value;
 };
 
+/**
+ * Indicates that a property that is not part of the API was referenced (i.e. read), either because it was added to a
+ * Titanium object by the project or because it does not exist
+ *
+ * @name module:plugins/TiAPIProcessor#nonTiPropertyReference
+ * @event
+ * @param {String} name The name of the property that was referenced
+ * @param {String} [parent] The name of the API the property was referenced on, e.g. 'Titanium.UI'
+ * @param {Object} [parentNode] The JSCA node of the API the property was referenced on
+ */
+/**
+ * ECMA-262 Spec: <em>Returns the value of the named property.</em>
+ *
+ * @method
+ * @param {String} p The name of the property to fetch
+ * @returns {{@link module:Base.BaseType}} The value of the property
+ * @see ECMA-262 Spec Chapter 8.12.3
+ */
+TiObjectType.prototype.get = function get(p) {
+	var objectPrototype = this.objectPrototype;
+
+	// Properties that exist fire events from getOwnProperty, so only properties that don't exist are handled here
+	if (!this.getOwnProperty(p, true) &&
+			!(objectPrototype && Base.type(objectPrototype) !== 'Null' && objectPrototype.hasProperty(p))) {
+		Runtime.fireEvent('nonTiPropertyReference', 'Property "' + p + '" was referenced but is not part of the API', {
+			name: p,
+			parent: this._apiName,
+			parentNode: this._api
+		});
+	}
+	return Base.ObjectType.prototype.get.apply(this, arguments);
+};
+
+/**
+ * ECMA-262 Spec: <em>Sets the specified named property to the value of the second parameter. The flag controls failure
+ * handling.</em>
+ *
+ * Writing a property looks it up first, which is not a reference to it, so the lookups don't fire
+ * tiPropertyReferenced or nonTiPropertyReference events. The write itself fires tiPropertySet or nonTiPropertySet.
+ *
+ * @method
+ * @param {String} p The name of the parameter to set the value as
+ * @param {module:Base.BaseType} v The value to set
+ * @param {Boolean} throwFlag Whether or not to throw an exception on error (related to strict mode)
+ * @param {Boolean} suppressEvent Suppresses the 'propertySet' event (used when setting prototypes)
+ * @see ECMA-262 Spec Chapter 8.12.5
+ */
+TiObjectType.prototype.put = function put(p) {
+	var propertyBeingPut = this._propertyBeingPut;
+	this._propertyBeingPut = p;
+	try {
+		Base.ObjectType.prototype.put.apply(this, arguments);
+	} finally {
+		this._propertyBeingPut = propertyBeingPut;
+	}
+};
+
 /**
  * Indicates that a titanium property was set (i.e. written).
  *
  * @name module:plugins/TiAPIProcessor#tiPropertySet
  * @event
  * @param {String} name The name of the property that was set
+ * @param {Object} node The JSCA node of the property that was set
  * @param {module:Base.BaseType} value The value that was set
  */
 /**
@@ -373,24 +454,36 @@ TiObjectType.prototype.defineOwnProperty = function defineOwnProperty(p, desc, t
 			if (!suppressEvent) {
 				Runtime.fireEvent('tiPropertySet', 'Property "' + p + '" was set', {
 					name: this._apiName + '.' + api.name,
-					node: v._api
+					node: api,
+					value: v
 				});
 			}
 			if (Base.isCallable(v)) {
 				callArgs = [];
 				for (i = 0, len = v.get('length').value; i < len; i++) {
-					callArgs[i] = new Base.UnknownType();
+					callArgs[i] = Base.createUnknownOrigin('unknown callback argument');
 				}
 				Runtime.queueFunction(v, this, callArgs, true);
 			}
 		} else if (!suppressEvent) {
 			Runtime.fireEvent('nonTiPropertySet', 'Property "' + p + '" was set but is not part of the API', {
-				name: p
+				name: p,
+				parent: this._apiName,
+				parentNode: this._api
 			});
 		}
 	}
 };
 
+/**
+ * Indicates that a property that is not part of the API was set (i.e. written) on a Titanium object
+ *
+ * @name module:plugins/TiAPIProcessor#nonTiPropertySet
+ * @event
+ * @param {String} name The name of the property that was set
+ * @param {String} parent The name of the API the property was set on, e.g. 'Titanium.UI.Label'
+ * @param {Object} parentNode The JSCA node of the API the property was set on
+ */
 /**
  * Indicates that a titanium property was deleted
  *
@@ -418,6 +511,125 @@ TiObjectType.prototype.delete = function objDelete(p) {
 
 // ******** Helper Methods ********
 
+/**
+ * Gets the reason that the value of a Titanium API property is unknown, which is recorded in the provenance of the value
+ *
+ * @private
+ * @method
+ * @param {String} apiName The full name of the property, e.g. 'Titanium.Network.HTTPClient.responseText'
+ * @returns {String} The reason
+ */
+function getUnknownReason(apiName) {
+	return httpResponseRegex.test(apiName) ? 'HTTP response' : 'value of ' + apiName;
+}
+
+/**
+ * Finds the JSCA node of a property of an API
+ *
+ * @private
+ * @method
+ * @param {Object} api The JSCA node of the API
+ * @param {String} name The name of the property
+ * @returns {Object|undefined} The JSCA node of the property, if the API has the property
+ */
+function getPropertyNode(api, name) {
+	var properties = api.properties || [],
+		i, len;
+	for (i = 0, len = properties.length; i < len; i++) {
+		if (properties[i].name === name) {
+			return properties[i];
+		}
+	}
+}
+
+/**
+ * Fires the tiFunctionCalled event for a call to a Titanium method
+ *
+ * @private
+ * @method
+ * @param {module:Base.FunctionType} func The method being called
+ * @param {Array[module:Base.BaseType]} args The arguments passed to the method
+ */
+function fireFunctionCalled(func, args) {
+	Runtime.fireEvent('tiFunctionCalled', 'Function "' + func._apiName + '" was called', {
+		name: func._apiName,
+		node: func._api,
+		args: args || []
+	});
+}
+
+/**
+ * Wraps an override of a Titanium method so that calls to it still fire the tiFunctionCalled event
+ *
+ * @private
+ * @method
+ * @param {Function} callFunction The callFunction implementation of the override
+ * @returns {Function} The wrapped implementation
+ */
+function reportCalls(callFunction) {
+	return function (thisVal, args) {
+		fireFunctionCalled(this, args);
+		return callFunction.apply(this, arguments);
+	};
+}
+
+/**
+ * Converts a JSCA type, e.g. 'String' or 'Array<Titanium.UI.View>', to the type information of an unknown value of
+ * that type
+ *
+ * @private
+ * @method
+ * @param {String} jscaType The JSCA type. Multiple types are separated by '|'
+ * @returns {module:Base.TypeInfo|undefined} The type information, or undefined if the value could be anything
+ */
+function getTypeInfo(jscaType) {
+	var match,
+		typeInfo;
+	if (!jscaType) {
+		return;
+	}
+	if (jscaType.indexOf('|') !== -1) {
+		return jscaType.split('|').map(getTypeInfo).reduce(Base.joinTypeInfo);
+	}
+	match = arrayTypeRegex.exec(jscaType);
+	if (match) {
+		typeInfo = {
+			type: 'Object',
+			className: 'Array'
+		};
+		if (getTypeInfo(match[1])) {
+			typeInfo.elementType = getTypeInfo(match[1]);
+		}
+		return typeInfo;
+	}
+	if (functionTypeRegex.test(jscaType)) {
+		return {
+			type: 'Object',
+			className: 'Function'
+		};
+	}
+	if (dictionaryTypeRegex.test(jscaType)) {
+		return {
+			type: 'Object'
+		};
+	}
+	switch(jscaType) {
+		case 'String':
+		case 'Number':
+		case 'Boolean':
+			return {
+				type: jscaType
+			};
+		case 'Object':
+			return;
+		default:
+			return {
+				type: 'Object',
+				className: jscaType
+			};
+	}
+}
+
 /**
  * Creates a setter function
  *
@@ -579,7 +791,7 @@ function createGlobalObject(apiNode, apiName, obj) {
 		} else if (type in api.children) {
 			value = createObject(api.children[type]);
 		} else {
-			value = new Base.UnknownType();
+			value = Base.createUnknownOrigin(getUnknownReason(fullName.replace(underscoreRegex, '.')), getTypeInfo(type));
 		}
 		value._api = property;
 		value._apiName = fullName.replace(underscoreRegex, '.');
@@ -619,7 +831,7 @@ function createGlobalObject(apiNode, apiName, obj) {
 		value = new TiFunction(func.returnTypes);
 		for (j = 0, jlen = methodOverrides.length; j < jlen; j++) {
 			if (methodOverrides[j].regex.test(name) && methodOverrides[j].callFunction) {
-				value.callFunction = methodOverrides[j].callFunction;
+				value.callFunction = reportCalls(methodOverrides[j].callFunction);
 			}
 		}
 		if (func.parameters) {
@@ -741,7 +953,7 @@ function createObject(apiNode, obj) {
 		} else if (type in api.children) {
 			value = createObject(api.children[type]);
 		} else {
-			value = new Base.UnknownType();
+			value = Base.createUnknownOrigin(getUnknownReason(fullName.replace(underscoreRegex, '.')), getTypeInfo(type));
 		}
 		value._api = property;
 		value._apiName = fullName.replace(underscoreRegex, '.');
@@ -779,7 +991,7 @@ function createObject(apiNode, obj) {
 		value = new TiFunction(func.returnTypes);
 		for (j = 0, jlen = methodOverrides.length; j < jlen; j++) {
 			if (methodOverrides[j].regex.test(name) && methodOverrides[j].callFunction) {
-				value.callFunction = methodOverrides[j].callFunction;
+				value.callFunction = reportCalls(methodOverrides[j].callFunction);
 			}
 		}
 		if (func.parameters) {
@@ -197,6 +197,11 @@ function processFile(filename, createExports) {
 		results,
 		context;
 
+	// The results of cached files are reused instead of evaluating them again, so their exports are unknown
+	if (Runtime.isFileCached(filename)) {
+		return new Base.UnknownType();
+	}
+
 	// Make sure the file exists
 	if (existsSync(filename)) {
 
@@ -0,0 +1,301 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * This plugin finds the Titanium APIs that are used but don't exist in every SDK version the project supports, either
+ * because they were added after the minimum SDK version or because they were removed
+ *
+ * @module plugins/TiAPISDKCompatibilityChecker
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+
+var path = require('path'),
+	fs = require('fs'),
+	existsSync = fs.existsSync || path.existsSync,
+
+	appc = require('node-appc'),
+
+	Runtime = require(path.join(global.titaniumCodeProcessorLibDir, 'Runtime')),
+	CodeProcessorUtils = require(path.join(global.titaniumCodeProcessorLibDir, 'CodeProcessorUtils')),
+	Tiapp = require(path.join(global.titaniumCodeProcessorLibDir, 'Tiapp')),
+
+	pluralize = CodeProcessorUtils.pluralize,
+
+	// The JSCA 'since' entries name the SDK for each platform, e.g. 'Titanium Mobile SDK - iPhone OS'
+	sdkNameRegexes = {
+		android: /android/i,
+		iphone: /iphone|ipad|ios/i,
+		ipad: /iphone|ipad|ios/i,
+		mobileweb: /mobile ?web/i,
+		blackberry: /blackberry/i,
+		tizen: /tizen/i
+	},
+
+	platform,
+	minSDKVersion,
+	sdkVersion,
+	results,
+	renderData;
+
+// ******** Helper Methods ********
+
+/**
+ * Gets the version that applies to the current platform from JSCA version information, which is either a version
+ * string that applies to all platforms, a list of 'name'/'version' entries such as the 'since' entry of a JSCA node, or
+ * a dictionary of versions keyed by platform
+ *
+ * @private
+ * @method
+ * @param {String|Array|Object} [versions] The version information
+ * @returns {String|undefined} The version, or undefined if there isn't one for the current platform
+ */
+function getPlatformVersion(versions) {
+	var i, len;
+	if (!versions) {
+		return;
+	}
+	if (typeof versions === 'string') {
+		return versions;
+	}
+	if (Array.isArray(versions)) {
+		for (i = 0, len = versions.length; i < len; i++) {
+			if (sdkNameRegexes[platform].test(versions[i].name)) {
+				return versions[i].version;
+			}
+		}
+		return;
+	}
+	return versions[platform] || (platform === 'ipad' ? versions.iphone : undefined);
+}
+
+/**
+ * Checks a Titanium API that was referenced or set against the SDK versions the project supports
+ *
+ * @private
+ * @method
+ * @param {Object} e The tiPropertyReferenced or tiPropertySet event
+ */
+function checkAPI(e) {
+	var name = e.data.name,
+		node = e.data.node,
+		deprecated = node && typeof node.deprecated === 'object' ? node.deprecated : {},
+		since,
+		removed,
+		deprecatedSince,
+		location = e.filename + ':' + e.line + ':' + e.column,
+		incompatibleAPI;
+
+	if (!node) {
+		return;
+	}
+	since = getPlatformVersion(node.since);
+	removed = getPlatformVersion(deprecated.removed || node.removed);
+	deprecatedSince = getPlatformVersion(deprecated.since);
+
+	if (since && appc.version.gt(since, minSDKVersion)) {
+		Runtime.reportWarning('tiAPITooNew', '"' + name + '" was added in SDK ' + since +
+			', but the minimum SDK version is ' + minSDKVersion, {
+				property: name,
+				since: since
+			});
+	} else if (removed && appc.version.lte(removed, sdkVersion)) {
+		Runtime.reportWarning('tiAPIRemoved', '"' + name + '" was ' +
+			(deprecatedSince ? 'deprecated in SDK ' + deprecatedSince + ' and ' : '') + 'removed in SDK ' + removed +
+			', but the project uses SDK ' + sdkVersion, {
+				property: name,
+				removed: removed
+			});
+	} else {
+		return;
+	}
+
+	incompatibleAPI = results.incompatibleAPIs[name];
+	if (incompatibleAPI) {
+		incompatibleAPI.numInstances++;
+		if (incompatibleAPI.locations.hasOwnProperty(location)) {
+			incompatibleAPI.locations[location]++;
+		} else {
+			incompatibleAPI.locations[location] = 1;
+		}
+	} else {
+		results.incompatibleAPIs[name] = {
+			since: since,
+			deprecatedSince: deprecatedSince,
+			removed: removed,
+			numInstances: 1,
+			locations: {}
+		};
+		results.incompatibleAPIs[name].locations[location] = 1;
+	}
+}
+
+/**
+ * Describes the range of SDK versions the project supports, e.g. "3.0.0 to 3.1.0"
+ *
+ * @private
+ * @method
+ */
+function getSDKRange() {
+	return minSDKVersion === sdkVersion ? sdkVersion : minSDKVersion + ' to ' + sdkVersion;
+}
+
+function generateResultsData() {
+	var summary,
+		numIncompatibleAPIs = Object.keys(results.incompatibleAPIs).length;
+
+	// Generate the results data
+	if (numIncompatibleAPIs) {
+		summary = pluralize('%s API is', '%s APIs are', numIncompatibleAPIs) + ' not available in SDK ' + getSDKRange();
+	} else {
+		summary = 'All APIs are available in SDK ' + getSDKRange();
+	}
+	results.summary = summary;
+}
+
+function generateRenderData() {
+	var numIncompatibleAPIs = Object.keys(results.incompatibleAPIs).length,
+		incompatibleAPIs,
+		numIncompatibleAPIReferences = 0,
+		numIncompatibleAPIInstances = 0,
+		incompatibleAPI,
+		list;
+
+	function apiComparator(a, b) {
+		return a.api.toUpperCase().localeCompare(b.api.toUpperCase());
+	}
+
+	// Generate the render data
+	if (numIncompatibleAPIs) {
+		incompatibleAPIs = {
+			list: []
+		};
+		list = incompatibleAPIs.list;
+		for (incompatibleAPI in results.incompatibleAPIs) {
+			list.push({
+				api: incompatibleAPI,
+				since: results.incompatibleAPIs[incompatibleAPI].since || '',
+				removed: results.incompatibleAPIs[incompatibleAPI].removed || '',
+				numReferences: Object.keys(results.incompatibleAPIs[incompatibleAPI].locations).length,
+				numInstances: results.incompatibleAPIs[incompatibleAPI].numInstances
+			});
+			numIncompatibleAPIInstances += results.incompatibleAPIs[incompatibleAPI].numInstances;
+			numIncompatibleAPIReferences += Object.keys(results.incompatibleAPIs[incompatibleAPI].locations).length;
+		}
+		list.sort(apiComparator);
+		numIncompatibleAPIs = pluralize('%s incompatible API is', '%s incompatible APIs are', numIncompatibleAPIs);
+		numIncompatibleAPIReferences = pluralize('%s place', '%s places', numIncompatibleAPIReferences);
+		numIncompatibleAPIInstances = pluralize('%s time', '%s times', numIncompatibleAPIInstances);
+	}
+	renderData = {
+		pluginDisplayName: exports.displayName,
+		sdkRange: getSDKRange(),
+		numAPIs: numIncompatibleAPIs,
+		numReferences: numIncompatibleAPIReferences,
+		numInstances: numIncompatibleAPIInstances,
+		incompatibleAPIs: incompatibleAPIs
+	};
+}
+
+// ******** Plugin API Methods ********
+
+/**
+ * Initializes the plugin
+ *
+ * @method
+ * @name module:plugins/TiAPISDKCompatibilityChecker#init
+ * @param {Object} options The plugin options
+ * @param {String} [options.minSDKVersion] The oldest SDK version the project supports. Defaults to the
+ *		&lt;sdk-version&gt; in the project's tiapp.xml file
+ * @param {Array[Dependency Instance]} dependencies The dependant plugins of this plugin
+ */
+exports.init = function init(options, dependencies) {
+	var tiappFile = Runtime.sourceInformation && path.join(Runtime.sourceInformation.projectDir, 'tiapp.xml'),
+		tiapp,
+		i, len;
+
+	options = options || {};
+	for (i = 0, len = dependencies.length; i < len; i++) {
+		if (dependencies[i].name === 'ti-api-provider') {
+			platform = dependencies[i].platform;
+			sdkVersion = dependencies[i].sdkVersion;
+		}
+	}
+
+	// The project's SDK version comes from the tiapp.xml file, if it has one, otherwise the SDK being used is assumed
+	if (tiappFile && existsSync(tiappFile)) {
+		try {
+			tiapp = Tiapp.load(tiappFile);
+		} catch(e) {
+			Runtime.log('debug', 'Could not read "' + tiappFile + '": ' + e.message);
+		}
+	}
+	sdkVersion = appc.version.format(tiapp && tiapp.sdkVersion || sdkVersion, 3, 3);
+	minSDKVersion = options.minSDKVersion ? appc.version.format(options.minSDKVersion, 3, 3) : sdkVersion;
+
+	results = {
+		summary: '',
+		minSDKVersion: minSDKVersion,
+		sdkVersion: sdkVersion,
+		incompatibleAPIs: {}
+	};
+
+	Runtime.on('tiPropertyReferenced', checkAPI);
+	Runtime.on('tiPropertySet', checkAPI);
+	Runtime.on('projectProcessingEnd', function () {
+		generateResultsData();
+		generateRenderData();
+	});
+};
+
+/**
+* Gets the results of the plugin
+*
+* @method
+ * @name module:plugins/TiAPISDKCompatibilityChecker#getResults
+* @returns {Object} A dictionary of the Titanium APIs that are not available in every supported SDK version, along with
+*		the versions they were added and removed in and where they were used.
+*/
+exports.getResults = function getResults() {
+	return results;
+};
+
+/**
+ * Generates the results template data to be rendered
+ *
+ * @method
+ * @param {String} entryFile The path to the entrypoint file for this plugin. The template returned MUST have this value
+ *		as one of the entries in the template
+ * @return {Object} The information for generating the template(s). Each template is defined as a key-value pair in the
+ *		object, with the key being the name of the file, without a path. Two keys are expected: template is the path to
+ *		the mustache template (note the name of the file must be unique, irrespective of path) and data is the
+ *		information to dump into the template
+ */
+exports.getResultsPageData = function getResultsPageData(entryFile) {
+	var template = {};
+
+	template[entryFile] = {
+		template: path.join(__dirname, '..', 'templates', 'tiApiSDKCompatibilityCheckerTemplate.html'),
+		data: renderData
+	};
+
+	return template;
+};
+
+/**
+ * Renders the results data to a log-friendly string
+ *
+ * @param {Function} arrayGen Log-friendly table generator
+ * @return {String} The rendered data
+ */
+exports.renderLogOutput = function renderLogOutput(arrayGen) {
+	var resultsToLog;
+	if (renderData.incompatibleAPIs) {
+		resultsToLog = renderData.numAPIs + ' used ' + renderData.numInstances + '\n\nAPIs Not Available in SDK ' +
+			renderData.sdkRange + '\n';
+		resultsToLog += arrayGen(['API', 'Added In', 'Removed In', 'Num References', 'Num Instances'],
+			renderData.incompatibleAPIs.list, ['api', 'since', 'removed', 'numReferences', 'numInstances']);
+	} else {
+		resultsToLog = 'All APIs used in the project are available in SDK ' + renderData.sdkRange;
+	}
+	return resultsToLog;
+};
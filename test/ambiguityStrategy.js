@@ -0,0 +1,170 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests the strategies for evaluating conditionals whose condition is unknown
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	inspect = require(path.join(__dirname, 'lib', 'inspect'));
+
+describe('Ambiguity strategies', function () {
+
+	var sourceInformation = inspect.createProject('ambiguity-strategy');
+
+	// Analyzes the source and describes the arguments passed to the last call to inspect(), along with the errors
+	function analyze(source, ambiguityStrategy) {
+		var analysis = inspect.analyze(sourceInformation, source, {
+				ambiguityStrategy: ambiguityStrategy
+			});
+		return {
+			values: analysis.values,
+			errors: analysis.results.errors.map(function (error) {
+				return error.description;
+			})
+		};
+	}
+
+	it('should merge the values assigned by each branch of an if statement', function () {
+		var source = [
+			'var c = Math.random() > 0.5, a = 1, b = "b", d = 1, o = { p: 1 };',
+			'function set(value) { d = value; }',
+			'if (c) {',
+			'	a = 2;',
+			'	b = "c";',
+			'	set(1);',
+			'	o.p = 2;',
+			'} else {',
+			'	a = 3;',
+			'}',
+			'inspect(a, b, d, o.p);'
+		];
+		analyze(source, 'merge').values.should.eql([
+			'some integer Number in [2, 3]',
+			'some String',
+			'1',
+			'some integer Number in [1, 2]'
+		]);
+		analyze(source, 'legacy').values.should.eql([
+			'some integer Number in [1, 3]',
+			'some String',
+			'some integer Number in [1, 1]',
+			'some integer Number in [1, 2]'
+		]);
+	});
+
+	it('should leave branches that throw out of the merge', function () {
+		var source = [
+			'var a;',
+			'if (Math.random() > 0.5) {',
+			'	a = 1;',
+			'} else {',
+			'	throw new Error("failed");',
+			'}',
+			'inspect(a);'
+		];
+		analyze(source, 'merge').should.eql({
+			values: ['1'],
+			errors: ['failed']
+		});
+		analyze(source, 'legacy').should.eql({
+			values: undefined,
+			errors: ['failed']
+		});
+	});
+
+	it('should merge the cases of a switch statement, including fall through', function () {
+		analyze([
+			'var a = "none", b = 1;',
+			'switch (Math.random()) {',
+			'	case 1:',
+			'		a = "one";',
+			'		break;',
+			'	case 2:',
+			'		a = "two";',
+			'	default:',
+			'		b = 2;',
+			'}',
+			'inspect(a, b);'
+		], 'merge').values.should.eql(['some String', 'some integer Number in [1, 2]']);
+		analyze([
+			'var a = 1;',
+			'switch (Math.random()) {',
+			'	case 1:',
+			'		break;',
+			'	default:',
+			'		a = 1;',
+			'}',
+			'inspect(a);'
+		], 'merge').values.should.eql(['1']);
+	});
+
+	it('should merge the values of a conditional expression', function () {
+		analyze([
+			'var c = Math.random() > 0.5, o = {};',
+			'inspect(c ? 1 : 1, c ? "a" : "b", c ? (o.p = 1) : 2, o.p);'
+		], 'merge').values.should.eql(['1', 'some String', 'some integer Number in [1, 2]', 'unknown']);
+	});
+
+	it('should merge the contents of collections', function () {
+		analyze([
+			'var c = Math.random() > 0.5, same = new Map(), different = new Set();',
+			'if (c) {',
+			'	same.set("a", 1);',
+			'	different.add(1);',
+			'} else {',
+			'	same.set("a", 1);',
+			'}',
+			'inspect(same.get("a"), different.size);'
+		], 'merge').values.should.eql(['1', 'some integer Number in [0, Infinity)']);
+	});
+
+	it('should not give known results for arrays whose length differs between branches', function () {
+		var source = [
+			'var arr = ["a"], count = 0;',
+			'if (Math.random() > 0.5) {',
+			'	arr.push("b");',
+			'}',
+			'arr.forEach(function () {',
+			'	count++;',
+			'});',
+			'inspect(arr.join("-"), arr.slice(0).length, arr.map(function (x) { return x; }).length, count,',
+			'	arr.indexOf("b"), JSON.stringify(arr), arr[0]);'
+		];
+		analyze(source, 'merge').values.should.eql([
+			'some String',
+			'some integer Number in [0, Infinity)',
+			'some integer Number in [0, Infinity)',
+			'some integer Number in [0, 1]',
+			'some integer Number in [-1, Infinity)',
+			'unknown',
+			'a'
+		]);
+		analyze(source, 'legacy').values.should.eql([
+			'unknown',
+			'unknown',
+			'unknown',
+			'0',
+			'unknown',
+			'unknown',
+			'unknown'
+		]);
+	});
+
+	it('should keep elements added at an unknown index out of reach of known results', function () {
+		analyze([
+			'var arr = ["a"];',
+			'if (Math.random() > 0.5) {',
+			'	arr.push("b");',
+			'}',
+			'arr.push("c");',
+			'inspect(arr[0], arr[2], arr.length);'
+		], 'merge').values.should.eql(['a', 'unknown', 'some integer Number in [2, 3]']);
+	});
+});
@@ -0,0 +1,281 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests for the analysis cache and the AST serialization it uses
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it, before, after*/
+
+var path = require('path'),
+	fs = require('fs'),
+	os = require('os'),
+
+	should = require('should'),
+	wrench = require('wrench'),
+	uglify = require('uglify-js'),
+
+	CodeProcessor = require(path.join(__dirname, '..', 'lib', 'CodeProcessor')),
+	AST = require(path.join(__dirname, '..', 'lib', 'AST')),
+	AnalysisCache = require(path.join(__dirname, '..', 'lib', 'AnalysisCache')).AnalysisCache,
+
+	tempDir = path.join(os.tmpdir(), 'ti-code-processor-analysis-cache-test-' + process.pid),
+	sdkDir = path.join(tempDir, 'sdk'),
+	provider = {
+		path: path.join(__dirname, '..', 'plugins', 'ti-api-provider'),
+		options: {
+			sdkPath: sdkDir,
+			platform: 'iphone'
+		}
+	};
+
+describe('Analysis cache', function () {
+
+	function createProject(name, files) {
+		var projectDir = path.join(tempDir, name),
+			sourceDir = path.join(projectDir, 'Resources'),
+			file;
+		wrench.mkdirSyncRecursive(sourceDir);
+		for (file in files) {
+			fs.writeFileSync(path.join(sourceDir, file), files[file]);
+		}
+		return {
+			projectDir: projectDir,
+			sourceDir: sourceDir,
+			entryPoint: path.join(sourceDir, 'app.js')
+		};
+	}
+
+	// Runs the project with the cache enabled and reports whether or not the cached results were used, along with the
+	// names of the files that were evaluated
+	function analyze(sourceInformation, plugins, options) {
+		var messages = [],
+			session,
+			results;
+		options = options || {};
+		options.cache = path.join(sourceInformation.projectDir, 'cache');
+		session = new CodeProcessor.Session(options);
+		session.run(sourceInformation, plugins || [provider], {
+			log: function (level, message) {
+				messages.push(message);
+			}
+		});
+		results = session.getResults();
+		return {
+			usedCache: messages.indexOf('No files have changed since the last run, using cached results') !== -1,
+			evaluatedFiles: messages.filter(function (message) {
+				return message.indexOf('Entering file ') === 0;
+			}).map(function (message) {
+				return path.basename(message.slice('Entering file '.length));
+			}),
+			errors: results.errors.map(function (error) {
+				return error.description;
+			}),
+			unknownOrigins: results.unknownOrigins,
+			profile: results.profile
+		};
+	}
+
+	function roundTrip(ast) {
+		return AST.deserialize(JSON.parse(JSON.stringify(AST.serialize(ast))));
+	}
+
+	before(function () {
+		wrench.mkdirSyncRecursive(sdkDir);
+		fs.writeFileSync(path.join(sdkDir, 'manifest.json'), JSON.stringify({ version: '3.1.0' }));
+		fs.writeFileSync(path.join(sdkDir, 'api.jsca'), JSON.stringify({
+			types: [{
+				name: 'Global',
+				properties: [],
+				functions: [{
+					name: 'require',
+					parameters: [],
+					returnTypes: [{ type: 'Object' }],
+					userAgents: []
+				}],
+				userAgents: []
+			}, {
+				name: 'Titanium',
+				properties: [],
+				functions: [],
+				userAgents: []
+			}],
+			aliases: [{
+				type: 'Titanium',
+				name: 'Ti'
+			}]
+		}));
+	});
+
+	after(function () {
+		wrench.rmdirSyncRecursive(tempDir);
+	});
+
+	it('should restore serialized ASTs', function () {
+		var ast = AST.parseString('var a = /b+/gi, c = { d: [1, "e"] };\n// comment\nfunction f(g) {\n\treturn g ? a : c;\n}',
+				'app.js'),
+			restored = roundTrip(ast);
+		(restored instanceof uglify.AST_Toplevel).should.equal(true);
+		restored.print_to_string().should.equal(ast.print_to_string());
+		restored.body[1].body[0].value.start.line.should.equal(4);
+		restored.body[1].body[0].value.start.file.should.equal('app.js');
+		restored.body[0].definitions[0].value.value.source.should.equal('b+');
+		restored.body[0].definitions[0].value.value.global.should.equal(true);
+		restored.body[1].start.comments_before[0].value.should.equal(' comment');
+	});
+
+	it('should restore serialized ASTs of ECMAScript 2015 code', function () {
+		var ast = AST.parseString('const a = 1;\nlet f = (b) => `${b}${a}`;', 'app.js'),
+			restored = roundTrip(ast);
+		restored.print_to_string().should.equal(ast.print_to_string());
+		restored.body[1].TYPE.should.equal('Let');
+		restored.body[1].definitions[0].value.TYPE.should.equal('Arrow');
+		restored.body[1].start.line.should.equal(2);
+	});
+
+	it('should report no dirty files until a file or one of its dependencies changes', function () {
+		var sourceInformation = createProject('dirty', {
+				'app.js': 'require("a");',
+				'a.js': 'require("b");',
+				'b.js': 'exports.b = 1;',
+				'unused.js': ''
+			}),
+			sourceDir = sourceInformation.sourceDir,
+			app = path.join(sourceDir, 'app.js'),
+			a = path.join(sourceDir, 'a.js'),
+			b = path.join(sourceDir, 'b.js'),
+			unused = path.join(sourceDir, 'unused.js'),
+			cacheDir = path.join(sourceInformation.projectDir, 'cache'),
+			cache = new AnalysisCache(cacheDir, { options: {} });
+
+		cache.dependencies[app] = [a];
+		cache.dependencies[a] = [b];
+		cache.save([app, a, b], [], [], { errors: [], warnings: [] }, [], []);
+
+		cache = new AnalysisCache(cacheDir, { options: {} });
+		cache.load();
+		cache.getDirtyFiles([app, a, b, unused], false).should.eql([]);
+		cache.getDirtyFiles([app, a, b, unused], true).should.eql([unused]);
+
+		fs.writeFileSync(b, 'exports.b = 2;');
+		cache.getDirtyFiles([app, a, b, unused], false).sort().should.eql([a, app, b].sort());
+
+		cache = new AnalysisCache(cacheDir, { options: { processUnvisitedCode: true } });
+		cache.load();
+		should.not.exist(cache.getDirtyFiles([app, a, b, unused], false));
+	});
+
+	it('should restore the errors and warnings in the order they were reported', function () {
+		var sourceInformation = createProject('order', {
+				'app.js': '',
+				'a.js': ''
+			}),
+			app = path.join(sourceInformation.sourceDir, 'app.js'),
+			a = path.join(sourceInformation.sourceDir, 'a.js'),
+			cacheDir = path.join(sourceInformation.projectDir, 'cache'),
+			cache = new AnalysisCache(cacheDir, {});
+		cache.save([app, a], [
+			{ type: 'ReferenceError', description: 'first', filename: a },
+			{ type: 'ReferenceError', description: 'second' },
+			{ type: 'ReferenceError', description: 'third', filename: app }
+		], [], { errors: [], warnings: [] }, [], []);
+
+		cache = new AnalysisCache(cacheDir, {});
+		cache.load();
+		cache.getResults().errors.map(function (error) {
+			return error.description;
+		}).should.eql(['first', 'second', 'third']);
+	});
+
+	it('should reuse the results of a run only if no file has changed', function () {
+		var sourceInformation = createProject('reuse', {
+				'app.js': 'require("a");\nfoo();',
+				'a.js': 'bar();'
+			}),
+			first = analyze(sourceInformation),
+			second = analyze(sourceInformation),
+			third;
+		first.usedCache.should.equal(false);
+		second.usedCache.should.equal(true);
+		second.errors.should.eql(first.errors);
+
+		fs.writeFileSync(path.join(sourceInformation.sourceDir, 'a.js'), 'baz();');
+		third = analyze(sourceInformation);
+		third.usedCache.should.equal(false);
+		third.errors.should.eql(['"baz" is not defined', '"foo" is not defined']);
+	});
+
+	it('should restore the origins of unknown values', function () {
+		var sourceInformation = createProject('origins', {
+				'app.js': 'var a = Math.random() + 1;\nvar b = foo + a;'
+			}),
+			first = analyze(sourceInformation),
+			second = analyze(sourceInformation);
+		second.usedCache.should.equal(true);
+		first.unknownOrigins.length.should.equal(2);
+		second.unknownOrigins.should.eql(first.unknownOrigins);
+	});
+
+	it('should not use the cached results when profiling or explaining an unknown value', function () {
+		var sourceInformation = createProject('profile', {
+				'app.js': 'var a = Math.random() + 1;'
+			}),
+			profiled;
+		analyze(sourceInformation).usedCache.should.equal(false);
+		profiled = analyze(sourceInformation, undefined, { profile: true });
+		profiled.usedCache.should.equal(false);
+		should.exist(profiled.profile);
+		analyze(sourceInformation, undefined, { explainUnknown: 'Resources/app.js:1' }).usedCache.should.equal(false);
+		analyze(sourceInformation).usedCache.should.equal(true);
+	});
+
+	it('should reuse the results when the plugins are listed in a different order', function () {
+		var sourceInformation = createProject('plugins', {
+				'app.js': 'Ti.foo = 1;'
+			}),
+			usageFinder = {
+				path: path.join(__dirname, '..', 'plugins', 'ti-api-usage-finder'),
+				options: {}
+			},
+			requireFinder = {
+				path: path.join(__dirname, '..', 'plugins', 'ti-api-require-finder'),
+				options: {}
+			};
+		analyze(sourceInformation, [provider, usageFinder, requireFinder]).usedCache.should.equal(false);
+		analyze(sourceInformation, [requireFinder, provider, usageFinder]).usedCache.should.equal(true);
+	});
+
+	it('should only evaluate the files that changed or depend on a file that changed', function () {
+		var sourceInformation = createProject('incremental', {
+				'app.js': 'require("a");\nrequire("b");\nfoo();',
+				'a.js': 'bar();',
+				'b.js': 'baz();'
+			}),
+			first = analyze(sourceInformation),
+			second;
+		first.evaluatedFiles.should.eql(['app.js', 'a.js', 'b.js']);
+
+		fs.writeFileSync(path.join(sourceInformation.sourceDir, 'b.js'), 'qux();');
+		second = analyze(sourceInformation);
+		second.usedCache.should.equal(false);
+		second.evaluatedFiles.should.eql(['app.js', 'b.js']);
+		second.errors.should.eql(['"qux" is not defined', '"foo" is not defined', '"bar" is not defined']);
+
+		analyze(sourceInformation).errors.should.eql(second.errors);
+	});
+
+	it('should evaluate every file if a plugin reports results for the whole project', function () {
+		var sourceInformation = createProject('incremental-plugins', {
+				'app.js': 'require("a");\nTi.foo = 1;',
+				'a.js': 'bar();'
+			}),
+			plugins = [provider, {
+				path: path.join(__dirname, '..', 'plugins', 'ti-api-usage-finder'),
+				options: {}
+			}];
+		analyze(sourceInformation, plugins);
+		fs.writeFileSync(path.join(sourceInformation.sourceDir, 'app.js'), 'require("a");\nTi.foo = 2;');
+		analyze(sourceInformation, plugins).evaluatedFiles.should.eql(['app.js', 'a.js']);
+	});
+});
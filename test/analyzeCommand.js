@@ -0,0 +1,149 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests the standalone analyze command and the tiapp.xml reader
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it, before, after*/
+
+var path = require('path'),
+	fs = require('fs'),
+	os = require('os'),
+	execFile = require('child_process').execFile,
+
+	should = require('should'),
+	wrench = require('wrench'),
+
+	AnalyzeCommand = require(path.join(__dirname, '..', 'lib', 'AnalyzeCommand')),
+	Tiapp = require(path.join(__dirname, '..', 'lib', 'Tiapp')),
+	Baseline = require(path.join(__dirname, '..', 'lib', 'Baseline')),
+
+	tempDir = path.join(os.tmpdir(), 'ti-code-processor-analyze-test-' + process.pid),
+	projectDir = path.join(tempDir, 'project'),
+	moduleProjectDir = path.join(tempDir, 'moduleProject'),
+	sdkDir = path.join(tempDir, 'sdk');
+
+describe('Analyze Command', function () {
+
+	function createProject(dir, modules) {
+		wrench.mkdirSyncRecursive(path.join(dir, 'Resources'));
+		fs.writeFileSync(path.join(dir, 'tiapp.xml'), [
+			'<?xml version="1.0" encoding="UTF-8"?>',
+			'<ti:app xmlns:ti="http://ti.appcelerator.org">',
+			'	<id>com.example.test</id>',
+			'	<name>Test</name>',
+			'	<property name="answer" type="int">42</property>',
+			'	<modules>',
+			modules || '',
+			'	</modules>',
+			'	<deployment-targets>',
+			'		<target device="android">false</target>',
+			'		<target device="iphone">true</target>',
+			'	</deployment-targets>',
+			'	<sdk-version>3.1.0.GA</sdk-version>',
+			'</ti:app>'
+		].join('\n'));
+		fs.writeFileSync(path.join(dir, 'Resources', 'app.js'), 'undefinedFn();');
+	}
+
+	function captureOutput(callback) {
+		var log = console.log,
+			error = console.error,
+			output = [];
+		console.log = console.error = function (message) {
+			output.push(message);
+		};
+		return function () {
+			console.log = log;
+			console.error = error;
+			callback.apply(this, [output].concat(Array.prototype.slice.call(arguments)));
+		};
+	}
+
+	before(function () {
+		createProject(projectDir);
+		createProject(moduleProjectDir, '		<module platform="iphone" version="1.0">ti.example</module>');
+		wrench.mkdirSyncRecursive(sdkDir);
+		fs.writeFileSync(path.join(sdkDir, 'manifest.json'), JSON.stringify({ version: '3.1.0' }));
+		fs.writeFileSync(path.join(sdkDir, 'api.jsca'), JSON.stringify({
+			types: [],
+			aliases: []
+		}));
+	});
+
+	after(function () {
+		wrench.rmdirSyncRecursive(tempDir, true);
+	});
+
+	it('should read the tiapp.xml file', function () {
+		var tiapp = Tiapp.load(path.join(moduleProjectDir, 'tiapp.xml'));
+		tiapp.id.should.equal('com.example.test');
+		tiapp.sdkVersion.should.equal('3.1.0.GA');
+		tiapp.deploymentTargets.should.eql(['iphone']);
+		tiapp.modules.should.eql([{ id: 'ti.example', platform: 'iphone', version: '1.0' }]);
+		tiapp.properties.should.eql({ answer: { type: 'int', value: 42 } });
+	});
+
+	it('should parse the same arguments as the titanium analyze command', function () {
+		var argv = AnalyzeCommand.parseArguments([projectDir, '-p', 'ios,android', '--sdk-path=' + sdkDir, '-A',
+			'--no-cache', '-o', 'json']);
+		argv.errors.should.eql([]);
+		argv['project-dir'].should.equal(projectDir);
+		argv.platform.should.equal('ios,android');
+		argv['sdk-path'].should.equal(sdkDir);
+		argv['all-plugins'].should.be.true;
+		argv['no-cache'].should.be.true;
+		argv['exact-mode'].should.be.false;
+		argv.output.should.equal('json');
+
+		AnalyzeCommand.parseArguments(['-o', 'html', '--bogus', '--update-baseline']).errors.should.eql([
+			'Invalid value "html" for option "--output"',
+			'Unknown option "--bogus"',
+			'The --update-baseline flag requires the --baseline option'
+		]);
+	});
+
+	it('should analyze a project without the Titanium CLI', function (done) {
+		AnalyzeCommand.run([projectDir, '--sdk-path', sdkDir, '-p', 'iphone', '--plugins', 'ti-api-provider',
+				'--no-cache', '-o', 'json'], captureOutput(function (output, code) {
+			var results = JSON.parse(output.join('\n'));
+			code.should.equal(0);
+			results.errors.length.should.equal(1);
+			results.errors[0].description.should.equal('"undefinedFn" is not defined');
+			done();
+		}));
+	});
+
+	it('should require the SDK path when the Titanium API provider is loaded', function (done) {
+		AnalyzeCommand.run([projectDir, '-p', 'iphone', '--plugins', 'ti-api-provider', '-o', 'json'],
+				captureOutput(function (output, code) {
+			code.should.equal(1);
+			output.should.eql(['The --sdk-path option is required when the ti-api-provider plugin is loaded']);
+			done();
+		}));
+	});
+
+	it('should fail if a module in the tiapp.xml file could not be found', function (done) {
+		AnalyzeCommand.run([moduleProjectDir, '--sdk-path', sdkDir, '-p', 'ios', '--plugins', 'ti-api-provider',
+				'-o', 'json'], captureOutput(function (output, code) {
+			code.should.equal(1);
+			output.length.should.equal(1);
+			output[0].should.include('Could not find Titanium Module id: ti.example');
+			done();
+		}));
+	});
+
+	it('should exit with a non-zero exit code once the results are written if there are new errors', function (done) {
+		var baselineFile = path.join(tempDir, 'baseline.json');
+		Baseline.save(baselineFile, Baseline.create([], projectDir));
+		execFile(process.execPath, [path.join(__dirname, '..', 'bin', 'codeprocessor'), 'analyze', projectDir,
+				'--sdk-path', sdkDir, '-p', 'iphone', '--plugins', 'ti-api-provider', '--no-cache', '-o', 'json',
+				'--baseline', baselineFile], function (err, stdout) {
+			err.code.should.equal(1);
+			JSON.parse(stdout).baseline.numNew.should.equal(1);
+			done();
+		});
+	});
+});
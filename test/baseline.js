@@ -0,0 +1,75 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests the baseline fingerprinting and matching
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it, before, after*/
+
+var path = require('path'),
+	fs = require('fs'),
+	os = require('os'),
+
+	should = require('should'),
+
+	Baseline = require(path.join(__dirname, '..', 'lib', 'Baseline')),
+
+	projectDir = path.join(os.tmpdir(), 'ti-code-processor-baseline-test-' + process.pid),
+	filename = path.join(projectDir, 'app.js');
+
+describe('Baseline', function () {
+
+	function finding(description, line) {
+		return {
+			type: 'ReferenceError',
+			description: description,
+			filename: filename,
+			line: line,
+			column: 0
+		};
+	}
+
+	before(function () {
+		fs.mkdirSync(projectDir);
+		fs.writeFileSync(filename, 'foo();\nfoo();\nbar();\n');
+	});
+
+	after(function () {
+		fs.unlinkSync(filename);
+		fs.rmdirSync(projectDir);
+	});
+
+	it('should record identical findings once with a count', function () {
+		var baseline = Baseline.create([finding('"foo" is not defined', 1), finding('"foo" is not defined', 2)], projectDir);
+		baseline.findings.length.should.equal(1);
+		baseline.findings[0].count.should.equal(2);
+		baseline.findings[0].filename.should.equal('app.js');
+		baseline.findings[0].snippet.should.equal('foo();');
+	});
+
+	it('should match findings that moved to a different line', function () {
+		var baseline = Baseline.create([finding('"bar" is not defined', 3)], projectDir);
+		fs.writeFileSync(filename, '// comment\nfoo();\nfoo();\n  bar();\n');
+		Baseline.createMatcher(baseline, projectDir)(finding('"bar" is not defined', 4)).should.be.true;
+	});
+
+	it('should only match each recorded finding once', function () {
+		var baseline = Baseline.create([finding('"foo" is not defined', 2)], projectDir),
+			isBaselined = Baseline.createMatcher(baseline, projectDir);
+		isBaselined(finding('"foo" is not defined', 2)).should.be.true;
+		isBaselined(finding('"foo" is not defined', 3)).should.be.false;
+		isBaselined(finding('"bar" is not defined', 4)).should.be.false;
+	});
+
+	it('should report added and removed findings', function () {
+		var baseline = Baseline.create([finding('"foo" is not defined', 2), finding('"foo" is not defined', 3)], projectDir),
+			result = Baseline.diff(baseline, [finding('"foo" is not defined', 2), finding('"bar" is not defined', 4)], projectDir);
+		result.added.length.should.equal(1);
+		result.added[0].description.should.equal('"bar" is not defined');
+		result.removed.length.should.equal(1);
+		result.removed[0].description.should.equal('"foo" is not defined');
+		result.removed[0].count.should.equal(1);
+	});
+});
@@ -6,7 +6,7 @@
  *
  * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
  */
-/*global describe, it*/
+/*global describe, it, before*/
 
 var path = require('path'),
 
@@ -19,7 +19,11 @@ require(path.join(__dirname, '..', 'lib', 'CodeProcessor')); // Called to prime
 
 describe('Cloning', function () {
 
-	Base.init();
+	// Initialized before the tests run, instead of when the file is loaded, so that analyses run by other tests don't
+	// leave the global context in a different state
+	before(function () {
+		Base.init();
+	});
 
 	function compareLexicalEnvironments(original, cloned) {
 		var p;
@@ -108,8 +112,8 @@ describe('Cloning', function () {
 			should.strictEqual(original.enumerable, cloned.enumerable, 'Descriptor enumerable flag mismatch');
 		} else {
 			should.ok(Base.isAccessorDescriptor(cloned), 'Descriptor type mismatch');
-			should.ok(compareValues(original.get, cloned.get), 'Descriptor getter mismatch');
-			should.ok(compareValues(original.set, cloned.set), 'Descriptor setter mismatch');
+			compareValues(original.get, cloned.get);
+			compareValues(original.set, cloned.set);
 			should.strictEqual(original.configurable, cloned.configurable, 'Descriptor configurable flag mismatch');
 			should.strictEqual(original.enumerable, cloned.enumerable, 'Descriptor enumerable flag mismatch');
 		}
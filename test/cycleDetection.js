@@ -0,0 +1,74 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests for detecting code that repeats the same sequence of rules
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	inspect = require(path.join(__dirname, 'lib', 'inspect')),
+
+	recursion = [
+		'var message;',
+		'function recurse(n) {',
+		'	return recurse(n);',
+		'}',
+		'try {',
+		'	recurse(1);',
+		'} catch (e) {',
+		'	message = e.message;',
+		'}',
+		'inspect(message);'
+	];
+
+describe('Cycle detection', function () {
+
+	var sourceInformation = inspect.createProject('cycle-detection');
+
+	// Analyzes the source and describes the arguments passed to the last call to inspect()
+	function analyze(source, options) {
+		return inspect.analyze(sourceInformation, source, options).values;
+	}
+
+	it('should throw a RangeError once the maximum number of cycles is exceeded', function () {
+		analyze(recursion, { maxCycles: 5, functionSummaries: false }).should.eql([
+			'The maximum number of cycles was detected'
+		]);
+	});
+
+	it('should not detect cycles longer than the cycle detection stack', function () {
+		analyze(recursion, { maxCycles: 5, cycleDetectionStackSize: 2, functionSummaries: false }).should.eql([
+			'Maximum callstack size exceeded'
+		]);
+	});
+
+	it('should detect cycles that span several different repetitions', function () {
+		analyze([
+			'var i, total = 0, message;',
+			'try {',
+			'	for (i = 0; i < 20; i++) {',
+			'		total += i % 2 ? 1 : 2;',
+			'	}',
+			'} catch (e) {',
+			'	message = e.message;',
+			'}',
+			'inspect(message);'
+		], { maxCycles: 5 }).should.eql(['The maximum number of cycles was detected']);
+	});
+
+	it('should not throw when there are fewer cycles than the maximum', function () {
+		analyze([
+			'var i, total = 0;',
+			'for (i = 0; i < 20; i++) {',
+			'	total += i % 2 ? 1 : 2;',
+			'}',
+			'inspect(total);'
+		], { maxCycles: 20 }).should.eql(['30']);
+	});
+});
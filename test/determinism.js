@@ -0,0 +1,85 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests the determinism modes used to evaluate clock reads and random numbers
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it, before, after*/
+
+var path = require('path'),
+	fs = require('fs'),
+	os = require('os'),
+
+	should = require('should'),
+	wrench = require('wrench'),
+
+	CodeProcessor = require(path.join(__dirname, '..', 'lib', 'CodeProcessor')),
+
+	tempDir = path.join(os.tmpdir(), 'ti-code-processor-determinism-test-' + process.pid),
+	sourceDir = path.join(tempDir, 'Resources'),
+	sourceInformation = {
+		projectDir: tempDir,
+		sourceDir: sourceDir,
+		entryPoint: path.join(sourceDir, 'app.js')
+	};
+
+describe('Determinism', function () {
+
+	function analyze(source, options) {
+		var session = new CodeProcessor.Session(options);
+		fs.writeFileSync(sourceInformation.entryPoint, source);
+		session.run(sourceInformation, []);
+		return session.getResults().errors.map(function (error) {
+			return error.description;
+		});
+	}
+
+	before(function () {
+		wrench.mkdirSyncRecursive(sourceDir);
+	});
+
+	after(function () {
+		wrench.rmdirSyncRecursive(tempDir);
+	});
+
+	it('should generate the same random numbers for the same seed', function () {
+		var source = 'throw new Error(Math.random() + " " + Math.random());',
+			first = analyze(source, { determinism: 'seeded', seed: 42 });
+		first[0].should.match(/^0\.\d+ 0\.\d+$/);
+		analyze(source, { determinism: 'seeded', seed: 42 }).should.eql(first);
+		analyze(source, { determinism: 'seeded', seed: 7 }).should.not.eql(first);
+	});
+
+	it('should not start the sequence of small seeds close to 0', function () {
+		[0, 1, 2, 7, 42].forEach(function (seed) {
+			var first = parseFloat(analyze('throw new Error(Math.random());', { determinism: 'seeded', seed: seed })[0]);
+			first.should.be.within(0.01, 1);
+		});
+	});
+
+	it('should read the time from a virtual clock', function () {
+		var source = 'var d = new Date();\nthrow new Error(d.getTime() + " " + Date.now() + " " + d.getUTCFullYear());';
+		analyze(source, { determinism: 'virtual' }).should.eql(['1356998400000 1356998400001 2013']);
+		analyze(source, { determinism: 'seeded' }).should.eql(['1356998400000 1356998400001 2013']);
+	});
+
+	it('should evaluate branches on the time and random numbers ambiguously in unknown mode', function () {
+		var source = 'if (Math.random() < 0.5) {\n\tfoo();\n} else {\n\tbar();\n}\nif (Date.now()) {\n\tbaz();\n}';
+		analyze(source, { determinism: 'unknown' }).should.eql([
+			'"foo" is not defined',
+			'"bar" is not defined',
+			'"baz" is not defined'
+		]);
+		analyze(source, { determinism: 'seeded', seed: 1 }).should.eql([
+			'"foo" is not defined',
+			'"baz" is not defined'
+		]);
+	});
+
+	it('should make a date unknown if it is set to an unknown value', function () {
+		analyze('var d = new Date(2013, 0, 1);\nd.setFullYear(Math.random());\nthrow new Error(d.getFullYear());',
+			{ determinism: 'virtual' }).should.eql(['<unknown>']);
+	});
+});
@@ -0,0 +1,186 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests analyzing code that uses ECMAScript 2015 syntax
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it, before, after*/
+
+var path = require('path'),
+	fs = require('fs'),
+	os = require('os'),
+
+	should = require('should'),
+	wrench = require('wrench'),
+
+	CodeProcessor = require(path.join(__dirname, '..', 'lib', 'CodeProcessor')),
+	AST = require(path.join(__dirname, '..', 'lib', 'AST')),
+
+	tempDir = path.join(os.tmpdir(), 'ti-code-processor-es2015-test-' + process.pid),
+	sourceDir = path.join(tempDir, 'Resources'),
+	sourceInformation = {
+		projectDir: tempDir,
+		sourceDir: sourceDir,
+		entryPoint: path.join(sourceDir, 'app.js')
+	};
+
+describe('ECMAScript 2015', function () {
+
+	function analyze(source, options) {
+		var session = new CodeProcessor.Session(options || {});
+		fs.writeFileSync(sourceInformation.entryPoint, source.join('\n'));
+		session.run(sourceInformation, []);
+		return session.getResults().errors.map(function (error) {
+			return error.description;
+		});
+	}
+
+	before(function () {
+		wrench.mkdirSyncRecursive(sourceDir);
+	});
+
+	after(function () {
+		wrench.rmdirSyncRecursive(tempDir);
+	});
+
+	it('should scope let and const declarations to their block', function () {
+		analyze([
+			'let a = 1;',
+			'const b = 2;',
+			'{',
+			'	let a = 3;',
+			'	const b = 4;',
+			'	function f() { return a + b; }',
+			'	if (f() !== 7) { throw new Error("block function " + f()); }',
+			'}',
+			'if (a !== 1 || b !== 2) { throw new Error("outer " + a + b); }',
+			'if (typeof this.a !== "undefined") { throw new Error("global property"); }',
+			'var fns = [];',
+			'for (let i = 0; i < 3; i++) { fns.push(function () { return i; }); }',
+			'if (fns[0]() !== 0 || fns[2]() !== 2) { throw new Error("iteration " + fns[0]()); }',
+			'try { let c = 1; } finally { const c = 2; }',
+			'switch (a) { case 1: let d = 5; default: d++; if (d !== 6) { throw new Error("switch " + d); } }',
+			'throw new Error(typeof d + " " + typeof i);'
+		]).should.eql(['undefined undefined']);
+	});
+
+	it('should report assignments to const and uses of let and const before their declaration', function () {
+		analyze([
+			'const a = 1;',
+			'a = 2;',
+			'b;',
+			'c = 3;',
+			'let b = 1, c;',
+			'let d;',
+			'if (d !== undefined || b !== 1) { throw new Error("initialized " + d + b); }'
+		]).should.eql([
+			'Could not set binding: binding "a" is not mutable',
+			'Could not get value: binding "b" has not been initialized',
+			'Could not set binding: binding "c" has not been initialized'
+		]);
+	});
+
+	it('should let functions that are never called see the let and const declarations of their block', function () {
+		analyze([
+			'{',
+			'	let a = "a";',
+			'	(function () { a.foo.bar; });',
+			'}'
+		], {
+			processUnvisitedCode: true
+		}).should.eql(['undefined value has no property "bar"']);
+	});
+
+	it('should use the enclosing this and arguments in arrow functions', function () {
+		analyze([
+			'var obj = {',
+			'	value: 7,',
+			'	add: function () { return [1, 2].map((n) => this.value + n + arguments[0]).join(","); }',
+			'};',
+			'var square = x => x * x;',
+			'throw new Error(obj.add(10) + " " + square(3));'
+		]).should.eql(['18,19 9']);
+		analyze([
+			'var f = () => 1;',
+			'new f();'
+		]).should.eql(['Arrow functions are not constructors']);
+	});
+
+	it('should desugar classes and super references', function () {
+		analyze([
+			'class Animal {',
+			'	constructor(name) { this.name = name; }',
+			'	get description() { return "animal " + this.name; }',
+			'	speak() { return this.name + " makes a sound"; }',
+			'	static create(name) { return new this(name); }',
+			'}',
+			'class Dog extends Animal {',
+			'	constructor(name) { super(name + "!"); }',
+			'	speak() { return super.speak() + " (woof)"; }',
+			'}',
+			'var dog = Dog.create ? new Dog("rex") : null;',
+			'throw new Error([dog.speak(), dog.description, dog instanceof Animal, Animal.create("cat").name].join("; "));'
+		]).should.eql(['rex! makes a sound (woof); animal rex!; true; cat']);
+		analyze([
+			'class Animal {}',
+			'Animal();'
+		]).should.eql(['Class constructor Animal cannot be invoked without \'new\'']);
+		analyze([
+			'class A {',
+			'	constructor() { this.x = 5; }',
+			'	get dbl() { return this.x * 2; }',
+			'	triple() { return this.x * 3; }',
+			'}',
+			'class B extends A {',
+			'	m() { return super.dbl; }',
+			'	n() { return super["triple"](); }',
+			'}',
+			'var b = new B();',
+			'throw new Error(b.m() + " " + b.n());'
+		]).should.eql(['10 15']);
+	});
+
+	it('should desugar destructuring, default, rest, and spread', function () {
+		analyze([
+			'var { a, b: [c = 5, ...d] } = { a: 1, b: [undefined, 2, 3] };',
+			'var x, y;',
+			'[x, y] = [y, a];',
+			'function f(p = 3, { q } = { q: 4 }, ...rest) { return p + q + rest.length; }',
+			'var total = 0;',
+			'for (const [key, value] of [["k", 1], ["l", 2]]) { total += value; }',
+			'throw new Error([a, c, d.join("+"), y, f(), f(1, { q: 1 }, 7, 8), Math.max(...d, 0), total].join(" "));'
+		]).should.eql(['1 5 2+3 1 7 4 3 3']);
+	});
+
+	it('should desugar template literals and object literal extensions', function () {
+		analyze([
+			'var name = "world", key = "dynamic";',
+			'var obj = { name, [key + "Key"]: 1, greet() { return `hello ${this.name}!`; }, get upper() { return this.name.toUpperCase(); } };',
+			'throw new Error(obj.greet() + " " + obj.dynamicKey + " " + obj.upper + " " + 2 ** 10);'
+		]).should.eql(['hello world! 1 WORLD 1024']);
+	});
+
+	it('should report the location of syntax errors and unsupported syntax', function () {
+		var error = AST.parseString('let a = ;', 'test.js');
+		error.syntaxError.should.be.true;
+		error.line.should.equal(1);
+
+		error = AST.parseString('var a = 1;\nfunction* gen() { yield a; }', 'test.js');
+		error.syntaxError.should.be.true;
+		error.message.should.equal('Generators are not supported');
+		error.line.should.equal(2);
+
+		error = AST.parseString('class A {}\nclass B extends A {\n\tm() { super.x = 1; }\n}', 'test.js');
+		error.syntaxError.should.be.true;
+		error.message.should.equal('Assignments to super properties are not supported');
+		error.line.should.equal(3);
+
+		// UglifyJS stops at the template literal, so the ESTree parser's error for the object spread is reported
+		error = AST.parseString('var a = `a`;\nvar b = { ...a };', 'test.js');
+		error.syntaxError.should.be.true;
+		error.message.should.equal('Unexpected token');
+		error.line.should.equal(2);
+	});
+});
@@ -0,0 +1,118 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests analyzing code that uses the ECMAScript 2015 built-in objects
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it, before, after*/
+
+var path = require('path'),
+	fs = require('fs'),
+	os = require('os'),
+
+	should = require('should'),
+	wrench = require('wrench'),
+
+	CodeProcessor = require(path.join(__dirname, '..', 'lib', 'CodeProcessor')),
+
+	tempDir = path.join(os.tmpdir(), 'ti-code-processor-es2015-builtins-test-' + process.pid),
+	sourceDir = path.join(tempDir, 'Resources'),
+	sourceInformation = {
+		projectDir: tempDir,
+		sourceDir: sourceDir,
+		entryPoint: path.join(sourceDir, 'app.js')
+	};
+
+describe('ECMAScript 2015 built-ins', function () {
+
+	function analyze(source) {
+		var session = new CodeProcessor.Session({});
+		fs.writeFileSync(sourceInformation.entryPoint, source.join('\n'));
+		session.run(sourceInformation, []);
+		return session.getResults().errors.map(function (error) {
+			return error.type + ': ' + error.description;
+		});
+	}
+
+	before(function () {
+		wrench.mkdirSyncRecursive(sourceDir);
+	});
+
+	after(function () {
+		wrench.rmdirSyncRecursive(tempDir);
+	});
+
+	it('should implement the new Object, Array, and String methods', function () {
+		analyze([
+			'var o = Object.assign({ a: 1 }, null, { b: 2 }, "c");',
+			'var found = [1, 2, 3].find(function (x) { return x > 1; });',
+			'var index = [1, 2, 3].findIndex(function (x) { return x > 5; });',
+			'throw new Error([o.a, o.b, o[0], found, index, [NaN].includes(NaN), [1].includes(2),',
+			'	Array.from("ab").join("+"), Array.from({ length: 2, 0: "x" }, function (v, i) { return v + i; }).join(","),',
+			'	Array.of(7).length, "hello".startsWith("he"), "hello".startsWith("l", 2), "hello".endsWith("ll", 4),',
+			'	"hello".includes("z")].join(" "));'
+		]).should.eql(['uncaughtException: 1 2 c 2 -1 true false a+b x0,NaN 1 true true true false']);
+	});
+
+	it('should track the contents of Maps and Sets', function () {
+		analyze([
+			'var m = new Map([["a", 1]]), s = new Set([1, 2, 2]), keys = [];',
+			'm.set(NaN, 2).set("a", 3);',
+			'm.forEach(function (value, key) { keys.push(key + "=" + value); });',
+			'for (const [key, value] of m) { keys.push(key); }',
+			'for (const value of s) { keys.push(value); }',
+			'throw new Error([m.get("a"), m.get(NaN), m.size, m.has("b"), m.delete("a"), m.size, s.size,',
+			'	s.has(2), keys.join(","), Object.prototype.toString.call(s)].join(" "));'
+		]).should.eql(['uncaughtException: 3 2 2 false true 1 2 true a=3,NaN=2,a,NaN,1,2 [object Set]']);
+		analyze([
+			'var m = new Map([["a", 1]]), known = new Map([["a", 1]]), w = new WeakMap(), s = new WeakSet();',
+			'if (Math.random() > 0.5) { m.set("b", 2); }',
+			'w.set("key", 1);',
+			's.add(1);',
+			'throw new Error(m.get("a") + " " + known.get("a"));'
+		]).should.eql([
+			'TypeError: Invalid value used as weak map key',
+			'TypeError: Invalid value used in weak set',
+			'uncaughtException: <unknown>'
+		]);
+	});
+
+	it('should run promise handlers after the current code finishes', function () {
+		analyze([
+			'var order = "sync";',
+			'var chain = Promise.resolve(1).then(function (v) { return v + 1; }).then(function (v) {',
+			'	throw new Error("boom " + v);',
+			'}).catch(function (e) { return e.message; });',
+			'var all = Promise.all([1, Promise.resolve(2), new Promise(function (resolve) { resolve(3); })]);',
+			'var race = Promise.race([Promise.reject(new Error("first")), Promise.resolve(5)]).then(null, function (e) {',
+			'	return e.message;',
+			'});',
+			'Promise.all([chain, all, race]).then(function (results) {',
+			'	throw new Error(order + ": " + results.join("; "));',
+			'});',
+			'order = "async";'
+		]).should.eql(['unhandledRejection: async: boom 2; 1,2,3; first']);
+	});
+
+	it('should run both handlers of promises settled in ambiguous blocks', function () {
+		analyze([
+			'new Promise(function (resolve, reject) {',
+			'	if (Math.random() > 0.5) {',
+			'		resolve(1);',
+			'	} else {',
+			'		reject(2);',
+			'	}',
+			'}).then(function () { fulfilled(); }, function () { rejected(); });',
+			'new Promise(function () { throw new Error("executor"); });',
+			'new Promise(function (resolve) { resolve(1); }).catch(function () { neverCalled(); });',
+			'function poll() { return Promise.resolve().then(poll); }',
+			'poll();'
+		]).should.eql([
+			'ReferenceError: "fulfilled" is not defined',
+			'ReferenceError: "rejected" is not defined',
+			'unhandledRejection: executor'
+		]);
+	});
+});
@@ -0,0 +1,157 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests reusing the summaries of previous function calls
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	inspect = require(path.join(__dirname, 'lib', 'inspect'));
+
+describe('Function summaries', function () {
+
+	var sourceInformation = inspect.createProject('function-summaries');
+
+	// Analyzes the source and describes the arguments passed to the last call to inspect(), along with the number of
+	// function summary hits. The call to inspect() itself is a miss.
+	function analyze(source, options) {
+		var analysis,
+			p;
+		options = options || {};
+		options.profile = true;
+		analysis = inspect.analyze(sourceInformation, source, options);
+		p = analysis.results.profile.functionSummaries;
+		return {
+			values: analysis.values,
+			hits: p.hits,
+			misses: p.misses
+		};
+	}
+
+	it('should reuse the summary of a call with the same arguments', function () {
+		var results = analyze([
+			'var offset = 3;',
+			'function add(a, b) {',
+			'	return a + b + offset;',
+			'}',
+			'inspect(add(1, 2), add(1, 2), add(2, 2));'
+		]);
+		results.values.should.eql(['6', '6', '7']);
+		results.hits.should.equal(1);
+		results.misses.should.equal(3);
+	});
+
+	it('should reuse the summary of a call that computes a string', function () {
+		var results = analyze([
+			'var label = { prefix: "v", text: "" };',
+			'function fmt(n) {',
+			'	return "v" + n;',
+			'}',
+			'function store(n) {',
+			'	label.text = label.prefix + n;',
+			'}',
+			'store(1);',
+			'label.text = "";',
+			'store(1);',
+			'inspect(fmt(1), fmt(1), label.text);'
+		]);
+		results.values.should.eql(['v1', 'v1', 'v1']);
+		results.hits.should.equal(2);
+	});
+
+	it('should not reuse a summary once something the function read has changed', function () {
+		var results = analyze([
+			'var offset = 3, o = { count: 0 };',
+			'function add(a) {',
+			'	return a + offset;',
+			'}',
+			'function increment() {',
+			'	return ++o.count;',
+			'}',
+			'var x = add(1);',
+			'offset = 10;',
+			'inspect(x, add(1), increment(), increment(), o.count);'
+		]);
+		results.values.should.eql(['4', '11', '1', '2', '2']);
+		results.hits.should.equal(0);
+	});
+
+	it('should make the changes of the summarized call again', function () {
+		var results = analyze([
+			'var o = { name: "a" }, calls = 0;',
+			'function rename(name) {',
+			'	o.name = name;',
+			'	calls = 1;',
+			'}',
+			'rename("b");',
+			'o.name = "a";',
+			'calls = 0;',
+			'rename("b");',
+			'inspect(o.name, calls);'
+		]);
+		results.values.should.eql(['b', '1']);
+		results.hits.should.equal(1);
+	});
+
+	it('should speed up recursive functions', function () {
+		var results = analyze([
+			'function fib(n) {',
+			'	return n < 2 ? n : fib(n - 1) + fib(n - 2);',
+			'}',
+			'inspect(fib(20));'
+		]);
+		results.values.should.eql(['6765']);
+		results.hits.should.equal(18);
+	});
+
+	it('should match unknown arguments with the same type', function () {
+		var results = analyze([
+			'function length(s) {',
+			'	return s.length;',
+			'}',
+			'inspect(length(String(Date.now())), length(String(Date.now())), length(Date.now()));'
+		]);
+		results.values.should.eql(['some integer Number in [0, Infinity)', 'some integer Number in [0, Infinity)',
+			'unknown']);
+		results.hits.should.equal(1);
+	});
+
+	it('should not summarize calls that create objects or are impure', function () {
+		var results = analyze([
+			'var list = [];',
+			'function create() {',
+			'	return {};',
+			'}',
+			'function store(value) {',
+			'	list[0] = { value: value };',
+			'}',
+			'function random() {',
+			'	return Math.random();',
+			'}',
+			'store(1);',
+			'var first = list[0];',
+			'store(1);',
+			'inspect(create() === create(), first === list[0], random() === random());'
+		], { determinism: 'seeded' });
+		results.values.should.eql(['false', 'false', 'false']);
+		results.hits.should.equal(0);
+	});
+
+	it('should not reuse summaries when they are disabled', function () {
+		var results = analyze([
+			'function add(a, b) {',
+			'	return a + b;',
+			'}',
+			'inspect(add(1, 2), add(1, 2));'
+		], { functionSummaries: false });
+		results.values.should.eql(['3', '3']);
+		results.hits.should.equal(0);
+		results.misses.should.equal(0);
+	});
+});
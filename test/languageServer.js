@@ -0,0 +1,236 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests the language server using a fake client
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it, before, after*/
+
+var path = require('path'),
+	fs = require('fs'),
+	os = require('os'),
+	stream = require('stream'),
+
+	should = require('should'),
+	wrench = require('wrench'),
+
+	LanguageServer = require(path.join(__dirname, '..', 'lib', 'LanguageServer')).LanguageServer,
+
+	tempDir = path.join(os.tmpdir(), 'ti-code-processor-lsp-test-' + process.pid),
+	projectDir = path.join(tempDir, 'project'),
+	sdkDir = path.join(tempDir, 'sdk'),
+	appFile = path.join(projectDir, 'Resources', 'app.js'),
+	appUri = 'file://' + appFile.split(path.sep).join('/');
+
+/**
+ * A fake LSP client that frames messages and collects the server's responses and notifications
+ */
+function FakeClient(serverOptions) {
+	var self = this,
+		buffer = '';
+	this.input = new stream.PassThrough();
+	this.output = new stream.PassThrough();
+	this.nextId = 1;
+	this.pending = {};
+	this.notificationListeners = [];
+	this.output.on('data', function (data) {
+		var match,
+			message;
+		buffer += data.toString();
+		while ((match = /^Content-Length: (\d+)\r\n\r\n/.exec(buffer)) && buffer.length >= match[0].length + parseInt(match[1], 10)) {
+			message = JSON.parse(buffer.substr(match[0].length, parseInt(match[1], 10)));
+			buffer = buffer.substring(match[0].length + parseInt(match[1], 10));
+			if (message.hasOwnProperty('id')) {
+				self.pending[message.id](message);
+			} else {
+				self.notificationListeners.forEach(function (listener) {
+					listener(message);
+				});
+			}
+		}
+	});
+	this.server = new LanguageServer(this.input, this.output, serverOptions);
+	this.server.start(function (code) {
+		self.exitCode = code;
+	});
+}
+
+FakeClient.prototype.send = function (message) {
+	message = JSON.stringify(message);
+	this.input.write('Content-Length: ' + Buffer.byteLength(message) + '\r\n\r\n' + message);
+};
+
+FakeClient.prototype.request = function (method, params, callback) {
+	this.pending[this.nextId] = callback;
+	this.send({
+		jsonrpc: '2.0',
+		id: this.nextId++,
+		method: method,
+		params: params
+	});
+};
+
+FakeClient.prototype.notify = function (method, params) {
+	this.send({
+		jsonrpc: '2.0',
+		method: method,
+		params: params
+	});
+};
+
+FakeClient.prototype.onNotification = function (method, callback) {
+	this.notificationListeners.push(function (message) {
+		if (message.method === method) {
+			callback(message.params);
+		}
+	});
+};
+
+describe('Language Server', function () {
+
+	var client;
+
+	before(function (done) {
+		var source = 'var greeting = "hello";\nvar lib = require("lib");\nundefinedFn(greeting);\n';
+		wrench.mkdirSyncRecursive(path.join(projectDir, 'Resources'));
+		wrench.mkdirSyncRecursive(sdkDir);
+		fs.writeFileSync(appFile, source);
+		fs.writeFileSync(path.join(projectDir, 'Resources', 'lib.js'), 'exports.x = 1;');
+		fs.writeFileSync(path.join(sdkDir, 'manifest.json'), JSON.stringify({ version: '3.1.0' }));
+		fs.writeFileSync(path.join(sdkDir, 'api.jsca'), JSON.stringify({
+			types: [{
+				name: 'Global',
+				properties: [],
+				functions: [{
+					name: 'require',
+					parameters: [],
+					returnTypes: [],
+					userAgents: []
+				}],
+				userAgents: []
+			}],
+			aliases: []
+		}));
+
+		client = new FakeClient({
+			delay: 0,
+			plugins: [{
+				path: path.join(__dirname, '..', 'plugins', 'ti-api-provider'),
+				options: {
+					sdkPath: sdkDir,
+					platform: 'iphone'
+				}
+			}]
+		});
+		client.request('initialize', {
+			rootUri: 'file://' + projectDir.split(path.sep).join('/')
+		}, function (response) {
+			response.result.capabilities.hoverProvider.should.be.true;
+			response.result.capabilities.definitionProvider.should.be.true;
+			client.onNotification('textDocument/publishDiagnostics', function (params) {
+				if (params.uri === appUri) {
+					client.diagnostics = params.diagnostics;
+					done();
+				}
+			});
+			client.notify('initialized', {});
+			client.notify('textDocument/didOpen', {
+				textDocument: {
+					uri: appUri,
+					languageId: 'javascript',
+					version: 1,
+					text: source
+				}
+			});
+		});
+	});
+
+	after(function () {
+		wrench.rmdirSyncRecursive(tempDir, true);
+	});
+
+	it('should publish errors as diagnostics when a document is opened', function () {
+		client.diagnostics.length.should.equal(1);
+		client.diagnostics[0].severity.should.equal(1);
+		client.diagnostics[0].message.should.equal('"undefinedFn" is not defined');
+		client.diagnostics[0].range.should.eql({
+			start: { line: 2, character: 0 },
+			end: { line: 2, character: 11 }
+		});
+	});
+
+	it('should answer hover requests with the inferred value of an identifier', function (done) {
+		client.request('textDocument/hover', {
+			textDocument: { uri: appUri },
+			position: { line: 2, character: 14 }
+		}, function (response) {
+			response.result.contents.value.should.include('greeting: string "hello"');
+			done();
+		});
+	});
+
+	it('should answer definition requests for require paths', function (done) {
+		client.request('textDocument/definition', {
+			textDocument: { uri: appUri },
+			position: { line: 1, character: 20 }
+		}, function (response) {
+			response.result.uri.should.equal('file://' + path.join(projectDir, 'Resources', 'lib.js').split(path.sep).join('/'));
+			done();
+		});
+	});
+
+	it('should reply to unknown requests with an error', function (done) {
+		client.request('textDocument/unknown', {}, function (response) {
+			response.error.code.should.equal(-32601);
+			done();
+		});
+	});
+
+	it('should reply to malformed requests with an error and log malformed notifications', function (done) {
+		var messages = [];
+		client.onNotification('window/logMessage', function (params) {
+			messages.push(params);
+		});
+		client.notify('textDocument/didOpen', {});
+		client.request('textDocument/hover', {}, function (response) {
+			response.error.code.should.equal(-32603);
+			response.error.message.should.include('textDocument/hover');
+			messages.length.should.equal(1);
+			messages[0].type.should.equal(1);
+			messages[0].message.should.include('textDocument/didOpen');
+			done();
+		});
+	});
+
+	it('should log internal errors of an analysis instead of exiting', function (done) {
+		var failed = false;
+		client.server.session.on('rule', function () {
+			if (!failed) {
+				failed = true;
+				throw new Error('analysis failed');
+			}
+		});
+		client.onNotification('window/logMessage', function (params) {
+			if (params.message.indexOf('Could not analyze the project') === 0) {
+				params.type.should.equal(1);
+				params.message.should.include('analysis failed');
+				done();
+			}
+		});
+		client.notify('textDocument/didSave', {
+			textDocument: { uri: appUri }
+		});
+	});
+
+	it('should exit cleanly after shutting down', function (done) {
+		client.request('shutdown', undefined, function () {
+			client.notify('exit');
+			setTimeout(function () {
+				client.exitCode.should.equal(0);
+				done();
+			}, 10);
+		});
+	});
+});
@@ -0,0 +1,88 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Helpers for the unit tests that analyze a snippet of code and check the values passed to an inspect() function
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global before, after*/
+
+var path = require('path'),
+	fs = require('fs'),
+	os = require('os'),
+
+	wrench = require('wrench'),
+
+	CodeProcessor = require(path.join(__dirname, '..', '..', 'lib', 'CodeProcessor')),
+	Base = require(path.join(__dirname, '..', '..', 'lib', 'Base'));
+
+/**
+ * Creates the source information for a project in a temporary directory. Must be called inside of a describe block:
+ * the source directory is created before the tests in the block run and the project is removed once they finish.
+ *
+ * @method
+ * @param {String} name The name of the tests, which is part of the name of the temporary directory
+ * @returns {Object} The source information, containing the 'projectDir', 'sourceDir', and 'entryPoint' of the project
+ */
+exports.createProject = createProject;
+function createProject(name) {
+	var projectDir = path.join(os.tmpdir(), 'ti-code-processor-' + name + '-test-' + process.pid),
+		sourceInformation = {
+			projectDir: projectDir,
+			sourceDir: path.join(projectDir, 'Resources'),
+			entryPoint: path.join(projectDir, 'Resources', 'app.js')
+		};
+
+	before(function () {
+		wrench.mkdirSyncRecursive(sourceInformation.sourceDir);
+	});
+
+	after(function () {
+		wrench.rmdirSyncRecursive(projectDir);
+	});
+
+	return sourceInformation;
+}
+
+/**
+ * Describes a value: unknown values by their type information, e.g. 'some String', and known values as a string
+ *
+ * @method
+ * @param {module:Base.BaseType} value The value to describe
+ * @returns {String} The description
+ */
+exports.describeValue = describeValue;
+function describeValue(value) {
+	return Base.type(value) === 'Unknown' ? Base.describeTypeInfo(value.typeInfo) : Base.toString(value).value;
+}
+
+/**
+ * Analyzes the source after defining an empty inspect() function, and describes the arguments passed to the last call
+ * to inspect()
+ *
+ * @method
+ * @param {Object} sourceInformation The source information of the project, as returned by {@link createProject}
+ * @param {Array[String]} source The lines of the source
+ * @param {Object} [options] The options of the session
+ * @param {Array[Object]} [plugins] The plugins to load
+ * @param {Function} [describe] Describes each argument, defaults to {@link describeValue}
+ * @returns {Object} The descriptions of the arguments in 'values', undefined if inspect() was never called, and the
+ *		results of the session in 'results'
+ */
+exports.analyze = analyze;
+function analyze(sourceInformation, source, options, plugins, describe) {
+	var session = new CodeProcessor.Session(options || {}),
+		values;
+	fs.writeFileSync(sourceInformation.entryPoint, ['function inspect() {}'].concat(source).join('\n'));
+	session.on('rule', function (e) {
+		if (e.data.ruleName === 'AST_Call' && e.data.processingComplete && e.data.ast.expression.name === 'inspect') {
+			values = e.data.args.map(describe || describeValue);
+		}
+	});
+	session.run(sourceInformation, plugins || []);
+	return {
+		values: values,
+		results: session.getResults()
+	};
+}
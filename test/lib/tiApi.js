@@ -0,0 +1,93 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Fixtures for the unit tests of the plugins that check how a project uses the Titanium API
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global before*/
+
+var path = require('path'),
+	fs = require('fs'),
+
+	wrench = require('wrench'),
+
+	CodeProcessor = require(path.join(__dirname, '..', '..', 'lib', 'CodeProcessor')),
+	inspect = require(path.join(__dirname, 'inspect'));
+
+/**
+ * Creates a project in a temporary directory along with a fake SDK, which only contains a manifest and a JSCA file with
+ * the given types. Ti is an alias of Titanium in the JSCA file. Must be called inside of a describe block, see
+ * {@link module:inspect.createProject}.
+ *
+ * @method
+ * @param {String} name The name of the tests, which is part of the name of the temporary directory
+ * @param {String} sdkVersion The version of the SDK, e.g. '3.1.0'
+ * @param {Array[Object]} types The types in the JSCA file
+ * @returns {Object} The project, containing the 'sourceInformation' of the project and the 'sdkDir' of the SDK
+ */
+exports.createProject = createProject;
+function createProject(name, sdkVersion, types) {
+	var sourceInformation = inspect.createProject(name),
+		sdkDir = path.join(sourceInformation.projectDir, 'sdk');
+
+	before(function () {
+		wrench.mkdirSyncRecursive(sdkDir);
+		fs.writeFileSync(path.join(sdkDir, 'manifest.json'), JSON.stringify({ version: sdkVersion }));
+		fs.writeFileSync(path.join(sdkDir, 'api.jsca'), JSON.stringify({
+			types: types,
+			aliases: [{
+				type: 'Titanium',
+				name: 'Ti'
+			}]
+		}));
+	});
+
+	return {
+		sourceInformation: sourceInformation,
+		sdkDir: sdkDir
+	};
+}
+
+/**
+ * Analyzes the source with the Ti API provider and one other plugin
+ *
+ * @method
+ * @param {Object} project The project, as returned by {@link createProject}
+ * @param {Array[String]} source The lines of the source
+ * @param {String} pluginName The name of the plugin, e.g. 'ti-api-deprecation-finder'
+ * @param {Object} [options] The 'platform' to analyze the project for, 'iphone' by default, the 'pluginOptions' to pass
+ *		to the plugin, the 'sessionOptions', and a 'warningType' regular expression that the types of the warnings to
+ *		return must match
+ * @returns {Object} The warnings, as "type: description", and the 'results' of the plugin
+ */
+exports.analyze = analyze;
+function analyze(project, source, pluginName, options) {
+	var session,
+		results;
+	options = options || {};
+	session = new CodeProcessor.Session(options.sessionOptions || {});
+	fs.writeFileSync(project.sourceInformation.entryPoint, source.join('\n'));
+	session.run(project.sourceInformation, [{
+		path: path.join(__dirname, '..', '..', 'plugins', 'ti-api-provider'),
+		options: {
+			sdkPath: project.sdkDir,
+			platform: options.platform || 'iphone'
+		}
+	}, {
+		path: path.join(__dirname, '..', '..', 'plugins', pluginName),
+		options: options.pluginOptions || {}
+	}]);
+	results = session.getResults();
+	return {
+		warnings: results.warnings.filter(function (warning) {
+			return !options.warningType || options.warningType.test(warning.type);
+		}).map(function (warning) {
+			return warning.type + ': ' + warning.description;
+		}),
+		results: results.plugins.filter(function (plugin) {
+			return plugin.name === pluginName;
+		})[0]
+	};
+}
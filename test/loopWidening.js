@@ -0,0 +1,156 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests widening loops that run for more than the loop widening threshold
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	inspect = require(path.join(__dirname, 'lib', 'inspect'));
+
+describe('Loop widening', function () {
+
+	var sourceInformation = inspect.createProject('loop-widening');
+
+	// Analyzes the source and describes the arguments passed to the last call to inspect(), along with the warnings
+	function analyze(source, options) {
+		var analysis = inspect.analyze(sourceInformation, source, options);
+		return {
+			values: analysis.values,
+			warnings: analysis.results.warnings.map(function (warning) {
+				return warning.description;
+			})
+		};
+	}
+
+	it('should widen the values changed by loops that reach the threshold', function () {
+		var results = analyze([
+			'var i, total = 0, j = 0, k = 0, s = "";',
+			'for (i = 0; i < 1000000; i++) {',
+			'	total += i;',
+			'}',
+			'while (j < 1000000) {',
+			'	j++;',
+			'	s += "a";',
+			'}',
+			'do {',
+			'	k += 0.5;',
+			'} while (k < 1000000);',
+			'inspect(i, total, j, s, k);'
+		], { loopWideningThreshold: 10 });
+		results.values.should.eql([
+			'some integer Number in [9, Infinity)',
+			'some integer Number in [36, Infinity)',
+			'some integer Number in [9, Infinity)',
+			'some String',
+			'some Number in [4.5, Infinity)'
+		]);
+		results.warnings.should.eql([]);
+	});
+
+	it('should evaluate loops that end before the threshold normally', function () {
+		analyze([
+			'var total = 0;',
+			'for (var i = 0; i < 10; i++) {',
+			'	total += i;',
+			'}',
+			'inspect(i, total);'
+		], { loopWideningThreshold: 10 }).values.should.eql(['10', '45']);
+	});
+
+	it('should keep objects that are changed by a widened loop', function () {
+		analyze([
+			'var list = [], o = { count: 0 };',
+			'for (var i = 0; i < 100; i++) {',
+			'	list.push(i);',
+			'	o.count++;',
+			'}',
+			'inspect(typeof list, list[3], o.count);'
+		], { loopWideningThreshold: 10 }).values.should.eql(['object', '3', 'some integer Number in [9, Infinity)']);
+	});
+
+	it('should widen for-in loops', function () {
+		analyze([
+			'var o = { a: 1, b: 2, c: 3, d: 4, e: 5, f: 6, g: 7, h: 8 }, p, count = 0;',
+			'for (p in o) {',
+			'	count++;',
+			'}',
+			'inspect(p, count);'
+		], { loopWideningThreshold: 5 }).values.should.eql(['some String', 'some integer Number in [4, Infinity)']);
+	});
+
+	it('should make the return value of a function unknown if a widened loop returns', function () {
+		analyze([
+			'function find(value) {',
+			'	for (var i = 0; i < 100; i++) {',
+			'		if (i === value) {',
+			'			return i;',
+			'		}',
+			'	}',
+			'	return -1;',
+			'}',
+			'inspect(find(5), find(50));'
+		], { loopWideningThreshold: 10 }).values.should.eql(['5', 'unknown']);
+	});
+
+	it('should only stop at the iteration limit if widening is disabled', function () {
+		var results = analyze([
+			'var i = 0;',
+			'while (i < 1000000) {',
+			'	i++;',
+			'}',
+			'inspect(i);'
+		], { loopWideningThreshold: 0, maxLoopIterations: 100 });
+		results.values.should.eql(['some integer Number in [99, 100]']);
+		results.warnings.should.eql(['Maximum application loop iteration limit of 100 reached, could not fully process code']);
+	});
+
+	it('should widen loops in ambiguous blocks with the legacy ambiguity strategy', function () {
+		analyze([
+			'var list = [], count = 0;',
+			'for (var i = 0; i < 100; i++) {',
+			'	count += 2;',
+			'}',
+			'inspect(i, count);'
+		], { loopWideningThreshold: 10, ambiguityStrategy: 'legacy' }).values.should.eql([
+			'some integer Number in [9, Infinity)',
+			'some integer Number in [18, Infinity)'
+		]);
+	});
+
+	it('should make the contents of arrays that grow in a widened loop unknown', function () {
+		analyze([
+			'var arr = [], k = 0;',
+			'while (k < 50000) {',
+			'	arr.push("a");',
+			'	k++;',
+			'}',
+			'inspect(arr.join(""), arr.slice(0).length, arr[5000], arr[3], JSON.stringify(arr));'
+		]).values.should.eql([
+			'some String',
+			'some integer Number in [0, Infinity)',
+			'unknown',
+			'a',
+			'unknown'
+		]);
+	});
+
+	it('should make the property names of objects that grow in a widened loop unknown', function () {
+		analyze([
+			'var o = {}, q, p, keys = 0;',
+			'for (q = 0; q < 5000; q++) {',
+			'	o["p" + q] = q;',
+			'}',
+			'for (p in o) {',
+			'	keys++;',
+			'}',
+			'inspect(keys === 1000, Object.keys(o).length, o.p3, o.p4000);'
+		]).values.should.eql(['some Boolean', 'some integer Number in [0, Infinity)', '3', 'unknown']);
+	});
+});
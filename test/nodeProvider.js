@@ -0,0 +1,83 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests analyzing a Node.js project with the Node.js provider plugin
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it, before, after*/
+
+var path = require('path'),
+	fs = require('fs'),
+	os = require('os'),
+
+	should = require('should'),
+	wrench = require('wrench'),
+
+	CodeProcessor = require(path.join(__dirname, '..', 'lib', 'CodeProcessor')),
+
+	tempDir = path.join(os.tmpdir(), 'ti-code-processor-node-test-' + process.pid),
+	entryPoint = path.join(tempDir, 'index.js');
+
+describe('Node.js Provider', function () {
+
+	var session,
+		resolved = [];
+
+	before(function () {
+		wrench.mkdirSyncRecursive(path.join(tempDir, 'lib'));
+		wrench.mkdirSyncRecursive(path.join(tempDir, 'node_modules', 'foo', 'lib'));
+		fs.writeFileSync(entryPoint, [
+			'var foo = require("foo"),',
+			'	lib = require("./lib"),',
+			'	data = require("./data.json"),',
+			'	fs = require("fs");',
+			'foo.hello(lib.name + data.version + __dirname).toFixed();',
+			'lib.dir.charAt(0);',
+			'process.nextTick(function () { notDefined(); });',
+			'require("missing");',
+			'module.exports = Buffer.from("x");'
+		].join('\n'));
+		fs.writeFileSync(path.join(tempDir, 'data.json'), JSON.stringify({ version: '1.0.0' }));
+		fs.writeFileSync(path.join(tempDir, 'lib', 'index.js'),
+			'exports.name = "lib";\nexports.dir = __dirname;\nexports.parent = require("../index");');
+		fs.writeFileSync(path.join(tempDir, 'node_modules', 'foo', 'package.json'), JSON.stringify({ main: 'lib/main' }));
+		fs.writeFileSync(path.join(tempDir, 'node_modules', 'foo', 'lib', 'main.js'),
+			'exports.hello = function (s) { return s.length; };');
+
+		session = new CodeProcessor.Session({ cache: false });
+		session.on('requireResolved', function (e) {
+			resolved.push(e.data.path);
+		});
+		session.run({
+			projectDir: tempDir,
+			sourceDir: tempDir,
+			entryPoint: entryPoint
+		}, [{
+			path: path.join(__dirname, '..', 'plugins', 'node-provider'),
+			options: {}
+		}]);
+	});
+
+	after(function () {
+		wrench.rmdirSyncRecursive(tempDir, true);
+	});
+
+	it('should resolve modules the same way as Node.js', function () {
+		resolved.should.eql([
+			path.join(tempDir, 'node_modules', 'foo', 'lib', 'main.js'),
+			path.join(tempDir, 'lib', 'index.js'),
+			path.join(tempDir, 'data.json')
+		]);
+	});
+
+	it('should only report errors in code that is actually broken', function () {
+		session.getResults().errors.map(function (error) {
+			return [error.type, error.description, error.line];
+		}).should.eql([
+			['RequireMissing', 'The module "missing" could not be found', 8],
+			['ReferenceError', '"notDefined" is not defined', 7]
+		]);
+	});
+});
@@ -0,0 +1,165 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests analyzing a project for multiple platforms and merging the results
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it, after*/
+
+var path = require('path'),
+	fs = require('fs'),
+	os = require('os'),
+
+	should = require('should'),
+	wrench = require('wrench'),
+
+	CodeProcessor = require(path.join(__dirname, '..', 'lib', 'CodeProcessor')),
+
+	tempDir = path.join(os.tmpdir(), 'ti-code-processor-platforms-test-' + process.pid);
+
+describe('Platforms', function () {
+
+	function createFinding(description, line) {
+		return {
+			type: 'ReferenceError',
+			description: description,
+			filename: path.join(tempDir, 'Resources', 'app.js'),
+			line: line,
+			column: 0,
+			occurances: 1
+		};
+	}
+
+	function createResults(errors) {
+		return {
+			errors: errors,
+			warnings: [],
+			suppressed: {
+				errors: [],
+				warnings: []
+			},
+			plugins: []
+		};
+	}
+
+	after(function () {
+		wrench.rmdirSyncRecursive(tempDir, true);
+	});
+
+	it('should merge findings reported on several platforms', function () {
+		var results = CodeProcessor.mergePlatformResults([
+				createResults([createFinding('"a" is not defined', 1), createFinding('"b" is not defined', 2)]),
+				createResults([createFinding('"a" is not defined', 1), createFinding('"c" is not defined', 3)])
+			], ['iphone', 'android']);
+		results.platforms.should.eql(['iphone', 'android']);
+		results.errors.map(function (error) {
+			return [error.description, error.platforms];
+		}).should.eql([
+			['"a" is not defined', ['iphone', 'android']],
+			['"b" is not defined', ['iphone']],
+			['"c" is not defined', ['android']]
+		]);
+		Object.keys(results.plugins).should.eql(['iphone', 'android']);
+	});
+
+	it('should analyze a project once for each platform', function (done) {
+		var sourceDir = path.join(tempDir, 'Resources'),
+			sourceInformation = {
+				projectDir: tempDir,
+				sourceDir: sourceDir,
+				entryPoint: path.join(sourceDir, 'app.js')
+			};
+		wrench.mkdirSyncRecursive(sourceDir);
+		fs.writeFileSync(sourceInformation.entryPoint, 'shared();');
+		CodeProcessor.runPlatforms(sourceInformation, { cache: false }, {
+			iphone: [],
+			android: []
+		}, undefined, function (err, results) {
+			results.errors.length.should.equal(1);
+			results.errors[0].platforms.should.eql(['iphone', 'android']);
+			results.platformOnly.errors.length.should.equal(0);
+			done();
+		});
+	});
+
+	it('should give the plugins of each platform their own platform and visualization directory', function () {
+		var provider = {
+				path: path.join('plugins', 'ti-api-provider'),
+				options: {
+					sdkPath: 'sdk'
+				}
+			},
+			coverage = {
+				path: path.join('plugins', 'analysis-coverage'),
+				options: {}
+			},
+			resultsPath = path.join(tempDir, 'results'),
+			platformPlugins = CodeProcessor.createPlatformPlugins([provider, coverage], ['iphone', 'android'], resultsPath);
+		Object.keys(platformPlugins).should.eql(['iphone', 'android']);
+		platformPlugins.iphone[0].options.should.eql({ sdkPath: 'sdk', platform: 'iphone' });
+		platformPlugins.android[0].options.should.eql({ sdkPath: 'sdk', platform: 'android' });
+		platformPlugins.iphone[1].options.visualization.outputDirectory.should.equal(
+			path.join(resultsPath, 'iphone', 'analysis-coverage'));
+		platformPlugins.android[1].options.visualization.outputDirectory.should.equal(
+			path.join(resultsPath, 'android', 'analysis-coverage'));
+		provider.options.should.eql({ sdkPath: 'sdk' });
+
+		CodeProcessor.createPlatformPlugins([coverage], ['iphone'], resultsPath).iphone[0].options.visualization
+			.outputDirectory.should.equal(path.join(resultsPath, 'analysis-coverage'));
+	});
+
+	it('should write a summary page of the merged results that links to the results of each platform', function (done) {
+		var projectDir = path.join(tempDir, 'pages'),
+			sourceDir = path.join(projectDir, 'Resources'),
+			sdkDir = path.join(tempDir, 'sdk'),
+			resultsPath = path.join(projectDir, 'results'),
+			sourceInformation = {
+				projectDir: projectDir,
+				sourceDir: sourceDir,
+				entryPoint: path.join(sourceDir, 'app.js')
+			};
+		wrench.mkdirSyncRecursive(sourceDir);
+		wrench.mkdirSyncRecursive(sdkDir);
+		fs.writeFileSync(path.join(sdkDir, 'manifest.json'), JSON.stringify({ version: '3.1.0' }));
+		fs.writeFileSync(path.join(sdkDir, 'api.jsca'), JSON.stringify({
+			types: [{
+				name: 'Titanium',
+				properties: [],
+				functions: [],
+				userAgents: []
+			}],
+			aliases: [{
+				type: 'Titanium',
+				name: 'Ti'
+			}]
+		}));
+		fs.writeFileSync(sourceInformation.entryPoint, 'shared();\nTi;');
+
+		// Only Android has the Titanium API, so "Ti" is only undefined on iOS
+		CodeProcessor.runPlatforms(sourceInformation, { resultsPath: resultsPath }, {
+			iphone: [],
+			android: [{
+				path: path.join(__dirname, '..', 'plugins', 'ti-api-provider'),
+				options: {
+					sdkPath: sdkDir,
+					platform: 'android'
+				}
+			}]
+		}, undefined, function (err, results) {
+			var page;
+			should.not.exist(err);
+			results.platformOnly.errors.length.should.equal(1);
+			fs.existsSync(path.join(resultsPath, 'iphone', 'index.html')).should.equal(true);
+			fs.existsSync(path.join(resultsPath, 'android', 'index.html')).should.equal(true);
+			page = fs.readFileSync(path.join(resultsPath, 'index.html')).toString();
+			page.should.include('Analysis of iphone, android completed');
+			page.should.include('<a href="iphone/index.html">iphone</a>');
+			page.should.include('Platform-Only Errors and Warnings');
+			page.should.include('<td>iphone, android</td>');
+			page.should.include('<td>&quot;Ti&quot; is not defined</td>');
+			done();
+		});
+	});
+});
@@ -0,0 +1,128 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests the machine readable reporters of the code processor
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	sarif = require(path.join(__dirname, '..', 'lib', 'reporters', 'sarif')),
+	junit = require(path.join(__dirname, '..', 'lib', 'reporters', 'junit')),
+	checkstyle = require(path.join(__dirname, '..', 'lib', 'reporters', 'checkstyle')),
+	inspect = require(path.join(__dirname, 'lib', 'inspect')),
+
+	projectDir = path.join(path.sep, 'project'),
+	results = {
+		errors: [{
+			type: 'ReferenceError',
+			description: '"foo" is not defined (2 occurances)',
+			rawDescription: '"foo" is not defined',
+			filename: path.join(projectDir, 'Resources', 'app.js'),
+			line: 3,
+			column: 4,
+			occurances: 2
+		}],
+		warnings: [{
+			type: 'deprecatedTiPropertyReferenced',
+			description: '"Titanium.UI.create2DMatrix" has been <deprecated>',
+			rawDescription: '"Titanium.UI.create2DMatrix" has been <deprecated>',
+			filename: path.join(projectDir, 'Resources', 'app.js'),
+			line: 6,
+			column: 0,
+			occurances: 1
+		}, {
+			type: 'requireUnresolved',
+			description: 'A value that could not be evaluated was passed to require',
+			rawDescription: 'A value that could not be evaluated was passed to require',
+			filename: path.join(projectDir, 'Resources', 'b.js'),
+			line: 1,
+			column: 0,
+			occurances: 1
+		}],
+		plugins: []
+	};
+
+describe('Reporters', function () {
+
+	var sourceInformation = inspect.createProject('reporters');
+
+	it('should generate a SARIF log', function () {
+		var log = JSON.parse(sarif.generate(results, projectDir)),
+			run = log.runs[0];
+		log.version.should.equal('2.1.0');
+		run.tool.driver.rules.map(function (rule) {
+			return rule.id;
+		}).should.eql(['ReferenceError', 'deprecatedTiPropertyReferenced', 'requireUnresolved']);
+		run.results.length.should.equal(3);
+		run.results[0].ruleId.should.equal('ReferenceError');
+		run.results[0].level.should.equal('error');
+		run.results[0].message.text.should.equal('"foo" is not defined');
+		run.results[0].occurrenceCount.should.equal(2);
+		run.results[1].message.text.should.equal('"Titanium.UI.create2DMatrix" has been <deprecated>');
+		run.results[0].locations[0].physicalLocation.artifactLocation.uri.should.equal('Resources/app.js');
+		run.results[0].locations[0].physicalLocation.region.should.eql({
+			startLine: 3,
+			startColumn: 5
+		});
+		run.results[1].level.should.equal('warning');
+	});
+
+	it('should record platforms and locations outside of the project in a SARIF log', function () {
+		var run = JSON.parse(sarif.generate({
+				errors: [],
+				warnings: [{
+					type: 'invalidPlatformReferenced',
+					description: 'Property "Titanium.Android" is not supported on iphone',
+					rawDescription: 'Property "Titanium.Android" is not supported on iphone',
+					filename: path.join(path.sep, 'sdk', 'lib', 'module.js'),
+					line: 2,
+					column: 0,
+					occurances: 1,
+					platforms: ['iphone']
+				}],
+				plugins: []
+			}, projectDir)).runs[0];
+		run.originalUriBaseIds.PROJECTROOT.uri.should.equal('file:///project/');
+		run.results[0].properties.platforms.should.eql(['iphone']);
+		run.results[0].locations[0].physicalLocation.artifactLocation.should.eql({
+			uri: '/sdk/lib/module.js'
+		});
+	});
+
+	it('should pass the description and the number of occurrences of a finding to the SARIF log separately', function () {
+		var analysis = inspect.analyze(sourceInformation, [
+				'function f(x) {',
+				'	foo;',
+				'}',
+				'f(1);',
+				'f(2);'
+			]),
+			run = JSON.parse(sarif.generate(analysis.results, sourceInformation.projectDir)).runs[0];
+		analysis.results.errors[0].description.should.equal('"foo" is not defined (2 occurances)');
+		run.results[0].message.text.should.equal('"foo" is not defined');
+		run.results[0].occurrenceCount.should.equal(2);
+	});
+
+	it('should generate a JUnit report with a test suite per file', function () {
+		var report = junit.generate(results, projectDir);
+		report.should.include('<testsuites name="Titanium Code Processor" tests="3" failures="3" errors="0">');
+		report.should.include('<testsuite name="' + path.join('Resources', 'app.js') + '" tests="2" failures="2" errors="0">');
+		report.should.include('<testsuite name="' + path.join('Resources', 'b.js') + '" tests="1" failures="1" errors="0">');
+		report.should.include('<failure type="ReferenceError" message="&quot;foo&quot; is not defined (2 occurances)">');
+		report.should.include('has been &lt;deprecated&gt;');
+	});
+
+	it('should generate a Checkstyle report grouped by file', function () {
+		var report = checkstyle.generate(results);
+		report.match(/<file /g).length.should.equal(2);
+		report.should.include('<error line="3" column="5" severity="error" message="&quot;foo&quot; is not defined (2 occurances)"' +
+			' source="titanium-code-processor.ReferenceError"/>');
+		report.should.include('severity="warning"');
+	});
+});
@@ -0,0 +1,131 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests running multiple analysis sessions in the same process
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it, before, after*/
+
+var path = require('path'),
+	fs = require('fs'),
+	os = require('os'),
+
+	should = require('should'),
+	wrench = require('wrench'),
+
+	CodeProcessor = require(path.join(__dirname, '..', 'lib', 'CodeProcessor')),
+
+	tempDir = path.join(os.tmpdir(), 'ti-code-processor-session-test-' + process.pid);
+
+describe('Sessions', function () {
+
+	function createProject(name, source) {
+		var projectDir = path.join(tempDir, name),
+			sourceDir = path.join(projectDir, 'Resources');
+		wrench.mkdirSyncRecursive(sourceDir);
+		fs.writeFileSync(path.join(sourceDir, 'app.js'), source);
+		return {
+			projectDir: projectDir,
+			sourceDir: sourceDir,
+			entryPoint: path.join(sourceDir, 'app.js')
+		};
+	}
+
+	function getErrorDescriptions(results) {
+		return results.errors.map(function (error) {
+			return error.description;
+		});
+	}
+
+	before(function () {
+		wrench.mkdirSyncRecursive(tempDir);
+	});
+
+	after(function () {
+		wrench.rmdirSyncRecursive(tempDir);
+	});
+
+	it('should keep the results of each session separate', function () {
+		var first = new CodeProcessor.Session(),
+			second = new CodeProcessor.Session();
+		first.run(createProject('first', 'foo();'), []);
+		second.run(createProject('second', 'var x = 1;\nbar();'), []);
+		getErrorDescriptions(first.getResults()).should.eql(['"foo" is not defined']);
+		getErrorDescriptions(second.getResults()).should.eql(['"bar" is not defined']);
+		first.getResults().errors[0].line.should.equal(1);
+	});
+
+	it('should not affect the default session', function () {
+		var session = new CodeProcessor.Session();
+		CodeProcessor.run(createProject('default', 'baz();'), {}, []);
+		session.run(createProject('other', 'qux();'), []);
+		getErrorDescriptions(CodeProcessor.getResults()).should.eql(['"baz" is not defined']);
+	});
+
+	it('should discard the previous results when a session is run again', function () {
+		var session = new CodeProcessor.Session(),
+			sourceInformation = createProject('rerun', 'foo();');
+		session.run(sourceInformation, []);
+		fs.writeFileSync(sourceInformation.entryPoint, 'bar();');
+		session.run(sourceInformation, []);
+		getErrorDescriptions(session.getResults()).should.eql(['"bar" is not defined']);
+	});
+
+	it('should load a new instance of every module of a plugin in each session', function () {
+		var pluginDir = path.join(tempDir, 'plugin'),
+			plugins = [{
+				path: pluginDir,
+				options: {}
+			}],
+			first = new CodeProcessor.Session(),
+			second = new CodeProcessor.Session();
+		wrench.mkdirSyncRecursive(path.join(pluginDir, 'lib'));
+		fs.writeFileSync(path.join(pluginDir, 'package.json'), JSON.stringify({
+			name: 'counter',
+			main: 'index.js',
+			dependencies: {}
+		}));
+		fs.writeFileSync(path.join(pluginDir, 'index.js'), 'var counter = require("./lib/counter");\n' +
+			'counter.count++;\n' +
+			'exports.getResults = function () { return { count: counter.count }; };');
+		fs.writeFileSync(path.join(pluginDir, 'lib', 'counter.js'), 'exports.count = 0;');
+		first.run(createProject('plugin-first', ''), plugins);
+		second.run(createProject('plugin-second', ''), plugins);
+		first.getResults().plugins[0].count.should.equal(1);
+		second.getResults().plugins[0].count.should.equal(1);
+	});
+
+	it('should pass the results of the session to the callback once the results pages are written', function (done) {
+		var first = new CodeProcessor.Session({
+				resultsPath: path.join(tempDir, 'results')
+			}),
+			second = new CodeProcessor.Session();
+		first.run(createProject('pages-first', 'foo();'), [], undefined, function (err, results) {
+			should.not.exist(err);
+			getErrorDescriptions(results).should.eql(['"foo" is not defined']);
+			fs.existsSync(path.join(tempDir, 'results', 'index.html')).should.equal(true);
+			done();
+		});
+		second.run(createProject('pages-second', 'bar();'), []);
+	});
+
+	it('should report errors to the caller instead of exiting', function () {
+		var session = new CodeProcessor.Session({
+				ambiguityStrategy: 'unknown'
+			}),
+			sourceInformation = createProject('invalid', ''),
+			error;
+		session.run(sourceInformation, [], undefined, function (err) {
+			error = err;
+		});
+		error.message.should.equal('Invalid ambiguity strategy "unknown", expected "merge" or "legacy"');
+		(function () {
+			new CodeProcessor.Session().run(sourceInformation, [{
+				path: path.join(tempDir, 'missing-plugin'),
+				options: {}
+			}]);
+		}).should.throw(/^Could not parse ".*package\.json"/);
+	});
+});
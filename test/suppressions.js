@@ -0,0 +1,112 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests the parsing of suppression comments and their effect on the results
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it, before, after*/
+
+var path = require('path'),
+	fs = require('fs'),
+	os = require('os'),
+
+	should = require('should'),
+	wrench = require('wrench'),
+
+	AST = require(path.join(__dirname, '..', 'lib', 'AST')),
+	CodeProcessor = require(path.join(__dirname, '..', 'lib', 'CodeProcessor')),
+
+	tempDir = path.join(os.tmpdir(), 'ti-code-processor-suppressions-test-' + process.pid),
+	sourceDir = path.join(tempDir, 'Resources'),
+	sourceInformation = {
+		projectDir: tempDir,
+		sourceDir: sourceDir,
+		entryPoint: path.join(sourceDir, 'app.js')
+	};
+
+describe('Suppressions', function () {
+
+	function getSuppressions(src) {
+		return AST.getSuppressions(AST.parseString(src), src);
+	}
+
+	function getDescriptions(findings) {
+		return findings.map(function (finding) {
+			return finding.description;
+		});
+	}
+
+	before(function () {
+		wrench.mkdirSyncRecursive(sourceDir);
+	});
+
+	after(function () {
+		wrench.rmdirSyncRecursive(tempDir);
+	});
+
+	it('should suppress the next line', function () {
+		getSuppressions('// ti-cp-disable-next-line requireUnresolved, RequireMissing -- dynamic\nrequire(x);').should.eql([{
+			startLine: 2,
+			endLine: 2,
+			types: ['requireUnresolved', 'RequireMissing']
+		}]);
+	});
+
+	it('should suppress the current line', function () {
+		getSuppressions('a();\nb(); // ti-cp-disable-line\nc();').should.eql([{
+			startLine: 2,
+			endLine: 2,
+			types: undefined
+		}]);
+	});
+
+	it('should suppress regions', function () {
+		getSuppressions('/* ti-cp-disable a b */\nx();\n/* ti-cp-enable a */\ny();\n/* ti-cp-enable */\nz();').should.eql([{
+			startLine: 1,
+			endLine: 3,
+			types: ['a', 'b']
+		}, {
+			startLine: 3,
+			endLine: 5,
+			types: ['b']
+		}]);
+	});
+
+	it('should suppress unterminated regions and files until the end of the file', function () {
+		getSuppressions('x();\n/* ti-cp-disable */\ny();\n// ti-cp-disable-file a\n').should.eql([{
+			startLine: 0,
+			endLine: Infinity,
+			types: ['a']
+		}, {
+			startLine: 2,
+			endLine: Infinity,
+			types: undefined
+		}]);
+	});
+
+	it('should move suppressed errors from the results to the suppressed results', function () {
+		var session = new CodeProcessor.Session({
+				processUnvisitedCode: true
+			}),
+			results;
+		fs.writeFileSync(sourceInformation.entryPoint, [
+			'foo(); // ti-cp-disable-line',
+			'// ti-cp-disable-next-line ReferenceError',
+			'bar();',
+			'// ti-cp-disable-next-line TypeError',
+			'baz();',
+			'qux();'
+		].join('\n'));
+		fs.writeFileSync(path.join(sourceDir, 'other.js'), '// ti-cp-disable-file\nquux();');
+		session.run(sourceInformation, []);
+		results = session.getResults();
+		getDescriptions(results.errors).should.eql(['"baz" is not defined', '"qux" is not defined']);
+		getDescriptions(results.suppressed.errors).sort().should.eql([
+			'"bar" is not defined',
+			'"foo" is not defined',
+			'"quux" is not defined'
+		]);
+	});
+});
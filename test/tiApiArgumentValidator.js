@@ -0,0 +1,219 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests for the ti-api-argument-validator plugin
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	tiApi = require(path.join(__dirname, 'lib', 'tiApi'));
+
+describe('Ti API argument validator', function () {
+
+	var project = tiApi.createProject('argument-validator', '3.1.0', [{
+		name: 'Titanium',
+		properties: [{
+			name: 'App',
+			type: 'Titanium.App',
+			userAgents: []
+		}, {
+			name: 'Filesystem',
+			type: 'Titanium.Filesystem',
+			userAgents: []
+		}, {
+			name: 'UI',
+			type: 'Titanium.UI',
+			userAgents: []
+		}],
+		functions: [],
+		userAgents: []
+	}, {
+		name: 'Titanium.Filesystem',
+		properties: [],
+		functions: [{
+			name: 'getFile',
+			parameters: [{
+				name: 'path',
+				type: 'String',
+				usage: 'one-or-more'
+			}],
+			returnTypes: [],
+			userAgents: []
+		}, {
+			name: 'openStream',
+			parameters: [{
+				name: 'mode',
+				type: 'Number',
+				usage: 'required'
+			}, {
+				name: 'path',
+				type: 'String',
+				usage: 'zero-or-more'
+			}],
+			returnTypes: [],
+			userAgents: []
+		}],
+		userAgents: []
+	}, {
+		name: 'Titanium.App',
+		properties: [],
+		functions: [{
+			name: 'fireEvent',
+			parameters: [{
+				name: 'name',
+				type: 'String',
+				usage: 'required'
+			}, {
+				name: 'event',
+				type: 'Dictionary',
+				usage: 'optional'
+			}],
+			returnTypes: [],
+			userAgents: []
+		}, {
+			name: 'addEventListener',
+			parameters: [{
+				name: 'name',
+				type: 'String',
+				usage: 'required'
+			}, {
+				name: 'callback',
+				type: 'Callback<Object>',
+				usage: 'required'
+			}],
+			returnTypes: [],
+			userAgents: []
+		}],
+		userAgents: []
+	}, {
+		name: 'Titanium.UI',
+		properties: [],
+		functions: [{
+			name: 'createView',
+			parameters: [{
+				name: 'parameters',
+				type: 'Dictionary<Titanium.UI.View>',
+				usage: 'optional'
+			}],
+			returnTypes: [{ type: 'Titanium.UI.View' }],
+			userAgents: []
+		}],
+		userAgents: []
+	}, {
+		name: 'Titanium.UI.View',
+		properties: [],
+		functions: [{
+			name: 'animate',
+			parameters: [{
+				name: 'duration',
+				type: 'Number',
+				usage: 'required'
+			}, {
+				name: 'callback',
+				type: 'Callback<Object>',
+				usage: 'optional'
+			}],
+			returnTypes: [],
+			userAgents: []
+		}],
+		userAgents: []
+	}]);
+
+	// Analyzes the source and returns the argument warnings, as "type: description", and the plugin results
+	function analyze(source) {
+		return tiApi.analyze(project, source, 'ti-api-argument-validator');
+	}
+
+	it('should not report valid calls', function () {
+		var results = analyze([
+			'var view = Ti.UI.createView({ width: 10 });',
+			'Ti.UI.createView();',
+			'view.animate(100, function () {});',
+			'view.animate(String(Math.random()).length, null);',
+			'Ti.App.fireEvent("a", {});',
+			'Ti.App.addEventListener(String(Math.random()), Math.random() > 0.5 ? function () {} : function () {});'
+		]);
+		results.warnings.should.eql([]);
+		results.results.summary.should.equal('No APIs are called with invalid arguments');
+	});
+
+	it('should report argument counts and missing arguments', function () {
+		analyze([
+			'Ti.UI.createView({}, 1);',
+			'Ti.App.fireEvent();',
+			'Ti.App.fireEvent(undefined, {});'
+		]).warnings.should.eql([
+			'invalidTiArgumentCount: Titanium.UI.createView expects at most 1 argument but was passed 2',
+			'missingTiArgument: Titanium.App.fireEvent expects a String for argument 1 ("name") but nothing was passed',
+			'missingTiArgument: Titanium.App.fireEvent expects a String for argument 1 ("name") but nothing was passed'
+		]);
+	});
+
+	it('should report primitives of the wrong type', function () {
+		analyze([
+			'var view = Ti.UI.createView("view");',
+			'view.animate("100");',
+			'view.animate(String(Math.random()));',
+			'Ti.App.fireEvent(1);'
+		]).warnings.should.eql([
+			'invalidTiArgumentType: Titanium.UI.createView expects a Dictionary<Titanium.UI.View> for argument 1 ' +
+				'("parameters") but was passed a String',
+			'invalidTiArgumentType: Titanium.UI.View.animate expects a Number for argument 1 ("duration") but was ' +
+				'passed a String',
+			'invalidTiArgumentType: Titanium.UI.View.animate expects a Number for argument 1 ("duration") but was ' +
+				'passed a String',
+			'invalidTiArgumentType: Titanium.App.fireEvent expects a String for argument 1 ("name") but was passed a Number'
+		]);
+	});
+
+	it('should report values that are not callable where a function is expected', function () {
+		var results = analyze([
+			'Ti.App.addEventListener("a", {});',
+			'Ti.App.addEventListener("b", "callback");',
+			'Ti.App.addEventListener("c", {});'
+		]);
+		results.warnings.should.eql([
+			'nonCallableTiArgument: Titanium.App.addEventListener expects a Callback<Object> for argument 2 ("callback") ' +
+				'but was passed an Object, which is not callable',
+			'nonCallableTiArgument: Titanium.App.addEventListener expects a Callback<Object> for argument 2 ("callback") ' +
+				'but was passed a String, which is not callable',
+			'nonCallableTiArgument: Titanium.App.addEventListener expects a Callback<Object> for argument 2 ("callback") ' +
+				'but was passed an Object, which is not callable'
+		]);
+		results.results.summary.should.equal('1 API is called with invalid arguments');
+		results.results.invalidCalls['Titanium.App.addEventListener'].numInstances.should.equal(3);
+		results.results.invalidCalls['Titanium.App.addEventListener'].problems.length.should.equal(2);
+	});
+
+	it('should let a repeatable last parameter take any number of arguments', function () {
+		analyze([
+			'Ti.Filesystem.getFile("a");',
+			'Ti.Filesystem.getFile("a", "b", "c");',
+			'Ti.Filesystem.openStream(0);',
+			'Ti.Filesystem.openStream(0, "a", "b", "c");'
+		]).warnings.should.eql([]);
+		analyze([
+			'Ti.Filesystem.getFile("a", "b", 3);',
+			'Ti.Filesystem.openStream(0, "a", true);'
+		]).warnings.should.eql([
+			'invalidTiArgumentType: Titanium.Filesystem.getFile expects a String for argument 3 ("path") but was ' +
+				'passed a Number',
+			'invalidTiArgumentType: Titanium.Filesystem.openStream expects a String for argument 3 ("path") but was ' +
+				'passed a Boolean'
+		]);
+	});
+
+	it('should report missing arguments for one-or-more parameters', function () {
+		analyze([
+			'Ti.Filesystem.getFile();'
+		]).warnings.should.eql([
+			'missingTiArgument: Titanium.Filesystem.getFile expects a String for argument 1 ("path") but nothing was passed'
+		]);
+	});
+});
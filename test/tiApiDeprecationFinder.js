@@ -0,0 +1,174 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests for the ti-api-deprecation-finder plugin
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	tiApi = require(path.join(__dirname, 'lib', 'tiApi'));
+
+describe('Ti API deprecation finder', function () {
+
+	var project = tiApi.createProject('deprecation-finder', '3.1.0', [{
+		name: 'Titanium',
+		properties: [{
+			name: 'UI',
+			type: 'Titanium.UI',
+			userAgents: []
+		}],
+		functions: [],
+		userAgents: []
+	}, {
+		name: 'Titanium.UI',
+		properties: [],
+		functions: [{
+			name: 'createView',
+			parameters: [],
+			returnTypes: [{ type: 'Titanium.UI.View' }],
+			userAgents: []
+		}, {
+			name: 'create2DMatrix',
+			parameters: [],
+			returnTypes: [],
+			userAgents: [],
+			deprecated: {
+				since: '2.0.0',
+				removed: '3.0.0',
+				notes: '<p>Use <code><a href="Titanium.UI.createMatrix2D.html">Titanium.UI.createMatrix2D</a></code> ' +
+					'instead.</p>'
+			}
+		}, {
+			name: 'createMatrix2D',
+			parameters: [],
+			returnTypes: [],
+			userAgents: []
+		}, {
+			name: 'createLegacyView',
+			parameters: [],
+			returnTypes: [{ type: 'Titanium.UI.View' }],
+			userAgents: [],
+			deprecated: {
+				since: '3.0.0',
+				notes: 'Use <Titanium.UI.createView> with the `legacy` property instead.'
+			}
+		}],
+		userAgents: []
+	}, {
+		name: 'Titanium.UI.View',
+		properties: [{
+			name: 'backgroundImg',
+			type: 'String',
+			userAgents: [],
+			deprecated: {
+				since: '1.8.0',
+				notes: 'Use [backgroundImage](Titanium.UI.View.backgroundImage) instead.'
+			}
+		}, {
+			name: 'backgroundImage',
+			type: 'String',
+			userAgents: []
+		}, {
+			name: 'size',
+			type: 'Object',
+			userAgents: [],
+			deprecated: {}
+		}],
+		functions: [],
+		userAgents: []
+	}]);
+
+	// Analyzes the source and returns the deprecation warnings, as "type: description", and the plugin results
+	function analyze(source) {
+		return tiApi.analyze(project, source, 'ti-api-deprecation-finder');
+	}
+
+	// Applies the fixes in the results to the source, the same way a migration script would
+	function applyFixes(source, results) {
+		var text = source.join('\n'),
+			fixes = [],
+			api;
+		for (api in results.deprecatedAPIs) {
+			fixes = fixes.concat(results.deprecatedAPIs[api].fixes);
+		}
+		fixes.sort(function (a, b) {
+			return b.start - a.start;
+		}).forEach(function (fix) {
+			fix.filename.should.equal(project.sourceInformation.entryPoint);
+			text.substring(fix.start, fix.end).should.equal(fix.oldText);
+			text.split('\n')[fix.line - 1].substr(fix.column, fix.oldText.length).should.equal(fix.oldText);
+			text = text.substring(0, fix.start) + fix.newText + text.substring(fix.end);
+		});
+		return text.split('\n');
+	}
+
+	it('should report when APIs were deprecated and removed and what to use instead', function () {
+		var results = analyze([
+			'var view = Ti.UI.createView();',
+			'Ti.UI.create2DMatrix();',
+			'Ti.UI.createLegacyView();',
+			'var image = view.backgroundImg, size = view.size;'
+		]);
+		results.warnings.should.eql([
+			'deprecatedTiPropertyReferenced: "Titanium.UI.create2DMatrix" has been deprecated since SDK 2.0.0 and was ' +
+				'removed in SDK 3.0.0. Use Titanium.UI.createMatrix2D instead.',
+			'deprecatedTiPropertyReferenced: "Titanium.UI.createLegacyView" has been deprecated since SDK 3.0.0. Use ' +
+				'Titanium.UI.createView with the legacy property instead.',
+			'deprecatedTiPropertyReferenced: "Titanium.UI.View.backgroundImg" has been deprecated since SDK 1.8.0. Use ' +
+				'backgroundImage instead.',
+			'deprecatedTiPropertyReferenced: "Titanium.UI.View.size" has been deprecated'
+		]);
+		results.results.summary.should.equal('4 deprecated APIs are used');
+		results.results.deprecatedAPIs['Titanium.UI.create2DMatrix'].should.include({
+			since: '2.0.0',
+			removed: '3.0.0',
+			notes: 'Use Titanium.UI.createMatrix2D instead.',
+			replacement: 'Titanium.UI.createMatrix2D'
+		});
+		should.not.exist(results.results.deprecatedAPIs['Titanium.UI.createLegacyView'].replacement);
+		results.results.deprecatedAPIs['Titanium.UI.View.backgroundImg'].replacement.should.equal(
+			'Titanium.UI.View.backgroundImage');
+	});
+
+	it('should create fixes for renamed APIs', function () {
+		var source = [
+				'var view = Ti.UI.createView(),',
+				'	matrix = Ti.UI.create2DMatrix(), legacyView = Ti.UI.createLegacyView();',
+				'function getImage(v) { return v.backgroundImg; }',
+				'getImage(view); getImage(view);',
+				'var values = [Ti.UI . create2DMatrix, view["backgroundImg"], view.size];'
+			],
+			results = analyze(source);
+		results.results.deprecatedAPIs['Titanium.UI.create2DMatrix'].fixes.length.should.equal(2);
+		results.results.deprecatedAPIs['Titanium.UI.View.backgroundImg'].fixes.length.should.equal(1);
+		results.results.deprecatedAPIs['Titanium.UI.createLegacyView'].fixes.should.eql([]);
+		results.results.deprecatedAPIs['Titanium.UI.View.size'].fixes.should.eql([]);
+		applyFixes(source, results.results).should.eql([
+			'var view = Ti.UI.createView(),',
+			'	matrix = Ti.UI.createMatrix2D(), legacyView = Ti.UI.createLegacyView();',
+			'function getImage(v) { return v.backgroundImage; }',
+			'getImage(view); getImage(view);',
+			'var values = [Ti.UI . createMatrix2D, view["backgroundImg"], view.size];'
+		]);
+	});
+
+	it('should create fixes for ECMAScript 2015 code', function () {
+		var source = [
+				'const view = Ti.UI.createView();',
+				'let images = [view].map(v => v.backgroundImg);',
+				'Ti.UI.create2DMatrix();'
+			],
+			results = analyze(source);
+		applyFixes(source, results.results).should.eql([
+			'const view = Ti.UI.createView();',
+			'let images = [view].map(v => v.backgroundImage);',
+			'Ti.UI.createMatrix2D();'
+		]);
+	});
+});
@@ -0,0 +1,121 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests for the ti-api-misspelling-finder plugin
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	tiApi = require(path.join(__dirname, 'lib', 'tiApi'));
+
+describe('Ti API misspelling finder', function () {
+
+	var project = tiApi.createProject('misspelling-finder', '3.1.0', [{
+		name: 'Titanium',
+		properties: [{
+			name: 'App',
+			type: 'Titanium.App',
+			userAgents: []
+		}, {
+			name: 'UI',
+			type: 'Titanium.UI',
+			userAgents: []
+		}],
+		functions: [],
+		userAgents: []
+	}, {
+		name: 'Titanium.App',
+		properties: [{
+			name: 'id',
+			type: 'String',
+			userAgents: []
+		}],
+		functions: [],
+		userAgents: []
+	}, {
+		name: 'Titanium.UI',
+		properties: [],
+		functions: [{
+			name: 'createLabel',
+			parameters: [],
+			returnTypes: [{ type: 'Titanium.UI.View' }],
+			userAgents: []
+		}, {
+			name: 'createView',
+			parameters: [],
+			returnTypes: [{ type: 'Titanium.UI.View' }],
+			userAgents: []
+		}],
+		userAgents: []
+	}, {
+		name: 'Titanium.UI.View',
+		properties: [{
+			name: 'backgroundColor',
+			type: 'String',
+			userAgents: []
+		}, {
+			name: 'height',
+			type: 'Number',
+			userAgents: []
+		}, {
+			name: 'width',
+			type: 'Number',
+			userAgents: []
+		}],
+		functions: [],
+		userAgents: []
+	}]);
+
+	// Analyzes the source and returns the misspelling warnings, as "type: description", and the plugin results
+	function analyze(source, options) {
+		return tiApi.analyze(project, source, 'ti-api-misspelling-finder', {
+			pluginOptions: options
+		});
+	}
+
+	it('should suggest the closest method for a misspelled method', function () {
+		var results = analyze([
+			'var label = Ti.UI.createLable();'
+		]);
+		results.warnings.should.eql([
+			'misspelledTiPropertyReference: "createLable" is not part of Titanium.UI, did you mean "createLabel"?'
+		]);
+		results.results.misspellings['Titanium.UI.createLable'].suggestions.should.eql(['createLabel']);
+	});
+
+	it('should suggest the closest property for misspelled properties that are set', function () {
+		analyze([
+			'var view = Ti.UI.createView({ backgroundColour: "red", widht: 10, top: 5 });',
+			'view.heigth = 4;'
+		]).warnings.should.eql([
+			'misspelledTiPropertySet: "backgroundColour" is not part of Titanium.UI.View, did you mean "backgroundColor"?',
+			'misspelledTiPropertySet: "widht" is not part of Titanium.UI.View, did you mean "width"?',
+			'misspelledTiPropertySet: "heigth" is not part of Titanium.UI.View, did you mean "height"?'
+		]);
+	});
+
+	it('should not report custom properties that are not close to an API name', function () {
+		var results = analyze([
+			'Ti.App.currentUser = "a";',
+			'Ti.App.ip = Ti.App.currentUser;',
+			'var view = Ti.UI.createView({ rowData: {} });',
+			'var width = view.width;'
+		]);
+		results.warnings.should.eql([]);
+		results.results.summary.should.equal('No misspelled properties or methods were found');
+	});
+
+	it('should not report properties that match an ignore pattern', function () {
+		analyze([
+			'var view = Ti.UI.createView({ widht: 10, heigth: 10 });'
+		], {
+			ignore: ['^widht$', '^Titanium\\.UI\\.View\\.heig']
+		}).warnings.should.eql([]);
+	});
+});
@@ -0,0 +1,187 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests for the ti-api-platform-validator plugin
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it*/
+
+var path = require('path'),
+
+	should = require('should'),
+
+	tiApi = require(path.join(__dirname, 'lib', 'tiApi')),
+
+	allPlatforms = [{ platform: 'android' }, { platform: 'iphone' }];
+
+describe('Ti API platform validator', function () {
+
+	var project = tiApi.createProject('platform-validator', '3.1.0', [{
+		name: 'Titanium',
+		properties: [{
+			name: 'Android',
+			type: 'Titanium.Android',
+			userAgents: [{ platform: 'android' }]
+		}, {
+			name: 'Platform',
+			type: 'Titanium.Platform',
+			userAgents: allPlatforms
+		}],
+		functions: [],
+		userAgents: allPlatforms
+	}, {
+		name: 'Titanium.Android',
+		properties: [{
+			name: 'currentActivity',
+			type: 'Object',
+			userAgents: [{ platform: 'android' }]
+		}],
+		functions: [],
+		userAgents: [{ platform: 'android' }]
+	}, {
+		name: 'Titanium.Platform',
+		properties: [{
+			name: 'name',
+			type: 'String',
+			userAgents: allPlatforms
+		}],
+		functions: [],
+		userAgents: allPlatforms
+	}]);
+
+	// Analyzes the source on iOS and returns the platform warnings, as "type: description", and the plugin results
+	function analyze(source, options) {
+		return tiApi.analyze(project, source, 'ti-api-platform-validator', {
+			sessionOptions: options,
+			warningType: /PlatformReferenced$/
+		});
+	}
+
+	it('should report unguarded references', function () {
+		var results = analyze([
+			'var activity = Ti.Android.currentActivity;'
+		]);
+		results.warnings.should.eql([
+			'invalidPlatformReferenced: Property "Titanium.Android" is not supported on iphone',
+			'invalidPlatformReferenced: Property "Titanium.Android.currentActivity" is not supported on iphone'
+		]);
+		results.results.summary.should.equal('2 platform APIs are used incorrectly');
+		results.results.invalidAPIs['Titanium.Android'].numInstances.should.equal(1);
+		results.results.ambiguouslyGuardedAPIs.should.eql({});
+	});
+
+	it('should not report references that are guarded against the current platform', function () {
+		var results = analyze([
+			'var activity, isAndroid = Ti.Platform.name === "android";',
+			'if (Ti.Platform.name === "android") {',
+			'	activity = Ti.Android;',
+			'}',
+			'if (Ti.Platform.name != "iPhone OS" && Math.random() > 0.5) {',
+			'	activity = Ti.Android;',
+			'}',
+			'activity = Ti.Platform.name !== "iPhone OS" ? Ti.Android : null;',
+			'switch (Ti.Platform.name) {',
+			'	case "iPhone OS":',
+			'		break;',
+			'	case "android":',
+			'		activity = Ti.Android;',
+			'}',
+			'switch (Ti.Platform.name) {',
+			'	case "iPhone OS":',
+			'		break;',
+			'	default:',
+			'		activity = Ti.Android;',
+			'}'
+		]);
+		results.warnings.should.eql([]);
+		results.results.summary.should.equal('No platform specific APIs are used incorrectly');
+	});
+
+	it('should recognize platform checks that were stored in a variable or property first', function () {
+		analyze([
+			'var activity,',
+			'	os = Ti.Platform.name,',
+			'	isAndroid = Ti.Platform.name === "android",',
+			'	isIOS = os == "iPhone OS",',
+			'	platform = { isAndroid: isAndroid };',
+			'if (isAndroid) {',
+			'	activity = Ti.Android;',
+			'}',
+			'if (!isIOS) {',
+			'	activity = Ti.Android;',
+			'}',
+			'if (platform.isAndroid || os === "android") {',
+			'	activity = Ti.Android;',
+			'}',
+			'switch (os) {',
+			'	case "android":',
+			'		activity = Ti.Android;',
+			'}',
+			'if (isIOS) {',
+			'	activity = Ti.Android;',
+			'}'
+		]).warnings.should.eql([
+			'invalidPlatformReferenced: Property "Titanium.Android" is not supported on iphone'
+		]);
+	});
+
+	it('should not recognize stored checks that depend on more than the platform', function () {
+		analyze([
+			'var activity, isAndroid = Ti.Platform.name === "android" || Math.random() > 0.5;',
+			'if (isAndroid) {',
+			'	activity = Ti.Android;',
+			'}'
+		]).warnings.should.eql([
+			'ambiguouslyGuardedPlatformReferenced: Property "Titanium.Android" is not supported on iphone and is ' +
+				'guarded by a condition that could not be determined'
+		]);
+	});
+
+	it('should report references inside undetermined guards separately', function () {
+		var results = analyze([
+			'var activity;',
+			'function getActivity(isAndroid) {',
+			'	return isAndroid ? Ti.Android : null;',
+			'}',
+			'if (Math.random() > 0.5) {',
+			'	activity = getActivity(true);',
+			'}'
+		]);
+		results.warnings.should.eql([
+			'ambiguouslyGuardedPlatformReferenced: Property "Titanium.Android" is not supported on iphone and is ' +
+				'guarded by a condition that could not be determined'
+		]);
+		results.results.summary.should.equal('1 platform API is guarded ambiguously');
+		results.results.ambiguouslyGuardedAPIs['Titanium.Android'].numInstances.should.equal(1);
+		results.results.invalidAPIs.should.eql({});
+	});
+
+	it('should report references inside guards that are true on the current platform as unguarded', function () {
+		analyze([
+			'if (Ti.Platform.name === "iPhone OS" || Math.random() > 0.5) {',
+			'	var activity = Ti.Android;',
+			'}',
+			'if (!(Ti.Platform.name === "android")) {',
+			'	activity = Ti.Android;',
+			'}'
+		]).warnings.should.eql([
+			'invalidPlatformReferenced: Property "Titanium.Android" is not supported on iphone',
+			'invalidPlatformReferenced: Property "Titanium.Android" is not supported on iphone'
+		]);
+	});
+
+	it('should track guards with the legacy ambiguity strategy', function () {
+		analyze([
+			'var activity;',
+			'if (Ti.Platform.name === "android") {',
+			'	activity = Ti.Android;',
+			'} else {',
+			'	activity = Ti.Android;',
+			'}'
+		], { ambiguityStrategy: 'legacy' }).warnings.should.eql([
+			'invalidPlatformReferenced: Property "Titanium.Android" is not supported on iphone'
+		]);
+	});
+});
@@ -0,0 +1,171 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests for the ti-api-sdk-compatibility-checker plugin
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it, before*/
+
+var path = require('path'),
+	fs = require('fs'),
+
+	should = require('should'),
+
+	tiApi = require(path.join(__dirname, 'lib', 'tiApi'));
+
+describe('Ti API SDK compatibility checker', function () {
+
+	var project = tiApi.createProject('sdk-compatibility', '3.2.0', [{
+		name: 'Titanium',
+		properties: [{
+			name: 'UI',
+			type: 'Titanium.UI',
+			userAgents: [],
+			since: since('0.8', '0.8')
+		}],
+		functions: [],
+		userAgents: []
+	}, {
+		name: 'Titanium.UI',
+		properties: [],
+		functions: [{
+			name: 'createView',
+			parameters: [],
+			returnTypes: [{ type: 'Titanium.UI.View' }],
+			userAgents: [],
+			since: since('0.8', '0.8')
+		}, {
+			name: 'createAttributedString',
+			parameters: [],
+			returnTypes: [],
+			userAgents: [],
+			since: since('3.2.0', '3.2.0')
+		}, {
+			name: 'create2DMatrix',
+			parameters: [],
+			returnTypes: [],
+			userAgents: [],
+			since: since('0.8', '0.8'),
+			deprecated: {
+				since: '2.0.0',
+				removed: '3.1.0'
+			}
+		}],
+		userAgents: []
+	}, {
+		name: 'Titanium.UI.View',
+		properties: [{
+			name: 'tintColor',
+			type: 'String',
+			userAgents: [],
+			since: since('3.1.2', '3.1.0')
+		}, {
+			name: 'width',
+			type: 'Number',
+			userAgents: [],
+			since: since('0.8', '0.8')
+		}],
+		functions: [{
+			name: 'setTintColor',
+			parameters: [],
+			returnTypes: [],
+			userAgents: [],
+			since: since('3.1.2', '3.1.0')
+		}, {
+			name: 'setWidth',
+			parameters: [],
+			returnTypes: [],
+			userAgents: [],
+			since: since('0.8', '0.8')
+		}],
+		userAgents: []
+	}]);
+
+	// Analyzes the source and returns the compatibility warnings, as "type: description", and the plugin results
+	function analyze(source, options) {
+		return tiApi.analyze(project, source, 'ti-api-sdk-compatibility-checker', {
+			platform: 'android',
+			pluginOptions: options
+		});
+	}
+
+	// Creates the JSCA 'since' entry for an API added in the given versions on Android and iOS
+	function since(android, ios) {
+		return [{
+			name: 'Titanium Mobile SDK - Android',
+			version: android
+		}, {
+			name: 'Titanium Mobile SDK - iPhone OS',
+			version: ios
+		}];
+	}
+
+	before(function () {
+		fs.writeFileSync(path.join(project.sourceInformation.projectDir, 'tiapp.xml'), [
+			'<?xml version="1.0" encoding="UTF-8"?>',
+			'<ti:app xmlns:ti="http://ti.appcelerator.org">',
+			'	<id>com.appcelerator.test</id>',
+			'	<sdk-version>3.1.0.GA</sdk-version>',
+			'</ti:app>'
+		].join('\n'));
+	});
+
+	it('should report APIs added after the SDK version in the tiapp.xml file', function () {
+		var results = analyze([
+			'var view = Ti.UI.createView({ width: 10 });',
+			'view.tintColor = "red";',
+			'Ti.UI.createAttributedString();'
+		]);
+		results.warnings.should.eql([
+			'tiAPITooNew: "Titanium.UI.View.tintColor" was added in SDK 3.1.2, but the minimum SDK version is 3.1.0',
+			'tiAPITooNew: "Titanium.UI.createAttributedString" was added in SDK 3.2.0, but the minimum SDK version is 3.1.0'
+		]);
+		results.results.summary.should.equal('2 APIs are not available in SDK 3.1.0');
+		results.results.incompatibleAPIs['Titanium.UI.createAttributedString'].since.should.equal('3.2.0');
+	});
+
+	it('should report a write of a property as a single use of it', function () {
+		analyze([
+			'var view = Ti.UI.createView({ width: 10 });',
+			'view.tintColor = "red";',
+			'var tintColor = view.tintColor;'
+		]).warnings.should.eql([
+			'tiAPITooNew: "Titanium.UI.View.tintColor" was added in SDK 3.1.2, but the minimum SDK version is 3.1.0',
+			'tiAPITooNew: "Titanium.UI.View.tintColor" was added in SDK 3.1.2, but the minimum SDK version is 3.1.0'
+		]);
+	});
+
+	it('should report APIs that were removed', function () {
+		analyze([
+			'Ti.UI.create2DMatrix();'
+		]).warnings.should.eql([
+			'tiAPIRemoved: "Titanium.UI.create2DMatrix" was deprecated in SDK 2.0.0 and removed in SDK 3.1.0, but the ' +
+				'project uses SDK 3.1.0'
+		]);
+	});
+
+	it('should check against the configured minimum SDK version', function () {
+		var results = analyze([
+			'var view = Ti.UI.createView({ width: 10 });',
+			'view.width = 20;',
+			'view.tintColor = "red";'
+		], {
+			minSDKVersion: '0.9'
+		});
+		results.warnings.should.eql([
+			'tiAPITooNew: "Titanium.UI.View.tintColor" was added in SDK 3.1.2, but the minimum SDK version is 0.9.0'
+		]);
+		results.results.summary.should.equal('1 API is not available in SDK 0.9.0 to 3.1.0');
+	});
+
+	it('should not report APIs that are available in every supported SDK version', function () {
+		var results = analyze([
+			'var view = Ti.UI.createView({ width: 10 });',
+			'view.width = 20;'
+		]);
+		results.warnings.should.eql([]);
+		results.results.summary.should.equal('All APIs are available in SDK 3.1.0');
+	});
+});
@@ -0,0 +1,162 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests for unknown values whose type is known
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it, before*/
+
+var path = require('path'),
+	fs = require('fs'),
+
+	should = require('should'),
+	wrench = require('wrench'),
+
+	Base = require(path.join(__dirname, '..', 'lib', 'Base')),
+	inspect = require(path.join(__dirname, 'lib', 'inspect'));
+
+describe('Typed unknowns', function () {
+
+	var sourceInformation = inspect.createProject('typed-unknowns'),
+		sdkDir = path.join(sourceInformation.projectDir, 'sdk');
+
+	// Analyzes the source and describes the types of the arguments passed to the last call to inspect()
+	function analyze(source, plugins) {
+		return inspect.analyze(sourceInformation, source, {}, plugins, function (arg) {
+			return Base.type(arg) === 'Unknown' ? Base.describeTypeInfo(arg.typeInfo) : 'known';
+		}).values;
+	}
+
+	before(function () {
+		wrench.mkdirSyncRecursive(sdkDir);
+		fs.writeFileSync(path.join(sdkDir, 'manifest.json'), JSON.stringify({ version: '3.1.0' }));
+		fs.writeFileSync(path.join(sdkDir, 'api.jsca'), JSON.stringify({
+			types: [{
+				name: 'Titanium',
+				properties: [{
+					name: 'Network',
+					type: 'Titanium.Network',
+					userAgents: []
+				}],
+				functions: [],
+				userAgents: []
+			}, {
+				name: 'Titanium.Network',
+				properties: [],
+				functions: [{
+					name: 'createHTTPClient',
+					parameters: [],
+					returnTypes: [{ type: 'Titanium.Network.HTTPClient' }],
+					userAgents: []
+				}],
+				userAgents: []
+			}, {
+				name: 'Titanium.Network.HTTPClient',
+				properties: [{
+					name: 'responseText',
+					type: 'String',
+					userAgents: []
+				}, {
+					name: 'responseHeaders',
+					type: 'Array<String>',
+					userAgents: []
+				}],
+				functions: [{
+					name: 'getResponseHeader',
+					parameters: [],
+					returnTypes: [{ type: 'String' }],
+					userAgents: []
+				}],
+				userAgents: []
+			}],
+			aliases: [{
+				type: 'Titanium',
+				name: 'Ti'
+			}]
+		}));
+	});
+
+	it('should keep the type of converted values and operator results', function () {
+		analyze([
+			'var n = Math.random(), s = String(n);',
+			'inspect(n, s, Number(s), n * 2, n | 0, n >>> 0, s + 1, n + 1, n > 1, !n, -n, +s, n ? s : "a", n ? s : 1);'
+		]).should.eql([
+			'some Number in [0, 1]',
+			'some String',
+			'some Number',
+			'some Number',
+			'some integer Number in [-2147483648, 2147483647]',
+			'some integer Number in [0, 4294967295]',
+			'some String',
+			'some Number in [1, 2]',
+			'some Boolean',
+			'some Boolean',
+			'some Number',
+			'some Number',
+			'some String',
+			'unknown'
+		]);
+		analyze([
+			'var s = String(Math.random()), f = s.split;',
+			'inspect(typeof s, typeof s.length, typeof f, typeof s.foo, typeof s.split(","));'
+		]).should.eql(['known', 'known', 'known', 'some String', 'known']);
+	});
+
+	it('should propagate types through the built-in prototypes', function () {
+		analyze([
+			'var s = String(Math.random()), parts = s.split(",");',
+			'inspect(s.length, parts, parts[0], parts.length, parts.pop(), parts.slice(1), parts.indexOf("a"),',
+			'	parts.join("-"), s.charAt(0).toUpperCase(), s.startsWith("a"), parts.map(String), "a,b".split(s),',
+			'	Object.keys({}).concat(parts));'
+		]).should.eql([
+			'some integer Number in [0, Infinity)',
+			'some Array of String',
+			'some String',
+			'some integer Number in [0, Infinity)',
+			'some String',
+			'some Array of String',
+			'some integer Number in [-1, Infinity)',
+			'some String',
+			'some String',
+			'some Boolean',
+			'some Array',
+			'some Array of String',
+			'some Array'
+		]);
+	});
+
+	it('should keep the common type of values written in ambiguous blocks', function () {
+		analyze([
+			'var a = "a", b = 1, c = 2, o = { d: "d" };',
+			'if (Math.random() > 0.5) {',
+			'	a = "b";',
+			'	b = "b";',
+			'	c = Math.round(Math.random());',
+			'	o.d = String(Math.random());',
+			'}',
+			'inspect(a, b, c, o.d);'
+		]).should.eql(['some String', 'unknown', 'some Number', 'some String']);
+	});
+
+	it('should type unknown Titanium API values using the JSCA types', function () {
+		analyze([
+			'var client = Ti.Network.createHTTPClient();',
+			'inspect(client.responseText, client.responseText.split("\\n"), client.responseHeaders,',
+			'	client.responseHeaders[0], client.getResponseHeader("a"));'
+		], [{
+			path: path.join(__dirname, '..', 'plugins', 'ti-api-provider'),
+			options: {
+				sdkPath: sdkDir,
+				platform: 'iphone'
+			}
+		}]).should.eql([
+			'some String',
+			'some Array of String',
+			'some Array of String',
+			'some String',
+			'some String'
+		]);
+	});
+});
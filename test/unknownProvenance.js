@@ -0,0 +1,153 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests for tracking where unknown values come from
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it, before, after*/
+
+var path = require('path'),
+	fs = require('fs'),
+	os = require('os'),
+
+	should = require('should'),
+	wrench = require('wrench'),
+
+	CodeProcessor = require(path.join(__dirname, '..', 'lib', 'CodeProcessor')),
+
+	tempDir = path.join(os.tmpdir(), 'ti-code-processor-unknown-provenance-test-' + process.pid),
+	sourceDir = path.join(tempDir, 'Resources'),
+	sdkDir = path.join(tempDir, 'sdk'),
+	sourceInformation = {
+		projectDir: tempDir,
+		sourceDir: sourceDir,
+		entryPoint: path.join(sourceDir, 'app.js')
+	};
+
+describe('Unknown provenance', function () {
+
+	function analyze(source, options, plugins) {
+		var session = new CodeProcessor.Session(options || {});
+		fs.writeFileSync(sourceInformation.entryPoint, source.join('\n'));
+		session.run(sourceInformation, plugins || []);
+		return session.getResults();
+	}
+
+	function describeOrigins(results) {
+		return results.unknownOrigins.map(function (origin) {
+			return origin.reason + ' ' + origin.line + ' ' + origin.count;
+		});
+	}
+
+	function describeSteps(explanation) {
+		return explanation.steps.map(function (step) {
+			return step.depth + ' ' + step.description + ' ' + step.line;
+		});
+	}
+
+	before(function () {
+		wrench.mkdirSyncRecursive(sourceDir);
+		wrench.mkdirSyncRecursive(sdkDir);
+		fs.writeFileSync(path.join(sdkDir, 'manifest.json'), JSON.stringify({ version: '3.1.0' }));
+		fs.writeFileSync(path.join(sdkDir, 'api.jsca'), JSON.stringify({
+			types: [{
+				name: 'Global',
+				properties: [],
+				functions: [],
+				userAgents: []
+			}, {
+				name: 'Titanium',
+				properties: [{
+					name: 'buildHash',
+					type: 'String',
+					isInstanceProperty: true,
+					isClassProperty: true,
+					permission: 'read-only',
+					userAgents: []
+				}],
+				functions: [],
+				userAgents: []
+			}],
+			aliases: [{
+				type: 'Titanium',
+				name: 'Ti'
+			}]
+		}));
+	});
+
+	after(function () {
+		wrench.rmdirSyncRecursive(tempDir);
+	});
+
+	it('should explain the chain of operations that made a value unknown', function () {
+		var results = analyze([
+			'var r = Math.random();',
+			'var scaled = r * 10;',
+			'var x = 1;',
+			'if (scaled > 5) {',
+			'	x = 2;',
+			'}',
+			'var y = x + 1;'
+		], { explainUnknown: 'Resources/app.js:7' });
+		results.explainedUnknown.filename.should.equal(sourceInformation.entryPoint);
+		results.explainedUnknown.line.should.equal(7);
+		describeSteps(results.explainedUnknown).should.eql([
+			'0 operator "+" 7',
+			'1 ambiguous-branch merge 4',
+			'2 operator ">" 4',
+			'3 operator "*" 2',
+			'4 Math.random 1'
+		]);
+	});
+
+	it('should count the origins of unknown values', function () {
+		describeOrigins(analyze([
+			'var a = Math.random(), b = Math.random() + a, c = Date.now();',
+			'var i = 0;',
+			'while (i < 100) {',
+			'	i++;',
+			'}'
+		], { maxLoopIterations: 10 })).should.eql([
+			'Math.random 1 2',
+			'clock read 1 1',
+			'loop iteration limit 4 1'
+		]);
+	});
+
+	it('should report the variable that could not be resolved', function () {
+		describeOrigins(analyze([
+			'var a = 1;',
+			'var b = foo + a;'
+		])).should.eql([
+			'undefined variable "foo" 2 1'
+		]);
+	});
+
+	it('should attribute values created by plugins to the code that first uses them', function () {
+		var results = analyze([
+			'var a = 1;',
+			'var b = Ti.buildHash + a;'
+		], {}, [{
+			path: path.join(__dirname, '..', 'plugins', 'ti-api-provider'),
+			options: {
+				sdkPath: sdkDir,
+				platform: 'iphone'
+			}
+		}]);
+		describeOrigins(results).should.eql([
+			'value of Titanium.buildHash 2 1'
+		]);
+		results.unknownOrigins[0].filename.should.equal(sourceInformation.entryPoint);
+	});
+
+	it('should report when there is no unknown value at the location', function () {
+		var results = analyze([
+			'var a = 1;',
+			'var b = a + 1;'
+		], { explainUnknown: 'Resources/app.js:2' });
+		results.explainedUnknown.line.should.equal(2);
+		should.not.exist(results.explainedUnknown.steps);
+	});
+});
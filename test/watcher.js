@@ -0,0 +1,89 @@
+/**
+ * <p>Copyright (c) 2013 by Appcelerator, Inc. All Rights Reserved.
+ * Please see the LICENSE file for information about licensing.</p>
+ *
+ * Unit tests watch mode
+ *
+ * @author Bryan Hughes &lt;<a href='mailto:bhughes@appcelerator.com'>bhughes@appcelerator.com</a>&gt;
+ */
+/*global describe, it, before, after*/
+
+var path = require('path'),
+	fs = require('fs'),
+	os = require('os'),
+
+	should = require('should'),
+	wrench = require('wrench'),
+
+	CodeProcessor = require(path.join(__dirname, '..', 'lib', 'CodeProcessor')),
+	Watcher = require(path.join(__dirname, '..', 'lib', 'Watcher')),
+
+	tempDir = path.join(os.tmpdir(), 'ti-code-processor-watcher-test-' + process.pid);
+
+describe('Watcher', function () {
+
+	this.timeout(10000);
+
+	function createProject(name, files) {
+		var projectDir = path.join(tempDir, name),
+			sourceDir = path.join(projectDir, 'Resources'),
+			file;
+		wrench.mkdirSyncRecursive(sourceDir);
+		for (file in files) {
+			fs.writeFileSync(path.join(sourceDir, file), files[file]);
+		}
+		return {
+			projectDir: projectDir,
+			sourceDir: sourceDir,
+			entryPoint: path.join(sourceDir, 'app.js')
+		};
+	}
+
+	before(function () {
+		wrench.mkdirSyncRecursive(tempDir);
+	});
+
+	after(function () {
+		wrench.rmdirSyncRecursive(tempDir);
+	});
+
+	it('should report several changes to JavaScript files in a single notification', function (done) {
+		var sourceDir = createProject('batch', {
+				'app.js': '',
+				'image.png': ''
+			}).sourceDir,
+			watcher = new Watcher.Watcher(sourceDir, 100);
+		watcher.start(function (changedFiles) {
+			watcher.close();
+			changedFiles.sort().should.eql([path.join(sourceDir, 'app.js'), path.join(sourceDir, 'lib')]);
+			done();
+		});
+		fs.writeFileSync(path.join(sourceDir, 'image.png'), 'png');
+		fs.writeFileSync(path.join(sourceDir, 'app.js'), 'foo();');
+		fs.mkdirSync(path.join(sourceDir, 'lib'));
+	});
+
+	it('should re-analyze the project and report the errors that were added and fixed when a file changes', function (done) {
+		var sourceInformation = createProject('project', {
+				'app.js': 'foo();'
+			}),
+			messages = [],
+			logger = {
+				log: function () {},
+				info: function (message) {
+					messages.push(message);
+					if (message === '- Error: "foo" is not defined (Resources/app.js)') {
+						watcher.close();
+						messages.should.include('Re-analyzing project after changes to ' + path.join('Resources', 'app.js'));
+						messages.should.include('+ Error: "bar" is not defined (' + path.join('Resources', 'app.js') + ':1)');
+						done();
+					}
+				}
+			},
+			watcher;
+		CodeProcessor.run(sourceInformation, {}, [], logger, function () {
+			watcher = Watcher.watchProject(sourceInformation, {}, [], logger);
+			fs.writeFileSync(sourceInformation.entryPoint, 'bar();');
+		});
+	});
+});